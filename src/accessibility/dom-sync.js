@@ -76,7 +76,8 @@ export function createDomSync(container, options = {}) {
 
   /**
    * Reconcile the DOM list to match the given events array.
-   * Adds new items, removes stale ones; preserves unchanged items in place.
+   * Adds new items, removes stale ones and keeps the list in the array's order;
+   * unchanged items keep their DOM nodes.
    *
    * @param {Array} events
    */
@@ -91,13 +92,19 @@ export function createDomSync(container, options = {}) {
       }
     }
 
-    // Add new items (append in order; reorder not needed for screen-reader use)
+    // Add new items and keep the list in the given order, moving only items that are out of place
+    let previous = null;
     for (const event of events) {
-      if (!itemMap.has(event.id)) {
-        const li = createItem(event);
-        ul.appendChild(li);
+      let li = itemMap.get(event.id);
+      if (!li) {
+        li = createItem(event);
         itemMap.set(event.id, li);
       }
+      const expectedNext = previous ? previous.nextSibling : ul.firstChild;
+      if (li !== expectedNext) {
+        ul.insertBefore(li, expectedNext);
+      }
+      previous = li;
     }
   }
 
@@ -65,3 +65,65 @@ export const RESTORE_FROM_URL = 'RESTORE_FROM_URL';
 export function restoreFromUrl({ searchQuery, selectedCategories, filterMode }) {
   return { type: RESTORE_FROM_URL, searchQuery, selectedCategories, filterMode };
 }
+
+export const SET_MODE = 'SET_MODE';
+export const ADD_EVENT = 'ADD_EVENT';
+export const UPDATE_EVENT = 'UPDATE_EVENT';
+export const DELETE_EVENT = 'DELETE_EVENT';
+export const SET_EDITING_EVENT = 'SET_EDITING_EVENT';
+export const CLEAR_DIRTY = 'CLEAR_DIRTY';
+export const SET_DRAG_PREVIEW = 'SET_DRAG_PREVIEW';
+
+/** Switch between 'view' and 'edit' mode. */
+export function setMode(mode) {
+  return { type: SET_MODE, mode };
+}
+
+/** Add a normalized event (edit mode only). */
+export function addEvent(event) {
+  return { type: ADD_EVENT, event };
+}
+
+/** Merge changes into an event; undefined values remove optional fields (edit mode only). */
+export function updateEvent(eventId, changes) {
+  return { type: UPDATE_EVENT, eventId, changes };
+}
+
+/** Remove an event from the dataset (edit mode only). */
+export function deleteEvent(eventId) {
+  return { type: DELETE_EVENT, eventId };
+}
+
+/** Mark an event as the one open in the edit panel, or null to clear. */
+export function setEditingEvent(eventId) {
+  return { type: SET_EDITING_EVENT, eventId };
+}
+
+/** Mark the dataset as saved. */
+export function clearDirty() {
+  return { type: CLEAR_DIRTY };
+}
+
+/** Show an event at provisional times while it is dragged, or null to clear. */
+export function setDragPreview(preview) {
+  return { type: SET_DRAG_PREVIEW, preview };
+}
+
+export const SET_TOUR = 'SET_TOUR';
+export const GO_TO_TOUR_STEP = 'GO_TO_TOUR_STEP';
+export const END_TOUR = 'END_TOUR';
+
+/** Set the dataset's guided tour (as parsed by parseTour), or null; ends a tour in progress. */
+export function setTour(tour) {
+  return { type: SET_TOUR, tour };
+}
+
+/** Show a tour step (clamped to the tour), applying its filters and highlight. */
+export function goToTourStep(step) {
+  return { type: GO_TO_TOUR_STEP, step };
+}
+
+/** Leave the tour, restoring the filters that were active before it started. */
+export function endTour() {
+  return { type: END_TOUR };
+}
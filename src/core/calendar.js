@@ -0,0 +1,92 @@
+/**
+ * Civil dates in the proleptic Gregorian calendar (UTC).
+ *
+ * Years are astronomical: year 0 is 1 BCE, year -1 is 2 BCE. Conversions use
+ * BigInt day counts, so they hold for any time the timeline can show, long
+ * past the range of JavaScript's Date.
+ */
+
+import { DAY } from './time.js';
+
+// Days in a 400-year Gregorian cycle, and from 0000-03-01 to 1970-01-01
+const DAYS_PER_ERA = 146097n;
+const EPOCH_OFFSET_DAYS = 719468n;
+
+function floorDiv(a, b) {
+  const q = a / b;
+  return a % b !== 0n && a < 0n ? q - 1n : q;
+}
+
+/**
+ * Days since 1970-01-01 of a civil date.
+ *
+ * @param {bigint} year - Astronomical year
+ * @param {bigint} month - 1–12
+ * @param {bigint} day - 1–31
+ * @returns {bigint}
+ */
+function daysFromCivil(year, month, day) {
+  // Count years from March so the leap day ends the year
+  const y = month <= 2n ? year - 1n : year;
+  const era = floorDiv(y, 400n);
+  const yearOfEra = y - era * 400n;
+  const monthFromMarch = (month + 9n) % 12n;
+  const dayOfYear = (153n * monthFromMarch + 2n) / 5n + day - 1n;
+  const dayOfEra = yearOfEra * 365n + yearOfEra / 4n - yearOfEra / 100n + dayOfYear;
+  return era * DAYS_PER_ERA + dayOfEra - EPOCH_OFFSET_DAYS;
+}
+
+function civilFromDays(days) {
+  const shifted = days + EPOCH_OFFSET_DAYS;
+  const era = floorDiv(shifted, DAYS_PER_ERA);
+  const dayOfEra = shifted - era * DAYS_PER_ERA;
+  const yearOfEra = (dayOfEra - dayOfEra / 1460n + dayOfEra / 36524n - dayOfEra / 146096n) / 365n;
+  const dayOfYear = dayOfEra - (365n * yearOfEra + yearOfEra / 4n - yearOfEra / 100n);
+  const monthFromMarch = (5n * dayOfYear + 2n) / 153n;
+  const day = dayOfYear - (153n * monthFromMarch + 2n) / 5n + 1n;
+  const month = monthFromMarch < 10n ? monthFromMarch + 3n : monthFromMarch - 9n;
+  const year = yearOfEra + era * 400n + (month <= 2n ? 1n : 0n);
+  return { year: Number(year), month: Number(month) - 1, day: Number(day) };
+}
+
+/**
+ * Civil date of a time.
+ *
+ * @param {bigint} time - Nanoseconds since 1970-01-01 UTC
+ * @returns {{ year: number, month: number, day: number }} Astronomical year, month 0–11, day 1–31
+ */
+export function civilFromTime(time) {
+  return civilFromDays(floorDiv(time, DAY));
+}
+
+/**
+ * Time at midnight UTC of a civil date. Months outside 0–11 roll over into
+ * neighbouring years.
+ *
+ * @param {number} year - Astronomical year
+ * @param {number} month - 0–11
+ * @param {number} [day=1]
+ * @returns {bigint}
+ */
+export function timeFromCivil(year, month, day = 1) {
+  const yearOffset = Math.floor(month / 12);
+  const monthInYear = month - yearOffset * 12;
+  return daysFromCivil(BigInt(year + yearOffset), BigInt(monthInYear + 1), BigInt(day)) * DAY;
+}
+
+/**
+ * ISO 8601 week of a time: weeks start on Monday and belong to the year that
+ * holds their Thursday.
+ *
+ * @param {bigint} time
+ * @returns {{ year: number, week: number }}
+ */
+export function isoWeekOf(time) {
+  const days = floorDiv(time, DAY);
+  // 1970-01-01 was a Thursday
+  const weekday = (((days + 3n) % 7n) + 7n) % 7n;
+  const thursday = days - weekday + 3n;
+  const { year } = civilFromDays(thursday);
+  const week = (thursday - daysFromCivil(BigInt(year), 1n, 1n)) / 7n + 1n;
+  return { year, week: Number(week) };
+}
@@ -0,0 +1,56 @@
+/**
+ * Helpers for creating events in edit mode.
+ */
+
+import { DAY, screenToTime, toSeconds, YEAR } from './time.js';
+
+// Seconds-per-pixel thresholds mapped to the precision a click can reasonably express
+const PRECISION_BY_SCALE = [
+  [toSeconds(DAY), 'day'],
+  [toSeconds(DAY) * 30, 'month'],
+  [toSeconds(YEAR) * 10, 'year'],
+  [toSeconds(YEAR) * 1000, 'century'],
+  [toSeconds(YEAR) * 1e6, 'million_years'],
+];
+
+/**
+ * Pick the event precision matching the current zoom level.
+ *
+ * @param {number} secondsPerPixel
+ * @returns {string}
+ */
+export function precisionForScale(secondsPerPixel) {
+  for (const [limit, precision] of PRECISION_BY_SCALE) {
+    if (secondsPerPixel < limit) return precision;
+  }
+  return 'billion_years';
+}
+
+/**
+ * Generate a unique id for a newly created event.
+ *
+ * @returns {string}
+ */
+export function generateEventId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `event-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Build an unsaved event at a canvas x position.
+ *
+ * @param {Object} state - Store state (viewportStart, scale)
+ * @param {number} x - Canvas x coordinate in pixels
+ * @returns {{ id: string, label: string, start: bigint, precision: string }}
+ */
+export function createDraftEvent(state, x) {
+  const start = screenToTime(x, state.viewportStart, state.scale);
+  return {
+    id: generateEventId(),
+    label: '',
+    start,
+    precision: precisionForScale(state.scale.getSecondsPerPixel(start)),
+  };
+}
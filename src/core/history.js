@@ -0,0 +1,162 @@
+/**
+ * Undo/redo history for event mutations.
+ *
+ * withHistory() wraps a store so every ADD_EVENT, UPDATE_EVENT and DELETE_EVENT
+ * that changes the dataset records an inverse patch. Viewport, selection and
+ * other UI actions pass straight through and never enter the history.
+ */
+
+const DEFAULT_LIMIT = 100;
+
+function findEvent(events, id) {
+  return events.find((event) => event.id === id);
+}
+
+// Keys whose values differ between two versions of an event
+function changedKeys(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter((key) => before[key] !== after[key]);
+}
+
+function pick(event, keys) {
+  const patch = {};
+  for (const key of keys) patch[key] = event[key];
+  return patch;
+}
+
+// Fields a drag changes: the times, and the uncertainty window that moves with them
+const TIME_KEYS = new Set(['start', 'end', 'earliest', 'latest']);
+
+function describeUpdate(before, after, keys) {
+  if (keys.every((key) => TIME_KEYS.has(key))) {
+    const startShift = after.start - before.start;
+    // Adding or removing the end is a resize, never a move
+    const sameShift =
+      before.end === undefined || after.end === undefined
+        ? before.end === after.end
+        : after.end - before.end === startShift;
+    if (startShift !== 0n && sameShift) return `moved ${after.label}`;
+    return `resized ${after.label}`;
+  }
+  return `edited ${after.label}`;
+}
+
+/**
+ * Build the history entry for a mutation that has already been applied.
+ *
+ * @param {Object} action - The dispatched mutation
+ * @param {Array} prevEvents - Events before the mutation
+ * @param {Array} nextEvents - Events after the mutation
+ * @returns {{ label: string, forward: Array, inverse: Array }|null}
+ */
+export function createHistoryEntry(action, prevEvents, nextEvents) {
+  if (action.type === 'ADD_EVENT') {
+    const event = findEvent(nextEvents, action.event.id);
+    return {
+      label: `created ${event.label}`,
+      forward: [{ type: 'ADD_EVENT', event }],
+      inverse: [{ type: 'DELETE_EVENT', eventId: event.id }],
+    };
+  }
+  if (action.type === 'DELETE_EVENT') {
+    const event = findEvent(prevEvents, action.eventId);
+    return {
+      label: `deleted ${event.label}`,
+      forward: [{ type: 'DELETE_EVENT', eventId: event.id }],
+      inverse: [{ type: 'ADD_EVENT', event }],
+    };
+  }
+  if (action.type === 'UPDATE_EVENT') {
+    const before = findEvent(prevEvents, action.eventId);
+    const after = findEvent(nextEvents, action.eventId);
+    const keys = changedKeys(before, after);
+    if (keys.length === 0) return null;
+    // Absent keys patch to undefined, which the store treats as removal
+    return {
+      label: describeUpdate(before, after, keys),
+      forward: [{ type: 'UPDATE_EVENT', eventId: after.id, changes: pick(after, keys) }],
+      inverse: [{ type: 'UPDATE_EVENT', eventId: before.id, changes: pick(before, keys) }],
+    };
+  }
+  return null;
+}
+
+/**
+ * Wrap a store with an undo/redo history of event mutations.
+ *
+ * Replacing the dataset (SET_EVENTS) clears the history.
+ *
+ * @param {Object} store - Store from createStore()
+ * @param {{ limit?: number }} [options] - limit: maximum number of undo entries kept
+ * @returns {Object} Store-compatible object with undo(), redo(), canUndo(), canRedo() and clear()
+ */
+export function withHistory(store, { limit = DEFAULT_LIMIT } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+
+  function record(entry) {
+    undoStack.push(entry);
+    if (undoStack.length > limit) undoStack = undoStack.slice(undoStack.length - limit);
+    redoStack = [];
+  }
+
+  function dispatch(action) {
+    const prevEvents = store.getState().events;
+    store.dispatch(action);
+    const nextEvents = store.getState().events;
+
+    if (action.type === 'SET_EVENTS') {
+      clear();
+      return;
+    }
+    if (nextEvents === prevEvents) return;
+    const entry = createHistoryEntry(action, prevEvents, nextEvents);
+    if (entry) record(entry);
+  }
+
+  // Replay actions against the store without recording them
+  function apply(actions) {
+    for (const action of actions) store.dispatch(action);
+  }
+
+  /**
+   * Revert the most recent entry. Only works in edit mode.
+   *
+   * @returns {string|null} Label of the undone change, e.g. "moved Apollo 11"
+   */
+  function undo() {
+    if (undoStack.length === 0 || store.getState().mode !== 'edit') return null;
+    const entry = undoStack.pop();
+    apply(entry.inverse);
+    redoStack.push(entry);
+    return entry.label;
+  }
+
+  /**
+   * Reapply the most recently undone entry. Only works in edit mode.
+   *
+   * @returns {string|null} Label of the redone change
+   */
+  function redo() {
+    if (redoStack.length === 0 || store.getState().mode !== 'edit') return null;
+    const entry = redoStack.pop();
+    apply(entry.forward);
+    undoStack.push(entry);
+    return entry.label;
+  }
+
+  function clear() {
+    undoStack = [];
+    redoStack = [];
+  }
+
+  return {
+    ...store,
+    dispatch,
+    undo,
+    redo,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    clear,
+  };
+}
@@ -2,34 +2,25 @@
  * Inverted index for fast text search across large event datasets.
  *
  * Build strategy:
- *   - Extract tokens (words) from label + description fields
+ *   - Extract tokens (words, and CJK characters and bigrams; see tokenizer.js)
+ *     from label + description fields
  *   - Store a posting list (Set of event IDs) per unique token
  *   - Keep tokens in a sorted array for O(log n) prefix lookups
+ *   - Bucket tokens by length, as a typo changes a token's length by at most
+ *     its number of edits
  *
  * Search strategy:
  *   - Tokenize the query
- *   - For each query token, binary-search the sorted token list for prefix matches
+ *   - For each query token, binary-search the sorted token list for prefix matches,
+ *     and scan the buckets of nearby lengths for tokens within maxEdits() of it
  *   - Intersect posting sets across all query tokens
  *
- * Supports prefix matching ('Apoll' matches 'apollo'), case-insensitive.
+ * Supports prefix matching ('Apoll' matches 'apollo'), typos in longer words
+ * ('Apolo' matches 'apollo'), case- and diacritic-insensitive ('nazca' matches 'Nāzca').
  * Memory: ~O(unique_tokens) which is well under 100MB for 100K events.
  */
 
-const MIN_TOKEN_LEN = 2;
-
-/**
- * Split text into lowercase alpha-numeric tokens.
- *
- * @param {string} text
- * @returns {string[]}
- */
-function tokenize(text) {
-  if (!text) return [];
-  return text
-    .toLowerCase()
-    .split(/[^a-z0-9]+/)
-    .filter((t) => t.length >= MIN_TOKEN_LEN);
-}
+import { fuzzyEdits, maxEdits, tokenize, tokenizeQuery } from './tokenizer.js';
 
 export class InvertedIndex {
   constructor() {
@@ -37,6 +28,10 @@ export class InvertedIndex {
     this._tokenMap = new Map();
     /** @type {string[]} sorted token list for binary search */
     this._sortedTokens = [];
+    /** @type {Map<number, string[]>} token length → tokens of that length */
+    this._tokensByLength = new Map();
+    /** @type {Map<string, number>} event ID → position in the events array */
+    this._order = new Map();
   }
 
   /**
@@ -46,6 +41,7 @@ export class InvertedIndex {
    */
   build(events) {
     this._tokenMap = new Map();
+    this._order = new Map(events.map((event, i) => [event.id, i]));
 
     for (const event of events) {
       const label = event.title || event.label || '';
@@ -64,6 +60,15 @@ export class InvertedIndex {
     }
 
     this._sortedTokens = [...this._tokenMap.keys()].sort();
+    this._tokensByLength = new Map();
+    for (const token of this._sortedTokens) {
+      let bucket = this._tokensByLength.get(token.length);
+      if (!bucket) {
+        bucket = [];
+        this._tokensByLength.set(token.length, bucket);
+      }
+      bucket.push(token);
+    }
   }
 
   /**
@@ -73,7 +78,7 @@ export class InvertedIndex {
    * @param {string} prefix
    * @returns {Set<string>}
    */
-  _lookupPrefix(prefix) {
+  lookupPrefix(prefix) {
     const tokens = this._sortedTokens;
     const n = tokens.length;
 
@@ -94,22 +99,45 @@ export class InvertedIndex {
     return result;
   }
 
+  /**
+   * Return event IDs for all index tokens a typo away from `queryToken`
+   * (see maxEdits() for how many edits are allowed). Computes edit distance
+   * only against tokens whose length is close enough, read from their buckets.
+   *
+   * @param {string} queryToken
+   * @returns {Set<string>}
+   */
+  lookupFuzzy(queryToken) {
+    const result = new Set();
+    const max = maxEdits(queryToken);
+    if (max === 0) return result;
+    for (let length = queryToken.length - max; length <= queryToken.length + max; length++) {
+      for (const token of this._tokensByLength.get(length) ?? []) {
+        if (fuzzyEdits(queryToken, token) === null) continue;
+        for (const id of this._tokenMap.get(token)) result.add(id);
+      }
+    }
+    return result;
+  }
+
   /**
    * Search for events matching a query.
-   * Multi-word queries AND the per-token results.
+   * Multi-word queries AND the per-token results. Each query token matches
+   * index tokens it is a prefix of, or a typo away from.
    *
    * @param {string} query
-   * @returns {string[]|null} Matching event IDs, or null if query is empty
+   * @returns {string[]|null} Matching event IDs in source order, or null if the query has no tokens
    */
   search(query) {
     if (!query || query.trim() === '') return null;
 
-    const queryTokens = tokenize(query);
+    const queryTokens = tokenizeQuery(query);
     if (queryTokens.length === 0) return null;
 
     let resultSet = null;
     for (const qToken of queryTokens) {
-      const matching = this._lookupPrefix(qToken);
+      const matching = this.lookupPrefix(qToken);
+      for (const id of this.lookupFuzzy(qToken)) matching.add(id);
 
       if (matching.size === 0) return [];
 
@@ -124,6 +152,6 @@ export class InvertedIndex {
       }
     }
 
-    return resultSet ? [...resultSet] : [];
+    return [...resultSet].sort((a, b) => this._order.get(a) - this._order.get(b));
   }
 }
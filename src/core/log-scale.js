@@ -0,0 +1,138 @@
+/**
+ * Logarithmic "time before present" scale.
+ *
+ * Screen position is proportional to -log10(age), where age is the time before
+ * a reference present, so every decade of age (1 ka, 10 ka, 100 ka, 1 Ma...)
+ * gets the same width. Zooming changes the pixels per decade.
+ *
+ * It offers the same methods as RationalScale, but a pixel offset no longer
+ * maps to a fixed time offset: timeToPx() and pxToTime() take the time they
+ * are measured from (the viewport start, for screen positions) as a second
+ * argument. RationalScale ignores it.
+ *
+ * Ages under MIN_AGE, including times after the present, share the position of
+ * MIN_AGE at the right end of the axis.
+ */
+
+import { SECOND, YEAR } from './time.js';
+
+export const MIN_AGE = SECOND;
+export const MIN_PIXELS_PER_DECADE = 20;
+export const MAX_PIXELS_PER_DECADE = 1e8;
+
+// Ages beyond 10^29 ns (~3 trillion years) are not representable on the axis
+const MIN_LOG_AGE = Math.log10(Number(MIN_AGE));
+const MAX_LOG_AGE = 29;
+
+function clampPixelsPerDecade(pixelsPerDecade) {
+  return Math.max(MIN_PIXELS_PER_DECADE, Math.min(MAX_PIXELS_PER_DECADE, pixelsPerDecade));
+}
+
+export class LogScale {
+  /**
+   * @param {number} pixelsPerDecade - Width of one decade of age, e.g. from 1 ka to 10 ka
+   * @param {bigint} present - Reference time the ages are measured back from
+   */
+  constructor(pixelsPerDecade, present) {
+    if (!(pixelsPerDecade > 0)) {
+      throw new Error('Pixels per decade must be positive');
+    }
+    this.pixelsPerDecade = pixelsPerDecade;
+    this.present = present;
+  }
+
+  get logarithmic() {
+    return true;
+  }
+
+  /**
+   * log10 of the age of a time, in nanoseconds before the present
+   * @param {bigint} time
+   * @returns {number}
+   */
+  logAge(time) {
+    const age = this.present - time;
+    return Math.log10(Number(age < MIN_AGE ? MIN_AGE : age));
+  }
+
+  /**
+   * Time whose age has the given log10
+   * @param {number} logAge
+   * @returns {bigint}
+   */
+  timeAtLogAge(logAge) {
+    const clamped = Math.max(MIN_LOG_AGE, Math.min(MAX_LOG_AGE, logAge));
+    return this.present - BigInt(Math.round(10 ** clamped));
+  }
+
+  /**
+   * @param {bigint} timeDelta - Time offset from origin
+   * @param {bigint} origin - Time the offset is measured from
+   * @returns {number} Pixels from origin
+   */
+  timeToPx(timeDelta, origin) {
+    return (this.logAge(origin) - this.logAge(origin + timeDelta)) * this.pixelsPerDecade;
+  }
+
+  /**
+   * @param {number} pxDelta - Pixels from origin
+   * @param {bigint} origin - Time the offset is measured from
+   * @returns {bigint} Time offset from origin
+   */
+  pxToTime(pxDelta, origin) {
+    return this.timeAtLogAge(this.logAge(origin) - pxDelta / this.pixelsPerDecade) - origin;
+  }
+
+  /**
+   * Viewport start that puts `anchorTime` at `anchorX` pixels.
+   * @param {bigint} anchorTime
+   * @param {number} anchorX
+   * @returns {bigint}
+   */
+  viewportStartFor(anchorTime, anchorX) {
+    return this.timeAtLogAge(this.logAge(anchorTime) + anchorX / this.pixelsPerDecade);
+  }
+
+  zoom(factor) {
+    if (factor <= 0) {
+      throw new Error('Zoom factor must be positive');
+    }
+    return new LogScale(clampPixelsPerDecade(this.pixelsPerDecade * factor), this.present);
+  }
+
+  /**
+   * Local seconds per pixel, which grows with age.
+   * @param {bigint} [atTime] - Where to measure (defaults to one year before the present)
+   * @returns {number}
+   */
+  getSecondsPerPixel(atTime = this.present - YEAR) {
+    return (10 ** this.logAge(atTime) * Math.LN10) / this.pixelsPerDecade / Number(SECOND);
+  }
+
+  getPixelsPerSecond(atTime) {
+    return 1 / this.getSecondsPerPixel(atTime);
+  }
+
+  /**
+   * Scale and viewport start that show [start, end] across `width` pixels,
+   * less `margin` pixels on each side. When that needs more or fewer pixels
+   * per decade than allowed, the range is centered instead.
+   *
+   * @param {bigint} start
+   * @param {bigint} end
+   * @param {number} width - Canvas width in pixels
+   * @param {bigint} present
+   * @param {{ margin?: number }} [options]
+   * @returns {{ viewportStart: bigint, scale: LogScale }}
+   */
+  static fromRange(start, end, width, present, { margin = 0 } = {}) {
+    const probe = new LogScale(1, present);
+    const logStart = probe.logAge(start);
+    const logEnd = probe.logAge(end);
+    const span = logStart - logEnd;
+    const fitWidth = width - 2 * margin;
+    const scale = new LogScale(clampPixelsPerDecade(span > 0 ? fitWidth / span : MAX_PIXELS_PER_DECADE), present);
+    const logCenter = (logStart + logEnd) / 2;
+    return { viewportStart: scale.timeAtLogAge(logCenter + width / 2 / scale.pixelsPerDecade), scale };
+  }
+}
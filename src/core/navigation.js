@@ -1,18 +1,25 @@
+import { LogScale } from './log-scale.js';
 import { RationalScale } from './scale.js';
+import { DAY, fromMilliseconds, screenToTime, toSeconds } from './time.js';
 
-const MIN_SECONDS_PER_PIXEL = 0.001;
+const MIN_SECONDS_PER_PIXEL = 1e-10;
 const MAX_SECONDS_PER_PIXEL = 1e15;
-const MIN_POINT_EVENT_SPAN = 86400n; // 1 day fallback for point events
+const MIN_POINT_EVENT_SPAN = DAY; // fallback for point events
 const ZOOM_PADDING = 0.2; // 20% padding each side
 
+export const AXIS_MODES = ['linear', 'log'];
+
 /**
  * Calculate viewport to fit a time range centered with padding.
  *
+ * With a logarithmic `scale` the range fills the same share of the width on a
+ * log axis with the same present.
+ *
  * @param {bigint} start
  * @param {bigint} end
  * @param {number} canvasWidth - Canvas width in pixels
- * @param {{ maxSecondsPerPixel?: number, minSpan?: bigint, targetVisibleFraction?: number }} [options]
- * @returns {{ viewportStart: bigint, scale: RationalScale }}
+ * @param {{ maxSecondsPerPixel?: number, minSpan?: bigint, targetVisibleFraction?: number, scale?: Object }} [options]
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }}
  */
 export function zoomToRange(start, end, canvasWidth, options = {}) {
   const rawSpan = end > start ? end - start : 0n;
@@ -28,7 +35,12 @@ export function zoomToRange(start, end, canvasWidth, options = {}) {
     visibleSpan = span + paddingTime * 2n;
   }
 
-  const spp = Number(visibleSpan) / canvasWidth;
+  if (options.scale?.logarithmic) {
+    const margin = (canvasWidth * (1 - Number(span) / Number(visibleSpan))) / 2;
+    return LogScale.fromRange(center - span / 2n, center + span / 2n, canvasWidth, options.scale.present, { margin });
+  }
+
+  const spp = toSeconds(visibleSpan) / canvasWidth;
   const maxSecondsPerPixel = options.maxSecondsPerPixel ?? MAX_SECONDS_PER_PIXEL;
   const clampedSpp = Math.max(MIN_SECONDS_PER_PIXEL, Math.min(maxSecondsPerPixel, spp));
   const scale = RationalScale.fromSecondsPerPixel(clampedSpp);
@@ -42,10 +54,63 @@ export function zoomToRange(start, end, canvasWidth, options = {}) {
  *
  * @param {{ start: bigint, end?: bigint }} event
  * @param {number} canvasWidth - Canvas width in pixels
- * @returns {{ viewportStart: bigint, scale: RationalScale }}
+ * @param {Object} [scale] - Current scale; a logarithmic one keeps the log axis
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }}
  */
-export function zoomToEvent(event, canvasWidth) {
+export function zoomToEvent(event, canvasWidth, scale) {
   const start = event.start;
   const end = event.end != null ? event.end : event.start;
-  return zoomToRange(start, end, canvasWidth);
+  return zoomToRange(start, end, canvasWidth, { scale });
+}
+
+/**
+ * Viewport for a tour step: its own viewport range, or else the range spanned
+ * by its events.
+ *
+ * @param {{ viewport: { start: bigint, end: bigint }|null, eventIds: string[] }} step
+ * @param {Array} events - Loaded events
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {Object} [scale] - Current scale; a logarithmic one keeps the log axis
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }|null} Null when none of the step's events are loaded
+ */
+export function zoomToTourStep(step, events, canvasWidth, scale) {
+  if (step.viewport) {
+    return zoomToRange(step.viewport.start, step.viewport.end, canvasWidth, { targetVisibleFraction: 1, scale });
+  }
+  const ids = new Set(step.eventIds);
+  let start = null;
+  let end = null;
+  for (const event of events) {
+    if (!ids.has(event.id)) continue;
+    const eventEnd = event.end ?? event.start;
+    if (start === null || event.start < start) start = event.start;
+    if (end === null || eventEnd > end) end = eventEnd;
+  }
+  return start === null ? null : zoomToRange(start, end, canvasWidth, { scale });
+}
+
+/**
+ * Viewport showing the current time range on a linear axis or on a
+ * logarithmic "time before present" axis.
+ *
+ * @param {{ viewportStart: bigint, scale: Object, canvasWidth: number }} state
+ * @param {'linear'|'log'} mode
+ * @param {bigint} [present] - Reference time for a new log axis (defaults to now)
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }}
+ */
+export function convertAxisMode(state, mode, present = fromMilliseconds(Date.now())) {
+  if (!AXIS_MODES.includes(mode)) {
+    throw new Error(`Nayra: unknown axis mode "${mode}"`);
+  }
+  const { viewportStart, scale, canvasWidth } = state;
+  if ((mode === 'log') === Boolean(scale.logarithmic)) {
+    return { viewportStart, scale };
+  }
+  const viewportEnd = screenToTime(canvasWidth, viewportStart, scale);
+  if (mode === 'log') {
+    return LogScale.fromRange(viewportStart, viewportEnd, canvasWidth, present);
+  }
+  const spp = toSeconds(viewportEnd - viewportStart) / canvasWidth;
+  const clampedSpp = Math.max(MIN_SECONDS_PER_PIXEL, Math.min(MAX_SECONDS_PER_PIXEL, spp));
+  return { viewportStart, scale: RationalScale.fromSecondsPerPixel(clampedSpp) };
 }
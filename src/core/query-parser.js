@@ -0,0 +1,156 @@
+/**
+ * Structured search query language.
+ *
+ *   category:science tag:apollo priority:<=1 after:1960 before:"1975 CE" "exact phrase" -excluded OR other
+ *
+ * - Terms separated by spaces must all match; `OR` (upper case) separates
+ *   alternatives, and binds looser than the implicit AND.
+ * - `-` in front of a term excludes events that match it.
+ * - Words match word prefixes and "quoted phrases" match anywhere in the
+ *   label or description, ignoring case and accents (see tokenizer.js).
+ * - `category:` and `tag:` match whole values, case-insensitively.
+ * - `priority:` takes 0-4, optionally with <, <=, > or >=.
+ * - `after:` and `before:` take anything parseTimeQuery() understands. An
+ *   event is after a date when it starts at or after the beginning of the
+ *   date's year, month or day, and before it when it ends before that.
+ * - Any other `name:value` is an ordinary word, since labels often contain colons.
+ */
+
+import { parseTimeQuery } from './time-parser.js';
+import { foldText } from './tokenizer.js';
+
+export const QUERY_FIELDS = ['category', 'tag', 'priority', 'after', 'before'];
+
+const FIELD_PREFIX = /^(-?)([a-z]+):/i;
+const PRIORITY_PATTERN = /^(<=|>=|<|>|=)?([0-4])$/;
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+// Split a query into terms and OR operators, keeping quoted text together
+function lex(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i++;
+      continue;
+    }
+    const position = i;
+    let raw = '';
+    let quoted = null;
+    while (i < query.length && !/\s/.test(query[i])) {
+      // A quote opens a phrase at the start of a term, after `-`, or after `field:`
+      if (query[i] === '"' && quoted === null && (raw === '' || raw === '-' || FIELD_PREFIX.test(raw))) {
+        const close = query.indexOf('"', i + 1);
+        if (close === -1) throw new QuerySyntaxError('Missing closing quote', i);
+        quoted = query.slice(i + 1, close);
+        i = close + 1;
+        break;
+      }
+      raw += query[i];
+      i++;
+    }
+    if (quoted === null && raw === 'OR') {
+      tokens.push({ type: 'or', position });
+    } else {
+      tokens.push({ type: 'term', raw, quoted, position });
+    }
+  }
+  return tokens;
+}
+
+function parseField(field, value, position) {
+  if (value === '') {
+    throw new QuerySyntaxError(`Missing value after ${field}:`, position);
+  }
+  if (field === 'category' || field === 'tag') {
+    return { type: field, value: foldText(value) };
+  }
+  if (field === 'priority') {
+    const match = value.match(PRIORITY_PATTERN);
+    if (!match) {
+      throw new QuerySyntaxError('priority: expects 0-4, optionally with <, <=, > or >=', position);
+    }
+    return { type: 'priority', operator: match[1] || '=', value: Number(match[2]) };
+  }
+  const result = parseTimeQuery(value);
+  if (!result.success) {
+    throw new QuerySyntaxError(`${field}: "${value}" is not a recognized date`, position);
+  }
+  return { type: field, time: result.time - result.span / 2n };
+}
+
+function parseTerm({ raw, quoted, position }) {
+  const fieldMatch = raw.match(FIELD_PREFIX);
+  const field = fieldMatch?.[2].toLowerCase();
+  if (fieldMatch && QUERY_FIELDS.includes(field)) {
+    const value = quoted ?? raw.slice(fieldMatch[0].length);
+    return { ...parseField(field, value, position), negated: fieldMatch[1] === '-' };
+  }
+  if (quoted !== null) {
+    return { type: 'phrase', value: quoted, negated: raw === '-' };
+  }
+  // A lone "-" is just a word
+  const negated = raw.length > 1 && raw.startsWith('-');
+  return { type: 'word', value: negated ? raw.slice(1) : raw, negated };
+}
+
+/**
+ * Parse a search query.
+ *
+ * @param {string} query
+ * @returns {{ clauses: Array<Array<Object>>|null, error: { message: string, position: number }|null }}
+ *   `clauses` are the OR'ed alternatives, each a list of terms that must all match; null when the
+ *   query is empty or invalid
+ */
+export function parseSearchQuery(query) {
+  if (!query || query.trim() === '') return { clauses: null, error: null };
+  try {
+    const clauses = [[]];
+    let lastOr = null;
+    for (const token of lex(query)) {
+      if (token.type === 'or') {
+        if (clauses[clauses.length - 1].length === 0) {
+          throw new QuerySyntaxError('OR needs a search term on both sides', token.position);
+        }
+        clauses.push([]);
+        lastOr = token;
+      } else {
+        clauses[clauses.length - 1].push(parseTerm(token));
+      }
+    }
+    if (clauses[clauses.length - 1].length === 0) {
+      throw new QuerySyntaxError('OR needs a search term on both sides', lastOr.position);
+    }
+    return { clauses, error: null };
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    return { clauses: null, error: { message: error.message, position: error.position } };
+  }
+}
+
+/**
+ * Free-text words and phrases of a query, for highlighting. Field filters and
+ * excluded terms are left out.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function getFreeTextTerms(query) {
+  const { clauses } = parseSearchQuery(query);
+  if (!clauses) return [];
+  const terms = [];
+  for (const clause of clauses) {
+    for (const term of clause) {
+      if ((term.type === 'word' || term.type === 'phrase') && !term.negated && term.value.trim() !== '') {
+        terms.push(term.value);
+      }
+    }
+  }
+  return terms;
+}
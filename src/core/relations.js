@@ -0,0 +1,58 @@
+/**
+ * Event relationships.
+ *
+ * An event may list `relations: [{ type, target }]`, each pointing from the
+ * event to another event id. The direction is "source <type> target": an
+ * event with `{ type: 'caused', target: 'b' }` caused event b.
+ */
+
+export const RELATION_TYPES = ['caused', 'preceded', 'part_of'];
+
+// Wording from the point of view of the source (outgoing) and of the target (incoming)
+export const RELATION_LABELS = {
+  caused: { outgoing: 'Caused', incoming: 'Caused by' },
+  preceded: { outgoing: 'Preceded', incoming: 'Preceded by' },
+  part_of: { outgoing: 'Part of', incoming: 'Includes' },
+};
+
+/**
+ * List every relation between loaded events as source/target pairs.
+ * Relations whose target is not loaded (e.g. deleted while editing) are skipped.
+ *
+ * @param {Array} events
+ * @returns {Array<{ type: string, source: Object, target: Object }>}
+ */
+export function collectRelations(events) {
+  const byId = new Map(events.map((event) => [event.id, event]));
+  const relations = [];
+  for (const source of events) {
+    if (!source.relations) continue;
+    for (const { type, target } of source.relations) {
+      const targetEvent = byId.get(target);
+      if (targetEvent) relations.push({ type, source, target: targetEvent });
+    }
+  }
+  return relations;
+}
+
+/**
+ * Outgoing and incoming relations of one event, with the related events resolved.
+ *
+ * @param {Object} event
+ * @param {Array} events - All loaded events
+ * @returns {{ outgoing: Array<{ type: string, label: string, event: Object }>,
+ *   incoming: Array<{ type: string, label: string, event: Object }> }}
+ */
+export function getEventRelations(event, events) {
+  const outgoing = [];
+  const incoming = [];
+  for (const relation of collectRelations(events)) {
+    if (relation.source.id === event.id) {
+      outgoing.push({ type: relation.type, label: RELATION_LABELS[relation.type].outgoing, event: relation.target });
+    }
+    if (relation.target.id === event.id) {
+      incoming.push({ type: relation.type, label: RELATION_LABELS[relation.type].incoming, event: relation.source });
+    }
+  }
+  return { outgoing, incoming };
+}
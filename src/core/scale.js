@@ -1,3 +1,13 @@
+import { SECOND } from './time.js';
+
+// Fixed-point steps for rates given as floats
+const PRECISION = 1_000_000;
+
+/**
+ * Linear scale: pixels per unit of time as an exact ratio of BigInts, so
+ * nanoseconds and billions of years convert without floating point.
+ * Rates given or returned as floats are in seconds.
+ */
 export class RationalScale {
   constructor(numerator, denominator) {
     if (denominator === 0n) {
@@ -25,6 +35,16 @@ export class RationalScale {
     return (bigPx * this._denom) / this._numer;
   }
 
+  /**
+   * Viewport start that puts `anchorTime` at `anchorX` pixels.
+   * @param {bigint} anchorTime
+   * @param {number} anchorX
+   * @returns {bigint}
+   */
+  viewportStartFor(anchorTime, anchorX) {
+    return anchorTime - this.pxToTime(anchorX);
+  }
+
   zoom(factor) {
     if (factor <= 0) {
       throw new Error('Zoom factor must be positive');
@@ -35,20 +55,20 @@ export class RationalScale {
   }
 
   static fromSecondsPerPixel(secondsPerPixel) {
-    const scaledValue = BigInt(Math.round(secondsPerPixel * 1000000));
-    return new RationalScale(1000000n, scaledValue);
+    const scaledValue = BigInt(Math.round(secondsPerPixel * Number(SECOND) * PRECISION));
+    return new RationalScale(BigInt(PRECISION), scaledValue);
   }
 
   static fromPixelsPerSecond(pixelsPerSecond) {
-    const scaledValue = BigInt(Math.round(pixelsPerSecond * 1000000));
-    return new RationalScale(scaledValue, 1000000n);
+    const scaledValue = BigInt(Math.round(pixelsPerSecond * PRECISION));
+    return new RationalScale(scaledValue, BigInt(PRECISION) * SECOND);
   }
 
   getSecondsPerPixel() {
-    return Number(this._denom) / Number(this._numer);
+    return Number(this._denom) / Number(this._numer) / Number(SECOND);
   }
 
   getPixelsPerSecond() {
-    return Number(this._numer) / Number(this._denom);
+    return (Number(this._numer) * Number(SECOND)) / Number(this._denom);
   }
 }
@@ -1,62 +1,212 @@
 /**
- * Core search logic for filtering events by title and description.
+ * Core search logic for filtering events by title and description, with the
+ * field filters and operators of the query language in query-parser.js.
  *
  * For datasets above INDEX_THRESHOLD, an InvertedIndex is used automatically
- * for better performance. For smaller datasets, a simple linear scan is used.
+ * for better performance. For smaller datasets, a linear scan over the same
+ * tokens is used, so both return the same events.
+ *
+ * Results are ranked by how well their label and description match the
+ * query's words and phrases (see scoreEvent()), ties keeping source order.
  */
 import { InvertedIndex } from './inverted-index.js';
+import { parseSearchQuery } from './query-parser.js';
+import { foldText, fuzzyEdits, tokenize, tokenizeQuery } from './tokenizer.js';
 
 const INDEX_THRESHOLD = 5000; // Use inverted index above this event count
 
-// Module-level index — rebuilt lazily when events change
-let _cachedIndex = null;
-let _cachedEvents = null;
+// Ranking: a label match counts for twice a description match, and an exact
+// word for more than a prefix, which counts for more than a typo
+const LABEL_WEIGHT = 2;
+const DESCRIPTION_WEIGHT = 1;
+const EXACT_SCORE = 3;
+const PREFIX_SCORE = 2;
+const FUZZY_SCORE = 1;
+
+// Indexes keyed by events array — built lazily, one per dataset, so timelines
+// sharing a page never evict (or read) each other's index
+let _indexCache = new WeakMap();
+
+// Tokens and folded text of each event's label and description for the linear
+// scan, phrase matching and ranking; events are replaced, never mutated
+let eventTokens = new WeakMap();
+let eventText = new WeakMap();
+
+function getEventTokens(event) {
+  let tokens = eventTokens.get(event);
+  if (!tokens) {
+    tokens = {
+      label: [...new Set(tokenize(event.title || event.label || ''))],
+      description: [...new Set(tokenize(event.description || ''))],
+    };
+    eventTokens.set(event, tokens);
+  }
+  return tokens;
+}
+
+function getEventText(event) {
+  let text = eventText.get(event);
+  if (!text) {
+    text = { label: foldText(event.title || event.label || ''), description: foldText(event.description || '') };
+    eventText.set(event, text);
+  }
+  return text;
+}
 
 function getIndex(events) {
-  if (_cachedEvents !== events) {
-    _cachedIndex = new InvertedIndex();
-    _cachedIndex.build(events);
-    _cachedEvents = events;
+  let index = _indexCache.get(events);
+  if (!index) {
+    index = new InvertedIndex();
+    index.build(events);
+    _indexCache.set(events, index);
+  }
+  return index;
+}
+
+const PRIORITY_COMPARISONS = {
+  '=': (a, b) => a === b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+// Best score of a query token against a list of tokens, 0 if none matches
+function tokenScore(queryToken, tokens, fuzzy) {
+  let best = 0;
+  for (const token of tokens) {
+    if (token === queryToken) return EXACT_SCORE;
+    if (token.startsWith(queryToken)) {
+      best = PREFIX_SCORE;
+    } else if (fuzzy && best < FUZZY_SCORE) {
+      const edits = fuzzyEdits(queryToken, token);
+      if (edits !== null) best = FUZZY_SCORE / edits;
+    }
+  }
+  return best;
+}
+
+// Excluded words only exclude prefix matches, so `-mars` keeps "Mass extinction"
+function wordMatcher(value, events, fuzzy) {
+  const queryTokens = tokenizeQuery(value);
+  if (events.length >= INDEX_THRESHOLD) {
+    const index = getIndex(events);
+    const postings = queryTokens.map((token) => {
+      const ids = index.lookupPrefix(token);
+      if (fuzzy) for (const id of index.lookupFuzzy(token)) ids.add(id);
+      return ids;
+    });
+    return (event) => postings.every((ids) => ids.has(event.id));
   }
-  return _cachedIndex;
+  return (event) => {
+    const { label, description } = getEventTokens(event);
+    return queryTokens.every(
+      (queryToken) => tokenScore(queryToken, label, fuzzy) > 0 || tokenScore(queryToken, description, fuzzy) > 0,
+    );
+  };
+}
+
+// Predicate for one parsed query term
+function termMatcher(term, events) {
+  switch (term.type) {
+    case 'word':
+      return wordMatcher(term.value, events, !term.negated);
+    case 'phrase': {
+      const phrase = foldText(term.value);
+      return (event) => {
+        const { label, description } = getEventText(event);
+        return label.includes(phrase) || description.includes(phrase);
+      };
+    }
+    case 'category':
+      return (event) => event.category != null && foldText(event.category) === term.value;
+    case 'tag':
+      return (event) => Array.isArray(event.tags) && event.tags.some((tag) => foldText(String(tag)) === term.value);
+    case 'priority': {
+      const compare = PRIORITY_COMPARISONS[term.operator];
+      return (event) => typeof event.priority === 'number' && compare(event.priority, term.value);
+    }
+    case 'after':
+      return (event) => event.start >= term.time;
+    case 'before':
+      return (event) => (event.end ?? event.start) < term.time;
+    default:
+      throw new Error(`Nayra: unknown search term "${term.type}"`);
+  }
+}
+
+// Relevance of a matching event to the query's words and phrases
+function scoreEvent(event, queryTokens, phrases) {
+  let score = 0;
+  if (queryTokens.length > 0) {
+    const tokens = getEventTokens(event);
+    for (const queryToken of queryTokens) {
+      score += Math.max(
+        LABEL_WEIGHT * tokenScore(queryToken, tokens.label, true),
+        DESCRIPTION_WEIGHT * tokenScore(queryToken, tokens.description, true),
+      );
+    }
+  }
+  if (phrases.length > 0) {
+    const text = getEventText(event);
+    for (const phrase of phrases) {
+      if (text.label.includes(phrase)) score += LABEL_WEIGHT * EXACT_SCORE;
+      else if (text.description.includes(phrase)) score += DESCRIPTION_WEIGHT * EXACT_SCORE;
+    }
+  }
+  return score;
+}
+
+// Sort matches by relevance; the sort is stable, so ties keep source order
+function rankResults(matches, clauses) {
+  const terms = clauses.flat().filter((term) => !term.negated);
+  const queryTokens = [
+    ...new Set(terms.filter((term) => term.type === 'word').flatMap((term) => tokenizeQuery(term.value))),
+  ];
+  const phrases = terms.filter((term) => term.type === 'phrase').map((term) => foldText(term.value));
+  if (queryTokens.length === 0 && phrases.length === 0) return matches.map((event) => event.id);
+
+  return matches
+    .map((event) => ({ id: event.id, score: scoreEvent(event, queryTokens, phrases) }))
+    .sort((a, b) => b.score - a.score)
+    .map((result) => result.id);
 }
 
 /**
- * Filter events by a text query across title/label and description fields.
+ * Filter events by a search query (see query-parser.js for the syntax).
+ * Words match when every token is a prefix of one of the event's label or
+ * description tokens, or a typo away from one (see tokenizer.js).
  * Automatically uses an inverted index for large datasets.
  *
  * @param {Array} events - Array of event objects
  * @param {string} query - Search query string
- * @returns {string[]|null} Matching event IDs, or null if query is empty (no filter)
+ * @returns {string[]|null} Matching event IDs, most relevant first, or null if the query is empty or
+ *   invalid (no filter)
  */
 export function filterEvents(events, query) {
-  if (!query || query.trim() === '') {
-    return null;
-  }
+  const { clauses } = parseSearchQuery(query);
+  if (!clauses) return null;
 
-  if (events.length >= INDEX_THRESHOLD) {
-    return getIndex(events).search(query);
-  }
-
-  // Linear scan for small datasets
-  const lowerQuery = query.toLowerCase();
-  const results = [];
+  // Nothing searchable, e.g. only punctuation
+  const plainWords = clauses.length === 1 && clauses[0].every((term) => term.type === 'word' && !term.negated);
+  if (plainWords && tokenizeQuery(query).length === 0) return null;
 
-  for (const event of events) {
-    const title = (event.title || event.label || '').toLowerCase();
-    const description = (event.description || '').toLowerCase();
-    if (title.includes(lowerQuery) || description.includes(lowerQuery)) {
-      results.push(event.id);
-    }
-  }
+  const matchers = clauses.map((clause) =>
+    clause.map((term) => {
+      const matches = termMatcher(term, events);
+      return term.negated ? (event) => !matches(event) : matches;
+    }),
+  );
 
-  return results;
+  const matches = events.filter((event) => matchers.some((clause) => clause.every((matcher) => matcher(event))));
+  return rankResults(matches, clauses);
 }
 
-/** Invalidate the cached index (call when events array reference changes). */
+/** Invalidate all cached indexes (call when an events array is mutated in place). */
 export function invalidateSearchIndex() {
-  _cachedIndex = null;
-  _cachedEvents = null;
+  _indexCache = new WeakMap();
+  eventTokens = new WeakMap();
+  eventText = new WeakMap();
 }
 
 /**
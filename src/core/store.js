@@ -1,12 +1,73 @@
 import { computeActiveFilter, filterByCategories, toggleCategory } from './filter-engine.js';
 import { RationalScale } from './scale.js';
 import { filterEvents } from './search-engine.js';
-import { YEAR } from './time.js';
+import { screenToTime, toSeconds, YEAR } from './time.js';
+
+const MUTATION_ACTIONS = new Set(['ADD_EVENT', 'UPDATE_EVENT', 'DELETE_EVENT']);
+
+function compareByStart(a, b) {
+  return a.start < b.start ? -1 : a.start > b.start ? 1 : 0;
+}
+
+/**
+ * Check a normalized event before it enters the dataset.
+ *
+ * @returns {string|null} Error message, or null when the event is valid
+ */
+function checkEvent(event) {
+  if (typeof event.id !== 'string' || event.id === '') return 'id must be a non-empty string';
+  if (typeof event.label !== 'string' || event.label.trim() === '') return 'label must be a non-empty string';
+  if (typeof event.start !== 'bigint') return 'start must be a BigInt time';
+  if (event.end !== undefined) {
+    if (typeof event.end !== 'bigint') return 'end must be a BigInt time';
+    if (event.end < event.start) return 'end must not be earlier than start';
+  }
+  return null;
+}
+
+// Recompute the derived filter state for a new events array. A new array also
+// gives the search engine a fresh index key and the renderer a new revision.
+function withEvents(state, events) {
+  const searchResultIds = state.searchQuery ? filterEvents(events, state.searchQuery) : null;
+  const categoryFilterIds =
+    state.selectedCategories.length > 0 ? filterByCategories(events, state.selectedCategories, state.filterMode) : null;
+  return {
+    ...state,
+    events,
+    searchResultIds,
+    categoryFilterIds,
+    activeFilterIds: computeActiveFilter(searchResultIds, categoryFilterIds),
+  };
+}
+
+// Replace the search query and category filters, e.g. from the URL or a tour step
+function withFilters(state, { searchQuery, selectedCategories, filterMode }) {
+  const searchResultIds = filterEvents(state.events, searchQuery);
+  const categoryFilterIds =
+    selectedCategories.length > 0 ? filterByCategories(state.events, selectedCategories, filterMode) : null;
+  return {
+    ...state,
+    searchQuery,
+    searchResultIds,
+    currentResultIndex: 0,
+    selectedCategories,
+    filterMode,
+    categoryFilterIds,
+    activeFilterIds: computeActiveFilter(searchResultIds, categoryFilterIds),
+  };
+}
+
+// Stop a playing tour, restoring the filters that were active before it started
+function withoutTourPlayback(state) {
+  if (state.tourStep === null) return state;
+  const stopped = { ...state, tourStep: null, highlightedEventIds: null, tourReturnFilters: null };
+  return state.tourReturnFilters ? withFilters(stopped, state.tourReturnFilters) : stopped;
+}
 
 export function createStore(initialState = {}) {
   let state = {
     viewportStart: 0n,
-    scale: RationalScale.fromSecondsPerPixel(Number(YEAR)),
+    scale: RationalScale.fromSecondsPerPixel(toSeconds(YEAR)),
     canvasWidth: 800,
     events: [],
     searchQuery: '',
@@ -22,6 +83,16 @@ export function createStore(initialState = {}) {
     focusedEventId: null,
     focusHistory: [],
     isKeyboardFocusMode: false,
+    mode: 'view',
+    editingEventId: null,
+    hasUnsavedChanges: false,
+    dragPreview: null,
+    groupBy: null,
+    collapsedGroups: new Set(),
+    tour: null,
+    tourStep: null,
+    highlightedEventIds: null,
+    tourReturnFilters: null,
     revision: 0,
     ...initialState,
   };
@@ -33,11 +104,14 @@ export function createStore(initialState = {}) {
   }
 
   function getViewportEnd() {
-    const widthTime = state.scale.pxToTime(state.canvasWidth);
-    return state.viewportStart + widthTime;
+    return screenToTime(state.canvasWidth, state.viewportStart, state.scale);
   }
 
   function dispatch(action) {
+    if (MUTATION_ACTIONS.has(action.type) && state.mode !== 'edit') {
+      console.warn(`Nayra: ${action.type} ignored outside edit mode`);
+      return;
+    }
     const prevState = state;
     state = reduce(state, action);
     if (state !== prevState) {
@@ -72,21 +146,87 @@ function reduce(state, action) {
       return { ...state, canvasWidth: action.width };
 
     case 'SET_EVENTS': {
-      const sorted = [...action.events].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
-      const searchResultIds = state.searchQuery ? filterEvents(sorted, state.searchQuery) : null;
-      const categoryFilterIds =
-        state.selectedCategories.length > 0
-          ? filterByCategories(sorted, state.selectedCategories, state.filterMode)
-          : null;
+      const sorted = [...action.events].sort(compareByStart);
+      const loaded = withEvents(withoutTourPlayback(state), sorted);
+      return { ...loaded, editingEventId: null, hasUnsavedChanges: false, dragPreview: null };
+    }
+
+    case 'ADD_EVENT': {
+      const error = checkEvent(action.event);
+      if (error || state.events.some((e) => e.id === action.event.id)) {
+        console.error(`Nayra: ADD_EVENT rejected: ${error ?? `duplicate id "${action.event.id}"`}`);
+        return state;
+      }
+      const events = [...state.events, action.event].sort(compareByStart);
+      return { ...withEvents(state, events), hasUnsavedChanges: true };
+    }
+
+    case 'UPDATE_EVENT': {
+      const index = state.events.findIndex((e) => e.id === action.eventId);
+      if (index === -1) {
+        console.error(`Nayra: UPDATE_EVENT rejected: unknown event "${action.eventId}"`);
+        return state;
+      }
+      // Changes set to undefined remove optional fields
+      const updated = { ...state.events[index], ...action.changes, id: action.eventId };
+      for (const key of Object.keys(updated)) {
+        if (updated[key] === undefined) delete updated[key];
+      }
+      const error = checkEvent(updated);
+      if (error) {
+        console.error(`Nayra: UPDATE_EVENT rejected: ${error}`);
+        return state;
+      }
+      const events = [...state.events];
+      events[index] = updated;
+      if (updated.start !== state.events[index].start) {
+        events.sort(compareByStart);
+      }
+      return { ...withEvents(state, events), hasUnsavedChanges: true };
+    }
+
+    case 'DELETE_EVENT': {
+      const { eventId } = action;
+      if (!state.events.some((e) => e.id === eventId)) return state;
+      const events = state.events.filter((e) => e.id !== eventId);
+      let { selectedEventIds } = state;
+      if (selectedEventIds.has(eventId)) {
+        selectedEventIds = new Set(selectedEventIds);
+        selectedEventIds.delete(eventId);
+      }
       return {
-        ...state,
-        events: sorted,
-        searchResultIds,
-        categoryFilterIds,
-        activeFilterIds: computeActiveFilter(searchResultIds, categoryFilterIds),
+        ...withEvents(state, events),
+        selectedEventIds,
+        hoveredEventId: state.hoveredEventId === eventId ? null : state.hoveredEventId,
+        focusedEventId: state.focusedEventId === eventId ? null : state.focusedEventId,
+        editingEventId: state.editingEventId === eventId ? null : state.editingEventId,
+        hasUnsavedChanges: true,
       };
     }
 
+    case 'SET_MODE':
+      if (action.mode === state.mode) return state;
+      return {
+        ...state,
+        mode: action.mode,
+        editingEventId: action.mode === 'edit' ? state.editingEventId : null,
+        dragPreview: null,
+      };
+
+    // Transient drag/resize position; committed separately with UPDATE_EVENT
+    case 'SET_DRAG_PREVIEW':
+      if (action.preview === null && state.dragPreview === null) return state;
+      return { ...state, dragPreview: action.preview };
+
+    case 'SET_EDITING_EVENT':
+      if (action.eventId === null) {
+        return { ...state, editingEventId: null };
+      }
+      return { ...state, editingEventId: action.eventId, selectedEventIds: new Set([action.eventId]) };
+
+    case 'CLEAR_DIRTY':
+      return state.hasUnsavedChanges ? { ...state, hasUnsavedChanges: false } : state;
+
     case 'SEARCH_EVENTS': {
       const query = action.query || '';
       const searchResultIds = filterEvents(state.events, query);
@@ -152,20 +292,7 @@ function reduce(state, action) {
 
     case 'RESTORE_FROM_URL': {
       const { searchQuery = '', selectedCategories = [], filterMode = 'OR', calendar = 'gregorian' } = action;
-      const searchResultIds = filterEvents(state.events, searchQuery);
-      const categoryFilterIds =
-        selectedCategories.length > 0 ? filterByCategories(state.events, selectedCategories, filterMode) : null;
-      return {
-        ...state,
-        searchQuery,
-        searchResultIds,
-        currentResultIndex: 0,
-        selectedCategories,
-        filterMode,
-        calendar,
-        categoryFilterIds,
-        activeFilterIds: computeActiveFilter(searchResultIds, categoryFilterIds),
-      };
+      return { ...withFilters(state, { searchQuery, selectedCategories, filterMode }), calendar };
     }
 
     case 'NEXT_RESULT': {
@@ -217,6 +344,45 @@ function reduce(state, action) {
     case 'SET_KEYBOARD_FOCUS_MODE':
       return { ...state, isKeyboardFocusMode: action.enabled };
 
+    case 'SET_TOUR':
+      return { ...withoutTourPlayback(state), tour: action.tour };
+
+    case 'GO_TO_TOUR_STEP': {
+      if (!state.tour) return state;
+      const index = Math.max(0, Math.min(action.step, state.tour.steps.length - 1));
+      const step = state.tour.steps[index];
+      // Remember the filters in use before the tour, to restore them when it ends
+      const tourReturnFilters = state.tourReturnFilters ?? {
+        searchQuery: state.searchQuery,
+        selectedCategories: state.selectedCategories,
+        filterMode: state.filterMode,
+      };
+      return {
+        ...withFilters(state, step.filters),
+        tourStep: index,
+        tourReturnFilters,
+        highlightedEventIds: step.highlightIds.length > 0 ? new Set(step.highlightIds) : null,
+      };
+    }
+
+    case 'END_TOUR':
+      return withoutTourPlayback(state);
+
+    case 'SET_GROUP_BY':
+      // Group keys differ between modes, so collapse state does not carry over
+      if (action.groupBy === state.groupBy) return state;
+      return { ...state, groupBy: action.groupBy, collapsedGroups: new Set() };
+
+    case 'TOGGLE_GROUP': {
+      const collapsedGroups = new Set(state.collapsedGroups);
+      if (collapsedGroups.has(action.key)) {
+        collapsedGroups.delete(action.key);
+      } else {
+        collapsedGroups.add(action.key);
+      }
+      return { ...state, collapsedGroups };
+    }
+
     default:
       return state;
   }
@@ -1,4 +1,4 @@
-import { BILLION_YEARS, DAY, MILLION_YEARS, YEAR } from './time.js';
+import { BILLION_YEARS, DAY, fromMilliseconds, MILLION_YEARS, YEAR } from './time.js';
 
 const MONTH = 30n * DAY;
 
@@ -35,7 +35,7 @@ const NAMED_EVENTS = {
 };
 
 export const SUPPORTED_FORMATS = [
-  'ISO 8601 (2024-03-15T10:30:00Z)',
+  'ISO 8601 (2024-03-15T10:30:00Z, 2024-03-15T10:30:00.123456789Z)',
   'ISO date (2024-03-15)',
   'Year only (1969, -44)',
   'BCE/BC notation (44 BCE, 44 BC)',
@@ -44,9 +44,19 @@ export const SUPPORTED_FORMATS = [
   'Geological Ma (65 Ma, 65 MYA)',
   'Geological Ga (4.5 Ga, 4.5 BYA)',
   'Relative (13.8 billion years ago)',
+  'EDTF uncertain/approximate (1984?, 2004-06~, 1950%)',
+  'EDTF unspecified digits (198X, 19XX, 1985-04-XX)',
+  'EDTF intervals (1950/1960, 1985/..)',
+  'Circa (c. 1500, circa 44 BCE)',
 ];
 
-function yearToSeconds(year) {
+// EDTF season codes (Northern Hemisphere): first month (0-based) of each three-month season
+const SEASONS = { 21: 2, 22: 5, 23: 8, 24: 11 };
+
+const EDTF_DATE = /^(y-?\d{5,}|-?\d{2}[\dx]{2})(?:-([\dx]{2})(?:-([\dx]{2}))?)?([?~%])?$/;
+const CIRCA = /^(?:circa|ca?\.)\s*/;
+
+function yearToTime(year) {
   // Historical year numbering: no year zero
   // Year 1 CE follows year 1 BCE directly
   // Negative years represent BCE (e.g., -1 = 1 BCE)
@@ -57,7 +67,7 @@ function yearToSeconds(year) {
     }
     const ms = date.getTime();
     if (Number.isNaN(ms)) return null;
-    return BigInt(Math.floor(ms / 1000));
+    return fromMilliseconds(ms);
   } else {
     // For BCE years: year -1 = 1 BCE, year -44 = 44 BCE
     // JavaScript Date uses astronomical year numbering where 0 = 1 BCE
@@ -68,17 +78,190 @@ function yearToSeconds(year) {
     date.setUTCFullYear(jsYear);
     const ms = date.getTime();
     if (Number.isNaN(ms)) return null;
-    return BigInt(Math.floor(ms / 1000));
+    return fromMilliseconds(ms);
+  }
+}
+
+// Start of an astronomical year (0 = 1 BCE) plus whole months; beyond the Date range, Julian years from 1970
+function monthStart(year, month = 0) {
+  if (Math.abs(year) < 270_000) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month, 1);
+    return fromMilliseconds(date.getTime());
+  }
+  return BigInt(year - 1970) * YEAR + (BigInt(month) * YEAR) / 12n;
+}
+
+/**
+ * Mark a parsed time as uncertain (?), approximate (~) or both (%). The
+ * window it may fall in is the time's range widened by that range on each side.
+ */
+function qualify(result, qualifier, range) {
+  const [low, high] = range ?? [result.time - result.span / 2n, result.time + result.span / 2n];
+  const width = high - low;
+  return { ...result, earliest: low - width, latest: high + width, qualifier };
+}
+
+function combineQualifiers(a, b) {
+  if (!a || a === b) return b;
+  if (!b) return a;
+  return '%';
+}
+
+/**
+ * Parse an EDTF (ISO 8601-2) level 1 date: qualified (1984?, 2004-06~, 2004-06-11%),
+ * with unspecified digits (201X, 20XX, 2004-XX, 1985-04-XX), a season (2001-21)
+ * or a year past four digits (Y170000002). Years are astronomical, as in
+ * ISO 8601: 0000 is 1 BCE.
+ *
+ * @returns {Object|null} Parse result, or null when the text is not EDTF beyond plain ISO 8601
+ */
+function parseEdtf(text) {
+  const match = EDTF_DATE.exec(text);
+  if (!match) return null;
+  const [, yearText, monthText, dayText, qualifier] = match;
+  const unspecified = /x/.test(yearText) ? yearText.length - yearText.indexOf('x') : 0;
+  const season = monthText !== undefined && SEASONS[monthText] !== undefined;
+  if (!qualifier && !unspecified && !season && !yearText.startsWith('y') && !/x/.test(`${monthText}${dayText}`)) {
+    return null;
+  }
+
+  const invalid = { success: false, error: `Invalid EDTF date: "${text}"` };
+  const yearDigits = yearText.replace(/^y/, '');
+  if (unspecified && (monthText !== undefined || /x\d/.test(yearText))) return invalid;
+  const year = parseInt(yearDigits.replaceAll('x', '0'), 10);
+  if (Math.abs(year) > 100_000_000_000) {
+    return { success: false, error: `Year ${year} is out of supported range. Use Ma/Ga notation for deep time.` };
+  }
+
+  let range;
+  let result;
+  if (unspecified) {
+    // 198X: the decade, 19XX: the century
+    const size = 10 ** unspecified;
+    range = [monthStart(year), monthStart(year + size)];
+    result = {
+      time: (range[0] + range[1]) / 2n,
+      span: BigInt(size) * YEAR,
+      precision: unspecified === 1 ? 'decade' : 'century',
+    };
+  } else if (monthText === undefined || monthText === 'xx') {
+    if (dayText !== undefined && dayText !== 'xx') return invalid;
+    range = [monthStart(year), monthStart(year + 1)];
+    result = { time: monthStart(year, 6), span: YEAR };
+    if (monthText === 'xx') result.precision = 'year';
+  } else if (season) {
+    if (dayText !== undefined) return invalid;
+    range = [monthStart(year, SEASONS[monthText]), monthStart(year, SEASONS[monthText] + 3)];
+    result = { time: (range[0] + range[1]) / 2n, span: 3n * MONTH };
+  } else {
+    const month = parseInt(monthText, 10) - 1;
+    if (!(month >= 0 && month < 12)) return invalid;
+    if (dayText === undefined || dayText === 'xx') {
+      range = [monthStart(year, month), monthStart(year, month + 1)];
+      result = { time: range[0] + 14n * DAY, span: MONTH };
+      if (dayText === 'xx') result.precision = 'month';
+    } else {
+      const day = parseInt(dayText, 10);
+      const start = monthStart(year, month) + BigInt(day - 1) * DAY;
+      if (!(day >= 1 && start < monthStart(year, month + 1))) return invalid;
+      range = [start, start + DAY];
+      result = { time: start, span: DAY };
+    }
   }
+
+  result = { success: true, ...result };
+  if (qualifier) return qualify(result, qualifier, range);
+  if (unspecified || /x/.test(`${monthText}${dayText}`)) return { ...result, earliest: range[0], latest: range[1] };
+  return result;
 }
 
+/**
+ * Parse an EDTF interval (1950/1960, 2004-06~/2006-08, 1985/..). Either side
+ * may be any format parseTimeQuery() reads; ".." (open) or an empty end
+ * (unknown) leaves the end null.
+ *
+ * @returns {Object|null} Parse result with an `end` result, or null when the text is not an interval
+ */
+function parseInterval(text) {
+  const parts = text.split('/');
+  // "1969/07" is a month
+  if (parts.length !== 2 || /^\d{4}\/\d{1,2}$/.test(text.trim())) return null;
+  const [startText, endText] = parts.map((part) => part.trim());
+  if (startText === '' || startText === '..') {
+    return { success: false, error: `Interval "${text}" needs a known start; try an approximate one such as 1980~` };
+  }
+
+  const start = parseTimeQuery(startText);
+  if (!start.success) return start;
+  if (endText === '' || endText === '..') return { ...start, end: null };
+  const end = parseTimeQuery(endText);
+  if (!end.success) return end;
+  if (end.time < start.time) return { success: false, error: `Interval "${text}" ends before it starts` };
+  return { ...start, end };
+}
+
+// Plain decimals are scaled exactly with BigInt so "65.000000000031 Ma" keeps every
+// nanosecond; exponent notation and clamped values go through floating point.
+function scaleDecimal(text, value, unit) {
+  const match = text.match(/^(-?)(\d+)(?:\.(\d+))?$/);
+  if (!match || Number(text) !== value) {
+    return BigInt(Math.round(value * Number(unit)));
+  }
+  const [, sign, whole, fraction = ''] = match;
+  const divisor = 10n ** BigInt(fraction.length);
+  // Round half up
+  const time = (BigInt(whole + fraction) * unit * 2n + divisor) / (2n * divisor);
+  return sign ? -time : time;
+}
+
+/**
+ * Parse a time query into nanoseconds since 1970 UTC.
+ *
+ * Results carry `time` and the `span` of its precision. Uncertain,
+ * approximate or partly unspecified dates add the `earliest`/`latest` window
+ * they may fall in, a `qualifier` (? uncertain, ~ approximate, % both) and,
+ * for unspecified digits, a `precision`. Intervals add the parsed `end`
+ * (null when open or unknown).
+ *
+ * @param {string} query
+ * @returns {{ success: boolean, time?: bigint, span?: bigint, earliest?: bigint, latest?: bigint,
+ *   qualifier?: string, precision?: string, end?: Object|null, error?: string }}
+ */
 export function parseTimeQuery(query) {
   const trimmed = query.trim().toLowerCase();
 
+  if (trimmed.includes('/')) {
+    const interval = parseInterval(query);
+    if (interval) return interval;
+  }
+
+  const edtf = parseEdtf(trimmed);
+  if (edtf) return edtf;
+
+  // "c. 1500", "circa 44 BCE": approximate
+  const circa = CIRCA.exec(trimmed);
+  if (circa && trimmed.length > circa[0].length) {
+    const rest = query.trim().slice(circa[0].length);
+    const result = parseEdtf(`${rest.toLowerCase()}~`) ?? parseTimeQuery(rest);
+    if (!result.success || result.end !== undefined || result.qualifier === '~') return result;
+    if (result.qualifier) return { ...result, qualifier: combineQualifiers(result.qualifier, '~') };
+    return qualify(result, '~', result.earliest !== undefined ? [result.earliest, result.latest] : undefined);
+  }
+
+  // Other formats with a trailing ?, ~ or %: "44 BCE?", "March 1969~"
+  const suffix = /\s*([?~%])$/.exec(trimmed);
+  if (suffix && suffix.index > 0) {
+    const result = parseTimeQuery(query.trim().slice(0, suffix.index));
+    if (!result.success || result.end !== undefined) return result;
+    if (result.qualifier) return { ...result, qualifier: combineQualifiers(result.qualifier, suffix[1]) };
+    return qualify(result, suffix[1], result.earliest !== undefined ? [result.earliest, result.latest] : undefined);
+  }
+
   if (trimmed === 'now' || trimmed === 'today') {
     return {
       success: true,
-      time: BigInt(Math.floor(Date.now() / 1000)),
+      time: fromMilliseconds(Date.now()),
       span: DAY,
     };
   }
@@ -97,10 +280,10 @@ export function parseTimeQuery(query) {
   const gaMatch = trimmed.match(/^(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*(ga|bya)$/);
   if (gaMatch) {
     const value = Math.max(-MAX_GA, Math.min(MAX_GA, parseFloat(gaMatch[1])));
-    const seconds = BigInt(Math.round(value * Number(BILLION_YEARS)));
+    const age = scaleDecimal(gaMatch[1], value, BILLION_YEARS);
     return {
       success: true,
-      time: -seconds,
+      time: -age,
       span: BILLION_YEARS,
     };
   }
@@ -110,10 +293,10 @@ export function parseTimeQuery(query) {
   const maMatch = trimmed.match(/^(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*(ma|mya)$/);
   if (maMatch) {
     const value = Math.max(-MAX_MA, Math.min(MAX_MA, parseFloat(maMatch[1])));
-    const seconds = BigInt(Math.round(value * Number(MILLION_YEARS)));
+    const age = scaleDecimal(maMatch[1], value, MILLION_YEARS);
     return {
       success: true,
-      time: -seconds,
+      time: -age,
       span: MILLION_YEARS,
     };
   }
@@ -122,10 +305,10 @@ export function parseTimeQuery(query) {
   const billionYearsAgoMatch = trimmed.match(/^(-?\d+(?:\.\d+)?)\s*billion\s+years?\s+ago$/);
   if (billionYearsAgoMatch) {
     const value = parseFloat(billionYearsAgoMatch[1]);
-    const seconds = BigInt(Math.round(value * Number(BILLION_YEARS)));
+    const age = BigInt(Math.round(value * Number(BILLION_YEARS)));
     return {
       success: true,
-      time: -seconds,
+      time: -age,
       span: BILLION_YEARS,
     };
   }
@@ -134,25 +317,26 @@ export function parseTimeQuery(query) {
   const millionYearsAgoMatch = trimmed.match(/^(-?\d+(?:\.\d+)?)\s*million\s+years?\s+ago$/);
   if (millionYearsAgoMatch) {
     const value = parseFloat(millionYearsAgoMatch[1]);
-    const seconds = BigInt(Math.round(value * Number(MILLION_YEARS)));
+    const age = BigInt(Math.round(value * Number(MILLION_YEARS)));
     return {
       success: true,
-      time: -seconds,
+      time: -age,
       span: MILLION_YEARS,
     };
   }
 
-  // ISO 8601 datetime: 2024-03-15T10:30:00Z, with optional fractional seconds and/or timezone
-  const isoDatetimeMatch = query.trim().match(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/i);
+  // ISO 8601 datetime: 2024-03-15T10:30:00Z, with optional fractional seconds (to the nanosecond) and/or timezone
+  const isoDatetimeMatch = query.trim().match(/^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:[.,](\d+))?(.*)$/i);
   if (isoDatetimeMatch) {
-    const dateStr = query.trim();
+    const [, dateTime, fraction = '', zone] = isoDatetimeMatch;
     // Treat no timezone as UTC
-    const normalizedStr = /Z$|[+-]\d{2}:\d{2}$/.test(dateStr) ? dateStr : `${dateStr}Z`;
-    const date = new Date(normalizedStr);
+    const date = new Date(`${dateTime}${zone === '' ? 'Z' : zone}`);
     if (!Number.isNaN(date.getTime())) {
+      // Digits past nanoseconds are dropped
+      const nanoseconds = BigInt(fraction.slice(0, 9).padEnd(9, '0'));
       return {
         success: true,
-        time: BigInt(Math.floor(date.getTime() / 1000)),
+        time: fromMilliseconds(date.getTime()) + nanoseconds,
         span: DAY,
       };
     }
@@ -167,7 +351,7 @@ export function parseTimeQuery(query) {
     const date = new Date(Date.UTC(year, month, day));
     return {
       success: true,
-      time: BigInt(Math.floor(date.getTime() / 1000)),
+      time: fromMilliseconds(date.getTime()),
       span: DAY,
     };
   }
@@ -180,7 +364,7 @@ export function parseTimeQuery(query) {
     const date = new Date(Date.UTC(year, month, 15));
     return {
       success: true,
-      time: BigInt(Math.floor(date.getTime() / 1000)),
+      time: fromMilliseconds(date.getTime()),
       span: MONTH,
     };
   }
@@ -194,7 +378,7 @@ export function parseTimeQuery(query) {
       const date = new Date(Date.UTC(year, MONTH_NAMES[monthName], 15));
       return {
         success: true,
-        time: BigInt(Math.floor(date.getTime() / 1000)),
+        time: fromMilliseconds(date.getTime()),
         span: MONTH,
       };
     }
@@ -210,7 +394,7 @@ export function parseTimeQuery(query) {
         error: 'Year zero does not exist in historical convention. Use "1 BCE" or "1 CE" instead.',
       };
     }
-    const time = yearToSeconds(-year);
+    const time = yearToTime(-year);
     if (time === null) {
       return { success: false, error: `Year ${year} BCE is out of supported range. Use Ma/Ga notation for deep time.` };
     }
@@ -227,7 +411,7 @@ export function parseTimeQuery(query) {
         error: 'Year zero does not exist in historical convention. Use "1 BCE" or "1 CE" instead.',
       };
     }
-    const time = yearToSeconds(year);
+    const time = yearToTime(year);
     if (time === null) {
       return { success: false, error: `Year ${year} CE is out of supported range.` };
     }
@@ -247,7 +431,7 @@ export function parseTimeQuery(query) {
       };
     }
 
-    const time = yearToSeconds(year);
+    const time = yearToTime(year);
     if (time === null) {
       return { success: false, error: `Year ${year} is out of supported range. Use Ma/Ga notation for deep time.` };
     }
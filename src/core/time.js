@@ -1,15 +1,63 @@
-export const SECOND = 1n;
-export const MINUTE = 60n;
-export const HOUR = 3600n;
-export const DAY = 86400n;
-export const WEEK = 604800n;
-export const YEAR = 31557600n;
-export const MILLION_YEARS = 31557600000000n;
-export const BILLION_YEARS = 31557600000000000n;
+// Times are BigInt nanoseconds since 1970-01-01 UTC
+export const NANOSECOND = 1n;
+export const MICROSECOND = 1_000n;
+export const MILLISECOND = 1_000_000n;
+export const SECOND = 1_000_000_000n;
+export const MINUTE = 60n * SECOND;
+export const HOUR = 3600n * SECOND;
+export const DAY = 86400n * SECOND;
+export const WEEK = 7n * DAY;
+export const YEAR = 31557600n * SECOND;
+export const MILLION_YEARS = 1_000_000n * YEAR;
+export const BILLION_YEARS = 1_000_000_000n * YEAR;
+
+/**
+ * Time of a JavaScript timestamp, such as Date.now().
+ *
+ * @param {number} milliseconds - Milliseconds since the epoch
+ * @returns {bigint}
+ */
+export function fromMilliseconds(milliseconds) {
+  return BigInt(Math.floor(milliseconds)) * MILLISECOND;
+}
+
+/**
+ * JavaScript timestamp of a time, for Date. Rounds down to the millisecond.
+ *
+ * @param {bigint} time
+ * @returns {number}
+ */
+export function toMilliseconds(time) {
+  const milliseconds = time / MILLISECOND;
+  return Number(time < 0n && milliseconds * MILLISECOND !== time ? milliseconds - 1n : milliseconds);
+}
+
+/**
+ * Length of a time span in seconds, as a float for rates such as seconds per pixel.
+ *
+ * @param {bigint} duration
+ * @returns {number}
+ */
+export function toSeconds(duration) {
+  return Number(duration) / Number(SECOND);
+}
 
 export function projectToScreen(time, viewportStart, scale) {
   const delta = time - viewportStart;
-  return scale.timeToPx(delta);
+  // Non-linear scales (LogScale) need to know where the offset is measured from
+  return scale.timeToPx(delta, viewportStart);
+}
+
+/**
+ * Time at a screen X position; the inverse of projectToScreen().
+ *
+ * @param {number} x - Pixels from the left edge of the viewport
+ * @param {bigint} viewportStart
+ * @param {Object} scale - RationalScale or LogScale
+ * @returns {bigint}
+ */
+export function screenToTime(x, viewportStart, scale) {
+  return viewportStart + scale.pxToTime(x, viewportStart);
 }
 
 export function isVisible(time, duration, viewportStart, viewportEnd) {
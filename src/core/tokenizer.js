@@ -0,0 +1,137 @@
+/**
+ * Unicode-aware text tokenization shared by the inverted index and the linear
+ * search scan, so both paths return the same results.
+ *
+ * - Text is lowercased and folded: NFKD decomposition with combining marks
+ *   removed, so "Nāzca" and "nazca" produce the same token.
+ * - Tokens are runs of Unicode letters and digits, in any script.
+ * - Han, Hiragana and Katakana are written without spaces, so runs in those
+ *   scripts are split into single characters plus overlapping bigrams:
+ *   "秦始皇" → 秦, 始, 皇, 秦始, 始皇.
+ *
+ * A query matches an event when every query token is a prefix of one of the
+ * event's tokens or, for query tokens of five characters or more, a typo away
+ * from one (see maxEdits()).
+ */
+
+export const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const COMBINING_MARKS = /\p{M}+/gu;
+const CJK_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+
+/**
+ * Lowercase text and strip diacritics.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text) {
+  return text.toLowerCase().normalize('NFKD').replace(COMBINING_MARKS, '');
+}
+
+// Split a word into its CJK runs and the text between them
+function splitCjk(word, onWord, onCjk) {
+  let last = 0;
+  for (const match of word.matchAll(CJK_PATTERN)) {
+    if (match.index > last) onWord(word.slice(last, match.index));
+    onCjk([...match[0]]);
+    last = match.index + match[0].length;
+  }
+  if (last < word.length) onWord(word.slice(last));
+}
+
+/**
+ * Tokens to index for a piece of text (may contain duplicates).
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const tokens = [];
+  for (const [word] of foldText(text).matchAll(WORD_PATTERN)) {
+    splitCjk(
+      word,
+      (part) => tokens.push(part),
+      (chars) => {
+        tokens.push(...chars);
+        for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+      },
+    );
+  }
+  return tokens;
+}
+
+/**
+ * Tokens a query must match. A CJK run only needs its bigrams (or the single
+ * character, for a run of one), since each bigram covers both its characters.
+ *
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function tokenizeQuery(query) {
+  if (!query) return [];
+  const tokens = [];
+  for (const [word] of foldText(query).matchAll(WORD_PATTERN)) {
+    splitCjk(
+      word,
+      (part) => tokens.push(part),
+      (chars) => {
+        if (chars.length === 1) tokens.push(chars[0]);
+        for (let i = 0; i < chars.length - 1; i++) tokens.push(chars[i] + chars[i + 1]);
+      },
+    );
+  }
+  return [...new Set(tokens)];
+}
+
+/**
+ * Edits a query token may be off by and still match a token: none for short
+ * tokens, where a single edit turns most words into other words.
+ *
+ * @param {string} queryToken
+ * @returns {number}
+ */
+export function maxEdits(queryToken) {
+  if (queryToken.length >= 9) return 2;
+  if (queryToken.length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Levenshtein distance between two strings, giving up once it exceeds `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} The distance, or `max + 1` when it is larger than `max`
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Edits between a query token and a token, if it is close enough to match
+ * despite a typo.
+ *
+ * @param {string} queryToken
+ * @param {string} token
+ * @returns {number|null} Number of edits (0 for an exact match), or null if too far apart
+ */
+export function fuzzyEdits(queryToken, token) {
+  const max = maxEdits(queryToken);
+  const edits = editDistance(queryToken, token, max);
+  return edits <= max ? edits : null;
+}
@@ -3,11 +3,21 @@
  *
  * Hash format: #q=<encoded-query>&cats=<cat1>,<cat2>&mode=AND
  *
- * - `q`    : URL-encoded search query (omitted when empty)
- * - `cats` : comma-separated, URL-encoded category list (omitted when empty)
- * - `mode` : filter mode, only written when non-default (AND); OR is the default
+ * - `q`     : URL-encoded search query (omitted when empty)
+ * - `cats`  : comma-separated, URL-encoded category list (omitted when empty)
+ * - `mode`  : filter mode, only written when non-default (AND); OR is the default
+ * - `event` : id of the event to open (deep link, e.g. from "Copy Link")
+ * - `tour`  : 1-based step of the dataset's guided tour being shown
+ * - `vs`    : viewport start in seconds since 1970, with up to nine decimals
+ *             (`1700000000.000250`); `spp` is seconds per pixel
+ * - `axis`  : `log` for a logarithmic "time before present" axis, with `ppd`
+ *             (pixels per decade) and `now` (the present) in place of `spp`
  */
 
+import { LogScale } from './log-scale.js';
+import { RationalScale } from './scale.js';
+import { SECOND } from './time.js';
+
 // ---------------------------------------------------------------------------
 // Low-level hash helpers
 // ---------------------------------------------------------------------------
@@ -87,13 +97,45 @@ export function encodeSearchState({ searchQuery, selectedCategories, filterMode,
   return buildHashString(params);
 }
 
+// Times are written as decimal seconds, so links from before sub-second
+// resolution read back unchanged
+function encodeTime(time) {
+  const abs = time < 0n ? -time : time;
+  const whole = `${time < 0n ? '-' : ''}${abs / SECOND}`;
+  const fraction = abs % SECOND;
+  return fraction === 0n ? whole : `${whole}.${String(fraction).padStart(9, '0').replace(/0+$/, '')}`;
+}
+
+function decodeTime(text) {
+  const match = text.match(/^(-?)(\d+)(?:\.(\d{1,9}))?$/);
+  if (!match) throw new SyntaxError(`Nayra: invalid time "${text}"`);
+  const [, sign, whole, fraction = ''] = match;
+  const time = BigInt(whole) * SECOND + BigInt(fraction.padEnd(9, '0'));
+  return sign ? -time : time;
+}
+
 /**
  * Encode all app state (search/filter + viewport) to a URL hash string.
  *
- * @param {{ searchQuery: string, selectedCategories: string[], filterMode: string, viewportStart: bigint, spp: number }} state
+ * @param {{ searchQuery: string, selectedCategories: string[], filterMode: string, viewportStart: bigint, spp: number,
+ *   ppd: number, present: bigint, calendar: string, example: string, eventId: string, tourStep: number }} state -
+ *   eventId: the open event, written as a deep link; ppd and present: a log axis, written instead of spp;
+ *   tourStep: zero-based tour step, or null outside a tour
  * @returns {string} Hash string, or ''
  */
-export function encodeAllState({ searchQuery, selectedCategories, filterMode, viewportStart, spp, calendar, example }) {
+export function encodeAllState({
+  searchQuery,
+  selectedCategories,
+  filterMode,
+  viewportStart,
+  spp,
+  ppd,
+  present,
+  calendar,
+  example,
+  eventId,
+  tourStep,
+}) {
   const params = {};
 
   if (searchQuery) {
@@ -109,10 +151,14 @@ export function encodeAllState({ searchQuery, selectedCategories, filterMode, vi
   }
 
   if (viewportStart != null) {
-    params.vs = viewportStart.toString();
+    params.vs = encodeTime(viewportStart);
   }
 
-  if (spp != null) {
+  if (ppd != null && present != null) {
+    params.axis = 'log';
+    params.ppd = String(ppd);
+    params.now = encodeTime(present);
+  } else if (spp != null) {
     params.spp = String(spp);
   }
 
@@ -124,27 +170,68 @@ export function encodeAllState({ searchQuery, selectedCategories, filterMode, vi
     params.ex = example;
   }
 
+  if (eventId) {
+    params.event = eventId;
+  }
+
+  if (tourStep != null) {
+    params.tour = String(tourStep + 1);
+  }
+
   return buildHashString(params);
 }
 
+/**
+ * Decode the guided tour step from a URL hash string.
+ *
+ * @param {string|null|undefined} hash
+ * @returns {number|null} Zero-based step, or null when the hash has no valid `tour` param
+ */
+export function decodeTourStep(hash) {
+  const { tour } = parseHashString(hash);
+  if (!tour || !/^\d+$/.test(tour)) return null;
+  const step = Number(tour) - 1;
+  return step >= 0 ? step : null;
+}
+
+/**
+ * Decode the event deep link from a URL hash string.
+ *
+ * @param {string|null|undefined} hash
+ * @returns {string|null} Event id, or null when the hash has no `event` param
+ */
+export function decodeEventLink(hash) {
+  const { event } = parseHashString(hash);
+  return event || null;
+}
+
 /**
  * Decode viewport state from a URL hash string.
  * Returns null values if not present or malformed.
  *
  * @param {string|null|undefined} hash
- * @returns {{ viewportStart: bigint|null, spp: number|null }}
+ * @returns {{ viewportStart: bigint|null, spp: number|null, scale: RationalScale|LogScale|null }} scale is built
+ *   from `spp`, or from `ppd` and `now` on a log axis
  */
 export function decodeViewportState(hash) {
   try {
     const params = parseHashString(hash);
-    const viewportStart = params.vs != null ? BigInt(params.vs) : null;
+    const viewportStart = params.vs != null ? decodeTime(params.vs) : null;
     const spp = params.spp != null ? Number(params.spp) : null;
     const calendar = params.cal === 'he' ? 'holocene' : 'gregorian';
     const example = params.ex || null;
-    return { viewportStart, spp, calendar, example };
+    return { viewportStart, spp, scale: decodeScale(params, spp), calendar, example };
   } catch {
-    return { viewportStart: null, spp: null, calendar: 'gregorian', example: null };
+    return { viewportStart: null, spp: null, scale: null, calendar: 'gregorian', example: null };
+  }
+}
+
+function decodeScale(params, spp) {
+  if (params.axis === 'log') {
+    const ppd = Number(params.ppd);
+    return params.now != null && ppd > 0 ? new LogScale(ppd, decodeTime(params.now)) : null;
   }
+  return spp > 0 ? RationalScale.fromSecondsPerPixel(spp) : null;
 }
 
 /**
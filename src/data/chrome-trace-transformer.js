@@ -0,0 +1,182 @@
+/**
+ * Transforms Chrome Trace Event Format files (as written by chrome://tracing,
+ * Perfetto and many profilers) to Nayra event format.
+ *
+ * Accepts the JSON Object Format (`{ traceEvents: [...] }`) and the JSON Array
+ * Format (a bare array of trace events).
+ *
+ * Property mapping (trace event -> Nayra):
+ * - ph X with ts/dur, or a ph B/E pair on the same thread -> start/end
+ * - ph i/I (instant) -> start
+ * - name -> label
+ * - cat -> tags (comma-separated)
+ * - args -> description, one "key: value" line each
+ * - process_name/thread_name metadata -> group "<process>/<thread>", category <process>
+ * - innermost enclosing slice on the same thread -> part_of relation
+ *
+ * Timestamps are microseconds from the trace clock's origin and are placed
+ * after 1970-01-01T00:00:00Z.
+ */
+
+import { formatExportTime } from './exporter.js';
+
+/**
+ * Convert trace microseconds (possibly fractional) to nanoseconds.
+ * @param {number} microseconds
+ * @returns {bigint}
+ */
+function toNanoseconds(microseconds) {
+  const whole = Math.trunc(microseconds);
+  return BigInt(whole) * 1000n + BigInt(Math.round((microseconds - whole) * 1000));
+}
+
+function formatValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function describeArgs(args) {
+  if (typeof args !== 'object' || args === null) return undefined;
+  const lines = Object.entries(args).map(([key, value]) => `${key}: ${formatValue(value)}`);
+  return lines.length > 0 ? lines.join('\n') : undefined;
+}
+
+/**
+ * Read process and thread names from metadata events.
+ */
+function collectNames(traceEvents) {
+  const processes = new Map();
+  const threads = new Map();
+  for (const event of traceEvents) {
+    if (event.ph !== 'M' || typeof event.args?.name !== 'string') continue;
+    if (event.name === 'process_name') {
+      processes.set(event.pid, event.args.name);
+    } else if (event.name === 'thread_name') {
+      threads.set(`${event.pid}:${event.tid}`, event.args.name);
+    }
+  }
+  return { processes, threads };
+}
+
+/**
+ * Collect slices with nanosecond bounds, pairing B/E events per thread.
+ * A B event left open runs to the end of the trace.
+ */
+function collectSlices(traceEvents) {
+  const slices = [];
+  const open = new Map();
+  let traceEnd = 0n;
+
+  for (const event of traceEvents) {
+    if (typeof event?.ts !== 'number') continue;
+    const start = toNanoseconds(event.ts);
+    const thread = `${event.pid}:${event.tid}`;
+
+    switch (event.ph) {
+      case 'X': {
+        const end = start + toNanoseconds(typeof event.dur === 'number' ? event.dur : 0);
+        slices.push({ source: event, thread, start, end });
+        if (end > traceEnd) traceEnd = end;
+        break;
+      }
+      case 'B': {
+        const slice = { source: event, thread, start, end: undefined };
+        slices.push(slice);
+        if (!open.has(thread)) open.set(thread, []);
+        open.get(thread).push(slice);
+        break;
+      }
+      case 'E': {
+        const slice = open.get(thread)?.pop();
+        if (slice) {
+          slice.end = start;
+          // Args given on the E event are merged into the slice, as trace viewers do
+          if (event.args) slice.endArgs = event.args;
+        }
+        break;
+      }
+      case 'i':
+      case 'I':
+        slices.push({ source: event, thread, start, instant: true });
+        break;
+      default:
+        continue;
+    }
+    if (start > traceEnd) traceEnd = start;
+  }
+
+  for (const slice of slices) {
+    if (!slice.instant && slice.end === undefined) slice.end = traceEnd;
+  }
+  return slices;
+}
+
+function compare(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Link each slice to the innermost slice enclosing it on the same thread.
+ * @returns {Map<object, object>} slice -> parent slice
+ */
+function findParents(slices) {
+  const parents = new Map();
+  const byThread = new Map();
+  for (const slice of slices) {
+    if (slice.instant) continue;
+    if (!byThread.has(slice.thread)) byThread.set(slice.thread, []);
+    byThread.get(slice.thread).push(slice);
+  }
+
+  for (const threadSlices of byThread.values()) {
+    // By start, outer slices first when two start together
+    threadSlices.sort((a, b) => compare(a.start, b.start) || compare(b.end, a.end));
+    const stack = [];
+    for (const slice of threadSlices) {
+      while (stack.length > 0 && stack.at(-1).end < slice.end) stack.pop();
+      if (stack.length > 0) parents.set(slice, stack.at(-1));
+      stack.push(slice);
+    }
+  }
+  return parents;
+}
+
+/**
+ * Transform Chrome trace JSON to Nayra events.
+ *
+ * @param {Object|Array} data - `{ traceEvents }` object or bare trace event array
+ * @returns {Array} Raw Nayra events
+ */
+export function transformChromeTrace(data) {
+  const traceEvents = (Array.isArray(data) ? data : (data?.traceEvents ?? [])).filter(
+    (event) => typeof event === 'object' && event !== null,
+  );
+  const { processes, threads } = collectNames(traceEvents);
+  const slices = collectSlices(traceEvents);
+  const parents = findParents(slices);
+  const ids = new Map(slices.map((slice, i) => [slice, `trace-${i + 1}`]));
+
+  return slices.map((slice) => {
+    const { source } = slice;
+    const processName = processes.get(source.pid) ?? `Process ${source.pid}`;
+    const threadName = threads.get(slice.thread) ?? `Thread ${source.tid}`;
+
+    const event = {
+      id: ids.get(slice),
+      label: source.name,
+      start: formatExportTime(slice.start),
+      group: `${processName}/${threadName}`,
+      category: processName,
+    };
+    if (slice.end !== undefined) event.end = formatExportTime(slice.end);
+
+    const tags = typeof source.cat === 'string' ? source.cat.split(',').filter(Boolean) : [];
+    if (tags.length > 0) event.tags = tags;
+
+    const description = describeArgs({ ...source.args, ...slice.endArgs });
+    if (description) event.description = description;
+
+    const parent = parents.get(slice);
+    if (parent) event.relations = [{ type: 'part_of', target: ids.get(parent) }];
+    return event;
+  });
+}
@@ -0,0 +1,243 @@
+/**
+ * Transforms delimited text (CSV/TSV) to Nayra event format.
+ *
+ * The first non-empty record is the header row. Header cells are matched
+ * case-insensitively against the column mapping (Nayra field -> header name);
+ * by default every field maps to a header of the same name:
+ *
+ *   id, label, start, end, category, group, tags, priority, precision,
+ *   description, url, source
+ *
+ * Quoted fields follow RFC 4180: fields may contain delimiters, line breaks
+ * and doubled quotes (""). Row numbers in errors are 1-based physical line
+ * numbers of the record start, so they match what a spreadsheet shows.
+ */
+
+export const CSV_FIELDS = [
+  'id',
+  'label',
+  'start',
+  'end',
+  'category',
+  'group',
+  'tags',
+  'priority',
+  'precision',
+  'description',
+  'url',
+  'source',
+];
+
+const REQUIRED_COLUMNS = ['id', 'label', 'start'];
+const TAG_SEPARATOR = /[;|]/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+class CsvParseError {
+  constructor({ code, row, field, value, hint }) {
+    this.code = code;
+    this.event = `row:${row}`;
+    this.row = row;
+    this.field = field;
+    this.value = value;
+    this.hint = hint;
+  }
+
+  toString() {
+    return `CSV Parse Error: ${this.code}
+  Row: ${this.row}
+  Field: ${this.field}
+  Value: ${this.value}
+  Hint: ${this.hint}`;
+  }
+}
+
+/**
+ * Guess the delimiter from the first line: tabs win over commas over semicolons.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [
+    ['\t', firstLine.split('\t').length],
+    [',', firstLine.split(',').length],
+    [';', firstLine.split(';').length],
+  ];
+  const [best] = counts.reduce((a, b) => (b[1] > a[1] ? b : a));
+  return best;
+}
+
+/**
+ * Split delimited text into records of raw string cells.
+ *
+ * @param {string} text
+ * @param {{ delimiter?: string }} [options]
+ * @returns {{ records: Array<{ row: number, cells: string[] }>, errors: CsvParseError[] }}
+ */
+export function parseDelimited(text, { delimiter = ',' } = {}) {
+  const records = [];
+  const errors = [];
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // strip BOM
+
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let quotedCell = false;
+
+  function endCell() {
+    cells.push(quotedCell ? cell : cell.trim());
+    cell = '';
+    quotedCell = false;
+  }
+
+  function endRecord() {
+    endCell();
+    // Skip blank lines
+    if (!(cells.length === 1 && cells[0] === '')) {
+      records.push({ row: recordLine, cells });
+    }
+    cells = [];
+  }
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell.trim() === '') {
+      inQuotes = true;
+      quotedCell = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push(
+      new CsvParseError({
+        code: 'UNTERMINATED_QUOTE',
+        row: recordLine,
+        field: `column ${cells.length + 1}`,
+        value: cell.length > 20 ? `${cell.slice(0, 20)}…` : cell,
+        hint: 'Close the quoted field with a matching double quote',
+      }),
+    );
+  } else if (cell !== '' || cells.length > 0) {
+    endRecord();
+  }
+
+  return { records, errors };
+}
+
+function convertCell(field, value) {
+  if (field === 'tags') {
+    return value
+      .split(TAG_SEPARATOR)
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  if (field === 'priority' && NUMERIC.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Transform delimited text into raw Nayra events (not yet validated).
+ *
+ * @param {string} text - CSV/TSV file contents
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Cell delimiter (auto-detected when omitted)
+ * @param {Object<string, string>} [options.columns] - Nayra field -> header name overrides
+ * @returns {{ events: object[], rows: number[], errors: CsvParseError[] }}
+ *   rows[i] is the source row of events[i]
+ */
+export function transformCsv(text, options = {}) {
+  const delimiter = options.delimiter ?? detectDelimiter(text);
+  const { records, errors } = parseDelimited(text, { delimiter });
+  const events = [];
+  const rows = [];
+
+  if (records.length === 0) {
+    return { events, rows, errors };
+  }
+
+  const [header, ...body] = records;
+  const headerIndex = new Map(header.cells.map((name, index) => [name.toLowerCase(), index]));
+
+  // field -> column index
+  const mapping = new Map();
+  for (const field of CSV_FIELDS) {
+    const headerName = (options.columns?.[field] ?? field).toLowerCase();
+    if (headerIndex.has(headerName)) {
+      mapping.set(field, headerIndex.get(headerName));
+    }
+  }
+
+  const missing = REQUIRED_COLUMNS.filter((field) => !mapping.has(field));
+  if (missing.length > 0) {
+    for (const field of missing) {
+      errors.push(
+        new CsvParseError({
+          code: 'MISSING_COLUMN',
+          row: header.row,
+          field,
+          value: header.cells.join(delimiter),
+          hint: `Add a "${options.columns?.[field] ?? field}" column or map one with the columns option`,
+        }),
+      );
+    }
+    return { events, rows, errors };
+  }
+
+  for (const record of body) {
+    if (record.cells.length > header.cells.length) {
+      errors.push(
+        new CsvParseError({
+          code: 'COLUMN_COUNT_MISMATCH',
+          row: record.row,
+          field: 'row',
+          value: `${record.cells.length} cells`,
+          hint: `Expected at most ${header.cells.length} cells; quote values that contain "${delimiter}"`,
+        }),
+      );
+      continue;
+    }
+
+    const event = {};
+    for (const [field, index] of mapping) {
+      const value = record.cells[index];
+      if (value !== undefined && value !== '') {
+        event[field] = convertCell(field, value);
+      }
+    }
+    events.push(event);
+    rows.push(record.row);
+  }
+
+  return { events, rows, errors };
+}
@@ -0,0 +1,237 @@
+/**
+ * Serialize loaded events back into the formats the loader accepts:
+ * plain Nayra JSON, Schema.org JSON-LD and CSV.
+ *
+ * Times are written in the notations parseTimeQuery() reads (years, BCE years,
+ * ISO dates and datetimes, Ma/Ga), always choosing one that parses back to the
+ * exact same nanosecond. Uncertain and approximate times keep their EDTF
+ * qualifier and, where a notation reproduces it, their earliest/latest window.
+ */
+
+import { BILLION_YEARS, MILLION_YEARS, SECOND, toMilliseconds } from '../core/time.js';
+import { parseTimeQuery } from '../core/time-parser.js';
+import { CSV_FIELDS } from './csv-transformer.js';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  jsonld: { label: 'JSON-LD', extension: 'jsonld', mimeType: 'application/ld+json' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+};
+
+// Beyond this the Date object cannot represent the time
+const MAX_DATE_TIME = 8_640_000_000_000n * SECOND;
+// Enough decimals to pin any Ga value to the nanosecond
+const MAX_DECIMALS = 27;
+
+function roundTrips(text, time) {
+  const result = parseTimeQuery(text);
+  return result.success && result.time === time;
+}
+
+function pad(value, width) {
+  return String(value).padStart(width, '0');
+}
+
+// Historical notations for times the Date object can represent
+function dateCandidates(time) {
+  const date = new Date(toMilliseconds(time));
+  const year = date.getUTCFullYear();
+  const candidates = [year >= 1 ? String(year) : `${1 - year} BCE`];
+  if (year >= 0 && year <= 9999) {
+    const day = `${pad(year, 4)}-${pad(date.getUTCMonth() + 1, 2)}-${pad(date.getUTCDate(), 2)}`;
+    const clock = `${pad(date.getUTCHours(), 2)}:${pad(date.getUTCMinutes(), 2)}:${pad(date.getUTCSeconds(), 2)}`;
+    const nanoseconds = ((time % SECOND) + SECOND) % SECOND;
+    const fraction = nanoseconds === 0n ? '' : `.${pad(nanoseconds, 9).replace(/0+$/, '')}`;
+    candidates.push(day, `${day}T${clock}${fraction}Z`);
+  }
+  return candidates;
+}
+
+// "N years ago" in Ma/Ga with the fewest decimals that still parse back exactly
+function deepTimeNotation(time) {
+  const ago = -time;
+  const [unit, suffix] = ago >= BILLION_YEARS || ago <= -BILLION_YEARS ? [BILLION_YEARS, 'Ga'] : [MILLION_YEARS, 'Ma'];
+  let text = '';
+  for (let decimals = 0; decimals <= MAX_DECIMALS; decimals++) {
+    const divisor = 10n ** BigInt(decimals);
+    const scaled = ago * divisor * 2n;
+    // Round half away from zero
+    const digits = (scaled + (scaled < 0n ? -unit : unit)) / (2n * unit);
+    const sign = digits < 0n ? '-' : '';
+    const abs = (digits < 0n ? -digits : digits).toString().padStart(decimals + 1, '0');
+    const number = decimals === 0 ? abs : `${abs.slice(0, -decimals)}.${abs.slice(-decimals)}`;
+    text = `${sign}${number} ${suffix}`;
+    if (roundTrips(text, time)) return text;
+  }
+  return text;
+}
+
+/**
+ * Format a time in a notation parseTimeQuery() reads back to the same nanosecond.
+ * Prefers the plainest form: a year, then an ISO date, then an ISO datetime,
+ * falling back to Ma/Ga for deep time.
+ *
+ * @param {bigint} time - Nanoseconds from epoch
+ * @returns {string}
+ */
+export function formatExportTime(time) {
+  if (time > -MAX_DATE_TIME && time < MAX_DATE_TIME) {
+    const exact = dateCandidates(time).find((text) => roundTrips(text, time));
+    if (exact) return exact;
+  }
+  return deepTimeNotation(time);
+}
+
+// Fields the normalizer derives from qualified start/end text
+const DERIVED_FIELDS = new Set(['earliest', 'latest', 'startQualifier', 'endQualifier']);
+
+// EDTF month and unspecified-digit notations (1985-04, 198X, 19XX, 1985-XX, 1985-04-XX) for a time in years 0-9999
+function edtfCandidates(time) {
+  if (time <= -MAX_DATE_TIME || time >= MAX_DATE_TIME) return [];
+  const date = new Date(toMilliseconds(time));
+  const year = date.getUTCFullYear();
+  if (year < 0 || year > 9999) return [];
+  const digits = pad(year, 4);
+  const month = `${digits}-${pad(date.getUTCMonth() + 1, 2)}`;
+  return [month, `${digits.slice(0, 3)}X`, `${digits.slice(0, 2)}XX`, `${digits}-XX`, `${month}-XX`];
+}
+
+/**
+ * Format a start or end with its EDTF qualifier, preferring a notation whose
+ * uncertainty window parses back to the event's own bound.
+ *
+ * @param {bigint} time
+ * @param {string} [qualifier] - ?, ~ or %
+ * @param {{ earliest?: bigint, latest?: bigint }} bounds - The bounds this text must reproduce
+ * @returns {string}
+ */
+function formatExportBound(time, qualifier = '', bounds) {
+  const plain = `${formatExportTime(time)}${qualifier}`;
+  if (bounds.earliest === undefined && bounds.latest === undefined) return plain;
+  const candidates = [plain, ...edtfCandidates(time).map((text) => `${text}${qualifier}`)];
+  const exact = candidates.find((text) => {
+    const result = parseTimeQuery(text);
+    return (
+      result.success &&
+      result.time === time &&
+      (result.qualifier ?? '') === qualifier &&
+      (!('earliest' in bounds) || result.earliest === bounds.earliest) &&
+      (!('latest' in bounds) || result.latest === bounds.latest)
+    );
+  });
+  // A window no notation reproduces (say, after a drag) is recomputed on import
+  return exact ?? plain;
+}
+
+/**
+ * Pick the events to export.
+ *
+ * @param {Object} state - Store state
+ * @param {'all'|'filtered'|'selected'} [scope] - filtered: matches of the active search/category filter;
+ *   selected: the current selection
+ * @returns {Array}
+ */
+export function selectExportEvents(state, scope = 'all') {
+  if (scope === 'filtered' && state.activeFilterIds !== null) {
+    const ids = new Set(state.activeFilterIds);
+    return state.events.filter((event) => ids.has(event.id));
+  }
+  if (scope === 'selected') {
+    return state.events.filter((event) => state.selectedEventIds.has(event.id));
+  }
+  return state.events;
+}
+
+/**
+ * Convert a normalized event to the raw schema accepted by validate().
+ *
+ * @param {Object} event
+ * @returns {Object}
+ */
+export function toRawEvent(event) {
+  const raw = {};
+  for (const [key, value] of Object.entries(event)) {
+    if (value === undefined || DERIVED_FIELDS.has(key)) continue;
+    raw[key] = value;
+  }
+  const hasEnd = event.end !== undefined;
+  const startBounds = hasEnd ? { earliest: event.earliest } : { earliest: event.earliest, latest: event.latest };
+  raw.start = formatExportBound(event.start, event.startQualifier, startBounds);
+  if (hasEnd) raw.end = formatExportBound(event.end, event.endQualifier, { latest: event.latest });
+  return raw;
+}
+
+/**
+ * @param {Array} events - Normalized events
+ * @returns {string} JSON array in the Nayra event schema
+ */
+export function exportJson(events) {
+  return `${JSON.stringify(events.map(toRawEvent), null, 2)}\n`;
+}
+
+/**
+ * @param {Array} events - Normalized events
+ * @returns {string} Schema.org JSON-LD document with an Event per event
+ */
+export function exportJsonLd(events) {
+  const graph = events.map((event) => {
+    const node = {
+      '@type': 'Event',
+      identifier: event.id,
+      name: event.label,
+      startDate: formatExportTime(event.start),
+    };
+    if (event.end !== undefined) node.endDate = formatExportTime(event.end);
+    if (event.description) node.description = event.description;
+    if (event.url) node.url = event.url;
+    if (event.tags?.length) node.keywords = event.tags.join(', ');
+    return node;
+  });
+  return `${JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2)}\n`;
+}
+
+function csvCell(value, delimiter) {
+  const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  // Unquoted cells are trimmed on import, so quote surrounding whitespace too
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replaceAll('"', '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * @param {Array} events - Normalized events
+ * @param {{ delimiter?: string }} [options] - Use '\t' for TSV
+ * @returns {string} Delimited text with a header row of the columns in use
+ */
+export function exportCsv(events, { delimiter = ',' } = {}) {
+  const rows = events.map(toRawEvent);
+  const columns = CSV_FIELDS.filter(
+    (field) => field === 'id' || field === 'label' || field === 'start' || rows.some((row) => row[field] !== undefined),
+  );
+  const lines = [columns.join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map((field) => csvCell(row[field], delimiter)).join(delimiter));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialize events in one of the EXPORT_FORMATS.
+ *
+ * @param {Array} events
+ * @param {'json'|'jsonld'|'csv'} format
+ * @returns {string}
+ */
+export function exportEvents(events, format) {
+  switch (format) {
+    case 'json':
+      return exportJson(events);
+    case 'jsonld':
+      return exportJsonLd(events);
+    case 'csv':
+      return exportCsv(events);
+    default:
+      throw new Error(`Nayra: unknown export format "${format}"`);
+  }
+}
@@ -0,0 +1,644 @@
+/**
+ * Transforms iCalendar (RFC 5545) text to Nayra event format.
+ *
+ * Property mapping (VEVENT -> Nayra):
+ * - UID -> id; occurrences of a recurring event get "<UID>/<start>", e.g.
+ *   "standup@example.com/20240115T090000Z" or "holiday@example.com/20241225"
+ * - SUMMARY -> label
+ * - DESCRIPTION -> description
+ * - DTSTART -> start (all-day dates get precision "day")
+ * - DTEND, or DTSTART + DURATION -> end
+ * - CATEGORIES -> category (the first one) and tags
+ * - URL -> url
+ *
+ * Times with a TZID are converted from that IANA time zone to UTC; floating
+ * times are read as UTC, like other times without a zone. RRULE recurrences
+ * (FREQ DAILY to YEARLY with INTERVAL, COUNT, UNTIL, BYMONTH, BYMONTHDAY,
+ * BYDAY, BYSETPOS and WKST) are expanded in local time up to a horizon, minus
+ * EXDATEs. A VEVENT with a RECURRENCE-ID replaces the occurrence it names.
+ */
+
+import { toMilliseconds, YEAR } from '../core/time.js';
+import { parseTimeQuery } from '../core/time-parser.js';
+
+const MS_PER_DAY = 86_400_000;
+const MAX_OCCURRENCES = 5000;
+// Periods a rule may scan towards the horizon, matching or not
+const MAX_PERIODS = 200_000;
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYMONTH', 'BYMONTHDAY', 'BYDAY', 'BYSETPOS', 'WKST'];
+
+const DATE = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const DURATION = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+class IcsParseError {
+  constructor({ code, row, event, field, value, hint }) {
+    this.code = code;
+    this.event = event ?? `row:${row}`;
+    this.row = row;
+    this.field = field;
+    this.value = value;
+    this.hint = hint;
+  }
+
+  toString() {
+    return `iCalendar Parse Error: ${this.code}
+  Row: ${this.row}
+  Event: ${this.event}
+  Field: ${this.field}
+  Value: ${this.value}
+  Hint: ${this.hint}`;
+  }
+}
+
+/**
+ * Unfold continuation lines and split each content line into name, parameters and value.
+ *
+ * @param {string} text
+ * @returns {Array<{ row: number, name: string, params: Object<string, string>, value: string }>}
+ */
+export function parseContentLines(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const physical = input.split(/\r\n|\n|\r/);
+  const logical = [];
+
+  physical.forEach((line, index) => {
+    if ((line.startsWith(' ') || line.startsWith('\t')) && logical.length > 0) {
+      logical.at(-1).text += line.slice(1);
+    } else if (line.trim() !== '') {
+      logical.push({ row: index + 1, text: line });
+    }
+  });
+
+  return logical.map(({ row, text: line }) => {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') inQuotes = !inQuotes;
+      else if (line[i] === ':' && !inQuotes) {
+        colon = i;
+        break;
+      }
+    }
+    const head = colon === -1 ? line : line.slice(0, colon);
+    const [name, ...paramParts] = head.match(/(?:[^;"]|"[^"]*")+/g) ?? [''];
+    const params = {};
+    for (const part of paramParts) {
+      const equals = part.indexOf('=');
+      if (equals === -1) continue;
+      params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"(.*)"$/, '$1');
+    }
+    return { row, name: name.toUpperCase(), params, value: colon === -1 ? '' : line.slice(colon + 1) };
+  });
+}
+
+/**
+ * Group content lines into VEVENT components, ignoring nested components such as VALARM.
+ */
+function collectEvents(lines) {
+  const events = [];
+  const stack = [];
+  for (const line of lines) {
+    if (line.name === 'BEGIN') {
+      const component = { type: line.value.toUpperCase(), row: line.row, props: new Map() };
+      if (component.type === 'VEVENT') events.push(component);
+      stack.push(component);
+    } else if (line.name === 'END') {
+      stack.pop();
+    } else if (stack.at(-1)?.type === 'VEVENT') {
+      const { props } = stack.at(-1);
+      if (!props.has(line.name)) props.set(line.name, []);
+      props.get(line.name).push(line);
+    }
+  }
+  return events;
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+function splitList(value) {
+  return value.split(/(?<!\\),/);
+}
+
+function mod(a, b) {
+  return ((a % b) + b) % b;
+}
+
+/** Days since 1970-01-01 of a proleptic Gregorian date; month is 1-based and may overflow. */
+function dayNumber(year, month, day) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  return Math.round(date.getTime() / MS_PER_DAY);
+}
+
+function civilDate(day) {
+  const date = new Date(day * MS_PER_DAY);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function daysInMonth(year, month) {
+  return dayNumber(year, month + 1, 1) - dayNumber(year, month, 1);
+}
+
+/** Weekday index of a day number, Monday = 0. */
+function weekday(day) {
+  return mod(day + 3, 7);
+}
+
+const zoneFormatters = new Map();
+
+/**
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat|null} null for zones Intl does not know
+ */
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+      });
+    } catch {
+      // Unknown zone
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/** Offset of a zone from UTC, in milliseconds, at a UTC instant. */
+function zoneOffset(utc, formatter) {
+  const parts = Object.fromEntries(formatter.formatToParts(utc).map((part) => [part.type, part.value]));
+  const local =
+    dayNumber(Number(parts.year), Number(parts.month), Number(parts.day)) * MS_PER_DAY +
+    ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000;
+  return local - (utc - mod(utc, 1000));
+}
+
+/**
+ * Convert a wall-clock time (milliseconds as if it were UTC) in a zone to a UTC instant.
+ * Times skipped by a DST change move forward by the change.
+ */
+function localToUtc(local, formatter) {
+  if (!formatter) return local;
+  const guess = local - zoneOffset(local, formatter);
+  const offset = zoneOffset(guess, formatter);
+  return local - offset;
+}
+
+function isCalendarDate(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month);
+}
+
+/**
+ * Parse a DATE or DATE-TIME value.
+ *
+ * @returns {{ local: number, allDay: boolean, zulu: boolean }|null} local is wall-clock milliseconds
+ */
+function parseDateValue(value) {
+  const date = DATE.exec(value);
+  if (date && isCalendarDate(+date[1], +date[2], +date[3])) {
+    return { local: dayNumber(+date[1], +date[2], +date[3]) * MS_PER_DAY, allDay: true, zulu: false };
+  }
+  const dateTime = DATE_TIME.exec(value);
+  if (dateTime && isCalendarDate(+dateTime[1], +dateTime[2], +dateTime[3]) && +dateTime[4] < 24 && +dateTime[5] < 60) {
+    const [, year, month, day, hour, minute, second, zulu] = dateTime;
+    const seconds = (+hour * 60 + +minute) * 60 + Math.min(+second, 59);
+    return { local: dayNumber(+year, +month, +day) * MS_PER_DAY + seconds * 1000, allDay: false, zulu: zulu === 'Z' };
+  }
+  return null;
+}
+
+/** @returns {number|null} Milliseconds */
+function parseDuration(value) {
+  const match = DURATION.exec(value);
+  if (!match || value === 'P' || value.endsWith('T')) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function formatDate(day) {
+  const { year, month, day: date } = civilDate(day);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+}
+
+/** Basic-format stamp of an occurrence, as used in RECURRENCE-ID. */
+function formatStamp(time) {
+  if (time.allDay) return formatDate(time.local / MS_PER_DAY).replaceAll('-', '');
+  return new Date(time.utc).toISOString().replace(/[-:]|\.\d{3}/g, '');
+}
+
+function formatInstant(utc) {
+  return new Date(utc).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Parse an RRULE value.
+ *
+ * @returns {{ rule: object|null, unsupported: string[] }}
+ */
+function parseRule(value) {
+  const parts = new Map(
+    value.split(';').map((part) => {
+      const [key, ...rest] = part.split('=');
+      return [key.toUpperCase(), rest.join('=').toUpperCase()];
+    }),
+  );
+  const unsupported = [...parts.keys()].filter((key) => !RULE_PARTS.includes(key));
+  const freq = parts.get('FREQ');
+  if (!FREQUENCIES.includes(freq)) unsupported.push(`FREQ=${freq ?? ''}`);
+
+  const numbers = (key) => (parts.get(key)?.split(',') ?? []).map(Number).filter(Number.isInteger);
+  const byDay = (parts.get('BYDAY')?.split(',') ?? [])
+    .map((entry) => /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry))
+    .filter(Boolean)
+    .map(([, ordinal, day]) => ({ ordinal: ordinal ? Number(ordinal) : 0, weekday: WEEKDAYS.indexOf(day) }));
+
+  return {
+    unsupported,
+    rule: {
+      freq,
+      interval: Math.max(1, Number(parts.get('INTERVAL')) || 1),
+      count: parts.has('COUNT') ? Number(parts.get('COUNT')) : undefined,
+      until: parts.get('UNTIL'),
+      byMonth: numbers('BYMONTH'),
+      byMonthDay: numbers('BYMONTHDAY'),
+      byDay,
+      bySetPos: numbers('BYSETPOS'),
+      weekStart: Math.max(0, WEEKDAYS.indexOf(parts.get('WKST'))),
+    },
+  };
+}
+
+/** Days of a month matching BYMONTHDAY and BYDAY (with ordinals counted within the month). */
+function monthDays(year, month, rule, defaultDay) {
+  const first = dayNumber(year, month, 1);
+  const length = daysInMonth(year, month);
+  let days = null;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map((date) => (date < 0 ? length + 1 + date : date))
+      .filter((date) => date >= 1 && date <= length)
+      .map((date) => first + date - 1);
+  }
+  if (rule.byDay.length > 0) {
+    const matching = weekdayDays(first, length, rule.byDay);
+    days = days ? days.filter((day) => matching.includes(day)) : matching;
+  }
+  if (!days) {
+    days = defaultDay <= length ? [first + defaultDay - 1] : [];
+  }
+  return days;
+}
+
+/** Days in [first, first + length) matching BYDAY entries, ordinals counted within that range. */
+function weekdayDays(first, length, byDay) {
+  const days = [];
+  for (const { ordinal, weekday: target } of byDay) {
+    const offset = mod(target - weekday(first), 7);
+    const all = [];
+    for (let date = offset; date < length; date += 7) all.push(first + date);
+    if (ordinal === 0) days.push(...all);
+    else {
+      const day = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+      if (day !== undefined) days.push(day);
+    }
+  }
+  return days;
+}
+
+/**
+ * Candidate days of the period `index` periods after the one containing `startDay`.
+ *
+ * @returns {{ firstDay: number, days: number[] }}
+ */
+function periodDays(rule, startDay, index) {
+  const start = civilDate(startDay);
+  const step = index * rule.interval;
+  const inMonths = (day) => rule.byMonth.length === 0 || rule.byMonth.includes(civilDate(day).month);
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const day = startDay + step;
+      const weekdays = rule.byDay.map((entry) => entry.weekday);
+      const { year, month, day: date } = civilDate(day);
+      const length = daysInMonth(year, month);
+      const matchesMonthDay =
+        rule.byMonthDay.length === 0 ||
+        rule.byMonthDay.some((value) => (value < 0 ? length + 1 + value : value) === date);
+      const matches = inMonths(day) && matchesMonthDay && (weekdays.length === 0 || weekdays.includes(weekday(day)));
+      return { firstDay: day, days: matches ? [day] : [] };
+    }
+    case 'WEEKLY': {
+      const firstDay = startDay - mod(weekday(startDay) - rule.weekStart, 7) + 7 * step;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map((entry) => entry.weekday) : [weekday(startDay)];
+      const days = [];
+      for (let day = firstDay; day < firstDay + 7; day++) {
+        if (weekdays.includes(weekday(day)) && inMonths(day)) days.push(day);
+      }
+      return { firstDay, days };
+    }
+    case 'MONTHLY': {
+      const firstDay = dayNumber(start.year, start.month + step, 1);
+      const { year, month } = civilDate(firstDay);
+      return { firstDay, days: monthDays(year, month, rule, start.day).filter(inMonths) };
+    }
+    default: {
+      const year = start.year + step;
+      const firstDay = dayNumber(year, 1, 1);
+      if (rule.byDay.length > 0 && rule.byMonth.length === 0 && rule.byMonthDay.length === 0) {
+        return { firstDay, days: weekdayDays(firstDay, dayNumber(year + 1, 1, 1) - firstDay, rule.byDay) };
+      }
+      let months = rule.byMonth;
+      if (months.length === 0) {
+        months = rule.byMonthDay.length > 0 ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [start.month];
+      }
+      return { firstDay, days: months.flatMap((month) => monthDays(year, month, rule, start.day)) };
+    }
+  }
+}
+
+function applySetPos(days, positions) {
+  if (positions.length === 0) return days;
+  return positions
+    .map((position) => (position > 0 ? days[position - 1] : days[days.length + position]))
+    .filter((day) => day !== undefined)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Expand a recurrence rule into occurrence start times.
+ *
+ * @param {object} rule - Parsed RRULE
+ * @param {{ local: number, allDay: boolean }} start - DTSTART
+ * @param {(local: number) => number} toUtc - Wall clock to UTC in the event's zone
+ * @param {number} until - Last UTC instant to expand to, in milliseconds
+ * @returns {{ occurrences: Array<{ local: number, utc: number, allDay: boolean }>,
+ *   limit: 'occurrences'|'periods'|null }} limit names the cap that cut the expansion short, if any
+ */
+function expandRule(rule, start, toUtc, until) {
+  const startDay = Math.floor(start.local / MS_PER_DAY);
+  const timeOfDay = start.local - startDay * MS_PER_DAY;
+  const startUtc = toUtc(start.local);
+  if (startUtc > until) return { occurrences: [], limit: null };
+
+  // DTSTART is always the first instance and counts towards COUNT, even when the rule does not match it
+  const occurrences = [{ local: start.local, utc: startUtc, allDay: start.allDay }];
+  let total = 1;
+  // Past the cap, keep the latest occurrences: those nearest the horizon matter most
+  const finish = (limit) => ({
+    occurrences: occurrences.slice(-MAX_OCCURRENCES),
+    limit: limit ?? (total > MAX_OCCURRENCES ? 'occurrences' : null),
+  });
+  if (total === rule.count) return finish();
+
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    const { firstDay, days } = periodDays(rule, startDay, index);
+    if (toUtc(firstDay * MS_PER_DAY) > until) return finish();
+
+    const sorted = [...new Set(days)].sort((a, b) => a - b);
+    for (const day of applySetPos(sorted, rule.bySetPos).filter((day) => day > startDay)) {
+      const local = day * MS_PER_DAY + timeOfDay;
+      const utc = toUtc(local);
+      if (utc > until) return finish();
+      occurrences.push({ local, utc, allDay: start.allDay });
+      total += 1;
+      if (total === rule.count) return finish();
+      if (occurrences.length === 2 * MAX_OCCURRENCES) occurrences.splice(0, MAX_OCCURRENCES);
+    }
+  }
+  return finish('periods');
+}
+
+function resolveHorizon(horizon) {
+  if (typeof horizon === 'bigint') return toMilliseconds(horizon);
+  if (typeof horizon === 'string') {
+    const result = parseTimeQuery(horizon);
+    if (result.success) return toMilliseconds(result.time);
+  }
+  return Date.now() + toMilliseconds(YEAR);
+}
+
+/**
+ * Read one VEVENT into its fields, times and recurrence.
+ */
+function readEvent(component, errors) {
+  const first = (name) => component.props.get(name)?.[0];
+  const uid = first('UID')?.value;
+  const { row } = component;
+  const eventName = uid ?? `row:${row}`;
+
+  function report(code, line, hint) {
+    errors.push(
+      new IcsParseError({ code, row: line?.row ?? row, event: eventName, field: line?.name, value: line?.value, hint }),
+    );
+  }
+
+  function readTime(line) {
+    if (!line) return null;
+    const parsed = parseDateValue(line.value);
+    if (!parsed) {
+      report('INVALID_DATE', line, 'Use a DATE (20240115) or DATE-TIME (20240115T090000Z) value');
+      return null;
+    }
+    let formatter = null;
+    if (line.params.TZID && !parsed.zulu && !parsed.allDay) {
+      const zone = line.params.TZID.replace(/^\//, '');
+      formatter = zoneFormatter(zone);
+      if (!formatter) report('UNKNOWN_TIMEZONE', line, `Use an IANA time zone name instead of "${zone}"; read as UTC`);
+    }
+    const toUtc = (local) => localToUtc(local, formatter);
+    return { local: parsed.local, allDay: parsed.allDay, utc: toUtc(parsed.local), toUtc };
+  }
+
+  const fields = {};
+  const summary = first('SUMMARY');
+  if (summary) fields.label = unescapeText(summary.value);
+  const description = first('DESCRIPTION');
+  if (description) fields.description = unescapeText(description.value);
+  const url = first('URL');
+  if (url) fields.url = url.value;
+  const categories = (component.props.get('CATEGORIES') ?? [])
+    .flatMap((line) => splitList(line.value))
+    .map((category) => unescapeText(category).trim())
+    .filter(Boolean);
+  if (categories.length > 0) {
+    fields.category = categories[0];
+    fields.tags = categories;
+  }
+
+  const start = readTime(first('DTSTART'));
+  const endLine = first('DTEND');
+  const durationLine = first('DURATION');
+  let length = null;
+  if (start && endLine) {
+    const end = readTime(endLine);
+    if (end) length = start.allDay ? end.local - start.local : end.utc - start.utc;
+  } else if (start && durationLine) {
+    length = parseDuration(durationLine.value);
+    if (length === null) report('INVALID_DURATION', durationLine, 'Use an ISO 8601 duration such as PT1H30M or P1D');
+  }
+  if (start?.allDay && length === null) length = MS_PER_DAY;
+
+  const recurrenceLine = first('RECURRENCE-ID');
+  return {
+    uid,
+    row,
+    fields,
+    start,
+    rawStart: first('DTSTART')?.value,
+    length,
+    cancelled: first('STATUS')?.value.toUpperCase() === 'CANCELLED',
+    ruleLine: first('RRULE'),
+    exdates: (component.props.get('EXDATE') ?? []).flatMap((line) =>
+      splitList(line.value).map((value) => readTime({ ...line, value })),
+    ),
+    recurrenceId: recurrenceLine ? readTime(recurrenceLine) : null,
+    report,
+  };
+}
+
+/**
+ * Build a raw Nayra event for an occurrence of a read VEVENT.
+ */
+function toRawEvent(event, id, time) {
+  const raw = { id, ...event.fields };
+  if (!time) {
+    // Leave a missing or unreadable start for the validator to report
+    if (event.rawStart !== undefined) raw.start = event.rawStart;
+    return raw;
+  }
+  if (time.allDay) {
+    raw.start = formatDate(time.local / MS_PER_DAY);
+    if (event.length !== null) raw.end = formatDate((time.local + event.length) / MS_PER_DAY);
+    raw.precision = 'day';
+  } else {
+    raw.start = formatInstant(time.utc);
+    if (event.length !== null) raw.end = formatInstant(time.utc + event.length);
+  }
+  return raw;
+}
+
+/**
+ * Expand a recurring VEVENT into its occurrences, minus EXDATEs, with overrides applied.
+ */
+function expandEvent(event, overrides, until) {
+  const { rule, unsupported } = parseRule(event.ruleLine.value);
+  if (unsupported.length > 0) {
+    event.report(
+      'UNSUPPORTED_RRULE',
+      event.ruleLine,
+      `Only the first occurrence is shown; ${unsupported.join(', ')} is not supported`,
+    );
+    return [{ event, time: event.start, id: event.uid }];
+  }
+
+  let ruleUntil = until;
+  if (rule.until) {
+    const parsed = parseDateValue(rule.until);
+    if (parsed?.allDay) ruleUntil = Math.min(until, event.start.toUtc(parsed.local + MS_PER_DAY - 1));
+    else if (parsed) ruleUntil = Math.min(until, parsed.zulu ? parsed.local : event.start.toUtc(parsed.local));
+  }
+
+  const { occurrences, limit } = expandRule(rule, event.start, event.start.toUtc, ruleUntil);
+  if (limit === 'occurrences') {
+    event.report(
+      'RECURRENCE_LIMIT',
+      event.ruleLine,
+      `Kept the last ${MAX_OCCURRENCES} occurrences before the horizon; set a nearer horizon or an UNTIL`,
+    );
+  } else if (limit === 'periods') {
+    event.report(
+      'RECURRENCE_LIMIT',
+      event.ruleLine,
+      `Stopped after ${MAX_PERIODS} recurrence periods short of the horizon; set a nearer horizon or an UNTIL`,
+    );
+  }
+
+  // A DATE exclusion drops every occurrence on that day
+  const exdates = event.exdates.filter(Boolean);
+  const excludedTimes = new Set(exdates.filter((time) => !time.allDay).map((time) => time.utc));
+  const excludedDays = new Set(exdates.filter((time) => time.allDay).map((time) => time.local / MS_PER_DAY));
+  return occurrences
+    .filter((time) => !excludedTimes.has(time.utc) && !excludedDays.has(Math.floor(time.local / MS_PER_DAY)))
+    .map((time) => {
+      const id = `${event.uid}/${formatStamp(time)}`;
+      const override = overrides.get(id);
+      overrides.delete(id);
+      return override ? { event: override, time: override.start, id } : { event, time, id };
+    });
+}
+
+/**
+ * Transform iCalendar text into raw Nayra events (not yet validated).
+ *
+ * @param {string} text - .ics file contents
+ * @param {object} [options]
+ * @param {bigint|string} [options.horizon] - Last time recurrences expand to, as nanoseconds or a time
+ *   parseTimeQuery() reads (default: a year from now)
+ * @returns {{ events: object[], rows: number[], errors: IcsParseError[] }}
+ *   rows[i] is the line of the BEGIN:VEVENT of events[i]
+ */
+export function transformIcs(text, options = {}) {
+  const events = [];
+  const rows = [];
+  const errors = [];
+  const lines = parseContentLines(text);
+
+  if (lines[0]?.name !== 'BEGIN' || lines[0].value.toUpperCase() !== 'VCALENDAR') {
+    errors.push(
+      new IcsParseError({
+        code: 'NOT_ICALENDAR',
+        row: lines[0]?.row ?? 1,
+        field: 'BEGIN',
+        value: lines[0]?.value,
+        hint: 'An .ics file starts with BEGIN:VCALENDAR',
+      }),
+    );
+    return { events, rows, errors };
+  }
+
+  const until = resolveHorizon(options.horizon);
+  const read = collectEvents(lines).map((component) => readEvent(component, errors));
+
+  // RECURRENCE-ID instances replace the occurrence of their UID they name
+  const overrides = new Map();
+  for (const event of read) {
+    if (event.uid !== undefined && event.recurrenceId) {
+      overrides.set(`${event.uid}/${formatStamp(event.recurrenceId)}`, event);
+    }
+  }
+
+  const emitted = [];
+  for (const event of read) {
+    if (event.recurrenceId && event.uid !== undefined) continue;
+    if (event.ruleLine && event.start && event.uid !== undefined) {
+      emitted.push(...expandEvent(event, overrides, until));
+    } else {
+      emitted.push({ event, time: event.start, id: event.uid });
+    }
+  }
+  // Overrides moved out of their series' expanded range
+  for (const [id, event] of overrides) emitted.push({ event, time: event.start, id });
+
+  for (const { event, time, id } of emitted) {
+    if (event.cancelled) continue;
+    events.push(toRawEvent(event, id, time));
+    rows.push(event.row);
+  }
+
+  return { events, rows, errors };
+}
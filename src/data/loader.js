@@ -1,8 +1,17 @@
+import { transformChromeTrace } from './chrome-trace-transformer.js';
+import { detectDelimiter, transformCsv } from './csv-transformer.js';
+import { transformIcs } from './ics-transformer.js';
 import { transformJsonLd } from './jsonld-transformer.js';
 import { normalize } from './normalizer.js';
+import { transformOtlp } from './otlp-transformer.js';
+import { parseTour } from './tour.js';
 import { validate } from './validator.js';
 import { transformWikidata } from './wikidata-transformer.js';
 
+function isTraceEvent(item) {
+  return typeof item?.ph === 'string';
+}
+
 export function detectFormat(data) {
   if (data?.results?.bindings && Array.isArray(data.results.bindings)) {
     return 'wikidata';
@@ -12,33 +21,79 @@ export function detectFormat(data) {
     return 'jsonld';
   }
 
+  if (Array.isArray(data?.traceEvents) || (Array.isArray(data) && data.length > 0 && data.every(isTraceEvent))) {
+    return 'chrome-trace';
+  }
+
+  if (Array.isArray(data?.resourceSpans)) {
+    return 'otlp';
+  }
+
   if (Array.isArray(data)) {
     return 'plain';
   }
 
+  if (Array.isArray(data?.events)) {
+    return 'extended';
+  }
+
   return 'unknown';
 }
 
+const DELIMITED_TYPES = {
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'tsv',
+  'text/calendar': 'ics',
+};
+
+/**
+ * Detect a text file format from its name (or URL) and MIME type.
+ *
+ * @param {string} [name] - File name or URL
+ * @param {string} [contentType] - MIME type, possibly with parameters
+ * @returns {'csv' | 'tsv' | 'ics' | 'json'}
+ */
+export function detectFileFormat(name = '', contentType = '') {
+  const extension = /\.([a-z0-9]+)$/i.exec(name.split(/[?#]/)[0])?.[1]?.toLowerCase();
+  if (extension === 'csv' || extension === 'tsv' || extension === 'ics') {
+    return extension;
+  }
+
+  const mime = contentType.split(';')[0].trim().toLowerCase();
+  return DELIMITED_TYPES[mime] ?? 'json';
+}
+
 function transformToEvents(data, format) {
   switch (format) {
     case 'wikidata':
       return transformWikidata(data);
     case 'jsonld':
       return transformJsonLd(data);
+    case 'chrome-trace':
+      return transformChromeTrace(data);
+    case 'otlp':
+      return transformOtlp(data);
     case 'plain':
       return data;
+    case 'extended':
+      return data.events;
     default:
       return [];
   }
 }
 
-function processPipeline(data) {
-  const format = detectFormat(data);
-  const rawEvents = transformToEvents(data, format);
-  const validated = validate(rawEvents);
-  const normalized = normalize(validated.valid);
+function runPipeline(rawEvents, { rows, parseErrors = [] } = {}) {
+  const validated = validate(rawEvents, { rows });
+
+  let validRows;
+  if (rows) {
+    const rowOf = new Map(rawEvents.map((event, i) => [event, rows[i]]));
+    validRows = validated.valid.map((event) => rowOf.get(event));
+  }
+  const normalized = normalize(validated.valid, { rows: validRows });
 
-  const allErrors = [...validated.errors, ...normalized.errors];
+  const allErrors = [...parseErrors, ...validated.errors, ...normalized.errors];
 
   return {
     events: normalized.valid,
@@ -47,7 +102,53 @@ function processPipeline(data) {
   };
 }
 
-export async function loadFromUrl(url) {
+function processPipeline(data) {
+  const format = detectFormat(data);
+  const result = runPipeline(transformToEvents(data, format));
+  if (format !== 'extended' || data.tour === undefined) {
+    return result;
+  }
+
+  // An extended dataset may carry a guided tour over its events
+  const { tour, errors } = parseTour(data.tour, result.events);
+  const allErrors = [...result.errors, ...errors];
+  return {
+    ...result,
+    tour,
+    errors: allErrors,
+    summary: `Loaded ${result.events.length} events (${allErrors.length} errors)`,
+  };
+}
+
+function processDelimited(text, format, options = {}) {
+  // CSV exported with a semicolon list separator is common, so .csv guesses from the header
+  const delimiter = options.delimiter ?? (format === 'tsv' ? '\t' : detectDelimiter(text));
+  const { events, rows, errors } = transformCsv(text, { delimiter, columns: options.columns });
+  return runPipeline(events, { rows, parseErrors: errors });
+}
+
+function processCalendar(text, options = {}) {
+  const { events, rows, errors } = transformIcs(text, { horizon: options.horizon });
+  return runPipeline(events, { rows, parseErrors: errors });
+}
+
+function processText(text, format, options) {
+  return format === 'ics' ? processCalendar(text, options) : processDelimited(text, format, options);
+}
+
+/**
+ * Fetch and load events. `.csv`/`.tsv` URLs (or CSV/TSV content types) are
+ * parsed as delimited text, `.ics` URLs (or `text/calendar`) as iCalendar,
+ * everything else as JSON. A JSON object with an
+ * `events` array may also hold a `tour`, returned parsed as `tour`.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {Object<string, string>} [options.columns] - CSV column mapping (Nayra field -> header name)
+ * @param {string} [options.delimiter] - Override the CSV/TSV delimiter (default: tab for TSV, guessed for CSV)
+ * @param {bigint|string} [options.horizon] - Last time iCalendar recurrences expand to (default: a year from now)
+ */
+export async function loadFromUrl(url, options = {}) {
   try {
     const response = await fetch(url);
 
@@ -59,6 +160,11 @@ export async function loadFromUrl(url) {
       };
     }
 
+    const format = detectFileFormat(url, response.headers?.get?.('content-type') ?? '');
+    if (format !== 'json') {
+      return processText(await response.text(), format, options);
+    }
+
     const data = await response.json();
     return processPipeline(data);
   } catch (error) {
@@ -70,9 +176,20 @@ export async function loadFromUrl(url) {
   }
 }
 
-export async function loadFromFile(file) {
+/**
+ * Load events from a File (e.g. dropped or picked by the user).
+ *
+ * @param {File} file
+ * @param {object} [options] - Same as {@link loadFromUrl}
+ */
+export async function loadFromFile(file, options = {}) {
   try {
     const text = await file.text();
+    const format = detectFileFormat(file.name, file.type);
+    if (format !== 'json') {
+      return processText(text, format, options);
+    }
+
     const data = JSON.parse(text);
     return processPipeline(data);
   } catch (error) {
@@ -1,10 +1,25 @@
 import { parseTimeQuery } from '../core/time-parser.js';
 
-export function normalize(events) {
+/**
+ * Parse start/end time strings into BigInt nanoseconds.
+ *
+ * Uncertain, approximate and partly unspecified times (EDTF "1984?",
+ * "c. 1500", "198X") add `earliest` (the earliest possible start) and
+ * `latest` (the latest possible end), and their qualifiers as
+ * `startQualifier`/`endQualifier` (? uncertain, ~ approximate, % both).
+ * An interval start ("1950/1960") also sets the end.
+ *
+ * @param {object[]} events - Validated events
+ * @param {object} [options]
+ * @param {number[]} [options.rows] - Source row per event, copied onto errors
+ */
+export function normalize(events, { rows } = {}) {
   const valid = [];
   const errors = [];
 
-  for (const event of events) {
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    const row = rows ? { row: rows[i] } : {};
     const startResult = parseTimeQuery(event.start);
 
     if (!startResult.success) {
@@ -12,6 +27,7 @@ export function normalize(events) {
         eventId: event.id,
         field: 'start',
         message: startResult.error,
+        ...row,
       });
       continue;
     }
@@ -20,21 +36,41 @@ export function normalize(events) {
       ...event,
       start: startResult.time,
     };
+    if (startResult.earliest !== undefined) normalized.earliest = startResult.earliest;
+    if (startResult.qualifier) normalized.startQualifier = startResult.qualifier;
+    if (startResult.precision && event.precision === undefined) normalized.precision = startResult.precision;
 
+    let endResult = startResult.end;
     if (event.end !== undefined) {
-      const endResult = parseTimeQuery(event.end);
-      if (endResult.success) {
-        normalized.end = endResult.time;
-      } else {
+      const parsed = parseTimeQuery(event.end);
+      let message = parsed.error;
+      if (endResult !== undefined) {
+        message = 'The start is an interval that already sets the end';
+      } else if (parsed.end !== undefined) {
+        message = 'The end cannot be an interval; give the interval as the start';
+      } else if (parsed.success) {
+        endResult = parsed;
+      }
+      if (!endResult?.success) {
         delete normalized.end;
+      }
+      if (message) {
         errors.push({
           eventId: event.id,
           field: 'end',
-          message: endResult.error,
+          message,
+          ...row,
         });
       }
     }
 
+    if (endResult) {
+      normalized.end = endResult.time;
+      if (endResult.qualifier) normalized.endQualifier = endResult.qualifier;
+    }
+    const latest = endResult ? endResult.latest : startResult.latest;
+    if (latest !== undefined) normalized.latest = latest;
+
     valid.push(normalized);
   }
 
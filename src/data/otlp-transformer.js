@@ -0,0 +1,104 @@
+/**
+ * Transforms OpenTelemetry (OTLP) JSON span exports to Nayra event format.
+ *
+ * Reads `resourceSpans[].scopeSpans[].spans[]`, and the older
+ * `instrumentationLibrarySpans` spelling.
+ *
+ * Property mapping (OTLP span -> Nayra):
+ * - spanId -> id
+ * - name -> label
+ * - startTimeUnixNano/endTimeUnixNano -> start/end
+ * - resource service.name -> group and category
+ * - attributes -> description, one "key: value" line each
+ * - parentSpanId -> part_of relation, when the parent span is in the file
+ */
+
+import { formatExportTime } from './exporter.js';
+
+const UNKNOWN_SERVICE = 'unknown_service';
+
+/**
+ * Unwrap an OTLP AnyValue ({ stringValue }, { intValue }, { arrayValue }, ...).
+ */
+function anyValue(value) {
+  if (typeof value !== 'object' || value === null) return value;
+  if ('arrayValue' in value) return (value.arrayValue?.values ?? []).map(anyValue);
+  if ('kvlistValue' in value) return attributeMap(value.kvlistValue?.values);
+  const [first] = Object.values(value);
+  return first;
+}
+
+function attributeMap(attributes) {
+  const map = {};
+  for (const attribute of Array.isArray(attributes) ? attributes : []) {
+    if (typeof attribute?.key === 'string') map[attribute.key] = anyValue(attribute.value);
+  }
+  return map;
+}
+
+function formatValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+}
+
+function describeAttributes(attributes) {
+  const lines = Object.entries(attributeMap(attributes)).map(([key, value]) => `${key}: ${formatValue(value)}`);
+  return lines.length > 0 ? lines.join('\n') : undefined;
+}
+
+/**
+ * Read an OTLP timestamp (a decimal string, or a number from lenient exporters).
+ * @returns {bigint|null} Nanoseconds since 1970 UTC
+ */
+function toNanoseconds(value) {
+  if (typeof value === 'string' && /^\d+$/.test(value)) return BigInt(value);
+  if (typeof value === 'number' && Number.isFinite(value)) return BigInt(Math.round(value));
+  return null;
+}
+
+function formatTime(value) {
+  const time = toNanoseconds(value);
+  // Leave unreadable times for the validator to report
+  return time === null ? value : formatExportTime(time);
+}
+
+/**
+ * Transform an OTLP JSON export to Nayra events.
+ *
+ * @param {Object} data - Object with a `resourceSpans` array
+ * @returns {Array} Raw Nayra events
+ */
+export function transformOtlp(data) {
+  const spans = [];
+  for (const resourceSpans of data?.resourceSpans ?? []) {
+    const service = attributeMap(resourceSpans?.resource?.attributes)['service.name'];
+    const scopes = resourceSpans?.scopeSpans ?? resourceSpans?.instrumentationLibrarySpans ?? [];
+    for (const scope of scopes) {
+      for (const span of scope?.spans ?? []) {
+        if (typeof span === 'object' && span !== null) {
+          spans.push({ span, service: typeof service === 'string' && service ? service : UNKNOWN_SERVICE });
+        }
+      }
+    }
+  }
+
+  const spanIds = new Set(spans.map(({ span }) => span.spanId));
+
+  return spans.map(({ span, service }) => {
+    const event = {
+      id: span.spanId,
+      label: span.name,
+      start: formatTime(span.startTimeUnixNano),
+      group: service,
+      category: service,
+    };
+    if (span.endTimeUnixNano !== undefined) event.end = formatTime(span.endTimeUnixNano);
+
+    const description = describeAttributes(span.attributes);
+    if (description) event.description = description;
+
+    if (span.parentSpanId && spanIds.has(span.parentSpanId)) {
+      event.relations = [{ type: 'part_of', target: span.parentSpanId }];
+    }
+    return event;
+  });
+}
@@ -1,7 +1,7 @@
-import { BILLION_YEARS, MILLION_YEARS, YEAR } from '../core/time.js';
+import { BILLION_YEARS, MILLION_YEARS, SECOND, YEAR } from '../core/time.js';
 
 const _UNIX_EPOCH = 0n;
-const _YEAR_2000 = 946684800n;
+const _YEAR_2000 = 946684800n * SECOND;
 const EARTH_FORMATION = -4_500_000_000n * YEAR;
 const BIG_BANG = -13_800_000_000n * YEAR;
 
@@ -22,15 +22,15 @@ export function generateSampleEvents() {
 
 export function generateRecentEvents(count) {
   const events = [];
-  const start1900 = -2208988800n;
-  const start2100 = 4102444800n;
+  const start1900 = -2208988800n * SECOND;
+  const start2100 = 4102444800n * SECOND;
   const range = start2100 - start1900;
 
   for (let i = 0; i < count; i++) {
     const startOffset = BigInt(Math.floor(Math.random() * Number(range)));
     const eventStart = start1900 + startOffset;
     const hasDuration = Math.random() > 0.5;
-    const duration = hasDuration ? BigInt(Math.floor(Math.random() * 86400 * 365)) : undefined;
+    const duration = hasDuration ? BigInt(Math.floor(Math.random() * 86400 * 365)) * SECOND : undefined;
 
     // Assign random priority (weighted toward medium)
     const rand = Math.random();
@@ -0,0 +1,299 @@
+/**
+ * IndexedDB persistence for named timelines and the last session.
+ *
+ * A saved timeline holds the events plus the viewport, filters, calendar and
+ * the dataset's guided tour.
+ * BigInt values are stored as decimal strings so they round-trip exactly,
+ * independent of the browser's structured-clone support for BigInt.
+ * Version 1 records hold times in seconds; later ones in nanoseconds.
+ */
+
+import { LogScale } from '../core/log-scale.js';
+import { RationalScale } from '../core/scale.js';
+import { SECOND } from '../core/time.js';
+
+export const DB_NAME = 'nayra';
+const DB_VERSION = 1;
+const TIMELINES_STORE = 'timelines';
+const SESSION_STORE = 'session';
+const SESSION_KEY = 'last';
+// The session's viewport lives apart so panning and zooming rewrite only a few bytes
+const SESSION_VIEWPORT_KEY = 'viewport';
+const RECORD_VERSION = 2;
+
+// Optional BigInt fields of an event besides start
+const TIME_FIELDS = ['end', 'earliest', 'latest'];
+
+function encodeEvent(event) {
+  const encoded = { ...event, start: event.start.toString() };
+  for (const field of TIME_FIELDS) {
+    if (event[field] !== undefined) encoded[field] = event[field].toString();
+  }
+  return encoded;
+}
+
+// Multiplier from a record's time unit to nanoseconds
+function timeUnitOf(record) {
+  return (record.version ?? 1) < 2 ? SECOND : 1n;
+}
+
+function decodeEvent(record, unit) {
+  const event = { ...record, start: BigInt(record.start) * unit };
+  for (const field of TIME_FIELDS) {
+    if (record[field] !== undefined) event[field] = BigInt(record[field]) * unit;
+  }
+  return event;
+}
+
+function encodeViewport(viewportStart, scale) {
+  if (scale.logarithmic) {
+    return {
+      start: viewportStart.toString(),
+      pixelsPerDecade: scale.pixelsPerDecade,
+      present: scale.present.toString(),
+    };
+  }
+  return {
+    start: viewportStart.toString(),
+    numerator: scale.numerator.toString(),
+    denominator: scale.denominator.toString(),
+  };
+}
+
+function decodeScale(viewport, unit) {
+  if (viewport.pixelsPerDecade !== undefined) {
+    return new LogScale(viewport.pixelsPerDecade, BigInt(viewport.present) * unit);
+  }
+  return new RationalScale(BigInt(viewport.numerator), BigInt(viewport.denominator) * unit);
+}
+
+function encodeTour(tour) {
+  return {
+    ...tour,
+    steps: tour.steps.map((step) => ({
+      ...step,
+      viewport: step.viewport && { start: step.viewport.start.toString(), end: step.viewport.end.toString() },
+    })),
+  };
+}
+
+function decodeTour(record, unit) {
+  return {
+    ...record,
+    steps: record.steps.map((step) => ({
+      ...step,
+      viewport: step.viewport && { start: BigInt(step.viewport.start) * unit, end: BigInt(step.viewport.end) * unit },
+    })),
+  };
+}
+
+/**
+ * Convert store state into a plain, cloneable record.
+ *
+ * @param {Object} state - Store state
+ * @param {{ name?: string, example?: string|null }} [meta]
+ * @returns {Object}
+ */
+export function serializeDataset(state, { name = '', example = null } = {}) {
+  // During a tour, keep the user's own filters rather than the step's
+  const filters = state.tourReturnFilters ?? state;
+  return {
+    version: RECORD_VERSION,
+    name,
+    example,
+    savedAt: Date.now(),
+    events: state.events.map(encodeEvent),
+    viewport: encodeViewport(state.viewportStart, state.scale),
+    filters: {
+      searchQuery: filters.searchQuery,
+      selectedCategories: [...filters.selectedCategories],
+      filterMode: filters.filterMode,
+    },
+    calendar: state.calendar,
+    tour: state.tour ? encodeTour(state.tour) : null,
+  };
+}
+
+/**
+ * Whether anything serializeDataset() stores besides the viewport differs
+ * between two states. Hover, focus, selection and other UI state do not count.
+ *
+ * @param {Object|null} previous - State last saved, or null
+ * @param {Object} state
+ * @returns {boolean}
+ */
+export function hasDatasetChanged(previous, state) {
+  if (!previous) return true;
+  const before = previous.tourReturnFilters ?? previous;
+  const after = state.tourReturnFilters ?? state;
+  return (
+    previous.events !== state.events ||
+    before.searchQuery !== after.searchQuery ||
+    before.selectedCategories !== after.selectedCategories ||
+    before.filterMode !== after.filterMode ||
+    previous.calendar !== state.calendar ||
+    previous.tour !== state.tour
+  );
+}
+
+/**
+ * Whether the viewport moved between two states.
+ *
+ * @param {Object|null} previous - State last saved, or null
+ * @param {Object} state
+ * @returns {boolean}
+ */
+export function hasViewportChanged(previous, state) {
+  return !previous || previous.viewportStart !== state.viewportStart || previous.scale !== state.scale;
+}
+
+/**
+ * Restore events, viewport, filters, calendar and tour from a stored record.
+ *
+ * @param {Object} record - Record produced by serializeDataset()
+ * @returns {{ name: string, example: string|null, events: Array, viewportStart: bigint, scale: RationalScale|LogScale,
+ *   searchQuery: string, selectedCategories: string[], filterMode: string, calendar: string,
+ *   tour: Object|null }}
+ */
+export function deserializeDataset(record) {
+  const { viewport, filters } = record;
+  const unit = timeUnitOf(record);
+  return {
+    name: record.name,
+    example: record.example ?? null,
+    events: record.events.map((event) => decodeEvent(event, unit)),
+    viewportStart: BigInt(viewport.start) * unit,
+    scale: decodeScale(viewport, unit),
+    searchQuery: filters.searchQuery,
+    selectedCategories: filters.selectedCategories,
+    filterMode: filters.filterMode,
+    calendar: record.calendar,
+    tour: record.tour ? decodeTour(record.tour, unit) : null,
+  };
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the timeline database.
+ *
+ * @param {Object} [options]
+ * @param {IDBFactory} [options.idb] - IndexedDB factory (defaults to the global)
+ * @param {string} [options.dbName]
+ * @returns {Object} Storage with async save/load/list/delete methods
+ */
+export function createTimelineStorage({ idb = globalThis.indexedDB, dbName = DB_NAME } = {}) {
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      const request = idb.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TIMELINES_STORE)) {
+          db.createObjectStore(TIMELINES_STORE, { keyPath: 'name' });
+        }
+        if (!db.objectStoreNames.contains(SESSION_STORE)) {
+          db.createObjectStore(SESSION_STORE);
+        }
+      };
+      dbPromise = promisify(request);
+      // Allow a retry after a failed open (e.g. storage blocked in private mode)
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function run(storeName, mode, operation) {
+    const db = await open();
+    const transaction = db.transaction(storeName, mode);
+    // Writes resolve once committed, not merely once the request succeeds
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await promisify(operation(transaction.objectStore(storeName)));
+    if (mode === 'readwrite') await done;
+    return result;
+  }
+
+  /**
+   * Save the current state under a name, replacing any timeline with that name.
+   *
+   * @param {string} name
+   * @param {Object} state - Store state
+   * @param {{ example?: string|null }} [meta]
+   */
+  async function saveTimeline(name, state, meta = {}) {
+    const trimmed = name.trim();
+    if (trimmed === '') throw new Error('Nayra: timeline name must not be empty');
+    await run(TIMELINES_STORE, 'readwrite', (store) => store.put(serializeDataset(state, { ...meta, name: trimmed })));
+  }
+
+  /** @returns {Promise<Object|null>} Deserialized timeline, or null when none has that name */
+  async function loadTimeline(name) {
+    const record = await run(TIMELINES_STORE, 'readonly', (store) => store.get(name));
+    return record ? deserializeDataset(record) : null;
+  }
+
+  /** @returns {Promise<Array<{ name: string, savedAt: number, eventCount: number }>>} Newest first */
+  async function listTimelines() {
+    const records = await run(TIMELINES_STORE, 'readonly', (store) => store.getAll());
+    return records
+      .map((record) => ({ name: record.name, savedAt: record.savedAt, eventCount: record.events.length }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  async function deleteTimeline(name) {
+    await run(TIMELINES_STORE, 'readwrite', (store) => store.delete(name));
+  }
+
+  /** Remember the working state so the next visit can restore it. */
+  async function saveSession(state, meta = {}) {
+    const record = serializeDataset(state, meta);
+    await run(SESSION_STORE, 'readwrite', (store) => {
+      store.put({ version: record.version, viewport: record.viewport }, SESSION_VIEWPORT_KEY);
+      return store.put(record, SESSION_KEY);
+    });
+  }
+
+  /** Remember only the viewport of the session, leaving its events untouched. */
+  async function saveSessionViewport(state) {
+    const record = { version: RECORD_VERSION, viewport: encodeViewport(state.viewportStart, state.scale) };
+    await run(SESSION_STORE, 'readwrite', (store) => store.put(record, SESSION_VIEWPORT_KEY));
+  }
+
+  /** @returns {Promise<Object|null>} Deserialized last session, or null */
+  async function loadSession() {
+    const record = await run(SESSION_STORE, 'readonly', (store) => store.get(SESSION_KEY));
+    if (!record) return null;
+    const view = await run(SESSION_STORE, 'readonly', (store) => store.get(SESSION_VIEWPORT_KEY));
+    return deserializeDataset(view?.version === record.version ? { ...record, viewport: view.viewport } : record);
+  }
+
+  async function close() {
+    if (!dbPromise) return;
+    const db = await dbPromise;
+    db.close();
+    dbPromise = null;
+  }
+
+  return {
+    saveTimeline,
+    loadTimeline,
+    listTimelines,
+    deleteTimeline,
+    saveSession,
+    saveSessionViewport,
+    loadSession,
+    close,
+  };
+}
@@ -0,0 +1,141 @@
+import { parseTimeQuery } from '../core/time-parser.js';
+
+export const DEFAULT_AUTOPLAY_INTERVAL = 8000;
+const FILTER_MODES = ['OR', 'AND'];
+
+/**
+ * Parse the `tour` section of a dataset into steps the timeline can play.
+ *
+ * ```json
+ * {
+ *   "title": "One hour of human history",
+ *   "autoplayInterval": 8000,
+ *   "steps": [
+ *     {
+ *       "caption": "The first **Homo sapiens**",
+ *       "events": ["homo-sapiens-origin"],
+ *       "viewport": { "start": "0.25 Ma", "end": "0.15 Ma" },
+ *       "highlight": ["homo-sapiens-origin"],
+ *       "filters": { "search": "tag:evolution", "categories": ["humanity"], "mode": "OR" }
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * A step shows its `viewport` or, without one, the range of its `events`.
+ * `highlight` defaults to the step's events; `filters` replace the active
+ * search and category filters while the step is shown. Steps that have
+ * neither a viewport nor a known event are reported and dropped, as are
+ * unknown event ids.
+ *
+ * @param {Object} raw - The dataset's `tour` section
+ * @param {Array} events - Normalized events of the dataset
+ * @returns {{ tour: { title: string, autoplayInterval: number, steps: Array }|null, errors: Array }}
+ */
+export function parseTour(raw, events) {
+  const errors = [];
+  if (raw === null || typeof raw !== 'object' || !Array.isArray(raw.steps)) {
+    errors.push({ field: 'tour', message: 'tour must be an object with a steps array' });
+    return { tour: null, errors };
+  }
+
+  const ids = new Set(events.map((event) => event.id));
+  const steps = [];
+  raw.steps.forEach((rawStep, index) => {
+    const step = parseStep(rawStep, index, ids, errors);
+    if (step) steps.push(step);
+  });
+
+  if (steps.length === 0) {
+    errors.push({ field: 'tour', message: 'tour has no playable steps' });
+    return { tour: null, errors };
+  }
+
+  const interval = raw.autoplayInterval;
+  return {
+    tour: {
+      title: typeof raw.title === 'string' ? raw.title : '',
+      autoplayInterval: Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_AUTOPLAY_INTERVAL,
+      steps,
+    },
+    errors,
+  };
+}
+
+function parseStep(raw, index, ids, errors) {
+  const report = (message) => errors.push({ field: 'tour', step: index, message });
+
+  if (raw === null || typeof raw !== 'object') {
+    report('step must be an object');
+    return null;
+  }
+  if (typeof raw.caption !== 'string' || raw.caption.trim() === '') {
+    report('step needs a caption');
+    return null;
+  }
+
+  const eventIds = knownIds(raw.events, 'events', ids, report);
+  const highlightIds = raw.highlight === undefined ? eventIds : knownIds(raw.highlight, 'highlight', ids, report);
+  const viewport = raw.viewport === undefined ? null : parseViewport(raw.viewport, report);
+
+  if (viewport === null && eventIds.length === 0) {
+    report('step needs a viewport or at least one known event');
+    return null;
+  }
+
+  return { caption: raw.caption, eventIds, viewport, highlightIds, filters: parseFilters(raw.filters, report) };
+}
+
+function knownIds(value, field, ids, report) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    report(`${field} must be an array of event ids`);
+    return [];
+  }
+  return value.filter((id) => {
+    if (ids.has(id)) return true;
+    report(`${field}: unknown event "${id}"`);
+    return false;
+  });
+}
+
+function parseViewport(value, report) {
+  if (value === null || typeof value !== 'object' || typeof value.start !== 'string' || typeof value.end !== 'string') {
+    report('viewport must be an object with start and end times');
+    return null;
+  }
+  const start = parseTimeQuery(value.start);
+  const end = parseTimeQuery(value.end);
+  if (!start.success || !end.success) {
+    report(`viewport: ${(start.success ? end : start).error}`);
+    return null;
+  }
+  // From the beginning of the start date's year, month or day to the end of the end date's
+  const range = { start: start.time - start.span / 2n, end: end.time + end.span / 2n };
+  if (end.time < start.time) {
+    report('viewport: end must not be earlier than start');
+    return null;
+  }
+  return range;
+}
+
+function parseFilters(value, report) {
+  const filters = { searchQuery: '', selectedCategories: [], filterMode: 'OR' };
+  if (value === undefined) return filters;
+  if (value === null || typeof value !== 'object') {
+    report('filters must be an object');
+    return filters;
+  }
+  if (typeof value.search === 'string') filters.searchQuery = value.search;
+  if (Array.isArray(value.categories)) {
+    filters.selectedCategories = value.categories.filter((category) => typeof category === 'string');
+  }
+  if (value.mode !== undefined) {
+    if (FILTER_MODES.includes(value.mode)) {
+      filters.filterMode = value.mode;
+    } else {
+      report('filters: mode must be "OR" or "AND"');
+    }
+  }
+  return filters;
+}
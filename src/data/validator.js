@@ -1,9 +1,10 @@
+import { RELATION_TYPES } from '../core/relations.js';
 import { parseTimeQuery } from '../core/time-parser.js';
 
-const VALID_PRECISIONS = ['day', 'month', 'year', 'decade', 'century', 'million_years', 'billion_years'];
+export const VALID_PRECISIONS = ['day', 'month', 'year', 'decade', 'century', 'million_years', 'billion_years'];
 
 class ValidationError {
-  constructor({ code, event, field, value, expected, hint, occurrences }) {
+  constructor({ code, event, field, value, expected, hint, occurrences, row }) {
     this.code = code;
     this.event = event;
     this.field = field;
@@ -13,11 +14,15 @@ class ValidationError {
     if (occurrences) {
       this.occurrences = occurrences;
     }
+    if (row !== undefined) {
+      this.row = row;
+    }
   }
 
   toString() {
+    const rowLine = this.row !== undefined ? `\n  Row: ${this.row}` : '';
     return `Validation Error: ${this.code}
-  Event: ${this.event}
+  Event: ${this.event}${rowLine}
   Field: ${this.field}
   Value: ${this.value}
   Expected: ${this.expected}
@@ -25,6 +30,17 @@ class ValidationError {
   }
 }
 
+function isValidRelation(relation, eventId) {
+  return (
+    relation !== null &&
+    typeof relation === 'object' &&
+    RELATION_TYPES.includes(relation.type) &&
+    typeof relation.target === 'string' &&
+    relation.target !== '' &&
+    relation.target !== eventId
+  );
+}
+
 function validateEvent(event, index, _seenIds) {
   const errors = [];
   const eventId = event.id || `index:${index}`;
@@ -109,6 +125,38 @@ function validateEvent(event, index, _seenIds) {
     }
   }
 
+  if (event.group !== undefined) {
+    if (typeof event.group !== 'string' || !/[^/\s]/.test(event.group)) {
+      errors.push(
+        new ValidationError({
+          code: 'INVALID_GROUP',
+          event: eventId,
+          field: 'group',
+          value: JSON.stringify(event.group),
+          expected: 'non-empty string',
+          hint: 'Name the swimlane group, using "/" to nest subgroups (e.g. "Engineering/Backend")',
+        }),
+      );
+    }
+  }
+
+  if (event.relations !== undefined) {
+    const invalid =
+      !Array.isArray(event.relations) || event.relations.some((relation) => !isValidRelation(relation, event.id));
+    if (invalid) {
+      errors.push(
+        new ValidationError({
+          code: 'INVALID_RELATION',
+          event: eventId,
+          field: 'relations',
+          value: JSON.stringify(event.relations),
+          expected: `array of { type: ${RELATION_TYPES.join('|')}, target: event id }`,
+          hint: 'Each relation needs a known type and the id of another event',
+        }),
+      );
+    }
+  }
+
   if (event.start !== undefined && event.end !== undefined) {
     const startParsed = parseTimeQuery(event.start);
     const endParsed = parseTimeQuery(event.end);
@@ -132,7 +180,14 @@ function validateEvent(event, index, _seenIds) {
   return errors;
 }
 
-export function validate(events) {
+/**
+ * Validate raw events.
+ *
+ * @param {object[]} events
+ * @param {object} [options]
+ * @param {number[]} [options.rows] - Source row per event (e.g. CSV line numbers), copied onto errors
+ */
+export function validate(events, { rows } = {}) {
   const valid = [];
   const errors = [];
   const seenIds = new Map();
@@ -142,6 +197,9 @@ export function validate(events) {
     const eventErrors = validateEvent(event, i, seenIds);
 
     if (eventErrors.length > 0) {
+      if (rows) {
+        for (const error of eventErrors) error.row = rows[i];
+      }
       errors.push(...eventErrors);
       continue;
     }
@@ -157,6 +215,7 @@ export function validate(events) {
           expected: 'unique identifier',
           hint: 'Each event must have a unique id',
           occurrences: [firstIndex, i],
+          row: rows?.[i],
         }),
       );
       continue;
@@ -166,6 +225,30 @@ export function validate(events) {
     valid.push(event);
   }
 
+  // Relations may point forward, so targets are checked once every id is known.
+  // A dangling relation is dropped; the event itself is still imported.
+  for (let i = 0; i < valid.length; i++) {
+    const event = valid[i];
+    if (!event.relations) continue;
+    const kept = event.relations.filter((relation) => seenIds.has(relation.target));
+    if (kept.length === event.relations.length) continue;
+    for (const relation of event.relations) {
+      if (seenIds.has(relation.target)) continue;
+      errors.push(
+        new ValidationError({
+          code: 'DANGLING_RELATION',
+          event: event.id,
+          field: 'relations',
+          value: relation.target,
+          expected: 'id of an imported event',
+          hint: `No imported event has the id "${relation.target}"`,
+          row: rows?.[seenIds.get(event.id)],
+        }),
+      );
+    }
+    valid[i] = { ...event, relations: kept };
+  }
+
   const total = events.length;
   const imported = valid.length;
   const errorCount = total - imported;
@@ -0,0 +1,114 @@
+import { projectToScreen } from '../core/time.js';
+import { floorToGridLine, getGridInterval, nextGridLine } from '../rendering/renderer.js';
+import { findEventAtPointFast } from './hit-detection.js';
+
+// Movement (px) before a press on an event becomes a drag rather than a click
+export const DRAG_THRESHOLD = 5;
+// Distance (px) from a span's edge that grabs the edge instead of the body
+export const EDGE_HIT_ZONE = 6;
+// Smallest span a resize can produce, in pixels at the current zoom
+const MIN_SPAN_PX = 4;
+
+/**
+ * Decide which part of an event a pointer at `x` grabs.
+ * Point events only move; spans resize when grabbed near an edge.
+ *
+ * @param {number} x - Canvas x coordinate
+ * @param {Object} event
+ * @param {bigint} viewportStart
+ * @param {Object} scale
+ * @returns {'move'|'start'|'end'}
+ */
+export function getDragHandle(x, event, viewportStart, scale) {
+  if (event.end === undefined || event.end <= event.start) return 'move';
+  const startX = projectToScreen(event.start, viewportStart, scale);
+  const endX = projectToScreen(event.end, viewportStart, scale);
+  // Narrow spans keep their middle third for moving
+  const zone = Math.min(EDGE_HIT_ZONE, (endX - startX) / 3);
+  if (x - startX <= zone) return 'start';
+  if (endX - x <= zone) return 'end';
+  return 'move';
+}
+
+/**
+ * Find the event and handle under a point.
+ *
+ * @param {number} x - Canvas x coordinate
+ * @param {number} y - Canvas y coordinate
+ * @param {Object} state - Store state (events, viewportStart, scale)
+ * @param {number} canvasHeight
+ * @param {Object} [renderer] - Renderer instance (defaults to the module-level renderer)
+ * @returns {{ event: Object, handle: 'move'|'start'|'end' }|null}
+ */
+export function findDragTarget(x, y, state, canvasHeight, renderer = null) {
+  const { events, viewportStart, scale } = state;
+  const event = findEventAtPointFast(x, y, events, viewportStart, scale, canvasHeight, renderer);
+  if (!event) return null;
+  return { event, handle: getDragHandle(x, event, viewportStart, scale) };
+}
+
+/**
+ * Round a time to the nearest grid line drawn at the current zoom: a minute,
+ * a midnight, a month start, a round year…
+ *
+ * @param {bigint} time
+ * @param {number} secondsPerPixel
+ * @param {string} [calendar] - Calendar the grid years are rounded in
+ * @returns {bigint}
+ */
+export function snapToGrid(time, secondsPerPixel, calendar) {
+  const grid = getGridInterval(secondsPerPixel);
+  const before = floorToGridLine(time, grid, calendar);
+  const after = nextGridLine(before, grid, calendar);
+  return time - before < after - time ? before : after;
+}
+
+/**
+ * Compute the event times for a drag that has moved `dx` pixels.
+ *
+ * Moving keeps the duration; resizing keeps the opposite edge fixed and never
+ * shrinks the span below a few pixels.
+ *
+ * @param {{ handle: string, start: bigint, end?: bigint }} drag - Handle and original times
+ * @param {number} dx - Horizontal pointer movement in pixels
+ * @param {Object} scale
+ * @param {{ snap?: boolean, calendar?: string }} [options] - Snap to grid (default true)
+ * @returns {{ start: bigint, end: bigint|undefined }}
+ */
+export function computeDragTimes(drag, dx, scale, { snap = true, calendar } = {}) {
+  // Measured from the dragged edge, since a log axis has no fixed time per pixel
+  const edge = drag.handle === 'end' ? drag.end : drag.start;
+  const delta = scale.pxToTime(dx, edge);
+  const spp = scale.getSecondsPerPixel(edge);
+  const align = (time) => (snap ? snapToGrid(time, spp, calendar) : time);
+  const pixelSpan = scale.pxToTime(MIN_SPAN_PX, edge);
+  const minSpan = pixelSpan > 0n ? pixelSpan : 1n;
+
+  if (drag.handle === 'start') {
+    const start = align(drag.start + delta);
+    return { start: start > drag.end - minSpan ? drag.end - minSpan : start, end: drag.end };
+  }
+  if (drag.handle === 'end') {
+    const end = align(drag.end + delta);
+    return { start: drag.start, end: end < drag.start + minSpan ? drag.start + minSpan : end };
+  }
+  const start = align(drag.start + delta);
+  return { start, end: drag.end !== undefined ? start + (drag.end - drag.start) : undefined };
+}
+
+/**
+ * Move an event's uncertainty window with its dragged edges: `earliest` by
+ * the start's shift, `latest` by the end's (the start's for points).
+ *
+ * @param {{ start: bigint, end?: bigint, earliest?: bigint, latest?: bigint }} event - Event before the drag
+ * @param {bigint} start - Dragged start
+ * @param {bigint} [end] - Dragged end
+ * @returns {{ earliest: bigint|undefined, latest: bigint|undefined }}
+ */
+export function shiftBounds(event, start, end) {
+  const endShift = (end ?? start) - (event.end ?? event.start);
+  return {
+    earliest: event.earliest !== undefined ? event.earliest + (start - event.start) : undefined,
+    latest: event.latest !== undefined ? event.latest + endShift : undefined,
+  };
+}
@@ -2,10 +2,20 @@
  * Focus Manager
  * Manages keyboard focus state for timeline events, including focus tracking,
  * history navigation, and ARIA announcements for screen readers.
+ *
+ * With swimlane groups, navigation walks the events group by group in display
+ * order and skips collapsed groups.
  */
 
+import { getEventGroupKey, getGroupedEventOrder, getGroupPath } from '../layout/group-layout.js';
+
 const MAX_FOCUS_HISTORY = 50;
 
+// Events reachable by keyboard, in navigation order
+function getNavigableEvents(state) {
+  return getGroupedEventOrder(state.events, { groupBy: state.groupBy, collapsedGroups: state.collapsedGroups });
+}
+
 export function createFocusManager(store, ariaLiveElement = null) {
   let historyIndex = -1;
   let navigatingHistory = false;
@@ -21,7 +31,8 @@ export function createFocusManager(store, ariaLiveElement = null) {
   function handleEventChanges(state) {
     // If we have a focused event, check if it still exists
     if (state.focusedEventId && !navigatingHistory) {
-      const focusedEvent = state.events.find((e) => e.id === state.focusedEventId);
+      // Events inside a collapsed group count as gone
+      const focusedEvent = getNavigableEvents(state).find((e) => e.id === state.focusedEventId);
       if (focusedEvent) {
         // Update last known position
         lastKnownPosition =
@@ -30,7 +41,7 @@ export function createFocusManager(store, ariaLiveElement = null) {
             : focusedEvent.start;
       } else {
         // Focused event no longer exists, restore focus
-        if (lastKnownPosition !== null && state.events.length > 0) {
+        if (lastKnownPosition !== null && getNavigableEvents(state).length > 0) {
           const nearestId = findNearestEvent(lastKnownPosition);
           if (nearestId) {
             setFocus(nearestId);
@@ -93,10 +104,14 @@ export function createFocusManager(store, ariaLiveElement = null) {
     }
 
     const title = event.title || event.id;
-    const index = state.events.findIndex((e) => e.id === eventId);
-    const position = `${index + 1} of ${state.events.length}`;
-
-    ariaLiveElement.textContent = `Focused on ${title}, item ${position}`;
+    const events = getNavigableEvents(state);
+    const index = events.findIndex((e) => e.id === eventId);
+    const position = `${index + 1} of ${events.length}`;
+    const group = state.groupBy ? getGroupPath(event, state.groupBy).at(-1) : null;
+
+    ariaLiveElement.textContent = group
+      ? `Focused on ${title}, item ${position}, in ${group}`
+      : `Focused on ${title}, item ${position}`;
   }
 
   function findNearestEvent(targetTime) {
@@ -113,7 +128,7 @@ export function createFocusManager(store, ariaLiveElement = null) {
     let nearestEvent = null;
     let minDistance = null;
 
-    for (const event of state.events) {
+    for (const event of getNavigableEvents(state)) {
       // Calculate midpoint of event
       const midpoint = event.end != null ? event.start + (event.end - event.start) / 2n : event.start;
       const distance = midpoint > targetTime ? midpoint - targetTime : targetTime - midpoint;
@@ -161,7 +176,7 @@ export function createFocusManager(store, ariaLiveElement = null) {
 
   function focusNext() {
     const state = store.getState();
-    const events = state.events;
+    const events = getNavigableEvents(state);
 
     if (events.length === 0) return;
 
@@ -185,7 +200,7 @@ export function createFocusManager(store, ariaLiveElement = null) {
 
   function focusPrevious() {
     const state = store.getState();
-    const events = state.events;
+    const events = getNavigableEvents(state);
 
     if (events.length === 0) return;
 
@@ -208,17 +223,56 @@ export function createFocusManager(store, ariaLiveElement = null) {
   }
 
   function focusFirst() {
-    const state = store.getState();
-    if (state.events.length > 0) {
-      setFocus(state.events[0].id);
+    const events = getNavigableEvents(store.getState());
+    if (events.length > 0) {
+      setFocus(events[0].id);
     }
   }
 
   function focusLast() {
+    const events = getNavigableEvents(store.getState());
+    if (events.length > 0) {
+      setFocus(events[events.length - 1].id);
+    }
+  }
+
+  /**
+   * Focus the first event of the next (or previous) expanded group, wrapping around.
+   * Without grouping every event is in the same group, so focus stays put.
+   *
+   * @param {1|-1} direction
+   */
+  function focusAdjacentGroup(direction) {
     const state = store.getState();
-    if (state.events.length > 0) {
-      setFocus(state.events[state.events.length - 1].id);
+    const events = getNavigableEvents(state);
+    if (events.length === 0) return;
+
+    // Index of the first event of every group, in navigation order
+    const starts = [];
+    events.forEach((event, i) => {
+      if (i === 0 || getEventGroupKey(event, state.groupBy) !== getEventGroupKey(events[i - 1], state.groupBy)) {
+        starts.push(i);
+      }
+    });
+
+    const currentIndex = events.findIndex((e) => e.id === state.focusedEventId);
+    if (currentIndex === -1) {
+      setFocus(events[direction > 0 ? 0 : starts[starts.length - 1]].id);
+      return;
     }
+
+    let group = starts.length - 1;
+    while (starts[group] > currentIndex) group--;
+    const target = (group + direction + starts.length) % starts.length;
+    setFocus(events[starts[target]].id);
+  }
+
+  function focusNextGroup() {
+    focusAdjacentGroup(1);
+  }
+
+  function focusPreviousGroup() {
+    focusAdjacentGroup(-1);
   }
 
   function destroy() {
@@ -237,6 +291,8 @@ export function createFocusManager(store, ariaLiveElement = null) {
     focusPrevious,
     focusFirst,
     focusLast,
+    focusNextGroup,
+    focusPreviousGroup,
     destroy,
   };
 }
@@ -1,18 +1,74 @@
-import { projectToScreen } from '../core/time.js';
+import { projectToScreen, screenToTime } from '../core/time.js';
 import { isPointInCluster } from '../layout/event-clustering.js';
 import { assignLanes } from '../layout/greedy-interval-coloring.js';
-import { getLaneY } from '../layout/lane-positioning.js';
+import { queryEvents } from '../layout/interval-tree.js';
+import { getLaneBounds, getLaneY } from '../layout/lane-positioning.js';
 import { SpatialHash } from '../layout/spatial-hash.js';
-import { getAxisY, getClusters, getCurrentLaneConfig } from '../rendering/renderer.js';
+import {
+  getAxisY,
+  getClusters,
+  getCurrentLaneConfig,
+  getGroupBands,
+  getHiddenEventIds,
+  getLaneAssignments,
+} from '../rendering/renderer.js';
+
+// Minimum hit width of an event in pixels (points and very short spans)
+const MIN_HIT_WIDTH = 4;
+
+// Packed lanes per events array, so repeated hit tests on the same dataset don't repack
+const laneCache = new WeakMap();
+
+// Lane of every hittable event. With swimlane groups the renderer's grouped
+// layout is authoritative (events of collapsed groups have no lane); otherwise
+// lanes are packed from the given events.
+function getHitLanes(events, renderer) {
+  const groups = renderer ? renderer.getGroupBands() : getGroupBands();
+  if (groups.length === 0) {
+    let lanes = laneCache.get(events);
+    if (!lanes) {
+      lanes = assignLanes(events).layouts;
+      laneCache.set(events, lanes);
+    }
+    return { lanes, hidden: null };
+  }
+  return {
+    lanes: renderer ? renderer.getLaneAssignments() : getLaneAssignments(),
+    hidden: renderer ? renderer.getHiddenEventIds() : getHiddenEventIds(),
+  };
+}
+
+/**
+ * Find the swimlane group whose header row contains a point.
+ *
+ * @param {number} y - Screen Y coordinate
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @param {Object} [renderer] - Renderer instance (defaults to the module-level renderer)
+ * @returns {Object|null} - Group from assignGroupedLanes(), or null
+ */
+export function findGroupHeaderAtPoint(y, canvasHeight, renderer = null) {
+  const groups = renderer ? renderer.getGroupBands() : getGroupBands();
+  if (groups.length === 0) return null;
+  const axisY = getAxisY(canvasHeight);
+  const laneConfig = renderer ? renderer.getCurrentLaneConfig() : getCurrentLaneConfig();
+  return (
+    groups.find((group) => {
+      const { top, bottom } = getLaneBounds(group.headerLane, axisY, laneConfig);
+      return y >= top && y < bottom;
+    }) ?? null
+  );
+}
 
 // Lane-aware hit detection
-export function findEventAtPoint(x, y, events, viewportStart, scale, canvasHeight) {
+// `renderer` selects the timeline instance whose clusters and lane config apply;
+// the module-level default renderer is used when omitted.
+export function findEventAtPoint(x, y, events, viewportStart, scale, canvasHeight, renderer = null) {
   const axisY = getAxisY(canvasHeight);
-  const laneConfig = getCurrentLaneConfig();
+  const laneConfig = renderer ? renderer.getCurrentLaneConfig() : getCurrentLaneConfig();
   const clusterY = getLaneY(0, axisY, laneConfig) + laneConfig.laneHeight / 2;
 
   // First check for cluster hits (if in macro zoom mode)
-  const clusters = getClusters();
+  const clusters = renderer ? renderer.getClusters() : getClusters();
   if (clusters && clusters.length > 0) {
     const CLUSTER_RADIUS = 24; // Match max radius from renderer
     for (const cluster of clusters) {
@@ -35,20 +91,29 @@ export function findEventAtPoint(x, y, events, viewportStart, scale, canvasHeigh
   }
 
   // Build lane assignments for multilane support
-  const { layouts: laneAssignments } = assignLanes(events);
+  const { lanes: laneAssignments, hidden } = getHitLanes(events, renderer);
   const eventHeight = laneConfig.laneHeight;
 
+  // Only events spanning the time under the point (within the minimum hit width) can be hit;
+  // the extra pixel and second cover projection rounding
+  const candidates = queryEvents(
+    events,
+    screenToTime(x - MIN_HIT_WIDTH - 1, viewportStart, scale) - 1n,
+    screenToTime(x + 1, viewportStart, scale) + 1n,
+  );
+
   // Check events in reverse order (last rendered = top of stack)
-  for (let i = events.length - 1; i >= 0; i--) {
-    const event = events[i];
+  for (let i = candidates.length - 1; i >= 0; i--) {
+    const event = candidates[i];
+    if (hidden?.has(event.id)) continue;
     const eventX = projectToScreen(event.start, viewportStart, scale);
 
     let eventWidth;
     if (event.end !== undefined && event.end > event.start) {
       const endX = projectToScreen(event.end, viewportStart, scale);
-      eventWidth = Math.max(endX - eventX, 4);
+      eventWidth = Math.max(endX - eventX, MIN_HIT_WIDTH);
     } else {
-      eventWidth = 4;
+      eventWidth = MIN_HIT_WIDTH;
     }
 
     // Get the lane for this event and calculate its Y position
@@ -72,19 +137,21 @@ export function findEventAtPoint(x, y, events, viewportStart, scale, canvasHeigh
  * @param {number} viewportStart - Viewport start time
  * @param {Object} scale - Scale object
  * @param {number} canvasHeight - Canvas height in pixels
+ * @param {Object} [renderer] - Renderer instance (defaults to the module-level renderer)
  * @returns {Object|null} - Event at point, or null
  */
-export function findEventAtPointFast(x, y, events, viewportStart, scale, canvasHeight) {
+export function findEventAtPointFast(x, y, events, viewportStart, scale, canvasHeight, renderer = null) {
   const axisY = getAxisY(canvasHeight);
-  const laneConfig = getCurrentLaneConfig();
+  const laneConfig = renderer ? renderer.getCurrentLaneConfig() : getCurrentLaneConfig();
   const eventHeight = laneConfig.laneHeight;
 
   // Build lane assignments
-  const { layouts: laneAssignments } = assignLanes(events);
+  const { lanes: laneAssignments, hidden } = getHitLanes(events, renderer);
 
   // Build spatial hash
   const hash = new SpatialHash();
   const getBounds = (event) => {
+    if (hidden?.has(event.id)) return null;
     const eventX = projectToScreen(event.start, viewportStart, scale);
 
     let eventWidth;
@@ -1,11 +1,14 @@
-import { zoomToEvent, zoomToRange } from '../core/navigation.js';
+import { LogScale } from '../core/log-scale.js';
+import { convertAxisMode, zoomToEvent, zoomToRange } from '../core/navigation.js';
 import { RationalScale } from '../core/scale.js';
-import { YEAR } from '../core/time.js';
+import { fromMilliseconds, projectToScreen, SECOND, screenToTime, toSeconds, YEAR } from '../core/time.js';
+import { getGroupedEventOrder } from '../layout/group-layout.js';
 import { initAutoPan } from '../viewport/pan.js';
+import { computeDragTimes, DRAG_THRESHOLD, findDragTarget, getDragHandle, shiftBounds } from './event-drag.js';
 import { GestureRecognizer } from './gestures.js';
-import { findEventAtPoint } from './hit-detection.js';
+import { findEventAtPoint, findGroupHeaderAtPoint } from './hit-detection.js';
 
-const MIN_SECONDS_PER_PIXEL = 0.001;
+const MIN_SECONDS_PER_PIXEL = 1e-10;
 const CLICK_THRESHOLD = 3;
 const DOUBLE_TAP_MAX_DELAY = 300;
 const DOUBLE_TAP_MAX_DISTANCE = 20;
@@ -19,8 +22,10 @@ const MOMENTUM_FRICTION = 0.95;
 const MOMENTUM_MAX_SAMPLES = 5;
 const ZOOM_FACTOR = 1.15;
 const CLUSTER_VISIBLE_FRACTION = 0.8;
+// The `g` shortcut steps through these swimlane grouping modes
+const GROUPING_CYCLE = [null, 'category', 'group'];
 
-export const DEFAULT_SCALE = RationalScale.fromSecondsPerPixel(Number(YEAR));
+export const DEFAULT_SCALE = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
 
 function getHoverClusterKey(cluster) {
   if (!cluster) return null;
@@ -35,6 +40,10 @@ export const KEYBOARD_SHORTCUTS = {
   L: 'jumpToLast',
   h: 'jumpToToday',
   k: 'toggleCalendar',
+  l: 'toggleAxisMode',
+  g: 'cycleGrouping',
+  ArrowDown: 'nextGroup',
+  ArrowUp: 'previousGroup',
   '/': 'openSearch',
   '?': 'toggleHelp',
   f: 'toggleFilter',
@@ -43,16 +52,38 @@ export const KEYBOARD_SHORTCUTS = {
   '-': 'zoomOut',
   0: 'fitToContent',
   1: 'resetZoom',
+  e: 'toggleEditMode',
+  Delete: 'deleteSelected',
+  Backspace: 'deleteSelected',
+  'Ctrl+z': 'undo',
+  'Ctrl+Shift+z': 'redo',
+  'Ctrl+y': 'redo',
 };
 
+/**
+ * Key used to look up a keydown in KEYBOARD_SHORTCUTS.
+ * Ctrl (or Cmd on macOS) combinations are prefixed, e.g. "Ctrl+Shift+z".
+ */
+export function getShortcutKey(e) {
+  if (!e.ctrlKey && !e.metaKey) return e.key;
+  return `Ctrl+${e.shiftKey ? 'Shift+' : ''}${e.key.length === 1 ? e.key.toLowerCase() : e.key}`;
+}
+
 export function jumpToToday(canvasWidth, scale = DEFAULT_SCALE) {
-  const now = BigInt(Math.floor(Date.now() / 1000));
-  const halfWidthTime = scale.pxToTime(canvasWidth / 2);
-  const viewportStart = now - halfWidthTime;
-  return { viewportStart, scale };
+  const now = fromMilliseconds(Date.now());
+  return { viewportStart: scale.viewportStartFor(now, canvasWidth / 2), scale };
 }
 
-export function fitToContent(events, canvasWidth) {
+/**
+ * Fit all events in the viewport with a 10% margin. With a logarithmic
+ * `scale` the fit is done on a log axis with the same present.
+ *
+ * @param {Array} events
+ * @param {number} canvasWidth
+ * @param {Object} [scale] - Current scale
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }}
+ */
+export function fitToContent(events, canvasWidth, scale) {
   if (events.length === 0) {
     return { viewportStart: 0n, scale: DEFAULT_SCALE };
   }
@@ -67,6 +98,10 @@ export function fitToContent(events, canvasWidth) {
     if (eventEnd > maxTime) maxTime = eventEnd;
   }
 
+  if (scale?.logarithmic) {
+    return LogScale.fromRange(minTime, maxTime, canvasWidth, scale.present, { margin: canvasWidth / 10 });
+  }
+
   // Add 10% padding on each side
   const range = maxTime - minTime;
   const padding = range / 10n;
@@ -75,21 +110,59 @@ export function fitToContent(events, canvasWidth) {
   const paddedRange = paddedMax - paddedMin;
 
   // Calculate scale to fit all events
-  const spp = Number(paddedRange) / canvasWidth;
+  const spp = toSeconds(paddedRange) / canvasWidth;
   const clampedSpp = Math.max(MIN_SECONDS_PER_PIXEL, Math.min(MAX_SECONDS_PER_PIXEL, spp));
-  const scale = RationalScale.fromSecondsPerPixel(clampedSpp);
+  return { viewportStart: paddedMin, scale: RationalScale.fromSecondsPerPixel(clampedSpp) };
+}
+
+/**
+ * Magnify a scale by `factor` (below 1 zooms out), within the zoom limits.
+ * A log axis zooms by widening its decades.
+ *
+ * @param {Object} scale - RationalScale or LogScale
+ * @param {number} factor
+ * @returns {RationalScale|LogScale}
+ */
+export function zoomScale(scale, factor) {
+  if (scale.logarithmic) return scale.zoom(factor);
+  const spp = scale.getSecondsPerPixel() / factor;
+  return RationalScale.fromSecondsPerPixel(Math.max(MIN_SECONDS_PER_PIXEL, Math.min(MAX_SECONDS_PER_PIXEL, spp)));
+}
 
-  return { viewportStart: paddedMin, scale };
+/**
+ * Zoom one step in or out while keeping the time under `anchorX` fixed.
+ *
+ * @param {Object} state - Store state (viewportStart, scale)
+ * @param {number} anchorX - Anchor position in canvas pixels
+ * @param {boolean} zoomIn - Zoom direction
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }}
+ */
+export function zoomAtPoint(state, anchorX, zoomIn) {
+  const anchor = screenToTime(anchorX, state.viewportStart, state.scale);
+  const scale = zoomScale(state.scale, zoomIn ? ZOOM_FACTOR : 1 / ZOOM_FACTOR);
+  return { viewportStart: scale.viewportStartFor(anchor, anchorX), scale };
 }
 
 export function resetZoom(canvasWidth) {
-  const now = BigInt(Math.floor(Date.now() / 1000));
-  const halfWidthTime = DEFAULT_SCALE.pxToTime(canvasWidth / 2);
-  const viewportStart = now - halfWidthTime;
-  return { viewportStart, scale: DEFAULT_SCALE };
+  const now = fromMilliseconds(Date.now());
+  return { viewportStart: DEFAULT_SCALE.viewportStartFor(now, canvasWidth / 2), scale: DEFAULT_SCALE };
 }
 
-export function initInput(canvas, store, callbacks = {}, focusManager = null) {
+/**
+ * Attach pointer, wheel and keyboard handlers to a timeline canvas.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} store - Store with getState() / dispatch() / subscribe()
+ * @param {Object} [callbacks] - UI hooks (onOpenSearch, onContextMenu, ...)
+ * @param {Object} [focusManager] - Keyboard focus manager
+ * @param {{ renderer?: Object, keyboardTarget?: EventTarget, transition?: Object }} [options]
+ *   renderer: instance used for hit detection (defaults to the module-level renderer);
+ *   keyboardTarget: element receiving keyboard shortcuts (defaults to document);
+ *   transition: viewport transition that animates zooms and jumps (they are instant without one)
+ * @returns {Function} destroy
+ */
+export function initInput(canvas, store, callbacks = {}, focusManager = null, options = {}) {
+  const { renderer = null, keyboardTarget = document, transition = null } = options;
   let isDragging = false;
   let lastX = 0;
   let dragStartX = 0;
@@ -97,7 +170,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
   const gestures = new GestureRecognizer();
   const pointerSamples = new Map();
   let pinchStartDistance = null;
-  let pinchStartSpp = null;
+  let pinchStartScale = null;
   let wasPinchGesture = false;
   let lastTapTime = 0;
   let lastTapX = 0;
@@ -108,6 +181,80 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
   let hasActiveTouch = false;
   let isLongPressActive = false;
   let hoveredClusterKey = null;
+  // Edit mode press on an event: { pointerId, event, handle, start, end, originX, active }
+  let eventDrag = null;
+
+  // Idle cursor: pointer over events (resize on span edges in edit mode);
+  // crosshair (click-to-create) on empty canvas in edit mode
+  function cursorFor(hit, x) {
+    const state = store.getState();
+    if (hit) {
+      const isEdge =
+        state.mode === 'edit' && !hit.__cluster && getDragHandle(x, hit, state.viewportStart, state.scale) !== 'move';
+      return isEdge ? 'ew-resize' : 'pointer';
+    }
+    return state.mode === 'edit' ? 'crosshair' : 'grab';
+  }
+
+  function beginEventDrag(pointerId, clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+    const state = store.getState();
+    const hit = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height, renderer);
+    if (!hit || hit.__cluster) return null;
+    const target = findDragTarget(x, y, state, rect.height, renderer);
+    if (!target) return null;
+    const { event, handle } = target;
+    return { pointerId, event, handle, start: event.start, end: event.end, originX: clientX, active: false };
+  }
+
+  function updateEventDrag(e) {
+    const pointer = gestures.getPointer(e.pointerId);
+    const dx = pointer.x - pointer.initialX;
+    if (!eventDrag.active) {
+      if (Math.abs(dx) <= DRAG_THRESHOLD) return;
+      eventDrag.active = true;
+      isDragging = true;
+      clearLongPress();
+    }
+    const { event, handle } = eventDrag;
+    const { scale, calendar } = store.getState();
+    const { start, end } = computeDragTimes(eventDrag, dx, scale, { snap: !e.altKey, calendar });
+    canvas.style.cursor = handle === 'move' ? 'grabbing' : 'ew-resize';
+    const preview = { eventId: event.id, start, end, ...shiftBounds(event, start, end) };
+    store.dispatch({ type: 'SET_DRAG_PREVIEW', preview });
+    callbacks.onEventDrag?.({ event, handle, start, end, clientX: e.clientX, clientY: e.clientY });
+  }
+
+  // Commit the drag as a single UPDATE_EVENT, so it undoes in one step
+  function finishEventDrag(drag, e) {
+    const state = store.getState();
+    const { start, end } = computeDragTimes(drag, e.clientX - drag.originX, state.scale, {
+      snap: !e.altKey,
+      calendar: state.calendar,
+    });
+    store.dispatch({ type: 'SET_DRAG_PREVIEW', preview: null });
+    const committed = state.mode === 'edit' && (start !== drag.start || end !== drag.end);
+    if (committed) {
+      const changes = drag.end !== undefined ? { start, end } : { start };
+      const { earliest, latest } = shiftBounds(drag.event, start, end);
+      if (earliest !== undefined) changes.earliest = earliest;
+      if (latest !== undefined) changes.latest = latest;
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: drag.event.id, changes });
+    }
+    callbacks.onEventDragEnd?.({ event: drag.event, handle: drag.handle, start, end, committed });
+  }
+
+  function cancelEventDrag() {
+    if (!eventDrag) return;
+    const drag = eventDrag;
+    eventDrag = null;
+    if (drag.active) {
+      store.dispatch({ type: 'SET_DRAG_PREVIEW', preview: null });
+      callbacks.onEventDragEnd?.({ event: drag.event, handle: drag.handle, committed: false });
+    }
+  }
 
   function updateHoveredCluster(cluster) {
     const nextKey = getHoverClusterKey(cluster);
@@ -127,6 +274,16 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     }
   }
 
+  // Zooms and jumps animate; direct manipulation (drag, pinch, wheel) does not
+  function navigateTo({ viewportStart, scale }) {
+    cancelMomentum();
+    if (transition) {
+      transition.start({ viewportStart, scale });
+    } else {
+      store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+    }
+  }
+
   function clearLongPress() {
     if (longPressTimer) {
       clearTimeout(longPressTimer);
@@ -139,10 +296,11 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
   function resetGestures() {
     cancelMomentum();
     clearLongPress();
+    cancelEventDrag();
     gestures.reset();
     pointerSamples.clear();
     pinchStartDistance = null;
-    pinchStartSpp = null;
+    pinchStartScale = null;
     wasPinchGesture = false;
     isDragging = false;
     hasActiveTouch = false;
@@ -195,13 +353,14 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     let velocity = initialVelocity;
 
     const step = () => {
-      if (Math.abs(velocity) < MOMENTUM_THRESHOLD) {
+      // A transition started meanwhile (e.g. from a search result) takes over
+      if (Math.abs(velocity) < MOMENTUM_THRESHOLD || transition?.isActive()) {
         momentumRaf = null;
         return;
       }
       const state = store.getState();
       const delta = velocity / 60;
-      store.dispatch({ type: 'PAN', offset: state.scale.pxToTime(-delta) });
+      store.dispatch({ type: 'PAN', offset: state.scale.pxToTime(-delta, state.viewportStart) });
       velocity *= MOMENTUM_FRICTION;
       momentumRaf = requestAnimationFrame(step);
     };
@@ -215,29 +374,24 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     const event = state.events.find((e) => e.id === selectedId);
     if (!event) return null;
     const centerTime = event.start + (event.end != null ? event.end - event.start : 0n) / 2n;
-    const px = state.scale.timeToPx(centerTime - state.viewportStart);
+    const px = projectToScreen(centerTime, state.viewportStart, state.scale);
     if (px < 0 || px > canvasWidth) return null;
     return px;
   }
 
   function applyZoomAtPosition(clientX, rect, zoomIn) {
-    const state = store.getState();
+    // Repeated zooms build on the viewport still being animated to
+    const state = { ...store.getState(), ...transition?.getTarget() };
     const selectedPx = getSelectedEventCenterPx(state, rect.width);
     const mouseX = selectedPx !== null ? selectedPx : clientX - rect.left;
-    const anchor = state.viewportStart + state.scale.pxToTime(mouseX);
-    const factor = zoomIn ? ZOOM_FACTOR : 1 / ZOOM_FACTOR;
-    const currentSpp = state.scale.getSecondsPerPixel();
-    let newSpp = currentSpp / factor;
-    newSpp = Math.max(MIN_SECONDS_PER_PIXEL, Math.min(MAX_SECONDS_PER_PIXEL, newSpp));
-    const newScale = RationalScale.fromSecondsPerPixel(newSpp);
-    const newStart = anchor - newScale.pxToTime(mouseX);
-    store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newStart, scale: newScale });
+    navigateTo(zoomAtPoint(state, mouseX, zoomIn));
   }
 
   function onPointerDown(e) {
     if (e.button !== 0) return;
     if (hasActiveTouch && e.pointerType === 'mouse') return;
     cancelMomentum();
+    transition?.cancel();
 
     // Ensure canvas has focus for keyboard navigation
     if (canvas !== document.activeElement && typeof canvas.focus === 'function') {
@@ -274,7 +428,15 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
           }
           if (callbacks.onContextMenu) {
             const state = store.getState();
-            const hit = findEventAtPoint(canvasX, canvasY, state.events, state.viewportStart, state.scale, rect.height);
+            const hit = findEventAtPoint(
+              canvasX,
+              canvasY,
+              state.events,
+              state.viewportStart,
+              state.scale,
+              rect.height,
+              renderer,
+            );
             const target = hit && !hit.__cluster ? hit : null;
             const targetType = target ? 'event' : 'background';
             callbacks.onContextMenu({ x: pointer.x, y: pointer.y, canvasX, canvasY, target, targetType });
@@ -284,11 +446,13 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     }
 
     if (gestures.pointerCount === 2) {
+      // A second finger turns an event drag into a pinch
+      cancelEventDrag();
       isDragging = false;
       wasPinchGesture = true;
       const pinch = gestures.getPinchState();
       pinchStartDistance = pinch.distance;
-      pinchStartSpp = store.getState().scale.getSecondsPerPixel();
+      pinchStartScale = store.getState().scale;
       return;
     }
 
@@ -296,6 +460,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     dragStartX = e.clientX;
     dragStartY = e.clientY;
     lastX = e.clientX;
+    eventDrag = store.getState().mode === 'edit' ? beginEventDrag(e.pointerId, e.clientX, e.clientY) : null;
   }
 
   function onPointerMove(e) {
@@ -315,34 +480,37 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
       const ratio = pinch.distance / pinchStartDistance;
       if (ratio === 0) return;
 
-      let newSpp = pinchStartSpp / ratio;
-      newSpp = Math.max(MIN_SECONDS_PER_PIXEL, Math.min(MAX_SECONDS_PER_PIXEL, newSpp));
-
       const rect = canvas.getBoundingClientRect();
       const midX = pinch.midpointX - rect.left;
       const state = store.getState();
-      const anchor = state.viewportStart + state.scale.pxToTime(midX);
-      const newScale = RationalScale.fromSecondsPerPixel(newSpp);
-      const newStart = anchor - newScale.pxToTime(midX);
+      const anchor = screenToTime(midX, state.viewportStart, state.scale);
+      const newScale = zoomScale(pinchStartScale, ratio);
+      const newStart = newScale.viewportStartFor(anchor, midX);
 
       store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newStart, scale: newScale });
       return;
     }
 
+    // Pressing on an event in edit mode moves or resizes it instead of panning
+    if (eventDrag && eventDrag.pointerId === e.pointerId) {
+      updateEventDrag(e);
+      return;
+    }
+
     const rect = canvas.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
     const state = store.getState();
 
     if (!isDragging && e.buttons !== 1 && !hasActiveTouch) {
-      const event = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height);
+      const event = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height, renderer);
       updateHoveredCluster(event && event.__cluster ? event : null);
       // Don't hover on clusters, only on regular events
       const eventId = event && !event.__cluster ? event.id : null;
       if (eventId !== state.hoveredEventId) {
         store.dispatch({ type: 'SET_HOVER', eventId });
       }
-      canvas.style.cursor = event ? 'pointer' : 'grab';
+      canvas.style.cursor = findGroupHeaderAtPoint(y, rect.height, renderer) ? 'pointer' : cursorFor(event, x);
 
       if (callbacks.onMousePosition) {
         callbacks.onMousePosition(e.clientX, e.clientY);
@@ -365,7 +533,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
       if (isDragging) {
         const delta = e.clientX - lastX;
         if (delta !== 0) {
-          store.dispatch({ type: 'PAN', offset: state.scale.pxToTime(-delta) });
+          store.dispatch({ type: 'PAN', offset: state.scale.pxToTime(-delta, state.viewportStart) });
           lastX = e.clientX;
         }
       }
@@ -385,9 +553,23 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
       clearLongPress();
     }
 
+    if (eventDrag && eventDrag.pointerId === e.pointerId) {
+      const drag = eventDrag;
+      eventDrag = null;
+      if (drag.active) {
+        finishEventDrag(drag, e);
+        isDragging = false;
+        if (gestures.pointerCount === 0 && e.pointerType === 'touch') {
+          hasActiveTouch = false;
+        }
+        canvas.style.cursor = store.getState().mode === 'edit' ? 'crosshair' : 'grab';
+        return;
+      }
+    }
+
     if (wasPinching) {
       pinchStartDistance = null;
-      pinchStartSpp = null;
+      pinchStartScale = null;
       if (gestures.pointerCount === 1) {
         const remaining = gestures.getAnyPointer();
         if (remaining) {
@@ -411,19 +593,36 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
-    if (!isDragging && !wasLongPressActive) {
+    const groupHeader = !isDragging && !wasLongPressActive ? findGroupHeaderAtPoint(y, rect.height, renderer) : null;
+    if (groupHeader) {
+      // Header rows hold no events: a click collapses or expands the group
+      store.dispatch({ type: 'TOGGLE_GROUP', key: groupHeader.key });
+      lastTapTime = 0;
+    } else if (!isDragging && !wasLongPressActive) {
       const state = store.getState();
-      const event = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height);
-
-      if (event) {
+      const event = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height, renderer);
+      const isEditClick = state.mode === 'edit' && !event?.__cluster;
+
+      if (isEditClick) {
+        // Edit mode: click an event to edit it, click empty canvas to create one
+        if (event) {
+          store.dispatch({ type: 'SELECT_EVENT', eventId: event.id });
+          callbacks.onEditEvent?.(event.id);
+        } else {
+          store.dispatch({ type: 'CLEAR_SELECTION' });
+          callbacks.onCreateEvent?.({ x, y, time: screenToTime(x, state.viewportStart, state.scale) });
+        }
+      } else if (event) {
         // Check if this is a cluster click
         if (event.__cluster) {
-          const minSpan = BigInt(Math.ceil(state.scale.getSecondsPerPixel() * event.screenFootprint.width));
+          const spp = state.scale.getSecondsPerPixel(event.centerTime);
+          const minSpan = BigInt(Math.ceil(spp * event.screenFootprint.width * Number(SECOND)));
           const { viewportStart, scale } = zoomToRange(event.minTime, event.maxTime, rect.width, {
             minSpan,
             targetVisibleFraction: CLUSTER_VISIBLE_FRACTION,
+            scale: state.scale,
           });
-          store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+          navigateTo({ viewportStart, scale });
         } else {
           // Regular event click
           if (e.ctrlKey || e.metaKey) {
@@ -439,10 +638,12 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
       const now = e.timeStamp || performance.now();
       const dx = x - lastTapX;
       const dy = y - lastTapY;
-      if (now - lastTapTime <= DOUBLE_TAP_MAX_DELAY && Math.hypot(dx, dy) <= DOUBLE_TAP_MAX_DISTANCE) {
+      if (isEditClick) {
+        // Double-tap zoom would fight the edit panel opened by the first tap
+        lastTapTime = 0;
+      } else if (now - lastTapTime <= DOUBLE_TAP_MAX_DELAY && Math.hypot(dx, dy) <= DOUBLE_TAP_MAX_DISTANCE) {
         if (event && !event.__cluster) {
-          const { viewportStart, scale } = zoomToEvent(event, rect.width);
-          store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+          navigateTo(zoomToEvent(event, rect.width, state.scale));
         } else {
           applyZoomAtPosition(e.clientX, rect, true);
         }
@@ -462,8 +663,8 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
         return;
       }
       const state = store.getState();
-      const hitResult = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height);
-      canvas.style.cursor = hitResult ? 'pointer' : 'grab';
+      const hitResult = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height, renderer);
+      canvas.style.cursor = cursorFor(hitResult, x);
       startMomentum(velocity);
     }
   }
@@ -490,10 +691,11 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     gestures.removePointer(e.pointerId);
     pointerSamples.delete(e.pointerId);
     clearLongPress();
+    cancelEventDrag();
     updateHoveredCluster(null);
     if (gestures.pointerCount < 2) {
       pinchStartDistance = null;
-      pinchStartSpp = null;
+      pinchStartScale = null;
     }
     isDragging = false;
     if (!hasActiveTouch) {
@@ -514,7 +716,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     const y = e.clientY - rect.top;
 
     const state = store.getState();
-    const hit = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height);
+    const hit = findEventAtPoint(x, y, state.events, state.viewportStart, state.scale, rect.height, renderer);
     const target = hit && !hit.__cluster ? hit : null;
     const targetType = target ? 'event' : 'background';
 
@@ -523,6 +725,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
 
   function onWheel(e) {
     e.preventDefault();
+    transition?.cancel();
 
     const rect = canvas.getBoundingClientRect();
     const state = store.getState();
@@ -532,20 +735,8 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     const selectedPx = getSelectedEventCenterPx(state, rect.width);
     const anchorX = selectedPx !== null ? selectedPx : e.clientX - rect.left;
 
-    const anchor = state.viewportStart + state.scale.pxToTime(anchorX);
-
-    const zoomIn = e.deltaY < 0;
-    const factor = zoomIn ? ZOOM_FACTOR : 1 / ZOOM_FACTOR;
-
-    const currentSpp = state.scale.getSecondsPerPixel();
-    let newSpp = currentSpp / factor;
-    newSpp = Math.max(MIN_SECONDS_PER_PIXEL, Math.min(MAX_SECONDS_PER_PIXEL, newSpp));
-
-    const newScale = RationalScale.fromSecondsPerPixel(newSpp);
-
-    const newStart = anchor - newScale.pxToTime(anchorX);
-
-    store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newStart, scale: newScale });
+    const { viewportStart, scale } = zoomAtPoint(state, anchorX, e.deltaY < 0);
+    store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
   }
 
   function onKeyDown(e) {
@@ -582,38 +773,52 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
       return;
     }
 
-    const action = KEYBOARD_SHORTCUTS[e.key];
+    const action = KEYBOARD_SHORTCUTS[getShortcutKey(e)];
     if (action === 'toggleCalendar') {
       const state = store.getState();
       const next = state.calendar === 'holocene' ? 'gregorian' : 'holocene';
       store.dispatch({ type: 'SET_CALENDAR', calendar: next });
-    } else if (action === 'jumpToToday') {
+    } else if (action === 'toggleAxisMode') {
+      transition?.cancel();
       const state = store.getState();
-      const { viewportStart, scale } = jumpToToday(state.canvasWidth);
+      const { viewportStart, scale } = convertAxisMode(state, state.scale.logarithmic ? 'linear' : 'log');
       store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+    } else if (action === 'cycleGrouping') {
+      const { groupBy } = store.getState();
+      const next = GROUPING_CYCLE[(GROUPING_CYCLE.indexOf(groupBy) + 1) % GROUPING_CYCLE.length];
+      store.dispatch({ type: 'SET_GROUP_BY', groupBy: next });
+    } else if ((action === 'nextGroup' || action === 'previousGroup') && focusManager) {
+      if (store.getState().groupBy) {
+        e.preventDefault();
+        if (action === 'nextGroup') focusManager.focusNextGroup();
+        else focusManager.focusPreviousGroup();
+      }
+    } else if (action === 'jumpToToday') {
+      const state = store.getState();
+      navigateTo(jumpToToday(state.canvasWidth));
     } else if (action === 'jumpToFirst') {
       e.preventDefault();
       const state = store.getState();
-      if (state.events.length > 0) {
-        const firstEvent = state.events[0];
+      // With swimlane groups the first/last event in navigation order, not in time
+      const events = getGroupedEventOrder(state.events, state);
+      if (events.length > 0) {
+        const firstEvent = events[0];
         if (focusManager) focusManager.focusFirst();
         // Pan viewport to show the first event
-        const eventPosition = firstEvent.start;
-        const halfWidthTime = state.scale.pxToTime(state.canvasWidth / 2);
-        const newViewportStart = eventPosition - halfWidthTime;
-        store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newViewportStart, scale: state.scale });
+        const newViewportStart = state.scale.viewportStartFor(firstEvent.start, state.canvasWidth / 2);
+        navigateTo({ viewportStart: newViewportStart, scale: state.scale });
       }
     } else if (action === 'jumpToLast') {
       e.preventDefault();
       const state = store.getState();
-      if (state.events.length > 0) {
-        const lastEvent = state.events[state.events.length - 1];
+      // With swimlane groups the first/last event in navigation order, not in time
+      const events = getGroupedEventOrder(state.events, state);
+      if (events.length > 0) {
+        const lastEvent = events[events.length - 1];
         if (focusManager) focusManager.focusLast();
         // Pan viewport to show the last event
-        const eventPosition = lastEvent.start;
-        const halfWidthTime = state.scale.pxToTime(state.canvasWidth / 2);
-        const newViewportStart = eventPosition - halfWidthTime;
-        store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newViewportStart, scale: state.scale });
+        const newViewportStart = state.scale.viewportStartFor(lastEvent.start, state.canvasWidth / 2);
+        navigateTo({ viewportStart: newViewportStart, scale: state.scale });
       }
     } else if (action === 'zoomIn') {
       e.preventDefault();
@@ -632,13 +837,27 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     } else if (action === 'fitToContent') {
       e.preventDefault();
       const state = store.getState();
-      const { viewportStart, scale } = fitToContent(state.events, state.canvasWidth);
-      store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+      navigateTo(fitToContent(state.events, state.canvasWidth, state.scale));
     } else if (action === 'resetZoom') {
       e.preventDefault();
       const state = store.getState();
-      const { viewportStart, scale } = resetZoom(state.canvasWidth);
-      store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+      navigateTo(resetZoom(state.canvasWidth));
+    } else if (action === 'toggleEditMode' && callbacks.onToggleEditMode) {
+      e.preventDefault();
+      callbacks.onToggleEditMode();
+    } else if (action === 'deleteSelected') {
+      const state = store.getState();
+      if (state.mode === 'edit' && state.selectedEventIds.size > 0 && callbacks.onDeleteEvent) {
+        e.preventDefault();
+        const [selectedId] = state.selectedEventIds;
+        callbacks.onDeleteEvent(selectedId);
+      }
+    } else if (action === 'undo' && callbacks.onUndo) {
+      e.preventDefault();
+      callbacks.onUndo();
+    } else if (action === 'redo' && callbacks.onRedo) {
+      e.preventDefault();
+      callbacks.onRedo();
     } else if (action === 'openSearch' && callbacks.onOpenSearch) {
       e.preventDefault();
       callbacks.onOpenSearch();
@@ -658,7 +877,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
   canvas.addEventListener('pointercancel', onPointerCancel);
   canvas.addEventListener('wheel', onWheel, { passive: false });
   canvas.addEventListener('contextmenu', onContextMenu);
-  document.addEventListener('keydown', onKeyDown);
+  keyboardTarget.addEventListener('keydown', onKeyDown);
   window.addEventListener('resize', resetGestures);
   window.addEventListener('orientationchange', resetGestures);
 
@@ -666,7 +885,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
   canvas.style.touchAction = 'none';
 
   // Initialize auto-pan for keyboard navigation
-  const unsubscribeAutoPan = focusManager ? initAutoPan(store) : null;
+  const unsubscribeAutoPan = focusManager ? initAutoPan(store, focusManager, transition) : null;
 
   return function destroy() {
     canvas.removeEventListener('pointerdown', onPointerDown);
@@ -676,7 +895,7 @@ export function initInput(canvas, store, callbacks = {}, focusManager = null) {
     canvas.removeEventListener('pointercancel', onPointerCancel);
     canvas.removeEventListener('wheel', onWheel);
     canvas.removeEventListener('contextmenu', onContextMenu);
-    document.removeEventListener('keydown', onKeyDown);
+    keyboardTarget.removeEventListener('keydown', onKeyDown);
     window.removeEventListener('resize', resetGestures);
     window.removeEventListener('orientationchange', resetGestures);
     if (unsubscribeAutoPan) unsubscribeAutoPan();
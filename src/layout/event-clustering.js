@@ -1,4 +1,5 @@
-import { projectToScreen } from '../core/time.js';
+import { projectToScreen, screenToTime } from '../core/time.js';
+import { queryEvents } from './interval-tree.js';
 
 /**
  * Event Clustering System for Macro Zoom Levels
@@ -20,6 +21,7 @@ const MIN_CLUSTER_SIZE = 2;
  * @param {Array} events - Array of events to cluster
  * @param {BigInt} viewportStart - Viewport start time
  * @param {Object} scale - Scale object for time projection
+ * @param {number} [viewportWidth] - Viewport width in pixels; events outside it are skipped
  * @returns {Array} - Array of cluster objects
  */
 export function clusterEvents(events, viewportStart, scale, viewportWidth = Number.POSITIVE_INFINITY) {
@@ -27,7 +29,16 @@ export function clusterEvents(events, viewportStart, scale, viewportWidth = Numb
     return [];
   }
 
-  const projectedEvents = events
+  // Only events overlapping the viewport can be on screen; the extra pixel and second cover projection rounding
+  const candidates = Number.isFinite(viewportWidth)
+    ? queryEvents(
+        events,
+        screenToTime(-1, viewportStart, scale) - 1n,
+        screenToTime(viewportWidth + 1, viewportStart, scale) + 1n,
+      )
+    : events;
+
+  const projectedEvents = candidates
     .map((event) => projectEvent(event, viewportStart, scale))
     .filter((event) => event.maxX >= 0 && event.minX <= viewportWidth)
     .sort(compareProjectedEvents);
@@ -0,0 +1,197 @@
+/**
+ * Grouped Lane Layout
+ *
+ * Splits events into labeled swimlane groups, keyed either by `category` or by
+ * the `group` field. A `group` value is a path such as "Engineering/Backend";
+ * each segment nests a subgroup inside its parent.
+ *
+ * Every group gets a header row followed by its own band of lanes, packed with
+ * the same greedy interval coloring as the ungrouped layout. Collapsed groups
+ * keep only their header row, and their events (and subgroups) are hidden.
+ *
+ * Rows are stacked top to bottom in group order, so the first group sits
+ * furthest from the axis; lane numbers still count up from the axis.
+ */
+
+import { assignLanes } from './greedy-interval-coloring.js';
+
+export const GROUP_BY_MODES = ['category', 'group'];
+export const GROUP_PATH_SEPARATOR = '/';
+
+// Key of the band collecting events without a category/group (real keys are never empty)
+export const UNGROUPED_KEY = '';
+
+const UNGROUPED_LABELS = { category: 'Uncategorized', group: 'Ungrouped' };
+
+/**
+ * Group path of an event, outermost group first.
+ *
+ * @param {Object} event
+ * @param {'category'|'group'|null} groupBy
+ * @returns {Array<string>} Empty when the event is ungrouped (or grouping is off)
+ */
+export function getGroupPath(event, groupBy) {
+  if (!groupBy) return [];
+  const value = groupBy === 'category' ? event.category : event.group;
+  if (typeof value !== 'string') return [];
+  if (groupBy === 'category') return value.trim() ? [value.trim()] : [];
+  return value
+    .split(GROUP_PATH_SEPARATOR)
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+}
+
+function createNode(key, label, depth) {
+  return { key, label, depth, events: [], children: [], eventCount: 0 };
+}
+
+/**
+ * Build the group tree. Groups appear in the order their first event does;
+ * the ungrouped band, if any, comes last.
+ *
+ * @param {Array} events - Events sorted by start
+ * @param {'category'|'group'} groupBy
+ * @returns {Array<Object>} Top-level nodes { key, label, depth, events, children, eventCount }
+ */
+export function buildGroupTree(events, groupBy) {
+  const roots = [];
+  const nodes = new Map();
+  let ungrouped = null;
+
+  for (const event of events) {
+    const path = getGroupPath(event, groupBy);
+    if (path.length === 0) {
+      ungrouped ??= createNode(UNGROUPED_KEY, UNGROUPED_LABELS[groupBy], 0);
+      ungrouped.events.push(event);
+      ungrouped.eventCount++;
+      continue;
+    }
+
+    let siblings = roots;
+    let node = null;
+    for (let depth = 0; depth < path.length; depth++) {
+      const key = path.slice(0, depth + 1).join(GROUP_PATH_SEPARATOR);
+      node = nodes.get(key);
+      if (!node) {
+        node = createNode(key, path[depth], depth);
+        nodes.set(key, node);
+        siblings.push(node);
+      }
+      node.eventCount++;
+      siblings = node.children;
+    }
+    node.events.push(event);
+  }
+
+  if (ungrouped) roots.push(ungrouped);
+  return roots;
+}
+
+// Visit groups in display order (parents before their subgroups), skipping subgroups of collapsed groups
+function walkGroups(nodes, collapsedGroups, visit) {
+  for (const node of nodes) {
+    const collapsed = collapsedGroups.has(node.key);
+    visit(node, collapsed);
+    if (!collapsed) walkGroups(node.children, collapsedGroups, visit);
+  }
+}
+
+function collectEventIds(node, ids) {
+  for (const event of node.events) ids.add(event.id);
+  for (const child of node.children) collectEventIds(child, ids);
+}
+
+/**
+ * Assign lanes with one labeled band per group.
+ * Without `groupBy` this is the plain assignLanes() layout.
+ *
+ * @param {Array} events - Events sorted by start
+ * @param {Object} [grouping]
+ * @param {'category'|'group'|null} [grouping.groupBy] - Field to group by
+ * @param {Set<string>} [grouping.collapsedGroups] - Keys of collapsed groups
+ * @returns {{ layouts: Map<string, number>, laneCount: number, groups: Array<Object>, hiddenIds: Set<string> }}
+ *   groups: { key, label, depth, headerLane, firstLane, laneCount, eventCount, collapsed } in display order,
+ *   where firstLane..firstLane+laneCount-1 are the group's own event lanes (excluding subgroups)
+ */
+export function assignGroupedLanes(events, { groupBy = null, collapsedGroups = new Set() } = {}) {
+  if (!groupBy || !events || events.length === 0) {
+    const { layouts, laneCount } = assignLanes(events);
+    return { layouts, laneCount, groups: [], hiddenIds: new Set() };
+  }
+
+  // Lay out rows top to bottom, then flip them into axis-relative lane numbers
+  const rows = [];
+  const groups = [];
+  const hiddenIds = new Set();
+
+  walkGroups(buildGroupTree(events, groupBy), collapsedGroups, (node, collapsed) => {
+    const group = {
+      key: node.key,
+      label: node.label,
+      depth: node.depth,
+      headerRow: rows.length,
+      firstRow: rows.length + 1,
+      laneCount: 0,
+      eventCount: node.eventCount,
+      collapsed,
+    };
+    rows.push(null);
+    groups.push(group);
+
+    if (collapsed) {
+      collectEventIds(node, hiddenIds);
+      return;
+    }
+    const band = assignLanes(node.events);
+    group.laneCount = band.laneCount;
+    for (let lane = 0; lane < band.laneCount; lane++) rows.push([]);
+    for (const [id, lane] of band.layouts) rows[group.firstRow + lane].push(id);
+  });
+
+  const laneCount = rows.length;
+  const toLane = (row) => laneCount - 1 - row;
+  const layouts = new Map();
+  rows.forEach((ids, row) => {
+    if (ids) for (const id of ids) layouts.set(id, toLane(row));
+  });
+
+  return {
+    layouts,
+    laneCount,
+    groups: groups.map(({ headerRow, firstRow, ...group }) => ({
+      ...group,
+      headerLane: toLane(headerRow),
+      // Lanes count up towards the axis, so the band's bottom row has the lowest number
+      firstLane: toLane(firstRow + group.laneCount - 1),
+    })),
+    hiddenIds,
+  };
+}
+
+/**
+ * Events in keyboard navigation order: group by group in display order,
+ * chronologically within each group, skipping collapsed groups.
+ *
+ * @param {Array} events - Events sorted by start
+ * @param {Object} [grouping] - { groupBy, collapsedGroups } as for assignGroupedLanes()
+ * @returns {Array}
+ */
+export function getGroupedEventOrder(events, { groupBy = null, collapsedGroups = new Set() } = {}) {
+  if (!groupBy) return events;
+  const ordered = [];
+  walkGroups(buildGroupTree(events, groupBy), collapsedGroups, (node, collapsed) => {
+    if (!collapsed) ordered.push(...node.events);
+  });
+  return ordered;
+}
+
+/**
+ * Group an event belongs to (its innermost group).
+ *
+ * @param {Object} event
+ * @param {'category'|'group'|null} groupBy
+ * @returns {string} Group key, or UNGROUPED_KEY
+ */
+export function getEventGroupKey(event, groupBy) {
+  return getGroupPath(event, groupBy).join(GROUP_PATH_SEPARATOR);
+}
@@ -0,0 +1,115 @@
+/**
+ * Interval Tree for Viewport Culling
+ *
+ * Static, augmented binary search tree over event time spans. Events are kept
+ * sorted by start; the tree is implicit in that order (every subtree is a
+ * contiguous range whose middle element is its root) and each root records the
+ * latest end in its subtree. An overlap query then skips every subtree that
+ * ends before the range or starts after it: O(log n + k) for k results.
+ *
+ * Times are BigInt seconds. An event without an `end` is a point at `start`.
+ */
+
+// One tree per events array; arrays from the store are replaced, never mutated
+const treeCache = new WeakMap();
+
+function getEnd(event) {
+  return event.end !== undefined && event.end > event.start ? event.end : event.start;
+}
+
+/**
+ * IntervalTree class for overlap queries on event spans
+ */
+export class IntervalTree {
+  /**
+   * Build the tree. O(n) for events already sorted by start (as in the store),
+   * O(n log n) otherwise.
+   *
+   * @param {Array} events - Events with BigInt `start` and optional `end`
+   */
+  constructor(events) {
+    let sorted = true;
+    for (let i = 1; i < events.length && sorted; i++) {
+      sorted = events[i - 1].start <= events[i].start;
+    }
+    this.events = sorted ? events : [...events].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    this.maxEnd = new Array(this.events.length);
+    this.buildMaxEnd(0, this.events.length);
+  }
+
+  get size() {
+    return this.events.length;
+  }
+
+  // Record the latest end of the subtree [from, to) at its root; returns it
+  buildMaxEnd(from, to) {
+    if (from >= to) return null;
+    const mid = (from + to) >> 1;
+    let max = getEnd(this.events[mid]);
+    const left = this.buildMaxEnd(from, mid);
+    const right = this.buildMaxEnd(mid + 1, to);
+    if (left !== null && left > max) max = left;
+    if (right !== null && right > max) max = right;
+    this.maxEnd[mid] = max;
+    return max;
+  }
+
+  /**
+   * Events overlapping [start, end] (inclusive at both ends), in start order.
+   *
+   * @param {bigint} start - Range start
+   * @param {bigint} end - Range end
+   * @returns {Array} - Overlapping events
+   */
+  query(start, end) {
+    const results = [];
+    if (end < start) return results;
+    this.collect(0, this.events.length, start, end, results);
+    return results;
+  }
+
+  // In-order walk of the subtree [from, to), so results stay sorted by start
+  collect(from, to, start, end, results) {
+    if (from >= to) return;
+    const mid = (from + to) >> 1;
+    // Nothing in this subtree reaches the range
+    if (this.maxEnd[mid] < start) return;
+
+    this.collect(from, mid, start, end, results);
+
+    const event = this.events[mid];
+    // Everything from here on starts after the range
+    if (event.start > end) return;
+    if (getEnd(event) >= start) results.push(event);
+
+    this.collect(mid + 1, to, start, end, results);
+  }
+}
+
+/**
+ * Interval tree for an events array, built on first use and reused for as long
+ * as the same array is passed.
+ *
+ * @param {Array} events
+ * @returns {IntervalTree}
+ */
+export function getIntervalTree(events) {
+  let tree = treeCache.get(events);
+  if (!tree) {
+    tree = new IntervalTree(events);
+    treeCache.set(events, tree);
+  }
+  return tree;
+}
+
+/**
+ * Events overlapping [start, end], using the cached tree for the array.
+ *
+ * @param {Array} events
+ * @param {bigint} start
+ * @param {bigint} end
+ * @returns {Array}
+ */
+export function queryEvents(events, start, end) {
+  return getIntervalTree(events).query(start, end);
+}
@@ -5,6 +5,8 @@
  * Uses spatial hash for efficient near-linear time collision checking.
  */
 
+import { toSeconds } from '../core/time.js';
+
 const LABEL_PADDING = 4; // Horizontal padding around text
 const LABEL_HEIGHT = 14; // Approximate height of label text
 const MIN_EVENT_WIDTH_FOR_LABEL = 30; // Minimum event width to show label
@@ -30,7 +32,7 @@ export function calculateLabelPriority(event, eventWidth, _zoomLevel) {
 
   // Longer duration events have higher priority
   if (event.end !== undefined && event.start !== undefined) {
-    const duration = Number(event.end - event.start);
+    const duration = toSeconds(event.end - event.start);
     priority += Math.log10(Math.max(duration, 1)) * 5;
   }
 
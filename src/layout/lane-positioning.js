@@ -116,15 +116,17 @@ export function getLaneBounds(lane, axisY, config = {}) {
  * @param {number} axisY - The Y coordinate of the timeline axis
  * @param {number} maxLanes - Maximum number of lanes
  * @param {Object} config - Configuration options (optional)
+ * @param {Array} groups - Swimlane groups from assignGroupedLanes() (optional);
+ *   their header rows are not event lanes
  * @returns {number|null} - The lane number, or null if not in any lane
  */
-export function getLaneAtY(y, axisY, maxLanes, config = {}) {
+export function getLaneAtY(y, axisY, maxLanes, config = {}, groups = []) {
   const cfg = { ...DEFAULT_CONFIG, ...config };
 
   for (let lane = 0; lane < maxLanes; lane++) {
     const bounds = getLaneBounds(lane, axisY, cfg);
     if (y >= bounds.top && y <= bounds.bottom) {
-      return lane;
+      return groups.some((group) => group.headerLane === lane) ? null : lane;
     }
   }
 
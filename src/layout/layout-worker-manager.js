@@ -6,7 +6,7 @@
  * small datasets or when workers are unavailable.
  */
 
-import { assignLanes } from './greedy-interval-coloring.js';
+import { assignGroupedLanes } from './group-layout.js';
 
 const WORKER_THRESHOLD = 10000; // Use worker for datasets >= this size
 
@@ -63,7 +63,7 @@ export function terminateWorker() {
  * Handle messages from the worker
  */
 function handleWorkerMessage(event) {
-  const { type, requestId, layouts, laneCount, duration } = event.data;
+  const { type, requestId, layouts, laneCount, groups, hiddenIds, duration } = event.data;
 
   if (type === 'layout-result') {
     const request = pendingRequests.get(requestId);
@@ -74,6 +74,8 @@ function handleWorkerMessage(event) {
       request.resolve({
         layouts: layoutsMap,
         laneCount,
+        groups: groups ?? [],
+        hiddenIds: new Set(hiddenIds),
         duration,
       });
 
@@ -101,20 +103,17 @@ function handleWorkerError(error) {
  * @param {Array} events - Array of events with { id, start, end, ... }
  * @param {Object} viewport - { start, end } (optional, for future optimizations)
  * @param {number} zoomLevel - Current zoom level (optional, for future optimizations)
- * @returns {Promise<Object>} - { layouts: Map, laneCount: number, duration: number }
+ * @param {Object} grouping - { groupBy, collapsedGroups } for swimlane groups (optional)
+ * @returns {Promise<Object>} - { layouts: Map, laneCount: number, groups: Array, hiddenIds: Set, duration: number }
  */
-export async function calculateLayout(events, viewport = null, zoomLevel = 1) {
+export async function calculateLayout(events, viewport = null, zoomLevel = 1, grouping = {}) {
   // Use synchronous calculation for small datasets
   if (!events || events.length < WORKER_THRESHOLD) {
     const startTime = performance.now();
-    const result = assignLanes(events);
+    const result = assignGroupedLanes(events, grouping);
     const duration = performance.now() - startTime;
 
-    return {
-      layouts: result.layouts,
-      laneCount: result.laneCount,
-      duration,
-    };
+    return { ...result, duration };
   }
 
   // Ensure worker is initialized
@@ -124,14 +123,10 @@ export async function calculateLayout(events, viewport = null, zoomLevel = 1) {
       // Fallback to synchronous if worker initialization failed
       console.warn('Worker unavailable, using synchronous layout calculation');
       const startTime = performance.now();
-      const result = assignLanes(events);
+      const result = assignGroupedLanes(events, grouping);
       const duration = performance.now() - startTime;
 
-      return {
-        layouts: result.layouts,
-        laneCount: result.laneCount,
-        duration,
-      };
+      return { ...result, duration };
     }
   }
 
@@ -143,6 +138,8 @@ export async function calculateLayout(events, viewport = null, zoomLevel = 1) {
     id: event.id,
     start: event.start.toString(),
     end: event.end !== undefined ? event.end.toString() : undefined,
+    category: event.category,
+    group: event.group,
   }));
 
   // Create promise for this request
@@ -180,6 +177,10 @@ export async function calculateLayout(events, viewport = null, zoomLevel = 1) {
     events: serializedEvents,
     viewport,
     zoomLevel,
+    grouping: {
+      groupBy: grouping.groupBy ?? null,
+      collapsedGroups: [...(grouping.collapsedGroups ?? [])],
+    },
   });
 
   return promise;
@@ -5,12 +5,12 @@
  * for datasets with 10,000+ events.
  *
  * Message Protocol:
- * - Request: { type: 'layout', requestId, events, viewport, zoomLevel }
- * - Response: { type: 'layout-result', requestId, layouts, laneCount, duration }
+ * - Request: { type: 'layout', requestId, events, viewport, zoomLevel, grouping }
+ * - Response: { type: 'layout-result', requestId, layouts, laneCount, groups, hiddenIds, duration }
  * - Cancellation: { type: 'cancel', requestId }
  */
 
-import { assignLanes } from './greedy-interval-coloring.js';
+import { assignGroupedLanes } from './group-layout.js';
 
 let currentRequestId = null;
 
@@ -18,7 +18,7 @@ let currentRequestId = null;
  * Handle incoming messages from main thread
  */
 self.addEventListener('message', (event) => {
-  const { type, requestId, events, viewport, zoomLevel } = event.data;
+  const { type, requestId, events, grouping } = event.data;
 
   if (type === 'cancel') {
     // Mark current request as cancelled
@@ -47,7 +47,10 @@ self.addEventListener('message', (event) => {
     }
 
     // Perform layout calculation
-    const result = assignLanes(deserializedEvents);
+    const result = assignGroupedLanes(deserializedEvents, {
+      groupBy: grouping?.groupBy ?? null,
+      collapsedGroups: new Set(grouping?.collapsedGroups),
+    });
 
     // Check if request was cancelled during computation
     if (currentRequestId !== requestId) {
@@ -65,6 +68,8 @@ self.addEventListener('message', (event) => {
       requestId,
       layouts: layoutsArray,
       laneCount: result.laneCount,
+      groups: result.groups,
+      hiddenIds: Array.from(result.hiddenIds),
       duration,
     });
 
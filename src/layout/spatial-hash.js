@@ -22,6 +22,7 @@ export class SpatialHash {
     this.bucketWidth = bucketWidth;
     this.buckets = new Map(); // Map<bucketIndex, Set<event>>
     this.eventBounds = new Map(); // Cache event bounds for quick lookup
+    this.offsetX = 0; // Screen X of the hash's origin; bounds and buckets are relative to it
   }
 
   /**
@@ -30,18 +31,31 @@ export class SpatialHash {
   clear() {
     this.buckets.clear();
     this.eventBounds.clear();
+    this.offsetX = 0;
+  }
+
+  /**
+   * Shift every event horizontally, e.g. after a pan at the same zoom level.
+   * O(1): buckets and cached bounds stay as they are, only the origin moves.
+   *
+   * @param {number} dx - Screen pixels to move the events by
+   */
+  translate(dx) {
+    this.offsetX += dx;
   }
 
   /**
    * Add an event to the spatial hash
    *
    * @param {Object} event - The event to add
-   * @param {number} x - Screen X position of event start
+   * @param {number} screenX - Screen X position of event start
    * @param {number} y - Screen Y position of event
    * @param {number} width - Screen width of event
    * @param {number} height - Screen height of event
    */
-  insert(event, x, y, width, height) {
+  insert(event, screenX, y, width, height) {
+    const x = screenX - this.offsetX;
+
     // Cache the bounds for this event
     this.eventBounds.set(event.id, { x, y, width, height });
 
@@ -61,11 +75,12 @@ export class SpatialHash {
   /**
    * Query for events at a specific point
    *
-   * @param {number} x - Screen X coordinate
+   * @param {number} screenX - Screen X coordinate
    * @param {number} y - Screen Y coordinate
    * @returns {Array} - Array of events at this position, sorted by priority
    */
-  query(x, y) {
+  query(screenX, y) {
+    const x = screenX - this.offsetX;
     const bucketIdx = this.getBucketIndex(x);
     const bucket = this.buckets.get(bucketIdx);
 
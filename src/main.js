@@ -1,30 +1,36 @@
 import { createAriaAnnouncer } from './accessibility/aria-announcer.js';
-import { createDomSync } from './accessibility/dom-sync.js';
 import { createLiveAnnouncer } from './accessibility/live-announcer.js';
 import { createSkipLinks } from './accessibility/skip-links.js';
 import { extractCategories } from './core/filter-engine.js';
-import { RationalScale } from './core/scale.js';
+import { zoomToRange } from './core/navigation.js';
 import { createDebouncedSearch } from './core/search-engine.js';
-import { createStore } from './core/store.js';
 import { parseTimeQuery } from './core/time-parser.js';
-import { decodeSearchState, decodeViewportState, encodeAllState } from './core/url-state.js';
+import {
+  decodeEventLink,
+  decodeSearchState,
+  decodeTourStep,
+  decodeViewportState,
+  encodeAllState,
+} from './core/url-state.js';
 import { DEFAULT_EXAMPLE } from './data/examples.js';
+import { EXPORT_FORMATS, exportEvents, selectExportEvents } from './data/exporter.js';
 import { loadExample, loadFromFile } from './data/loader.js';
 import { generateSampleEvents } from './data/samples.js';
-import { createFocusManager } from './interaction/focus-manager.js';
-import { fitToContent, initInput, resetZoom } from './interaction/input.js';
-import { draw, init as initRenderer } from './rendering/renderer.js';
+import { createTimelineStorage, hasDatasetChanged, hasViewportChanged } from './data/storage.js';
+import { SNAPSHOT_FORMATS } from './rendering/snapshot.js';
+import { createTimeline } from './timeline.js';
 import { createBrowserError } from './ui/browser-error.js';
 import { createCategoryFilter } from './ui/category-filter.js';
-import { buildEventActions, createContextMenu } from './ui/context-menu.js';
 import { createDropzone } from './ui/dropzone.js';
-import { createEventPanel } from './ui/event-panel.js';
 import { createHelpMenu } from './ui/help.js';
 import { createHelpButton } from './ui/help-button.js';
+import { MINIMAP_HEIGHT } from './ui/minimap.js';
+import { createModeToggle } from './ui/mode-toggle.js';
+import { createNotice } from './ui/notice.js';
 import { computePanToEvent } from './ui/search-navigation.js';
 import { createSearchBar } from './ui/searchbar.js';
-import { createTooltip } from './ui/tooltip.js';
 import { createZoomControls } from './ui/zoom-controls.js';
+import { downloadFile } from './utils/download.js';
 import { detectFeatures, REQUIRED_FEATURES } from './utils/feature-detection.js';
 
 // Feature detection: show a graceful error UI if required APIs are missing
@@ -36,7 +42,7 @@ if (missing.length > 0) {
 }
 
 const canvas = document.getElementById('timeline-canvas');
-const store = createStore();
+const ariaLiveElement = document.getElementById('aria-live');
 let currentExample = null;
 
 // Skip navigation links: first focusable elements on the page (WCAG 2.4.1)
@@ -51,27 +57,37 @@ createSkipLinks(document.body, [
   { label: 'Skip to help', targetId: 'help-button' },
 ]);
 
-// Create focus manager for keyboard navigation
-const ariaLiveElement = document.getElementById('aria-live');
-const focusManager = createFocusManager(store, ariaLiveElement);
+// The standalone app is a single full-page timeline; shortcuts stay global
+const timeline = createTimeline(canvas.parentElement, {
+  canvas,
+  ariaLiveElement,
+  keyboardTarget: document,
+  overview: true,
+  onOpenSearch: () => {
+    if (!searchBar.isVisible()) {
+      searchBar.show();
+    }
+  },
+  onToggleHelp: () => toggleHelp(),
+  onToggleFilter: () => toggleFilter(),
+});
+const { store } = timeline;
 
 // ARIA announcer for search results and filter changes
 const liveAnnouncer = createLiveAnnouncer(ariaLiveElement, { debounceMs: 500 });
 const ariaAnnouncer = createAriaAnnouncer(liveAnnouncer);
 
-initRenderer(canvas, store.dispatch);
-
 const searchBar = createSearchBar(document.body, {
   onSubmit: (query) => {
     const result = parseTimeQuery(query);
     if (result.success) {
       const state = store.getState();
-      const targetWidth = state.canvasWidth * 0.8;
-      const secondsPerPixel = Number(result.span) / targetWidth;
-      const newScale = RationalScale.fromSecondsPerPixel(secondsPerPixel);
-      const halfWidthTime = newScale.pxToTime(state.canvasWidth / 2);
-      const viewportStart = result.time - halfWidthTime;
-      store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale: newScale });
+      const halfSpan = result.span / 2n;
+      const { viewportStart, scale } = zoomToRange(result.time - halfSpan, result.time + halfSpan, state.canvasWidth, {
+        targetVisibleFraction: 0.8,
+        scale: state.scale,
+      });
+      timeline.setViewport({ viewportStart, scale }, { animate: true });
     }
   },
   onSearch: (query) => {
@@ -83,6 +99,9 @@ const searchBar = createSearchBar(document.body, {
   onPrev: () => {
     store.dispatch({ type: 'PREV_RESULT' });
   },
+  onJumpTo: (index) => {
+    store.dispatch({ type: 'JUMP_TO_RESULT', index });
+  },
   onClearAll: () => {
     store.dispatch({ type: 'CLEAR_ALL_FILTERS' });
   },
@@ -103,70 +122,88 @@ async function handleExampleLoad(exampleOrFile) {
   }
 
   if (result.events.length > 0) {
-    store.dispatch({ type: 'SET_EVENTS', events: result.events });
     // Fit all content in view after loading
-    const state = store.getState();
-    const { viewportStart, scale } = fitToContent(result.events, state.canvasWidth);
-    store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+    timeline.setEvents(result.events);
+    timeline.setTour(result.tour ?? null);
   }
 }
 
-const helpMenu = createHelpMenu(document.body, { onLoad: handleExampleLoad });
+// Saved timelines and the last session live in IndexedDB
+const storage = createTimelineStorage();
+
+/** Replace the timeline with a stored dataset, including its viewport, filters and calendar. */
+function applyDataset(dataset) {
+  currentExample = dataset.example;
+  timeline.setEvents(dataset.events, { fit: false });
+  timeline.setTour(dataset.tour);
+  timeline.setViewport({ viewportStart: dataset.viewportStart, scale: dataset.scale });
+  store.dispatch({
+    type: 'RESTORE_FROM_URL',
+    searchQuery: dataset.searchQuery,
+    selectedCategories: dataset.selectedCategories,
+    filterMode: dataset.filterMode,
+    calendar: dataset.calendar,
+  });
+}
 
-function toggleHelp() {
-  if (helpMenu.isVisible()) {
-    helpMenu.hide();
-  } else {
-    helpMenu.show();
+async function openSavedTimeline(name) {
+  try {
+    const dataset = await storage.loadTimeline(name);
+    if (dataset) {
+      applyDataset(dataset);
+    } else {
+      console.warn(`Nayra: no saved timeline named "${name}"`);
+    }
+  } catch (error) {
+    console.error('Nayra: failed to open saved timeline', error);
   }
 }
 
-const helpButton = createHelpButton(document.body, { onToggleHelp: toggleHelp });
-helpButton.element.id = 'help-button';
-
-// Zoom control handlers
-function handleZoomIn() {
-  const state = store.getState();
-  const rect = canvas.getBoundingClientRect();
-  const centerX = rect.left + rect.width / 2;
-  const mouseX = centerX - rect.left;
-  const anchor = state.viewportStart + state.scale.pxToTime(mouseX);
-  const factor = 1.15; // ZOOM_FACTOR from input.js
-  const currentSpp = state.scale.getSecondsPerPixel();
-  let newSpp = currentSpp / factor;
-  newSpp = Math.max(0.001, Math.min(1e15, newSpp)); // MIN/MAX_SECONDS_PER_PIXEL
-  const newScale = RationalScale.fromSecondsPerPixel(newSpp);
-  const newStart = anchor - newScale.pxToTime(mouseX);
-  store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newStart, scale: newScale });
+async function saveCurrentTimeline(name) {
+  await storage.saveTimeline(name, store.getState(), { example: currentExample });
+  store.dispatch({ type: 'CLEAR_DIRTY' });
 }
 
-function handleZoomOut() {
-  const state = store.getState();
-  const rect = canvas.getBoundingClientRect();
-  const centerX = rect.left + rect.width / 2;
-  const mouseX = centerX - rect.left;
-  const anchor = state.viewportStart + state.scale.pxToTime(mouseX);
-  const factor = 1 / 1.15; // 1/ZOOM_FACTOR from input.js
-  const currentSpp = state.scale.getSecondsPerPixel();
-  let newSpp = currentSpp / factor;
-  newSpp = Math.max(0.001, Math.min(1e15, newSpp)); // MIN/MAX_SECONDS_PER_PIXEL
-  const newScale = RationalScale.fromSecondsPerPixel(newSpp);
-  const newStart = anchor - newScale.pxToTime(mouseX);
-  store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newStart, scale: newScale });
+function exportCurrentEvents(format, scope) {
+  const events = selectExportEvents(store.getState(), scope);
+  if (events.length === 0) {
+    console.warn(`Nayra: no ${scope} events to export`);
+    return;
+  }
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  downloadFile(`${currentExample ?? 'nayra-timeline'}.${extension}`, exportEvents(events, format), mimeType);
 }
 
-function handleFitToContent() {
-  const state = store.getState();
-  const { viewportStart, scale } = fitToContent(state.events, state.canvasWidth);
-  store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+async function exportCurrentImage(format, scale) {
+  try {
+    const blob = await timeline.exportImage(format, { scale });
+    downloadFile(`${currentExample ?? 'nayra-timeline'}.${SNAPSHOT_FORMATS[format].extension}`, blob);
+  } catch (error) {
+    console.error('Nayra: failed to export image', error);
+  }
 }
 
-function handleResetZoom() {
-  const state = store.getState();
-  const { viewportStart, scale } = resetZoom(state.canvasWidth);
-  store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+const helpMenu = createHelpMenu(document.body, {
+  onLoad: handleExampleLoad,
+  onListTimelines: storage.listTimelines,
+  onSaveTimeline: saveCurrentTimeline,
+  onOpenTimeline: openSavedTimeline,
+  onDeleteTimeline: storage.deleteTimeline,
+  onExport: exportCurrentEvents,
+  onExportImage: exportCurrentImage,
+});
+
+function toggleHelp() {
+  if (helpMenu.isVisible()) {
+    helpMenu.hide();
+  } else {
+    helpMenu.show();
+  }
 }
 
+const helpButton = createHelpButton(document.body, { onToggleHelp: toggleHelp });
+helpButton.element.id = 'help-button';
+
 function toggleFilter() {
   if (categoryFilter.isVisible()) {
     categoryFilter.hide();
@@ -176,13 +213,28 @@ function toggleFilter() {
 }
 
 const zoomControls = createZoomControls(document.body, {
-  onZoomIn: handleZoomIn,
-  onZoomOut: handleZoomOut,
-  onFitToContent: handleFitToContent,
-  onResetZoom: handleResetZoom,
+  onZoomIn: timeline.zoomIn,
+  onZoomOut: timeline.zoomOut,
+  onFitToContent: timeline.fitToContent,
+  onResetZoom: timeline.resetZoom,
   onToggleFilter: toggleFilter,
 });
 
+const modeToggle = createModeToggle(document.body, { onToggle: timeline.toggleEditMode });
+
+// Keep the corner buttons clear of the overview strip
+for (const button of [helpButton.element, modeToggle.element]) {
+  button.style.bottom = `calc(env(safe-area-inset-bottom, 16px) + ${MINIMAP_HEIGHT}px)`;
+}
+
+// Warn before leaving the page with edits that have not been saved
+window.addEventListener('beforeunload', (e) => {
+  if (store.getState().hasUnsavedChanges) {
+    e.preventDefault();
+    e.returnValue = '';
+  }
+});
+
 const _dropzone = createDropzone(canvas.parentElement, { onLoad: handleExampleLoad });
 
 const categoryFilter = createCategoryFilter(document.body, {
@@ -191,128 +243,29 @@ const categoryFilter = createCategoryFilter(document.body, {
   onClear: () => store.dispatch({ type: 'CLEAR_CATEGORIES' }),
 });
 
-const domSync = createDomSync(document.body, {
-  onFocus: (id) => store.dispatch({ type: 'SET_HOVER', eventId: id }),
-  onActivate: (id) => store.dispatch({ type: 'SELECT_EVENT', eventId: id }),
-});
-
-const tooltip = createTooltip(document.body);
-const eventPanel = createEventPanel(document.body, {
-  onClose: () => {
-    // Clear selection when panel is closed
-    store.dispatch({ type: 'CLEAR_SELECTION' });
-  },
-});
-
-const contextMenu = createContextMenu(document.body);
-
-let mouseX = 0;
-let mouseY = 0;
-let hoverTimeout = null;
-let lastHoveredEventId = null;
-let clusterHoverTimeout = null;
-let hoveredCluster = null;
-let lastHoveredClusterKey = null;
-
-function handleHoverChange(hoveredEventId) {
-  if (hoveredCluster !== null) {
-    return;
-  }
-
-  if (hoveredEventId !== lastHoveredEventId) {
-    lastHoveredEventId = hoveredEventId;
-
-    if (hoverTimeout) {
-      clearTimeout(hoverTimeout);
-      hoverTimeout = null;
-    }
-
-    if (hoveredEventId === null) {
-      tooltip.hide();
-    } else {
-      hoverTimeout = setTimeout(() => {
-        const state = store.getState();
-        const event = state.events.find((e) => e.id === hoveredEventId);
-        if (event && state.hoveredEventId === hoveredEventId) {
-          tooltip.update(event, mouseX, mouseY, state.calendar);
-          tooltip.show();
-        }
-      }, 500);
-    }
-  }
-}
-
-function getClusterKey(cluster) {
-  if (!cluster) return null;
-  const eventIds = cluster.events?.map((event) => event.id).join(',') ?? '';
-  return `${cluster.minTime}:${cluster.maxTime}:${cluster.count}:${eventIds}`;
-}
-
-function handleClusterHoverChange(cluster) {
-  const clusterKey = getClusterKey(cluster);
-  if (clusterKey === lastHoveredClusterKey) {
-    return;
-  }
-
-  lastHoveredClusterKey = clusterKey;
-  hoveredCluster = cluster;
-
-  if (clusterHoverTimeout) {
-    clearTimeout(clusterHoverTimeout);
-    clusterHoverTimeout = null;
-  }
-
-  if (cluster === null) {
-    tooltip.hide();
-    handleHoverChange(store.getState().hoveredEventId);
-    return;
-  }
-
-  tooltip.hide();
-  clusterHoverTimeout = setTimeout(() => {
-    if (hoveredCluster === cluster) {
-      tooltip.update(cluster, mouseX, mouseY, store.getState().calendar);
-      tooltip.show();
-    }
-  }, 500);
-}
-
-function handleSelectionChange(_selectedEventIds) {
-  // Panel opens only via Enter/Space, double-click, or context menu — not on single click
-}
-
-let lastSelectedIds = new Set();
 let lastResultIndex = -1;
 let lastSearchResultIds = null;
 let lastEvents = null;
+let eventsById = new Map();
+let resultEvents = [];
+let lastTourStep = null;
 let lastAnnouncedQuery = '';
 let lastAnnouncedResultCount = null;
 let lastAnnouncedCatCount = 0;
 
 store.subscribe((state) => {
-  handleHoverChange(state.hoveredEventId);
-
-  // Update accessible DOM tree and category filter panel when events change
-  if (state.events !== lastEvents) {
+  // Update category filter panel when events change
+  const eventsChanged = state.events !== lastEvents;
+  if (eventsChanged) {
     lastEvents = state.events;
-    domSync.update(state.events);
+    eventsById = new Map(state.events.map((event) => [event.id, event]));
     const cats = extractCategories(state.events);
     categoryFilter.setCategories(cats);
   }
   categoryFilter.setSelected(state.selectedCategories);
   categoryFilter.setMode(state.filterMode);
   zoomControls.setFilterActive(state.selectedCategories.length > 0);
-
-  const currentIds = [...state.selectedEventIds].sort().join(',');
-  const prevIds = [...lastSelectedIds].sort().join(',');
-  if (currentIds !== prevIds) {
-    if (state.selectedEventIds.size > 0) {
-      handleSelectionChange(state.selectedEventIds);
-    } else {
-      eventPanel.hide();
-    }
-  }
-  lastSelectedIds = new Set(state.selectedEventIds);
+  modeToggle.update(state);
 
   // Update search navigation UI
   const total = state.searchResultIds ? state.searchResultIds.length : 0;
@@ -325,12 +278,19 @@ store.subscribe((state) => {
   lastResultIndex = state.currentResultIndex;
   lastSearchResultIds = state.searchResultIds;
 
-  if ((resultIndexChanged || resultsChanged) && state.searchResultIds && state.searchResultIds.length > 0) {
-    const currentEventId = state.searchResultIds[state.currentResultIndex];
-    const event = state.events.find((e) => e.id === currentEventId);
+  if (resultsChanged || eventsChanged) {
+    resultEvents = (state.searchResultIds ?? []).map((id) => eventsById.get(id)).filter(Boolean);
+  }
+  searchBar.updateResults(resultEvents, state.currentResultIndex, state.searchQuery, state.calendar);
+
+  // A tour step brings its own search and moves the viewport itself
+  const tourStepChanged = state.tourStep !== lastTourStep;
+  lastTourStep = state.tourStep;
+  if ((resultIndexChanged || resultsChanged) && !tourStepChanged && state.searchResultIds?.length > 0) {
+    const event = eventsById.get(state.searchResultIds[state.currentResultIndex]);
     if (event) {
       const newViewportStart = computePanToEvent(event, state.canvasWidth, state.scale);
-      store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newViewportStart, scale: state.scale });
+      timeline.setViewport({ viewportStart: newViewportStart, scale: state.scale }, { animate: true });
     }
   }
 
@@ -365,18 +325,33 @@ store.subscribe((state) => {
 
   // Sync URL hash (debounced to avoid excessive updates)
   debouncedSyncUrl(state);
+
+  if (sessionReady) {
+    if (hasDatasetChanged(lastSavedState, state)) {
+      debouncedSaveSession(state);
+    } else if (hasViewportChanged(lastSavedState, state)) {
+      debouncedSaveViewport(state);
+    }
+    lastSavedState = state;
+  }
 });
 
 // Debounced URL hash sync
 const debouncedSyncUrl = createDebouncedSearch((state) => {
+  // The tour step brings its own filters; the URL keeps the user's
+  const filters = state.tourReturnFilters ?? state;
   const hash = encodeAllState({
-    searchQuery: state.searchQuery,
-    selectedCategories: state.selectedCategories,
-    filterMode: state.filterMode,
+    searchQuery: filters.searchQuery,
+    selectedCategories: filters.selectedCategories,
+    filterMode: filters.filterMode,
     viewportStart: state.viewportStart,
-    spp: state.scale.getSecondsPerPixel(),
+    ...(state.scale.logarithmic
+      ? { ppd: state.scale.pixelsPerDecade, present: state.scale.present }
+      : { spp: state.scale.getSecondsPerPixel() }),
     calendar: state.calendar,
     example: currentExample,
+    eventId: state.selectedEventIds.size === 1 ? [...state.selectedEventIds][0] : null,
+    tourStep: state.tourStep,
   });
   const newHash = hash || (window.location.hash ? '' : undefined);
   if (newHash !== undefined && newHash !== window.location.hash) {
@@ -384,8 +359,59 @@ const debouncedSyncUrl = createDebouncedSearch((state) => {
   }
 }, 500);
 
+// Autosave the working state so the next visit resumes where this one left off.
+// Disabled until init() has restored or loaded a dataset.
+let sessionReady = false;
+// Only changes to what the session stores schedule a save; a pan or zoom
+// rewrites just the viewport
+let lastSavedState = null;
+const debouncedSaveSession = createDebouncedSearch((state) => {
+  storage.saveSession(state, { example: currentExample }).catch((error) => {
+    console.warn('Nayra: failed to save session', error);
+  });
+}, 1000);
+const debouncedSaveViewport = createDebouncedSearch((state) => {
+  storage.saveSessionViewport(state).catch((error) => {
+    console.warn('Nayra: failed to save session', error);
+  });
+}, 1000);
+
+async function loadLastSession() {
+  try {
+    return await storage.loadSession();
+  } catch (error) {
+    console.warn('Nayra: failed to restore last session', error);
+    return null;
+  }
+}
+
+const notice = createNotice(document.body);
+
+// Open the event named by a `#event=<id>` deep link, if any
+function openLinkedEvent(hash, { zoom }) {
+  const eventId = decodeEventLink(hash);
+  if (eventId === null) return;
+  if (!timeline.revealEvent(eventId, { zoom })) {
+    console.warn(`Nayra: linked event "${eventId}" not found`);
+    notice.show(`Event "${eventId}" not found`);
+  }
+}
+
+// Show the tour step named by a `#tour=<step>` link, if the dataset has a tour
+function openLinkedTourStep(hash) {
+  const tourStep = decodeTourStep(hash);
+  if (tourStep !== null && !timeline.goToTourStep(tourStep)) {
+    console.warn('Nayra: linked tour step ignored, the dataset has no tour');
+  }
+}
+
 // Restore state from URL hash on browser back/forward
 window.addEventListener('hashchange', () => {
+  // Leaving the tour first restores the filters it replaced
+  if (decodeTourStep(window.location.hash) === null) {
+    timeline.endTour();
+  }
+
   const restored = decodeSearchState(window.location.hash);
   if (restored.searchQuery || restored.selectedCategories.length > 0 || restored.calendar === 'holocene') {
     store.dispatch({ type: 'RESTORE_FROM_URL', ...restored });
@@ -393,99 +419,54 @@ window.addEventListener('hashchange', () => {
     store.dispatch({ type: 'CLEAR_ALL_FILTERS' });
   }
 
-  const { viewportStart, spp, calendar } = decodeViewportState(window.location.hash);
-  if (viewportStart !== null && spp !== null) {
-    const scale = RationalScale.fromSecondsPerPixel(spp);
+  const { viewportStart, scale, calendar } = decodeViewportState(window.location.hash);
+  if (viewportStart !== null && scale !== null) {
     store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
   }
   if (calendar) {
     store.dispatch({ type: 'SET_CALENDAR', calendar });
   }
-});
 
-initInput(
-  canvas,
-  store,
-  {
-    onOpenSearch: () => {
-      if (!searchBar.isVisible()) {
-        searchBar.show();
-      }
-    },
-    onOpenSelectedEvent: (eventId) => {
-      const state = store.getState();
-      const event = state.events.find((e) => e.id === eventId);
-      if (event) {
-        eventPanel.update([event], state.calendar);
-        eventPanel.show();
-      }
-    },
-    onToggleHelp: toggleHelp,
-    onToggleFilter: toggleFilter,
-    onMousePosition: (x, y) => {
-      mouseX = x;
-      mouseY = y;
-      if (tooltip.isVisible()) {
-        const state = store.getState();
-        if (hoveredCluster) {
-          tooltip.update(hoveredCluster, x, y, state.calendar);
-        } else {
-          const event = state.events.find((e) => e.id === state.hoveredEventId);
-          if (event) {
-            tooltip.update(event, x, y, state.calendar);
-          }
-        }
-      }
-    },
-    onHoverClusterChange: handleClusterHoverChange,
-    onContextMenu: ({ x, y, target, targetType }) => {
-      tooltip.hide();
-      if (targetType === 'event' && target) {
-        const actions = buildEventActions(target, store, {
-          onShowDetails: (ev) => {
-            eventPanel.update([ev], store.getState().calendar);
-            eventPanel.show();
-          },
-        });
-        contextMenu.show(x, y, actions);
-      }
-      // Background right-click: no menu for now (per spec: implementation choice)
-    },
-  },
-  focusManager,
-);
+  openLinkedEvent(window.location.hash, { zoom: viewportStart === null || scale === null });
+  openLinkedTourStep(window.location.hash);
+});
 
-async function init() {
-  const hashState = decodeViewportState(window.location.hash);
-  const params = new URLSearchParams(window.location.search);
-  const exampleName = hashState.example || params.get('example') || DEFAULT_EXAMPLE;
+async function loadInitialEvents(exampleName) {
   currentExample = exampleName;
-
   const result = await loadExample(exampleName);
 
   if (result.errors.length > 0) {
     console.warn(result.summary, result.errors);
   }
 
-  let events;
   if (result.events.length > 0) {
-    events = result.events;
-    store.dispatch({ type: 'SET_EVENTS', events });
-  } else {
-    console.warn('Loader failed, using generated samples');
-    events = generateSampleEvents();
-    store.dispatch({ type: 'SET_EVENTS', events });
+    return { events: result.events, tour: result.tour ?? null };
   }
+  console.warn('Loader failed, using generated samples');
+  return { events: generateSampleEvents(), tour: null };
+}
+
+async function init() {
+  const hashState = decodeViewportState(window.location.hash);
+  const params = new URLSearchParams(window.location.search);
+  const requestedExample = params.get('example') || hashState.example;
+
+  // Resume the last session unless the URL asks for a different example
+  const session = await loadLastSession();
+  const resume = session !== null && (!requestedExample || requestedExample === session.example);
 
   // Restore viewport from URL hash if present, otherwise fit all content
-  const { viewportStart: urlVs, spp: urlSpp } = decodeViewportState(window.location.hash);
-  if (urlVs !== null && urlSpp !== null) {
-    const scale = RationalScale.fromSecondsPerPixel(urlSpp);
-    store.dispatch({ type: 'SET_VIEWPORT', viewportStart: urlVs, scale });
+  const { viewportStart: urlVs, scale: urlScale } = hashState;
+  const hasUrlViewport = urlVs !== null && urlScale !== null;
+  if (resume) {
+    applyDataset(session);
   } else {
-    const state = store.getState();
-    const { viewportStart, scale } = fitToContent(events, state.canvasWidth);
-    store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+    const { events, tour } = await loadInitialEvents(requestedExample || DEFAULT_EXAMPLE);
+    timeline.setEvents(events, { fit: !hasUrlViewport });
+    timeline.setTour(tour);
+  }
+  if (hasUrlViewport) {
+    timeline.setViewport({ viewportStart: urlVs, scale: urlScale });
   }
 
   // Restore search/filter/calendar state from URL hash (if present)
@@ -494,32 +475,14 @@ async function init() {
     store.dispatch({ type: 'RESTORE_FROM_URL', ...urlState });
   }
 
+  // A deep link zooms to its event unless the URL also pins the viewport
+  openLinkedEvent(window.location.hash, { zoom: !hasUrlViewport });
+  openLinkedTourStep(window.location.hash);
+
+  sessionReady = true;
+
   // Focus canvas for keyboard navigation
   canvas.focus();
 }
 
 init();
-
-let lastRenderedRevision = -1;
-let rafId = null;
-
-function loop() {
-  rafId = null;
-  const state = store.getState();
-  if (state.revision !== lastRenderedRevision) {
-    draw(state);
-    lastRenderedRevision = state.revision;
-  }
-}
-
-function scheduleRender() {
-  if (rafId === null) {
-    rafId = requestAnimationFrame(loop);
-  }
-}
-
-// Trigger render on state changes
-store.subscribe(() => scheduleRender());
-
-// Initial render
-scheduleRender();
@@ -1,4 +1,4 @@
-export function lightenColor(hex, amount) {
+function parseHex(hex) {
   const cleanHex = hex.replace('#', '');
 
   const fullHex =
@@ -9,9 +9,11 @@ export function lightenColor(hex, amount) {
           .join('')
       : cleanHex;
 
-  const r = parseInt(fullHex.slice(0, 2), 16);
-  const g = parseInt(fullHex.slice(2, 4), 16);
-  const b = parseInt(fullHex.slice(4, 6), 16);
+  return [parseInt(fullHex.slice(0, 2), 16), parseInt(fullHex.slice(2, 4), 16), parseInt(fullHex.slice(4, 6), 16)];
+}
+
+export function lightenColor(hex, amount) {
+  const [r, g, b] = parseHex(hex);
 
   const newR = Math.min(255, Math.round(r + (255 - r) * amount));
   const newG = Math.min(255, Math.round(g + (255 - g) * amount));
@@ -19,3 +21,8 @@ export function lightenColor(hex, amount) {
 
   return `#${newR.toString(16).padStart(2, '0')}${newG.toString(16).padStart(2, '0')}${newB.toString(16).padStart(2, '0')}`;
 }
+
+export function withAlpha(hex, alpha) {
+  const [r, g, b] = parseHex(hex);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
@@ -1,4 +1,4 @@
-import { DAY, YEAR } from '../core/time.js';
+import { DAY, toSeconds, YEAR } from '../core/time.js';
 
 /**
  * Level of Detail (LOD) system for adaptive rendering based on zoom level
@@ -16,10 +16,10 @@ export const PRIORITY_HIGH = 2;
 
 // LOD thresholds (seconds per pixel)
 // Add hysteresis to prevent flickering during zoom
-const MICRO_TO_MESO_THRESHOLD = Number(DAY) / 2; // 12 hours/px
-const MESO_TO_MICRO_THRESHOLD = Number(DAY) / 3; // 8 hours/px
-const MESO_TO_MACRO_THRESHOLD = Number(YEAR) * 50; // 50 years/px
-export const MACRO_TO_MESO_THRESHOLD = Number(YEAR) * 30; // 30 years/px
+const MICRO_TO_MESO_THRESHOLD = toSeconds(DAY) / 2; // 12 hours/px
+const MESO_TO_MICRO_THRESHOLD = toSeconds(DAY) / 3; // 8 hours/px
+const MESO_TO_MACRO_THRESHOLD = toSeconds(YEAR) * 50; // 50 years/px
+export const MACRO_TO_MESO_THRESHOLD = toSeconds(YEAR) * 30; // 30 years/px
 
 /**
  * Determine the appropriate LOD level based on zoom
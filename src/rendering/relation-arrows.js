@@ -0,0 +1,118 @@
+/**
+ * Relation arrows.
+ *
+ * Geometry and drawing for the curved arrows that link related events, and
+ * for the edge indicators that stand in for a related event scrolled out of
+ * the viewport.
+ */
+
+export const RELATION_COLOR = 'rgba(200, 200, 255, 0.55)';
+export const RELATION_HIGHLIGHT_COLOR = '#ffcc00';
+
+const ARROW_SIZE = 6;
+const EDGE_INDICATOR_SIZE = 6;
+// Minimum horizontal reach of the curve's control points
+const MIN_CURVE_REACH = 30;
+// How far a backward-pointing curve bows above the two events
+const BACKWARD_BOW = 30;
+
+/**
+ * Left and right attachment points of a drawn event.
+ * Point events are drawn centered on bounds.x; duration bars start there.
+ *
+ * @param {{ x: number, y: number, width: number, height: number, isPoint?: boolean }} bounds
+ * @returns {{ left: number, right: number, y: number }}
+ */
+export function getEventAnchors(bounds) {
+  const y = bounds.y + bounds.height / 2;
+  if (bounds.isPoint) {
+    return { left: bounds.x - bounds.width / 2, right: bounds.x + bounds.width / 2, y };
+  }
+  return { left: bounds.x, right: bounds.x + bounds.width, y };
+}
+
+/**
+ * Cubic Bézier from the end of one event to the start of another.
+ * When the target starts before the source ends, the curve bows upward so it
+ * stays clear of the bars it connects.
+ *
+ * @param {{ x: number, y: number }} start
+ * @param {{ x: number, y: number }} end
+ * @returns {{ start: Object, cp1: Object, cp2: Object, end: Object }}
+ */
+export function getRelationCurve(start, end) {
+  const gap = end.x - start.x;
+  const reach = Math.max(MIN_CURVE_REACH, Math.abs(gap) / 2);
+  const bow = gap < MIN_CURVE_REACH ? BACKWARD_BOW : 0;
+  return {
+    start,
+    cp1: { x: start.x + reach, y: start.y - bow },
+    cp2: { x: end.x - reach, y: end.y - bow },
+    end,
+  };
+}
+
+/**
+ * S-shaped curve between an event and a point on the canvas edge.
+ *
+ * @param {{ x: number, y: number }} start
+ * @param {{ x: number, y: number }} end
+ * @returns {{ start: Object, cp1: Object, cp2: Object, end: Object }}
+ */
+export function getEdgeCurve(start, end) {
+  const midX = (start.x + end.x) / 2;
+  return { start, cp1: { x: midX, y: start.y }, cp2: { x: midX, y: end.y }, end };
+}
+
+function drawArrowHead(ctx, from, tip) {
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  ctx.beginPath();
+  ctx.moveTo(tip.x, tip.y);
+  ctx.lineTo(tip.x - ARROW_SIZE * Math.cos(angle - Math.PI / 6), tip.y - ARROW_SIZE * Math.sin(angle - Math.PI / 6));
+  ctx.lineTo(tip.x - ARROW_SIZE * Math.cos(angle + Math.PI / 6), tip.y - ARROW_SIZE * Math.sin(angle + Math.PI / 6));
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Stroke a relation curve, with an arrowhead at its end when `arrow` is set.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ start: Object, cp1: Object, cp2: Object, end: Object }} curve
+ * @param {{ color: string, lineWidth: number, arrow?: boolean }} style
+ */
+export function drawRelationCurve(ctx, curve, { color, lineWidth, arrow = true }) {
+  const { start, cp1, cp2, end } = curve;
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.bezierCurveTo(cp1.x, cp1.y, cp2.x, cp2.y, end.x, end.y);
+  ctx.stroke();
+  if (arrow) drawArrowHead(ctx, cp2, end);
+}
+
+/**
+ * Draw a chevron at the left or right canvas edge pointing towards an
+ * off-screen related event.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x - Canvas edge (0 or the canvas width)
+ * @param {number} y - Vertical center of the off-screen event's lane
+ * @param {'left'|'right'} side
+ * @param {string} color
+ */
+export function drawEdgeIndicator(ctx, x, y, side, color) {
+  const dir = side === 'left' ? -1 : 1;
+  // Keep the tip one pixel inside the canvas
+  const tipX = x - dir;
+  const baseX = tipX - dir * EDGE_INDICATOR_SIZE * 1.5;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(tipX, y);
+  ctx.lineTo(baseX, y - EDGE_INDICATOR_SIZE);
+  ctx.lineTo(baseX, y + EDGE_INDICATOR_SIZE);
+  ctx.closePath();
+  ctx.fill();
+}
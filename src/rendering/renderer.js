@@ -1,6 +1,26 @@
-import { BILLION_YEARS, isVisible, MILLION_YEARS, projectToScreen, YEAR } from '../core/time.js';
+import { civilFromTime, isoWeekOf, timeFromCivil } from '../core/calendar.js';
+import { collectRelations } from '../core/relations.js';
+import {
+  BILLION_YEARS,
+  DAY,
+  HOUR,
+  isVisible,
+  MICROSECOND,
+  MILLION_YEARS,
+  MILLISECOND,
+  MINUTE,
+  NANOSECOND,
+  projectToScreen,
+  SECOND,
+  screenToTime,
+  toMilliseconds,
+  toSeconds,
+  WEEK,
+  YEAR,
+} from '../core/time.js';
 import { clusterEvents } from '../layout/event-clustering.js';
-import { assignLanes } from '../layout/greedy-interval-coloring.js';
+import { assignGroupedLanes } from '../layout/group-layout.js';
+import { queryEvents } from '../layout/interval-tree.js';
 import { detectLabelCollisions, renderLabel } from '../layout/label-collision.js';
 import { getDynamicLaneConfig, getLaneY, DEFAULT_CONFIG as LANE_CONFIG } from '../layout/lane-positioning.js';
 import {
@@ -10,44 +30,48 @@ import {
   terminateWorker,
 } from '../layout/layout-worker-manager.js';
 import { SpatialHash } from '../layout/spatial-hash.js';
-import { toDisplayYear } from '../ui/format.js';
-import { lightenColor } from './colors.js';
+import { formatDuration, toDisplayYear } from '../ui/format.js';
+import { lightenColor, withAlpha } from './colors.js';
 import { applyDpiScaling, getLogicalSize } from './dpi-scaling.js';
-import { drawEventShapeIndicator, getShapeIndicatorLabelOffset } from './event-shapes.js';
+import { drawEventShapeIndicator, drawShape, getShapeIndicatorLabelOffset, getShapeLegend } from './event-shapes.js';
 import {
   determineLOD,
   filterEventsByLOD,
-  getMinEventWidth,
   getEventPriority,
+  getMinEventWidth,
   LOD_MACRO,
   LOD_MICRO,
   PRIORITY_HIGH,
   shouldRenderAsPoint,
   shouldShowLabels,
 } from './lod.js';
+import {
+  drawEdgeIndicator,
+  drawRelationCurve,
+  getEdgeCurve,
+  getEventAnchors,
+  getRelationCurve,
+  RELATION_COLOR,
+  RELATION_HIGHLIGHT_COLOR,
+} from './relation-arrows.js';
 import { getEventSearchState, getSearchAlpha, renderHighlightedLabel } from './search-highlight.js';
 
-let ctx = null;
-let canvas = null;
-let resizeObserver = null;
-let _lastFrameTime = performance.now();
-let fps = 0;
-let frameCount = 0;
-let fpsUpdateTime = 0;
-
-// Layout state cache
-let laneAssignments = new Map(); // eventId -> lane number
-let laneCount = 0;
-let currentLaneConfig = { ...LANE_CONFIG }; // dynamic config updated each frame
-const spatialHash = new SpatialHash();
-let layoutRevision = -1; // Track when layout needs recalculation
-let currentLOD = LOD_MICRO; // Current level of detail
-let clusters = []; // Current event clusters (for macro zoom)
-let lodFilteredEventsCache = []; // Cached LOD-filtered events
-let macroVisibleEventIds = new Set(); // High-priority events still visible as single markers in macro mode
-let drawRevision = -1; // Track when draw-phase caches need refresh
-let pendingLayoutRevision = -1; // Track pending async layout calculation
-let isLayoutPending = false; // Flag to prevent duplicate layout requests
+/**
+ * Whether any input differs from the previous snapshot of the same inputs.
+ * Values are compared by identity: the store replaces arrays and sets instead
+ * of mutating them.
+ *
+ * @param {Object|null} previous - Inputs the cache was computed from, null if never computed
+ * @param {Object} next - Current inputs
+ * @returns {boolean}
+ */
+function dependenciesChanged(previous, next) {
+  if (!previous) return true;
+  for (const key of Object.keys(next)) {
+    if (!Object.is(previous[key], next[key])) return true;
+  }
+  return false;
+}
 
 function filterEventsByActiveIds(events, activeFilterIds) {
   if (activeFilterIds === null) {
@@ -57,6 +81,9 @@ function filterEventsByActiveIds(events, activeFilterIds) {
   return events.filter((event) => activeIds.has(event.id));
 }
 
+// Number of initialized renderers sharing the layout worker
+let workerHolders = 0;
+
 export const AXIS_BOTTOM_MARGIN = 60;
 export function getAxisY(height) {
   return height - AXIS_BOTTOM_MARGIN;
@@ -65,475 +92,893 @@ export function getAxisY(height) {
 export const EVENT_HEIGHT = 20;
 export const EVENT_COLORS = ['#ff6b6b', '#4ecdc4', '#45b7d1', '#96ceb4', '#ffeaa7', '#dfe6e9', '#fd79a8', '#a29bfe'];
 
-export function init(canvasElement, dispatch) {
-  canvas = canvasElement;
-  ctx = canvas.getContext('2d');
+// Height of the shape legend band appended below the timeline in image snapshots
+export const SNAPSHOT_LEGEND_HEIGHT = 28;
+
+// Swimlane group headers
+const GROUP_HEADER_COLOR = '#c8c8e0';
+const GROUP_HEADER_BACKGROUND = 'rgba(255, 255, 255, 0.04)';
+const GROUP_SEPARATOR_COLOR = 'rgba(200, 200, 255, 0.2)';
+const GROUP_HEADER_PADDING = 8;
+const GROUP_INDENT = 14;
+
+// Opacity of an event's original position while it is being dragged
+const DRAG_SOURCE_ALPHA = 0.35;
 
-  const rect = setupDPI();
-  dispatch({ type: 'SET_CANVAS_WIDTH', width: rect.width });
+// Opacity where an uncertainty window meets the event; it fades to nothing at the window's edge
+const FUZZY_EDGE_ALPHA = 0.45;
+
+/**
+ * Create an isolated renderer instance.
+ *
+ * Every instance owns its canvas, lane assignments, spatial hash, clusters and
+ * LOD caches, so several timelines can render side by side on one page.
+ *
+ * @returns {Object} - Renderer with init/destroy/draw and layout accessors
+ */
+export function createRenderer() {
+  let ctx = null;
+  let canvas = null;
+  let resizeObserver = null;
+  let _lastFrameTime = performance.now();
+  let fps = 0;
+  let frameCount = 0;
+  let fpsUpdateTime = 0;
+
+  // Layout state cache
+  let laneAssignments = new Map(); // eventId -> lane number
+  let laneCount = 0;
+  let groupBands = []; // Swimlane groups in display order, empty when ungrouped
+  let hiddenEventIds = new Set(); // Events inside collapsed groups
+  let currentLaneConfig = { ...LANE_CONFIG }; // dynamic config updated each frame
+  const spatialHash = new SpatialHash();
+  let currentLOD = LOD_MICRO; // Current level of detail
+  let clusters = []; // Current event clusters (for macro zoom)
+  let lodFilteredEventsCache = []; // Cached LOD-filtered events
+  let activeEventsCache = []; // Events passing the active filters, minus those in collapsed groups
+  let macroVisibleEventIds = new Set(); // High-priority events still visible as single markers in macro mode
+  let relationsCache = []; // Resolved source/target pairs from event relations
+  let layoutVersion = 0; // Bumped whenever a new lane layout is applied
+
+  // Inputs each cache was last computed from (see dependenciesChanged()).
+  // Hover, selection and focus are not among them, so changing those only repaints.
+  let lodDeps = null;
+  let relationsDeps = null;
+  let layoutDeps = null;
+  let activeDeps = null;
+  let clusterDeps = null;
+  let hashDeps = null;
+  let hashViewportStart = 0n; // Viewport the spatial hash bounds were computed for
+  let pendingLayoutDeps = null; // Inputs of the async layout in flight
+  let isLayoutPending = false; // Flag to prevent duplicate layout requests
+  let workerHeld = false; // Whether this instance counts towards workerHolders
+
+  function init(canvasElement, dispatch) {
+    canvas = canvasElement;
+    ctx = canvas.getContext('2d');
 
-  resizeObserver = new ResizeObserver(() => {
     const rect = setupDPI();
     dispatch({ type: 'SET_CANVAS_WIDTH', width: rect.width });
-  });
-  resizeObserver.observe(canvas);
 
-  // Initialize Web Worker for layout offloading
-  initWorker();
+    resizeObserver = new ResizeObserver(() => {
+      const rect = setupDPI();
+      dispatch({ type: 'SET_CANVAS_WIDTH', width: rect.width });
+    });
+    resizeObserver.observe(canvas);
 
-  return { ctx, canvas };
-}
+    // Initialize Web Worker for layout offloading (shared by all instances)
+    if (!workerHeld) {
+      workerHeld = true;
+      workerHolders++;
+    }
+    initWorker();
 
-export function destroy() {
-  if (resizeObserver) {
-    resizeObserver.disconnect();
-    resizeObserver = null;
-  }
-
-  // Terminate Web Worker
-  terminateWorker();
-
-  ctx = null;
-  canvas = null;
-  // Clear layout state
-  laneAssignments.clear();
-  laneCount = 0;
-  currentLaneConfig = { ...LANE_CONFIG };
-  spatialHash.clear();
-  layoutRevision = -1;
-  drawRevision = -1;
-  currentLOD = LOD_MICRO;
-  clusters = [];
-  lodFilteredEventsCache = [];
-  macroVisibleEventIds.clear();
-  pendingLayoutRevision = -1;
-  isLayoutPending = false;
-}
+    return { ctx, canvas };
+  }
 
-/**
- * Get the current spatial hash (for hit detection)
- * @returns {SpatialHash} - The current spatial hash
- */
-export function getSpatialHash() {
-  return spatialHash;
-}
+  function destroy() {
+    if (resizeObserver) {
+      resizeObserver.disconnect();
+      resizeObserver = null;
+    }
 
-/**
- * Get the current lane assignments
- * @returns {Map} - Map of eventId -> lane number
- */
-export function getLaneAssignments() {
-  return laneAssignments;
-}
+    // Terminate the shared Web Worker once no other instance needs it
+    if (workerHeld) {
+      workerHeld = false;
+      workerHolders--;
+    }
+    if (workerHolders === 0) {
+      terminateWorker();
+    }
 
-/**
- * Get the current lane count
- * @returns {number} - Number of lanes
- */
-export function getLaneCount() {
-  return laneCount;
-}
+    ctx = null;
+    canvas = null;
+    // Clear layout state
+    laneAssignments.clear();
+    laneCount = 0;
+    groupBands = [];
+    hiddenEventIds = new Set();
+    currentLaneConfig = { ...LANE_CONFIG };
+    spatialHash.clear();
+    currentLOD = LOD_MICRO;
+    clusters = [];
+    lodFilteredEventsCache = [];
+    activeEventsCache = [];
+    macroVisibleEventIds.clear();
+    relationsCache = [];
+    lodDeps = null;
+    relationsDeps = null;
+    layoutDeps = null;
+    activeDeps = null;
+    clusterDeps = null;
+    hashDeps = null;
+    hashViewportStart = 0n;
+    pendingLayoutDeps = null;
+    isLayoutPending = false;
+  }
 
-/**
- * Get the current clusters (for hit detection)
- * @returns {Array} - Current clusters
- */
-export function getClusters() {
-  return clusters;
-}
+  /**
+   * Get the current spatial hash (for hit detection)
+   * @returns {SpatialHash} - The current spatial hash
+   */
+  function getSpatialHash() {
+    return spatialHash;
+  }
 
-/**
- * Get the current lane config (dynamic, updated each draw frame)
- * @returns {Object} - { laneHeight, laneSpacing, baselineOffset }
- */
-export function getCurrentLaneConfig() {
-  return currentLaneConfig;
-}
+  /**
+   * Get the current lane assignments
+   * @returns {Map} - Map of eventId -> lane number
+   */
+  function getLaneAssignments() {
+    return laneAssignments;
+  }
 
-function setupDPI() {
-  return applyDpiScaling(canvas, ctx);
-}
+  /**
+   * Get the current lane count
+   * @returns {number} - Number of lanes
+   */
+  function getLaneCount() {
+    return laneCount;
+  }
 
-/**
- * Calculate lane assignments for all events
- * Only recalculates if state has changed (based on revision)
- *
- * For large datasets (>= 10,000 events), offloads calculation to Web Worker.
- * For small datasets, uses synchronous calculation on main thread.
- */
-function calculateLayout(state, axisY, viewportStart, scale, width) {
-  // Only recalculate if state has changed
-  if (layoutRevision === state.revision) {
-    return;
+  /**
+   * Get the current swimlane groups (for hit detection and navigation)
+   * @returns {Array} - Groups from assignGroupedLanes(), empty when events are not grouped
+   */
+  function getGroupBands() {
+    return groupBands;
   }
 
-  const targetRevision = state.revision;
-  const eventCount = state.events.length;
-  const threshold = getWorkerThreshold();
+  /**
+   * Get the ids of events hidden inside collapsed groups
+   * @returns {Set<string>}
+   */
+  function getHiddenEventIds() {
+    return hiddenEventIds;
+  }
 
-  // For small datasets, use synchronous calculation
-  if (eventCount < threshold) {
-    layoutRevision = targetRevision;
+  /**
+   * Get the current clusters (for hit detection)
+   * @returns {Array} - Current clusters
+   */
+  function getClusters() {
+    return clusters;
+  }
 
-    // Assign lanes using greedy interval coloring (synchronous)
-    const result = assignLanes(state.events);
-    laneAssignments = result.layouts;
-    laneCount = result.laneCount;
+  /**
+   * Get the current lane config (dynamic, updated each draw frame)
+   * @returns {Object} - { laneHeight, laneSpacing, baselineOffset }
+   */
+  function getCurrentLaneConfig() {
+    return currentLaneConfig;
+  }
 
-    rebuildSpatialHash(state.events, axisY, viewportStart, scale);
-    return;
+  function setupDPI() {
+    return applyDpiScaling(canvas, ctx);
   }
 
-  // For large datasets, use Web Worker (async)
-  // Prevent duplicate requests for the same revision
-  if (isLayoutPending && pendingLayoutRevision === targetRevision) {
-    return; // Already calculating this revision
+  function applyLayout(result) {
+    laneAssignments = result.layouts;
+    laneCount = result.laneCount;
+    groupBands = result.groups;
+    hiddenEventIds = result.hiddenIds;
+    layoutVersion++;
   }
 
-  isLayoutPending = true;
-  pendingLayoutRevision = targetRevision;
+  /**
+   * Calculate lane assignments for all events
+   * Only recalculates when the events or the grouping changed
+   *
+   * With `state.groupBy` set, every group gets its own band of lanes below a
+   * header row; events of collapsed groups get no lane.
+   *
+   * For large datasets (>= 10,000 events), offloads calculation to Web Worker.
+   * For small datasets, uses synchronous calculation on main thread.
+   */
+  function calculateLayout(events, state, width) {
+    const deps = { events, groupBy: state.groupBy, collapsedGroups: state.collapsedGroups };
+    if (!dependenciesChanged(layoutDeps, deps)) {
+      return;
+    }
+
+    const grouping = { groupBy: state.groupBy, collapsedGroups: state.collapsedGroups };
+    const threshold = getWorkerThreshold();
+
+    // For small datasets, use synchronous calculation
+    if (events.length < threshold) {
+      layoutDeps = deps;
 
-  // Kick off async calculation
-  calculateLayoutWorker(
-    state.events,
-    {
-      start: viewportStart,
-      end: viewportStart + scale.pxToTime(width),
-    },
-    scale.getSecondsPerPixel(),
-  )
-    .then((result) => {
-      // Only apply result if it's still relevant (revision hasn't changed)
-      if (pendingLayoutRevision === targetRevision && layoutRevision !== targetRevision) {
-        layoutRevision = targetRevision;
-        laneAssignments = result.layouts;
-        laneCount = result.laneCount;
+      // Assign lanes using greedy interval coloring (synchronous)
+      applyLayout(assignGroupedLanes(events, grouping));
+      return;
+    }
 
-        rebuildSpatialHash(state.events, axisY, viewportStart, scale);
+    // For large datasets, use Web Worker (async)
+    // Prevent duplicate requests for the same inputs
+    if (isLayoutPending && !dependenciesChanged(pendingLayoutDeps, deps)) {
+      return; // Already calculating this layout
+    }
 
-        // Trigger a redraw to show updated layout
-        if (canvas) {
-          requestAnimationFrame(() => draw(state));
+    isLayoutPending = true;
+    pendingLayoutDeps = deps;
+
+    // Kick off async calculation
+    calculateLayoutWorker(
+      events,
+      {
+        start: state.viewportStart,
+        end: screenToTime(width, state.viewportStart, state.scale),
+      },
+      state.scale.getSecondsPerPixel(),
+      grouping,
+    )
+      .then((result) => {
+        // Only apply result if it's still relevant (no newer layout was requested)
+        if (pendingLayoutDeps !== deps) return;
+        isLayoutPending = false;
+        if (layoutDeps !== deps) {
+          layoutDeps = deps;
+          applyLayout(result);
+
+          // Trigger a redraw to show updated layout
+          if (canvas) {
+            requestAnimationFrame(() => draw(state));
+          }
         }
+      })
+      .catch((error) => {
+        console.error('Layout calculation failed:', error);
+        if (pendingLayoutDeps !== deps) return;
+        isLayoutPending = false;
+
+        // Fallback to synchronous calculation
+        if (layoutDeps !== deps) {
+          layoutDeps = deps;
+          applyLayout(assignGroupedLanes(events, grouping));
+        }
+      });
+  }
+
+  /**
+   * Keep the spatial hash in step with the layout and viewport. A pan that
+   * keeps the zoom, lanes and LOD only shifts every bound by the same number of
+   * pixels, so the hash is translated instead of rebuilt.
+   */
+  function syncSpatialHash(state, axisY) {
+    const deps = { layoutVersion, events: lodFilteredEventsCache, axisY, scale: state.scale, lod: currentLOD };
+    // A log axis stretches unevenly when panned, so only a linear one can be translated
+    if (dependenciesChanged(hashDeps, deps) || (state.scale.logarithmic && state.viewportStart !== hashViewportStart)) {
+      hashDeps = deps;
+      hashViewportStart = state.viewportStart;
+      rebuildSpatialHash(lodFilteredEventsCache, axisY, state.viewportStart, state.scale);
+    } else if (state.viewportStart !== hashViewportStart) {
+      // Offset from the viewport the hash was built for, so rounding never accumulates
+      const offsetX = state.scale.timeToPx(hashViewportStart - state.viewportStart);
+      spatialHash.translate(offsetX - spatialHash.offsetX);
+    }
+  }
+
+  /**
+   * Rebuild spatial hash with current lane assignments
+   * Extracted to reduce duplication between sync and async paths
+   */
+  function rebuildSpatialHash(events, axisY, viewportStart, scale) {
+    const laneConfig = getDynamicLaneConfig(axisY, laneCount);
+    const eventHeight = laneConfig.laneHeight;
+
+    const getBounds = (event) => {
+      // Events in collapsed groups cannot be hit
+      if (hiddenEventIds.has(event.id)) return null;
+
+      const x = projectToScreen(event.start, viewportStart, scale);
+
+      // Calculate actual event width
+      let eventWidth;
+      if (event.end !== undefined && event.end > event.start) {
+        const endX = projectToScreen(event.end, viewportStart, scale);
+        eventWidth = endX - x;
+      } else {
+        eventWidth = 0;
       }
-      isLayoutPending = false;
-    })
-    .catch((error) => {
-      console.error('Layout calculation failed:', error);
-      isLayoutPending = false;
-
-      // Fallback to synchronous calculation
-      if (layoutRevision !== targetRevision) {
-        layoutRevision = targetRevision;
-        const result = assignLanes(state.events);
-        laneAssignments = result.layouts;
-        laneCount = result.laneCount;
-        rebuildSpatialHash(state.events, axisY, viewportStart, scale);
-      }
-    });
-}
 
-/**
- * Rebuild spatial hash with current lane assignments
- * Extracted to reduce duplication between sync and async paths
- */
-function rebuildSpatialHash(events, axisY, viewportStart, scale) {
-  const laneConfig = getDynamicLaneConfig(axisY, laneCount);
-  const eventHeight = laneConfig.laneHeight;
+      // Use LOD-aware sizing for hit detection
+      const minWidth = getMinEventWidth(currentLOD);
+      const renderAsPoint = shouldRenderAsPoint(eventWidth, currentLOD) || eventWidth === 0;
+      const displayWidth = renderAsPoint ? minWidth : Math.max(eventWidth, minWidth);
 
-  const getBounds = (event) => {
-    const x = projectToScreen(event.start, viewportStart, scale);
+      const lane = laneAssignments.get(event.id) || 0;
+      const y = getLaneY(lane, axisY, laneConfig);
 
-    // Calculate actual event width
-    let eventWidth;
-    if (event.end !== undefined && event.end > event.start) {
-      const endX = projectToScreen(event.end, viewportStart, scale);
-      eventWidth = endX - x;
-    } else {
-      eventWidth = 0;
-    }
+      // For points, center the hit area
+      const hitX = renderAsPoint ? x - displayWidth / 2 : x;
 
-    // Use LOD-aware sizing for hit detection
-    const minWidth = getMinEventWidth(currentLOD);
-    const renderAsPoint = shouldRenderAsPoint(eventWidth, currentLOD) || eventWidth === 0;
-    const displayWidth = renderAsPoint ? minWidth : Math.max(eventWidth, minWidth);
+      return { x: hitX, y, width: displayWidth, height: eventHeight };
+    };
 
-    const lane = laneAssignments.get(event.id) || 0;
-    const y = getLaneY(lane, axisY, laneConfig);
+    spatialHash.rebuild(events, getBounds);
+  }
 
-    // For points, center the hit area
-    const hitX = renderAsPoint ? x - displayWidth / 2 : x;
+  function draw(state) {
+    if (!ctx || !canvas) return;
 
-    return { x: hitX, y, width: displayWidth, height: eventHeight };
-  };
+    const now = performance.now();
+    updateFPS(now);
 
-  spatialHash.rebuild(events, getBounds);
-}
+    const { width, height } = getLogicalSize(canvas);
+    drawScene(state, width, height);
+    drawFPS(width);
+  }
 
-export function draw(state) {
-  if (!ctx || !canvas) return;
+  /**
+   * Draw the current viewport into an arbitrary canvas-like context, followed by
+   * a shape legend band. Uses the same layout, clusters and label placement as
+   * the on-screen frame, without the FPS counter.
+   *
+   * @param {CanvasRenderingContext2D} target - Context sized to getSnapshotSize(), in logical pixels
+   * @param {Object} state - Store state
+   */
+  function renderSnapshot(target, state) {
+    if (!ctx || !canvas) return;
+
+    const { width, height } = getLogicalSize(canvas);
+    const liveCtx = ctx;
+    ctx = target;
+    try {
+      drawScene(state, width, height);
+      drawLegend(target, state, width, height);
+    } finally {
+      ctx = liveCtx;
+    }
+  }
 
-  const now = performance.now();
-  updateFPS(now);
+  /**
+   * Logical size of a snapshot: the canvas plus the legend band below it
+   * @returns {{ width: number, height: number }}
+   */
+  function getSnapshotSize() {
+    if (!canvas) return { width: 0, height: 0 };
+    const { width, height } = getLogicalSize(canvas);
+    return { width, height: height + SNAPSHOT_LEGEND_HEIGHT };
+  }
 
-  const { width, height } = getLogicalSize(canvas);
-  const viewportEnd = state.viewportStart + state.scale.pxToTime(width);
+  /**
+   * Refresh the derived data whose inputs changed since the last frame:
+   * LOD filtering, lane layout, active events, clusters and the spatial hash.
+   */
+  function updateCaches(state, axisY, width) {
+    const lodKey = { events: state.events, lod: currentLOD };
+    if (dependenciesChanged(lodDeps, lodKey)) {
+      lodDeps = lodKey;
+      lodFilteredEventsCache = filterEventsByLOD(state.events, currentLOD);
+    }
 
-  const axisY = getAxisY(height);
+    if (relationsDeps !== state.events) {
+      relationsDeps = state.events;
+      relationsCache = collectRelations(state.events);
+    }
 
-  // Determine LOD level based on zoom
-  const secondsPerPixel = state.scale.getSecondsPerPixel();
-  currentLOD = determineLOD(secondsPerPixel, currentLOD);
+    // Lane layout; this also decides which events collapsed groups hide
+    calculateLayout(lodFilteredEventsCache, state, width);
 
-  // Only recalculate filtering, clustering, and layout when state has changed
-  if (drawRevision !== state.revision) {
-    drawRevision = state.revision;
-    const activeEvents = filterEventsByActiveIds(state.events, state.activeFilterIds);
+    // Update dynamic lane config based on current lane count and canvas height
+    currentLaneConfig = getDynamicLaneConfig(axisY, laneCount);
 
-    // Filter events by LOD before layout
-    lodFilteredEventsCache = filterEventsByLOD(state.events, currentLOD);
-    macroVisibleEventIds = new Set(filterEventsByLOD(activeEvents, currentLOD).map((event) => event.id));
+    const activeKey = { layoutVersion, events: state.events, activeFilterIds: state.activeFilterIds, lod: currentLOD };
+    if (dependenciesChanged(activeDeps, activeKey)) {
+      activeDeps = activeKey;
+      activeEventsCache = filterEventsByActiveIds(state.events, state.activeFilterIds).filter(
+        (event) => !hiddenEventIds.has(event.id),
+      );
+      macroVisibleEventIds = new Set(filterEventsByLOD(activeEventsCache, currentLOD).map((event) => event.id));
+    }
 
-    // Apply clustering at macro zoom level
+    // Clusters are screen-space, so at macro zoom they follow the viewport too
     if (currentLOD === LOD_MACRO) {
-      clusters = clusterEvents(activeEvents, state.viewportStart, state.scale, width);
+      const clusterKey = { events: activeEventsCache, viewportStart: state.viewportStart, scale: state.scale, width };
+      if (dependenciesChanged(clusterDeps, clusterKey)) {
+        clusterDeps = clusterKey;
+        clusters = clusterEvents(activeEventsCache, state.viewportStart, state.scale, width);
+      }
     } else {
+      clusterDeps = null;
       clusters = [];
     }
 
-    // Calculate layout (only if state changed)
-    calculateLayout({ ...state, events: lodFilteredEventsCache }, axisY, state.viewportStart, state.scale, width);
-
-    // Update dynamic lane config based on current lane count and canvas height
-    currentLaneConfig = getDynamicLaneConfig(axisY, laneCount);
+    syncSpatialHash(state, axisY);
   }
 
-  const lodFilteredEvents = lodFilteredEventsCache;
+  function drawScene(state, width, height) {
+    const viewportEnd = screenToTime(width, state.viewportStart, state.scale);
 
-  ctx.fillStyle = '#1a1a2e';
-  ctx.fillRect(0, 0, width, height);
+    const axisY = getAxisY(height);
 
-  drawGridAndLabels(state, width, height, axisY);
+    // Determine LOD level based on zoom
+    const secondsPerPixel = state.scale.getSecondsPerPixel();
+    // A log axis spans every zoom level at once, so events are always drawn in full
+    currentLOD = state.scale.logarithmic ? LOD_MICRO : determineLOD(secondsPerPixel, currentLOD);
 
-  ctx.strokeStyle = '#4a4a6a';
-  ctx.lineWidth = 1;
-  ctx.beginPath();
-  ctx.moveTo(0, axisY);
-  ctx.lineTo(width, axisY);
-  ctx.stroke();
+    updateCaches(state, axisY, width);
 
-  // Draw lane baselines so events have a visual anchor
-  ctx.strokeStyle = 'rgba(100, 100, 140, 0.15)';
-  ctx.lineWidth = 1;
-  for (let lane = 0; lane < Math.max(1, laneCount); lane++) {
-    const laneY = getLaneY(lane, axisY, currentLaneConfig);
-    const centerY = Math.round(laneY + currentLaneConfig.laneHeight / 2) + 0.5;
+    const lodFilteredEvents = lodFilteredEventsCache;
+
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    drawGridAndLabels(ctx, state, width, height, axisY);
+
+    ctx.strokeStyle = '#4a4a6a';
+    ctx.lineWidth = 1;
     ctx.beginPath();
-    ctx.moveTo(0, centerY);
-    ctx.lineTo(width, centerY);
+    ctx.moveTo(0, axisY);
+    ctx.lineTo(width, axisY);
     ctx.stroke();
-  }
 
-  // Build Set for O(1) lookups during rendering (uses combined active filter)
-  const searchResultSet = state.activeFilterIds ? new Set(state.activeFilterIds) : null;
-
-  // Render based on LOD level
-  if (currentLOD === LOD_MACRO && clusters.length > 0) {
-    // Render clusters at macro zoom
-    for (const cluster of clusters) {
-      if (cluster.type === 'cluster') {
-        drawCluster(cluster, state, axisY, width, viewportEnd);
-      } else if (cluster.type === 'event') {
-        // Single unclustered event
-        const event = cluster.event;
-        if (!macroVisibleEventIds.has(event.id) && getEventPriority(event) < PRIORITY_HIGH) {
-          continue;
-        }
-        const duration = event.end !== undefined ? event.end - event.start : 0n;
-        if (isVisible(event.start, duration, state.viewportStart, viewportEnd)) {
-          drawEvent(event, state, axisY, width, currentLOD, searchResultSet, currentLaneConfig);
-        }
-      }
+    // Draw lane baselines so events have a visual anchor
+    ctx.strokeStyle = 'rgba(100, 100, 140, 0.15)';
+    ctx.lineWidth = 1;
+    const headerLanes = new Set(groupBands.map((group) => group.headerLane));
+    for (let lane = 0; lane < Math.max(1, laneCount); lane++) {
+      if (headerLanes.has(lane)) continue;
+      const laneY = getLaneY(lane, axisY, currentLaneConfig);
+      const centerY = Math.round(laneY + currentLaneConfig.laneHeight / 2) + 0.5;
+      ctx.beginPath();
+      ctx.moveTo(0, centerY);
+      ctx.lineTo(width, centerY);
+      ctx.stroke();
     }
-  } else {
-    // Normal rendering: draw events and collect bounds for label collision detection
-    const eventsWithBounds = [];
-    for (const event of lodFilteredEvents) {
-      const duration = event.end !== undefined ? event.end - event.start : 0n;
-      if (!isVisible(event.start, duration, state.viewportStart, viewportEnd)) {
-        continue;
+
+    // Build Set for O(1) lookups during rendering (uses combined active filter)
+    const searchResultSet = getEmphasizedEventIds(state);
+
+    // Bounds of every event drawn this frame, for relation arrows
+    const drawnBounds = new Map();
+
+    // Render based on LOD level
+    if (currentLOD === LOD_MACRO && clusters.length > 0) {
+      // Render clusters at macro zoom
+      for (const cluster of clusters) {
+        if (cluster.type === 'cluster') {
+          drawCluster(cluster, state, axisY, width, viewportEnd);
+        } else if (cluster.type === 'event') {
+          // Single unclustered event
+          const event = cluster.event;
+          if (!macroVisibleEventIds.has(event.id) && getEventPriority(event) < PRIORITY_HIGH) {
+            continue;
+          }
+          const duration = event.end !== undefined ? event.end - event.start : 0n;
+          if (isVisible(event.start, duration, state.viewportStart, viewportEnd)) {
+            const bounds = drawEvent(event, state, axisY, width, currentLOD, searchResultSet, currentLaneConfig);
+            if (bounds) drawnBounds.set(event.id, bounds);
+          }
+        }
       }
-      const bounds = drawEvent(event, state, axisY, width, currentLOD, searchResultSet, currentLaneConfig);
-      if (bounds) {
-        eventsWithBounds.push({ id: event.id, label: event.label, bounds });
+      drawRelations(state, axisY, width, viewportEnd, drawnBounds, searchResultSet);
+    } else {
+      // Normal rendering: draw events and collect bounds for label collision detection
+      const eventsWithBounds = [];
+      for (const event of queryEvents(lodFilteredEvents, state.viewportStart, viewportEnd)) {
+        if (hiddenEventIds.has(event.id)) continue;
+        const bounds = drawEvent(event, state, axisY, width, currentLOD, searchResultSet, currentLaneConfig);
+        if (bounds) {
+          eventsWithBounds.push({ id: event.id, label: event.label, bounds });
+          drawnBounds.set(event.id, bounds);
+        }
       }
-    }
 
-    // Second pass: detect label collisions and render visible labels
-    // Only show labels if appropriate for current LOD
-    if (shouldShowLabels(currentLOD)) {
-      const visibleLabels = detectLabelCollisions(eventsWithBounds, ctx, secondsPerPixel);
-
-      for (const eventData of eventsWithBounds) {
-        if (visibleLabels.has(eventData.id) && eventData.label) {
-          const symbolOffset = eventData.bounds.symbolOffset || 0;
-          if (state.searchQuery) {
-            renderHighlightedLabel(
-              ctx,
-              eventData.label,
-              eventData.bounds.x,
-              eventData.bounds.y,
-              eventData.bounds.width,
-              eventData.bounds.height,
-              state.searchQuery,
-              symbolOffset,
-            );
-          } else {
-            renderLabel(
-              ctx,
-              eventData.label,
-              eventData.bounds.x,
-              eventData.bounds.y,
-              eventData.bounds.width,
-              eventData.bounds.height,
-              symbolOffset,
-            );
+      // Arrows go above the event bars but below the labels
+      drawRelations(state, axisY, width, viewportEnd, drawnBounds, searchResultSet);
+
+      // Second pass: detect label collisions and render visible labels
+      // Only show labels if appropriate for current LOD
+      if (shouldShowLabels(currentLOD)) {
+        const visibleLabels = detectLabelCollisions(eventsWithBounds, ctx, secondsPerPixel);
+
+        for (const eventData of eventsWithBounds) {
+          if (visibleLabels.has(eventData.id) && eventData.label) {
+            const symbolOffset = eventData.bounds.symbolOffset || 0;
+            if (state.searchQuery) {
+              renderHighlightedLabel(
+                ctx,
+                eventData.label,
+                eventData.bounds.x,
+                eventData.bounds.y,
+                eventData.bounds.width,
+                eventData.bounds.height,
+                state.searchQuery,
+                symbolOffset,
+              );
+            } else {
+              renderLabel(
+                ctx,
+                eventData.label,
+                eventData.bounds.x,
+                eventData.bounds.y,
+                eventData.bounds.width,
+                eventData.bounds.height,
+                symbolOffset,
+              );
+            }
           }
         }
       }
     }
-  }
 
-  drawFPS(width);
-}
+    drawGroupHeaders(axisY, width);
 
-/**
- * Draw a cluster marker with event count
- */
-function drawCluster(cluster, state, axisY, canvasWidth, viewportEnd) {
-  // Check if cluster is visible
-  if (!isVisible(cluster.minTime, cluster.maxTime - cluster.minTime, state.viewportStart, viewportEnd)) {
-    return;
+    if (state.dragPreview) {
+      drawDragPreview(state, axisY, width);
+    }
   }
 
-  const x = cluster.hitGeometry?.centerX ?? cluster.centerX;
-  if (x < 0 || x > canvasWidth) return;
+  /**
+   * Draw a header row for every swimlane group: a separator above the group's
+   * band and its name, event count and collapse state on the left, indented
+   * by nesting depth.
+   */
+  function drawGroupHeaders(axisY, canvasWidth) {
+    if (groupBands.length === 0) return;
+
+    const { laneHeight, laneSpacing } = currentLaneConfig;
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    for (const group of groupBands) {
+      const top = getLaneY(group.headerLane, axisY, currentLaneConfig);
+      const separatorY = Math.round(top - laneSpacing / 2) + 0.5;
+
+      ctx.fillStyle = GROUP_HEADER_BACKGROUND;
+      ctx.fillRect(0, top, canvasWidth, laneHeight);
+      ctx.strokeStyle = GROUP_SEPARATOR_COLOR;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(group.depth * GROUP_INDENT, separatorY);
+      ctx.lineTo(canvasWidth, separatorY);
+      ctx.stroke();
+
+      const marker = group.collapsed ? '▸' : '▾';
+      ctx.fillStyle = GROUP_HEADER_COLOR;
+      ctx.fillText(
+        `${marker} ${group.label} (${group.eventCount})`,
+        GROUP_HEADER_PADDING + group.depth * GROUP_INDENT,
+        top + laneHeight / 2,
+      );
+    }
+  }
 
-  // Position cluster at the centered lane band, not at the bottom axis
-  const laneY = getLaneY(0, axisY, currentLaneConfig);
-  const clusterY = laneY + currentLaneConfig.laneHeight / 2;
+  /**
+   * Draw arrows between related events. When only one end is drawn and the
+   * other lies outside the viewport, the arrow runs to the canvas edge at the
+   * off-screen event's lane and ends in an edge indicator.
+   */
+  function drawRelations(state, axisY, canvasWidth, viewportEnd, drawnBounds, searchResultSet) {
+    if (relationsCache.length === 0) return;
+
+    for (const { source, target } of relationsCache) {
+      const sourceBounds = drawnBounds.get(source.id);
+      const targetBounds = drawnBounds.get(target.id);
+      if (!sourceBounds && !targetBounds) continue;
+
+      let offscreenSide = null;
+      if (!sourceBounds || !targetBounds) {
+        const hidden = sourceBounds ? target : source;
+        // Collapsed groups hide the event wherever it is
+        if (hiddenEventIds.has(hidden.id)) continue;
+        const duration = hidden.end !== undefined ? hidden.end - hidden.start : 0n;
+        // In view but not drawn (e.g. filtered out by level of detail): no indicator
+        if (isVisible(hidden.start, duration, state.viewportStart, viewportEnd)) continue;
+        offscreenSide = hidden.start > viewportEnd ? 'right' : 'left';
+      }
 
-  // Cluster marker size based on count
-  const radius = cluster.hitGeometry?.radius ?? 12;
+      const isHighlighted =
+        state.hoveredEventId === source.id ||
+        state.hoveredEventId === target.id ||
+        state.selectedEventIds?.has(source.id) ||
+        state.selectedEventIds?.has(target.id);
+      const color = isHighlighted ? RELATION_HIGHLIGHT_COLOR : RELATION_COLOR;
+      const lineWidth = isHighlighted ? 2 : 1;
+      ctx.globalAlpha = Math.min(
+        getSearchAlpha(getEventSearchState(source.id, searchResultSet)),
+        getSearchAlpha(getEventSearchState(target.id, searchResultSet)),
+      );
+
+      if (!offscreenSide) {
+        const from = getEventAnchors(sourceBounds);
+        const to = getEventAnchors(targetBounds);
+        const curve = getRelationCurve({ x: from.right, y: from.y }, { x: to.left, y: to.y });
+        drawRelationCurve(ctx, curve, { color, lineWidth });
+      } else {
+        const hidden = sourceBounds ? target : source;
+        const anchors = getEventAnchors(sourceBounds ?? targetBounds);
+        const lane = laneAssignments.get(hidden.id) || 0;
+        const edge = {
+          x: offscreenSide === 'left' ? 0 : canvasWidth,
+          y: getLaneY(lane, axisY, currentLaneConfig) + currentLaneConfig.laneHeight / 2,
+        };
+        const near = { x: offscreenSide === 'left' ? anchors.left : anchors.right, y: anchors.y };
+        if (sourceBounds) {
+          drawRelationCurve(ctx, getEdgeCurve(near, edge), { color, lineWidth, arrow: false });
+        } else {
+          drawRelationCurve(ctx, getEdgeCurve(edge, near), { color, lineWidth });
+        }
+        drawEdgeIndicator(ctx, edge.x, edge.y, offscreenSide, color);
+      }
+    }
+    ctx.globalAlpha = 1.0;
+  }
 
-  // Draw cluster marker (circle)
-  ctx.fillStyle = '#4ecdc4';
-  ctx.strokeStyle = '#2a9d8f';
-  ctx.lineWidth = 2;
+  /**
+   * Draw the event being dragged at its provisional times, in its current lane
+   */
+  function drawDragPreview(state, axisY, canvasWidth) {
+    const { eventId, start, end, earliest, latest } = state.dragPreview;
+    const event = state.events.find((e) => e.id === eventId);
+    if (!event) return;
+    const ghost = { ...event, start, end, earliest, latest };
+    const ghostState = { ...state, dragPreview: null, selectedEventIds: new Set([eventId]) };
+    drawEvent(ghost, ghostState, axisY, canvasWidth, currentLOD, null, currentLaneConfig);
+  }
 
-  ctx.beginPath();
-  ctx.arc(x, clusterY, radius, 0, Math.PI * 2);
-  ctx.fill();
-  ctx.stroke();
+  /**
+   * Draw a cluster marker with event count
+   */
+  function drawCluster(cluster, state, axisY, canvasWidth, viewportEnd) {
+    // Check if cluster is visible
+    if (!isVisible(cluster.minTime, cluster.maxTime - cluster.minTime, state.viewportStart, viewportEnd)) {
+      return;
+    }
 
-  // Draw count label
-  ctx.fillStyle = '#1a1a2e';
-  ctx.font = 'bold 12px sans-serif';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(cluster.count.toString(), x, clusterY);
-}
+    const x = cluster.hitGeometry?.centerX ?? cluster.centerX;
+    if (x < 0 || x > canvasWidth) return;
+
+    // Position cluster at the centered lane band, not at the bottom axis
+    const laneY = getLaneY(0, axisY, currentLaneConfig);
+    const clusterY = laneY + currentLaneConfig.laneHeight / 2;
 
-function drawEvent(event, state, axisY, canvasWidth, lod, searchResultSet = null, laneConfig = null) {
-  const cfg = laneConfig || currentLaneConfig;
-  const eventHeight = cfg.laneHeight;
+    // Cluster marker size based on count
+    const radius = cluster.hitGeometry?.radius ?? 12;
 
-  const x = projectToScreen(event.start, state.viewportStart, state.scale);
+    // Draw cluster marker (circle)
+    ctx.fillStyle = '#4ecdc4';
+    ctx.strokeStyle = '#2a9d8f';
+    ctx.lineWidth = 2;
 
-  // Calculate actual event width
-  let eventWidth;
-  if (event.end !== undefined && event.end > event.start) {
-    const endX = projectToScreen(event.end, state.viewportStart, state.scale);
-    eventWidth = endX - x;
-  } else {
-    eventWidth = 0;
+    ctx.beginPath();
+    ctx.arc(x, clusterY, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    // Draw count label
+    ctx.fillStyle = '#1a1a2e';
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(cluster.count.toString(), x, clusterY);
   }
 
-  // Determine minimum width based on LOD
-  const minWidth = getMinEventWidth(lod);
-  const renderAsPoint = shouldRenderAsPoint(eventWidth, lod) || eventWidth === 0;
-  const displayWidth = renderAsPoint ? minWidth : Math.max(eventWidth, minWidth);
+  function drawEvent(event, state, axisY, canvasWidth, lod, searchResultSet = null, laneConfig = null) {
+    const cfg = laneConfig || currentLaneConfig;
+    const eventHeight = cfg.laneHeight;
+
+    const x = projectToScreen(event.start, state.viewportStart, state.scale);
 
-  if (x > canvasWidth || x + displayWidth < 0) return null;
+    // Calculate actual event width
+    let eventWidth;
+    if (event.end !== undefined && event.end > event.start) {
+      const endX = projectToScreen(event.end, state.viewportStart, state.scale);
+      eventWidth = endX - x;
+    } else {
+      eventWidth = 0;
+    }
 
-  const isHovered = state.hoveredEventId === event.id;
-  const isSelected = state.selectedEventIds?.has(event.id);
-  const isFocused = state.focusedEventId === event.id;
+    // Determine minimum width based on LOD
+    const minWidth = getMinEventWidth(lod);
+    const renderAsPoint = shouldRenderAsPoint(eventWidth, lod) || eventWidth === 0;
+    const displayWidth = renderAsPoint ? minWidth : Math.max(eventWidth, minWidth);
 
-  const searchState = getEventSearchState(event.id, searchResultSet);
-  const alpha = getSearchAlpha(searchState);
+    if (x > canvasWidth || x + displayWidth < 0) return null;
 
-  const fillColor = getEventFillColor(event.id, isHovered, isSelected);
-  const strokeStyle = getEventStrokeStyle(isSelected, isFocused);
+    const isHovered = state.hoveredEventId === event.id;
+    // Events highlighted by a tour step get the selection ring too
+    const isSelected = state.selectedEventIds?.has(event.id) || state.highlightedEventIds?.has(event.id);
+    const isFocused = state.focusedEventId === event.id;
 
-  // Use lane-based positioning
-  const lane = laneAssignments.get(event.id) || 0;
-  const y = getLaneY(lane, axisY, cfg);
+    const searchState = getEventSearchState(event.id, searchResultSet);
+    // The original stays faint while a drag preview shows its new position
+    const isDragSource = state.dragPreview?.eventId === event.id;
+    const alpha = getSearchAlpha(searchState) * (isDragSource ? DRAG_SOURCE_ALPHA : 1);
 
-  ctx.globalAlpha = alpha;
-  ctx.fillStyle = fillColor;
+    const fillColor = getEventFillColor(event.id, isHovered, isSelected);
+    const strokeStyle = getEventStrokeStyle(isSelected, isFocused);
 
-  if (renderAsPoint) {
-    // Render as a diamond — the standard milestone/instant symbol in Gantt charts.
-    // Diamond is maximally distinct from rectangular range bars and readable at 6-8px.
-    const pointSize = minWidth;
-    const cx = x;
-    const cy = y + eventHeight / 2;
-    const half = pointSize / 2;
+    // Use lane-based positioning
+    const lane = laneAssignments.get(event.id) || 0;
+    const y = getLaneY(lane, axisY, cfg);
+
+    ctx.globalAlpha = alpha;
+    if (event.earliest !== undefined || event.latest !== undefined) {
+      const coreEnd = renderAsPoint ? x : x + displayWidth;
+      const bandY = renderAsPoint ? y + (eventHeight - minWidth) / 2 : y;
+      const bandHeight = renderAsPoint ? minWidth : eventHeight;
+      drawFuzzyEdges(event, state, x, coreEnd, bandY, bandHeight, fillColor, canvasWidth);
+    }
+    ctx.fillStyle = fillColor;
 
-    ctx.beginPath();
-    ctx.moveTo(cx, cy - half); // top
-    ctx.lineTo(cx + half, cy); // right
-    ctx.lineTo(cx, cy + half); // bottom
-    ctx.lineTo(cx - half, cy); // left
-    ctx.closePath();
-    ctx.fill();
+    if (renderAsPoint) {
+      // Render as a diamond — the standard milestone/instant symbol in Gantt charts.
+      // Diamond is maximally distinct from rectangular range bars and readable at 6-8px.
+      const pointSize = minWidth;
+      const cx = x;
+      const cy = y + eventHeight / 2;
+      const half = pointSize / 2;
 
-    ctx.strokeStyle = strokeStyle.color;
-    ctx.lineWidth = strokeStyle.lineWidth;
-    if (isSelected) {
-      const s = half + 1;
       ctx.beginPath();
-      ctx.moveTo(cx, cy - s);
-      ctx.lineTo(cx + s, cy);
-      ctx.lineTo(cx, cy + s);
-      ctx.lineTo(cx - s, cy);
+      ctx.moveTo(cx, cy - half); // top
+      ctx.lineTo(cx + half, cy); // right
+      ctx.lineTo(cx, cy + half); // bottom
+      ctx.lineTo(cx - half, cy); // left
       ctx.closePath();
-    }
-    ctx.stroke();
-  } else {
-    // Render as a duration bar
-    ctx.fillRect(x, y, displayWidth, eventHeight);
-
-    ctx.strokeStyle = strokeStyle.color;
-    ctx.lineWidth = strokeStyle.lineWidth;
-    if (isSelected) {
-      ctx.strokeRect(x - 1, y - 1, displayWidth + 2, eventHeight + 2);
+      ctx.fill();
+
+      ctx.strokeStyle = strokeStyle.color;
+      ctx.lineWidth = strokeStyle.lineWidth;
+      if (isSelected) {
+        const s = half + 1;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy - s);
+        ctx.lineTo(cx + s, cy);
+        ctx.lineTo(cx, cy + s);
+        ctx.lineTo(cx - s, cy);
+        ctx.closePath();
+      }
+      ctx.stroke();
     } else {
-      ctx.strokeRect(x, y, displayWidth, eventHeight);
+      // Render as a duration bar
+      ctx.fillRect(x, y, displayWidth, eventHeight);
+
+      ctx.strokeStyle = strokeStyle.color;
+      ctx.lineWidth = strokeStyle.lineWidth;
+      if (isSelected) {
+        ctx.strokeRect(x - 1, y - 1, displayWidth + 2, eventHeight + 2);
+      } else {
+        ctx.strokeRect(x, y, displayWidth, eventHeight);
+      }
+
+      // Draw shape indicator for color-independent category encoding (WCAG 1.4.1)
+      drawEventShapeIndicator(ctx, event, x, y, displayWidth, eventHeight, alpha);
+    }
+
+    ctx.globalAlpha = 1.0;
+
+    // Calculate label x offset to avoid overlapping the shape indicator
+    const symbolOffset = renderAsPoint ? 0 : getShapeIndicatorLabelOffset(displayWidth, eventHeight);
+
+    // Return bounds for label collision detection (includes symbolOffset for text positioning)
+    return { x, y, width: displayWidth, height: eventHeight, symbolOffset, isPoint: renderAsPoint };
+  }
+
+  /**
+   * Draw an event's uncertainty window as bands that fade out from the event
+   * towards `earliest` and `latest`.
+   */
+  function drawFuzzyEdges(event, state, coreStart, coreEnd, y, height, color, canvasWidth) {
+    const solid = withAlpha(color, FUZZY_EDGE_ALPHA);
+    const clear = withAlpha(color, 0);
+    const band = (from, to) => {
+      if (!Number.isFinite(to) || Math.abs(to - from) < 1) return;
+      const gradient = ctx.createLinearGradient(from, 0, to, 0);
+      gradient.addColorStop(0, solid);
+      gradient.addColorStop(1, clear);
+      ctx.fillStyle = gradient;
+      // Clip far-off edges to the canvas; the gradient keeps its true extent
+      const left = Math.max(Math.min(from, to), -1);
+      const right = Math.min(Math.max(from, to), canvasWidth + 1);
+      if (right > left) ctx.fillRect(left, y, right - left, height);
+    };
+    if (event.earliest !== undefined && event.earliest < event.start) {
+      band(coreStart, projectToScreen(event.earliest, state.viewportStart, state.scale));
+    }
+    const end = event.end ?? event.start;
+    if (event.latest !== undefined && event.latest > end) {
+      band(coreEnd, projectToScreen(event.latest, state.viewportStart, state.scale));
+    }
+  }
+
+  function updateFPS(now) {
+    frameCount++;
+    const elapsed = now - fpsUpdateTime;
+    if (elapsed >= 500) {
+      fps = Math.round((frameCount * 1000) / elapsed);
+      frameCount = 0;
+      fpsUpdateTime = now;
     }
+    _lastFrameTime = now;
+  }
 
-    // Draw shape indicator for color-independent category encoding (WCAG 1.4.1)
-    drawEventShapeIndicator(ctx, event, x, y, displayWidth, eventHeight, alpha);
+  function drawFPS(_canvasWidth) {
+    const text = `${fps} FPS`;
+    ctx.font = '12px monospace';
+    ctx.fillStyle = fps >= 55 ? '#4ecdc4' : fps >= 30 ? '#ffeaa7' : '#ff6b6b';
+    ctx.textAlign = 'left';
+    ctx.fillText(text, 10, 20);
   }
 
-  ctx.globalAlpha = 1.0;
+  return {
+    init,
+    destroy,
+    draw,
+    getSpatialHash,
+    getLaneAssignments,
+    getLaneCount,
+    getGroupBands,
+    getHiddenEventIds,
+    getClusters,
+    getCurrentLaneConfig,
+    renderSnapshot,
+    getSnapshotSize,
+  };
+}
+
+// Default instance backing the module-level API used by the standalone app
+const defaultRenderer = createRenderer();
+
+export function init(canvasElement, dispatch) {
+  return defaultRenderer.init(canvasElement, dispatch);
+}
+
+export function destroy() {
+  defaultRenderer.destroy();
+}
 
-  // Calculate label x offset to avoid overlapping the shape indicator
-  const symbolOffset = renderAsPoint ? 0 : getShapeIndicatorLabelOffset(displayWidth, eventHeight);
+export function draw(state) {
+  defaultRenderer.draw(state);
+}
 
-  // Return bounds for label collision detection (includes symbolOffset for text positioning)
-  return { x, y, width: displayWidth, height: eventHeight, symbolOffset };
+export function getSpatialHash() {
+  return defaultRenderer.getSpatialHash();
+}
+
+export function getLaneAssignments() {
+  return defaultRenderer.getLaneAssignments();
+}
+
+export function getLaneCount() {
+  return defaultRenderer.getLaneCount();
+}
+
+export function getGroupBands() {
+  return defaultRenderer.getGroupBands();
+}
+
+export function getHiddenEventIds() {
+  return defaultRenderer.getHiddenEventIds();
+}
+
+export function getClusters() {
+  return defaultRenderer.getClusters();
+}
+
+export function getCurrentLaneConfig() {
+  return defaultRenderer.getCurrentLaneConfig();
 }
 
 export function hashCode(str) {
@@ -551,6 +996,22 @@ export function getEventColor(eventId) {
   return EVENT_COLORS[colorIndex];
 }
 
+/**
+ * Ids of the events drawn at full opacity: those passing the active filters,
+ * narrowed to the highlighted ones while a tour step highlights events.
+ *
+ * @param {{ activeFilterIds: string[]|null, highlightedEventIds: Set<string>|null }} state
+ * @returns {Set<string>|null} Null when every event is shown normally
+ */
+export function getEmphasizedEventIds(state) {
+  const { activeFilterIds, highlightedEventIds } = state;
+  if (!highlightedEventIds) {
+    return activeFilterIds ? new Set(activeFilterIds) : null;
+  }
+  if (!activeFilterIds) return highlightedEventIds;
+  return new Set(activeFilterIds.filter((id) => highlightedEventIds.has(id)));
+}
+
 export function getEventFillColor(eventId, isHovered, _isSelected) {
   const baseColor = getEventColor(eventId);
   if (isHovered) {
@@ -571,65 +1032,116 @@ export function getEventStrokeStyle(isSelected, isFocused) {
   return { color: 'rgba(255, 255, 255, 0.3)', lineWidth: 1 };
 }
 
+/**
+ * Events overlapping the viewport, via the events' interval tree
+ * (built once per events array).
+ *
+ * @param {Array} events
+ * @param {bigint} viewportStart
+ * @param {bigint} viewportEnd
+ * @returns {Array} - Visible events in start order
+ */
 export function cullEvents(events, viewportStart, viewportEnd) {
-  const visible = [];
-  for (const event of events) {
-    const duration = event.end !== undefined ? event.end - event.start : 0n;
-    if (isVisible(event.start, duration, viewportStart, viewportEnd)) {
-      visible.push(event);
-    }
-  }
-  return visible;
+  return queryEvents(events, viewportStart, viewportEnd);
 }
 
-function updateFPS(now) {
-  frameCount++;
-  const elapsed = now - fpsUpdateTime;
-  if (elapsed >= 500) {
-    fps = Math.round((frameCount * 1000) / elapsed);
-    frameCount = 0;
-    fpsUpdateTime = now;
+// Grid steps from finest to coarsest. Up to millennia, ticks fall on civil
+// boundaries (midnights, Mondays, month and quarter starts, years divisible by
+// the count); deep time steps are multiples from the epoch.
+const GRID_STEPS = [
+  ['ns', NANOSECOND, [1, 2, 5, 10, 20, 50, 100, 200, 500]],
+  ['µs', MICROSECOND, [1, 2, 5, 10, 20, 50, 100, 200, 500]],
+  ['ms', MILLISECOND, [1, 2, 5, 10, 20, 50, 100, 200, 500]],
+  ['s', SECOND, [1, 5, 15, 30]],
+  ['min', MINUTE, [1, 5, 15, 30]],
+  ['h', HOUR, [1, 3, 6, 12]],
+  ['d', DAY, [1, 2]],
+  ['w', WEEK, [1]],
+  ['mo', YEAR / 12n, [1, 3, 6]],
+  ['y', YEAR, [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000]],
+  ['ky', YEAR * 1000n, [10, 20, 50, 100, 200, 500]],
+  ['Ma', MILLION_YEARS, [1, 2, 5, 10, 20, 50, 100, 200, 500]],
+  ['Ga', BILLION_YEARS, [1, 2, 5, 10, 20]],
+].flatMap(([unit, seconds, counts]) =>
+  counts.map((count) => ({ interval: seconds * BigInt(count), unit, multiplier: BigInt(count) })),
+);
+
+// Smallest gap between grid lines, in pixels
+const MIN_GRID_SPACING = 60;
+// ISO weeks start on Monday; 1970-01-05 was the first one after the epoch
+const FIRST_MONDAY = 4n * DAY;
+
+/**
+ * Grid step at a zoom level: the finest step whose lines are at least
+ * `minPixelSpacing` apart. For months and years, `interval` is the nominal
+ * length; the lines themselves follow the calendar.
+ *
+ * @param {number} secondsPerPixel
+ * @param {number} [minPixelSpacing]
+ * @returns {{ interval: bigint, unit: string, multiplier: bigint }}
+ */
+export function getGridInterval(secondsPerPixel, minPixelSpacing = MIN_GRID_SPACING) {
+  const step = GRID_STEPS.find(({ interval }) => toSeconds(interval) / secondsPerPixel >= minPixelSpacing);
+  return step ?? GRID_STEPS[GRID_STEPS.length - 1];
+}
+
+function floorDiv(a, b) {
+  const q = a / b;
+  return a % b !== 0n && a < 0n ? q - 1n : q;
+}
+
+function floorToMultiple(value, count) {
+  return value - (((value % count) + count) % count);
+}
+
+// Grid years are round in the calendar shown: BCE years count back from 1 BCE
+// (astronomical year 0), so decades fall on 10 BCE, 20 BCE… rather than 11 BCE
+function floorToGridYear(year, count, calendar) {
+  const tick = floorToMultiple(year, count);
+  if (calendar === 'holocene' || tick >= 1) return tick;
+  return 1 + floorToMultiple(Math.min(year, 0) - 1, count);
+}
+
+/**
+ * Latest grid line at or before a time.
+ *
+ * @param {bigint} time
+ * @param {{ interval: bigint, unit: string, multiplier: bigint }} grid - From getGridInterval
+ * @param {string} [calendar]
+ * @returns {bigint}
+ */
+export function floorToGridLine(time, grid, calendar) {
+  if (grid.unit === 'mo') {
+    const { year, month } = civilFromTime(time);
+    return timeFromCivil(year, floorToMultiple(month, Number(grid.multiplier)));
+  }
+  if (grid.unit === 'y') {
+    return timeFromCivil(floorToGridYear(civilFromTime(time).year, Number(grid.multiplier), calendar), 0);
   }
-  _lastFrameTime = now;
+  const origin = grid.unit === 'w' ? FIRST_MONDAY : 0n;
+  return floorDiv(time - origin, grid.interval) * grid.interval + origin;
 }
 
-function drawFPS(_canvasWidth) {
-  const text = `${fps} FPS`;
-  ctx.font = '12px monospace';
-  ctx.fillStyle = fps >= 55 ? '#4ecdc4' : fps >= 30 ? '#ffeaa7' : '#ff6b6b';
-  ctx.textAlign = 'left';
-  ctx.fillText(text, 10, 20);
-}
-
-const TIME_INTERVALS = [
-  { value: 1n, label: 's', threshold: 60 },
-  { value: 60n, label: 'min', threshold: 3600 },
-  { value: 3600n, label: 'h', threshold: 86400 },
-  { value: 86400n, label: 'd', threshold: 86400 * 30 },
-  { value: YEAR, label: 'y', threshold: Number(YEAR) * 100 },
-  { value: YEAR * 100n, label: 'y', threshold: Number(YEAR) * 1000 },
-  { value: YEAR * 1000n, label: 'ky', threshold: Number(YEAR) * 1000000 },
-  { value: MILLION_YEARS, label: 'Ma', threshold: Number(MILLION_YEARS) * 1000 },
-  { value: BILLION_YEARS, label: 'Ga', threshold: Infinity },
-];
-
-export function getGridInterval(secondsPerPixel, targetPixelSpacing = 100) {
-  const targetSeconds = secondsPerPixel * targetPixelSpacing;
-
-  for (const interval of TIME_INTERVALS) {
-    if (targetSeconds < interval.threshold) {
-      const multipliers = [1n, 2n, 5n, 10n, 20n, 50n, 100n];
-      for (const mult of multipliers) {
-        const candidate = interval.value * mult;
-        const pixels = Number(candidate) / secondsPerPixel;
-        if (pixels >= targetPixelSpacing * 0.5 && pixels <= targetPixelSpacing * 2) {
-          return { interval: candidate, unit: interval.label, multiplier: mult };
-        }
-      }
-      return { interval: interval.value, unit: interval.label, multiplier: 1n };
-    }
+/**
+ * Grid line following one returned by floorToGridLine.
+ *
+ * @param {bigint} gridTime
+ * @param {{ interval: bigint, unit: string, multiplier: bigint }} grid
+ * @param {string} [calendar]
+ * @returns {bigint}
+ */
+export function nextGridLine(gridTime, grid, calendar) {
+  if (grid.unit === 'mo') {
+    const { year, month } = civilFromTime(gridTime);
+    return timeFromCivil(year, month + Number(grid.multiplier));
+  }
+  if (grid.unit === 'y') {
+    const count = Number(grid.multiplier);
+    const next = civilFromTime(gridTime).year + count;
+    // The first round year after the last round BCE one
+    return timeFromCivil(calendar !== 'holocene' && next > 0 && next < count ? count : next, 0);
   }
-  return { interval: BILLION_YEARS, unit: 'Ga', multiplier: 1n };
+  return gridTime + grid.interval;
 }
 
 const MONTH_ABBREVS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
@@ -693,13 +1205,13 @@ export function formatTime(timeValue, unit, interval, calendar) {
     return `${kyInt} ky`;
   }
 
-  const secondsFromEpoch = Number(timeValue);
-  if (!Number.isFinite(secondsFromEpoch) || Math.abs(secondsFromEpoch) > 8.64e15 / 1000) {
+  const ms = toMilliseconds(timeValue);
+  if (!Number.isFinite(ms) || Math.abs(ms) > 8.64e15) {
     const years = timeValue / YEAR;
     return `${Number(years)} y`;
   }
 
-  const date = new Date(secondsFromEpoch * 1000);
+  const date = new Date(ms);
   const month = MONTH_ABBREVS[date.getUTCMonth()];
 
   if (unit === 'y') {
@@ -767,45 +1279,152 @@ export function formatTime(timeValue, unit, interval, calendar) {
   return date.toISOString().substring(0, 19);
 }
 
-function drawGridAndLabels(state, width, height, axisY) {
-  const secondsPerPixel = state.scale.getSecondsPerPixel();
-  const { interval, unit } = getGridInterval(secondsPerPixel);
-  const viewportEnd = state.viewportStart + state.scale.pxToTime(width);
+/**
+ * Label for an age in years before present: "500 yr", "10 ka", "2.5 Ma", "1 Ga".
+ * @param {number} years
+ * @returns {string}
+ */
+export function formatAge(years) {
+  const units = [
+    { value: 1e9, label: 'Ga' },
+    { value: 1e6, label: 'Ma' },
+    { value: 1e3, label: 'ka' },
+  ];
+  for (const { value, label } of units) {
+    if (years >= value) {
+      return `${Number((years / value).toPrecision(6))} ${label}`;
+    }
+  }
+  return `${Number(years.toPrecision(6))} yr`;
+}
 
-  const firstGridTime = (state.viewportStart / interval) * interval;
-  const startGrid = firstGridTime < state.viewportStart ? firstGridTime + interval : firstGridTime;
+// Pixels per decade above which the 2×–9× ticks between decades are drawn, and
+// above which they are labelled too (9 ka to 10 ka is only 1/22 of a decade)
+const LOG_MINOR_TICK_MIN_PPD = 200;
+const LOG_MINOR_LABEL_MIN_PPD = 1500;
 
-  ctx.strokeStyle = 'rgba(100, 100, 140, 0.3)';
-  ctx.lineWidth = 1;
-  ctx.font = '11px sans-serif';
-  ctx.fillStyle = '#8888aa';
-  ctx.textAlign = 'center';
+/**
+ * Ticks for a log axis: one at every power of ten years before present
+ * (1 ka, 10 ka, 100 ka, 1 Ma…) and, once decades are wide enough, at the
+ * 2×–9× multiples between them. Sorted left to right.
+ */
+export function getLogGridTicks(viewportStart, scale, width) {
+  const yearLog = Math.log10(Number(YEAR));
+  const oldest = Math.ceil(scale.logAge(viewportStart) - yearLog);
+  const newest = Math.max(0, Math.floor(scale.logAge(screenToTime(width, viewportStart, scale)) - yearLog));
+  const multiples = scale.pixelsPerDecade >= LOG_MINOR_TICK_MIN_PPD ? [9, 8, 7, 6, 5, 4, 3, 2, 1] : [1];
+  const labelMinor = scale.pixelsPerDecade >= LOG_MINOR_LABEL_MIN_PPD;
 
-  // Minimum horizontal gap between label centers (in pixels) to avoid overlap
-  const LABEL_MIN_GAP = 4;
+  const ticks = [];
+  for (let exponent = oldest; exponent >= newest; exponent--) {
+    for (const multiple of multiples) {
+      const years = multiple * 10 ** exponent;
+      const x = projectToScreen(scale.present - BigInt(years) * YEAR, viewportStart, scale);
+      if (x >= -1 && x <= width + 1) {
+        const major = multiple === 1;
+        ticks.push({ x, label: major || labelMinor ? formatAge(years) : '', major });
+      }
+    }
+  }
+  return ticks;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * Label for a grid line and the wider span it falls in, shown in a second row
+ * ("Mar" in "2024", "14:00" on "Mar 5, 2024", "250 ms" into "Mar 5, 2024
+ * 14:00:00"). Years and deep time have no second row.
+ *
+ * @param {bigint} time
+ * @param {{ interval: bigint, unit: string, multiplier: bigint }} grid - From getGridInterval
+ * @param {string} [calendar]
+ * @returns {{ label: string, context: string|null }}
+ */
+export function formatGridLabel(time, grid, calendar) {
+  const { unit } = grid;
+  if (unit === 'ky' || unit === 'Ma' || unit === 'Ga') {
+    return { label: formatTime(time, unit, grid.interval, calendar), context: null };
+  }
+
+  const { year, month, day } = civilFromTime(time);
+  const yearLabel = toDisplayYear(year, calendar);
+  if (unit === 'y') return { label: yearLabel, context: null };
+  if (unit === 'mo') {
+    const label = grid.multiplier === 3n ? `Q${month / 3 + 1}` : MONTH_ABBREVS[month];
+    return { label, context: yearLabel };
+  }
+  if (unit === 'w') {
+    const { year: weekYear, week } = isoWeekOf(time);
+    return { label: `W${week}`, context: toDisplayYear(weekYear, calendar) };
+  }
+  if (unit === 'd') return { label: String(day), context: `${MONTH_ABBREVS[month]} ${yearLabel}` };
+
+  const secondOfDay = Number((((time % DAY) + DAY) % DAY) / SECOND);
+  const clock = `${pad2(Math.floor(secondOfDay / 3600))}:${pad2(Math.floor(secondOfDay / 60) % 60)}`;
+  const date = `${MONTH_ABBREVS[month]} ${day}, ${yearLabel}`;
+  if (unit === 'min' || unit === 'h') return { label: clock, context: date };
+  const clockSeconds = `${clock}:${pad2(secondOfDay % 60)}`;
+  if (unit === 's') return { label: clockSeconds, context: date };
+
+  // Below a second, lines show how far into the second they are ("12.345 ms"),
+  // or into the millisecond for nanosecond steps
+  const intoSecond = ((time % SECOND) + SECOND) % SECOND;
+  const offset = unit === 'ns' && intoSecond % MILLISECOND !== 0n ? intoSecond % MILLISECOND : intoSecond;
+  return { label: offset === 0n ? clockSeconds : formatDuration(offset), context: `${date} ${clockSeconds}` };
+}
+
+// Grid lines in view, each with its label and, on the first line and wherever
+// the wider span changes, a context label
+function getLinearGridTicks(state, width) {
+  const grid = getGridInterval(state.scale.getSecondsPerPixel());
+  const viewportEnd = screenToTime(width, state.viewportStart, state.scale);
+
+  let gridTime = floorToGridLine(state.viewportStart, grid, state.calendar);
+  if (gridTime < state.viewportStart) gridTime = nextGridLine(gridTime, grid, state.calendar);
 
-  let gridTime = startGrid;
   let gridCount = 0;
   const maxGridLines = 200;
+  let lastContext = null;
 
-  // Track the right edge of the last drawn label so we can skip overlapping ones
-  let lastLabelRightEdge = -Infinity;
-
-  // First pass: collect all tick positions and labels
   const ticks = [];
   while (gridTime <= viewportEnd && gridCount < maxGridLines) {
     const x = projectToScreen(gridTime, state.viewportStart, state.scale);
     if (x >= -1 && x <= width + 1) {
-      const label = formatTime(gridTime, unit, interval, state.calendar);
-      ticks.push({ x, gridTime, label });
+      const { label, context } = formatGridLabel(gridTime, grid, state.calendar);
+      ticks.push({ x, gridTime, label, context: context !== lastContext ? context : null, major: true });
+      lastContext = context;
     }
-    gridTime = gridTime + interval;
+    gridTime = nextGridLine(gridTime, grid, state.calendar);
     gridCount++;
   }
+  return ticks;
+}
+
+function drawGridAndLabels(ctx, state, width, height, axisY) {
+  ctx.strokeStyle = 'rgba(100, 100, 140, 0.3)';
+  ctx.lineWidth = 1;
+  ctx.font = '11px sans-serif';
+  ctx.fillStyle = '#8888aa';
+  ctx.textAlign = 'center';
+
+  // Minimum horizontal gap between label centers (in pixels) to avoid overlap
+  const LABEL_MIN_GAP = 4;
+
+  // Track the right edge of the last drawn label in each row so we can skip overlapping ones
+  let lastLabelRightEdge = -Infinity;
+  let lastContextRightEdge = -Infinity;
+
+  // First pass: collect all tick positions and labels
+  const ticks = state.scale.logarithmic
+    ? getLogGridTicks(state.viewportStart, state.scale, width)
+    : getLinearGridTicks(state, width);
 
   // Draw grid lines for all ticks (always draw lines, only skip labels when crowded)
   for (const tick of ticks) {
-    ctx.strokeStyle = 'rgba(100, 100, 140, 0.3)';
+    ctx.strokeStyle = tick.major ? 'rgba(100, 100, 140, 0.3)' : 'rgba(100, 100, 140, 0.15)';
     ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.moveTo(tick.x, 0);
@@ -818,6 +1437,7 @@ function drawGridAndLabels(state, width, height, axisY) {
   ctx.fillStyle = '#8888aa';
   ctx.textAlign = 'center';
   for (const tick of ticks) {
+    if (!tick.label) continue;
     const measured = ctx.measureText ? ctx.measureText(tick.label) : { width: 0 };
     const labelWidth = measured.width;
     const labelLeft = tick.x - labelWidth / 2 - LABEL_MIN_GAP;
@@ -827,4 +1447,48 @@ function drawGridAndLabels(state, width, height, axisY) {
       lastLabelRightEdge = tick.x + labelWidth / 2 + LABEL_MIN_GAP;
     }
   }
+
+  // Context row below: kept inside the canvas so the first one stays readable
+  for (const tick of ticks) {
+    if (!tick.context) continue;
+    const contextWidth = ctx.measureText ? ctx.measureText(tick.context).width : 0;
+    const x = Math.max(tick.x, contextWidth / 2 + LABEL_MIN_GAP);
+    if (x - contextWidth / 2 - LABEL_MIN_GAP >= lastContextRightEdge) {
+      ctx.fillText(tick.context, x, axisY + 44);
+      lastContextRightEdge = x + contextWidth / 2 + LABEL_MIN_GAP;
+    }
+  }
+}
+
+/**
+ * Draw the category shape legend for the events in the viewport in a band
+ * below the timeline (used by image snapshots).
+ */
+function drawLegend(ctx, state, width, height) {
+  const viewportEnd = screenToTime(width, state.viewportStart, state.scale);
+  const entries = getShapeLegend(cullEvents(state.events, state.viewportStart, viewportEnd));
+  const centerY = height + SNAPSHOT_LEGEND_HEIGHT / 2;
+
+  ctx.fillStyle = '#1a1a2e';
+  ctx.fillRect(0, height, width, SNAPSHOT_LEGEND_HEIGHT);
+  ctx.strokeStyle = '#4a4a6a';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(0, height + 0.5);
+  ctx.lineTo(width, height + 0.5);
+  ctx.stroke();
+
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  let x = 10;
+  for (const entry of entries) {
+    const labelWidth = ctx.measureText(entry.category).width;
+    // Drop entries that would run past the right edge
+    if (x + 16 + labelWidth > width) break;
+    drawShape(ctx, entry.shape, x + 5, centerY, 5, '#e0e0e0');
+    ctx.fillStyle = '#c0c0d0';
+    ctx.fillText(entry.category, x + 14, centerY);
+    x += 14 + labelWidth + 16;
+  }
 }
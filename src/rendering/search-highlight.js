@@ -6,35 +6,105 @@
  * in label-collision.js, adding an optional highlightQuery parameter.
  */
 
+import { getFreeTextTerms } from '../core/query-parser.js';
+import { foldText, fuzzyEdits, maxEdits, WORD_PATTERN } from '../core/tokenizer.js';
+
 const LABEL_PADDING = 4;
 const HIGHLIGHT_COLOR = 'rgba(255, 230, 0, 0.6)';
+// ASCII text folds to its lowercase form, so offsets need no mapping
+const NON_ASCII = /[\u0080-\uffff]/;
+const SINGLE_WORD = /^[\p{L}\p{N}]+$/u;
+
+// Labels are highlighted for the same query many times per frame
+let lastQuery = null;
+let lastTerms = [];
+
+function getHighlightTerms(query) {
+  if (query !== lastQuery) {
+    lastQuery = query;
+    lastTerms = getFreeTextTerms(query)
+      .map(foldText)
+      .filter((term) => term !== '');
+  }
+  return lastTerms;
+}
 
 /**
- * Find all match positions of a query within text (case-insensitive).
- * Uses plain string search so special characters are matched literally.
+ * Find all match positions of a query's free-text words and phrases within
+ * text (case- and diacritic-insensitive, so "nazca" highlights "Nāzca").
+ * Field filters such as `category:` and excluded `-terms` are not highlighted.
+ * Uses plain string search so special characters are matched literally; a
+ * word that does not occur is highlighted where the text has it with a typo
+ * (see maxEdits() in tokenizer.js).
  *
  * @param {string} text - Text to search within
  * @param {string} query - Search query
- * @returns {Array<{start: number, end: number}>} Match positions
+ * @returns {Array<{start: number, end: number}>} Match positions in the original text, in order
  */
 export function getMatchSpans(text, query) {
   if (!text || !query || query.trim() === '') return [];
 
-  const lowerText = text.toLowerCase();
-  const lowerQuery = query.toLowerCase();
-  const spans = [];
-  let idx = 0;
-
-  while (idx < lowerText.length) {
-    const matchIdx = lowerText.indexOf(lowerQuery, idx);
-    if (matchIdx === -1) break;
-    spans.push({ start: matchIdx, end: matchIdx + lowerQuery.length });
-    idx = matchIdx + lowerQuery.length;
+  const terms = getHighlightTerms(query);
+  if (terms.length === 0) return [];
+  const folded = NON_ASCII.test(text) ? foldWithOffsets(text) : { text: text.toLowerCase(), start: null, end: null };
+
+  const matches = [];
+  for (const term of terms) {
+    const found = matches.length;
+    let idx = 0;
+    while (idx < folded.text.length) {
+      const matchIdx = folded.text.indexOf(term, idx);
+      if (matchIdx === -1) break;
+      matches.push({ start: matchIdx, end: matchIdx + term.length });
+      idx = matchIdx + term.length;
+    }
+    if (matches.length === found && maxEdits(term) > 0 && SINGLE_WORD.test(term)) {
+      for (const word of folded.text.matchAll(WORD_PATTERN)) {
+        if (fuzzyEdits(term, word[0]) !== null) {
+          matches.push({ start: word.index, end: word.index + word[0].length });
+        }
+      }
+    }
   }
 
+  // Merge overlapping matches of different terms, then map back to the original text
+  matches.sort((a, b) => a.start - b.start);
+  const spans = [];
+  for (const match of matches) {
+    const last = spans[spans.length - 1];
+    if (last && match.start < last.end) {
+      last.end = Math.max(last.end, match.end);
+    } else {
+      spans.push({ ...match });
+    }
+  }
+  if (folded.start) {
+    for (const span of spans) {
+      span.end = folded.end[span.end - 1];
+      span.start = folded.start[span.start];
+    }
+  }
   return spans;
 }
 
+// Fold one character at a time, recording the source range of each folded character
+function foldWithOffsets(text) {
+  let folded = '';
+  const start = [];
+  const end = [];
+  let offset = 0;
+  for (const char of text) {
+    const part = foldText(char);
+    folded += part;
+    for (let i = 0; i < part.length; i++) {
+      start.push(offset);
+      end.push(offset + char.length);
+    }
+    offset += char.length;
+  }
+  return { text: folded, start, end };
+}
+
 /**
  * Determine the search state of an event.
  *
@@ -0,0 +1,93 @@
+/**
+ * Image snapshots of the current viewport.
+ *
+ * PNG snapshots re-render the viewport into an offscreen canvas at a chosen
+ * resolution; SVG snapshots replay the same draw calls into a recording
+ * context. Both include the axis and a category shape legend.
+ */
+
+import { createSvgContext } from './svg-context.js';
+
+export const SNAPSHOT_FORMATS = {
+  png: { label: 'PNG', extension: 'png', mimeType: 'image/png' },
+  svg: { label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' },
+};
+
+export const SNAPSHOT_SCALES = [1, 2, 4];
+
+// Largest canvas side browsers reliably allocate
+const MAX_CANVAS_SIDE = 16384;
+
+/**
+ * Clamp a resolution multiplier so neither side of the image exceeds the canvas limit.
+ *
+ * @param {{ width: number, height: number }} size - Logical snapshot size
+ * @param {number} scale - Requested multiplier
+ * @returns {number}
+ */
+export function clampSnapshotScale(size, scale) {
+  const largest = Math.max(size.width, size.height, 1);
+  return Math.min(scale, MAX_CANVAS_SIDE / largest);
+}
+
+function createOffscreenCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToPng(canvas) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type: SNAPSHOT_FORMATS.png.mimeType });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Nayra: could not encode the snapshot as PNG'));
+    }, SNAPSHOT_FORMATS.png.mimeType);
+  });
+}
+
+// A detached canvas gives the SVG snapshot the same text metrics as the screen
+function createMeasureContext() {
+  if (typeof document === 'undefined') return null;
+  const ctx = document.createElement('canvas').getContext('2d');
+  return typeof ctx?.measureText === 'function' ? ctx : null;
+}
+
+/**
+ * Render the viewport to a PNG at a multiple of its logical size.
+ *
+ * @param {Object} renderer - Renderer instance from createRenderer()
+ * @param {Object} state - Store state
+ * @param {{ scale?: number }} [options] - Resolution multiplier, e.g. 2 or 4
+ * @returns {Promise<Blob>}
+ */
+export function renderPngSnapshot(renderer, state, { scale = 2 } = {}) {
+  const size = renderer.getSnapshotSize();
+  const factor = clampSnapshotScale(size, scale);
+  const canvas = createOffscreenCanvas(Math.round(size.width * factor), Math.round(size.height * factor));
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(factor, 0, 0, factor, 0, 0);
+  renderer.renderSnapshot(ctx, state);
+  return canvasToPng(canvas);
+}
+
+/**
+ * Render the viewport as a standalone SVG document.
+ *
+ * @param {Object} renderer - Renderer instance from createRenderer()
+ * @param {Object} state - Store state
+ * @param {{ measureContext?: CanvasRenderingContext2D }} [options] - Context used for text metrics
+ * @returns {string}
+ */
+export function renderSvgSnapshot(renderer, state, { measureContext = createMeasureContext() } = {}) {
+  const { width, height } = renderer.getSnapshotSize();
+  const ctx = createSvgContext(width, height, { measureContext });
+  renderer.renderSnapshot(ctx, state);
+  return ctx.toSvg();
+}
@@ -0,0 +1,245 @@
+/**
+ * SVG recording context.
+ *
+ * Implements the subset of CanvasRenderingContext2D the renderer uses and
+ * records every draw call as an SVG element, so a vector snapshot is produced
+ * by exactly the same drawing code as the canvas.
+ */
+
+const DEFAULT_FONT = '10px sans-serif';
+// Average glyph width relative to the font size, used when no measuring context is available
+const APPROX_CHAR_WIDTH = 0.6;
+
+const TEXT_ANCHORS = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const TEXT_BASELINES = {
+  top: 'text-before-edge',
+  hanging: 'hanging',
+  middle: 'central',
+  alphabetic: 'alphabetic',
+  ideographic: 'ideographic',
+  bottom: 'text-after-edge',
+};
+
+/**
+ * Escape text for use in SVG content and attribute values.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+function num(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+function fontSize(font) {
+  const match = /(\d+(?:\.\d+)?)px/.exec(font);
+  return match ? Number(match[1]) : 10;
+}
+
+/**
+ * Create a context that records canvas drawing calls as SVG.
+ *
+ * @param {number} width - Document width in pixels
+ * @param {number} height - Document height in pixels
+ * @param {Object} [options]
+ * @param {CanvasRenderingContext2D} [options.measureContext] - Real 2D context used for text metrics
+ *   (falls back to an approximation from the font size)
+ * @returns {Object} Canvas-like context with a toSvg() method
+ */
+export function createSvgContext(width, height, { measureContext = null } = {}) {
+  const elements = [];
+  const defs = [];
+  const stack = [];
+  let path = '';
+  // Groups opened by clip() since the last save(), closed again by restore()
+  let openGroups = 0;
+
+  // Fill and stroke styles are strings or gradients from createLinearGradient()
+  function paintServer(style) {
+    return typeof style === 'object' && style !== null ? style.toUrl() : escapeXml(style);
+  }
+
+  function createLinearGradient(x0, y0, x1, y1) {
+    const stops = [];
+    let id = null;
+    return {
+      addColorStop(offset, color) {
+        stops.push(`<stop offset="${num(offset)}" stop-color="${escapeXml(color)}"/>`);
+      },
+      // Written to defs on first use, with the stops added by then
+      toUrl() {
+        if (id === null) {
+          id = `gradient${defs.length}`;
+          const coords = `x1="${num(x0)}" y1="${num(y0)}" x2="${num(x1)}" y2="${num(y1)}"`;
+          defs.push(
+            `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" ${coords}>${stops.join('')}</linearGradient>`,
+          );
+        }
+        return `url(#${id})`;
+      },
+    };
+  }
+
+  function paint(attrs) {
+    const opacity = ctx.globalAlpha < 1 ? ` opacity="${num(ctx.globalAlpha)}"` : '';
+    return `${attrs}${opacity}`;
+  }
+
+  function strokeAttrs() {
+    return `fill="none" stroke="${paintServer(ctx.strokeStyle)}" stroke-width="${num(ctx.lineWidth)}"`;
+  }
+
+  function moveTo(x, y) {
+    path += `M${num(x)} ${num(y)}`;
+  }
+
+  function lineTo(x, y) {
+    path += path ? `L${num(x)} ${num(y)}` : `M${num(x)} ${num(y)}`;
+  }
+
+  function bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+    path += `C${num(cp1x)} ${num(cp1y)} ${num(cp2x)} ${num(cp2y)} ${num(x)} ${num(y)}`;
+  }
+
+  function arc(cx, cy, r, startAngle, endAngle, counterclockwise = false) {
+    const startX = cx + r * Math.cos(startAngle);
+    const startY = cy + r * Math.sin(startAngle);
+    lineTo(startX, startY);
+    let sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    if (sweep >= Math.PI * 2) {
+      // A single SVG arc cannot close on itself, so draw a full circle as two halves
+      const midAngle = startAngle + (counterclockwise ? -Math.PI : Math.PI);
+      const flag = counterclockwise ? 0 : 1;
+      path += `A${num(r)} ${num(r)} 0 1 ${flag} ${num(cx + r * Math.cos(midAngle))} ${num(cy + r * Math.sin(midAngle))}`;
+      path += `A${num(r)} ${num(r)} 0 1 ${flag} ${num(startX)} ${num(startY)}`;
+      return;
+    }
+    sweep = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    const endX = cx + r * Math.cos(endAngle);
+    const endY = cy + r * Math.sin(endAngle);
+    const largeArc = sweep > Math.PI ? 1 : 0;
+    path += `A${num(r)} ${num(r)} 0 ${largeArc} ${counterclockwise ? 0 : 1} ${num(endX)} ${num(endY)}`;
+  }
+
+  function measureText(text) {
+    if (measureContext) {
+      measureContext.font = ctx.font;
+      return measureContext.measureText(text);
+    }
+    return { width: String(text).length * fontSize(ctx.font) * APPROX_CHAR_WIDTH };
+  }
+
+  const ctx = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    font: DEFAULT_FONT,
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    globalAlpha: 1,
+
+    save() {
+      stack.push({
+        fillStyle: ctx.fillStyle,
+        strokeStyle: ctx.strokeStyle,
+        lineWidth: ctx.lineWidth,
+        font: ctx.font,
+        textAlign: ctx.textAlign,
+        textBaseline: ctx.textBaseline,
+        globalAlpha: ctx.globalAlpha,
+        openGroups,
+      });
+      openGroups = 0;
+    },
+
+    restore() {
+      const saved = stack.pop();
+      if (!saved) return;
+      for (; openGroups > 0; openGroups--) elements.push('</g>');
+      ({ openGroups } = saved);
+      ctx.fillStyle = saved.fillStyle;
+      ctx.strokeStyle = saved.strokeStyle;
+      ctx.lineWidth = saved.lineWidth;
+      ctx.font = saved.font;
+      ctx.textAlign = saved.textAlign;
+      ctx.textBaseline = saved.textBaseline;
+      ctx.globalAlpha = saved.globalAlpha;
+    },
+
+    // Snapshots are drawn in logical pixels; transforms are not recorded
+    setTransform() {},
+    scale() {},
+
+    beginPath() {
+      path = '';
+    },
+    moveTo,
+    lineTo,
+    bezierCurveTo,
+    arc,
+    closePath() {
+      if (path) path += 'Z';
+    },
+    rect(x, y, w, h) {
+      moveTo(x, y);
+      path += `h${num(w)}v${num(h)}h${num(-w)}Z`;
+    },
+
+    fill() {
+      if (path) elements.push(`<path d="${path}" ${paint(`fill="${paintServer(ctx.fillStyle)}"`)}/>`);
+    },
+    stroke() {
+      if (path) elements.push(`<path d="${path}" ${paint(strokeAttrs())}/>`);
+    },
+    clip() {
+      const id = `clip${defs.length}`;
+      defs.push(`<clipPath id="${id}"><path d="${path}"/></clipPath>`);
+      elements.push(`<g clip-path="url(#${id})">`);
+      openGroups++;
+    },
+
+    fillRect(x, y, w, h) {
+      const box = `x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"`;
+      elements.push(`<rect ${box} ${paint(`fill="${paintServer(ctx.fillStyle)}"`)}/>`);
+    },
+    strokeRect(x, y, w, h) {
+      const box = `x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}"`;
+      elements.push(`<rect ${box} ${paint(strokeAttrs())}/>`);
+    },
+    clearRect() {},
+
+    fillText(text, x, y) {
+      const anchor = TEXT_ANCHORS[ctx.textAlign] ?? 'start';
+      const baseline = TEXT_BASELINES[ctx.textBaseline] ?? 'alphabetic';
+      const attrs =
+        `x="${num(x)}" y="${num(y)}" text-anchor="${anchor}" dominant-baseline="${baseline}" ` +
+        `style="font: ${escapeXml(ctx.font)}" ${paint(`fill="${paintServer(ctx.fillStyle)}"`)}`;
+      elements.push(`<text ${attrs}>${escapeXml(text)}</text>`);
+    },
+    measureText,
+    createLinearGradient,
+
+    /**
+     * Serialize everything drawn so far as a standalone SVG document.
+     * @returns {string}
+     */
+    toSvg() {
+      // Close clip groups left open by an unbalanced save()
+      const unclosed = openGroups + stack.reduce((sum, saved) => sum + saved.openGroups, 0);
+      const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="0 0 ${num(width)} ${num(height)}">`,
+      ];
+      if (defs.length > 0) lines.push(`<defs>${defs.join('')}</defs>`);
+      lines.push(...elements, ...Array(unclosed).fill('</g>'), '</svg>');
+      return `${lines.join('\n')}\n`;
+    },
+  };
+
+  return ctx;
+}
@@ -0,0 +1,885 @@
+/**
+ * Embeddable timeline factory.
+ *
+ * createTimeline() wires a store, renderer, input handlers, keyboard focus,
+ * accessible DOM mirror, tooltip, event and edit panels, context menu and
+ * tour player against a single container. Every instance owns all of its
+ * state, so several timelines can be embedded side by side without sharing
+ * layout, spatial hashes or search indexes.
+ */
+
+import { createDomSync } from './accessibility/dom-sync.js';
+import { createLiveAnnouncer } from './accessibility/live-announcer.js';
+import { createDraftEvent } from './core/editing.js';
+import { withHistory } from './core/history.js';
+import { convertAxisMode, zoomToEvent, zoomToTourStep } from './core/navigation.js';
+import { getEventRelations } from './core/relations.js';
+import { RationalScale } from './core/scale.js';
+import { createStore } from './core/store.js';
+import { isVisible, screenToTime } from './core/time.js';
+import { normalize } from './data/normalizer.js';
+import { validate } from './data/validator.js';
+import { createFocusManager } from './interaction/focus-manager.js';
+import { fitToContent, initInput, resetZoom, zoomAtPoint } from './interaction/input.js';
+import { GROUP_BY_MODES, GROUP_PATH_SEPARATOR, getGroupPath } from './layout/group-layout.js';
+import { queryEvents } from './layout/interval-tree.js';
+import { createRenderer } from './rendering/renderer.js';
+import { renderPngSnapshot, renderSvgSnapshot, SNAPSHOT_FORMATS } from './rendering/snapshot.js';
+import { createConfirmDialog } from './ui/confirm-dialog.js';
+import { buildEventActions, createContextMenu } from './ui/context-menu.js';
+import { createEditPanel } from './ui/edit-panel.js';
+import { createEventPanel } from './ui/event-panel.js';
+import { markdownToText } from './ui/markdown.js';
+import { createMinimap, MINIMAP_HEIGHT } from './ui/minimap.js';
+import { createModeBadge, EDIT_MODE_COLOR } from './ui/mode-toggle.js';
+import { computePanToEvent } from './ui/search-navigation.js';
+import { createTooltip } from './ui/tooltip.js';
+import { createTourPlayer } from './ui/tour-player.js';
+import { createViewportTransition } from './viewport/transition.js';
+
+const HOVER_DELAY_MS = 500;
+
+export const TIMELINE_EVENTS = [
+  'statechange',
+  'viewportchange',
+  'selectionchange',
+  'hoverchange',
+  'eventschange',
+  'modechange',
+  'tourchange',
+  'destroy',
+];
+
+const SR_ONLY_STYLE = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: '0',
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0,0,0,0)',
+  whiteSpace: 'nowrap',
+  border: '0',
+};
+
+function createCanvas(container) {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'nayra-canvas';
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute(
+    'aria-label',
+    'Interactive timeline visualization. Use arrow keys to pan, +/- to zoom, Tab to navigate events, ? for help.',
+  );
+  canvas.style.display = 'block';
+  canvas.style.width = '100%';
+  canvas.style.height = '100%';
+  canvas.style.outline = 'none';
+  container.appendChild(canvas);
+  return canvas;
+}
+
+function createLiveRegion(container) {
+  const element = document.createElement('div');
+  element.setAttribute('role', 'status');
+  element.setAttribute('aria-live', 'polite');
+  element.setAttribute('aria-atomic', 'true');
+  Object.assign(element.style, SR_ONLY_STYLE);
+  container.appendChild(element);
+  return element;
+}
+
+// Events with BigInt times are already normalized; anything else goes through
+// the loader's validate/normalize pipeline.
+function prepareEvents(events) {
+  if (events.every((event) => typeof event.start === 'bigint')) {
+    return { events, errors: [] };
+  }
+  const validated = validate(events);
+  const normalized = normalize(validated.valid);
+  return { events: normalized.valid, errors: [...validated.errors, ...normalized.errors] };
+}
+
+function getClusterKey(cluster) {
+  if (!cluster) return null;
+  const eventIds = cluster.events?.map((event) => event.id).join(',') ?? '';
+  return `${cluster.minTime}:${cluster.maxTime}:${cluster.count}:${eventIds}`;
+}
+
+/**
+ * Create an independent timeline inside `container`.
+ *
+ * @param {HTMLElement} container - Element that hosts the canvas and overlays
+ * @param {Object} [options]
+ * @param {HTMLCanvasElement} [options.canvas] - Existing canvas to render into (one is created otherwise)
+ * @param {Array} [options.events] - Initial events (raw or normalized)
+ * @param {Object} [options.initialState] - Initial store state overrides
+ * @param {HTMLElement} [options.ariaLiveElement] - Live region for focus announcements
+ * @param {EventTarget} [options.keyboardTarget] - Element receiving keyboard shortcuts (defaults to container)
+ * @param {Function} [options.onOpenSearch] - Called for the `/` shortcut
+ * @param {Function} [options.onToggleHelp] - Called for the `?` shortcut
+ * @param {Function} [options.onToggleFilter] - Called for the `f` shortcut
+ * @param {boolean} [options.editable=true] - Allow switching to edit mode (`e` shortcut, click-to-create)
+ * @param {number} [options.historyLimit=100] - Maximum number of undo steps kept
+ * @param {number} [options.transitionDuration=600] - Length of animated navigation in milliseconds (0 jumps)
+ * @param {boolean} [options.overview=false] - Show an overview strip of the whole dataset below the canvas
+ * @returns {Object} Timeline instance
+ */
+export function createTimeline(container, options = {}) {
+  if (!container) {
+    throw new Error('Nayra: createTimeline() requires a container element');
+  }
+
+  const {
+    canvas: providedCanvas = null,
+    events: initialEvents = null,
+    initialState = {},
+    ariaLiveElement: providedLiveElement = null,
+    keyboardTarget = container,
+    onOpenSearch,
+    onToggleHelp,
+    onToggleFilter,
+    editable = true,
+    historyLimit,
+    transitionDuration,
+    overview = false,
+  } = options;
+
+  const canvas = providedCanvas ?? createCanvas(container);
+  if (overview) {
+    // Make room for the overview strip below the canvas
+    canvas.style.height = `calc(100% - ${MINIMAP_HEIGHT}px)`;
+  }
+  const ariaLiveElement = providedLiveElement ?? createLiveRegion(container);
+  const store = withHistory(createStore(initialState), { limit: historyLimit });
+  const renderer = createRenderer();
+  const listeners = new Map(TIMELINE_EVENTS.map((name) => [name, new Set()]));
+  const cleanups = [];
+  let destroyed = false;
+
+  renderer.init(canvas, store.dispatch);
+
+  const focusManager = createFocusManager(store, ariaLiveElement);
+
+  const domSync = createDomSync(container, {
+    onFocus: (id) => store.dispatch({ type: 'SET_HOVER', eventId: id }),
+    onActivate: (id) => store.dispatch({ type: 'SELECT_EVENT', eventId: id }),
+  });
+
+  const tooltip = createTooltip(container);
+  const eventPanel = createEventPanel(container, {
+    onClose: () => {
+      // Clear selection when panel is closed
+      store.dispatch({ type: 'CLEAR_SELECTION' });
+    },
+    onNavigate: navigateToEvent,
+  });
+  const contextMenu = createContextMenu(container);
+  const confirmDialog = createConfirmDialog(container);
+  const modeBadge = createModeBadge(container);
+  const announcer = createLiveAnnouncer(ariaLiveElement);
+  const editPanel = createEditPanel(container, {
+    onSave: saveEditedEvent,
+    onDelete: (event) => removeEvent(event),
+    onCancel: () => store.dispatch({ type: 'SET_EDITING_EVENT', eventId: null }),
+  });
+  const viewportTransition = createViewportTransition(store, { duration: transitionDuration });
+  const tourPlayer = createTourPlayer(container, {
+    onStart: () => startTour(),
+    onPrev: () => prevTourStep(),
+    onNext: () => nextTourStep(),
+    onToggleAutoplay: () => toggleTourAutoplay(),
+    onClose: () => endTour(),
+  });
+  const minimap = overview ? createMinimap(container, { onNavigate: setViewport }) : null;
+  if (minimap) {
+    tourPlayer.element.style.bottom = `${MINIMAP_HEIGHT + 16}px`;
+  }
+
+  // --- Event emitter ---
+
+  function on(name, callback) {
+    const set = listeners.get(name);
+    if (!set) {
+      throw new Error(`Nayra: unknown timeline event "${name}"`);
+    }
+    set.add(callback);
+    return () => set.delete(callback);
+  }
+
+  function emit(name, payload) {
+    for (const callback of [...listeners.get(name)]) {
+      callback(payload);
+    }
+  }
+
+  // --- Tooltip hover handling ---
+
+  let mouseX = 0;
+  let mouseY = 0;
+  let hoverTimeout = null;
+  let lastHoveredEventId = null;
+  let clusterHoverTimeout = null;
+  let hoveredCluster = null;
+  let lastHoveredClusterKey = null;
+
+  function handleHoverChange(hoveredEventId) {
+    if (hoveredCluster !== null || hoveredEventId === lastHoveredEventId) {
+      return;
+    }
+    lastHoveredEventId = hoveredEventId;
+
+    clearTimeout(hoverTimeout);
+    hoverTimeout = null;
+
+    if (hoveredEventId === null) {
+      tooltip.hide();
+      return;
+    }
+    hoverTimeout = setTimeout(() => {
+      const state = store.getState();
+      const event = state.events.find((e) => e.id === hoveredEventId);
+      if (event && state.hoveredEventId === hoveredEventId) {
+        tooltip.update(event, mouseX, mouseY, state.calendar);
+        tooltip.show();
+      }
+    }, HOVER_DELAY_MS);
+  }
+
+  function handleClusterHoverChange(cluster) {
+    const clusterKey = getClusterKey(cluster);
+    if (clusterKey === lastHoveredClusterKey) {
+      return;
+    }
+
+    lastHoveredClusterKey = clusterKey;
+    hoveredCluster = cluster;
+
+    clearTimeout(clusterHoverTimeout);
+    clusterHoverTimeout = null;
+
+    tooltip.hide();
+    if (cluster === null) {
+      handleHoverChange(store.getState().hoveredEventId);
+      return;
+    }
+
+    clusterHoverTimeout = setTimeout(() => {
+      if (hoveredCluster === cluster) {
+        tooltip.update(cluster, mouseX, mouseY, store.getState().calendar);
+        tooltip.show();
+      }
+    }, HOVER_DELAY_MS);
+  }
+
+  function handleMousePosition(x, y) {
+    mouseX = x;
+    mouseY = y;
+    if (!tooltip.isVisible()) return;
+    const state = store.getState();
+    if (hoveredCluster) {
+      tooltip.update(hoveredCluster, x, y, state.calendar);
+    } else {
+      const event = state.events.find((e) => e.id === state.hoveredEventId);
+      if (event) {
+        tooltip.update(event, x, y, state.calendar);
+      }
+    }
+  }
+
+  // --- Event panel ---
+
+  function openEvent(eventId) {
+    const state = store.getState();
+    const event = state.events.find((e) => e.id === eventId);
+    if (!event) return false;
+    store.dispatch({ type: 'SELECT_EVENT', eventId });
+    showEventDetails(event);
+    return true;
+  }
+
+  function showEventDetails(event) {
+    const state = store.getState();
+    eventPanel.update([event], state.calendar, getEventRelations(event, state.events));
+    eventPanel.show();
+  }
+
+  /**
+   * Bring an event into view, select and focus it, and show its details.
+   * Collapsed swimlane groups containing the event are expanded.
+   *
+   * @param {string} eventId
+   * @param {{ zoom?: boolean }} [options] - Zoom to fit the event (otherwise the viewport is kept)
+   * @returns {boolean} False if no loaded event has this id
+   */
+  function revealEvent(eventId, { zoom = true } = {}) {
+    const state = store.getState();
+    const event = state.events.find((e) => e.id === eventId);
+    if (!event) return false;
+
+    if (zoom) {
+      viewportTransition.start(zoomToEvent(event, state.canvasWidth, state.scale));
+    }
+
+    const path = getGroupPath(event, state.groupBy);
+    for (let depth = 1; depth <= path.length; depth++) {
+      const key = path.slice(0, depth).join(GROUP_PATH_SEPARATOR);
+      if (store.getState().collapsedGroups.has(key)) toggleGroup(key);
+    }
+
+    focusManager.setFocus(eventId);
+    return openEvent(eventId);
+  }
+
+  // Follow a relation link: bring the related event into view and show its details
+  function navigateToEvent(eventId) {
+    const state = store.getState();
+    const event = state.events.find((e) => e.id === eventId);
+    if (!event) return;
+    const viewportEnd = screenToTime(state.canvasWidth, state.viewportStart, state.scale);
+    const duration = event.end !== undefined ? event.end - event.start : 0n;
+    if (!isVisible(event.start, duration, state.viewportStart, viewportEnd)) {
+      const viewportStart = computePanToEvent(event, state.canvasWidth, state.scale);
+      viewportTransition.start({ viewportStart, scale: state.scale });
+    }
+    openEvent(eventId);
+  }
+
+  // --- Edit mode ---
+
+  // Dataset at the start of the current editing session; "Discard changes" restores it
+  let editSnapshot = null;
+
+  function setMode(mode) {
+    const state = store.getState();
+    if (mode === state.mode || (mode === 'edit' && !editable)) return;
+    if (mode === 'edit' && (!state.hasUnsavedChanges || editSnapshot === null)) {
+      editSnapshot = state.events;
+    }
+    if (mode === 'view') {
+      editPanel.close();
+      confirmDialog.hide();
+    }
+    store.dispatch({ type: 'SET_MODE', mode });
+  }
+
+  function discardChanges() {
+    if (editSnapshot !== null) {
+      store.dispatch({ type: 'SET_EVENTS', events: editSnapshot });
+    }
+    setMode('view');
+  }
+
+  /** Enter edit mode after confirmation, or leave it (warning about unsaved changes). */
+  function toggleEditMode() {
+    const state = store.getState();
+    if (state.mode === 'view') {
+      if (!editable) return;
+      confirmDialog.show({
+        message: 'You are entering edit mode. Changes will modify your dataset.',
+        actions: [{ label: 'Proceed', variant: 'primary', action: () => setMode('edit') }, { label: 'Cancel' }],
+      });
+    } else if (!state.hasUnsavedChanges) {
+      setMode('view');
+    } else {
+      confirmDialog.show({
+        message: 'You have unsaved changes.',
+        actions: [
+          { label: 'Keep changes', variant: 'primary', action: () => setMode('view') },
+          { label: 'Discard changes', variant: 'danger', action: discardChanges },
+          { label: 'Cancel' },
+        ],
+      });
+    }
+  }
+
+  function editEvent(eventId) {
+    const state = store.getState();
+    const event = state.events.find((e) => e.id === eventId);
+    if (state.mode !== 'edit' || !event) return false;
+    tooltip.hide();
+    store.dispatch({ type: 'SET_EDITING_EVENT', eventId });
+    editPanel.open(event);
+    return true;
+  }
+
+  function createEventAt(x) {
+    const state = store.getState();
+    if (state.mode !== 'edit') return;
+    tooltip.hide();
+    editPanel.open(createDraftEvent(state, x), { isNew: true });
+  }
+
+  function saveEditedEvent(changes, { event, isNew }) {
+    if (isNew) {
+      const created = { id: event.id };
+      for (const [key, value] of Object.entries({ ...event, ...changes })) {
+        if (value !== undefined) created[key] = value;
+      }
+      store.dispatch({ type: 'ADD_EVENT', event: created });
+      store.dispatch({ type: 'SELECT_EVENT', eventId: created.id });
+      announcer.announceImmediate(`Created ${created.label}`);
+    } else {
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: event.id, changes });
+      store.dispatch({ type: 'SET_EDITING_EVENT', eventId: null });
+      announcer.announceImmediate(`Saved ${changes.label}`);
+    }
+  }
+
+  function removeEvent(event) {
+    store.dispatch({ type: 'DELETE_EVENT', eventId: event.id });
+    announcer.announceImmediate(`Deleted ${event.label}`);
+  }
+
+  function confirmDelete(eventId) {
+    const event = store.getState().events.find((e) => e.id === eventId);
+    if (!event || store.getState().mode !== 'edit') return;
+    confirmDialog.show({
+      message: `Delete ${event.label}?`,
+      actions: [
+        { label: 'Cancel' },
+        {
+          label: 'Delete',
+          variant: 'danger',
+          action: () => removeEvent(event),
+        },
+      ],
+    });
+  }
+
+  /** Revert the last event change (edit mode only). */
+  function undo() {
+    const label = store.undo();
+    if (label) announcer.announceImmediate(`Undid: ${label}`);
+    return label !== null;
+  }
+
+  /** Reapply the last undone event change (edit mode only). */
+  function redo() {
+    const label = store.redo();
+    if (label) announcer.announceImmediate(`Redid: ${label}`);
+    return label !== null;
+  }
+
+  /**
+   * Split the lanes into labeled swimlane groups, or merge them back.
+   *
+   * @param {'category'|'group'|null} groupBy - Group by `category`, by the `group` path, or not at all
+   */
+  function setGroupBy(groupBy) {
+    if (groupBy !== null && !GROUP_BY_MODES.includes(groupBy)) {
+      throw new Error(`Nayra: unknown group mode "${groupBy}"`);
+    }
+    store.dispatch({ type: 'SET_GROUP_BY', groupBy });
+  }
+
+  /**
+   * Switch between a linear time axis and a logarithmic "time before present"
+   * axis, keeping the time range in view.
+   *
+   * @param {'linear'|'log'} mode
+   */
+  function setAxisMode(mode) {
+    viewportTransition.cancel();
+    const { viewportStart, scale } = convertAxisMode(store.getState(), mode);
+    store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+  }
+
+  /**
+   * Collapse or expand a swimlane group.
+   *
+   * @param {string} key - Group key: the category, or the group path such as "Engineering/Backend"
+   */
+  function toggleGroup(key) {
+    store.dispatch({ type: 'TOGGLE_GROUP', key });
+  }
+
+  /**
+   * Render the current viewport, axis and shape legend as an image.
+   *
+   * @param {'png'|'svg'} [format]
+   * @param {{ scale?: number }} [options] - PNG resolution multiplier, e.g. 2 or 4
+   * @returns {Promise<Blob>}
+   */
+  async function exportImage(format = 'png', { scale = 2 } = {}) {
+    const state = store.getState();
+    if (format === 'svg') {
+      return new Blob([renderSvgSnapshot(renderer, state)], { type: SNAPSHOT_FORMATS.svg.mimeType });
+    }
+    if (format !== 'png') {
+      throw new Error(`Nayra: unknown image format "${format}"`);
+    }
+    return renderPngSnapshot(renderer, state, { scale });
+  }
+
+  // Live tooltip with the provisional times while an event is dragged
+  function handleEventDrag({ event, start, end, clientX, clientY }) {
+    clearTimeout(hoverTimeout);
+    hoverTimeout = null;
+    tooltip.update({ ...event, start, end }, clientX, clientY, store.getState().calendar);
+    tooltip.show();
+  }
+
+  function handleEventDragEnd({ event, handle, committed }) {
+    tooltip.hide();
+    if (committed) {
+      announcer.announceImmediate(`${handle === 'move' ? 'Moved' : 'Resized'} ${event.label}`);
+    }
+  }
+
+  function applyModeIndicators(mode) {
+    const editing = mode === 'edit';
+    modeBadge.update(mode);
+    canvas.style.outline = editing ? `2px solid ${EDIT_MODE_COLOR}` : 'none';
+    canvas.style.outlineOffset = editing ? '-2px' : '';
+    canvas.style.cursor = editing ? 'crosshair' : 'grab';
+  }
+
+  // --- Guided tour ---
+
+  let tourAutoplay = false;
+  let autoplayTimeout = null;
+
+  /**
+   * Set the dataset's guided tour, as returned by the loader (see parseTour),
+   * or null to remove it. A tour in progress ends.
+   *
+   * @param {Object|null} tour
+   */
+  function setTour(tour) {
+    store.dispatch({ type: 'SET_TOUR', tour: tour ?? null });
+  }
+
+  /**
+   * Show a tour step: apply its filters and highlight and move the viewport to it.
+   *
+   * @param {number} step - Zero-based index, clamped to the tour
+   * @returns {boolean} False if there is no tour
+   */
+  function goToTourStep(step) {
+    if (!store.getState().tour) return false;
+    store.dispatch({ type: 'GO_TO_TOUR_STEP', step });
+    const state = store.getState();
+    const target = zoomToTourStep(state.tour.steps[state.tourStep], state.events, state.canvasWidth, state.scale);
+    if (target) viewportTransition.start(target);
+    scheduleAutoplay();
+    return true;
+  }
+
+  function startTour(step = 0) {
+    return goToTourStep(step);
+  }
+
+  function nextTourStep() {
+    const { tourStep } = store.getState();
+    return goToTourStep(tourStep === null ? 0 : tourStep + 1);
+  }
+
+  function prevTourStep() {
+    const { tourStep } = store.getState();
+    return goToTourStep(tourStep === null ? 0 : tourStep - 1);
+  }
+
+  /** Leave the tour, restoring the filters that were active before it. */
+  function endTour() {
+    store.dispatch({ type: 'END_TOUR' });
+  }
+
+  /** Start or stop advancing through the tour on a timer; starts the tour if needed. */
+  function toggleTourAutoplay() {
+    const state = store.getState();
+    if (!state.tour) return;
+    tourAutoplay = !tourAutoplay;
+    if (tourAutoplay && state.tourStep === null) {
+      goToTourStep(0);
+    } else {
+      scheduleAutoplay();
+    }
+    tourPlayer.update(state.tour, store.getState().tourStep, tourAutoplay);
+  }
+
+  function scheduleAutoplay() {
+    clearTimeout(autoplayTimeout);
+    autoplayTimeout = null;
+    const { tour, tourStep } = store.getState();
+    if (!tourAutoplay || tourStep === null) return;
+    if (tourStep >= tour.steps.length - 1) {
+      // Stop on the last step rather than looping
+      tourAutoplay = false;
+      tourPlayer.update(tour, tourStep, false);
+      return;
+    }
+    autoplayTimeout = setTimeout(nextTourStep, tour.autoplayInterval);
+  }
+
+  function handleTourChange(state) {
+    if (state.tourStep === null) {
+      tourAutoplay = false;
+      clearTimeout(autoplayTimeout);
+      autoplayTimeout = null;
+      if (prevState.tourStep !== null) announcer.announceImmediate('Tour ended');
+    } else if (state.tourStep !== prevState.tourStep || state.tour !== prevState.tour) {
+      const step = state.tour.steps[state.tourStep];
+      announcer.announceImmediate(
+        `Step ${state.tourStep + 1} of ${state.tour.steps.length}: ${markdownToText(step.caption)}`,
+      );
+    }
+    tourPlayer.update(state.tour, state.tourStep, tourAutoplay);
+    emit('tourchange', { tour: state.tour, step: state.tourStep });
+  }
+
+  // --- State subscription ---
+
+  let prevState = store.getState();
+
+  cleanups.push(
+    store.subscribe((state) => {
+      handleHoverChange(state.hoveredEventId);
+
+      const viewportChanged =
+        state.viewportStart !== prevState.viewportStart ||
+        state.scale !== prevState.scale ||
+        state.canvasWidth !== prevState.canvasWidth;
+      if (state.events !== prevState.events || viewportChanged) {
+        // The accessible DOM tree mirrors the events in view
+        const viewportEnd = screenToTime(state.canvasWidth, state.viewportStart, state.scale);
+        domSync.update(queryEvents(state.events, state.viewportStart, viewportEnd));
+      }
+
+      if (state.events !== prevState.events) {
+        emit('eventschange', state.events);
+      }
+
+      if (state.selectedEventIds !== prevState.selectedEventIds) {
+        if (state.selectedEventIds.size === 0) {
+          eventPanel.hide();
+        }
+        emit('selectionchange', [...state.selectedEventIds]);
+      }
+
+      if (state.hoveredEventId !== prevState.hoveredEventId) {
+        emit('hoverchange', state.hoveredEventId);
+      }
+
+      if (state.viewportStart !== prevState.viewportStart || state.scale !== prevState.scale) {
+        emit('viewportchange', { viewportStart: state.viewportStart, scale: state.scale });
+      }
+
+      if (state.mode !== prevState.mode) {
+        applyModeIndicators(state.mode);
+        announcer.announceImmediate(state.mode === 'edit' ? 'Entered edit mode' : 'Returned to view mode');
+        emit('modechange', state.mode);
+      }
+
+      if (state.tour !== prevState.tour || state.tourStep !== prevState.tourStep) {
+        handleTourChange(state);
+      }
+
+      prevState = state;
+      emit('statechange', state);
+    }),
+  );
+
+  // --- Input ---
+
+  cleanups.push(
+    initInput(
+      canvas,
+      store,
+      {
+        onOpenSearch,
+        onToggleHelp,
+        onToggleFilter,
+        onOpenSelectedEvent: (eventId) => {
+          if (store.getState().mode === 'edit') {
+            editEvent(eventId);
+          } else {
+            openEvent(eventId);
+          }
+        },
+        onToggleEditMode: editable ? toggleEditMode : undefined,
+        onEditEvent: editEvent,
+        onCreateEvent: ({ x }) => createEventAt(x),
+        onDeleteEvent: confirmDelete,
+        onUndo: undo,
+        onRedo: redo,
+        onEventDrag: handleEventDrag,
+        onEventDragEnd: handleEventDragEnd,
+        onMousePosition: handleMousePosition,
+        onHoverClusterChange: handleClusterHoverChange,
+        onContextMenu: ({ x, y, target, targetType }) => {
+          tooltip.hide();
+          if (targetType === 'event' && target) {
+            const actions = buildEventActions(target, store, {
+              onShowDetails: showEventDetails,
+              onEdit: (ev) => editEvent(ev.id),
+              onDelete: (ev) => confirmDelete(ev.id),
+            });
+            contextMenu.show(x, y, actions);
+          }
+          // Background right-click: no menu for now (per spec: implementation choice)
+        },
+      },
+      focusManager,
+      { renderer, keyboardTarget, transition: viewportTransition },
+    ),
+  );
+
+  // --- Render loop ---
+
+  let lastRenderedRevision = -1;
+  let rafId = null;
+
+  function loop() {
+    rafId = null;
+    const state = store.getState();
+    if (state.revision !== lastRenderedRevision) {
+      renderer.draw(state);
+      minimap?.update(state);
+      lastRenderedRevision = state.revision;
+    }
+  }
+
+  function scheduleRender() {
+    if (rafId === null && !destroyed) {
+      rafId = requestAnimationFrame(loop);
+    }
+  }
+
+  cleanups.push(store.subscribe(scheduleRender));
+
+  // --- Public methods ---
+
+  /**
+   * Replace the dataset. Raw events are validated and normalized first.
+   *
+   * @param {Array} events
+   * @param {{ fit?: boolean }} [opts] - fit: zoom to show all events (default true)
+   * @returns {{ errors: Array }} Validation/normalization errors for raw input
+   */
+  function setEvents(events, { fit = true } = {}) {
+    const prepared = prepareEvents(events);
+    store.dispatch({ type: 'SET_EVENTS', events: prepared.events });
+    if (fit) {
+      const state = store.getState();
+      const { viewportStart, scale } = fitToContent(state.events, state.canvasWidth, state.scale);
+      viewportTransition.cancel();
+      store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
+    }
+    return { errors: prepared.errors };
+  }
+
+  /**
+   * Move the viewport. Accepts either a RationalScale or a seconds-per-pixel value.
+   *
+   * @param {{ viewportStart: bigint, scale?: RationalScale, secondsPerPixel?: number }} viewport
+   * @param {{ animate?: boolean }} [opts] - animate: transition to the viewport instead of jumping
+   */
+  function setViewport({ viewportStart, scale, secondsPerPixel }, { animate = false } = {}) {
+    const state = store.getState();
+    const nextScale =
+      scale ?? (secondsPerPixel !== undefined ? RationalScale.fromSecondsPerPixel(secondsPerPixel) : state.scale);
+    const target = { viewportStart: viewportStart ?? state.viewportStart, scale: nextScale };
+    if (animate) {
+      viewportTransition.start(target);
+    } else {
+      viewportTransition.cancel();
+      store.dispatch({ type: 'SET_VIEWPORT', ...target });
+    }
+  }
+
+  function fitContent() {
+    const state = store.getState();
+    viewportTransition.start(fitToContent(state.events, state.canvasWidth, state.scale));
+  }
+
+  function zoom(zoomIn) {
+    // Repeated zooms build on the viewport still being animated to
+    const state = { ...store.getState(), ...viewportTransition.getTarget() };
+    viewportTransition.start(zoomAtPoint(state, state.canvasWidth / 2, zoomIn));
+  }
+
+  function resetViewport() {
+    const state = store.getState();
+    viewportTransition.start(resetZoom(state.canvasWidth));
+  }
+
+  /** Tear down listeners, timers, DOM overlays and the layout worker reference. */
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+
+    if (rafId !== null) {
+      cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+    clearTimeout(hoverTimeout);
+    clearTimeout(clusterHoverTimeout);
+    clearTimeout(autoplayTimeout);
+    viewportTransition.cancel();
+
+    for (const cleanup of cleanups) cleanup();
+    focusManager.destroy();
+    renderer.destroy();
+    domSync.destroy();
+    tooltip.destroy();
+    eventPanel.destroy();
+    editPanel.destroy();
+    confirmDialog.destroy();
+    modeBadge.destroy();
+    announcer.destroy();
+    contextMenu.destroy();
+    tourPlayer.destroy();
+    minimap?.destroy();
+
+    if (!providedCanvas) canvas.remove();
+    if (!providedLiveElement) ariaLiveElement.remove();
+
+    emit('destroy');
+    listeners.clear();
+  }
+
+  if (initialEvents) {
+    setEvents(initialEvents);
+  }
+
+  scheduleRender();
+
+  return {
+    canvas,
+    store,
+    renderer,
+    ariaLiveElement,
+    getState: store.getState,
+    dispatch: store.dispatch,
+    setEvents,
+    setViewport,
+    fitToContent: fitContent,
+    zoomIn: () => zoom(true),
+    zoomOut: () => zoom(false),
+    resetZoom: resetViewport,
+    openEvent,
+    revealEvent,
+    setMode,
+    toggleEditMode,
+    editEvent,
+    deleteEvent: confirmDelete,
+    undo,
+    redo,
+    canUndo: store.canUndo,
+    canRedo: store.canRedo,
+    exportImage,
+    setGroupBy,
+    setAxisMode,
+    toggleGroup,
+    setTour,
+    startTour,
+    goToTourStep,
+    nextTourStep,
+    prevTourStep,
+    endTour,
+    toggleTourAutoplay,
+    on,
+    destroy,
+  };
+}
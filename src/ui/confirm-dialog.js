@@ -0,0 +1,131 @@
+import { createFocusTrap } from '../accessibility/focus-trap.js';
+
+/**
+ * Small modal asking the user to confirm an action.
+ *
+ * Actions use the same descriptor shape as the context menu:
+ * `{ label, action, variant? }` where variant is 'primary' or 'danger'.
+ *
+ * @param {HTMLElement} container
+ */
+export function createConfirmDialog(container) {
+  const overlay = document.createElement('div');
+  overlay.className = 'confirm-dialog-overlay';
+  overlay.style.position = 'fixed';
+  overlay.style.top = '0';
+  overlay.style.left = '0';
+  overlay.style.right = '0';
+  overlay.style.bottom = '0';
+  overlay.style.background = 'rgba(0, 0, 0, 0.6)';
+  overlay.style.display = 'none';
+  overlay.style.justifyContent = 'center';
+  overlay.style.alignItems = 'center';
+  overlay.style.zIndex = '1003';
+
+  const dialog = document.createElement('div');
+  dialog.className = 'confirm-dialog';
+  dialog.setAttribute('role', 'alertdialog');
+  dialog.setAttribute('aria-modal', 'true');
+  dialog.style.background = '#2a2a3e';
+  dialog.style.border = '1px solid #4a4a6a';
+  dialog.style.borderRadius = '8px';
+  dialog.style.padding = '20px 24px';
+  dialog.style.maxWidth = '420px';
+  dialog.style.width = '90%';
+  dialog.style.color = '#ffffff';
+  dialog.style.fontFamily = 'system-ui, sans-serif';
+  dialog.style.boxShadow = '0 4px 20px rgba(0, 0, 0, 0.5)';
+
+  const messageEl = document.createElement('p');
+  messageEl.className = 'confirm-dialog-message';
+  messageEl.id = `confirm-dialog-message-${Math.random().toString(36).slice(2, 8)}`;
+  messageEl.style.cssText = 'margin: 0 0 20px 0; font-size: 15px; line-height: 1.5;';
+  dialog.setAttribute('aria-describedby', messageEl.id);
+
+  const buttonsEl = document.createElement('div');
+  buttonsEl.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end; flex-wrap: wrap;';
+
+  dialog.appendChild(messageEl);
+  dialog.appendChild(buttonsEl);
+  overlay.appendChild(dialog);
+  container.appendChild(overlay);
+
+  let onDismiss = null;
+
+  const focusTrap = createFocusTrap(dialog, {
+    onEscape: () => dismiss(),
+  });
+
+  // Keep keys pressed inside the dialog away from timeline shortcuts
+  dialog.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) dismiss();
+  });
+
+  function hide() {
+    overlay.style.display = 'none';
+    focusTrap.deactivate();
+  }
+
+  function dismiss() {
+    if (!isVisible()) return;
+    const callback = onDismiss;
+    hide();
+    if (callback) callback();
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.message - Question shown to the user
+   * @param {Array<{label: string, action?: Function, variant?: string}>} options.actions
+   * @param {Function} [options.onDismiss] - Called on Escape or backdrop click
+   */
+  function show({ message, actions, onDismiss: dismissCallback = null }) {
+    messageEl.textContent = message;
+    dialog.setAttribute('aria-label', message);
+    onDismiss = dismissCallback;
+
+    buttonsEl.innerHTML = '';
+    for (const descriptor of actions) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = descriptor.label;
+      button.style.cssText = `
+        min-height: 36px;
+        padding: 6px 14px;
+        border-radius: 4px;
+        border: 1px solid #4a4a6a;
+        background: ${descriptor.variant === 'primary' ? '#3a5a8a' : '#1a1a2e'};
+        color: ${descriptor.variant === 'danger' ? '#ff8a8a' : '#e0e0e0'};
+        font-size: 14px;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', () => {
+        hide();
+        if (descriptor.action) descriptor.action();
+      });
+      buttonsEl.appendChild(button);
+    }
+
+    overlay.style.display = 'flex';
+    focusTrap.activate();
+  }
+
+  function isVisible() {
+    return overlay.style.display !== 'none';
+  }
+
+  return {
+    element: dialog,
+    show,
+    hide,
+    isVisible,
+    destroy() {
+      focusTrap.destroy();
+      overlay.remove();
+    },
+  };
+}
@@ -224,19 +224,22 @@ export function createContextMenu(container) {
 /**
  * Build the standard action list for an event context menu.
  *
+ * In edit mode, "Edit Event" and "Delete Event" entries are appended when the
+ * matching callbacks are provided.
+ *
  * @param {object} event - The event being right-clicked
  * @param {object} store - App store with getState() / dispatch()
- * @param {{ onShowDetails?: Function }} callbacks
+ * @param {{ onShowDetails?: Function, onEdit?: Function, onDelete?: Function }} callbacks
  * @returns {Array} Action descriptor objects
  */
-export function buildEventActions(event, store, { onShowDetails } = {}) {
-  return [
+export function buildEventActions(event, store, { onShowDetails, onEdit, onDelete } = {}) {
+  const actions = [
     {
       label: 'Zoom to Event',
       icon: '⌖',
       action() {
-        const { canvasWidth } = store.getState();
-        const { viewportStart, scale } = zoomToEvent(event, canvasWidth);
+        const state = store.getState();
+        const { viewportStart, scale } = zoomToEvent(event, state.canvasWidth, state.scale);
         store.dispatch({ type: 'SET_VIEWPORT', viewportStart, scale });
       },
     },
@@ -261,4 +264,16 @@ export function buildEventActions(event, store, { onShowDetails } = {}) {
       },
     },
   ];
+
+  if (store.getState().mode === 'edit' && (onEdit || onDelete)) {
+    actions.push({ separator: true });
+    if (onEdit) {
+      actions.push({ label: 'Edit Event', icon: '✎', action: () => onEdit(event) });
+    }
+    if (onDelete) {
+      actions.push({ label: 'Delete Event', icon: '✕', shortcut: 'Del', action: () => onDelete(event) });
+    }
+  }
+
+  return actions;
 }
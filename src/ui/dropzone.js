@@ -1,3 +1,5 @@
+const ACCEPTED_EXTENSIONS = ['.json', '.jsonld', '.csv', '.tsv', '.ics'];
+
 export function createDropzone(container, { onLoad }) {
   const overlay = document.createElement('div');
   overlay.className = 'nayra-dropzone-overlay';
@@ -16,7 +18,7 @@ export function createDropzone(container, { onLoad }) {
     pointer-events: none;
     z-index: 1000;
   `;
-  overlay.textContent = 'Drop JSON file to load';
+  overlay.textContent = 'Drop JSON, CSV, TSV or iCalendar file to load';
   container.appendChild(overlay);
 
   let dragCounter = 0;
@@ -50,8 +52,9 @@ export function createDropzone(container, { onLoad }) {
     }
 
     const file = files[0];
-    if (!file.name.endsWith('.json')) {
-      console.warn(`File "${file.name}" is not a .json file, attempting to parse anyway`);
+    const name = file.name.toLowerCase();
+    if (!ACCEPTED_EXTENSIONS.some((extension) => name.endsWith(extension))) {
+      console.warn(`File "${file.name}" is not a .json, .jsonld, .csv, .tsv or .ics file, attempting to parse anyway`);
     }
 
     onLoad(file);
@@ -0,0 +1,369 @@
+import { parseTimeQuery } from '../core/time-parser.js';
+import { VALID_PRECISIONS } from '../data/validator.js';
+import { createEventPanel } from './event-panel.js';
+import { formatTimeInput } from './format.js';
+
+const FIELDS = [
+  { name: 'label', label: 'Label' },
+  { name: 'start', label: 'Start', placeholder: 'e.g. 1969-07-20, 44 BCE, 65 Ma' },
+  { name: 'end', label: 'End', placeholder: 'Optional' },
+  { name: 'description', label: 'Description', multiline: true },
+  { name: 'category', label: 'Category' },
+  { name: 'tags', label: 'Tags', placeholder: 'Comma-separated' },
+  { name: 'priority', label: 'Priority', options: ['', '0', '1', '2', '3', '4'] },
+  { name: 'precision', label: 'Precision', options: ['', ...VALID_PRECISIONS] },
+  { name: 'url', label: 'URL', type: 'url' },
+  { name: 'source', label: 'Source' },
+];
+
+const INPUT_STYLE = `
+  width: 100%;
+  box-sizing: border-box;
+  padding: 6px 8px;
+  font-size: 14px;
+  font-family: inherit;
+  background: #1a1a2e;
+  border: 1px solid #4a4a6a;
+  border-radius: 4px;
+  color: #ffffff;
+`;
+
+const BUTTON_STYLE = `
+  min-height: 36px;
+  padding: 6px 14px;
+  border-radius: 4px;
+  border: 1px solid #4a4a6a;
+  background: #1a1a2e;
+  color: #e0e0e0;
+  font-size: 14px;
+  cursor: pointer;
+`;
+
+function createButton(text, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.style.cssText = BUTTON_STYLE;
+  return button;
+}
+
+/**
+ * Sidebar form for creating and editing events, built on the event panel shell.
+ *
+ * onSave receives the edited fields: times as BigInt, tags as an array, and
+ * `undefined` for optional fields that were cleared.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onSave - (changes, { event, isNew }) => void
+ * @param {Function} [callbacks.onDelete] - (event) => void, called after inline confirmation
+ * @param {Function} [callbacks.onCancel] - (event, { isNew }) => void
+ */
+export function createEditPanel(container, { onSave, onDelete, onCancel }) {
+  const form = document.createElement('form');
+  form.className = 'edit-panel-form';
+  form.noValidate = true;
+
+  const titleEl = document.createElement('h2');
+  titleEl.className = 'edit-panel-title';
+  titleEl.style.cssText = `
+    margin: 0 0 16px 0;
+    font-size: 20px;
+    font-weight: 600;
+    padding-right: 40px;
+  `;
+  form.appendChild(titleEl);
+
+  const idEl = document.createElement('div');
+  idEl.className = 'edit-panel-id';
+  idEl.style.cssText = `
+    font-size: 12px;
+    font-family: monospace;
+    color: #8a8aaa;
+    margin-bottom: 12px;
+    word-break: break-all;
+  `;
+  form.appendChild(idEl);
+
+  const inputs = {};
+  const errorEls = {};
+
+  for (const field of FIELDS) {
+    const wrapper = document.createElement('div');
+    wrapper.style.marginBottom = '12px';
+
+    const inputId = `edit-panel-${field.name}-${Math.random().toString(36).slice(2, 8)}`;
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = inputId;
+    labelEl.textContent = field.label;
+    labelEl.style.cssText = 'display: block; font-size: 13px; color: #a0a0b0; margin-bottom: 4px;';
+
+    let input;
+    if (field.options) {
+      input = document.createElement('select');
+      for (const value of field.options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value === '' ? '—' : value;
+        input.appendChild(option);
+      }
+    } else if (field.multiline) {
+      input = document.createElement('textarea');
+      input.rows = 3;
+    } else {
+      input = document.createElement('input');
+      input.type = field.type ?? 'text';
+    }
+    input.id = inputId;
+    input.name = field.name;
+    if (field.placeholder) input.placeholder = field.placeholder;
+    input.style.cssText = INPUT_STYLE;
+
+    const errorEl = document.createElement('div');
+    errorEl.className = 'edit-panel-error';
+    errorEl.id = `${inputId}-error`;
+    errorEl.style.cssText = 'color: #ff8a8a; font-size: 12px; margin-top: 4px; display: none;';
+    input.setAttribute('aria-describedby', errorEl.id);
+
+    wrapper.appendChild(labelEl);
+    wrapper.appendChild(input);
+    wrapper.appendChild(errorEl);
+    form.appendChild(wrapper);
+
+    inputs[field.name] = input;
+    errorEls[field.name] = errorEl;
+  }
+
+  const actionsEl = document.createElement('div');
+  actionsEl.className = 'edit-panel-actions';
+  actionsEl.style.cssText = 'display: flex; gap: 8px; margin-top: 16px;';
+
+  const saveBtn = createButton('Save', 'edit-panel-save');
+  saveBtn.type = 'submit';
+  saveBtn.style.background = '#3a5a8a';
+  const cancelBtn = createButton('Cancel', 'edit-panel-cancel');
+  const deleteBtn = createButton('Delete', 'edit-panel-delete');
+  deleteBtn.style.marginLeft = 'auto';
+  deleteBtn.style.color = '#ff8a8a';
+  actionsEl.appendChild(saveBtn);
+  actionsEl.appendChild(cancelBtn);
+  actionsEl.appendChild(deleteBtn);
+  form.appendChild(actionsEl);
+
+  // Inline delete confirmation (avoids stacking a second modal on the panel)
+  const confirmEl = document.createElement('div');
+  confirmEl.className = 'edit-panel-confirm';
+  confirmEl.setAttribute('role', 'alert');
+  confirmEl.style.cssText = 'display: none; margin-top: 16px; align-items: center; gap: 8px; flex-wrap: wrap;';
+  const confirmText = document.createElement('span');
+  confirmText.style.flex = '1 1 100%';
+  const confirmDeleteBtn = createButton('Delete', 'edit-panel-confirm-delete');
+  confirmDeleteBtn.style.color = '#ff8a8a';
+  const keepBtn = createButton('Keep', 'edit-panel-confirm-keep');
+  confirmEl.appendChild(confirmText);
+  confirmEl.appendChild(confirmDeleteBtn);
+  confirmEl.appendChild(keepBtn);
+  form.appendChild(confirmEl);
+
+  const shell = createEventPanel(container, {
+    ariaLabel: 'Edit event',
+    placement: 'right',
+    content: form,
+    onClose: () => cancel(),
+  });
+  shell.element.classList.add('edit-panel');
+
+  let currentEvent = null;
+  let isNew = false;
+  let initialTimeText = { start: '', end: '' };
+  const touched = new Set();
+
+  function parseTimeField(name) {
+    const text = inputs[name].value.trim();
+    if (text === '') return { time: undefined };
+    // Keep the exact stored time and window unless the user edited the text
+    if (text === initialTimeText[name] && currentEvent[name] !== undefined) {
+      return name === 'start'
+        ? {
+            time: currentEvent.start,
+            earliest: currentEvent.earliest,
+            latest: currentEvent.end === undefined ? currentEvent.latest : undefined,
+            qualifier: currentEvent.startQualifier,
+          }
+        : { time: currentEvent.end, latest: currentEvent.latest, qualifier: currentEvent.endQualifier };
+    }
+    const result = parseTimeQuery(text);
+    if (!result.success) return { error: result.error };
+    if (result.end !== undefined) return { error: 'Give the end of an interval in the End field' };
+    return result;
+  }
+
+  function collectErrors() {
+    const errors = {};
+    if (inputs.label.value.trim() === '') {
+      errors.label = 'Label is required';
+    }
+    const start = parseTimeField('start');
+    if (inputs.start.value.trim() === '') {
+      errors.start = 'Start is required';
+    } else if (start.error) {
+      errors.start = start.error;
+    }
+    const end = parseTimeField('end');
+    if (end.error) {
+      errors.end = end.error;
+    } else if (end.time !== undefined && start.time !== undefined && end.time < start.time) {
+      errors.end = 'End must not be earlier than start';
+    }
+    return errors;
+  }
+
+  function validateForm() {
+    const errors = collectErrors();
+    for (const field of FIELDS) {
+      const message = touched.has(field.name) ? errors[field.name] : undefined;
+      errorEls[field.name].textContent = message ?? '';
+      errorEls[field.name].style.display = message ? 'block' : 'none';
+      if (message) {
+        inputs[field.name].setAttribute('aria-invalid', 'true');
+      } else {
+        inputs[field.name].removeAttribute('aria-invalid');
+      }
+    }
+    saveBtn.disabled = Object.keys(errors).length > 0;
+    saveBtn.style.opacity = saveBtn.disabled ? '0.5' : '1';
+    return errors;
+  }
+
+  function readChanges() {
+    const text = (name) => inputs[name].value.trim() || undefined;
+    const tags = inputs.tags.value
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+    const priority = inputs.priority.value;
+    const start = parseTimeField('start');
+    const end = parseTimeField('end');
+    return {
+      label: inputs.label.value.trim(),
+      start: start.time,
+      end: end.time,
+      earliest: start.earliest,
+      latest: end.time !== undefined ? end.latest : start.latest,
+      startQualifier: start.qualifier,
+      endQualifier: end.qualifier,
+      description: text('description'),
+      category: text('category'),
+      tags: tags.length > 0 ? tags : undefined,
+      priority: priority === '' ? undefined : Number(priority),
+      precision: text('precision'),
+      url: text('url'),
+      source: text('source'),
+    };
+  }
+
+  function showConfirm(visible) {
+    confirmEl.style.display = visible ? 'flex' : 'none';
+    actionsEl.style.display = visible ? 'none' : 'flex';
+    if (visible) {
+      confirmText.textContent = `Delete ${currentEvent.label || 'this event'}?`;
+      confirmDeleteBtn.focus();
+    }
+  }
+
+  /**
+   * Open the form for an event.
+   *
+   * @param {Object} event - Normalized event (or a draft from createDraftEvent)
+   * @param {{ isNew?: boolean }} [options]
+   */
+  function open(event, options = {}) {
+    currentEvent = event;
+    isNew = options.isNew ?? false;
+    touched.clear();
+
+    titleEl.textContent = isNew ? 'New event' : 'Edit event';
+    idEl.textContent = `ID: ${event.id}`;
+    deleteBtn.style.display = isNew ? 'none' : '';
+
+    initialTimeText = {
+      start:
+        event.start !== undefined ? formatTimeInput(event.start, event.precision) + (event.startQualifier ?? '') : '',
+      end: event.end !== undefined ? formatTimeInput(event.end, event.precision) + (event.endQualifier ?? '') : '',
+    };
+    inputs.label.value = event.label ?? '';
+    inputs.start.value = initialTimeText.start;
+    inputs.end.value = initialTimeText.end;
+    inputs.description.value = event.description ?? '';
+    inputs.category.value = event.category ?? '';
+    inputs.tags.value = event.tags?.join(', ') ?? '';
+    inputs.priority.value = event.priority !== undefined ? String(event.priority) : '';
+    inputs.precision.value = event.precision ?? '';
+    inputs.url.value = event.url ?? '';
+    inputs.source.value = event.source ?? '';
+
+    showConfirm(false);
+    validateForm();
+    shell.show();
+    inputs.label.focus();
+  }
+
+  function close() {
+    shell.hide();
+    currentEvent = null;
+  }
+
+  function cancel() {
+    if (!currentEvent) return;
+    const event = currentEvent;
+    const wasNew = isNew;
+    close();
+    if (onCancel) onCancel(event, { isNew: wasNew });
+  }
+
+  form.addEventListener('input', (e) => {
+    if (e.target.name) touched.add(e.target.name);
+    validateForm();
+  });
+
+  form.addEventListener('change', () => validateForm());
+
+  // Keep typing in the form from reaching timeline keyboard shortcuts
+  form.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!currentEvent) return;
+    for (const field of FIELDS) touched.add(field.name);
+    if (Object.keys(validateForm()).length > 0) return;
+    const changes = readChanges();
+    const event = currentEvent;
+    const wasNew = isNew;
+    close();
+    onSave(changes, { event, isNew: wasNew });
+  });
+
+  cancelBtn.addEventListener('click', () => cancel());
+  deleteBtn.addEventListener('click', () => showConfirm(true));
+  keepBtn.addEventListener('click', () => {
+    showConfirm(false);
+    deleteBtn.focus();
+  });
+  confirmDeleteBtn.addEventListener('click', () => {
+    const event = currentEvent;
+    close();
+    if (onDelete) onDelete(event);
+  });
+
+  return {
+    element: shell.element,
+    open,
+    close,
+    isVisible: shell.isVisible,
+    getEvent: () => currentEvent,
+    destroy: shell.destroy,
+  };
+}
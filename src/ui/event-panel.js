@@ -1,7 +1,22 @@
 import { createFocusTrap } from '../accessibility/focus-trap.js';
 import { formatTimeRange } from './format.js';
 
-export function createEventPanel(container, { onClose }) {
+/**
+ * Modal panel showing event details. The same shell hosts other event forms:
+ * pass `content` to replace the detail view and `placement: 'right'` for a sidebar.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} options
+ * @param {Function} [options.onClose] - Called when closed via button, overlay or Escape
+ * @param {string} [options.ariaLabel] - Accessible dialog label
+ * @param {'center'|'right'} [options.placement] - Centered modal or right-hand sidebar
+ * @param {HTMLElement} [options.content] - Custom panel body
+ * @param {Function} [options.onNavigate] - Called with an event id when a related event link is followed
+ */
+export function createEventPanel(
+  container,
+  { onClose, onNavigate, ariaLabel = 'Event details', placement = 'center', content = null },
+) {
   const overlay = document.createElement('div');
   overlay.className = 'event-panel-overlay';
   overlay.style.position = 'fixed';
@@ -19,7 +34,7 @@ export function createEventPanel(container, { onClose }) {
   panel.className = 'event-panel';
   panel.setAttribute('role', 'dialog');
   panel.setAttribute('aria-modal', 'true');
-  panel.setAttribute('aria-label', 'Event details');
+  panel.setAttribute('aria-label', ariaLabel);
   panel.style.background = '#2a2a3e';
   panel.style.border = '1px solid #4a4a6a';
   panel.style.borderRadius = '8px';
@@ -35,7 +50,7 @@ export function createEventPanel(container, { onClose }) {
   // Close button (first focusable element for focus trap)
   const closeBtn = document.createElement('button');
   closeBtn.type = 'button';
-  closeBtn.setAttribute('aria-label', 'Close event details');
+  closeBtn.setAttribute('aria-label', `Close ${ariaLabel.toLowerCase()}`);
   closeBtn.textContent = '×';
   closeBtn.style.cssText = `
     position: absolute;
@@ -79,6 +94,7 @@ export function createEventPanel(container, { onClose }) {
   descEl.style.cssText = `
     line-height: 1.6;
     margin-bottom: 16px;
+    white-space: pre-line;
   `;
 
   const metaEl = document.createElement('div');
@@ -90,10 +106,22 @@ export function createEventPanel(container, { onClose }) {
     padding-top: 16px;
   `;
 
-  panel.appendChild(titleEl);
-  panel.appendChild(timeEl);
-  panel.appendChild(descEl);
-  panel.appendChild(metaEl);
+  if (placement === 'right') {
+    overlay.style.justifyContent = 'flex-end';
+    overlay.style.alignItems = 'stretch';
+    panel.style.maxWidth = '400px';
+    panel.style.maxHeight = '100vh';
+    panel.style.borderRadius = '8px 0 0 8px';
+  }
+
+  if (content) {
+    panel.appendChild(content);
+  } else {
+    panel.appendChild(titleEl);
+    panel.appendChild(timeEl);
+    panel.appendChild(descEl);
+    panel.appendChild(metaEl);
+  }
   overlay.appendChild(panel);
   container.appendChild(overlay);
 
@@ -115,6 +143,11 @@ export function createEventPanel(container, { onClose }) {
   });
 
   function show(triggerElement = null) {
+    if (isVisible()) {
+      // Already open (e.g. after following a relation link): keep the original focus return target
+      closeBtn.focus();
+      return;
+    }
     overlay.style.display = 'flex';
     focusTrap.activate(triggerElement);
   }
@@ -128,7 +161,12 @@ export function createEventPanel(container, { onClose }) {
     return overlay.style.display !== 'none';
   }
 
-  function update(events, calendar) {
+  /**
+   * @param {Array} events - The first event is shown
+   * @param {string} [calendar]
+   * @param {{ outgoing: Array, incoming: Array }} [relations] - From getEventRelations(); listed as links
+   */
+  function update(events, calendar, relations = null) {
     if (!events || events.length === 0) return;
 
     const event = events[0];
@@ -177,7 +215,49 @@ export function createEventPanel(container, { onClose }) {
     }
 
     metaEl.innerHTML = metaHtml;
-    metaEl.style.display = metaHtml ? 'block' : 'none';
+
+    const related = relations ? [...relations.outgoing, ...relations.incoming] : [];
+    if (related.length > 0) {
+      metaEl.appendChild(createRelationsList(related));
+    }
+    metaEl.style.display = metaHtml || related.length > 0 ? 'block' : 'none';
+  }
+
+  function createRelationsList(related) {
+    const section = document.createElement('div');
+    section.className = 'event-panel-relations';
+    section.style.marginBottom = '8px';
+    const heading = document.createElement('strong');
+    heading.textContent = 'Relations:';
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.style.cssText = 'list-style: none; margin: 4px 0 0 0; padding: 0;';
+    for (const { label, event } of related) {
+      const item = document.createElement('li');
+      item.style.marginBottom = '4px';
+      item.append(`${label} `);
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.dataset.relatedEvent = event.id;
+      link.textContent = event.label || 'Untitled';
+      link.style.cssText = `
+        background: none;
+        border: none;
+        padding: 0;
+        color: #6a9fff;
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      `;
+      link.addEventListener('click', () => {
+        if (onNavigate) onNavigate(event.id);
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+    }
+    section.appendChild(list);
+    return section;
   }
 
   function escapeHtml(str) {
@@ -1,13 +1,25 @@
-import { BILLION_YEARS, MILLION_YEARS, YEAR } from '../core/time.js';
+import {
+  BILLION_YEARS,
+  MICROSECOND,
+  MILLION_YEARS,
+  MILLISECOND,
+  NANOSECOND,
+  SECOND,
+  toMilliseconds,
+  YEAR,
+} from '../core/time.js';
 
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
+// Largest timestamp, in milliseconds, the Date object can represent
+const MAX_DATE_MS = 8.64e15;
+
 function timeToYear(timeValue) {
-  const secondsFromEpoch = Number(timeValue);
-  if (!Number.isFinite(secondsFromEpoch) || Math.abs(secondsFromEpoch) > 8.64e15 / 1000) {
+  const ms = toMilliseconds(timeValue);
+  if (!Number.isFinite(ms) || Math.abs(ms) > MAX_DATE_MS) {
     return Number(timeValue / YEAR) + 1970;
   }
-  const date = new Date(secondsFromEpoch * 1000);
+  const date = new Date(ms);
   return date.getUTCFullYear();
 }
 
@@ -39,15 +51,15 @@ export function toDisplayYear(astronomicalYear, calendar) {
 }
 
 function formatYear(timeValue, precision, calendar) {
-  const secondsFromEpoch = Number(timeValue);
+  const ms = toMilliseconds(timeValue);
 
-  if (!Number.isFinite(secondsFromEpoch) || Math.abs(secondsFromEpoch) > 8.64e15 / 1000) {
+  if (!Number.isFinite(ms) || Math.abs(ms) > MAX_DATE_MS) {
     const yearsFromEpoch = Number(timeValue / YEAR);
     const year = 1970 + yearsFromEpoch;
     return toDisplayYear(year, calendar);
   }
 
-  const date = new Date(secondsFromEpoch * 1000);
+  const date = new Date(ms);
   const year = date.getUTCFullYear();
 
   if (calendar !== 'holocene') {
@@ -66,26 +78,86 @@ function formatYear(timeValue, precision, calendar) {
   return toDisplayYear(year, calendar);
 }
 
+// Digits after the decimal point of a time's second, in groups of three: ".012", ".012345"
+function formatFraction(time) {
+  const nanoseconds = ((time % SECOND) + SECOND) % SECOND;
+  if (nanoseconds === 0n) return '';
+  return `.${String(nanoseconds)
+    .padStart(9, '0')
+    .replace(/(000)+$/, '')}`;
+}
+
+// "Mar 5, 2024 10:30:00.012345"
+function formatDateTime(time, calendar) {
+  const date = new Date(toMilliseconds(time));
+  const day = `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}, ${toDisplayYear(date.getUTCFullYear(), calendar)}`;
+  const clock = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+  return `${day} ${clock}${formatFraction(time)}`;
+}
+
+const DURATION_UNITS = [
+  [SECOND, 's'],
+  [MILLISECOND, 'ms'],
+  [MICROSECOND, 'µs'],
+  [NANOSECOND, 'ns'],
+];
+
+/**
+ * Short label for a duration under a minute, in the largest unit that fits
+ * and with up to three decimals: "12.345 ms", "800 ns", "1.5 s".
+ *
+ * @param {bigint} duration
+ * @returns {string}
+ */
+export function formatDuration(duration) {
+  const abs = duration < 0n ? -duration : duration;
+  const [unit, label] = DURATION_UNITS.find(([value]) => abs >= value) ?? DURATION_UNITS[DURATION_UNITS.length - 1];
+  const thousandths = ((abs % unit) * 1000n) / unit;
+  const decimals = thousandths === 0n ? '' : `.${String(thousandths).padStart(3, '0').replace(/0+$/, '')}`;
+  return `${duration < 0n ? '-' : ''}${abs / unit}${decimals} ${label}`;
+}
+
 function needsCirca(precision) {
   return (
     precision === 'decade' || precision === 'century' || precision === 'million_years' || precision === 'billion_years'
   );
 }
 
+// EDTF qualifiers: ~ approximate, ? uncertain, % both
+function circa(qualifier) {
+  return qualifier === '~' || qualifier === '%' ? 'c. ' : '';
+}
+
+function doubt(qualifier) {
+  return qualifier === '?' || qualifier === '%' ? '?' : '';
+}
+
+/**
+ * Label an event's time span for tooltips and the event panel. Approximate
+ * times read "c. 1500", uncertain ones "1984?".
+ *
+ * @param {Object} event - Normalized event, with optional `startQualifier`/`endQualifier`
+ * @param {string} [calendar]
+ * @returns {string}
+ */
 export function formatTimeRange(event, calendar) {
-  const { start, end, precision } = event;
+  const { start, end, precision, startQualifier, endQualifier } = event;
   const scale = getTimeScale(start);
-  const prefix = needsCirca(precision) ? 'c. ' : '';
+  const prefix = needsCirca(precision) ? 'c. ' : circa(startQualifier);
+  const startMark = doubt(startQualifier);
+  const endMarks = (text) => `${circa(endQualifier)}${text}${doubt(endQualifier)}`;
 
   if (scale === 'Ga') {
     if (end !== undefined) {
       const startGa = formatGa(start);
       const endGa = formatGa(end);
       if (startGa !== endGa) {
-        return `${startGa} – ${endGa} Ga`;
+        return `${circa(startQualifier)}${startGa}${startMark} – ${endMarks(endGa)} Ga`;
       }
     }
-    return `${formatGa(start)} Ga`;
+    return `${circa(startQualifier)}${formatGa(start)} Ga${startMark}`;
   }
 
   if (scale === 'Ma') {
@@ -93,10 +165,17 @@ export function formatTimeRange(event, calendar) {
       const startMa = formatMa(start);
       const endMa = formatMa(end);
       if (startMa !== endMa) {
-        return `${startMa} – ${endMa} Ma`;
+        return `${circa(startQualifier)}${startMa}${startMark} – ${endMarks(endMa)} Ma`;
       }
     }
-    return `${formatMa(start)} Ma`;
+    return `${circa(startQualifier)}${formatMa(start)} Ma${startMark}`;
+  }
+
+  // Trace spans and timestamps finer than a second show the clock time and the duration
+  const subSecondSpan = end !== undefined && end > start && end - start < SECOND;
+  if ((subSecondSpan || formatFraction(start) !== '') && Math.abs(toMilliseconds(start)) <= MAX_DATE_MS) {
+    const dateTime = formatDateTime(start, calendar);
+    return subSecondSpan ? `${dateTime} · ${formatDuration(end - start)}` : dateTime;
   }
 
   if (end !== undefined) {
@@ -108,9 +187,55 @@ export function formatTimeRange(event, calendar) {
       const suffix = calendar === 'holocene' ? ' HE' : '';
       const startClean = startLabel.replace(/ (?:HE|BHE|BCE)$/, '');
       const endClean = endLabel.replace(/ (?:HE|BHE|BCE)$/, '');
-      return `${prefix}${startClean} – ${endClean}${suffix}`;
+      return `${prefix}${startClean}${startMark} – ${endMarks(endClean)}${suffix}`;
     }
   }
 
-  return `${prefix}${formatYear(start, precision, calendar)}`;
+  return `${prefix}${formatYear(start, precision, calendar)}${startMark}`;
+}
+
+const PRECISIONS_AS_YEAR = new Set(['year', 'decade', 'century']);
+
+function trimNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Format a time as text that parseTimeQuery() accepts, for editable inputs.
+ * Deep time uses Ma/Ga, historical dates use years (BCE for year <= 0),
+ * and modern dates use ISO dates or datetimes depending on precision.
+ *
+ * @param {bigint} time - Nanoseconds from epoch
+ * @param {string} [precision] - Event precision
+ * @returns {string}
+ */
+export function formatTimeInput(time, precision) {
+  if (precision === 'billion_years' || time <= -BILLION_YEARS) {
+    return `${trimNumber(-Number(time) / Number(BILLION_YEARS))} Ga`;
+  }
+  if (precision === 'million_years' || time <= -MILLION_YEARS) {
+    return `${trimNumber(-Number(time) / Number(MILLION_YEARS))} Ma`;
+  }
+
+  const date = new Date(toMilliseconds(time));
+  if (Number.isNaN(date.getTime())) {
+    return String(Number(time / YEAR) + 1970);
+  }
+
+  const year = date.getUTCFullYear();
+  if (year < 1) return `${1 - year} BCE`;
+
+  const isMidYear =
+    date.getUTCMonth() === 6 && date.getUTCDate() === 1 && date.getUTCHours() === 0 && date.getUTCMinutes() === 0;
+  if (PRECISIONS_AS_YEAR.has(precision) || year < 100 || year > 9999 || (isMidYear && precision !== 'day')) {
+    return String(year);
+  }
+
+  const iso = date.toISOString();
+  if (precision === 'month') return iso.slice(0, 7);
+  const fraction = formatFraction(time);
+  const isMidnight =
+    date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && fraction === '';
+  if (precision === 'day' || isMidnight) return iso.slice(0, 10);
+  return `${iso.slice(0, 19)}${fraction}Z`;
 }
@@ -8,6 +8,9 @@ const TABS = [
   { id: 'examples', label: 'Examples' },
 ];
 
+// Only shown when the host provides timeline storage callbacks
+const TIMELINES_TAB = { id: 'timelines', label: 'My timelines' };
+
 const SHORTCUTS_CONTENT = `
   <h2 style="margin: 0 0 20px 0; color: #ffffff; font-size: 20px; font-weight: 600;">
     Keyboard Shortcuts
@@ -38,6 +41,36 @@ const SHORTCUTS_CONTENT = `
         </td>
         <td style="padding: 8px 0;">Toggle Human Era (HE) calendar</td>
       </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">l</kbd>
+        </td>
+        <td style="padding: 8px 0;">Toggle logarithmic (time before present) axis</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">e</kbd>
+        </td>
+        <td style="padding: 8px 0;">Toggle edit mode</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">Del</kbd>
+        </td>
+        <td style="padding: 8px 0;">Delete selected event (edit mode)</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">Ctrl+Z</kbd>
+        </td>
+        <td style="padding: 8px 0;">Undo (edit mode)</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">Ctrl+Shift+Z</kbd>
+        </td>
+        <td style="padding: 8px 0;">Redo (edit mode)</td>
+      </tr>
       <tr>
         <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
           <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">Esc</kbd>
@@ -112,6 +145,20 @@ const SHORTCUTS_CONTENT = `
         </td>
         <td style="padding: 8px 0;">Jump to last event</td>
       </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">G</kbd>
+        </td>
+        <td style="padding: 8px 0;">Group lanes by category, by group, or not at all</td>
+      </tr>
+      <tr style="border-bottom: 1px solid #3a3a4e;">
+        <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">&#x2191;</kbd>
+          <span style="margin: 0 4px; color: #6a6a8a;">or</span>
+          <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">&#x2193;</kbd>
+        </td>
+        <td style="padding: 8px 0;">Jump to previous / next group (grouped lanes)</td>
+      </tr>
       <tr style="border-bottom: 1px solid #3a3a4e;">
         <td style="padding: 8px 16px 8px 0; font-family: monospace; color: #8a8aaa;">
           <kbd style="background: #1a1a2e; padding: 2px 8px; border-radius: 4px; border: 1px solid #4a4a6a;">Enter</kbd>
@@ -141,6 +188,7 @@ const SHORTCUTS_CONTENT = `
     <li><strong>Pan:</strong> Click and drag to move through time</li>
     <li><strong>Zoom:</strong> Scroll to zoom in/out at cursor position</li>
     <li><strong>Select:</strong> Click on event to select, Ctrl+click to multi-select</li>
+    <li><strong>Groups:</strong> Click a group header to collapse or expand its lanes</li>
   </ul>
 
   <h2 style="margin: 24px 0 16px 0; color: #ffffff; font-size: 20px; font-weight: 600;">
@@ -307,6 +355,16 @@ const DATA_CONTENT = `
   "end": "1969-07-24"
 }]</code></pre>
 
+  <p style="margin: 0 0 12px 0; color: #a0a0b0; font-size: 14px; line-height: 1.6;">
+    Or a CSV/TSV file with a header row:
+  </p>
+  <pre style="background: #1a1a2e; padding: 12px; border-radius: 6px; font-size: 12px; overflow-x: auto; margin: 0 0 20px 0; border: 1px solid #3a3a4e;"><code style="color: #e0e0e0;">id,label,start,end,category,tags
+apollo-11,Moon Landing,1969-07-20,1969-07-24,space,"nasa;moon"</code></pre>
+
+  <p style="margin: 0 0 20px 0; color: #a0a0b0; font-size: 14px; line-height: 1.6;">
+    iCalendar (.ics) exports from calendar apps load too, with recurring events expanded up to a year ahead.
+  </p>
+
   <p style="margin: 0; color: #6a6a8a; font-size: 13px; line-height: 1.6;">
     See the <a href="https://github.com/charly-vibes/nayra#data-format" target="_blank" style="color: #00d9ff; text-decoration: none;">README</a> for full schema documentation including geological timescales (Ma, Ga) and Wikidata integration.
   </p>
@@ -349,9 +407,117 @@ function buildExamplesContent() {
   `;
 }
 
+const TIMELINES_BUTTON_STYLE = `
+  padding: 6px 12px;
+  background: #1a1a2e;
+  border: 1px solid #4a4a6a;
+  border-radius: 4px;
+  color: #00d9ff;
+  font-size: 13px;
+  cursor: pointer;
+`;
+
+const EXPORT_HEADING = `
+  <h3 style="margin: 24px 0 12px 0; color: #c0c0d0; font-size: 16px; font-weight: 500;">
+    Export
+  </h3>
+`;
+
+const EXPORT_CONTENT = `
+  <div data-export-controls style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap;">
+    <select name="export-scope" aria-label="Events to export" style="
+      padding: 6px 8px;
+      background: #1a1a2e;
+      border: 1px solid #4a4a6a;
+      border-radius: 4px;
+      color: #e0e0e0;
+      font-size: 13px;
+    ">
+      <option value="all">All events</option>
+      <option value="filtered">Filtered events</option>
+      <option value="selected">Selected events</option>
+    </select>
+    <button type="button" data-export="json" style="${TIMELINES_BUTTON_STYLE}">JSON</button>
+    <button type="button" data-export="jsonld" style="${TIMELINES_BUTTON_STYLE}">JSON-LD</button>
+    <button type="button" data-export="csv" style="${TIMELINES_BUTTON_STYLE}">CSV</button>
+  </div>
+`;
+
+const EXPORT_IMAGE_CONTENT = `
+  <div data-export-image-controls style="display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-top: 12px;">
+    <span style="color: #c0c0d0; font-size: 13px;">Export image of the current view:</span>
+    <select name="image-scale" aria-label="Image resolution" style="
+      padding: 6px 8px;
+      background: #1a1a2e;
+      border: 1px solid #4a4a6a;
+      border-radius: 4px;
+      color: #e0e0e0;
+      font-size: 13px;
+    ">
+      <option value="1">1x</option>
+      <option value="2" selected>2x</option>
+      <option value="4">4x</option>
+    </select>
+    <button type="button" data-export-image="png" style="${TIMELINES_BUTTON_STYLE}">PNG</button>
+    <button type="button" data-export-image="svg" style="${TIMELINES_BUTTON_STYLE}">SVG</button>
+  </div>
+`;
+
+function buildTimelinesContent({ withExport, withImageExport }) {
+  return `
+    <h2 style="margin: 0 0 20px 0; color: #ffffff; font-size: 20px; font-weight: 600;">
+      My Timelines
+    </h2>
+    <form data-save-timeline style="display: flex; gap: 8px; margin: 0 0 8px 0;">
+      <input name="name" type="text" required aria-label="Timeline name" placeholder="Name this timeline" style="
+        flex: 1;
+        padding: 6px 10px;
+        background: #1a1a2e;
+        border: 1px solid #4a4a6a;
+        border-radius: 4px;
+        color: #e0e0e0;
+        font-size: 14px;
+      ">
+      <button type="submit" style="${TIMELINES_BUTTON_STYLE}">Save current</button>
+    </form>
+    <p data-timelines-status role="status" style="margin: 0 0 16px 0; min-height: 18px; color: #8a8aaa; font-size: 13px;"></p>
+    <ul data-timelines-list style="list-style: none; margin: 0; padding: 0; border: 1px solid #3a3a4e; border-radius: 6px;"></ul>
+    <p style="margin: 16px 0 0 0; color: #6a6a8a; font-size: 13px; line-height: 1.6;">
+      Timelines are stored in this browser. Your last session is restored automatically.
+    </p>
+    ${withExport || withImageExport ? EXPORT_HEADING : ''}
+    ${withExport ? EXPORT_CONTENT : ''}
+    ${withImageExport ? EXPORT_IMAGE_CONTENT : ''}
+  `;
+}
+
+// Text fields keep their own arrow keys and "?"
+function isEditable(target) {
+  return target instanceof HTMLElement && (target.matches('input, textarea, select') || target.isContentEditable);
+}
+
+/**
+ * Create the help dialog.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} [options]
+ * @param {Function} [options.onLoad] - Called with an example id or a picked File
+ * @param {Function} [options.onListTimelines] - Resolves to saved timelines ({ name, savedAt, eventCount });
+ *   enables the "My timelines" tab
+ * @param {Function} [options.onSaveTimeline] - Called with a name to save the current timeline
+ * @param {Function} [options.onOpenTimeline] - Called with the name of a saved timeline to load
+ * @param {Function} [options.onDeleteTimeline] - Called with the name of a saved timeline to delete
+ * @param {Function} [options.onExport] - Called with (format, scope) to export events ('json'|'jsonld'|'csv',
+ *   'all'|'filtered'|'selected'); adds an Export section to the "My timelines" tab
+ * @param {Function} [options.onExportImage] - Called with (format, scale) to export an image of the current view
+ *   ('png'|'svg', resolution multiplier); adds image buttons to the Export section
+ */
 export function createHelpMenu(container, options = {}) {
-  const { onLoad } = options;
+  const { onLoad, onListTimelines, onSaveTimeline, onOpenTimeline, onDeleteTimeline, onExport, onExportImage } =
+    options;
+  const tabs = onListTimelines ? [...TABS, TIMELINES_TAB] : TABS;
   let activeTab = 'shortcuts';
+  let timelinesPanel = null;
 
   const element = document.createElement('div');
   element.className = 'help-menu-overlay';
@@ -398,7 +564,7 @@ export function createHelpMenu(container, options = {}) {
 
   const tabButtons = {};
 
-  TABS.forEach((tab, index) => {
+  tabs.forEach((tab, index) => {
     const button = document.createElement('button');
     button.className = 'help-tab';
     button.dataset.tab = tab.id;
@@ -413,7 +579,7 @@ export function createHelpMenu(container, options = {}) {
       font-weight: 500;
       cursor: pointer;
       transition: color 0.15s, background 0.15s;
-      border-radius: ${index === 0 ? '12px 0 0 0' : index === TABS.length - 1 ? '0 12px 0 0' : '0'};
+      border-radius: ${index === 0 ? '12px 0 0 0' : index === tabs.length - 1 ? '0 12px 0 0' : '0'};
     `;
 
     button.addEventListener('click', () => switchTab(tab.id));
@@ -442,7 +608,7 @@ export function createHelpMenu(container, options = {}) {
 
   const panels = {};
 
-  TABS.forEach((tab) => {
+  tabs.forEach((tab) => {
     const panel = document.createElement('div');
     panel.className = 'help-panel';
     panel.dataset.panel = tab.id;
@@ -457,6 +623,12 @@ export function createHelpMenu(container, options = {}) {
     } else if (tab.id === 'examples') {
       panel.innerHTML = buildExamplesContent();
       setupExamplesPanel(panel);
+    } else if (tab.id === 'timelines') {
+      panel.innerHTML = buildTimelinesContent({
+        withExport: Boolean(onExport),
+        withImageExport: Boolean(onExportImage),
+      });
+      setupTimelinesPanel(panel);
     }
 
     panelContainer.appendChild(panel);
@@ -492,7 +664,7 @@ export function createHelpMenu(container, options = {}) {
       filePickerBtn.addEventListener('click', () => {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.json';
+        input.accept = '.json,.jsonld,.csv,.tsv,.ics';
         input.onchange = () => {
           if (input.files[0] && onLoad) {
             onLoad(input.files[0]);
@@ -504,6 +676,123 @@ export function createHelpMenu(container, options = {}) {
     }
   }
 
+  function setupTimelinesPanel(panel) {
+    timelinesPanel = panel;
+    const form = panel.querySelector('[data-save-timeline]');
+    // Keep typing a name from reaching timeline keyboard shortcuts
+    form.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = form.elements.name.value.trim();
+      if (!name || !onSaveTimeline) return;
+      try {
+        await onSaveTimeline(name);
+        form.elements.name.value = '';
+        setTimelinesStatus(`Saved "${name}"`);
+      } catch (error) {
+        setTimelinesStatus(`Could not save: ${error.message}`);
+      }
+      await refreshTimelines();
+    });
+
+    panel.querySelectorAll('[data-export]').forEach((button) => {
+      button.addEventListener('click', () => {
+        onExport(button.dataset.export, panel.querySelector('[name="export-scope"]').value);
+      });
+    });
+
+    panel.querySelectorAll('[data-export-image]').forEach((button) => {
+      button.addEventListener('click', () => {
+        onExportImage(button.dataset.exportImage, Number(panel.querySelector('[name="image-scale"]').value));
+      });
+    });
+  }
+
+  function setTimelinesStatus(message) {
+    timelinesPanel.querySelector('[data-timelines-status]').textContent = message;
+  }
+
+  function createTimelineButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = TIMELINES_BUTTON_STYLE;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  function renderTimelineItem({ name, savedAt, eventCount }) {
+    const li = document.createElement('li');
+    li.dataset.timeline = name;
+    li.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 10px 16px;
+      border-bottom: 1px solid #3a3a4e;
+    `;
+
+    const text = document.createElement('div');
+    text.style.flex = '1';
+    const title = document.createElement('div');
+    title.style.cssText = 'color: #ffffff; font-weight: 500; margin-bottom: 2px;';
+    title.textContent = name;
+    const meta = document.createElement('div');
+    meta.style.cssText = 'color: #8a8aaa; font-size: 12px;';
+    meta.textContent = `${eventCount} events · saved ${new Date(savedAt).toLocaleString()}`;
+    text.append(title, meta);
+
+    const openBtn = createTimelineButton('Open', () => {
+      onOpenTimeline?.(name);
+      hide();
+    });
+    openBtn.setAttribute('aria-label', `Open ${name}`);
+
+    // Deleting asks for a second click to confirm
+    const deleteBtn = createTimelineButton('Delete', async () => {
+      if (deleteBtn.dataset.confirm !== 'true') {
+        deleteBtn.dataset.confirm = 'true';
+        deleteBtn.textContent = 'Confirm delete';
+        deleteBtn.style.color = '#ff6b6b';
+        return;
+      }
+      try {
+        await onDeleteTimeline?.(name);
+        setTimelinesStatus(`Deleted "${name}"`);
+      } catch (error) {
+        setTimelinesStatus(`Could not delete: ${error.message}`);
+      }
+      await refreshTimelines();
+    });
+    deleteBtn.setAttribute('aria-label', `Delete ${name}`);
+
+    li.append(text, openBtn, deleteBtn);
+    return li;
+  }
+
+  async function refreshTimelines() {
+    if (!timelinesPanel) return;
+    const list = timelinesPanel.querySelector('[data-timelines-list]');
+    let timelines;
+    try {
+      timelines = await onListTimelines();
+    } catch (error) {
+      list.replaceChildren();
+      setTimelinesStatus(`Could not read saved timelines: ${error.message}`);
+      return;
+    }
+    if (timelines.length === 0) {
+      const empty = document.createElement('li');
+      empty.style.cssText = 'padding: 12px 16px; color: #8a8aaa; font-size: 13px;';
+      empty.textContent = 'No saved timelines yet.';
+      list.replaceChildren(empty);
+    } else {
+      list.replaceChildren(...timelines.map(renderTimelineItem));
+    }
+  }
+
   // Footer
   const footer = document.createElement('p');
   footer.style.cssText = `
@@ -547,6 +836,10 @@ export function createHelpMenu(container, options = {}) {
     Object.entries(panels).forEach(([id, panel]) => {
       panel.style.display = id === tabId ? 'block' : 'none';
     });
+
+    if (tabId === 'timelines') {
+      refreshTimelines();
+    }
   }
 
   // Initialize first tab
@@ -571,21 +864,21 @@ export function createHelpMenu(container, options = {}) {
   });
 
   function onKeyDown(e) {
-    if (!isVisible()) return;
+    if (!isVisible() || isEditable(e.target)) return;
 
     if (e.key === '?') {
       e.preventDefault();
       hide();
     } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
       e.preventDefault();
-      const currentIndex = TABS.findIndex((t) => t.id === activeTab);
+      const currentIndex = tabs.findIndex((t) => t.id === activeTab);
       let newIndex;
       if (e.key === 'ArrowLeft') {
-        newIndex = currentIndex === 0 ? TABS.length - 1 : currentIndex - 1;
+        newIndex = currentIndex === 0 ? tabs.length - 1 : currentIndex - 1;
       } else {
-        newIndex = currentIndex === TABS.length - 1 ? 0 : currentIndex + 1;
+        newIndex = currentIndex === tabs.length - 1 ? 0 : currentIndex + 1;
       }
-      switchTab(TABS[newIndex].id);
+      switchTab(tabs[newIndex].id);
     }
   }
 
@@ -594,6 +887,9 @@ export function createHelpMenu(container, options = {}) {
   function show(triggerElement = null) {
     element.style.display = 'flex';
     focusTrap.activate(triggerElement);
+    if (activeTab === 'timelines') {
+      refreshTimelines();
+    }
   }
 
   function hide() {
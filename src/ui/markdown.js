@@ -0,0 +1,92 @@
+/**
+ * Minimal markdown for dataset-authored text such as tour captions.
+ *
+ * Supports paragraphs (separated by blank lines), line breaks, `code`,
+ * **bold**, *emphasis* / _emphasis_ and [links](https://example.com). The
+ * output is built from DOM nodes, never HTML strings, so captions cannot
+ * inject markup; links are limited to http(s) and mailto URLs.
+ */
+
+// `code` | **bold** | *em* | _em_ | [text](url)
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_]+)_\b|\[([^\]]+)\]\(([^)\s]+)\)/g;
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+function paragraphsOf(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+function appendInline(parent, text) {
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) appendText(parent, text.slice(last, match.index));
+    const [, code, bold, em, underscoreEm, linkText, url] = match;
+    if (code !== undefined) {
+      const element = document.createElement('code');
+      element.textContent = code;
+      parent.appendChild(element);
+    } else if (bold !== undefined || em !== undefined || underscoreEm !== undefined) {
+      const element = document.createElement(bold !== undefined ? 'strong' : 'em');
+      appendInline(element, bold ?? em ?? underscoreEm);
+      parent.appendChild(element);
+    } else if (SAFE_URL.test(url)) {
+      const link = document.createElement('a');
+      link.href = url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.style.color = '#8ab4ff';
+      appendInline(link, linkText);
+      parent.appendChild(link);
+    } else {
+      appendInline(parent, linkText);
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) appendText(parent, text.slice(last));
+}
+
+// Single newlines inside a paragraph become line breaks
+function appendText(parent, text) {
+  text.split('\n').forEach((line, i) => {
+    if (i > 0) parent.appendChild(document.createElement('br'));
+    if (line) parent.appendChild(document.createTextNode(line));
+  });
+}
+
+/**
+ * Render markdown text as DOM nodes.
+ *
+ * @param {string} text
+ * @returns {DocumentFragment} One `<p>` per paragraph
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  for (const paragraph of paragraphsOf(text ?? '')) {
+    const p = document.createElement('p');
+    p.style.margin = '0 0 8px 0';
+    appendInline(p, paragraph);
+    fragment.appendChild(p);
+  }
+  return fragment;
+}
+
+/**
+ * Plain text of markdown, e.g. for screen reader announcements.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function markdownToText(text) {
+  return paragraphsOf(text ?? '')
+    .map((paragraph) =>
+      paragraph
+        .replace(
+          INLINE_PATTERN,
+          (_, code, bold, em, underscoreEm, linkText) => code ?? markdownToText(bold ?? em ?? underscoreEm ?? linkText),
+        )
+        .replace(/\s*\n\s*/g, ' '),
+    )
+    .join(' ');
+}
@@ -0,0 +1,358 @@
+/**
+ * Overview strip showing the whole dataset below the timeline, with a brush
+ * marking the part in view. Dragging the brush pans, dragging its edges zooms
+ * and clicking elsewhere jumps there. Datasets whose events spread over many
+ * orders of magnitude get a logarithmic time-before-present axis.
+ */
+
+import { LogScale } from '../core/log-scale.js';
+import { zoomToRange } from '../core/navigation.js';
+import { RationalScale } from '../core/scale.js';
+import { DAY, fromMilliseconds, projectToScreen, screenToTime } from '../core/time.js';
+import { applyDpiScaling } from '../rendering/dpi-scaling.js';
+import { EVENT_COLORS, getEventColor } from '../rendering/renderer.js';
+import { formatTimeRange } from './format.js';
+
+export const MINIMAP_HEIGHT = 40;
+// Log axis once the newer half of the events spans less than this share of the dataset
+const LOG_AXIS_RATIO = 1000n;
+const PADDING = 8;
+const HANDLE_WIDTH = 6;
+const MIN_BRUSH_WIDTH = 4;
+const BRUSH_COLOR = '#00d9ff';
+const BACKGROUND_COLOR = '#15152a';
+// Share of the visible range the arrow keys pan by
+const KEY_PAN_FRACTION = 0.1;
+
+function getBounds(events) {
+  let start = events[0].start;
+  let end = events[0].end ?? start;
+  for (const event of events) {
+    if (event.start < start) start = event.start;
+    const eventEnd = event.end ?? event.start;
+    if (eventEnd > end) end = eventEnd;
+  }
+  return { start, end };
+}
+
+/**
+ * Whether the overview needs a log axis: true when the newer half of the
+ * events would be squeezed into a sliver of a linear axis.
+ *
+ * @param {Array} events
+ * @returns {boolean}
+ */
+export function needsLogAxis(events) {
+  if (events.length < 2) return false;
+  const starts = events.map((event) => event.start).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const { start, end } = getBounds(events);
+  const median = starts[Math.floor(starts.length / 2)];
+  return (end - median) * LOG_AXIS_RATIO < end - start;
+}
+
+/**
+ * Viewport of the overview strip: the full extent of the events across
+ * `width` pixels, less a small padding on each side.
+ *
+ * @param {Array} events
+ * @param {number} width - Strip width in pixels
+ * @param {bigint} present - Reference time for a log axis (moved up to the newest event)
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale, start: bigint, end: bigint }|null}
+ *   Null without events or room to draw them
+ */
+export function getOverviewViewport(events, width, present) {
+  if (events.length === 0 || width <= 2 * PADDING) return null;
+  const { start, end } = getBounds(events);
+
+  if (needsLogAxis(events)) {
+    const logPresent = present > end ? present : end;
+    return { ...LogScale.fromRange(start, end, width, logPresent, { margin: PADDING }), start, end };
+  }
+
+  const span = end > start ? end - start : DAY;
+  // An exact ratio keeps the first and last events on the padding at any time unit
+  const scale = new RationalScale(BigInt(Math.ceil(width - 2 * PADDING)), span);
+  return { viewportStart: start - scale.pxToTime(PADDING), scale, start, end };
+}
+
+/**
+ * Events per pixel column of the overview, with each column's most common
+ * event color. Span events count in every column they cover.
+ *
+ * @param {Array} events
+ * @param {{ viewportStart: bigint, scale: RationalScale|LogScale }} overview
+ * @param {number} width - Strip width in pixels
+ * @returns {{ counts: Uint32Array, colors: Array<string|null>, max: number }}
+ */
+export function computeDensity(events, overview, width) {
+  const columns = Math.floor(width);
+  // Per color, +1 where an event's columns start and -1 after they end
+  const deltas = EVENT_COLORS.map(() => new Int32Array(columns + 1));
+  const colorIndex = new Map(EVENT_COLORS.map((color, i) => [color, i]));
+  const toColumn = (time) => {
+    const x = Math.floor(projectToScreen(time, overview.viewportStart, overview.scale));
+    return Math.max(0, Math.min(columns - 1, x));
+  };
+
+  for (const event of events) {
+    const deltasForColor = deltas[colorIndex.get(getEventColor(event.id))];
+    deltasForColor[toColumn(event.start)]++;
+    deltasForColor[toColumn(event.end ?? event.start) + 1]--;
+  }
+
+  const counts = new Uint32Array(columns);
+  const colors = new Array(columns).fill(null);
+  const running = new Array(EVENT_COLORS.length).fill(0);
+  let max = 0;
+  for (let x = 0; x < columns; x++) {
+    let best = -1;
+    for (let c = 0; c < EVENT_COLORS.length; c++) {
+      running[c] += deltas[c][x];
+      counts[x] += running[c];
+      if (running[c] > 0 && (best === -1 || running[c] > running[best])) best = c;
+    }
+    if (best !== -1) colors[x] = EVENT_COLORS[best];
+    if (counts[x] > max) max = counts[x];
+  }
+  return { counts, colors, max };
+}
+
+/**
+ * Create the overview strip. It stays hidden until there are events.
+ * The brush is keyboard accessible as a slider: the arrow keys and
+ * PageUp/PageDown pan, Home/End jump to the start/end of the dataset.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onNavigate - Called with a viewport and `{ animate }` to move the timeline
+ */
+export function createMinimap(container, { onNavigate }) {
+  const element = document.createElement('div');
+  element.className = 'minimap';
+  element.style.cssText = `
+    position: relative;
+    height: ${MINIMAP_HEIGHT}px;
+    background: ${BACKGROUND_COLOR};
+    border-top: 1px solid #4a4a6a;
+  `;
+  element.style.display = 'none';
+
+  const canvas = document.createElement('canvas');
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'slider');
+  canvas.setAttribute('aria-label', 'Timeline overview');
+  canvas.setAttribute('aria-valuemin', '0');
+  canvas.setAttribute('aria-valuemax', '100');
+  canvas.style.cssText = 'display: block; width: 100%; height: 100%; cursor: pointer;';
+  element.appendChild(canvas);
+  container.appendChild(element);
+
+  const ctx = canvas.getContext('2d');
+  let state = null;
+  let overview = null;
+  let density = null;
+  // Inputs the cached overview and density were computed from
+  let cachedEvents = null;
+  let cachedWidth = 0;
+  let cachedPresent = null;
+  let drawnSize = null;
+  // { type: 'move', offset } or { type: 'start' | 'end' } while dragging the brush
+  let drag = null;
+
+  function toTime(x) {
+    return screenToTime(x, overview.viewportStart, overview.scale);
+  }
+
+  function toX(time) {
+    return projectToScreen(time, overview.viewportStart, overview.scale);
+  }
+
+  function getViewportEnd() {
+    return screenToTime(state.canvasWidth, state.viewportStart, state.scale);
+  }
+
+  // Brush edges in strip pixels; off-strip viewports give edges outside [0, width]
+  function getBrush() {
+    return [toX(state.viewportStart), toX(getViewportEnd())];
+  }
+
+  function hitBrush(x) {
+    const [left, right] = getBrush();
+    const handle = Math.min(HANDLE_WIDTH, (right - left) / 3);
+    if (Math.abs(x - left) <= handle) return 'start';
+    if (Math.abs(x - right) <= handle) return 'end';
+    // Brushes narrower than MIN_BRUSH_WIDTH are drawn (and grabbed) at that width
+    return Math.abs(x - (left + right) / 2) < Math.max(right - left, MIN_BRUSH_WIDTH) / 2 ? 'move' : null;
+  }
+
+  function navigate(viewport, animate = false) {
+    onNavigate(viewport, { animate });
+  }
+
+  function refreshOverview(width) {
+    // Log overviews measure ages from the timeline's present when it has one, else from now
+    const present = state.scale.logarithmic ? state.scale.present : null;
+    if (state.events === cachedEvents && width === cachedWidth && present === cachedPresent) return;
+    cachedEvents = state.events;
+    cachedWidth = width;
+    cachedPresent = present;
+    overview = getOverviewViewport(state.events, width, present ?? fromMilliseconds(Date.now()));
+    density = overview ? computeDensity(state.events, overview, width) : null;
+  }
+
+  function draw(width, height) {
+    ctx.fillStyle = BACKGROUND_COLOR;
+    ctx.fillRect(0, 0, width, height);
+
+    const { counts, colors, max } = density;
+    const logMax = Math.log1p(max);
+    for (let x = 0; x < counts.length; x++) {
+      if (counts[x] === 0) continue;
+      const barHeight = Math.max(2, ((height - 4) * Math.log1p(counts[x])) / logMax);
+      ctx.fillStyle = colors[x];
+      ctx.fillRect(x, height - 2 - barHeight, 1, barHeight);
+    }
+
+    const [left, right] = getBrush();
+    const center = (left + right) / 2;
+    const halfWidth = Math.max(right - left, MIN_BRUSH_WIDTH) / 2;
+    const x0 = Math.max(0, center - halfWidth);
+    const x1 = Math.min(width, center + halfWidth);
+    if (x1 > x0) {
+      ctx.fillStyle = 'rgba(0, 217, 255, 0.15)';
+      ctx.fillRect(x0, 0, x1 - x0, height);
+      ctx.strokeStyle = BRUSH_COLOR;
+      ctx.lineWidth = document.activeElement === canvas ? 2 : 1;
+      ctx.strokeRect(x0 + 0.5, 0.5, x1 - x0 - 1, height - 1);
+    }
+  }
+
+  function updateAria(width) {
+    const [left, right] = getBrush();
+    const position = Math.round((((left + right) / 2) * 100) / width);
+    canvas.setAttribute('aria-valuenow', String(Math.max(0, Math.min(100, position))));
+    const range = formatTimeRange({ start: state.viewportStart, end: getViewportEnd() }, state.calendar);
+    canvas.setAttribute('aria-valuetext', `Showing ${range}`);
+  }
+
+  /**
+   * Redraw for the timeline's current state.
+   *
+   * @param {Object} nextState - Store state
+   */
+  function update(nextState) {
+    state = nextState;
+    if (state.events.length === 0) {
+      element.style.display = 'none';
+      overview = null;
+      cachedEvents = null;
+      return;
+    }
+    element.style.display = 'block';
+
+    const rect = canvas.getBoundingClientRect();
+    refreshOverview(rect.width);
+    if (!overview || !ctx) return;
+
+    if (!drawnSize || drawnSize.width !== rect.width || drawnSize.height !== rect.height) {
+      applyDpiScaling(canvas, ctx);
+      drawnSize = { width: rect.width, height: rect.height };
+    }
+    draw(rect.width, rect.height);
+    updateAria(rect.width);
+  }
+
+  function pointerX(e) {
+    return e.clientX - canvas.getBoundingClientRect().left;
+  }
+
+  function onPointerDown(e) {
+    if (e.button !== 0 || !overview) return;
+    e.stopPropagation();
+    const x = pointerX(e);
+    const hit = hitBrush(x);
+    if (hit === null) {
+      // Center the view on the clicked time at the current zoom
+      navigate(
+        { viewportStart: state.scale.viewportStartFor(toTime(x), state.canvasWidth / 2), scale: state.scale },
+        true,
+      );
+      return;
+    }
+    drag = hit === 'move' ? { type: 'move', offset: x - getBrush()[0] } : { type: hit };
+    canvas.style.cursor = hit === 'move' ? 'grabbing' : 'ew-resize';
+    try {
+      canvas.setPointerCapture(e.pointerId);
+    } catch {
+      // InvalidStateError can occur if element is not in DOM
+    }
+  }
+
+  function onPointerMove(e) {
+    if (!overview) return;
+    const x = pointerX(e);
+    if (!drag) {
+      const hit = hitBrush(x);
+      canvas.style.cursor = hit === 'move' ? 'grab' : hit ? 'ew-resize' : 'pointer';
+      return;
+    }
+
+    if (drag.type === 'move') {
+      navigate({ viewportStart: toTime(x - drag.offset), scale: state.scale });
+      return;
+    }
+    const [left, right] = getBrush();
+    const start = drag.type === 'start' ? Math.min(x, right - MIN_BRUSH_WIDTH) : left;
+    const end = drag.type === 'end' ? Math.max(x, left + MIN_BRUSH_WIDTH) : right;
+    navigate(
+      zoomToRange(toTime(start), toTime(end), state.canvasWidth, { targetVisibleFraction: 1, scale: state.scale }),
+    );
+  }
+
+  function onPointerUp(e) {
+    if (!drag) return;
+    drag = null;
+    canvas.style.cursor = hitBrush(pointerX(e)) === 'move' ? 'grab' : 'pointer';
+  }
+
+  function onKeyDown(e) {
+    if (!overview) return;
+    const { viewportStart, scale, canvasWidth } = state;
+    const panFraction = { ArrowLeft: -KEY_PAN_FRACTION, ArrowRight: KEY_PAN_FRACTION, PageUp: -1, PageDown: 1 }[e.key];
+    if (panFraction !== undefined) {
+      navigate({ viewportStart: viewportStart + scale.pxToTime(canvasWidth * panFraction, viewportStart), scale });
+    } else if (e.key === 'Home') {
+      navigate({ viewportStart: overview.start, scale }, true);
+    } else if (e.key === 'End') {
+      navigate({ viewportStart: scale.viewportStartFor(overview.end, canvasWidth), scale }, true);
+    } else {
+      return;
+    }
+    // Keep these keys away from the timeline's own shortcuts
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  // The brush outline is thicker while the strip has focus
+  function redrawFocus() {
+    if (state) update(state);
+  }
+
+  canvas.addEventListener('pointerdown', onPointerDown);
+  canvas.addEventListener('pointermove', onPointerMove);
+  canvas.addEventListener('pointerup', onPointerUp);
+  canvas.addEventListener('pointercancel', onPointerUp);
+  canvas.addEventListener('keydown', onKeyDown);
+  canvas.addEventListener('focus', redrawFocus);
+  canvas.addEventListener('blur', redrawFocus);
+
+  function isVisible() {
+    return element.style.display !== 'none';
+  }
+
+  function destroy() {
+    element.remove();
+  }
+
+  return { element, update, isVisible, destroy };
+}
@@ -0,0 +1,136 @@
+const PENCIL_ICON = `<svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+  <path d="M13.5 3.5l3 3L7 16H4v-3l9.5-9.5z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/>
+</svg>`;
+
+const EYE_ICON = `<svg width="20" height="20" viewBox="0 0 20 20" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+  <path d="M1.5 10S4.5 4 10 4s8.5 6 8.5 6-3 6-8.5 6S1.5 10 1.5 10z" stroke="currentColor" stroke-width="2"/>
+  <circle cx="10" cy="10" r="2.5" stroke="currentColor" stroke-width="2"/>
+</svg>`;
+
+export const EDIT_MODE_COLOR = '#ffb347';
+
+/**
+ * Button switching between view and edit mode. Shows a pencil in view mode,
+ * an eye in edit mode, and a dot when the dataset has unsaved changes.
+ *
+ * @param {HTMLElement} container
+ * @param {{ onToggle: Function }} callbacks
+ */
+export function createModeToggle(container, { onToggle }) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'mode-toggle';
+
+  button.style.position = 'fixed';
+  button.style.bottom = 'env(safe-area-inset-bottom, 16px)';
+  button.style.left = 'env(safe-area-inset-left, 16px)';
+  button.style.width = '44px';
+  button.style.height = '44px';
+  button.style.borderRadius = '8px';
+  button.style.border = '1px solid #4a4a6a';
+  button.style.background = '#2a2a3e';
+  button.style.color = '#e0e0e0';
+  button.style.cursor = 'pointer';
+  button.style.zIndex = '900';
+  button.style.display = 'flex';
+  button.style.alignItems = 'center';
+  button.style.justifyContent = 'center';
+  button.style.touchAction = 'manipulation';
+  button.style.webkitTapHighlightColor = 'transparent';
+
+  const icon = document.createElement('span');
+  icon.style.display = 'flex';
+  button.appendChild(icon);
+
+  const dirtyDot = document.createElement('span');
+  dirtyDot.className = 'mode-toggle-dirty';
+  dirtyDot.setAttribute('aria-hidden', 'true');
+  dirtyDot.style.cssText = `
+    position: absolute;
+    top: 6px;
+    right: 6px;
+    width: 8px;
+    height: 8px;
+    border-radius: 50%;
+    background: ${EDIT_MODE_COLOR};
+    display: none;
+  `;
+  button.appendChild(dirtyDot);
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    onToggle();
+  };
+  const handlePointerDown = (e) => {
+    e.stopPropagation();
+  };
+
+  button.addEventListener('click', handleClick);
+  button.addEventListener('pointerdown', handlePointerDown);
+  container.appendChild(button);
+
+  /**
+   * @param {{ mode: string, hasUnsavedChanges: boolean }} state
+   */
+  function update({ mode, hasUnsavedChanges }) {
+    const editing = mode === 'edit';
+    icon.innerHTML = editing ? EYE_ICON : PENCIL_ICON;
+    const label = editing ? 'Exit edit mode' : 'Enter edit mode';
+    button.setAttribute('aria-label', hasUnsavedChanges ? `${label} (unsaved changes)` : label);
+    button.setAttribute('aria-pressed', String(editing));
+    button.setAttribute('title', `${label} (e)`);
+    button.style.borderColor = editing ? EDIT_MODE_COLOR : '#4a4a6a';
+    button.style.color = editing ? EDIT_MODE_COLOR : '#e0e0e0';
+    dirtyDot.style.display = hasUnsavedChanges ? 'block' : 'none';
+  }
+
+  update({ mode: 'view', hasUnsavedChanges: false });
+
+  function destroy() {
+    button.removeEventListener('click', handleClick);
+    button.removeEventListener('pointerdown', handlePointerDown);
+    button.remove();
+  }
+
+  return { element: button, update, destroy };
+}
+
+/**
+ * "Edit Mode" badge shown over a timeline while edit mode is active.
+ *
+ * @param {HTMLElement} container
+ */
+export function createModeBadge(container) {
+  const badge = document.createElement('div');
+  badge.className = 'mode-badge';
+  badge.textContent = 'Edit Mode';
+  badge.setAttribute('aria-hidden', 'true');
+  badge.style.cssText = `
+    position: absolute;
+    top: 12px;
+    left: 12px;
+    padding: 4px 10px;
+    border-radius: 4px;
+    background: ${EDIT_MODE_COLOR};
+    color: #1a1a2e;
+    font: 600 12px system-ui, sans-serif;
+    letter-spacing: 0.05em;
+    text-transform: uppercase;
+    pointer-events: none;
+    z-index: 800;
+    display: none;
+  `;
+  container.appendChild(badge);
+
+  function update(mode) {
+    badge.style.display = mode === 'edit' ? 'block' : 'none';
+  }
+
+  return {
+    element: badge,
+    update,
+    destroy() {
+      badge.remove();
+    },
+  };
+}
@@ -0,0 +1,88 @@
+const DEFAULT_DURATION = 4000;
+
+/**
+ * Non-blocking notice shown at the top of the page, e.g. when a deep link
+ * names an event that is not loaded. Hides itself after a few seconds or
+ * when dismissed; it never takes focus.
+ *
+ * @param {HTMLElement} container
+ * @param {{ duration?: number }} [options] - Milliseconds before the notice hides
+ */
+export function createNotice(container, { duration = DEFAULT_DURATION } = {}) {
+  const element = document.createElement('div');
+  element.className = 'notice';
+  element.setAttribute('role', 'status');
+  element.setAttribute('aria-live', 'polite');
+  element.style.cssText = `
+    position: fixed;
+    top: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    align-items: center;
+    gap: 12px;
+    max-width: calc(100vw - 32px);
+    padding: 10px 12px 10px 16px;
+    border-radius: 8px;
+    border: 1px solid #4a4a6a;
+    background: #2a2a3e;
+    color: #e0e0e0;
+    font: 14px system-ui, sans-serif;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+    z-index: 1100;
+  `;
+  element.style.display = 'none';
+
+  const message = document.createElement('span');
+  message.className = 'notice-message';
+  element.appendChild(message);
+
+  const dismissBtn = document.createElement('button');
+  dismissBtn.type = 'button';
+  dismissBtn.className = 'notice-dismiss';
+  dismissBtn.textContent = '×';
+  dismissBtn.setAttribute('aria-label', 'Dismiss');
+  dismissBtn.style.cssText = `
+    background: none;
+    border: none;
+    color: #8a8aaa;
+    font-size: 18px;
+    line-height: 1;
+    cursor: pointer;
+    padding: 0 4px;
+  `;
+  element.appendChild(dismissBtn);
+
+  let hideTimer = null;
+
+  const handleDismiss = () => hide();
+  dismissBtn.addEventListener('click', handleDismiss);
+  container.appendChild(element);
+
+  /**
+   * @param {string} text - Message to show (set as text, never parsed as HTML)
+   */
+  function show(text) {
+    message.textContent = text;
+    element.style.display = 'flex';
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hide, duration);
+  }
+
+  function hide() {
+    clearTimeout(hideTimer);
+    hideTimer = null;
+    element.style.display = 'none';
+  }
+
+  function isVisible() {
+    return element.style.display !== 'none';
+  }
+
+  function destroy() {
+    clearTimeout(hideTimer);
+    dismissBtn.removeEventListener('click', handleDismiss);
+    element.remove();
+  }
+
+  return { element, show, hide, isVisible, destroy };
+}
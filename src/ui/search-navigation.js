@@ -38,8 +38,7 @@ export function computePanToEvent(event, canvasWidth, scale) {
   const center =
     event.end !== undefined && event.end > event.start ? event.start + (event.end - event.start) / 2n : event.start;
 
-  const halfWidthTime = scale.pxToTime(canvasWidth / 2);
-  return center - halfWidthTime;
+  return scale.viewportStartFor(center, canvasWidth / 2);
 }
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,195 @@
+/**
+ * Search results list — pure snippet helper and the dropdown shown under the
+ * search input, one row per ranked result with its label, date and a
+ * highlighted snippet of its description.
+ */
+
+import { getMatchSpans } from '../rendering/search-highlight.js';
+import { formatTimeRange } from './format.js';
+
+const MAX_ROWS = 50;
+const SNIPPET_LENGTH = 80;
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD = 20;
+const MARK_STYLE = 'background: rgba(255, 230, 0, 0.35); color: inherit; border-radius: 2px;';
+
+// ---------------------------------------------------------------------------
+// Pure snippet logic (tested directly)
+// ---------------------------------------------------------------------------
+
+/**
+ * Cut a snippet of text around the first match of a query, with the match
+ * spans shifted to the snippet.
+ *
+ * @param {string} text
+ * @param {string} query
+ * @param {number} [maxLength=80] - Snippet length, not counting ellipses
+ * @returns {{ text: string, spans: Array<{start: number, end: number}> }}
+ */
+export function getSnippet(text, query, maxLength = SNIPPET_LENGTH) {
+  if (!text) return { text: '', spans: [] };
+  const spans = getMatchSpans(text, query);
+  if (text.length <= maxLength) return { text, spans };
+
+  const firstMatch = spans.length > 0 ? spans[0].start : 0;
+  const start = Math.max(0, Math.min(firstMatch - SNIPPET_LEAD, text.length - maxLength));
+  const end = start + maxLength;
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const shift = prefix.length - start;
+  return {
+    text: prefix + text.slice(start, end) + suffix,
+    spans: spans
+      .filter((span) => span.end > start && span.start < end)
+      .map((span) => ({ start: Math.max(span.start, start) + shift, end: Math.min(span.end, end) + shift })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// UI component
+// ---------------------------------------------------------------------------
+
+function appendHighlighted(parent, text, spans) {
+  let last = 0;
+  for (const span of spans) {
+    if (span.start > last) parent.appendChild(document.createTextNode(text.slice(last, span.start)));
+    const mark = document.createElement('mark');
+    mark.style.cssText = MARK_STYLE;
+    mark.textContent = text.slice(span.start, span.end);
+    parent.appendChild(mark);
+    last = span.end;
+  }
+  if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+}
+
+/**
+ * Create the search results list. Rows show a page of up to 50 results around
+ * the current one; clicking a row calls `onSelect(index)`.
+ * Returns an object with `update(events, currentIndex, query, calendar)`,
+ * `clear()`, `getActiveOptionId()` and `destroy()`.
+ *
+ * @param {HTMLElement} container - Parent element to append into
+ * @param {{ onSelect: Function }} callbacks
+ */
+export function createSearchResults(container, { onSelect }) {
+  const element = document.createElement('ul');
+  element.className = 'search-results';
+  element.id = `search-results-${Math.random().toString(36).slice(2, 8)}`;
+  element.setAttribute('role', 'listbox');
+  element.setAttribute('aria-label', 'Search results');
+  element.style.cssText = `
+    list-style: none;
+    margin: 6px 0 0 0;
+    padding: 0;
+    max-height: 260px;
+    overflow-y: auto;
+    border-top: 1px solid #3a3a4e;
+    font-family: monospace;
+  `;
+  element.style.display = 'none';
+  container.appendChild(element);
+
+  let rendered = { events: null, query: null, calendar: null, first: -1 };
+  let activeRow = null;
+
+  function renderRow(event, index, query, calendar) {
+    const row = document.createElement('li');
+    row.id = `${element.id}-option-${index}`;
+    row.setAttribute('role', 'option');
+    row.setAttribute('aria-selected', 'false');
+    row.style.cssText = `
+      padding: 6px 8px;
+      cursor: pointer;
+      border-radius: 4px;
+    `;
+
+    const heading = document.createElement('div');
+    heading.style.cssText = 'display: flex; justify-content: space-between; gap: 12px;';
+
+    const label = document.createElement('span');
+    label.style.cssText = 'color: #ffffff; font-size: 14px;';
+    const labelText = event.label || 'Untitled';
+    appendHighlighted(label, labelText, getMatchSpans(labelText, query));
+
+    const date = document.createElement('span');
+    date.style.cssText = 'color: #8888aa; font-size: 12px; white-space: nowrap;';
+    date.textContent = formatTimeRange(event, calendar);
+
+    heading.appendChild(label);
+    heading.appendChild(date);
+    row.appendChild(heading);
+
+    if (event.description) {
+      const snippet = getSnippet(event.description, query);
+      const snippetEl = document.createElement('div');
+      snippetEl.style.cssText = 'color: #aaaacc; font-size: 12px; margin-top: 2px;';
+      appendHighlighted(snippetEl, snippet.text, snippet.spans);
+      row.appendChild(snippetEl);
+    }
+
+    // Keep focus in the search input
+    row.addEventListener('mousedown', (e) => e.preventDefault());
+    row.addEventListener('click', () => onSelect(index));
+    return row;
+  }
+
+  /**
+   * Show the page of results containing the current one.
+   *
+   * @param {Array} events - Matching events, in result order
+   * @param {number} currentIndex
+   * @param {string} query - For highlighting
+   * @param {string} [calendar]
+   */
+  function update(events, currentIndex, query, calendar) {
+    if (!events || events.length === 0) {
+      clear();
+      return;
+    }
+    const first = Math.floor(currentIndex / MAX_ROWS) * MAX_ROWS;
+    if (
+      events !== rendered.events ||
+      query !== rendered.query ||
+      calendar !== rendered.calendar ||
+      first !== rendered.first
+    ) {
+      element.replaceChildren(
+        ...events.slice(first, first + MAX_ROWS).map((event, i) => renderRow(event, first + i, query, calendar)),
+      );
+      rendered = { events, query, calendar, first };
+      activeRow = null;
+    }
+
+    element.style.display = 'block';
+    const row = element.children[currentIndex - first] ?? null;
+    if (row === activeRow) return;
+    if (activeRow) {
+      activeRow.setAttribute('aria-selected', 'false');
+      activeRow.style.background = 'transparent';
+    }
+    activeRow = row;
+    if (activeRow) {
+      activeRow.setAttribute('aria-selected', 'true');
+      activeRow.style.background = '#3a3a5a';
+      activeRow.scrollIntoView?.({ block: 'nearest' });
+    }
+  }
+
+  /** Id of the current result's row, for aria-activedescendant. */
+  function getActiveOptionId() {
+    return activeRow ? activeRow.id : null;
+  }
+
+  function clear() {
+    element.replaceChildren();
+    element.style.display = 'none';
+    rendered = { events: null, query: null, calendar: null, first: -1 };
+    activeRow = null;
+  }
+
+  function destroy() {
+    container.removeChild(element);
+  }
+
+  return { element, update, clear, getActiveOptionId, destroy };
+}
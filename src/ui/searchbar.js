@@ -1,5 +1,7 @@
+import { parseSearchQuery } from '../core/query-parser.js';
 import { createDebouncedSearch } from '../core/search-engine.js';
 import { createSearchNavigation } from './search-navigation.js';
+import { createSearchResults } from './search-results.js';
 
 /**
  * Create the search bar overlay.
@@ -11,11 +13,12 @@ import { createSearchNavigation } from './search-navigation.js';
  *   - `onSearch(query)` - called on input (debounced 150ms); used for event filtering
  *   - `onNext()` - called on Enter when results are active; navigate to next result
  *   - `onPrev()` - called on Shift+Enter; navigate to previous result
+ *   - `onJumpTo(index)` - called on Arrow Up/Down or a click in the results list; jump to a result
  */
 export function createSearchBar(container, onSubmitOrOptions) {
-  const { onSubmit, onSearch, onNext, onPrev } =
+  const { onSubmit, onSearch, onNext, onPrev, onJumpTo } =
     typeof onSubmitOrOptions === 'function'
-      ? { onSubmit: onSubmitOrOptions, onSearch: null, onNext: null, onPrev: null }
+      ? { onSubmit: onSubmitOrOptions, onSearch: null, onNext: null, onPrev: null, onJumpTo: null }
       : onSubmitOrOptions;
 
   const element = document.createElement('div');
@@ -48,10 +51,25 @@ export function createSearchBar(container, onSubmitOrOptions) {
     outline: none;
   `;
 
+  // Inline message for a query that does not parse, e.g. an unclosed quote
+  const errorMessage = document.createElement('div');
+  errorMessage.className = 'searchbar-error';
+  errorMessage.id = `searchbar-error-${Math.random().toString(36).slice(2, 8)}`;
+  errorMessage.setAttribute('role', 'alert');
+  errorMessage.style.cssText = `
+    margin-top: 6px;
+    font-size: 12px;
+    font-family: monospace;
+    color: #ff8a8a;
+  `;
+  errorMessage.style.display = 'none';
+
   const debouncedSearch = onSearch ? createDebouncedSearch(onSearch, 150) : null;
 
   // Navigation bar (shown when there are active search results)
   let hasResults = false;
+  let resultIndex = 0;
+  let resultCount = 0;
   const navigation =
     onNext || onPrev
       ? createSearchNavigation(element, {
@@ -101,7 +119,24 @@ export function createSearchBar(container, onSubmitOrOptions) {
   filterRow.appendChild(clearAllBtn);
   element.appendChild(filterRow);
 
+  function showQueryError(query) {
+    const { error } = parseSearchQuery(query);
+    if (error) {
+      errorMessage.textContent = `${error.message} (at character ${error.position + 1})`;
+      errorMessage.style.display = 'block';
+      input.setAttribute('aria-invalid', 'true');
+      input.setAttribute('aria-describedby', errorMessage.id);
+      input.style.borderColor = '#ff8a8a';
+    } else {
+      errorMessage.style.display = 'none';
+      input.removeAttribute('aria-invalid');
+      input.removeAttribute('aria-describedby');
+      input.style.borderColor = '#4a4a6a';
+    }
+  }
+
   input.addEventListener('input', () => {
+    showQueryError(input.value);
     if (debouncedSearch) {
       debouncedSearch(input.value);
     }
@@ -123,6 +158,10 @@ export function createSearchBar(container, onSubmitOrOptions) {
         }
         hide();
       }
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && hasResults && onJumpTo) {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      onJumpTo(Math.max(0, Math.min(resultCount - 1, resultIndex + step)));
     } else if (e.key === 'Escape') {
       e.preventDefault();
       hide();
@@ -130,6 +169,17 @@ export function createSearchBar(container, onSubmitOrOptions) {
   });
 
   element.appendChild(input);
+  element.appendChild(errorMessage);
+
+  // Ranked results list under the input (only when results can be jumped to)
+  const results = onJumpTo ? createSearchResults(element, { onSelect: onJumpTo }) : null;
+  if (results) {
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', results.element.id);
+    input.setAttribute('aria-expanded', 'false');
+  }
+
   container.appendChild(element);
 
   function show() {
@@ -142,8 +192,10 @@ export function createSearchBar(container, onSubmitOrOptions) {
     if (onSearch) onSearch('');
     element.style.display = 'none';
     input.value = '';
+    showQueryError('');
     hasResults = false;
     if (navigation) navigation.hide();
+    if (results) updateResults([], 0, '');
   }
 
   function isVisible() {
@@ -160,6 +212,8 @@ export function createSearchBar(container, onSubmitOrOptions) {
    */
   function updateNavigation(currentIndex, total, activeFilterCount = 0) {
     hasResults = total > 0;
+    resultIndex = currentIndex;
+    resultCount = total;
     if (navigation) navigation.update(currentIndex, total);
     // Update border color and filter badge to indicate active filters
     if (activeFilterCount > 0) {
@@ -172,6 +226,26 @@ export function createSearchBar(container, onSubmitOrOptions) {
     }
   }
 
+  /**
+   * Update the results list. Called from main.js when store state changes.
+   *
+   * @param {Array} events - Matching events, most relevant first
+   * @param {number} currentIndex
+   * @param {string} query - Active search query, for highlighting
+   * @param {string} [calendar] - Calendar for result dates
+   */
+  function updateResults(events, currentIndex, query, calendar) {
+    if (!results) return;
+    results.update(events, currentIndex, query, calendar);
+    const activeId = results.getActiveOptionId();
+    input.setAttribute('aria-expanded', events && events.length > 0 ? 'true' : 'false');
+    if (activeId) {
+      input.setAttribute('aria-activedescendant', activeId);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
   function destroy() {
     if (debouncedSearch) debouncedSearch.cancel();
     container.removeChild(element);
@@ -183,6 +257,7 @@ export function createSearchBar(container, onSubmitOrOptions) {
     hide,
     isVisible,
     updateNavigation,
+    updateResults,
     destroy,
   };
 }
@@ -0,0 +1,170 @@
+import { renderMarkdown } from './markdown.js';
+
+const BUTTON_STYLE = `
+  padding: 6px 12px;
+  border-radius: 4px;
+  border: 1px solid #4a4a6a;
+  background: #2a2a3e;
+  color: #e0e0e0;
+  font: 13px system-ui, sans-serif;
+  cursor: pointer;
+`;
+
+function createButton(label, ariaLabel, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = label;
+  button.setAttribute('aria-label', ariaLabel);
+  button.style.cssText = BUTTON_STYLE;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Player for a dataset's guided tour, anchored to the bottom of the timeline.
+ * While no step is shown it is a single "Tour" button; during the tour it
+ * shows the step's caption with previous/next, autoplay and close controls.
+ * ArrowLeft/ArrowRight step and Escape closes while focus is inside the player.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onStart - Start the tour at its first step
+ * @param {Function} callbacks.onPrev
+ * @param {Function} callbacks.onNext
+ * @param {Function} callbacks.onToggleAutoplay
+ * @param {Function} callbacks.onClose - Leave the tour
+ */
+export function createTourPlayer(container, { onStart, onPrev, onNext, onToggleAutoplay, onClose }) {
+  const element = document.createElement('div');
+  element.className = 'tour-player';
+  element.setAttribute('role', 'region');
+  element.setAttribute('aria-label', 'Guided tour');
+  element.style.cssText = `
+    position: absolute;
+    left: 50%;
+    bottom: 16px;
+    transform: translateX(-50%);
+    max-width: min(560px, 90%);
+    padding: 12px 16px;
+    border-radius: 8px;
+    border: 1px solid #4a4a6a;
+    background: rgba(42, 42, 62, 0.95);
+    color: #e0e0e0;
+    font: 14px/1.5 system-ui, sans-serif;
+    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+    z-index: 850;
+  `;
+  element.style.display = 'none';
+
+  const startButton = createButton('', 'Start guided tour', onStart);
+
+  const panel = document.createElement('div');
+
+  const header = document.createElement('div');
+  header.style.cssText = 'display: flex; justify-content: space-between; align-items: baseline; gap: 12px;';
+
+  const titleEl = document.createElement('strong');
+  titleEl.className = 'tour-title';
+
+  const progressEl = document.createElement('span');
+  progressEl.className = 'tour-progress';
+  progressEl.style.cssText = 'color: #8888aa; font-size: 12px; white-space: nowrap;';
+
+  header.appendChild(titleEl);
+  header.appendChild(progressEl);
+
+  const captionEl = document.createElement('div');
+  captionEl.className = 'tour-caption';
+  captionEl.style.cssText = 'margin: 8px 0;';
+
+  const controls = document.createElement('div');
+  controls.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end;';
+
+  const prevButton = createButton('‹ Prev', 'Previous step', onPrev);
+  const playButton = createButton('', '', onToggleAutoplay);
+  const nextButton = createButton('Next ›', 'Next step', onNext);
+  const closeButton = createButton('×', 'Close tour', onClose);
+
+  controls.appendChild(prevButton);
+  controls.appendChild(playButton);
+  controls.appendChild(nextButton);
+  controls.appendChild(closeButton);
+
+  panel.appendChild(header);
+  panel.appendChild(captionEl);
+  panel.appendChild(controls);
+
+  element.appendChild(startButton);
+  element.appendChild(panel);
+  container.appendChild(element);
+
+  // Keep tour keys away from the timeline's own shortcuts
+  element.addEventListener('keydown', (e) => {
+    if (panel.style.display === 'none') return;
+    if (e.key === 'ArrowLeft') {
+      onPrev();
+    } else if (e.key === 'ArrowRight') {
+      onNext();
+    } else if (e.key === 'Escape') {
+      onClose();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  let renderedStep = null;
+
+  /**
+   * Show the tour's current state.
+   *
+   * @param {{ title: string, steps: Array }|null} tour - Null hides the player
+   * @param {number|null} stepIndex - Step shown, or null before the tour starts
+   * @param {boolean} autoplay - Whether steps advance on their own
+   */
+  function update(tour, stepIndex, autoplay) {
+    if (!tour) {
+      element.style.display = 'none';
+      renderedStep = null;
+      return;
+    }
+    element.style.display = 'block';
+
+    if (stepIndex === null) {
+      startButton.textContent = `▶ Tour${tour.title ? `: ${tour.title}` : ''}`;
+      startButton.style.display = '';
+      panel.style.display = 'none';
+      renderedStep = null;
+      return;
+    }
+
+    startButton.style.display = 'none';
+    panel.style.display = 'block';
+    const step = tour.steps[stepIndex];
+    if (step !== renderedStep) {
+      titleEl.textContent = tour.title;
+      captionEl.replaceChildren(renderMarkdown(step.caption));
+      renderedStep = step;
+    }
+    progressEl.textContent = `Step ${stepIndex + 1} of ${tour.steps.length}`;
+    prevButton.disabled = stepIndex === 0;
+    nextButton.disabled = stepIndex === tour.steps.length - 1;
+    playButton.textContent = autoplay ? '❚❚ Pause' : '▶ Play';
+    playButton.setAttribute('aria-label', autoplay ? 'Pause tour' : 'Play tour automatically');
+    playButton.setAttribute('aria-pressed', String(autoplay));
+  }
+
+  function isVisible() {
+    return element.style.display !== 'none';
+  }
+
+  function destroy() {
+    element.remove();
+  }
+
+  return { element, update, isVisible, destroy };
+}
@@ -0,0 +1,20 @@
+/**
+ * Save content as a file through a temporary download link.
+ *
+ * @param {string} filename
+ * @param {string|Blob} content - Text or an existing Blob
+ * @param {string} [mimeType] - Used when content is text
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -3,8 +3,16 @@
  * Handles automatic viewport panning to keep focused events visible
  */
 
+import { screenToTime } from '../core/time.js';
+
 const MARGIN_PERCENT = 0.2; // 20% margin from viewport edges
 
+// Point events have no end; their midpoint is the start
+function getEventMidpoint(event) {
+  const end = event.end ?? event.start;
+  return event.start + (end - event.start) / 2n;
+}
+
 /**
  * Check if an event is visible in the current viewport
  * @param {Object} event - Event to check
@@ -23,7 +31,7 @@ export function isEventInViewport(event, viewportStart, viewportEnd, marginPerce
   const visibleEnd = viewportEnd - margin;
 
   // Event is visible if its midpoint is within the comfortable viewing area
-  const eventMidpoint = event.start + (event.end - event.start) / 2n;
+  const eventMidpoint = getEventMidpoint(event);
 
   return eventMidpoint >= visibleStart && eventMidpoint <= visibleEnd;
 }
@@ -39,22 +47,20 @@ export function isEventInViewport(event, viewportStart, viewportEnd, marginPerce
 export function calculatePanToEvent(event, canvasWidth, scale, currentStart) {
   if (!event) return currentStart;
 
-  const eventMidpoint = event.start + (event.end - event.start) / 2n;
+  const eventMidpoint = getEventMidpoint(event);
 
   // Center the event in the viewport
-  const halfWidthTime = scale.pxToTime(canvasWidth / 2);
-  const newViewportStart = eventMidpoint - halfWidthTime;
-
-  return newViewportStart;
+  return scale.viewportStartFor(eventMidpoint, canvasWidth / 2);
 }
 
 /**
  * Initialize auto-pan system that watches for focus changes
  * @param {Object} store - State store
  * @param {Object} focusManager - Focus manager (optional, for testing)
+ * @param {Object} [transition] - Viewport transition to animate the pan with
  * @returns {Function} Unsubscribe function
  */
-export function initAutoPan(store, _focusManager = null) {
+export function initAutoPan(store, _focusManager = null, transition = null) {
   let lastFocusedEventId = null;
 
   const unsubscribe = store.subscribe((state) => {
@@ -78,7 +84,7 @@ export function initAutoPan(store, _focusManager = null) {
     }
 
     // Check if event is already visible
-    const viewportEnd = viewportStart + scale.pxToTime(canvasWidth);
+    const viewportEnd = screenToTime(canvasWidth, viewportStart, scale);
     if (isEventInViewport(focusedEvent, viewportStart, viewportEnd)) {
       return; // Event is already visible, no need to pan
     }
@@ -87,7 +93,11 @@ export function initAutoPan(store, _focusManager = null) {
     const newViewportStart = calculatePanToEvent(focusedEvent, canvasWidth, scale, viewportStart);
 
     // Dispatch viewport change
-    store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newViewportStart, scale });
+    if (transition) {
+      transition.start({ viewportStart: newViewportStart, scale });
+    } else {
+      store.dispatch({ type: 'SET_VIEWPORT', viewportStart: newViewportStart, scale });
+    }
   });
 
   return unsubscribe;
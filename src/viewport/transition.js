@@ -0,0 +1,148 @@
+/**
+ * Viewport Transition Module
+ * Animates the viewport from its current position to a target one.
+ *
+ * Navigation that jumps somewhere (fit to content, zoom buttons, search
+ * results, tour steps) goes through a transition; direct manipulation
+ * (dragging, pinching, the wheel) cancels it and takes over.
+ */
+
+import { LogScale } from '../core/log-scale.js';
+import { RationalScale } from '../core/scale.js';
+
+export const DEFAULT_TRANSITION_DURATION = 600;
+// Fixed-point steps used to interpolate BigInt times
+const PRECISION = 1_000_000;
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+}
+
+function lerpTime(from, to, t) {
+  return from + ((to - from) * BigInt(Math.round(t * PRECISION))) / BigInt(PRECISION);
+}
+
+function centerOf({ viewportStart, scale }, canvasWidth) {
+  return viewportStart + scale.pxToTime(canvasWidth / 2, viewportStart);
+}
+
+// Share of the way the center has moved once the time per pixel has gone from
+// `from` to `current`. Tying it to the zoom keeps the one point both viewports
+// agree on fixed on screen, so deep-time jumps neither race across the screen
+// while zoomed in nor creep while zoomed out. Pure pans move linearly.
+function centerProgress(from, to, current, t) {
+  return Math.abs(to - from) > from * 1e-9 ? (current - from) / (to - from) : t;
+}
+
+/**
+ * Viewport part way between two viewports. The zoom level changes
+ * geometrically, so every halving of the visible span takes equally long, and
+ * the center follows the zoom (in time, or in log-age on a logarithmic axis).
+ * Viewports on different kinds of axis do not interpolate; the target is
+ * returned.
+ *
+ * @param {{ viewportStart: bigint, scale: RationalScale|LogScale }} from
+ * @param {{ viewportStart: bigint, scale: RationalScale|LogScale }} to
+ * @param {number} t - Progress from 0 to 1
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @returns {{ viewportStart: bigint, scale: RationalScale|LogScale }}
+ */
+export function interpolateViewport(from, to, t, canvasWidth) {
+  if (t <= 0) return from;
+  if (t >= 1) return to;
+
+  if (from.scale.logarithmic && to.scale.logarithmic && from.scale.present === to.scale.present) {
+    const fromPpd = from.scale.pixelsPerDecade;
+    const toPpd = to.scale.pixelsPerDecade;
+    const scale = new LogScale(fromPpd * (toPpd / fromPpd) ** t, to.scale.present);
+    const progress = centerProgress(1 / fromPpd, 1 / toPpd, 1 / scale.pixelsPerDecade, t);
+    const fromCenter = scale.logAge(centerOf(from, canvasWidth));
+    const toCenter = scale.logAge(centerOf(to, canvasWidth));
+    const center = scale.timeAtLogAge(fromCenter + (toCenter - fromCenter) * progress);
+    return { viewportStart: scale.viewportStartFor(center, canvasWidth / 2), scale };
+  }
+
+  if (!from.scale.logarithmic && !to.scale.logarithmic) {
+    const fromSpp = from.scale.getSecondsPerPixel();
+    const toSpp = to.scale.getSecondsPerPixel();
+    const spp = fromSpp * (toSpp / fromSpp) ** t;
+    const scale = RationalScale.fromSecondsPerPixel(spp);
+    const progress = centerProgress(fromSpp, toSpp, spp, t);
+    const center = lerpTime(centerOf(from, canvasWidth), centerOf(to, canvasWidth), progress);
+    return { viewportStart: scale.viewportStartFor(center, canvasWidth / 2), scale };
+  }
+
+  return to;
+}
+
+/**
+ * Create an animator that moves a store's viewport to a target with an
+ * ease-in-out curve. With `prefers-reduced-motion`, a duration of 0, or
+ * without requestAnimationFrame, the viewport jumps straight to the target.
+ * A new target replaces the current one, starting from wherever the viewport
+ * is at that moment.
+ *
+ * @param {Object} store - State store
+ * @param {{ duration?: number }} [options] - Animation length in milliseconds
+ * @returns {{ start: Function, cancel: Function, isActive: Function, getTarget: Function }}
+ */
+export function createViewportTransition(store, { duration = DEFAULT_TRANSITION_DURATION } = {}) {
+  let rafId = null;
+  let target = null;
+
+  function prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  function cancel() {
+    if (rafId !== null) {
+      cancelAnimationFrame(rafId);
+      rafId = null;
+    }
+    target = null;
+  }
+
+  /**
+   * Animate to a viewport, replacing any transition in progress.
+   *
+   * @param {{ viewportStart: bigint, scale: RationalScale|LogScale }} viewport
+   */
+  function start(viewport) {
+    cancel();
+    if (duration <= 0 || typeof requestAnimationFrame !== 'function' || prefersReducedMotion()) {
+      store.dispatch({ type: 'SET_VIEWPORT', viewportStart: viewport.viewportStart, scale: viewport.scale });
+      return;
+    }
+
+    const { viewportStart, scale, canvasWidth } = store.getState();
+    const from = { viewportStart, scale };
+    let startTime = null;
+    target = viewport;
+
+    const step = (timestamp) => {
+      startTime ??= timestamp;
+      const t = Math.min(1, (timestamp - startTime) / duration);
+      const next = interpolateViewport(from, viewport, easeInOutCubic(t), canvasWidth);
+      if (t < 1) {
+        rafId = requestAnimationFrame(step);
+      } else {
+        rafId = null;
+        target = null;
+      }
+      store.dispatch({ type: 'SET_VIEWPORT', viewportStart: next.viewportStart, scale: next.scale });
+    };
+
+    rafId = requestAnimationFrame(step);
+  }
+
+  function isActive() {
+    return rafId !== null;
+  }
+
+  /** Viewport being animated to, or null when idle. */
+  function getTarget() {
+    return target;
+  }
+
+  return { start, cancel, isActive, getTarget };
+}
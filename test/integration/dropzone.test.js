@@ -107,6 +107,23 @@ describe('dropzone', () => {
       expect(onLoad).toHaveBeenCalledWith(mockFile);
     });
 
+    it('accepts .csv, .tsv and .ics files without warning', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      dropzone = createDropzone(container, { onLoad });
+
+      for (const name of ['events.csv', 'events.TSV', 'team.ics']) {
+        const mockFile = new File(['id,label,start'], name, { type: 'text/csv' });
+        const dropEvent = new Event('drop', { cancelable: true });
+        Object.defineProperty(dropEvent, 'dataTransfer', {
+          value: { files: [mockFile] },
+        });
+        container.dispatchEvent(dropEvent);
+        expect(onLoad).toHaveBeenCalledWith(mockFile);
+      }
+
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+
     it('attempts to load non-.json files with warning', async () => {
       const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
       dropzone = createDropzone(container, { onLoad });
@@ -140,7 +157,7 @@ describe('dropzone', () => {
       dropzone = createDropzone(container, { onLoad });
       const overlay = container.querySelector('.nayra-dropzone-overlay');
 
-      expect(overlay.textContent).toContain('Drop JSON file to load');
+      expect(overlay.textContent).toContain('Drop JSON, CSV, TSV or iCalendar file to load');
     });
   });
 
@@ -0,0 +1,181 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { parseTimeQuery } from '../../src/core/time-parser.js';
+import { createEditPanel } from '../../src/ui/edit-panel.js';
+
+function field(container, name) {
+  return container.querySelector(`.edit-panel-form [name="${name}"]`);
+}
+
+function type(container, name, value) {
+  const input = field(container, name);
+  input.value = value;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function submit(container) {
+  container.querySelector('.edit-panel-form').dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+describe('createEditPanel', () => {
+  let container;
+  let panel;
+  let onSave;
+  let onDelete;
+  let onCancel;
+
+  // Odd second count that a date input cannot express exactly
+  const apollo = {
+    id: 'apollo-11',
+    label: 'Apollo 11',
+    start: parseTimeQuery('1969-07-16').time + 49_117n,
+    end: parseTimeQuery('1969-07-24').time,
+    precision: 'day',
+    tags: ['space', 'nasa'],
+    priority: 1,
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onSave = vi.fn();
+    onDelete = vi.fn();
+    onCancel = vi.fn();
+    panel = createEditPanel(container, { onSave, onDelete, onCancel });
+  });
+
+  afterEach(() => {
+    panel.destroy();
+    container.remove();
+  });
+
+  it('is a labelled sidebar dialog, hidden by default', () => {
+    const el = container.querySelector('.edit-panel');
+    expect(el.getAttribute('role')).toBe('dialog');
+    expect(el.getAttribute('aria-label')).toBe('Edit event');
+    expect(panel.isVisible()).toBe(false);
+  });
+
+  it('fills the form from the event and shows its id', () => {
+    panel.open(apollo);
+    expect(panel.isVisible()).toBe(true);
+    expect(field(container, 'label').value).toBe('Apollo 11');
+    expect(field(container, 'start').value).toBe('1969-07-16');
+    expect(field(container, 'end').value).toBe('1969-07-24');
+    expect(field(container, 'tags').value).toBe('space, nasa');
+    expect(field(container, 'priority').value).toBe('1');
+    expect(container.querySelector('.edit-panel-id').textContent).toBe('ID: apollo-11');
+  });
+
+  it('shows inline errors and disables save for invalid input', () => {
+    panel.open(apollo);
+    type(container, 'label', '');
+    type(container, 'end', 'not a date');
+
+    const saveBtn = container.querySelector('.edit-panel-save');
+    expect(saveBtn.disabled).toBe(true);
+    expect(field(container, 'label').getAttribute('aria-invalid')).toBe('true');
+    const errors = [...container.querySelectorAll('.edit-panel-error')].filter((el) => el.style.display === 'block');
+    expect(errors).toHaveLength(2);
+  });
+
+  it('rejects an end before the start', () => {
+    panel.open(apollo);
+    type(container, 'end', '1969-07-01');
+    const endError = document.getElementById(field(container, 'end').getAttribute('aria-describedby'));
+    expect(endError.textContent).toMatch(/earlier than start/);
+    expect(container.querySelector('.edit-panel-save').disabled).toBe(true);
+  });
+
+  it('saves parsed changes and keeps untouched times exact', () => {
+    panel.open(apollo);
+    type(container, 'label', 'Apollo 11 launch');
+    type(container, 'end', '');
+    type(container, 'tags', 'space, , moon ');
+    submit(container);
+
+    expect(onSave).toHaveBeenCalledTimes(1);
+    const [changes, context] = onSave.mock.calls[0];
+    expect(changes).toMatchObject({
+      label: 'Apollo 11 launch',
+      start: apollo.start,
+      tags: ['space', 'moon'],
+      priority: 1,
+    });
+    expect(changes.end).toBeUndefined();
+    expect(context).toEqual({ event: apollo, isNew: false });
+    expect(panel.isVisible()).toBe(false);
+  });
+
+  it('parses edited times', () => {
+    panel.open(apollo);
+    type(container, 'start', '65 Ma');
+    type(container, 'end', '');
+    submit(container);
+    expect(onSave.mock.calls[0][0].start).toBe(parseTimeQuery('65 Ma').time);
+  });
+
+  it('keeps the window of untouched EDTF times and parses edited ones', () => {
+    const uncertain = parseTimeQuery('1984?');
+    const event = { id: 'a', label: 'A', start: uncertain.time, earliest: 1n, latest: 2n, startQualifier: '?' };
+    panel.open(event);
+    expect(field(container, 'start').value).toBe('1984?');
+    submit(container);
+    expect(onSave.mock.calls[0][0]).toMatchObject({ earliest: 1n, latest: 2n, startQualifier: '?' });
+
+    panel.open(event);
+    type(container, 'start', '1985');
+    type(container, 'end', 'c. 1990');
+    submit(container);
+    const changes = onSave.mock.calls[1][0];
+    expect(changes).toMatchObject({ endQualifier: '~', latest: parseTimeQuery('1990~').latest });
+    expect(changes.earliest).toBeUndefined();
+    expect(changes.startQualifier).toBeUndefined();
+  });
+
+  it('rejects an interval in a time field', () => {
+    panel.open(apollo);
+    type(container, 'start', '1950/1960');
+    const startError = document.getElementById(field(container, 'start').getAttribute('aria-describedby'));
+    expect(startError.textContent).toMatch(/End field/);
+  });
+
+  it('does not save a new event without a label', () => {
+    panel.open({ id: 'draft', label: '', start: 0n }, { isNew: true });
+    submit(container);
+    expect(onSave).not.toHaveBeenCalled();
+    expect(container.querySelector('.edit-panel-delete').style.display).toBe('none');
+    expect(container.querySelector('.edit-panel-title').textContent).toBe('New event');
+  });
+
+  it('cancel closes the panel and reports the event', () => {
+    panel.open(apollo);
+    container.querySelector('.edit-panel-cancel').click();
+    expect(panel.isVisible()).toBe(false);
+    expect(onCancel).toHaveBeenCalledWith(apollo, { isNew: false });
+  });
+
+  it('asks for confirmation before deleting', () => {
+    panel.open(apollo);
+    container.querySelector('.edit-panel-delete').click();
+    const confirm = container.querySelector('.edit-panel-confirm');
+    expect(confirm.style.display).toBe('flex');
+    expect(confirm.textContent).toContain('Delete Apollo 11?');
+
+    container.querySelector('.edit-panel-confirm-keep').click();
+    expect(confirm.style.display).toBe('none');
+    expect(onDelete).not.toHaveBeenCalled();
+
+    container.querySelector('.edit-panel-delete').click();
+    container.querySelector('.edit-panel-confirm-delete').click();
+    expect(onDelete).toHaveBeenCalledWith(apollo);
+    expect(panel.isVisible()).toBe(false);
+  });
+
+  it('keeps keystrokes from reaching timeline shortcuts', () => {
+    const onKeyDown = vi.fn();
+    container.addEventListener('keydown', onKeyDown);
+    panel.open(apollo);
+    field(container, 'label').dispatchEvent(new KeyboardEvent('keydown', { key: 'e', bubbles: true }));
+    expect(onKeyDown).not.toHaveBeenCalled();
+  });
+});
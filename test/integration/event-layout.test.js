@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
-import { projectToScreen } from '../../src/core/time.js';
+import { projectToScreen, SECOND, YEAR } from '../../src/core/time.js';
 import { clusterEvents } from '../../src/layout/event-clustering.js';
 import { assignLanes } from '../../src/layout/greedy-interval-coloring.js';
 import { detectLabelCollisions } from '../../src/layout/label-collision.js';
@@ -13,19 +13,19 @@ describe('Event Layout Integration', () => {
       // Step 1: Create complex event dataset
       const events = [
         // Overlapping cluster 1
-        { id: 'e1', label: 'Event 1', start: 0n, end: 100n, priority: 2 },
-        { id: 'e2', label: 'Event 2', start: 50n, end: 150n, priority: 1 },
-        { id: 'e3', label: 'Event 3', start: 75n, end: 125n, priority: 3 },
+        { id: 'e1', label: 'Event 1', start: 0n, end: 100n * SECOND, priority: 2 },
+        { id: 'e2', label: 'Event 2', start: 50n * SECOND, end: 150n * SECOND, priority: 1 },
+        { id: 'e3', label: 'Event 3', start: 75n * SECOND, end: 125n * SECOND, priority: 3 },
 
         // Non-overlapping event
-        { id: 'e4', label: 'Event 4', start: 200n, end: 300n, priority: 2 },
+        { id: 'e4', label: 'Event 4', start: 200n * SECOND, end: 300n * SECOND, priority: 2 },
 
         // Overlapping cluster 2
-        { id: 'e5', label: 'Event 5', start: 350n, end: 450n, priority: 1 },
-        { id: 'e6', label: 'Event 6', start: 400n, end: 500n, priority: 2 },
+        { id: 'e5', label: 'Event 5', start: 350n * SECOND, end: 450n * SECOND, priority: 1 },
+        { id: 'e6', label: 'Event 6', start: 400n * SECOND, end: 500n * SECOND, priority: 2 },
 
         // Point event
-        { id: 'e7', label: 'Event 7', start: 550n, priority: 2 },
+        { id: 'e7', label: 'Event 7', start: 550n * SECOND, priority: 2 },
       ];
 
       // Step 2: Assign lanes
@@ -93,8 +93,8 @@ describe('Event Layout Integration', () => {
           const eventId = `lane${lane}_event${i}`;
           events.push({
             id: eventId,
-            start: BigInt(i * 200),
-            end: BigInt(i * 200 + 150),
+            start: BigInt(i * 200) * SECOND,
+            end: BigInt(i * 200 + 150) * SECOND,
           });
         }
       }
@@ -140,11 +140,11 @@ describe('Event Layout Integration', () => {
 
     it('should handle viewport changes and relayout', () => {
       const events = [
-        { id: 'e1', start: -1000n, end: -500n },
-        { id: 'e2', start: -750n, end: -250n },
-        { id: 'e3', start: 0n, end: 500n },
-        { id: 'e4', start: 250n, end: 750n },
-        { id: 'e5', start: 1000n, end: 1500n },
+        { id: 'e1', start: -1000n * SECOND, end: -500n * SECOND },
+        { id: 'e2', start: -750n * SECOND, end: -250n * SECOND },
+        { id: 'e3', start: 0n, end: 500n * SECOND },
+        { id: 'e4', start: 250n * SECOND, end: 750n * SECOND },
+        { id: 'e5', start: 1000n * SECOND, end: 1500n * SECOND },
       ];
 
       // Initial layout
@@ -152,8 +152,8 @@ describe('Event Layout Integration', () => {
       expect(result1.layouts.size).toBe(5);
 
       // Filter to visible events in viewport
-      const viewport1Start = -1000n;
-      const viewport1End = 500n;
+      const viewport1Start = -1000n * SECOND;
+      const viewport1End = 500n * SECOND;
       const visibleEvents1 = events.filter((e) => !(e.end < viewport1Start || e.start > viewport1End));
 
       // Layout visible events
@@ -162,7 +162,7 @@ describe('Event Layout Integration', () => {
 
       // Pan to different viewport
       const viewport2Start = 0n;
-      const viewport2End = 1500n;
+      const viewport2End = 1500n * SECOND;
       const visibleEvents2 = events.filter((e) => !(e.end < viewport2Start || e.start > viewport2End));
 
       // Layout new visible events
@@ -177,8 +177,8 @@ describe('Event Layout Integration', () => {
       for (let i = 0; i < 100; i++) {
         events.push({
           id: `e${i}`,
-          start: BigInt(i * 10),
-          end: BigInt(i * 10 + 5),
+          start: BigInt(i * 10) * SECOND,
+          end: BigInt(i * 10 + 5) * SECOND,
         });
       }
 
@@ -204,8 +204,8 @@ describe('Event Layout Integration', () => {
         events.push({
           id: `e${i}`,
           label: `Event ${i}`,
-          start: BigInt(i * 5),
-          end: BigInt(i * 5 + 3),
+          start: BigInt(i * 5) * SECOND,
+          end: BigInt(i * 5 + 3) * SECOND,
         });
       }
 
@@ -236,12 +236,12 @@ describe('Event Layout Integration', () => {
     it('should only show non-overlapping labels across lanes', () => {
       const events = [
         // Lane 0
-        { id: 'e1', label: 'Very Long Label A', start: 0n, end: 100n },
-        { id: 'e3', label: 'Short C', start: 300n, end: 400n },
+        { id: 'e1', label: 'Very Long Label A', start: 0n, end: 100n * SECOND },
+        { id: 'e3', label: 'Short C', start: 300n * SECOND, end: 400n * SECOND },
 
         // Lane 1 (overlaps e1)
-        { id: 'e2', label: 'Very Long Label B', start: 50n, end: 150n },
-        { id: 'e4', label: 'Short D', start: 350n, end: 450n },
+        { id: 'e2', label: 'Very Long Label B', start: 50n * SECOND, end: 150n * SECOND },
+        { id: 'e4', label: 'Short D', start: 350n * SECOND, end: 450n * SECOND },
       ];
 
       // Assign lanes
@@ -319,8 +319,8 @@ describe('Event Layout Integration', () => {
       // Generate 1000 events
       const events = [];
       for (let i = 0; i < 1000; i++) {
-        const start = BigInt(Math.floor(Math.random() * 100000));
-        const end = start + BigInt(Math.floor(Math.random() * 1000) + 100);
+        const start = BigInt(Math.floor(Math.random() * 100000)) * SECOND;
+        const end = start + BigInt(Math.floor(Math.random() * 1000) + 100) * SECOND;
         events.push({
           id: `e${i}`,
           label: `Event ${i}`,
@@ -394,8 +394,8 @@ describe('Event Layout Integration', () => {
       for (let i = 0; i < 500; i++) {
         events.push({
           id: `e${i}`,
-          start: BigInt(i * 100),
-          end: BigInt(i * 100 + 50),
+          start: BigInt(i * 100) * SECOND,
+          end: BigInt(i * 100 + 50) * SECOND,
         });
       }
 
@@ -406,7 +406,7 @@ describe('Event Layout Integration', () => {
       // Simulate 10 viewport updates (panning)
       const updateTimes = [];
       for (let frame = 0; frame < 10; frame++) {
-        const viewportStart = BigInt(frame * 1000);
+        const viewportStart = BigInt(frame * 1000) * SECOND;
 
         const frameStart = performance.now();
 
@@ -498,15 +498,14 @@ describe('Event Layout Integration', () => {
     });
 
     it('should handle sparse ancient history with dense modern history', () => {
-      const YEAR_SECONDS = 31557600n;
       const events = [];
 
       // Ancient history: sparse events (10 events over 10,000 years)
       for (let i = 0; i < 10; i++) {
         events.push({
           id: `ancient_${i}`,
-          start: -10000n * YEAR_SECONDS + BigInt(i * 1000) * YEAR_SECONDS,
-          end: -10000n * YEAR_SECONDS + BigInt(i * 1000 + 50) * YEAR_SECONDS,
+          start: -10000n * YEAR + BigInt(i * 1000) * YEAR,
+          end: -10000n * YEAR + BigInt(i * 1000 + 50) * YEAR,
         });
       }
 
@@ -514,8 +513,8 @@ describe('Event Layout Integration', () => {
       for (let i = 0; i < 100; i++) {
         events.push({
           id: `modern_${i}`,
-          start: -100n * YEAR_SECONDS + BigInt(i) * YEAR_SECONDS,
-          end: -100n * YEAR_SECONDS + BigInt(i + 1) * YEAR_SECONDS,
+          start: -100n * YEAR + BigInt(i) * YEAR,
+          end: -100n * YEAR + BigInt(i + 1) * YEAR,
         });
       }
 
@@ -148,6 +148,40 @@ describe('createEventPanel', () => {
       const src = container.querySelector('.event-panel-source');
       expect(src.textContent).toContain('wikidata:Q12345');
     });
+
+    it('lists incoming and outgoing relations as links', () => {
+      const onNavigate = vi.fn();
+      panel = createEventPanel(container, { onClose, onNavigate });
+      const relations = {
+        outgoing: [{ type: 'caused', label: 'Caused', event: { id: 'treaty', label: 'Treaty of <Versailles>' } }],
+        incoming: [{ type: 'caused', label: 'Caused by', event: { id: 'crisis', label: 'July Crisis' } }],
+      };
+      panel.update([{ label: 'WWI', start: 0n }], undefined, relations);
+
+      const items = container.querySelectorAll('.event-panel-relations li');
+      expect([...items].map((li) => li.textContent)).toEqual([
+        'Caused Treaty of <Versailles>',
+        'Caused by July Crisis',
+      ]);
+      container.querySelector('[data-related-event="crisis"]').click();
+      expect(onNavigate).toHaveBeenCalledWith('crisis');
+
+      panel.update([{ label: 'Quiet', start: 0n }], undefined, { outgoing: [], incoming: [] });
+      expect(container.querySelector('.event-panel-relations')).toBeNull();
+    });
+
+    it('keeps the original focus return target when shown again while open', () => {
+      const trigger = document.createElement('button');
+      container.appendChild(trigger);
+      panel = createEventPanel(container, { onClose });
+      panel.update([{ label: 'A', start: 0n }]);
+      panel.show(trigger);
+      panel.update([{ label: 'B', start: 0n }]);
+      panel.show();
+
+      panel.hide();
+      expect(document.activeElement).toBe(trigger);
+    });
   });
 
   describe('keyboard interaction', () => {
@@ -1,6 +1,7 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
+import { fromMilliseconds, SECOND, toSeconds } from '../../src/core/time.js';
 import { initInput } from '../../src/interaction/input.js';
 import { getAxisY } from '../../src/rendering/renderer.js';
 import './setup.js';
@@ -85,15 +86,15 @@ describe('Pointer Gesture Integration', () => {
       globalThis.cancelAnimationFrame = () => {};
     }
     canvas = createMockCanvas();
-    const now = BigInt(Math.floor(Date.now() / 1000));
+    const now = fromMilliseconds(Date.now());
     store = createStore({
       viewportStart: now,
       scale: RationalScale.fromSecondsPerPixel(1),
       canvasWidth: 800,
       canvasHeight: 400,
       events: [
-        { id: 'evt-1', title: 'Event 1', start: now + 100n },
-        { id: 'evt-2', title: 'Event 2', start: now + 200n },
+        { id: 'evt-1', title: 'Event 1', start: now + 100n * SECOND },
+        { id: 'evt-2', title: 'Event 2', start: now + 200n * SECOND },
       ],
     });
     destroy = initInput(canvas, store);
@@ -476,7 +477,7 @@ describe('Pointer Gesture Integration', () => {
       const finalTime = finalState.viewportStart + finalState.scale.pxToTime(150);
 
       // The time at the midpoint should remain relatively stable
-      const timeDelta = Number(finalTime - initialTime);
+      const timeDelta = toSeconds(finalTime - initialTime);
       expect(Math.abs(timeDelta)).toBeLessThan(100);
     });
   });
@@ -130,6 +130,19 @@ describe('HelpMenu', () => {
       expect(helpMenu.getActiveTab()).toBe('timescales');
     });
 
+    it('arrow keys in a text field do not switch tabs', async () => {
+      const { createHelpMenu } = await import('../../src/ui/help.js');
+
+      const helpMenu = createHelpMenu(container);
+      helpMenu.show();
+      const input = document.createElement('input');
+      container.appendChild(input);
+
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+      expect(helpMenu.getActiveTab()).toBe('shortcuts');
+    });
+
     it('arrow left switches to previous tab', async () => {
       const { createHelpMenu } = await import('../../src/ui/help.js');
 
@@ -343,6 +356,170 @@ describe('HelpMenu', () => {
     });
   });
 
+  describe('my timelines tab', () => {
+    const saved = [{ name: 'Deep <b>time</b>', savedAt: Date.UTC(2026, 0, 2), eventCount: 42 }];
+
+    async function createWithTimelines(overrides = {}) {
+      const { createHelpMenu } = await import('../../src/ui/help.js');
+      const callbacks = {
+        onListTimelines: vi.fn(async () => saved),
+        onSaveTimeline: vi.fn(async () => {}),
+        onOpenTimeline: vi.fn(),
+        onDeleteTimeline: vi.fn(async () => {}),
+        ...overrides,
+      };
+      const helpMenu = createHelpMenu(container, callbacks);
+      return { helpMenu, callbacks };
+    }
+
+    // Let async list refreshes settle
+    const flush = () => new Promise((resolve) => setTimeout(resolve));
+
+    it('only appears when timeline storage callbacks are provided', async () => {
+      const { helpMenu } = await createWithTimelines();
+      const tabs = helpMenu.element.querySelectorAll('.help-tab');
+      expect(tabs).toHaveLength(5);
+      expect(tabs[4].textContent).toBe('My timelines');
+    });
+
+    it('lists saved timelines as text when the tab opens', async () => {
+      const { helpMenu, callbacks } = await createWithTimelines();
+      helpMenu.switchTab('timelines');
+      await flush();
+
+      expect(callbacks.onListTimelines).toHaveBeenCalled();
+      const item = helpMenu.element.querySelector('[data-timeline]');
+      expect(item.dataset.timeline).toBe('Deep <b>time</b>');
+      expect(item.querySelector('b')).toBe(null);
+      expect(item.textContent).toContain('42 events');
+    });
+
+    it('shows an empty state', async () => {
+      const { helpMenu } = await createWithTimelines({ onListTimelines: async () => [] });
+      helpMenu.switchTab('timelines');
+      await flush();
+      expect(helpMenu.element.querySelector('[data-timelines-list]').textContent).toContain('No saved timelines yet');
+    });
+
+    it('saves the current timeline under the entered name', async () => {
+      const { helpMenu, callbacks } = await createWithTimelines();
+      helpMenu.switchTab('timelines');
+      const form = helpMenu.element.querySelector('[data-save-timeline]');
+      form.elements.name.value = ' Apollo ';
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+      await flush();
+
+      expect(callbacks.onSaveTimeline).toHaveBeenCalledWith('Apollo');
+      expect(helpMenu.element.querySelector('[data-timelines-status]').textContent).toBe('Saved "Apollo"');
+      expect(form.elements.name.value).toBe('');
+    });
+
+    it('keeps keystrokes in the name field away from timeline and tab shortcuts', async () => {
+      const { helpMenu, callbacks } = await createWithTimelines();
+      helpMenu.show();
+      helpMenu.switchTab('timelines');
+      const form = helpMenu.element.querySelector('[data-save-timeline]');
+      const input = form.elements.name;
+      input.focus();
+      const documentKeydown = vi.fn();
+      document.addEventListener('keydown', documentKeydown);
+
+      const press = (key) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        input.dispatchEvent(event);
+        return !event.defaultPrevented;
+      };
+      for (const key of 'My timeline') {
+        if (press(key)) input.value += key;
+      }
+      press('ArrowLeft');
+      // The browser submits the form on an Enter that was not cancelled
+      if (press('Enter')) form.requestSubmit();
+      await flush();
+      document.removeEventListener('keydown', documentKeydown);
+
+      expect(documentKeydown).not.toHaveBeenCalled();
+      expect(helpMenu.getActiveTab()).toBe('timelines');
+      expect(callbacks.onSaveTimeline).toHaveBeenCalledWith('My timeline');
+      helpMenu.hide();
+    });
+
+    it('reports save failures', async () => {
+      const { helpMenu } = await createWithTimelines({
+        onSaveTimeline: async () => {
+          throw new Error('quota exceeded');
+        },
+      });
+      helpMenu.switchTab('timelines');
+      const form = helpMenu.element.querySelector('[data-save-timeline]');
+      form.elements.name.value = 'Apollo';
+      form.dispatchEvent(new Event('submit', { cancelable: true }));
+      await flush();
+
+      expect(helpMenu.element.querySelector('[data-timelines-status]').textContent).toBe(
+        'Could not save: quota exceeded',
+      );
+    });
+
+    it('opens a saved timeline and closes the menu', async () => {
+      const { helpMenu, callbacks } = await createWithTimelines();
+      helpMenu.show();
+      helpMenu.switchTab('timelines');
+      await flush();
+
+      helpMenu.element.querySelector('[aria-label="Open Deep <b>time</b>"]').click();
+      expect(callbacks.onOpenTimeline).toHaveBeenCalledWith('Deep <b>time</b>');
+      expect(helpMenu.isVisible()).toBe(false);
+    });
+
+    it('exports in the chosen format and scope', async () => {
+      const onExport = vi.fn();
+      const { helpMenu } = await createWithTimelines({ onExport });
+      helpMenu.switchTab('timelines');
+
+      helpMenu.element.querySelector('[name="export-scope"]').value = 'filtered';
+      helpMenu.element.querySelector('[data-export="jsonld"]').click();
+      expect(onExport).toHaveBeenCalledWith('jsonld', 'filtered');
+    });
+
+    it('exports an image at the chosen resolution', async () => {
+      const onExportImage = vi.fn();
+      const { helpMenu } = await createWithTimelines({ onExportImage });
+      helpMenu.switchTab('timelines');
+
+      helpMenu.element.querySelector('[name="image-scale"]').value = '4';
+      helpMenu.element.querySelector('[data-export-image="png"]').click();
+      helpMenu.element.querySelector('[data-export-image="svg"]').click();
+      expect(onExportImage.mock.calls).toEqual([
+        ['png', 4],
+        ['svg', 4],
+      ]);
+      // Image export works without the data export buttons
+      expect(helpMenu.element.querySelector('[data-export]')).toBe(null);
+    });
+
+    it('omits the export section without an export callback', async () => {
+      const { helpMenu } = await createWithTimelines();
+      expect(helpMenu.element.querySelector('[data-export]')).toBe(null);
+      expect(helpMenu.element.querySelector('[data-export-image]')).toBe(null);
+    });
+
+    it('asks for a second click before deleting', async () => {
+      const { helpMenu, callbacks } = await createWithTimelines();
+      helpMenu.switchTab('timelines');
+      await flush();
+
+      const deleteBtn = helpMenu.element.querySelector('[aria-label="Delete Deep <b>time</b>"]');
+      deleteBtn.click();
+      expect(callbacks.onDeleteTimeline).not.toHaveBeenCalled();
+      expect(deleteBtn.textContent).toBe('Confirm delete');
+
+      deleteBtn.click();
+      await flush();
+      expect(callbacks.onDeleteTimeline).toHaveBeenCalledWith('Deep <b>time</b>');
+    });
+  });
+
   describe('destroy', () => {
     it('removes the element from DOM', async () => {
       const { createHelpMenu } = await import('../../src/ui/help.js');
@@ -1,6 +1,7 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
+import { SECOND } from '../../src/core/time.js';
 import { destroy, draw, init } from '../../src/rendering/renderer.js';
 
 describe('Label Rendering Integration', () => {
@@ -54,8 +55,8 @@ describe('Label Rendering Integration', () => {
     store.dispatch({
       type: 'SET_EVENTS',
       events: [
-        { id: 'e1', label: 'Event 1', start: 0n, end: 100n },
-        { id: 'e2', label: 'Event 2', start: 500n, end: 600n },
+        { id: 'e1', label: 'Event 1', start: 0n, end: 100n * SECOND },
+        { id: 'e2', label: 'Event 2', start: 500n * SECOND, end: 600n * SECOND },
       ],
     });
 
@@ -68,11 +69,11 @@ describe('Label Rendering Integration', () => {
 
   it('should hide labels for narrow events', () => {
     // Zoom out so events are very narrow
-    store.dispatch({ type: 'SET_VIEWPORT_START', start: -1000000n });
+    store.dispatch({ type: 'SET_VIEWPORT_START', start: -1000000n * SECOND });
 
     store.dispatch({
       type: 'SET_EVENTS',
-      events: [{ id: 'e1', label: 'Narrow Event', start: 0n, end: 10n }],
+      events: [{ id: 'e1', label: 'Narrow Event', start: 0n, end: 10n * SECOND }],
     });
 
     draw(store.getState());
@@ -86,7 +87,7 @@ describe('Label Rendering Integration', () => {
     store.dispatch({
       type: 'SET_EVENTS',
       events: [
-        { id: 'e1', start: 0n, end: 100n }, // No label
+        { id: 'e1', start: 0n, end: 100n * SECOND }, // No label
       ],
     });
 
@@ -107,8 +108,8 @@ describe('Label Rendering Integration', () => {
     store.dispatch({
       type: 'SET_EVENTS',
       events: [
-        { id: 'wide', label: 'Wide Event', start: 0n, end: 1000n },
-        { id: 'narrow', label: 'Narrow Event', start: 10n, end: 50n },
+        { id: 'wide', label: 'Wide Event', start: 0n, end: 1000n * SECOND },
+        { id: 'narrow', label: 'Narrow Event', start: 10n * SECOND, end: 50n * SECOND },
       ],
     });
 
@@ -129,8 +130,8 @@ describe('Label Rendering Integration', () => {
       events.push({
         id: `e${i}`,
         label: `Event ${i}`,
-        start: BigInt(i * 100),
-        end: BigInt(i * 100 + 50),
+        start: BigInt(i * 100) * SECOND,
+        end: BigInt(i * 100 + 50) * SECOND,
       });
     }
 
@@ -147,7 +148,7 @@ describe('Label Rendering Integration', () => {
   it('should update labels on zoom', () => {
     store.dispatch({
       type: 'SET_EVENTS',
-      events: [{ id: 'e1', label: 'Event 1', start: 0n, end: 100n }],
+      events: [{ id: 'e1', label: 'Event 1', start: 0n, end: 100n * SECOND }],
     });
 
     // Draw at initial zoom
@@ -177,8 +178,8 @@ describe('Label Rendering Integration', () => {
       events.push({
         id: `e${i}`,
         label: `Event ${i}`,
-        start: BigInt(i * 60), // 60 seconds apart
-        end: BigInt(i * 60 + 50), // 50 second duration (50px wide)
+        start: BigInt(i * 60) * SECOND, // 60 seconds apart
+        end: BigInt(i * 60 + 50) * SECOND, // 50 second duration (50px wide)
       });
     }
 
@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { RationalScale } from '../../src/core/scale.js';
+import { createStore } from '../../src/core/store.js';
+import { SECOND } from '../../src/core/time.js';
+import { createRenderer } from '../../src/rendering/renderer.js';
+import { createSvgContext } from '../../src/rendering/svg-context.js';
+
+const EVENTS = [
+  { id: 'a', label: 'A', start: 0n, end: 100n * SECOND, category: 'x' },
+  { id: 'b', label: 'B', start: 50n * SECOND, end: 300n * SECOND, category: 'y' },
+  { id: 'c', label: 'C', start: 400n * SECOND, category: 'x' },
+];
+
+describe('Renderer layout cache', () => {
+  let canvas;
+  let store;
+  let renderer;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    document.body.appendChild(canvas);
+    Object.defineProperty(canvas, 'getBoundingClientRect', {
+      value: () => ({ width: 800, height: 400, top: 0, left: 0 }),
+    });
+    store = createStore({ viewportStart: -50n * SECOND, scale: RationalScale.fromSecondsPerPixel(1) });
+    renderer = createRenderer();
+    renderer.init(canvas, store.dispatch);
+    store.dispatch({ type: 'SET_EVENTS', events: EVENTS });
+    render();
+  });
+
+  afterEach(() => {
+    renderer.destroy();
+    canvas.remove();
+  });
+
+  // The mock canvas context cannot measure labels, so frames go to a recording context
+  function render() {
+    renderer.renderSnapshot(createSvgContext(800, 400), store.getState());
+  }
+
+  function dispatchAndDraw(action) {
+    store.dispatch(action);
+    render();
+  }
+
+  it('only repaints on hover, selection and focus changes', () => {
+    const lanes = renderer.getLaneAssignments();
+    const buckets = renderer.getSpatialHash().buckets;
+    const revision = store.getState().revision;
+
+    dispatchAndDraw({ type: 'SET_HOVER', eventId: 'a' });
+    dispatchAndDraw({ type: 'SELECT_EVENT', eventId: 'b' });
+    dispatchAndDraw({ type: 'SET_FOCUS', eventId: 'c' });
+
+    expect(store.getState().revision).toBe(revision + 3);
+    expect(renderer.getLaneAssignments()).toBe(lanes);
+    expect(renderer.getSpatialHash().buckets).toBe(buckets);
+    expect(renderer.getSpatialHash().offsetX).toBe(0);
+  });
+
+  it('translates the spatial hash on pan instead of rebuilding it', () => {
+    const hash = renderer.getSpatialHash();
+    const buckets = new Map(hash.buckets);
+    const y = hash.eventBounds.get('c').y + 1;
+    expect(hash.queryFirst(450, y)?.id).toBe('c');
+
+    dispatchAndDraw({ type: 'PAN', offset: 200n * SECOND });
+
+    expect(hash.offsetX).toBe(-200);
+    expect(hash.buckets).toEqual(buckets);
+    expect(hash.queryFirst(250, y)?.id).toBe('c');
+    expect(hash.queryFirst(450, y)).toBeNull();
+  });
+
+  it('recomputes the layout when the events or grouping change', () => {
+    const lanes = renderer.getLaneAssignments();
+
+    dispatchAndDraw({ type: 'SET_GROUP_BY', groupBy: 'category' });
+    const grouped = renderer.getLaneAssignments();
+    expect(grouped).not.toBe(lanes);
+    expect(renderer.getGroupBands().map((group) => group.key)).toEqual(['x', 'y']);
+
+    dispatchAndDraw({ type: 'SET_EVENTS', events: EVENTS.slice(0, 2) });
+    expect(renderer.getLaneAssignments()).not.toBe(grouped);
+    expect(renderer.getSpatialHash().eventBounds.has('c')).toBe(false);
+  });
+
+  it('rebuilds the spatial hash when the zoom changes', () => {
+    dispatchAndDraw({ type: 'SET_ZOOM', scale: RationalScale.fromSecondsPerPixel(2) });
+
+    const hash = renderer.getSpatialHash();
+    expect(hash.offsetX).toBe(0);
+    // c at 400s is now 225px from the viewport start (-50s at 2s/px)
+    expect(hash.queryFirst(225, hash.eventBounds.get('c').y + 1)?.id).toBe('c');
+  });
+});
@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { RationalScale } from '../../src/core/scale.js';
+import { createStore } from '../../src/core/store.js';
+import { SECOND } from '../../src/core/time.js';
+import { createRenderer } from '../../src/rendering/renderer.js';
+import { createSvgContext } from '../../src/rendering/svg-context.js';
+
+const RELATION_STROKE = 'stroke="rgba(200, 200, 255, 0.55)"';
+
+describe('Relation rendering', () => {
+  let canvas;
+  let store;
+  let renderer;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    document.body.appendChild(canvas);
+    Object.defineProperty(canvas, 'getBoundingClientRect', {
+      value: () => ({ width: 800, height: 400, top: 0, left: 0 }),
+    });
+    store = createStore({ viewportStart: -50n * SECOND, scale: RationalScale.fromSecondsPerPixel(1) });
+    renderer = createRenderer();
+    renderer.init(canvas, store.dispatch);
+  });
+
+  afterEach(() => {
+    renderer.destroy();
+    canvas.remove();
+  });
+
+  // Render into a recording context so the drawn paths can be inspected
+  function render() {
+    const ctx = createSvgContext(800, 400);
+    renderer.renderSnapshot(ctx, store.getState());
+    return ctx.toSvg().split('\n');
+  }
+
+  it('draws a curved arrow from the end of the source to the start of the target', () => {
+    store.dispatch({
+      type: 'SET_EVENTS',
+      events: [
+        { id: 'a', label: 'A', start: 0n, end: 100n * SECOND, relations: [{ type: 'caused', target: 'b' }] },
+        { id: 'b', label: 'B', start: 50n * SECOND, end: 300n * SECOND },
+      ],
+    });
+    const lines = render();
+
+    const lanes = renderer.getLaneAssignments();
+    expect(lanes.get('a')).not.toBe(lanes.get('b'));
+    const curves = lines.filter((line) => line.includes('C') && line.includes(RELATION_STROKE));
+    expect(curves).toHaveLength(1);
+    // Starts at the right edge of A (x = 50 + 100) and ends at the left edge of B (x = 100)
+    expect(curves[0]).toMatch(/d="M150 [\d.]+C[^"]* 100 [\d.]+"/);
+  });
+
+  it('draws an edge indicator for a related event outside the viewport', () => {
+    store.dispatch({
+      type: 'SET_EVENTS',
+      events: [
+        { id: 'a', label: 'A', start: 0n, end: 100n * SECOND, relations: [{ type: 'preceded', target: 'later' }] },
+        { id: 'earlier', label: 'Earlier', start: -5000n * SECOND, relations: [{ type: 'caused', target: 'a' }] },
+        { id: 'later', label: 'Later', start: 10000n * SECOND },
+      ],
+    });
+    const lines = render();
+
+    const curves = lines.filter((line) => line.includes('C') && line.includes(RELATION_STROKE));
+    expect(curves).toHaveLength(2);
+    // Chevrons with their tips one pixel inside the left and right canvas edges
+    expect(lines.some((line) => /d="M1 [\d.]+L10 /.test(line))).toBe(true);
+    expect(lines.some((line) => /d="M799 [\d.]+L790 /.test(line))).toBe(true);
+  });
+
+  it('draws nothing when neither related event is on screen', () => {
+    store.dispatch({
+      type: 'SET_EVENTS',
+      events: [
+        { id: 'a', label: 'A', start: -9000n * SECOND, relations: [{ type: 'caused', target: 'b' }] },
+        { id: 'b', label: 'B', start: 9000n * SECOND },
+      ],
+    });
+    expect(render().some((line) => line.includes(RELATION_STROKE))).toBe(false);
+  });
+});
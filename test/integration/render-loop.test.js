@@ -1,8 +1,8 @@
 import { afterEach, beforeEach, describe, expect, it } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
+import { SECOND, toSeconds, YEAR } from '../../src/core/time.js';
 import { destroy, draw, getClusters, init } from '../../src/rendering/renderer.js';
-import { YEAR } from '../../src/core/time.js';
 
 describe('Render Loop Integration', () => {
   let canvas;
@@ -61,7 +61,7 @@ describe('Render Loop Integration', () => {
         type: 'SET_EVENTS',
         events: [
           { id: 'e1', start: 0n },
-          { id: 'e2', start: 100n },
+          { id: 'e2', start: 100n * SECOND },
         ],
       });
       expect(() => draw(store.getState())).not.toThrow();
@@ -73,21 +73,21 @@ describe('Render Loop Integration', () => {
       store.dispatch({
         type: 'SET_EVENTS',
         events: [
-          { id: 'visible', start: 100n },
-          { id: 'outside', start: 10000n },
+          { id: 'visible', start: 100n * SECOND },
+          { id: 'outside', start: 10000n * SECOND },
         ],
       });
       expect(() => draw(store.getState())).not.toThrow();
     });
 
     it('builds macro clusters from the active filtered event set', () => {
-      const scale = RationalScale.fromSecondsPerPixel(Number(YEAR) * 60);
+      const scale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR) * 60);
       store.dispatch({ type: 'SET_VIEWPORT', viewportStart: 0n, scale });
       store.dispatch({
         type: 'SET_EVENTS',
         events: [
-          { id: 'science-1', start: 0n, end: 10n, category: 'Science', priority: 0 },
-          { id: 'history-1', start: 5n, end: 15n, category: 'History', priority: 0 },
+          { id: 'science-1', start: 0n, end: 10n * SECOND, category: 'Science', priority: 0 },
+          { id: 'history-1', start: 5n * SECOND, end: 15n * SECOND, category: 'History', priority: 0 },
         ],
       });
       store.dispatch({ type: 'TOGGLE_CATEGORY', category: 'Science' });
@@ -110,7 +110,7 @@ describe('Render Loop Integration', () => {
 
     it('revision increments on state change', () => {
       const initialRevision = store.getState().revision;
-      store.dispatch({ type: 'PAN', offset: 100n });
+      store.dispatch({ type: 'PAN', offset: 100n * SECOND });
       expect(store.getState().revision).toBe(initialRevision + 1);
     });
 
@@ -139,7 +139,7 @@ describe('Render Loop Integration', () => {
       simulateLoop();
       expect(drawCount).toBe(1);
 
-      store.dispatch({ type: 'PAN', offset: 50n });
+      store.dispatch({ type: 'PAN', offset: 50n * SECOND });
       simulateLoop();
       expect(drawCount).toBe(2);
 
@@ -154,18 +154,18 @@ describe('Render Loop Integration', () => {
       store.dispatch({ type: 'SET_VIEWPORT', viewportStart: 0n, scale });
 
       store.dispatch({ type: 'SET_CANVAS_WIDTH', width: 500 });
-      expect(store.getViewportEnd()).toBe(500n);
+      expect(store.getViewportEnd()).toBe(500n * SECOND);
 
       store.dispatch({ type: 'SET_CANVAS_WIDTH', width: 1000 });
-      expect(store.getViewportEnd()).toBe(1000n);
+      expect(store.getViewportEnd()).toBe(1000n * SECOND);
     });
 
     it('panning updates viewport correctly', () => {
       const scale = RationalScale.fromPixelsPerSecond(1);
       store.dispatch({ type: 'SET_VIEWPORT', viewportStart: 0n, scale });
 
-      store.dispatch({ type: 'PAN', offset: 200n });
-      expect(store.getState().viewportStart).toBe(200n);
+      store.dispatch({ type: 'PAN', offset: 200n * SECOND });
+      expect(store.getState().viewportStart).toBe(200n * SECOND);
     });
   });
 });
@@ -122,4 +122,96 @@ describe('SearchBar', () => {
       expect(searchBar.isVisible()).toBe(true);
     });
   });
+
+  describe('query errors', () => {
+    it('shows an inline error for invalid syntax and clears it once fixed', async () => {
+      const { createSearchBar } = await import('../../src/ui/searchbar.js');
+
+      const searchBar = createSearchBar(container, { onSearch: () => {} });
+      const input = searchBar.element.querySelector('input');
+      const error = searchBar.element.querySelector('.searchbar-error');
+      searchBar.show();
+
+      input.value = 'apollo "moon';
+      input.dispatchEvent(new Event('input'));
+      expect(error.style.display).toBe('block');
+      expect(error.textContent).toBe('Missing closing quote (at character 8)');
+      expect(input.getAttribute('aria-invalid')).toBe('true');
+      expect(input.getAttribute('aria-describedby')).toBe(error.id);
+
+      input.value = 'apollo "moon"';
+      input.dispatchEvent(new Event('input'));
+      expect(error.style.display).toBe('none');
+      expect(input.hasAttribute('aria-invalid')).toBe(false);
+    });
+
+    it('clears the error when hidden', async () => {
+      const { createSearchBar } = await import('../../src/ui/searchbar.js');
+
+      const searchBar = createSearchBar(container, { onSearch: () => {} });
+      const input = searchBar.element.querySelector('input');
+      searchBar.show();
+      input.value = 'priority:9';
+      input.dispatchEvent(new Event('input'));
+      searchBar.hide();
+
+      expect(searchBar.element.querySelector('.searchbar-error').style.display).toBe('none');
+    });
+  });
+
+  describe('results list', () => {
+    const events = [
+      { id: 'a', label: 'Apollo 11', start: 0n },
+      { id: 'b', label: 'Apollo 13', start: 0n },
+      { id: 'c', label: 'Apollo 17', start: 0n },
+    ];
+
+    it('lists results and moves through them with the arrow keys', async () => {
+      const { createSearchBar } = await import('../../src/ui/searchbar.js');
+
+      const onJumpTo = vi.fn();
+      const searchBar = createSearchBar(container, { onSearch: () => {}, onNext: () => {}, onJumpTo });
+      const input = searchBar.element.querySelector('input');
+      searchBar.show();
+      searchBar.updateNavigation(1, 3);
+      searchBar.updateResults(events, 1, 'apollo');
+
+      const list = searchBar.element.querySelector('[role="listbox"]');
+      expect(list.querySelectorAll('[role="option"]')).toHaveLength(3);
+      expect(input.getAttribute('aria-controls')).toBe(list.id);
+      expect(input.getAttribute('aria-expanded')).toBe('true');
+      expect(input.getAttribute('aria-activedescendant')).toBe(list.children[1].id);
+
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+      expect(onJumpTo).toHaveBeenLastCalledWith(2);
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+      expect(onJumpTo).toHaveBeenLastCalledWith(0);
+
+      searchBar.updateNavigation(2, 3);
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+      expect(onJumpTo).toHaveBeenLastCalledWith(2);
+    });
+
+    it('clears the list when hidden', async () => {
+      const { createSearchBar } = await import('../../src/ui/searchbar.js');
+
+      const searchBar = createSearchBar(container, { onSearch: () => {}, onJumpTo: () => {} });
+      const input = searchBar.element.querySelector('input');
+      searchBar.show();
+      searchBar.updateResults(events, 0, 'apollo');
+      searchBar.hide();
+
+      expect(searchBar.element.querySelector('[role="listbox"]').children).toHaveLength(0);
+      expect(input.getAttribute('aria-expanded')).toBe('false');
+      expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+    });
+
+    it('has no results list without onJumpTo', async () => {
+      const { createSearchBar } = await import('../../src/ui/searchbar.js');
+
+      const searchBar = createSearchBar(container, { onSearch: () => {} });
+      expect(searchBar.element.querySelector('[role="listbox"]')).toBeNull();
+      expect(searchBar.element.querySelector('input').hasAttribute('role')).toBe(false);
+    });
+  });
 });
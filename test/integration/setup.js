@@ -13,6 +13,7 @@ function createMockContext() {
     beginPath: vi.fn(),
     moveTo: vi.fn(),
     lineTo: vi.fn(),
+    bezierCurveTo: vi.fn(),
     stroke: vi.fn(),
     fill: vi.fn(),
     closePath: vi.fn(),
@@ -21,6 +22,7 @@ function createMockContext() {
     scale: vi.fn(),
     save: vi.fn(),
     restore: vi.fn(),
+    createLinearGradient: vi.fn(() => ({ addColorStop: vi.fn() })),
   };
 }
 
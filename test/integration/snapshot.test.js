@@ -0,0 +1,143 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RationalScale } from '../../src/core/scale.js';
+import { createStore } from '../../src/core/store.js';
+import { MILLION_YEARS, SECOND, toSeconds } from '../../src/core/time.js';
+import { createRenderer, formatTime, getAxisY, getGridInterval } from '../../src/rendering/renderer.js';
+import { renderPngSnapshot, renderSvgSnapshot } from '../../src/rendering/snapshot.js';
+import { createSvgContext } from '../../src/rendering/svg-context.js';
+
+describe('Image snapshots', () => {
+  let canvas;
+  let store;
+  let renderer;
+
+  beforeEach(() => {
+    canvas = document.createElement('canvas');
+    document.body.appendChild(canvas);
+    Object.defineProperty(canvas, 'getBoundingClientRect', {
+      value: () => ({ width: 800, height: 400, top: 0, left: 0 }),
+    });
+
+    store = createStore({ viewportStart: -50n * SECOND, scale: RationalScale.fromSecondsPerPixel(1) });
+    renderer = createRenderer();
+    const { ctx } = renderer.init(canvas, store.dispatch);
+    ctx.measureText = (text) => ({ width: text.length * 7 });
+    ctx.rect = vi.fn();
+    ctx.clip = vi.fn();
+    ctx.arc = vi.fn();
+  });
+
+  afterEach(() => {
+    renderer.destroy();
+    canvas.remove();
+    vi.unstubAllGlobals();
+  });
+
+  it('renders events, labels, the axis, grid labels and a legend as SVG', () => {
+    store.dispatch({
+      type: 'SET_EVENTS',
+      events: [
+        { id: 'e1', label: 'Battle of Zama', start: 0n, end: 200n * SECOND, category: 'war' },
+        { id: 'e2', label: 'Eratosthenes', start: 400n * SECOND, end: 600n * SECOND, category: 'science' },
+      ],
+    });
+    const state = store.getState();
+    renderer.draw(state);
+
+    const svg = renderSvgSnapshot(renderer, state);
+    expect(svg).toContain('width="800" height="428"');
+    expect(svg).toContain('>Battle of Zama</text>');
+    expect(svg).toContain('>Eratosthenes</text>');
+    // Axis line
+    expect(svg).toContain(`d="M0 ${getAxisY(400)}L800 ${getAxisY(400)}"`);
+    // Grid labels below the axis
+    const { interval, unit } = getGridInterval(1);
+    expect(svg).toContain(`>${formatTime(0n, unit, interval, state.calendar)}</text>`);
+    // Legend band with one entry per shape in view
+    expect(svg).toContain('>war</text>');
+    expect(svg).toContain('>science</text>');
+    // No FPS counter in snapshots
+    expect(svg).not.toContain('FPS');
+  });
+
+  it('fades an uncertainty window out from the event with gradients', () => {
+    store.dispatch({
+      type: 'SET_EVENTS',
+      events: [
+        {
+          id: 'e1',
+          label: 'Founding',
+          start: 100n * SECOND,
+          end: 200n * SECOND,
+          earliest: 40n * SECOND,
+          latest: 300n * SECOND,
+          startQualifier: '~',
+        },
+      ],
+    });
+    const state = store.getState();
+    renderer.draw(state);
+
+    const svg = renderSvgSnapshot(renderer, state);
+    // Screen x = (time + 50 s) at one second per pixel
+    expect(svg).toMatch(
+      /<linearGradient id="gradient\d+" gradientUnits="userSpaceOnUse" x1="150" y1="0" x2="90" y2="0">/,
+    );
+    expect(svg).toMatch(/x1="250" y1="0" x2="350" y2="0">/);
+    expect(svg).toMatch(/<rect x="90" y="[\d.]+" width="60" height="[\d.]+" fill="url\(#gradient\d+\)"/);
+    expect(svg).toContain('stop-color="rgba(');
+  });
+
+  it('draws cluster markers at macro zoom', () => {
+    const events = Array.from({ length: 30 }, (_, i) => ({
+      id: `e${i}`,
+      label: `Event ${i}`,
+      start: -BigInt(i) * 1000n * 31_557_600n,
+    }));
+    store.dispatch({ type: 'SET_EVENTS', events });
+    store.dispatch({ type: 'SET_ZOOM', scale: RationalScale.fromSecondsPerPixel(toSeconds(MILLION_YEARS)) });
+    store.dispatch({ type: 'SET_VIEWPORT_START', start: -400n * MILLION_YEARS });
+    const state = store.getState();
+    renderer.draw(state);
+
+    const cluster = renderer.getClusters().find((c) => c.type === 'cluster');
+    expect(cluster).toBeDefined();
+    const svg = renderSvgSnapshot(renderer, state);
+    expect(svg).toContain(`>${cluster.count}</text>`);
+    expect(svg).toContain('>Uncategorized</text>');
+  });
+
+  it('re-renders PNG snapshots on an offscreen canvas at the chosen resolution', async () => {
+    const created = [];
+    vi.stubGlobal(
+      'OffscreenCanvas',
+      class {
+        constructor(width, height) {
+          this.width = width;
+          this.height = height;
+          this.ctx = createSvgContext(width, height);
+          this.ctx.setTransform = vi.fn();
+          created.push(this);
+        }
+        getContext() {
+          return this.ctx;
+        }
+        async convertToBlob(options) {
+          return new Blob([], options);
+        }
+      },
+    );
+    store.dispatch({
+      type: 'SET_EVENTS',
+      events: [{ id: 'e1', label: 'Battle of Zama', start: 0n, end: 200n * SECOND }],
+    });
+    const state = store.getState();
+    renderer.draw(state);
+
+    const blob = await renderPngSnapshot(renderer, state, { scale: 4 });
+    expect(blob.type).toBe('image/png');
+    expect(created[0]).toMatchObject({ width: 3200, height: 1712 });
+    expect(created[0].ctx.setTransform).toHaveBeenCalledWith(4, 0, 0, 4, 0, 0);
+    expect(created[0].ctx.toSvg()).toContain('>Battle of Zama</text>');
+  });
+});
@@ -0,0 +1,765 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RationalScale } from '../../src/core/scale.js';
+import { projectToScreen, SECOND, screenToTime } from '../../src/core/time.js';
+import { parseTour } from '../../src/data/tour.js';
+import { getLaneY } from '../../src/layout/lane-positioning.js';
+import { getAxisY } from '../../src/rendering/renderer.js';
+import { createTimeline, TIMELINE_EVENTS } from '../../src/timeline.js';
+import { formatTimeRange } from '../../src/ui/format.js';
+import { getOverviewViewport } from '../../src/ui/minimap.js';
+
+function createContainer(width = 800) {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  // Canvas size is read via getBoundingClientRect for DPI scaling
+  const originalCreate = container.appendChild.bind(container);
+  container.appendChild = (child) => {
+    if (child.tagName === 'CANVAS') {
+      Object.defineProperty(child, 'getBoundingClientRect', {
+        value: () => ({ width, height: 400, top: 0, left: 0, right: width, bottom: 400 }),
+      });
+    }
+    return originalCreate(child);
+  };
+  return container;
+}
+
+const SPACE_EVENTS = [
+  { id: 'sputnik', label: 'Sputnik 1', start: '1957-10-04' },
+  { id: 'apollo-11', label: 'Apollo 11', start: '1969-07-16', end: '1969-07-24' },
+  { id: 'apollo-13', label: 'Apollo 13', start: '1970-04-11', end: '1970-04-17' },
+];
+
+const ANCIENT_EVENTS = [
+  { id: 'pyramid', label: 'Great Pyramid', start: '2560 BCE' },
+  { id: 'rome', label: 'Founding of Rome', start: '753 BCE' },
+];
+
+describe('createTimeline', () => {
+  let containers;
+  let timelines;
+
+  beforeEach(() => {
+    containers = [];
+    timelines = [];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    for (const timeline of timelines) timeline.destroy();
+    for (const container of containers) container.remove();
+    vi.restoreAllMocks();
+  });
+
+  function mount(options = {}, width = 800) {
+    const container = createContainer(width);
+    const timeline = createTimeline(container, options);
+    containers.push(container);
+    timelines.push(timeline);
+    return { container, timeline };
+  }
+
+  it('throws without a container', () => {
+    expect(() => createTimeline(null)).toThrow(/container/);
+  });
+
+  it('creates its own canvas, live region and overlays inside the container', () => {
+    const { container, timeline } = mount();
+    expect(container.querySelector('canvas')).toBe(timeline.canvas);
+    expect(container.querySelector('[aria-live="polite"]')).toBe(timeline.ariaLiveElement);
+    expect(container.querySelector('.tooltip')).not.toBeNull();
+    expect(container.querySelector('.event-panel')).not.toBeNull();
+    expect(container.querySelector('.context-menu')).not.toBeNull();
+    expect(container.querySelector('nav[aria-label="Timeline events"]')).not.toBeNull();
+  });
+
+  it('lists only the events in view in the accessible event list', () => {
+    const { container, timeline } = mount({ events: SPACE_EVENTS, transitionDuration: 0 });
+    const listed = () =>
+      [...container.querySelectorAll('nav[aria-label="Timeline events"] li button')].map((b) => b.textContent);
+    expect(listed()).toEqual(['Sputnik 1', 'Apollo 11', 'Apollo 13']);
+
+    timeline.revealEvent('apollo-11');
+    expect(listed()).toEqual(['Apollo 11']);
+  });
+
+  it('reports the canvas width to its own store', () => {
+    const { timeline } = mount({}, 640);
+    expect(timeline.getState().canvasWidth).toBe(640);
+  });
+
+  it('normalizes raw events passed to setEvents and fits the viewport', () => {
+    const { timeline } = mount();
+    const { errors } = timeline.setEvents(SPACE_EVENTS);
+    const state = timeline.getState();
+
+    expect(errors).toEqual([]);
+    expect(state.events.map((e) => e.id)).toEqual(['sputnik', 'apollo-11', 'apollo-13']);
+    expect(typeof state.events[0].start).toBe('bigint');
+    expect(state.viewportStart).toBeLessThan(state.events[0].start);
+  });
+
+  it('returns validation errors for invalid raw events', () => {
+    const { timeline } = mount();
+    const { errors } = timeline.setEvents([{ id: 'no-start', label: 'Broken' }, ...SPACE_EVENTS]);
+    expect(errors.length).toBeGreaterThan(0);
+    expect(timeline.getState().events).toHaveLength(3);
+  });
+
+  it('accepts initial events through options', () => {
+    const { timeline } = mount({ events: SPACE_EVENTS });
+    expect(timeline.getState().events).toHaveLength(3);
+  });
+
+  it('setViewport accepts a scale or seconds-per-pixel', () => {
+    const { timeline } = mount();
+    const scale = RationalScale.fromSecondsPerPixel(60);
+    timeline.setViewport({ viewportStart: 1000n, scale });
+    expect(timeline.getState().viewportStart).toBe(1000n);
+    expect(timeline.getState().scale).toBe(scale);
+
+    timeline.setViewport({ viewportStart: 2000n, secondsPerPixel: 3600 });
+    expect(timeline.getState().viewportStart).toBe(2000n);
+    expect(timeline.getState().scale.getSecondsPerPixel()).toBeCloseTo(3600);
+  });
+
+  it('zoomIn and zoomOut change the scale around the canvas center', () => {
+    const { timeline } = mount({ events: SPACE_EVENTS, transitionDuration: 0 });
+    const before = timeline.getState().scale.getSecondsPerPixel();
+    timeline.zoomIn();
+    expect(timeline.getState().scale.getSecondsPerPixel()).toBeLessThan(before);
+    timeline.zoomOut();
+    expect(timeline.getState().scale.getSecondsPerPixel()).toBeCloseTo(before, 0);
+  });
+
+  describe('animated navigation', () => {
+    let frames;
+    let nextFrameId;
+
+    // Run the queued animation frames at `time` milliseconds
+    function runFrames(time) {
+      const queued = [...frames.values()];
+      frames.clear();
+      for (const callback of queued) callback(time);
+    }
+
+    beforeEach(() => {
+      frames = new Map();
+      nextFrameId = 1;
+      vi.stubGlobal('requestAnimationFrame', (callback) => {
+        frames.set(nextFrameId, callback);
+        return nextFrameId++;
+      });
+      vi.stubGlobal('cancelAnimationFrame', (id) => frames.delete(id));
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('animates zooms, building repeated zooms on the target', () => {
+      const { timeline } = mount({ events: SPACE_EVENTS, transitionDuration: 200 });
+      const { timeline: instant } = mount({ events: SPACE_EVENTS, transitionDuration: 0 });
+      instant.zoomIn();
+      instant.zoomIn();
+      const before = timeline.getState().scale.getSecondsPerPixel();
+
+      timeline.zoomIn();
+      expect(timeline.getState().scale.getSecondsPerPixel()).toBe(before);
+      runFrames(0);
+      runFrames(100);
+      timeline.zoomIn();
+      runFrames(100);
+      runFrames(300);
+
+      expect(timeline.getState().scale).toEqual(instant.getState().scale);
+      expect(timeline.getState().viewportStart).toBe(instant.getState().viewportStart);
+    });
+
+    it('stops the animation when the user takes hold of the canvas', () => {
+      const { timeline } = mount({ events: SPACE_EVENTS, transitionDuration: 200 });
+      timeline.resetZoom();
+      runFrames(0);
+      runFrames(50);
+      const { viewportStart } = timeline.getState();
+
+      timeline.canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: 10, clientY: 10, button: 0 }));
+      runFrames(100);
+      expect(timeline.getState().viewportStart).toBe(viewportStart);
+    });
+
+    it('jumps when setViewport is not asked to animate', () => {
+      const { timeline } = mount({ events: SPACE_EVENTS, transitionDuration: 200 });
+      timeline.fitToContent();
+      timeline.setViewport({ viewportStart: 0n, secondsPerPixel: 60 });
+      runFrames(0);
+      runFrames(300);
+      expect(timeline.getState().viewportStart).toBe(0n);
+
+      timeline.setViewport({ viewportStart: 1000n }, { animate: true });
+      expect(timeline.getState().viewportStart).toBe(0n);
+      runFrames(0);
+      runFrames(300);
+      expect(timeline.getState().viewportStart).toBe(1000n);
+    });
+  });
+
+  describe('overview strip', () => {
+    const nextFrame = () => new Promise((resolve) => requestAnimationFrame(resolve));
+
+    async function mountOverview() {
+      const mounted = mount({ events: SPACE_EVENTS, overview: true, transitionDuration: 0 });
+      const strip = mounted.container.querySelector('.minimap canvas');
+      Object.defineProperty(strip, 'getBoundingClientRect', {
+        value: () => ({ width: 800, height: 40, top: 0, left: 0, right: 800, bottom: 40 }),
+      });
+      await nextFrame();
+      const { events } = mounted.timeline.getState();
+      const overview = getOverviewViewport(events, 800, 0n);
+      const toX = (time) => projectToScreen(time, overview.viewportStart, overview.scale);
+      const pointer = (type, clientX) => strip.dispatchEvent(new MouseEvent(type, { clientX, button: 0 }));
+      return { ...mounted, strip, events, toX, pointer };
+    }
+
+    it('is opt-in and sits below the canvas', async () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      expect(container.querySelector('.minimap')).toBe(null);
+
+      const { container: withOverview, strip } = await mountOverview();
+      expect(withOverview.querySelector('.minimap').style.display).toBe('block');
+      expect(withOverview.querySelector('canvas').style.height).toBe('calc(100% - 40px)');
+      expect(strip.getAttribute('role')).toBe('slider');
+      expect(strip.getAttribute('aria-valuetext')).toMatch(/^Showing /);
+      expect(timeline.getState().events).toHaveLength(3);
+    });
+
+    it('pans with the brush and jumps to clicked times', async () => {
+      const { timeline, events, toX, pointer } = await mountOverview();
+      timeline.zoomIn();
+      timeline.zoomIn();
+      await nextFrame();
+      let state = timeline.getState();
+      const brushLeft = toX(state.viewportStart);
+      const brushRight = toX(screenToTime(800, state.viewportStart, state.scale));
+
+      pointer('pointerdown', (brushLeft + brushRight) / 2);
+      pointer('pointermove', (brushLeft + brushRight) / 2 - 50);
+      pointer('pointerup', (brushLeft + brushRight) / 2 - 50);
+      state = timeline.getState();
+      expect(Math.abs(toX(state.viewportStart) - (brushLeft - 50))).toBeLessThan(2);
+
+      // Clicking past the brush centers the clicked time
+      await nextFrame();
+      const apollo13 = events.find((e) => e.id === 'apollo-13');
+      expect(toX(screenToTime(800, state.viewportStart, state.scale))).toBeLessThan(toX(apollo13.end) - 10);
+      pointer('pointerdown', toX(apollo13.end));
+      state = timeline.getState();
+      expect(projectToScreen(apollo13.end, state.viewportStart, state.scale)).toBeCloseTo(400, -1);
+    });
+
+    it('zooms by dragging a brush edge', async () => {
+      const { timeline, toX, pointer } = await mountOverview();
+      timeline.zoomIn();
+      await nextFrame();
+      const state = timeline.getState();
+      const brushLeft = toX(state.viewportStart);
+      const brushRight = toX(screenToTime(800, state.viewportStart, state.scale));
+
+      pointer('pointerdown', brushRight);
+      pointer('pointermove', (brushLeft + brushRight) / 2);
+      pointer('pointerup', (brushLeft + brushRight) / 2);
+      const zoomed = timeline.getState();
+      expect(zoomed.scale.getSecondsPerPixel()).toBeCloseTo(state.scale.getSecondsPerPixel() / 2, -3);
+      expect(Math.abs(toX(zoomed.viewportStart) - brushLeft)).toBeLessThan(2);
+    });
+
+    it('pans from the keyboard', async () => {
+      const { timeline, events, strip } = await mountOverview();
+      const before = timeline.getState();
+      const key = (name) => {
+        const event = new KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true });
+        strip.dispatchEvent(event);
+        return event;
+      };
+
+      expect(key('ArrowRight').defaultPrevented).toBe(true);
+      expect(timeline.getState().viewportStart).toBe(before.viewportStart + before.scale.pxToTime(80));
+
+      key('Home');
+      expect(timeline.getState().viewportStart).toBe(events[0].start);
+      expect(key('x').defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('on()', () => {
+    it('exposes the supported event names', () => {
+      expect(TIMELINE_EVENTS).toContain('viewportchange');
+      expect(TIMELINE_EVENTS).toContain('selectionchange');
+    });
+
+    it('throws for unknown event names', () => {
+      const { timeline } = mount();
+      expect(() => timeline.on('nope', () => {})).toThrow(/unknown timeline event/);
+    });
+
+    it('notifies viewport, selection and hover changes', () => {
+      const { timeline } = mount({ events: SPACE_EVENTS });
+      const viewport = vi.fn();
+      const selection = vi.fn();
+      const hover = vi.fn();
+      timeline.on('viewportchange', viewport);
+      timeline.on('selectionchange', selection);
+      timeline.on('hoverchange', hover);
+
+      timeline.setViewport({ viewportStart: 5n });
+      timeline.dispatch({ type: 'SELECT_EVENT', eventId: 'sputnik' });
+      timeline.dispatch({ type: 'SET_HOVER', eventId: 'apollo-11' });
+
+      expect(viewport).toHaveBeenCalledWith(expect.objectContaining({ viewportStart: 5n }));
+      expect(selection).toHaveBeenCalledWith(['sputnik']);
+      expect(hover).toHaveBeenCalledWith('apollo-11');
+    });
+
+    it('returns an unsubscribe function', () => {
+      const { timeline } = mount();
+      const listener = vi.fn();
+      const off = timeline.on('statechange', listener);
+      off();
+      timeline.setViewport({ viewportStart: 1n });
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  it('openEvent selects the event and shows the panel', () => {
+    const { container, timeline } = mount({ events: SPACE_EVENTS });
+    expect(timeline.openEvent('apollo-11')).toBe(true);
+    expect([...timeline.getState().selectedEventIds]).toEqual(['apollo-11']);
+    expect(container.querySelector('.event-panel-title').textContent).toBe('Apollo 11');
+    expect(timeline.openEvent('missing')).toBe(false);
+  });
+
+  it('revealEvent zooms to, focuses and opens a deep-linked event', () => {
+    const events = SPACE_EVENTS.map((event) => ({ ...event, category: 'space' }));
+    const { container, timeline } = mount({ events });
+    timeline.setGroupBy('category');
+    timeline.toggleGroup('space');
+
+    expect(timeline.revealEvent('apollo-11')).toBe(true);
+    const state = timeline.getState();
+    const apollo = state.events.find((event) => event.id === 'apollo-11');
+    const x = projectToScreen(apollo.start, state.viewportStart, state.scale);
+    expect(x).toBeGreaterThan(0);
+    expect(x).toBeLessThan(state.canvasWidth);
+    expect(state.collapsedGroups.size).toBe(0);
+    expect(state.focusedEventId).toBe('apollo-11');
+    expect([...state.selectedEventIds]).toEqual(['apollo-11']);
+    expect(container.querySelector('.event-panel-title').textContent).toBe('Apollo 11');
+
+    // Without zoom the scale is kept; focus only pans the point event into view
+    expect(timeline.revealEvent('sputnik', { zoom: false })).toBe(true);
+    expect(timeline.getState().scale).toBe(state.scale);
+    expect(timeline.getState().focusedEventId).toBe('sputnik');
+    expect(timeline.revealEvent('missing')).toBe(false);
+  });
+
+  it('setAxisMode shows the same range on a log axis where clicks still hit events', () => {
+    const { timeline } = mount({ events: [...ANCIENT_EVENTS, ...SPACE_EVENTS] });
+    const linear = timeline.getState();
+    const linearEnd = screenToTime(linear.canvasWidth, linear.viewportStart, linear.scale);
+
+    timeline.setAxisMode('log');
+    const state = timeline.getState();
+    expect(state.scale.logarithmic).toBe(true);
+    // Log positions round through floating point
+    expect(Math.abs(Number(state.viewportStart - linear.viewportStart))).toBeLessThan(Number(SECOND));
+    // The right edge sits at or before the present, the newest age a log axis can show
+    expect(screenToTime(state.canvasWidth, state.viewportStart, state.scale)).toBeLessThanOrEqual(linearEnd);
+
+    timeline.renderer.draw(state);
+    const pyramid = state.events.find((e) => e.id === 'pyramid');
+    const x = projectToScreen(pyramid.start, state.viewportStart, state.scale) + 1;
+    const lane = timeline.renderer.getLaneAssignments().get('pyramid');
+    const y = getLaneY(lane, getAxisY(400), timeline.renderer.getCurrentLaneConfig()) + 1;
+    timeline.canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: x, clientY: y, button: 0, buttons: 1 }));
+    timeline.canvas.dispatchEvent(new MouseEvent('pointerup', { clientX: x, clientY: y, button: 0 }));
+    expect([...timeline.getState().selectedEventIds]).toEqual(['pyramid']);
+
+    // `l` toggles back to the linear axis
+    timeline.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'l', bubbles: true }));
+    expect(timeline.getState().scale).toBeInstanceOf(RationalScale);
+    expect(() => timeline.setAxisMode('sqrt')).toThrow('Nayra: unknown axis mode "sqrt"');
+  });
+
+  it('follows relation links in the panel, panning to off-screen events', () => {
+    const events = [
+      { ...SPACE_EVENTS[0], relations: [{ type: 'preceded', target: 'apollo-11' }] },
+      SPACE_EVENTS[1],
+      { ...ANCIENT_EVENTS[0], relations: [{ type: 'preceded', target: 'sputnik' }] },
+    ];
+    const { container, timeline } = mount({ events, transitionDuration: 0 });
+    const sputnik = timeline.getState().events.find((e) => e.id === 'sputnik');
+    timeline.setViewport({ viewportStart: sputnik.start, secondsPerPixel: 86400 });
+    timeline.openEvent('sputnik');
+
+    const links = [...container.querySelectorAll('.event-panel-relations button')];
+    expect(links.map((link) => link.textContent)).toEqual(['Apollo 11', 'Great Pyramid']);
+
+    links[1].click();
+    const state = timeline.getState();
+    const pyramid = state.events.find((e) => e.id === 'pyramid');
+    expect([...state.selectedEventIds]).toEqual(['pyramid']);
+    expect(container.querySelector('.event-panel-title').textContent).toBe('Great Pyramid');
+    expect(state.viewportStart).toBeLessThan(pyramid.start);
+    expect(state.viewportStart + state.scale.pxToTime(800)).toBeGreaterThan(pyramid.start);
+  });
+
+  it('groups lanes into swimlanes whose headers collapse their events', () => {
+    const events = SPACE_EVENTS.map((event) => ({
+      ...event,
+      category: event.id === 'sputnik' ? 'satellite' : 'crewed',
+    }));
+    const { timeline } = mount({ events });
+    expect(() => timeline.setGroupBy('decade')).toThrow('Nayra: unknown group mode');
+    timeline.setGroupBy('category');
+    timeline.renderer.draw(timeline.getState());
+
+    const groups = timeline.renderer.getGroupBands();
+    expect(groups.map((group) => [group.label, group.eventCount])).toEqual([
+      ['satellite', 1],
+      ['crewed', 2],
+    ]);
+    const ctx = timeline.canvas.getContext('2d');
+    expect(ctx.fillText).toHaveBeenCalledWith('▾ crewed (2)', expect.any(Number), expect.any(Number));
+
+    // Click the "crewed" header row
+    const config = timeline.renderer.getCurrentLaneConfig();
+    const y = getLaneY(groups[1].headerLane, getAxisY(400), config) + config.laneHeight / 2;
+    timeline.canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: 400, clientY: y, button: 0, buttons: 1 }));
+    timeline.canvas.dispatchEvent(new MouseEvent('pointerup', { clientX: 400, clientY: y, button: 0 }));
+
+    const state = timeline.getState();
+    expect([...state.collapsedGroups]).toEqual(['crewed']);
+    expect(state.selectedEventIds.size).toBe(0);
+    timeline.renderer.draw(state);
+    expect([...timeline.renderer.getLaneAssignments().keys()]).toEqual(['sputnik']);
+    expect(timeline.renderer.getHiddenEventIds()).toEqual(new Set(['apollo-11', 'apollo-13']));
+  });
+
+  describe('edit mode', () => {
+    function clickButton(container, label) {
+      const button = [...container.querySelectorAll('.confirm-dialog button')].find((b) => b.textContent === label);
+      button.click();
+    }
+
+    function tapCanvas(canvas, x, y) {
+      canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: x, clientY: y, button: 0, buttons: 1 }));
+      canvas.dispatchEvent(new MouseEvent('pointerup', { clientX: x, clientY: y, button: 0 }));
+    }
+
+    function enterEditMode(container, timeline) {
+      timeline.toggleEditMode();
+      clickButton(container, 'Proceed');
+    }
+
+    it('asks for confirmation before entering edit mode', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      const onModeChange = vi.fn();
+      timeline.on('modechange', onModeChange);
+
+      timeline.toggleEditMode();
+      expect(container.querySelector('.confirm-dialog').textContent).toContain('Changes will modify your dataset');
+      clickButton(container, 'Cancel');
+      expect(timeline.getState().mode).toBe('view');
+
+      enterEditMode(container, timeline);
+      expect(timeline.getState().mode).toBe('edit');
+      expect(onModeChange).toHaveBeenCalledWith('edit');
+      expect(container.querySelector('.mode-badge').style.display).toBe('block');
+    });
+
+    it('does not enter edit mode when not editable', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS, editable: false });
+      timeline.toggleEditMode();
+      expect(container.querySelector('.confirm-dialog-overlay').style.display).toBe('none');
+      timeline.setMode('edit');
+      expect(timeline.getState().mode).toBe('view');
+    });
+
+    it('clicking empty canvas opens a form that creates an event at that time', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      enterEditMode(container, timeline);
+      const { viewportStart, scale } = timeline.getState();
+
+      tapCanvas(timeline.canvas, 400, 20);
+      const label = container.querySelector('.edit-panel-form [name="label"]');
+      label.value = 'Vostok 1';
+      label.dispatchEvent(new Event('input', { bubbles: true }));
+      container.querySelector('.edit-panel-form').dispatchEvent(new Event('submit', { cancelable: true }));
+
+      const state = timeline.getState();
+      const created = state.events.find((e) => e.label === 'Vostok 1');
+      expect(created.start).toBe(viewportStart + scale.pxToTime(400));
+      expect(state.hasUnsavedChanges).toBe(true);
+      expect(state.selectedEventIds.has(created.id)).toBe(true);
+    });
+
+    it('updates layout and search after editing an event', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      timeline.renderer.draw(timeline.getState());
+      timeline.dispatch({ type: 'SEARCH_EVENTS', query: 'gemini' });
+      enterEditMode(container, timeline);
+
+      timeline.editEvent('apollo-13');
+      const label = container.querySelector('.edit-panel-form [name="label"]');
+      label.value = 'Gemini 4';
+      label.dispatchEvent(new Event('input', { bubbles: true }));
+      container.querySelector('.edit-panel-form').dispatchEvent(new Event('submit', { cancelable: true }));
+      expect(timeline.getState().searchResultIds).toEqual(['apollo-13']);
+
+      timeline.deleteEvent('sputnik');
+      clickButton(container, 'Delete');
+      timeline.renderer.draw(timeline.getState());
+      expect([...timeline.renderer.getLaneAssignments().keys()].sort()).toEqual(['apollo-11', 'apollo-13']);
+    });
+
+    it('dragging an event previews its new time and commits on release', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      enterEditMode(container, timeline);
+      const state = timeline.getState();
+      timeline.renderer.draw(state);
+      const sputnik = state.events.find((e) => e.id === 'sputnik');
+      const x = projectToScreen(sputnik.start, state.viewportStart, state.scale) + 1;
+      const lane = timeline.renderer.getLaneAssignments().get('sputnik');
+      const y = getLaneY(lane, getAxisY(400), timeline.renderer.getCurrentLaneConfig()) + 1;
+
+      timeline.canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: x, clientY: y, button: 0, buttons: 1 }));
+      timeline.canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: x + 150, clientY: y, buttons: 1 }));
+
+      const preview = timeline.getState().dragPreview;
+      expect(preview.eventId).toBe('sputnik');
+      const tooltip = container.querySelector('.tooltip');
+      expect(tooltip.style.display).toBe('block');
+      expect(tooltip.textContent).toContain(formatTimeRange(preview));
+
+      timeline.canvas.dispatchEvent(new MouseEvent('pointerup', { clientX: x + 150, clientY: y, button: 0 }));
+
+      const moved = timeline.getState().events.find((e) => e.id === 'sputnik');
+      expect(moved.start).toBe(preview.start);
+      expect(moved.start > sputnik.start).toBe(true);
+      expect(timeline.getState().hasUnsavedChanges).toBe(true);
+      expect(tooltip.style.display).toBe('none');
+    });
+
+    it('undoes and redoes a drag with Ctrl+Z and Ctrl+Shift+Z', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      enterEditMode(container, timeline);
+      const state = timeline.getState();
+      timeline.renderer.draw(state);
+      const apollo = state.events.find((e) => e.id === 'apollo-11');
+      const x =
+        (projectToScreen(apollo.start, state.viewportStart, state.scale) +
+          projectToScreen(apollo.end, state.viewportStart, state.scale)) /
+        2;
+      const lane = timeline.renderer.getLaneAssignments().get('apollo-11');
+      const y = getLaneY(lane, getAxisY(400), timeline.renderer.getCurrentLaneConfig()) + 1;
+
+      timeline.canvas.dispatchEvent(new MouseEvent('pointerdown', { clientX: x, clientY: y, button: 0, buttons: 1 }));
+      timeline.canvas.dispatchEvent(new MouseEvent('pointermove', { clientX: x + 150, clientY: y, buttons: 1 }));
+      timeline.canvas.dispatchEvent(new MouseEvent('pointerup', { clientX: x + 150, clientY: y, button: 0 }));
+      const moved = timeline.getState().events.find((e) => e.id === 'apollo-11');
+      expect(moved.start).not.toBe(apollo.start);
+
+      timeline.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+      expect(timeline.getState().events.find((e) => e.id === 'apollo-11')).toEqual(apollo);
+      expect(timeline.ariaLiveElement.textContent).toBe('Undid: moved Apollo 11');
+      expect(timeline.canUndo()).toBe(false);
+
+      timeline.canvas.dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'Z', ctrlKey: true, shiftKey: true, bubbles: true }),
+      );
+      expect(timeline.getState().events.find((e) => e.id === 'apollo-11')).toEqual(moved);
+      expect(timeline.ariaLiveElement.textContent).toBe('Redid: moved Apollo 11');
+    });
+
+    it('ignores the delete shortcut in view mode', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      timeline.dispatch({ type: 'SELECT_EVENT', eventId: 'sputnik' });
+      timeline.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'Delete', bubbles: true }));
+      expect(container.querySelector('.confirm-dialog-overlay').style.display).toBe('none');
+      expect(timeline.getState().events).toHaveLength(3);
+    });
+
+    it('offers to discard unsaved changes when leaving edit mode', () => {
+      const { container, timeline } = mount({ events: SPACE_EVENTS });
+      enterEditMode(container, timeline);
+      timeline.dispatch({ type: 'DELETE_EVENT', eventId: 'sputnik' });
+
+      timeline.toggleEditMode();
+      expect(container.querySelector('.confirm-dialog').textContent).toContain('unsaved changes');
+      clickButton(container, 'Discard changes');
+
+      const state = timeline.getState();
+      expect(state.mode).toBe('view');
+      expect(state.events.map((e) => e.id)).toEqual(['sputnik', 'apollo-11', 'apollo-13']);
+      expect(state.hasUnsavedChanges).toBe(false);
+    });
+  });
+
+  describe('guided tour', () => {
+    const RAW_TOUR = {
+      title: 'Space race',
+      autoplayInterval: 5000,
+      steps: [
+        { caption: 'The first **satellite**', events: ['sputnik'] },
+        { caption: 'To the Moon', viewport: { start: '1969', end: '1970' }, filters: { search: 'apollo' } },
+      ],
+    };
+
+    function mountTour() {
+      // Jump between steps instead of animating
+      vi.stubGlobal('matchMedia', () => ({ matches: true }));
+      const mounted = mount({ events: SPACE_EVENTS });
+      mounted.timeline.setTour(parseTour(RAW_TOUR, mounted.timeline.getState().events).tour);
+      return mounted;
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('shows, highlights and announces each step', () => {
+      const { container, timeline } = mountTour();
+      const onTourChange = vi.fn();
+      timeline.on('tourchange', onTourChange);
+      expect(container.querySelector('.tour-player').style.display).toBe('block');
+
+      timeline.startTour();
+      let state = timeline.getState();
+      expect(state.tourStep).toBe(0);
+      expect([...state.highlightedEventIds]).toEqual(['sputnik']);
+      const sputnik = state.events.find((e) => e.id === 'sputnik');
+      const sputnikX = projectToScreen(sputnik.start, state.viewportStart, state.scale);
+      expect(sputnikX).toBeCloseTo(400, 0);
+      expect(timeline.ariaLiveElement.textContent).toBe('Step 1 of 2: The first satellite');
+      expect(container.querySelector('.tour-caption strong').textContent).toBe('satellite');
+      expect(onTourChange).toHaveBeenLastCalledWith({ tour: state.tour, step: 0 });
+
+      timeline.nextTourStep();
+      state = timeline.getState();
+      expect(state.searchQuery).toBe('apollo');
+      expect(state.activeFilterIds).toEqual(['apollo-11', 'apollo-13']);
+      expect(state.viewportStart).toBe(state.tour.steps[1].viewport.start);
+      expect(timeline.ariaLiveElement.textContent).toBe('Step 2 of 2: To the Moon');
+
+      timeline.endTour();
+      state = timeline.getState();
+      expect(state.tourStep).toBe(null);
+      expect(state.searchQuery).toBe('');
+      expect(timeline.ariaLiveElement.textContent).toBe('Tour ended');
+    });
+
+    it('plays steps on a timer and stops on the last one', () => {
+      vi.useFakeTimers();
+      try {
+        const { container, timeline } = mountTour();
+        timeline.toggleTourAutoplay();
+        expect(timeline.getState().tourStep).toBe(0);
+        expect(container.querySelector('button[aria-label="Pause tour"]')).not.toBe(null);
+
+        vi.advanceTimersByTime(5000);
+        expect(timeline.getState().tourStep).toBe(1);
+        expect(container.querySelector('button[aria-label="Play tour automatically"]')).not.toBe(null);
+
+        vi.advanceTimersByTime(5000);
+        expect(timeline.getState().tourStep).toBe(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('hides the player when the tour is removed', () => {
+      const { container, timeline } = mountTour();
+      timeline.startTour();
+      timeline.setTour(null);
+      expect(timeline.getState().tourStep).toBe(null);
+      expect(container.querySelector('.tour-player').style.display).toBe('none');
+      expect(timeline.startTour()).toBe(false);
+    });
+  });
+
+  describe('multiple instances', () => {
+    it('keep separate stores, lanes and spatial hashes', () => {
+      const a = mount({ events: SPACE_EVENTS }).timeline;
+      const b = mount({ events: ANCIENT_EVENTS }).timeline;
+
+      a.renderer.draw(a.getState());
+      b.renderer.draw(b.getState());
+
+      expect(a.store).not.toBe(b.store);
+      expect(a.renderer.getSpatialHash()).not.toBe(b.renderer.getSpatialHash());
+      expect([...a.renderer.getLaneAssignments().keys()].sort()).toEqual(['apollo-11', 'apollo-13', 'sputnik']);
+      expect([...b.renderer.getLaneAssignments().keys()].sort()).toEqual(['pyramid', 'rome']);
+    });
+
+    it('search in one timeline does not affect the other', () => {
+      const a = mount({ events: SPACE_EVENTS }).timeline;
+      const b = mount({ events: ANCIENT_EVENTS }).timeline;
+
+      a.dispatch({ type: 'SEARCH_EVENTS', query: 'apollo' });
+      b.dispatch({ type: 'SEARCH_EVENTS', query: 'rome' });
+
+      expect(a.getState().searchResultIds).toEqual(['apollo-11', 'apollo-13']);
+      expect(b.getState().searchResultIds).toEqual(['rome']);
+    });
+
+    it('keyboard shortcuts only reach the timeline whose container has focus', () => {
+      const first = mount({ events: SPACE_EVENTS });
+      const second = mount({ events: SPACE_EVENTS });
+      const before = second.timeline.getState().calendar;
+
+      first.timeline.canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'k', bubbles: true }));
+
+      expect(first.timeline.getState().calendar).toBe('holocene');
+      expect(second.timeline.getState().calendar).toBe(before);
+    });
+  });
+
+  describe('destroy()', () => {
+    it('removes created DOM and emits destroy once', () => {
+      const { container, timeline } = mount();
+      const onDestroy = vi.fn();
+      timeline.on('destroy', onDestroy);
+
+      timeline.destroy();
+      timeline.destroy();
+
+      expect(onDestroy).toHaveBeenCalledTimes(1);
+      expect(container.querySelector('canvas')).toBeNull();
+      expect(container.querySelector('.tooltip')).toBeNull();
+      expect(container.querySelector('.event-panel')).toBeNull();
+      expect(container.querySelector('nav')).toBeNull();
+    });
+
+    it('leaves a provided canvas in place', () => {
+      const container = createContainer();
+      const canvas = document.createElement('canvas');
+      container.appendChild(canvas);
+      containers.push(container);
+
+      const timeline = createTimeline(container, { canvas });
+      timeline.destroy();
+
+      expect(container.querySelector('canvas')).toBe(canvas);
+    });
+
+    it('does not affect other instances', () => {
+      const a = mount({ events: SPACE_EVENTS }).timeline;
+      const b = mount({ events: ANCIENT_EVENTS }).timeline;
+      a.destroy();
+
+      b.setViewport({ viewportStart: 0n });
+      expect(() => b.renderer.draw(b.getState())).not.toThrow();
+      expect(b.renderer.getLaneAssignments().size).toBe(2);
+    });
+  });
+});
@@ -7,6 +7,7 @@
  *   - Zoom operations : scale transforms, LOD transitions, LOD filtering
  *   - Layout ops      : label collision detection, event clustering,
  *                       coordinate projection at scale
+ *   - Viewport culling: interval tree build and overlap queries vs. a linear scan
  *
  * Results are written to test-results/performance-{timestamp}.json.
  *
@@ -16,10 +17,11 @@
 
 import { afterAll, describe, expect, it } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
-import { projectToScreen, YEAR } from '../../src/core/time.js';
+import { isVisible, projectToScreen, YEAR } from '../../src/core/time.js';
 import { clusterEvents } from '../../src/layout/event-clustering.js';
 // Source modules under test
 import { assignLanes } from '../../src/layout/greedy-interval-coloring.js';
+import { IntervalTree } from '../../src/layout/interval-tree.js';
 import { detectLabelCollisions } from '../../src/layout/label-collision.js';
 import { getLaneY } from '../../src/layout/lane-positioning.js';
 import { SpatialHash } from '../../src/layout/spatial-hash.js';
@@ -342,6 +344,65 @@ describe('Performance Benchmarks', () => {
     });
   });
 
+  // =========================================================================
+  // 5. Viewport Culling
+  //    Interval tree overlap queries replace the per-frame isVisible() scan.
+  // =========================================================================
+
+  describe('Viewport Culling', () => {
+    // A zoomed-in viewport: 2 of the dataset's 200 years
+    const NARROW_END = VIEWPORT_START + 2n * YEAR;
+
+    function linearCull(events, start, end) {
+      return events.filter((e) => isVisible(e.start, e.end !== undefined ? e.end - e.start : 0n, start, end));
+    }
+
+    const TREE_SIZES = [
+      { label: '10K', getData: getDataset10K, buildBudget: 100 },
+      { label: '50K', getData: getDataset50K, buildBudget: 500 },
+    ];
+
+    for (const { label, getData, buildBudget } of TREE_SIZES) {
+      it(`interval tree build — ${label} events within ${buildBudget}ms (mean)`, () => {
+        const events = getData();
+
+        const stats = bench(() => new IntervalTree(events), { warmup: 2, iterations: 10 });
+        recordResult('culling', `interval-tree-build-${label}`, stats);
+
+        expect(stats.mean).toBeLessThan(buildBudget);
+        console.log(`IntervalTree build (${label}): mean=${stats.mean.toFixed(2)}ms`);
+      });
+    }
+
+    it('interval tree query — 60 panned frames over 50K events beat a linear scan', () => {
+      const events = getDataset50K();
+      const tree = new IntervalTree(events);
+      const frames = (cull) => {
+        let start = VIEWPORT_START;
+        for (let f = 0; f < 60; f++) {
+          cull(start, start + (NARROW_END - VIEWPORT_START));
+          start += PAN_STEP / 10n;
+        }
+      };
+
+      expect(tree.query(VIEWPORT_START, NARROW_END).length).toBe(linearCull(events, VIEWPORT_START, NARROW_END).length);
+
+      const treeStats = bench(() => frames((start, end) => tree.query(start, end)), { warmup: 2, iterations: 10 });
+      const linearStats = bench(() => frames((start, end) => linearCull(events, start, end)), {
+        warmup: 2,
+        iterations: 5,
+      });
+      recordResult('culling', 'interval-tree-query-60-frames-50K', treeStats);
+      recordResult('culling', 'linear-scan-60-frames-50K', linearStats);
+
+      expect(treeStats.mean).toBeLessThan(linearStats.mean);
+      console.log(
+        `Cull 60f (50K): tree=${treeStats.mean.toFixed(2)}ms, linear=${linearStats.mean.toFixed(2)}ms ` +
+          `(${(linearStats.mean / treeStats.mean).toFixed(1)}x)`,
+      );
+    });
+  });
+
   // =========================================================================
   // Write baseline results after all suites complete
   // =========================================================================
@@ -80,6 +80,30 @@ describe('InvertedIndex', () => {
     expect(results.filter((id) => id === 'e1')).toHaveLength(1);
   });
 
+  it('matches words a typo away', () => {
+    const idx = new InvertedIndex();
+    idx.build([
+      { id: 'e1', label: 'Apollo Mission', description: '' },
+      { id: 'e2', label: 'Mars', description: '' },
+    ]);
+    expect(idx.search('Apolo')).toEqual(['e1']);
+    expect(idx.lookupFuzzy('misson')).toEqual(new Set(['e1']));
+    expect(idx.search('Mass')).toEqual([]);
+  });
+
+  it('matches typos that change the length, and only current tokens after a rebuild', () => {
+    const idx = new InvertedIndex();
+    idx.build([
+      { id: 'e1', label: 'Revolution', description: '' },
+      { id: 'e2', label: 'Revolt', description: '' },
+    ]);
+    expect(idx.lookupFuzzy('revolutoin')).toEqual(new Set(['e1']));
+    expect(idx.lookupFuzzy('revolutio')).toEqual(new Set(['e1']));
+
+    idx.build([{ id: 'e3', label: 'Evolution', description: '' }]);
+    expect(idx.lookupFuzzy('revolutio')).toEqual(new Set(['e3']));
+  });
+
   it('handles events with no description', () => {
     const idx = new InvertedIndex();
     idx.build([{ id: 'e1', label: 'Science Event' }]);
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { civilFromTime, isoWeekOf, timeFromCivil } from '../../src/core/calendar.js';
+import { BILLION_YEARS, DAY, fromMilliseconds } from '../../src/core/time.js';
+
+function utc(year, month, day) {
+  const date = new Date(Date.UTC(2000, month, day));
+  date.setUTCFullYear(year);
+  return fromMilliseconds(date.getTime());
+}
+
+describe('calendar', () => {
+  it('matches Date across leap years, centuries and BCE', () => {
+    const dates = [
+      [1970, 0, 1],
+      [2000, 1, 29],
+      [1900, 2, 1],
+      [2024, 11, 31],
+      [1, 0, 1],
+      [0, 1, 29],
+      [-43, 2, 15],
+      [-9999, 6, 4],
+    ];
+    for (const [year, month, day] of dates) {
+      expect(timeFromCivil(year, month, day)).toBe(utc(year, month, day));
+      expect(civilFromTime(utc(year, month, day) + DAY - 1n)).toEqual({ year, month, day });
+    }
+  });
+
+  it('rolls months over into neighbouring years', () => {
+    expect(timeFromCivil(2024, 12)).toBe(timeFromCivil(2025, 0));
+    expect(timeFromCivil(2024, -1)).toBe(timeFromCivil(2023, 11));
+  });
+
+  it('round-trips deep time', () => {
+    const time = timeFromCivil(-13_800_000_000, 5, 30);
+    expect(time).toBeLessThan(-13n * BILLION_YEARS);
+    expect(civilFromTime(time)).toEqual({ year: -13_800_000_000, month: 5, day: 30 });
+  });
+
+  it('numbers ISO weeks from the week holding the first Thursday', () => {
+    expect(isoWeekOf(timeFromCivil(2024, 0, 1))).toEqual({ year: 2024, week: 1 });
+    expect(isoWeekOf(timeFromCivil(2024, 11, 30))).toEqual({ year: 2025, week: 1 });
+    expect(isoWeekOf(timeFromCivil(2021, 0, 3))).toEqual({ year: 2020, week: 53 });
+    expect(isoWeekOf(timeFromCivil(2024, 2, 5))).toEqual({ year: 2024, week: 10 });
+  });
+});
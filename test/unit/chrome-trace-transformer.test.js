@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import { parseTimeQuery } from '../../src/core/time-parser.js';
+import { transformChromeTrace } from '../../src/data/chrome-trace-transformer.js';
+
+function timeOf(text) {
+  return parseTimeQuery(text).time;
+}
+
+describe('Chrome Trace Transformer', () => {
+  describe('transformChromeTrace', () => {
+    it('maps complete events to spans with microsecond timestamps', () => {
+      const [event] = transformChromeTrace({
+        traceEvents: [{ name: 'Parse', cat: 'v8,devtools', ph: 'X', ts: 1500.25, dur: 2, pid: 3, tid: 4 }],
+      });
+
+      expect(event).toMatchObject({
+        id: 'trace-1',
+        label: 'Parse',
+        group: 'Process 3/Thread 4',
+        category: 'Process 3',
+        tags: ['v8', 'devtools'],
+      });
+      expect(timeOf(event.start)).toBe(1_500_250n);
+      expect(timeOf(event.end)).toBe(1_502_250n);
+    });
+
+    it('pairs B and E events per thread', () => {
+      const events = transformChromeTrace([
+        { name: 'Outer', ph: 'B', ts: 10, pid: 1, tid: 1 },
+        { name: 'Other thread', ph: 'B', ts: 15, pid: 1, tid: 2 },
+        { name: 'Inner', ph: 'B', ts: 20, pid: 1, tid: 1, args: { url: 'a.js' } },
+        { ph: 'E', ts: 30, pid: 1, tid: 1, args: { bytes: 12 } },
+        { ph: 'E', ts: 40, pid: 1, tid: 1 },
+        { ph: 'E', ts: 50, pid: 1, tid: 2 },
+      ]);
+
+      expect(events.map((e) => [e.label, timeOf(e.start), timeOf(e.end)])).toEqual([
+        ['Outer', 10_000n, 40_000n],
+        ['Other thread', 15_000n, 50_000n],
+        ['Inner', 20_000n, 30_000n],
+      ]);
+      expect(events[2].description).toBe('url: a.js\nbytes: 12');
+    });
+
+    it('runs unfinished B events to the end of the trace', () => {
+      const events = transformChromeTrace([
+        { name: 'Open', ph: 'B', ts: 10, pid: 1, tid: 1 },
+        { name: 'Task', ph: 'X', ts: 20, dur: 70, pid: 1, tid: 1 },
+      ]);
+
+      expect(timeOf(events[0].end)).toBe(90_000n);
+    });
+
+    it('names swimlanes after process and thread metadata', () => {
+      const [event] = transformChromeTrace({
+        traceEvents: [
+          { name: 'process_name', ph: 'M', pid: 1, args: { name: 'Browser' } },
+          { name: 'thread_name', ph: 'M', pid: 1, tid: 9, args: { name: 'IO' } },
+          { name: 'Read', ph: 'X', ts: 0, dur: 1, pid: 1, tid: 9 },
+        ],
+      });
+
+      expect(event.group).toBe('Browser/IO');
+      expect(event.category).toBe('Browser');
+    });
+
+    it('links each slice to the innermost slice enclosing it on the same thread', () => {
+      const events = transformChromeTrace([
+        { name: 'Frame', ph: 'X', ts: 0, dur: 100, pid: 1, tid: 1 },
+        { name: 'Layout', ph: 'X', ts: 10, dur: 50, pid: 1, tid: 1 },
+        { name: 'Style', ph: 'X', ts: 20, dur: 10, pid: 1, tid: 1 },
+        { name: 'Paint', ph: 'X', ts: 70, dur: 20, pid: 1, tid: 1 },
+        { name: 'Worker', ph: 'X', ts: 30, dur: 5, pid: 1, tid: 2 },
+      ]);
+      const parentOf = Object.fromEntries(
+        events.map((e) => [e.label, events.find((p) => p.id === e.relations?.[0].target)?.label]),
+      );
+
+      expect(parentOf).toEqual({
+        Frame: undefined,
+        Layout: 'Frame',
+        Style: 'Layout',
+        Paint: 'Frame',
+        Worker: undefined,
+      });
+      expect(events[1].relations).toEqual([{ type: 'part_of', target: 'trace-1' }]);
+    });
+
+    it('keeps instant events as points and skips other phases', () => {
+      const events = transformChromeTrace([
+        { name: 'Mark', ph: 'i', ts: 5, pid: 1, tid: 1 },
+        { name: 'Counter', ph: 'C', ts: 6, pid: 1, args: { value: 1 } },
+        { name: 'Async', ph: 'b', ts: 7, pid: 1, id: '0x1' },
+      ]);
+
+      expect(events).toHaveLength(1);
+      expect(events[0].label).toBe('Mark');
+      expect(events[0].end).toBeUndefined();
+      expect(timeOf(events[0].start)).toBe(5_000n);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { lightenColor } from '../../src/rendering/colors.js';
+import { lightenColor, withAlpha } from '../../src/rendering/colors.js';
 
 describe('lightenColor', () => {
   describe('with 6-character hex', () => {
@@ -63,3 +63,13 @@ describe('lightenColor', () => {
     });
   });
 });
+
+describe('withAlpha', () => {
+  it('converts hex to rgba with the given opacity', () => {
+    expect(withAlpha('#ff6b6b', 0.5)).toBe('rgba(255, 107, 107, 0.5)');
+  });
+
+  it('expands 3-character hex', () => {
+    expect(withAlpha('#0f0', 0)).toBe('rgba(0, 255, 0, 0)');
+  });
+});
@@ -530,6 +530,25 @@ describe('buildEventActions', () => {
     const url = navigator.clipboard.writeText.mock.calls[0][0];
     expect(url).toContain('ev1');
   });
+
+  it('omits Edit and Delete actions in view mode', () => {
+    const event = { id: 'ev1', start: 0n, end: 1000n };
+    const actions = buildEventActions(event, store, { onEdit: vi.fn(), onDelete: vi.fn() });
+    expect(actions.find((a) => a.label === 'Edit Event')).toBeUndefined();
+    expect(actions.find((a) => a.label === 'Delete Event')).toBeUndefined();
+  });
+
+  it('adds Edit and Delete actions in edit mode', () => {
+    const event = { id: 'ev1', start: 0n, end: 1000n };
+    const onEdit = vi.fn();
+    const onDelete = vi.fn();
+    store.dispatch({ type: 'SET_MODE', mode: 'edit' });
+    const actions = buildEventActions(event, store, { onEdit, onDelete });
+    actions.find((a) => a.label === 'Edit Event').action();
+    actions.find((a) => a.label === 'Delete Event').action();
+    expect(onEdit).toHaveBeenCalledWith(event);
+    expect(onDelete).toHaveBeenCalledWith(event);
+  });
 });
 
 // --- hkm.4: Long-press triggers context menu ---
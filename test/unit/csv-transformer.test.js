@@ -0,0 +1,141 @@
+import { describe, expect, it } from 'vitest';
+import { detectDelimiter, parseDelimited, transformCsv } from '../../src/data/csv-transformer.js';
+
+describe('CSV Transformer', () => {
+  describe('parseDelimited', () => {
+    it('splits simple records', () => {
+      const { records, errors } = parseDelimited('a,b,c\n1,2,3');
+
+      expect(errors).toEqual([]);
+      expect(records).toEqual([
+        { row: 1, cells: ['a', 'b', 'c'] },
+        { row: 2, cells: ['1', '2', '3'] },
+      ]);
+    });
+
+    it('handles quoted fields with delimiters, escaped quotes and line breaks', () => {
+      const text = 'id,label\n1,"Hello, ""world"""\n2,"line one\nline two"\n3,plain';
+      const { records } = parseDelimited(text);
+
+      expect(records[1].cells).toEqual(['1', 'Hello, "world"']);
+      expect(records[2].cells).toEqual(['2', 'line one\nline two']);
+      expect(records[3]).toEqual({ row: 5, cells: ['3', 'plain'] });
+    });
+
+    it('handles CRLF line endings, blank lines and a BOM', () => {
+      const { records } = parseDelimited('\uFEFFa,b\r\n\r\n1,2\r\n');
+
+      expect(records).toEqual([
+        { row: 1, cells: ['a', 'b'] },
+        { row: 3, cells: ['1', '2'] },
+      ]);
+    });
+
+    it('keeps empty cells', () => {
+      const { records } = parseDelimited('a,,c\n,,');
+      expect(records[0].cells).toEqual(['a', '', 'c']);
+      expect(records[1].cells).toEqual(['', '', '']);
+    });
+
+    it('supports a custom delimiter', () => {
+      const { records } = parseDelimited('a\tb, c\n1\t2', { delimiter: '\t' });
+      expect(records[0].cells).toEqual(['a', 'b, c']);
+    });
+
+    it('reports an unterminated quote with its row', () => {
+      const { records, errors } = parseDelimited('a,b\n1,2\n3,"oops');
+
+      expect(records).toHaveLength(2);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].code).toBe('UNTERMINATED_QUOTE');
+      expect(errors[0].row).toBe(3);
+      expect(errors[0].toString()).toContain('Row: 3');
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('detects commas, tabs and semicolons from the header', () => {
+      expect(detectDelimiter('id,label,start\n')).toBe(',');
+      expect(detectDelimiter('id\tlabel\tstart\n')).toBe('\t');
+      expect(detectDelimiter('id;label;start')).toBe(';');
+    });
+  });
+
+  describe('transformCsv', () => {
+    it('maps header columns to event fields case-insensitively', () => {
+      const text =
+        'ID,Label,Start,End,Category,Priority,Precision\napollo-11,Moon Landing,1969-07-20,1969-07-24,space,1,day';
+      const { events, rows, errors } = transformCsv(text);
+
+      expect(errors).toEqual([]);
+      expect(rows).toEqual([2]);
+      expect(events).toEqual([
+        {
+          id: 'apollo-11',
+          label: 'Moon Landing',
+          start: '1969-07-20',
+          end: '1969-07-24',
+          category: 'space',
+          priority: 1,
+          precision: 'day',
+        },
+      ]);
+    });
+
+    it('splits tags on semicolons or pipes', () => {
+      const { events } = transformCsv('id,label,start,tags\ne1,Event,2020,"a; b|c"');
+      expect(events[0].tags).toEqual(['a', 'b', 'c']);
+    });
+
+    it('omits empty cells and ignores unknown columns', () => {
+      const { events } = transformCsv('id,label,start,end,notes\ne1,Event,2020,,ignored');
+      expect(events[0]).toEqual({ id: 'e1', label: 'Event', start: '2020' });
+    });
+
+    it('keeps non-numeric priority as a string for the validator to reject', () => {
+      const { events } = transformCsv('id,label,start,priority\ne1,Event,2020,high');
+      expect(events[0].priority).toBe('high');
+    });
+
+    it('applies a custom column mapping', () => {
+      const text = 'Key\tTitle\tFrom\tTo\nx\tWar\t1939\t1945';
+      const { events, errors } = transformCsv(text, {
+        delimiter: '\t',
+        columns: { id: 'key', label: 'Title', start: 'from', end: 'to' },
+      });
+
+      expect(errors).toEqual([]);
+      expect(events).toEqual([{ id: 'x', label: 'War', start: '1939', end: '1945' }]);
+    });
+
+    it('reports missing required columns', () => {
+      const { events, errors } = transformCsv('id,name,date\ne1,Event,2020');
+
+      expect(events).toEqual([]);
+      expect(errors.map((e) => [e.code, e.field, e.row])).toEqual([
+        ['MISSING_COLUMN', 'label', 1],
+        ['MISSING_COLUMN', 'start', 1],
+      ]);
+    });
+
+    it('reports rows with too many cells and skips them', () => {
+      const { events, rows, errors } = transformCsv('id,label,start\ne1,Event,2020\ne2,Bad, label,2021\ne3,Ok,2022');
+
+      expect(events.map((e) => e.id)).toEqual(['e1', 'e3']);
+      expect(rows).toEqual([2, 4]);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].code).toBe('COLUMN_COUNT_MISMATCH');
+      expect(errors[0].event).toBe('row:3');
+    });
+
+    it('treats short rows as missing trailing cells', () => {
+      const { events, errors } = transformCsv('id,label,start,end\ne1,Event,2020');
+      expect(errors).toEqual([]);
+      expect(events[0]).toEqual({ id: 'e1', label: 'Event', start: '2020' });
+    });
+
+    it('returns nothing for empty input', () => {
+      expect(transformCsv('')).toEqual({ events: [], rows: [], errors: [] });
+    });
+  });
+});
@@ -86,6 +86,20 @@ describe('createDomSync', () => {
     expect(container.querySelectorAll('li')).toHaveLength(2);
   });
 
+  it('keeps items in the order of the updated list, reusing existing items', () => {
+    domSync = createDomSync(container);
+    domSync.update([makeEvent({ id: 'e2', label: 'B' })]);
+    const existing = container.querySelector('li');
+    domSync.update([
+      makeEvent({ id: 'e1', label: 'A' }),
+      makeEvent({ id: 'e2', label: 'B' }),
+      makeEvent({ id: 'e3', label: 'C' }),
+    ]);
+    const items = [...container.querySelectorAll('li button')];
+    expect(items.map((btn) => btn.textContent)).toEqual(['A', 'B', 'C']);
+    expect(container.querySelectorAll('li')[1]).toBe(existing);
+  });
+
   it('calls onFocus callback when event item receives focus', () => {
     const onFocus = vi.fn();
     domSync = createDomSync(container, { onFocus });
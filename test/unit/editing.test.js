@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest';
+import { createDraftEvent, generateEventId, precisionForScale } from '../../src/core/editing.js';
+import { RationalScale } from '../../src/core/scale.js';
+import { DAY, toSeconds, YEAR } from '../../src/core/time.js';
+
+describe('editing helpers', () => {
+  describe('precisionForScale', () => {
+    it('maps zoom levels to event precision', () => {
+      expect(precisionForScale(60)).toBe('day');
+      expect(precisionForScale(toSeconds(DAY) * 2)).toBe('month');
+      expect(precisionForScale(toSeconds(YEAR))).toBe('year');
+      expect(precisionForScale(toSeconds(YEAR) * 100)).toBe('century');
+      expect(precisionForScale(toSeconds(YEAR) * 1000)).toBe('million_years');
+      expect(precisionForScale(toSeconds(YEAR) * 1e7)).toBe('billion_years');
+    });
+  });
+
+  describe('generateEventId', () => {
+    it('returns distinct non-empty ids', () => {
+      const a = generateEventId();
+      const b = generateEventId();
+      expect(typeof a).toBe('string');
+      expect(a).not.toBe('');
+      expect(a).not.toBe(b);
+    });
+  });
+
+  describe('createDraftEvent', () => {
+    it('places the draft at the clicked time', () => {
+      const scale = RationalScale.fromSecondsPerPixel(60);
+      const draft = createDraftEvent({ viewportStart: 1000n, scale }, 10);
+      expect(draft.start).toBe(1000n + scale.pxToTime(10));
+      expect(draft.label).toBe('');
+      expect(draft.precision).toBe('day');
+      expect(draft.id).toBeTruthy();
+    });
+  });
+});
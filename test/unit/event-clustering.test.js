@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
-import { YEAR } from '../../src/core/time.js';
+import { SECOND, toSeconds, YEAR } from '../../src/core/time.js';
 import { clusterEvents, getClusterExpansionFactor, isPointInCluster } from '../../src/layout/event-clustering.js';
 
 describe('|unit| event-clustering', () => {
@@ -8,7 +8,7 @@ describe('|unit| event-clustering', () => {
     it('returns empty array for no events', () => {
       const events = [];
       const viewportStart = 0n;
-      const scale = RationalScale.fromSecondsPerPixel(Number(YEAR));
+      const scale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
 
       const clusters = clusterEvents(events, viewportStart, scale);
 
@@ -16,9 +16,9 @@ describe('|unit| event-clustering', () => {
     });
 
     it('returns single event for one event', () => {
-      const events = [{ id: 'e1', start: 0n, end: 100n }];
+      const events = [{ id: 'e1', start: 0n, end: 100n * SECOND }];
       const viewportStart = 0n;
-      const scale = RationalScale.fromSecondsPerPixel(Number(YEAR));
+      const scale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
 
       const clusters = clusterEvents(events, viewportStart, scale);
 
@@ -29,9 +29,9 @@ describe('|unit| event-clustering', () => {
 
     it('clusters nearby events within threshold', () => {
       const events = [
-        { id: 'e1', start: 0n, end: 100n },
-        { id: 'e2', start: 50n, end: 150n },
-        { id: 'e3', start: 100n, end: 200n },
+        { id: 'e1', start: 0n, end: 100n * SECOND },
+        { id: 'e2', start: 50n * SECOND, end: 150n * SECOND },
+        { id: 'e3', start: 100n * SECOND, end: 200n * SECOND },
       ];
       const viewportStart = 0n;
       // Scale where events are close together
@@ -47,11 +47,11 @@ describe('|unit| event-clustering', () => {
 
     it('does not cluster events beyond threshold', () => {
       const events = [
-        { id: 'e1', start: 0n, end: 100n },
-        { id: 'e2', start: BigInt(Number(YEAR) * 1000), end: BigInt(Number(YEAR) * 1000 + 100) },
+        { id: 'e1', start: 0n, end: 100n * SECOND },
+        { id: 'e2', start: 1000n * YEAR, end: 1000n * YEAR + 100n * SECOND },
       ];
       const viewportStart = 0n;
-      const scale = RationalScale.fromSecondsPerPixel(Number(YEAR));
+      const scale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
 
       const clusters = clusterEvents(events, viewportStart, scale);
 
@@ -63,10 +63,10 @@ describe('|unit| event-clustering', () => {
 
     it('creates multiple clusters for separated groups', () => {
       const events = [
-        { id: 'e1', start: 0n, end: 100n },
-        { id: 'e2', start: 50n, end: 150n },
-        { id: 'e3', start: BigInt(Number(YEAR) * 1000), end: BigInt(Number(YEAR) * 1000 + 100) },
-        { id: 'e4', start: BigInt(Number(YEAR) * 1000 + 50), end: BigInt(Number(YEAR) * 1000 + 150) },
+        { id: 'e1', start: 0n, end: 100n * SECOND },
+        { id: 'e2', start: 50n * SECOND, end: 150n * SECOND },
+        { id: 'e3', start: 1000n * YEAR, end: 1000n * YEAR + 100n * SECOND },
+        { id: 'e4', start: 1000n * YEAR + 50n * SECOND, end: 1000n * YEAR + 150n * SECOND },
       ];
       const viewportStart = 0n;
       const scale = RationalScale.fromSecondsPerPixel(10);
@@ -83,9 +83,9 @@ describe('|unit| event-clustering', () => {
 
     it('calculates cluster bounds correctly', () => {
       const events = [
-        { id: 'e1', start: 100n, end: 200n },
-        { id: 'e2', start: 150n, end: 300n },
-        { id: 'e3', start: 250n, end: 350n },
+        { id: 'e1', start: 100n * SECOND, end: 200n * SECOND },
+        { id: 'e2', start: 150n * SECOND, end: 300n * SECOND },
+        { id: 'e3', start: 250n * SECOND, end: 350n * SECOND },
       ];
       const viewportStart = 0n;
       const scale = RationalScale.fromSecondsPerPixel(10);
@@ -94,14 +94,14 @@ describe('|unit| event-clustering', () => {
 
       expect(clusters).toHaveLength(1);
       expect(clusters[0].type).toBe('cluster');
-      expect(clusters[0].minTime).toBe(100n);
-      expect(clusters[0].maxTime).toBe(350n);
+      expect(clusters[0].minTime).toBe(100n * SECOND);
+      expect(clusters[0].maxTime).toBe(350n * SECOND);
     });
 
     it('handles events without end times', () => {
       const events = [
         { id: 'e1', start: 0n },
-        { id: 'e2', start: 50n },
+        { id: 'e2', start: 50n * SECOND },
       ];
       const viewportStart = 0n;
       const scale = RationalScale.fromSecondsPerPixel(10);
@@ -115,9 +115,9 @@ describe('|unit| event-clustering', () => {
 
     it('sorts events by start time before clustering', () => {
       const events = [
-        { id: 'e3', start: 200n, end: 300n },
-        { id: 'e1', start: 0n, end: 100n },
-        { id: 'e2', start: 50n, end: 150n },
+        { id: 'e3', start: 200n * SECOND, end: 300n * SECOND },
+        { id: 'e1', start: 0n, end: 100n * SECOND },
+        { id: 'e2', start: 50n * SECOND, end: 150n * SECOND },
       ];
       const viewportStart = 0n;
       const scale = RationalScale.fromSecondsPerPixel(10);
@@ -134,8 +134,8 @@ describe('|unit| event-clustering', () => {
 
     it('includes span events when their visible geometry intersects the cluster footprint', () => {
       const events = [
-        { id: 'span', start: 0n, end: 200n },
-        { id: 'point', start: 220n },
+        { id: 'span', start: 0n, end: 200n * SECOND },
+        { id: 'point', start: 220n * SECOND },
       ];
 
       const clusters = clusterEvents(events, 0n, RationalScale.fromSecondsPerPixel(10), 100);
@@ -147,9 +147,9 @@ describe('|unit| event-clustering', () => {
 
     it('ignores events whose rendered geometry does not intersect the viewport', () => {
       const events = [
-        { id: 'offscreen-left', start: -1000n, end: -900n },
-        { id: 'visible-a', start: 0n, end: 100n },
-        { id: 'visible-b', start: 120n, end: 180n },
+        { id: 'offscreen-left', start: -1000n * SECOND, end: -900n * SECOND },
+        { id: 'visible-a', start: 0n, end: 100n * SECOND },
+        { id: 'visible-b', start: 120n * SECOND, end: 180n * SECOND },
       ];
 
       const clusters = clusterEvents(events, 0n, RationalScale.fromSecondsPerPixel(1), 300);
@@ -162,7 +162,7 @@ describe('|unit| event-clustering', () => {
     it('exposes shared screen footprint and hit geometry for clusters', () => {
       const events = [
         { id: 'e1', start: 0n },
-        { id: 'e2', start: 10n },
+        { id: 'e2', start: 10n * SECOND },
       ];
 
       const clusters = clusterEvents(events, 0n, RationalScale.fromSecondsPerPixel(1), 200);
@@ -239,7 +239,7 @@ describe('|unit| event-clustering', () => {
     it('returns true for point inside cluster', () => {
       const cluster = {
         centerX: 100,
-        centerTime: 1000n,
+        centerTime: 1000n * SECOND,
       };
       const x = 105;
       const y = 205;
@@ -254,7 +254,7 @@ describe('|unit| event-clustering', () => {
     it('returns false for point outside cluster', () => {
       const cluster = {
         centerX: 100,
-        centerTime: 1000n,
+        centerTime: 1000n * SECOND,
       };
       const x = 150;
       const y = 200;
@@ -269,7 +269,7 @@ describe('|unit| event-clustering', () => {
     it('returns true for point on cluster edge', () => {
       const cluster = {
         centerX: 100,
-        centerTime: 1000n,
+        centerTime: 1000n * SECOND,
       };
       const x = 120; // Exactly radius away
       const y = 200;
@@ -284,7 +284,7 @@ describe('|unit| event-clustering', () => {
     it('returns false for point just outside cluster edge', () => {
       const cluster = {
         centerX: 100,
-        centerTime: 1000n,
+        centerTime: 1000n * SECOND,
       };
       const x = 121; // Just beyond radius
       const y = 200;
@@ -0,0 +1,118 @@
+import { describe, expect, it } from 'vitest';
+import { timeFromCivil } from '../../src/core/calendar.js';
+import { RationalScale } from '../../src/core/scale.js';
+import { SECOND } from '../../src/core/time.js';
+import {
+  computeDragTimes,
+  EDGE_HIT_ZONE,
+  findDragTarget,
+  getDragHandle,
+  shiftBounds,
+  snapToGrid,
+} from '../../src/interaction/event-drag.js';
+import { getLaneY } from '../../src/layout/lane-positioning.js';
+import { getAxisY, getCurrentLaneConfig, getGridInterval } from '../../src/rendering/renderer.js';
+
+// 1 second per pixel: the grid interval is one minute
+const scale = RationalScale.fromSecondsPerPixel(1);
+
+describe('event drag', () => {
+  describe('getDragHandle', () => {
+    const span = { id: 'span', start: 100n * SECOND, end: 300n * SECOND };
+
+    it('grabs the start or end edge within the hit zone', () => {
+      expect(getDragHandle(100 + EDGE_HIT_ZONE, span, 0n, scale)).toBe('start');
+      expect(getDragHandle(300 - EDGE_HIT_ZONE, span, 0n, scale)).toBe('end');
+    });
+
+    it('moves when grabbed in the middle', () => {
+      expect(getDragHandle(200, span, 0n, scale)).toBe('move');
+    });
+
+    it('only moves point events', () => {
+      expect(getDragHandle(100, { id: 'point', start: 100n * SECOND }, 0n, scale)).toBe('move');
+    });
+
+    it('keeps the middle of narrow spans for moving', () => {
+      const narrow = { id: 'narrow', start: 100n * SECOND, end: 109n * SECOND };
+      expect(getDragHandle(101, narrow, 0n, scale)).toBe('start');
+      expect(getDragHandle(104.5, narrow, 0n, scale)).toBe('move');
+      expect(getDragHandle(108, narrow, 0n, scale)).toBe('end');
+    });
+  });
+
+  describe('findDragTarget', () => {
+    it('returns the event and handle under the pointer', () => {
+      const events = [{ id: 'span', start: 100n * SECOND, end: 300n * SECOND }];
+      const state = { events, viewportStart: 0n, scale };
+      const laneY = getLaneY(0, getAxisY(400), getCurrentLaneConfig()) + 1;
+
+      expect(findDragTarget(102, laneY, state, 400)).toEqual({ event: events[0], handle: 'start' });
+      expect(findDragTarget(200, laneY, state, 400).handle).toBe('move');
+      expect(findDragTarget(500, laneY, state, 400)).toBe(null);
+    });
+  });
+
+  describe('snapToGrid', () => {
+    it('rounds to the nearest grid interval', () => {
+      expect(getGridInterval(1).interval).toBe(60n * SECOND);
+      expect(snapToGrid(89n * SECOND, 1)).toBe(60n * SECOND);
+      expect(snapToGrid(90n * SECOND, 1)).toBe(120n * SECOND);
+      expect(snapToGrid(-89n * SECOND, 1)).toBe(-60n * SECOND);
+      expect(snapToGrid(-91n * SECOND, 1)).toBe(-120n * SECOND);
+    });
+
+    it('snaps to month starts when the grid shows months', () => {
+      const spp = 2629800 / 80;
+      expect(getGridInterval(spp).unit).toBe('mo');
+      expect(snapToGrid(timeFromCivil(2024, 1, 10), spp)).toBe(timeFromCivil(2024, 1, 1));
+      expect(snapToGrid(timeFromCivil(2024, 1, 20), spp)).toBe(timeFromCivil(2024, 2, 1));
+    });
+  });
+
+  describe('computeDragTimes', () => {
+    it('moves a span keeping its duration, snapped to the grid', () => {
+      const drag = { handle: 'move', start: 60n * SECOND, end: 200n * SECOND };
+      expect(computeDragTimes(drag, 65, scale)).toEqual({ start: 120n * SECOND, end: 260n * SECOND });
+    });
+
+    it('moves without snapping when asked', () => {
+      const drag = { handle: 'move', start: 60n * SECOND, end: 200n * SECOND };
+      expect(computeDragTimes(drag, 65, scale, { snap: false })).toEqual({ start: 125n * SECOND, end: 265n * SECOND });
+    });
+
+    it('moves point events without adding an end', () => {
+      expect(computeDragTimes({ handle: 'move', start: 0n }, -130, scale)).toEqual({
+        start: -120n * SECOND,
+        end: undefined,
+      });
+    });
+
+    it('resizes one edge and keeps the other fixed', () => {
+      const drag = { handle: 'end', start: 0n, end: 120n * SECOND };
+      expect(computeDragTimes(drag, 58, scale)).toEqual({ start: 0n, end: 180n * SECOND });
+      const startDrag = { handle: 'start', start: 0n, end: 120n * SECOND };
+      expect(computeDragTimes(startDrag, -61, scale)).toEqual({ start: -60n * SECOND, end: 120n * SECOND });
+    });
+
+    it('never lets a resize reach or pass the opposite edge', () => {
+      const drag = { handle: 'end', start: 0n, end: 120n * SECOND };
+      expect(computeDragTimes(drag, -500, scale)).toEqual({ start: 0n, end: 4n * SECOND });
+      const startDrag = { handle: 'start', start: 0n, end: 120n * SECOND };
+      expect(computeDragTimes(startDrag, 500, scale)).toEqual({ start: 116n * SECOND, end: 120n * SECOND });
+    });
+  });
+
+  describe('shiftBounds', () => {
+    const event = { start: 100n, end: 200n, earliest: 50n, latest: 260n };
+
+    it('moves the window with a moved event', () => {
+      expect(shiftBounds(event, 130n, 230n)).toEqual({ earliest: 80n, latest: 290n });
+    });
+
+    it('moves each side with its own edge on resize', () => {
+      expect(shiftBounds(event, 100n, 150n)).toEqual({ earliest: 50n, latest: 210n });
+      expect(shiftBounds({ start: 100n, latest: 160n }, 90n)).toEqual({ earliest: undefined, latest: 150n });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, expect, it } from 'vitest';
+import { createStore } from '../../src/core/store.js';
+import { parseTimeQuery } from '../../src/core/time-parser.js';
+import { transformCsv } from '../../src/data/csv-transformer.js';
+import {
+  exportCsv,
+  exportEvents,
+  exportJson,
+  exportJsonLd,
+  formatExportTime,
+  selectExportEvents,
+} from '../../src/data/exporter.js';
+import { transformJsonLd } from '../../src/data/jsonld-transformer.js';
+import { normalize } from '../../src/data/normalizer.js';
+import { validate } from '../../src/data/validator.js';
+
+function load(rawEvents) {
+  const validated = validate(rawEvents);
+  expect(validated.errors).toEqual([]);
+  const normalized = normalize(validated.valid);
+  expect(normalized.errors).toEqual([]);
+  return normalized.valid;
+}
+
+const time = (query) => parseTimeQuery(query).time;
+
+const events = [
+  {
+    id: 'big-bang',
+    label: 'Big Bang',
+    start: time('13.8 Ga') - 17n,
+    category: 'cosmic',
+    tags: ['origin', 'universe'],
+    priority: 0,
+    precision: 'billion_years',
+  },
+  { id: 'kt', label: 'K–T extinction', start: time('66 Ma'), end: time('65.5 Ma'), description: 'Dinosaurs, gone' },
+  {
+    id: 'caesar',
+    label: 'Caesar "the dictator"',
+    start: time('44 BCE') - 9_000_000n,
+    url: 'https://example.com/caesar',
+  },
+  {
+    id: 'apollo-11',
+    label: 'Apollo 11',
+    start: time('1969-07-16T13:32:00Z'),
+    end: time('1969-07-24'),
+    description: 'Launch,\nlanding and " return',
+    tags: ['space'],
+  },
+];
+
+describe('exporter', () => {
+  describe('formatExportTime', () => {
+    it('uses the plainest notation that parses back exactly', () => {
+      expect(formatExportTime(time('1969'))).toBe('1969');
+      expect(formatExportTime(time('1969-07-20'))).toBe('1969-07-20');
+      expect(formatExportTime(time('2024-03-15T10:30:05Z'))).toBe('2024-03-15T10:30:05Z');
+      expect(formatExportTime(time('44 BCE'))).toBe('44 BCE');
+      expect(formatExportTime(time('65 Ma'))).toBe('65 Ma');
+      expect(formatExportTime(time('13.8 Ga'))).toBe('13.8 Ga');
+    });
+
+    it('round-trips arbitrary seconds', () => {
+      const times = [0n, -1n, time('0050-03-15T00:00:00Z'), time('44 BCE') - 1n, -435_454_800_000_000_017n, 10n ** 17n];
+      for (const t of times) {
+        expect(parseTimeQuery(formatExportTime(t)).time).toBe(t);
+      }
+    });
+  });
+
+  describe('selectExportEvents', () => {
+    function createState() {
+      const store = createStore();
+      store.dispatch({ type: 'SET_EVENTS', events });
+      return store;
+    }
+
+    it('exports everything, the filtered matches or the selection', () => {
+      const store = createState();
+      expect(selectExportEvents(store.getState(), 'filtered')).toHaveLength(4);
+
+      store.dispatch({ type: 'SEARCH_EVENTS', query: 'apollo' });
+      store.dispatch({ type: 'SELECT_EVENT', eventId: 'kt' });
+      const state = store.getState();
+      expect(selectExportEvents(state)).toHaveLength(4);
+      expect(selectExportEvents(state, 'filtered').map((e) => e.id)).toEqual(['apollo-11']);
+      expect(selectExportEvents(state, 'selected').map((e) => e.id)).toEqual(['kt']);
+    });
+  });
+
+  describe('exportJson', () => {
+    it('round-trips every field through validate() and normalize()', () => {
+      expect(load(JSON.parse(exportJson(events)))).toEqual(events);
+    });
+
+    it('keeps EDTF qualifiers and uncertainty windows', () => {
+      const edtf = load([
+        { id: 'a', label: 'A', start: '1984?' },
+        { id: 'b', label: 'B', start: '198X', end: 'c. 2004-06' },
+        { id: 'c', label: 'C', start: '1950/1960%' },
+        { id: 'd', label: 'D', start: '44 BCE~' },
+        { id: 'e', label: 'E', start: '1985-04-XX?' },
+      ]);
+      const raw = JSON.parse(exportJson(edtf));
+
+      expect(raw.map((e) => [e.start, e.end])).toEqual([
+        ['1984?', undefined],
+        ['198X', '2004-06~'],
+        ['1950', '1960%'],
+        ['44 BCE~', undefined],
+        ['1985-04?', undefined],
+      ]);
+      expect(load(raw)).toEqual(edtf);
+    });
+  });
+
+  describe('exportJsonLd', () => {
+    it('writes Schema.org events that transformJsonLd() reads back', () => {
+      const doc = JSON.parse(exportJsonLd(events));
+      expect(doc['@context']).toBe('https://schema.org');
+      expect(doc['@graph'][0]).toMatchObject({
+        '@type': 'Event',
+        identifier: 'big-bang',
+        keywords: 'origin, universe',
+      });
+
+      // JSON-LD carries the Schema.org subset of fields
+      const expected = events.map(({ id, label, start, end, description, url }) => {
+        const event = { id, label, start };
+        if (end !== undefined) event.end = end;
+        if (description) event.description = description;
+        if (url) event.url = url;
+        return event;
+      });
+      expect(load(transformJsonLd(doc))).toEqual(expected);
+    });
+  });
+
+  describe('exportCsv', () => {
+    it('round-trips through transformCsv() with quoting', () => {
+      const csv = exportCsv(events);
+      expect(csv.split('\n')[0]).toBe('id,label,start,end,category,tags,priority,precision,description,url');
+      expect(csv).toContain('"Caesar ""the dictator"""');
+
+      const { events: raw, errors } = transformCsv(csv);
+      expect(errors).toEqual([]);
+      expect(load(raw)).toEqual(events);
+    });
+
+    it('writes TSV with a tab delimiter', () => {
+      const { events: raw } = transformCsv(exportCsv(events, { delimiter: '\t' }), { delimiter: '\t' });
+      expect(load(raw)).toEqual(events);
+    });
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => exportEvents(events, 'xml')).toThrow('unknown export format');
+  });
+});
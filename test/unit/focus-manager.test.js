@@ -357,6 +357,52 @@ describe('FocusManager', () => {
     });
   });
 
+  describe('grouped navigation', () => {
+    beforeEach(() => {
+      store.dispatch({
+        type: 'SET_EVENTS',
+        events: [
+          { id: 'design-1', start: 100n, category: 'design' },
+          { id: 'dev-1', start: 200n, category: 'development' },
+          { id: 'design-2', start: 300n, category: 'design' },
+          { id: 'dev-2', start: 400n, category: 'development' },
+        ],
+      });
+      store.dispatch({ type: 'SET_GROUP_BY', groupBy: 'category' });
+    });
+
+    it('walks events group by group', () => {
+      focusManager.focusFirst();
+      const order = [store.getState().focusedEventId];
+      for (let i = 0; i < 3; i++) {
+        focusManager.focusNext();
+        order.push(store.getState().focusedEventId);
+      }
+      expect(order).toEqual(['design-1', 'design-2', 'dev-1', 'dev-2']);
+      expect(mockAriaLive.textContent).toBe('Focused on dev-2, item 4 of 4, in development');
+    });
+
+    it('jumps to the first event of the next and previous group', () => {
+      focusManager.setFocus('design-2');
+      focusManager.focusNextGroup();
+      expect(store.getState().focusedEventId).toBe('dev-1');
+      focusManager.focusNextGroup();
+      expect(store.getState().focusedEventId).toBe('design-1');
+      focusManager.focusPreviousGroup();
+      expect(store.getState().focusedEventId).toBe('dev-1');
+    });
+
+    it('skips collapsed groups and moves focus out of a group when it collapses', () => {
+      focusManager.setFocus('design-2');
+      store.dispatch({ type: 'TOGGLE_GROUP', key: 'design' });
+      expect(store.getState().focusedEventId).toBe('dev-1');
+
+      focusManager.focusNext();
+      focusManager.focusNext();
+      expect(store.getState().focusedEventId).toBe('dev-1');
+    });
+  });
+
   describe('error handling', () => {
     it('handles focus on non-existent event ID', () => {
       focusManager.setFocus('non-existent');
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import {
+  assignGroupedLanes,
+  buildGroupTree,
+  getGroupedEventOrder,
+  getGroupPath,
+  UNGROUPED_KEY,
+} from '../../src/layout/group-layout.js';
+import { getLaneAtY, getLaneY } from '../../src/layout/lane-positioning.js';
+
+function makeEvent(id, start, end, fields = {}) {
+  return { id, start: BigInt(start), end: end !== undefined ? BigInt(end) : undefined, ...fields };
+}
+
+// Interleaved in time so an ungrouped layout would mix the two tracks
+const events = [
+  makeEvent('design-1', 0, 100, { category: 'design', group: 'Product/Design' }),
+  makeEvent('dev-1', 10, 200, { category: 'development', group: 'Engineering' }),
+  makeEvent('design-2', 50, 150, { category: 'design', group: 'Product/Design' }),
+  makeEvent('dev-2', 200, 300, { category: 'development', group: 'Engineering' }),
+  makeEvent('spec', 130, 140, { category: 'design', group: 'Product' }),
+  makeEvent('misc', 400, 500),
+];
+
+describe('getGroupPath', () => {
+  it('splits group paths into nested segments', () => {
+    expect(getGroupPath({ group: ' Engineering / Backend ' }, 'group')).toEqual(['Engineering', 'Backend']);
+    expect(getGroupPath({ category: 'a/b' }, 'category')).toEqual(['a/b']);
+    expect(getGroupPath({ group: 'x' }, null)).toEqual([]);
+    expect(getGroupPath({}, 'group')).toEqual([]);
+  });
+});
+
+describe('buildGroupTree', () => {
+  it('nests subgroups and keeps groups in order of their first event, ungrouped last', () => {
+    const roots = buildGroupTree(events, 'group');
+
+    expect(roots.map((node) => node.key)).toEqual(['Product', 'Engineering', UNGROUPED_KEY]);
+    expect(roots[0].eventCount).toBe(3);
+    expect(roots[0].events.map((event) => event.id)).toEqual(['spec']);
+    expect(roots[0].children.map((node) => [node.key, node.label, node.depth])).toEqual([
+      ['Product/Design', 'Design', 1],
+    ]);
+    expect(roots[2].label).toBe('Ungrouped');
+  });
+});
+
+describe('assignGroupedLanes', () => {
+  it('falls back to plain lane packing without groupBy', () => {
+    const result = assignGroupedLanes(events);
+
+    expect(result.groups).toEqual([]);
+    expect(result.hiddenIds.size).toBe(0);
+    expect(result.layouts.size).toBe(events.length);
+  });
+
+  it('gives every category its own band of lanes below a header row', () => {
+    const { layouts, laneCount, groups } = assignGroupedLanes(events, { groupBy: 'category' });
+
+    // design: header + 2 lanes, development: header + 1 lane, Uncategorized: header + 1 lane
+    expect(laneCount).toBe(7);
+    expect(groups.map((group) => [group.label, group.headerLane, group.firstLane, group.laneCount])).toEqual([
+      ['design', 6, 4, 2],
+      ['development', 3, 2, 1],
+      ['Uncategorized', 1, 0, 1],
+    ]);
+    // The first lane of a band sits directly under its header
+    expect(layouts.get('design-1')).toBe(5);
+    expect(layouts.get('design-2')).toBe(4);
+    expect(layouts.get('dev-1')).toBe(2);
+    expect(layouts.get('dev-2')).toBe(2);
+    expect(layouts.get('misc')).toBe(0);
+  });
+
+  it('places subgroup bands inside their parent and hides collapsed groups', () => {
+    const expanded = assignGroupedLanes(events, { groupBy: 'group' });
+    expect(expanded.groups.map((group) => [group.key, group.depth])).toEqual([
+      ['Product', 0],
+      ['Product/Design', 1],
+      ['Engineering', 0],
+      [UNGROUPED_KEY, 0],
+    ]);
+
+    const collapsed = assignGroupedLanes(events, { groupBy: 'group', collapsedGroups: new Set(['Product']) });
+    expect(collapsed.groups.map((group) => [group.key, group.collapsed, group.laneCount])).toEqual([
+      ['Product', true, 0],
+      ['Engineering', false, 1],
+      [UNGROUPED_KEY, false, 1],
+    ]);
+    expect([...collapsed.hiddenIds].sort()).toEqual(['design-1', 'design-2', 'spec']);
+    expect(collapsed.layouts.has('design-1')).toBe(false);
+    expect(collapsed.laneCount).toBe(5);
+  });
+});
+
+describe('getGroupedEventOrder', () => {
+  it('orders events group by group and skips collapsed groups', () => {
+    const order = getGroupedEventOrder(events, { groupBy: 'group', collapsedGroups: new Set(['Product/Design']) });
+    expect(order.map((event) => event.id)).toEqual(['spec', 'dev-1', 'dev-2', 'misc']);
+    expect(getGroupedEventOrder(events, {})).toBe(events);
+  });
+});
+
+describe('getLaneAtY with groups', () => {
+  it('does not report header rows as event lanes', () => {
+    const { laneCount, groups } = assignGroupedLanes(events, { groupBy: 'category' });
+    const axisY = 300;
+    const centerOf = (lane) => getLaneY(lane, axisY) + 12;
+
+    expect(getLaneAtY(centerOf(5), axisY, laneCount, {}, groups)).toBe(5);
+    expect(getLaneAtY(centerOf(6), axisY, laneCount, {}, groups)).toBe(null);
+    expect(getLaneAtY(centerOf(6), axisY, laneCount)).toBe(6);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import { withHistory } from '../../src/core/history.js';
+import { createStore } from '../../src/core/store.js';
+
+const baseEvents = [
+  { id: 'apollo', label: 'Apollo 11', start: 100n, end: 200n },
+  { id: 'sputnik', label: 'Sputnik', start: 50n, description: 'First satellite' },
+];
+
+function createEditStore(options) {
+  const store = withHistory(createStore(), options);
+  store.dispatch({ type: 'SET_EVENTS', events: baseEvents });
+  store.dispatch({ type: 'SET_MODE', mode: 'edit' });
+  return store;
+}
+
+function eventById(store, id) {
+  return store.getState().events.find((e) => e.id === id);
+}
+
+describe('withHistory', () => {
+  it('undoes and redoes a move', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { start: 160n, end: 260n } });
+
+    expect(store.undo()).toBe('moved Apollo 11');
+    expect(eventById(store, 'apollo')).toEqual(baseEvents[0]);
+    expect(store.canRedo()).toBe(true);
+
+    expect(store.redo()).toBe('moved Apollo 11');
+    expect(eventById(store, 'apollo')).toMatchObject({ start: 160n, end: 260n });
+  });
+
+  it('labels resizes and other edits', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { end: 300n } });
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { label: 'Apollo XI' } });
+    expect(store.undo()).toBe('edited Apollo XI');
+    expect(store.undo()).toBe('resized Apollo 11');
+  });
+
+  it('records an update that removes the end', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { end: undefined } });
+    expect(eventById(store, 'apollo').end).toBeUndefined();
+    expect(store.canUndo()).toBe(true);
+
+    expect(store.undo()).toBe('resized Apollo 11');
+    expect(eventById(store, 'apollo')).toEqual(baseEvents[0]);
+  });
+
+  it('labels moving a point event and giving it an end', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'sputnik', changes: { start: 60n } });
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'sputnik', changes: { start: 70n, end: 80n } });
+    expect(store.undo()).toBe('resized Sputnik');
+    expect(store.undo()).toBe('moved Sputnik');
+  });
+
+  it('labels a drag that moves the uncertainty window as a move', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { earliest: 40n, latest: 260n } });
+    store.dispatch({
+      type: 'UPDATE_EVENT',
+      eventId: 'apollo',
+      changes: { start: 110n, end: 210n, earliest: 50n, latest: 270n },
+    });
+    expect(store.undo()).toBe('moved Apollo 11');
+  });
+
+  it('restores removed optional fields', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'sputnik', changes: { description: undefined, end: 90n } });
+    expect(eventById(store, 'sputnik').description).toBeUndefined();
+
+    store.undo();
+    expect(eventById(store, 'sputnik')).toEqual(baseEvents[1]);
+  });
+
+  it('undoes creation and deletion', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'ADD_EVENT', event: { id: 'moon', label: 'Moon landing', start: 150n } });
+    store.dispatch({ type: 'DELETE_EVENT', eventId: 'sputnik' });
+
+    expect(store.undo()).toBe('deleted Sputnik');
+    expect(eventById(store, 'sputnik')).toEqual(baseEvents[1]);
+    expect(store.undo()).toBe('created Moon landing');
+    expect(eventById(store, 'moon')).toBeUndefined();
+    expect(store.canUndo()).toBe(false);
+  });
+
+  it('ignores viewport changes and rejected mutations', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'PAN', offset: 10n });
+    store.dispatch({ type: 'SELECT_EVENT', eventId: 'apollo' });
+    store.dispatch({ type: 'DELETE_EVENT', eventId: 'missing' });
+    expect(store.canUndo()).toBe(false);
+  });
+
+  it('clears the redo stack on a new change', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { end: 300n } });
+    store.undo();
+    store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { label: 'Apollo XI' } });
+    expect(store.canRedo()).toBe(false);
+    expect(store.redo()).toBe(null);
+  });
+
+  it('drops the oldest entries past the limit', () => {
+    const store = createEditStore({ limit: 2 });
+    for (const end of [210n, 220n, 230n]) {
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'apollo', changes: { end } });
+    }
+    store.undo();
+    store.undo();
+    expect(store.canUndo()).toBe(false);
+    expect(eventById(store, 'apollo').end).toBe(210n);
+  });
+
+  it('clears history when the dataset is replaced', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'DELETE_EVENT', eventId: 'apollo' });
+    store.dispatch({ type: 'SET_EVENTS', events: baseEvents });
+    expect(store.canUndo()).toBe(false);
+  });
+
+  it('only undoes in edit mode', () => {
+    const store = createEditStore();
+    store.dispatch({ type: 'DELETE_EVENT', eventId: 'apollo' });
+    store.dispatch({ type: 'SET_MODE', mode: 'view' });
+    expect(store.undo()).toBe(null);
+    expect(store.canUndo()).toBe(true);
+  });
+});
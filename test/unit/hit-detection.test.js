@@ -1,6 +1,7 @@
 import { afterEach, describe, expect, it, vi } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
-import { findEventAtPoint } from '../../src/interaction/hit-detection.js';
+import { SECOND } from '../../src/core/time.js';
+import { findEventAtPoint, findGroupHeaderAtPoint } from '../../src/interaction/hit-detection.js';
 import { getLaneY } from '../../src/layout/lane-positioning.js';
 import * as renderer from '../../src/rendering/renderer.js';
 import { getAxisY } from '../../src/rendering/renderer.js';
@@ -11,8 +12,9 @@ function makeScale(secondsPerPixel = 1) {
   return RationalScale.fromSecondsPerPixel(secondsPerPixel);
 }
 
+// Times in whole seconds
 function makeEvent(id, start, end = undefined) {
-  return { id, start: BigInt(start), end: end !== undefined ? BigInt(end) : undefined };
+  return { id, start: BigInt(start) * SECOND, end: end !== undefined ? BigInt(end) * SECOND : undefined };
 }
 
 describe('findEventAtPoint', () => {
@@ -41,9 +43,9 @@ describe('findEventAtPoint', () => {
       const cluster = {
         type: 'cluster',
         centerX: 120,
-        centerTime: 150n,
-        minTime: 100n,
-        maxTime: 200n,
+        centerTime: 150n * SECOND,
+        minTime: 100n * SECOND,
+        maxTime: 200n * SECOND,
         count: 2,
         events: [makeEvent('e1', 100), makeEvent('e2', 200)],
       };
@@ -118,6 +120,24 @@ describe('findEventAtPoint', () => {
     });
   });
 
+  describe('with swimlane groups', () => {
+    it('uses the grouped lanes and skips events of collapsed groups', () => {
+      const events = [makeEvent('shown', 100, 200), makeEvent('hidden', 100, 200)];
+      const laneConfig = renderer.getCurrentLaneConfig();
+      vi.spyOn(renderer, 'getGroupBands').mockReturnValue([{ key: 'a', headerLane: 2 }]);
+      vi.spyOn(renderer, 'getLaneAssignments').mockReturnValue(new Map([['shown', 1]]));
+      vi.spyOn(renderer, 'getHiddenEventIds').mockReturnValue(new Set(['hidden']));
+
+      const lane1Y = getLaneY(1, axisY, laneConfig) + 1;
+      expect(findEventAtPoint(150, lane1Y, events, viewportStart, scale, canvasHeight).id).toBe('shown');
+      expect(findEventAtPoint(150, axisY, events, viewportStart, scale, canvasHeight)).toBe(null);
+
+      const headerY = getLaneY(2, axisY, laneConfig) + 1;
+      expect(findGroupHeaderAtPoint(headerY, canvasHeight)).toEqual({ key: 'a', headerLane: 2 });
+      expect(findGroupHeaderAtPoint(lane1Y, canvasHeight)).toBe(null);
+    });
+  });
+
   describe('point events (4px width)', () => {
     it('detects hit within 4px width', () => {
       const events = [makeEvent('point', 100)];
@@ -179,7 +199,7 @@ describe('findEventAtPoint', () => {
   describe('with viewport offset', () => {
     it('accounts for viewportStart when projecting events', () => {
       const events = [makeEvent('e1', 1000, 1100)];
-      const offsetViewport = 900n;
+      const offsetViewport = 900n * SECOND;
       const result = findEventAtPoint(150, axisY, events, offsetViewport, scale, canvasHeight);
       expect(result).toEqual(events[0]);
     });
@@ -0,0 +1,277 @@
+import { describe, expect, it } from 'vitest';
+import { YEAR } from '../../src/core/time.js';
+import { parseContentLines, transformIcs } from '../../src/data/ics-transformer.js';
+
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+function vevent(...lines) {
+  return ['BEGIN:VEVENT', ...lines, 'END:VEVENT'];
+}
+
+const HORIZON = '2030-01-01';
+
+describe('iCalendar Transformer', () => {
+  describe('parseContentLines', () => {
+    it('unfolds continuation lines and reads quoted parameters', () => {
+      const lines = parseContentLines('DESCRIPTION:Long \r\n  text\r\nDTSTART;TZID="Europe/Paris":20240115T090000\r\n');
+
+      expect(lines).toEqual([
+        { row: 1, name: 'DESCRIPTION', params: {}, value: 'Long  text' },
+        { row: 3, name: 'DTSTART', params: { TZID: 'Europe/Paris' }, value: '20240115T090000' },
+      ]);
+    });
+  });
+
+  describe('transformIcs', () => {
+    it('maps VEVENT properties to event fields', () => {
+      const text = calendar(
+        ...vevent(
+          'UID:launch@example.com',
+          'SUMMARY:Launch\\, v2',
+          'DESCRIPTION:First line\\nSecond line',
+          'CATEGORIES:Release,Marketing',
+          'URL:https://example.com/launch',
+          'DTSTART:20240115T090000Z',
+          'DTEND:20240115T103000Z',
+          'BEGIN:VALARM',
+          'DESCRIPTION:Reminder',
+          'END:VALARM',
+        ),
+      );
+
+      const { events, rows, errors } = transformIcs(text, { horizon: HORIZON });
+
+      expect(errors).toEqual([]);
+      expect(rows).toEqual([3]);
+      expect(events).toEqual([
+        {
+          id: 'launch@example.com',
+          label: 'Launch, v2',
+          description: 'First line\nSecond line',
+          category: 'Release',
+          tags: ['Release', 'Marketing'],
+          url: 'https://example.com/launch',
+          start: '2024-01-15T09:00:00Z',
+          end: '2024-01-15T10:30:00Z',
+        },
+      ]);
+    });
+
+    it('reads all-day events with an exclusive end date', () => {
+      const text = calendar(
+        ...vevent('UID:a', 'SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20240301', 'DTEND;VALUE=DATE:20240303'),
+        ...vevent('UID:b', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20240501'),
+      );
+
+      const { events } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => [e.start, e.end, e.precision])).toEqual([
+        ['2024-03-01', '2024-03-03', 'day'],
+        ['2024-05-01', '2024-05-02', 'day'],
+      ]);
+    });
+
+    it('converts TZID times to UTC across daylight saving changes', () => {
+      const text = calendar(
+        ...vevent('UID:winter', 'SUMMARY:Winter', 'DTSTART;TZID=Europe/Berlin:20240115T090000', 'DURATION:PT1H'),
+        ...vevent('UID:summer', 'SUMMARY:Summer', 'DTSTART;TZID=Europe/Berlin:20240715T090000', 'DURATION:PT1H'),
+        ...vevent('UID:nyc', 'SUMMARY:NYC', 'DTSTART;TZID=America/New_York:20240715T090000'),
+      );
+
+      const { events } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => [e.start, e.end])).toEqual([
+        ['2024-01-15T08:00:00Z', '2024-01-15T09:00:00Z'],
+        ['2024-07-15T07:00:00Z', '2024-07-15T08:00:00Z'],
+        ['2024-07-15T13:00:00Z', undefined],
+      ]);
+    });
+
+    it('reports unknown time zones and reads them as UTC', () => {
+      const text = calendar(...vevent('UID:a', 'SUMMARY:A', 'DTSTART;TZID=Mars Standard Time:20240115T090000'));
+
+      const { events, errors } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events[0].start).toBe('2024-01-15T09:00:00Z');
+      expect(errors.map((e) => [e.code, e.event, e.row])).toEqual([['UNKNOWN_TIMEZONE', 'a', 6]]);
+    });
+
+    it('expands weekly rules in local time with stable derived ids', () => {
+      const text = calendar(
+        ...vevent(
+          'UID:standup',
+          'SUMMARY:Standup',
+          'DTSTART;TZID=Europe/Berlin:20240322T090000',
+          'DTEND;TZID=Europe/Berlin:20240322T091500',
+          'RRULE:FREQ=WEEKLY;BYDAY=MO,FR;COUNT=4',
+        ),
+      );
+
+      const { events, rows } = transformIcs(text, { horizon: HORIZON });
+
+      // Clocks go forward on 2024-03-31; 09:00 stays 09:00 local
+      expect(events.map((e) => [e.id, e.start, e.end])).toEqual([
+        ['standup/20240322T080000Z', '2024-03-22T08:00:00Z', '2024-03-22T08:15:00Z'],
+        ['standup/20240325T080000Z', '2024-03-25T08:00:00Z', '2024-03-25T08:15:00Z'],
+        ['standup/20240329T080000Z', '2024-03-29T08:00:00Z', '2024-03-29T08:15:00Z'],
+        ['standup/20240401T070000Z', '2024-04-01T07:00:00Z', '2024-04-01T07:15:00Z'],
+      ]);
+      expect(rows).toEqual([3, 3, 3, 3]);
+    });
+
+    it('honours INTERVAL and UNTIL', () => {
+      const text = calendar(
+        ...vevent(
+          'UID:d',
+          'SUMMARY:D',
+          'DTSTART:20240101T120000Z',
+          'RRULE:FREQ=DAILY;INTERVAL=3;UNTIL=20240110T120000Z',
+        ),
+      );
+
+      const { events } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => e.start)).toEqual([
+        '2024-01-01T12:00:00Z',
+        '2024-01-04T12:00:00Z',
+        '2024-01-07T12:00:00Z',
+        '2024-01-10T12:00:00Z',
+      ]);
+    });
+
+    it.each([
+      [
+        'the 31st, skipping shorter months',
+        'FREQ=MONTHLY;COUNT=3',
+        '20240131',
+        ['2024-01-31', '2024-03-31', '2024-05-31'],
+      ],
+      [
+        'the last day of the month',
+        'FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=3',
+        '20240131',
+        ['2024-01-31', '2024-02-29', '2024-03-31'],
+      ],
+      ['the second Tuesday', 'FREQ=MONTHLY;BYDAY=2TU;COUNT=2', '20240109', ['2024-01-09', '2024-02-13']],
+      [
+        'the last weekday',
+        'FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=2',
+        '20240131',
+        ['2024-01-31', '2024-02-29'],
+      ],
+      [
+        'the fourth Thursday of November',
+        'FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=2',
+        '20241128',
+        ['2024-11-28', '2025-11-27'],
+      ],
+      ['leap days only', 'FREQ=YEARLY;COUNT=2', '20240229', ['2024-02-29', '2028-02-29']],
+    ])('expands monthly and yearly rules: %s', (_, rule, start, expected) => {
+      const text = calendar(...vevent('UID:r', 'SUMMARY:R', `DTSTART;VALUE=DATE:${start}`, `RRULE:${rule}`));
+
+      const { events } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => e.start)).toEqual(expected);
+    });
+
+    it('drops EXDATEs and applies RECURRENCE-ID overrides', () => {
+      const text = calendar(
+        ...vevent(
+          'UID:sync',
+          'SUMMARY:Sync',
+          'DTSTART:20240101T100000Z',
+          'DURATION:PT30M',
+          'RRULE:FREQ=DAILY;COUNT=5',
+          'EXDATE:20240102T100000Z,20240103T100000Z',
+        ),
+        ...vevent('UID:sync', 'RECURRENCE-ID:20240104T100000Z', 'SUMMARY:Sync (moved)', 'DTSTART:20240104T150000Z'),
+        ...vevent(
+          'UID:sync',
+          'RECURRENCE-ID:20240105T100000Z',
+          'SUMMARY:Sync',
+          'STATUS:CANCELLED',
+          'DTSTART:20240105T100000Z',
+        ),
+      );
+
+      const { events } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => [e.id, e.label, e.start])).toEqual([
+        ['sync/20240101T100000Z', 'Sync', '2024-01-01T10:00:00Z'],
+        ['sync/20240104T100000Z', 'Sync (moved)', '2024-01-04T15:00:00Z'],
+      ]);
+    });
+
+    it('stops open-ended rules at the horizon', () => {
+      const text = calendar(...vevent('UID:w', 'SUMMARY:W', 'DTSTART;VALUE=DATE:20240101', 'RRULE:FREQ=WEEKLY'));
+
+      expect(transformIcs(text, { horizon: '2024-01-29' }).events).toHaveLength(5);
+      expect(transformIcs(text, { horizon: 1_706_400_000_000_000_000n }).events).toHaveLength(4);
+    });
+
+    it('counts a DTSTART the rule does not match as the first occurrence', () => {
+      const text = calendar(
+        ...vevent('UID:m', 'SUMMARY:M', 'DTSTART;VALUE=DATE:20240102', 'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=2'),
+      );
+
+      const { events } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => e.start)).toEqual(['2024-01-02', '2024-01-08']);
+    });
+
+    it('keeps the occurrences nearest the horizon past the occurrence limit', () => {
+      const text = calendar(...vevent('UID:d', 'SUMMARY:D', 'DTSTART;VALUE=DATE:20050103', 'RRULE:FREQ=DAILY'));
+
+      const { events, errors } = transformIcs(text, { horizon: '2026-12-31' });
+
+      expect(events).toHaveLength(5000);
+      expect(events[0].start).toBe('2013-04-24');
+      expect(events.at(-1).start).toBe('2026-12-31');
+      expect(errors.map((e) => [e.code, e.field])).toEqual([['RECURRENCE_LIMIT', 'RRULE']]);
+    });
+
+    it('gives up on rules that never reach a distant horizon', () => {
+      const text = calendar(
+        ...vevent('UID:n', 'SUMMARY:N', 'DTSTART;VALUE=DATE:20240101', 'RRULE:FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30'),
+      );
+
+      const { events, errors } = transformIcs(text, { horizon: 100_000n * YEAR });
+
+      expect(events.map((e) => e.start)).toEqual(['2024-01-01']);
+      expect(errors.map((e) => [e.code, e.field])).toEqual([['RECURRENCE_LIMIT', 'RRULE']]);
+    });
+
+    it('reports unsupported rules and keeps the first occurrence', () => {
+      const text = calendar(...vevent('UID:h', 'SUMMARY:H', 'DTSTART:20240101T100000Z', 'RRULE:FREQ=HOURLY;COUNT=3'));
+
+      const { events, errors } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events.map((e) => e.id)).toEqual(['h']);
+      expect(errors.map((e) => [e.code, e.field])).toEqual([['UNSUPPORTED_RRULE', 'RRULE']]);
+    });
+
+    it('leaves missing and unreadable values for validation', () => {
+      const text = calendar(
+        ...vevent('UID:x', 'SUMMARY:X', 'DTSTART:2024-01-01'),
+        ...vevent('UID:y', 'DTSTART:20240101'),
+      );
+
+      const { events, errors } = transformIcs(text, { horizon: HORIZON });
+
+      expect(events).toEqual([
+        { id: 'x', label: 'X', start: '2024-01-01' },
+        { id: 'y', start: '2024-01-01', end: '2024-01-02', precision: 'day' },
+      ]);
+      expect(errors.map((e) => e.code)).toEqual(['INVALID_DATE']);
+    });
+
+    it('rejects text that is not an iCalendar file', () => {
+      const { events, errors } = transformIcs('id,label,start\n');
+
+      expect(events).toEqual([]);
+      expect(errors.map((e) => e.code)).toEqual(['NOT_ICALENDAR']);
+    });
+  });
+});
@@ -1,7 +1,7 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
-import { YEAR } from '../../src/core/time.js';
+import { fromMilliseconds, SECOND, toSeconds, YEAR } from '../../src/core/time.js';
 import { initInput } from '../../src/interaction/input.js';
 import { getLaneY } from '../../src/layout/lane-positioning.js';
 import * as renderer from '../../src/rendering/renderer.js';
@@ -46,6 +46,7 @@ function createMockPointerEvent(x, y, options = {}) {
     buttons: options.buttons ?? 0,
     ctrlKey: options.ctrlKey ?? false,
     metaKey: options.metaKey ?? false,
+    altKey: options.altKey ?? false,
     timeStamp: options.timeStamp ?? 0,
     preventDefault: vi.fn(),
   };
@@ -56,9 +57,9 @@ describe('Input', () => {
     it('calculates viewport start to center current time on screen', async () => {
       const { jumpToToday } = await import('../../src/interaction/input.js');
 
-      const now = BigInt(Math.floor(Date.now() / 1000));
+      const now = fromMilliseconds(Date.now());
       const canvasWidth = 800;
-      const defaultScale = RationalScale.fromSecondsPerPixel(Number(YEAR));
+      const defaultScale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
 
       const result = jumpToToday(canvasWidth, defaultScale);
 
@@ -67,7 +68,7 @@ describe('Input', () => {
 
       // Allow 1 second tolerance for test execution time
       const diff = result.viewportStart - expectedStart;
-      expect(diff >= -1n && diff <= 1n).toBe(true);
+      expect(diff >= -SECOND && diff <= SECOND).toBe(true);
     });
 
     it('returns the default scale', async () => {
@@ -100,6 +101,12 @@ describe('Input', () => {
       expect(KEYBOARD_SHORTCUTS.h).toBe('jumpToToday');
     });
 
+    it('e key toggles edit mode', async () => {
+      const { KEYBOARD_SHORTCUTS } = await import('../../src/interaction/input.js');
+
+      expect(KEYBOARD_SHORTCUTS.e).toBe('toggleEditMode');
+    });
+
     it('/ key triggers search', async () => {
       const { KEYBOARD_SHORTCUTS } = await import('../../src/interaction/input.js');
 
@@ -143,15 +150,15 @@ describe('Input', () => {
         globalThis.cancelAnimationFrame = () => {};
       }
       canvas = createMockCanvas();
-      const now = BigInt(Math.floor(Date.now() / 1000));
+      const now = fromMilliseconds(Date.now());
       store = createStore({
         viewportStart: now,
         scale: RationalScale.fromSecondsPerPixel(1),
         canvasWidth: 800,
         canvasHeight: 400,
         events: [
-          { id: 'evt-1', title: 'Event 1', start: now + 100n },
-          { id: 'evt-2', title: 'Event 2', start: now + 200n },
+          { id: 'evt-1', title: 'Event 1', start: now + 100n * SECOND },
+          { id: 'evt-2', title: 'Event 2', start: now + 200n * SECOND },
         ],
       });
       destroy = initInput(canvas, store);
@@ -204,6 +211,139 @@ describe('Input', () => {
       expect(newState.selectedEventIds.size).toBe(0);
     });
 
+    it('in edit mode, tap on background requests a new event at the tapped time', () => {
+      destroy();
+      const onCreateEvent = vi.fn();
+      destroy = initInput(canvas, store, { onCreateEvent });
+      store.dispatch({ type: 'SET_MODE', mode: 'edit' });
+
+      canvas.dispatchEvent('pointerdown', createMockPointerEvent(500, 200, { buttons: 1, timeStamp: 10 }));
+      canvas.dispatchEvent('pointerup', createMockPointerEvent(500, 200, { timeStamp: 20 }));
+
+      const { viewportStart, scale } = store.getState();
+      expect(onCreateEvent).toHaveBeenCalledWith({ x: 500, y: 200, time: viewportStart + scale.pxToTime(500) });
+    });
+
+    it('in edit mode, tap on event selects it and requests editing', () => {
+      destroy();
+      const onEditEvent = vi.fn();
+      destroy = initInput(canvas, store, { onEditEvent });
+      store.dispatch({ type: 'SET_MODE', mode: 'edit' });
+
+      const eventY = getAxisY(400);
+      canvas.dispatchEvent('pointerdown', createMockPointerEvent(100, eventY, { buttons: 1, timeStamp: 10 }));
+      canvas.dispatchEvent('pointerup', createMockPointerEvent(100, eventY, { timeStamp: 20 }));
+
+      expect(store.getState().selectedEventIds.has('evt-1')).toBe(true);
+      expect(onEditEvent).toHaveBeenCalledWith('evt-1');
+    });
+
+    describe('dragging events in edit mode', () => {
+      let callbacks;
+      const y = getAxisY(400);
+
+      beforeEach(() => {
+        destroy();
+        // One minute grid at 1 second per pixel
+        store = createStore({
+          viewportStart: 0n,
+          scale: RationalScale.fromSecondsPerPixel(1),
+          canvasWidth: 800,
+          canvasHeight: 400,
+          mode: 'edit',
+          events: [
+            { id: 'span', label: 'Span', start: 120n * SECOND, end: 300n * SECOND },
+            { id: 'point', label: 'Point', start: 600n * SECOND },
+          ],
+        });
+        callbacks = { onEditEvent: vi.fn(), onEventDrag: vi.fn(), onEventDragEnd: vi.fn() };
+        destroy = initInput(canvas, store, callbacks);
+      });
+
+      function drag(fromX, toX, options = {}) {
+        canvas.dispatchEvent(
+          'pointerdown',
+          createMockPointerEvent(fromX, y, { buttons: 1, timeStamp: 10, ...options }),
+        );
+        canvas.dispatchEvent('pointermove', createMockPointerEvent(toX, y, { buttons: 1, timeStamp: 20, ...options }));
+      }
+
+      it('moves a span, snapping to the grid, with a single UPDATE_EVENT on release', () => {
+        const dispatchSpy = vi.spyOn(store, 'dispatch');
+        drag(200, 265);
+
+        expect(store.getState().dragPreview).toEqual({ eventId: 'span', start: 180n * SECOND, end: 360n * SECOND });
+        expect(store.getState().events[0].start).toBe(120n * SECOND);
+        expect(callbacks.onEventDrag).toHaveBeenCalledWith(
+          expect.objectContaining({ start: 180n * SECOND, end: 360n * SECOND }),
+        );
+
+        canvas.dispatchEvent('pointerup', createMockPointerEvent(265, y, { timeStamp: 30 }));
+
+        const updates = dispatchSpy.mock.calls.filter(([action]) => action.type === 'UPDATE_EVENT');
+        expect(updates).toEqual([
+          [{ type: 'UPDATE_EVENT', eventId: 'span', changes: { start: 180n * SECOND, end: 360n * SECOND } }],
+        ]);
+        expect(store.getState().dragPreview).toBe(null);
+        expect(store.getState().viewportStart).toBe(0n);
+        expect(callbacks.onEventDragEnd).toHaveBeenCalledWith(expect.objectContaining({ committed: true }));
+        expect(callbacks.onEditEvent).not.toHaveBeenCalled();
+      });
+
+      it('resizes a span from its end edge', () => {
+        drag(298, 360);
+        canvas.dispatchEvent('pointerup', createMockPointerEvent(360, y, { timeStamp: 30 }));
+        expect(store.getState().events[0]).toMatchObject({ start: 120n * SECOND, end: 360n * SECOND });
+      });
+
+      it('resizes a span from its start edge without snapping while Alt is held', () => {
+        drag(122, 100, { altKey: true });
+        canvas.dispatchEvent('pointerup', createMockPointerEvent(100, y, { timeStamp: 30, altKey: true }));
+        expect(store.getState().events[0]).toMatchObject({ start: 98n * SECOND, end: 300n * SECOND });
+      });
+
+      it('moves point events without giving them an end', () => {
+        drag(601, 700);
+        canvas.dispatchEvent('pointerup', createMockPointerEvent(700, y, { timeStamp: 30 }));
+        const point = store.getState().events.find((e) => e.id === 'point');
+        expect(point).toEqual({ id: 'point', label: 'Point', start: 720n * SECOND });
+      });
+
+      it('treats movement below the drag threshold as a click', () => {
+        drag(200, 204);
+        canvas.dispatchEvent('pointerup', createMockPointerEvent(204, y, { timeStamp: 30 }));
+        expect(store.getState().events[0].start).toBe(120n * SECOND);
+        expect(callbacks.onEditEvent).toHaveBeenCalledWith('span');
+      });
+
+      it('cancels the drag when a second finger starts a pinch', () => {
+        drag(200, 265, { pointerType: 'touch' });
+        canvas.dispatchEvent(
+          'pointerdown',
+          createMockPointerEvent(500, y, { pointerId: 2, pointerType: 'touch', buttons: 1 }),
+        );
+
+        expect(store.getState().dragPreview).toBe(null);
+        expect(callbacks.onEventDragEnd).toHaveBeenCalledWith(expect.objectContaining({ committed: false }));
+        expect(store.getState().events[0].start).toBe(120n * SECOND);
+      });
+
+      it('pans instead of dragging in view mode', () => {
+        store.dispatch({ type: 'SET_MODE', mode: 'view' });
+        drag(200, 265);
+        canvas.dispatchEvent('pointerup', createMockPointerEvent(265, y, { timeStamp: 30 }));
+        expect(store.getState().events[0].start).toBe(120n * SECOND);
+        expect(store.getState().viewportStart < 0n).toBe(true);
+      });
+
+      it('shows a resize cursor over span edges', () => {
+        canvas.dispatchEvent('pointermove', createMockPointerEvent(122, y, { timeStamp: 10 }));
+        expect(canvas.style.cursor).toBe('ew-resize');
+        canvas.dispatchEvent('pointermove', createMockPointerEvent(200, y, { timeStamp: 20 }));
+        expect(canvas.style.cursor).toBe('pointer');
+      });
+    });
+
     it('pointermove over event dispatches SET_HOVER', () => {
       const eventX = 100;
       const eventY = getAxisY(400);
@@ -409,9 +549,9 @@ describe('Input', () => {
       const cluster = {
         type: 'cluster',
         centerX: 120,
-        centerTime: 150n,
-        minTime: 100n,
-        maxTime: 200n,
+        centerTime: 150n * SECOND,
+        minTime: 100n * SECOND,
+        maxTime: 200n * SECOND,
         count: 3,
         events: [],
         screenFootprint: {
@@ -437,7 +577,9 @@ describe('Input', () => {
 
         const state = store.getState();
         const viewportMidpoint = state.viewportStart + state.scale.pxToTime(800 / 2);
-        const minimumExpandedSpan = BigInt(Math.ceil(initialScale.getSecondsPerPixel() * cluster.screenFootprint.width));
+        const minimumExpandedSpan = BigInt(
+          Math.ceil(initialScale.getSecondsPerPixel() * cluster.screenFootprint.width * Number(SECOND)),
+        );
         const representedWidth = state.scale.timeToPx(minimumExpandedSpan);
 
         expect(viewportMidpoint).toBe(cluster.centerTime);
@@ -462,9 +604,9 @@ describe('Input', () => {
       const cluster = {
         type: 'cluster',
         centerX: 120,
-        centerTime: 150n,
-        minTime: 100n,
-        maxTime: 200n,
+        centerTime: 150n * SECOND,
+        minTime: 100n * SECOND,
+        maxTime: 200n * SECOND,
         count: 2,
         events: [],
         screenFootprint: { minX: 96, maxX: 144, width: 48 },
@@ -505,9 +647,9 @@ describe('Input', () => {
       const clusterA = {
         type: 'cluster',
         centerX: 120,
-        centerTime: 150n,
-        minTime: 100n,
-        maxTime: 200n,
+        centerTime: 150n * SECOND,
+        minTime: 100n * SECOND,
+        maxTime: 200n * SECOND,
         count: 2,
         events: [{ id: 'a' }, { id: 'b' }],
         screenFootprint: { minX: 96, maxX: 144, width: 48 },
@@ -606,9 +748,9 @@ describe('Input', () => {
       canvas = createMockCanvas();
       store = createStore({
         events: [
-          { id: 'event-1', start: 100n, end: 200n },
-          { id: 'event-2', start: 300n, end: 400n },
-          { id: 'event-3', start: 500n, end: 600n },
+          { id: 'event-1', start: 100n * SECOND, end: 200n * SECOND },
+          { id: 'event-2', start: 300n * SECOND, end: 400n * SECOND },
+          { id: 'event-3', start: 500n * SECOND, end: 600n * SECOND },
         ],
       });
 
@@ -786,6 +928,40 @@ describe('Input', () => {
       expect(onOpenSelectedEvent).toHaveBeenCalledWith('event-2');
     });
 
+    it('Delete key requests deletion of the selected event in edit mode only', () => {
+      const onDeleteEvent = vi.fn();
+      initInput(canvas, store, { onDeleteEvent }, mockFocusManager);
+      store.dispatch({ type: 'SELECT_EVENT', eventId: 'event-2' });
+
+      triggerKeyDown('Delete');
+      expect(onDeleteEvent).not.toHaveBeenCalled();
+
+      store.dispatch({ type: 'SET_MODE', mode: 'edit' });
+      triggerKeyDown('Delete');
+      expect(onDeleteEvent).toHaveBeenCalledWith('event-2');
+    });
+
+    it('Ctrl+Z and Ctrl+Shift+Z request undo and redo', () => {
+      const onUndo = vi.fn();
+      const onRedo = vi.fn();
+      initInput(canvas, store, { onUndo, onRedo }, mockFocusManager);
+
+      const undoEvent = triggerKeyDown('z', { ctrlKey: true });
+      expect(onUndo).toHaveBeenCalledTimes(1);
+      expect(undoEvent.preventDefault).toHaveBeenCalled();
+
+      triggerKeyDown('Z', { ctrlKey: true, shiftKey: true });
+      triggerKeyDown('y', { metaKey: true });
+      expect(onRedo).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not treat Ctrl combinations as plain shortcuts', () => {
+      const onToggleEditMode = vi.fn();
+      initInput(canvas, store, { onToggleEditMode }, mockFocusManager);
+      triggerKeyDown('e', { ctrlKey: true });
+      expect(onToggleEditMode).not.toHaveBeenCalled();
+    });
+
     it('Enter does nothing when no event focused', () => {
       mockFocusManager.getFocus = vi.fn(() => null);
       store.dispatch({ type: 'SELECT_EVENT', eventId: 'event-1' });
@@ -822,4 +998,71 @@ describe('Input', () => {
       expect(event.preventDefault).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('viewport transitions', () => {
+    let canvas;
+    let store;
+    let transition;
+    let keydown;
+    let originalDocument;
+    let originalWindow;
+
+    beforeEach(() => {
+      originalDocument = globalThis.document;
+      originalWindow = globalThis.window;
+      globalThis.document = {
+        addEventListener: vi.fn((type, handler) => {
+          if (type === 'keydown') keydown = handler;
+        }),
+        removeEventListener: vi.fn(),
+      };
+      globalThis.window = {
+        matchMedia: vi.fn(() => ({ matches: false })),
+        addEventListener: vi.fn(),
+        removeEventListener: vi.fn(),
+      };
+      canvas = createMockCanvas();
+      store = createStore({
+        viewportStart: 0n,
+        scale: RationalScale.fromSecondsPerPixel(60),
+        canvasWidth: 800,
+        events: [{ id: 'event-1', start: 1_000_000n * SECOND }],
+      });
+      transition = { start: vi.fn(), cancel: vi.fn(), isActive: vi.fn(() => false), getTarget: vi.fn(() => null) };
+      initInput(canvas, store, {}, null, { transition });
+    });
+
+    afterEach(() => {
+      globalThis.document = originalDocument;
+      globalThis.window = originalWindow;
+    });
+
+    function press(key) {
+      keydown({ key, shiftKey: false, ctrlKey: false, metaKey: false, altKey: false, preventDefault: vi.fn() });
+    }
+
+    it('animates keyboard navigation instead of jumping', () => {
+      const before = store.getState().revision;
+      press('0');
+      press('Home');
+      expect(transition.start).toHaveBeenCalledTimes(2);
+      expect(transition.start.mock.calls[1][0].viewportStart).toBe((1_000_000n - 400n * 60n) * SECOND);
+      expect(store.getState().revision).toBe(before);
+    });
+
+    it('zooms from the viewport being animated to', () => {
+      const target = { viewportStart: 1000n * SECOND, scale: RationalScale.fromSecondsPerPixel(10) };
+      transition.getTarget.mockReturnValue(target);
+      press('+');
+      const { scale } = transition.start.mock.calls[0][0];
+      expect(scale.getSecondsPerPixel()).toBeLessThan(10);
+    });
+
+    it('cancels the transition on direct manipulation', () => {
+      canvas.dispatchEvent('pointerdown', createMockPointerEvent(100, 200, { buttons: 1 }));
+      expect(transition.cancel).toHaveBeenCalledTimes(1);
+      canvas.dispatchEvent('wheel', { clientX: 100, deltaY: -1, preventDefault: vi.fn() });
+      expect(transition.cancel).toHaveBeenCalledTimes(2);
+    });
+  });
 });
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { isVisible } from '../../src/core/time.js';
+import { getIntervalTree, IntervalTree, queryEvents } from '../../src/layout/interval-tree.js';
+
+function linearCull(events, start, end) {
+  return events.filter((e) => isVisible(e.start, e.end !== undefined ? e.end - e.start : 0n, start, end));
+}
+
+// Deterministic pseudo-random events (mulberry32)
+function makeEvents(count, seed) {
+  let state = seed;
+  const rand = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const events = [];
+  for (let i = 0; i < count; i++) {
+    const start = BigInt(Math.floor(rand() * 10000)) - 5000n;
+    const end = rand() < 0.3 ? undefined : start + BigInt(Math.floor(rand() ** 3 * 3000));
+    events.push({ id: `e${i}`, start, end });
+  }
+  return events.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+}
+
+describe('IntervalTree', () => {
+  it('returns nothing for an empty tree or an inverted range', () => {
+    expect(new IntervalTree([]).query(0n, 100n)).toEqual([]);
+    expect(new IntervalTree([{ id: 'a', start: 0n, end: 10n }]).query(10n, 0n)).toEqual([]);
+  });
+
+  it('includes events touching the range and treats a missing end as a point', () => {
+    const events = [
+      { id: 'before', start: 0n, end: 99n },
+      { id: 'touch-start', start: 0n, end: 100n },
+      { id: 'point', start: 150n },
+      { id: 'spanning', start: 50n, end: 500n },
+      { id: 'touch-end', start: 200n, end: 300n },
+      { id: 'after', start: 201n },
+    ];
+    const ids = new IntervalTree(events).query(100n, 200n).map((e) => e.id);
+    expect(ids.sort()).toEqual(['point', 'spanning', 'touch-end', 'touch-start']);
+  });
+
+  it('returns results in start order, sorting unsorted input', () => {
+    const events = [
+      { id: 'c', start: 30n },
+      { id: 'a', start: 10n, end: 40n },
+      { id: 'b', start: 20n },
+    ];
+    const tree = new IntervalTree(events);
+    expect(tree.size).toBe(3);
+    expect(tree.query(0n, 100n).map((e) => e.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('matches a linear isVisible scan on random data', () => {
+    const events = makeEvents(2000, 42);
+    const tree = new IntervalTree(events);
+    for (const [start, end] of [
+      [-6000n, 6000n],
+      [0n, 0n],
+      [-100n, 250n],
+      [4900n, 8000n],
+      [-9000n, -5001n],
+    ]) {
+      expect(tree.query(start, end)).toEqual(linearCull(events, start, end));
+    }
+  });
+});
+
+describe('getIntervalTree', () => {
+  it('builds one tree per events array', () => {
+    const events = makeEvents(10, 7);
+    expect(getIntervalTree(events)).toBe(getIntervalTree(events));
+    expect(getIntervalTree([...events])).not.toBe(getIntervalTree(events));
+    expect(queryEvents(events, -5000n, 5000n)).toEqual(linearCull(events, -5000n, 5000n));
+  });
+});
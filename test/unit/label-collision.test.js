@@ -1,4 +1,5 @@
 import { beforeEach, describe, expect, it } from 'vitest';
+import { SECOND } from '../../src/core/time.js';
 import {
   calculateLabelPriority,
   detectLabelCollisions,
@@ -43,8 +44,8 @@ describe('Label Collision Detection', () => {
     });
 
     it('should prioritize longer duration events', () => {
-      const event1 = { id: 'e1', start: 0n, end: 100n };
-      const event2 = { id: 'e2', start: 0n, end: 1000n };
+      const event1 = { id: 'e1', start: 0n, end: 100n * SECOND };
+      const event2 = { id: 'e2', start: 0n, end: 1000n * SECOND };
       const priority1 = calculateLabelPriority(event1, 50, 1);
       const priority2 = calculateLabelPriority(event2, 50, 1);
       expect(priority2).toBeGreaterThan(priority1);
@@ -1,5 +1,6 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
-import { detectFormat, loadExample, loadFromFile, loadFromUrl } from '../../src/data/loader.js';
+import { SECOND } from '../../src/core/time.js';
+import { detectFileFormat, detectFormat, loadExample, loadFromFile, loadFromUrl } from '../../src/data/loader.js';
 
 describe('loader', () => {
   describe('detectFormat', () => {
@@ -33,12 +34,47 @@ describe('loader', () => {
       expect(detectFormat(data)).toBe('plain');
     });
 
+    it('detects extended format with an events array', () => {
+      const data = { name: 'Space', events: [{ id: 'event-1', label: 'Event 1', start: '2020-01-01' }] };
+      expect(detectFormat(data)).toBe('extended');
+    });
+
+    it('detects Chrome trace files in object and array form', () => {
+      expect(detectFormat({ traceEvents: [] })).toBe('chrome-trace');
+      expect(detectFormat([{ name: 'Task', ph: 'X', ts: 0, dur: 5, pid: 1, tid: 1 }])).toBe('chrome-trace');
+      expect(detectFormat([{ id: 'e1', label: 'Event 1', start: '2020-01-01', ph: 'X' }, { id: 'e2' }])).toBe('plain');
+    });
+
+    it('detects OTLP JSON span exports', () => {
+      expect(detectFormat({ resourceSpans: [] })).toBe('otlp');
+    });
+
     it('returns unknown for unrecognized format', () => {
       const data = { random: 'object' };
       expect(detectFormat(data)).toBe('unknown');
     });
   });
 
+  describe('detectFileFormat', () => {
+    it('detects CSV and TSV by extension', () => {
+      expect(detectFileFormat('events.csv')).toBe('csv');
+      expect(detectFileFormat('EVENTS.TSV')).toBe('tsv');
+      expect(detectFileFormat('https://example.com/data/events.csv?raw=1#top')).toBe('csv');
+    });
+
+    it('detects CSV and TSV by MIME type', () => {
+      expect(detectFileFormat('download', 'text/csv; charset=utf-8')).toBe('csv');
+      expect(detectFileFormat('', 'text/tab-separated-values')).toBe('tsv');
+    });
+
+    it('defaults to JSON', () => {
+      expect(detectFileFormat('events.json', 'application/json')).toBe('json');
+      expect(detectFileFormat('team.ics')).toBe('ics');
+      expect(detectFileFormat('https://example.com/feed', 'text/calendar; charset=utf-8')).toBe('ics');
+      expect(detectFileFormat()).toBe('json');
+    });
+  });
+
   describe('loadFromUrl', () => {
     beforeEach(() => {
       global.fetch = vi.fn();
@@ -63,6 +99,33 @@ describe('loader', () => {
       expect(result.summary).toContain('1');
     });
 
+    it('parses CSV URLs as delimited text', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve('id,label,start\ne1,Event 1,2020-01-01'),
+      });
+
+      const result = await loadFromUrl('https://example.com/events.csv');
+
+      expect(result.events).toHaveLength(1);
+      expect(typeof result.events[0].start).toBe('bigint');
+    });
+
+    it('parses responses with a TSV content type', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        headers: new Headers({ 'content-type': 'text/tab-separated-values' }),
+        text: () => Promise.resolve('Key\tName\tDate\ne1\tEvent 1\t1969'),
+      });
+
+      const result = await loadFromUrl('https://example.com/export', {
+        columns: { id: 'Key', label: 'Name', start: 'Date' },
+      });
+
+      expect(result.events.map((e) => e.id)).toEqual(['e1']);
+      expect(result.errors).toEqual([]);
+    });
+
     it('handles fetch errors', async () => {
       global.fetch.mockRejectedValue(new Error('Network error'));
 
@@ -147,6 +210,54 @@ describe('loader', () => {
       expect(result.errors).toEqual([]);
     });
 
+    it('reads extended datasets with a guided tour', async () => {
+      const data = {
+        name: 'Space',
+        events: [
+          { id: 'e1', label: 'Event 1', start: '2020-01-01' },
+          { id: 'e2', label: 'Event 2', start: '2021-01-01' },
+        ],
+        tour: {
+          title: 'Space tour',
+          steps: [
+            { caption: 'First', events: ['e1'] },
+            { caption: 'Missing', events: ['e9'] },
+          ],
+        },
+      };
+      const file = new File([JSON.stringify(data)], 'space.json', { type: 'application/json' });
+
+      const result = await loadFromFile(file);
+
+      expect(result.events.map((e) => e.id)).toEqual(['e1', 'e2']);
+      expect(result.tour.title).toBe('Space tour');
+      expect(result.tour.steps.map((step) => step.eventIds)).toEqual([['e1']]);
+      expect(result.errors.map((e) => e.step)).toEqual([1, 1]);
+      expect(result.summary).toBe('Loaded 2 events (2 errors)');
+    });
+
+    it('reads Chrome trace files with threads as swimlanes and nested slices as relations', async () => {
+      const trace = {
+        traceEvents: [
+          { name: 'process_name', ph: 'M', pid: 1, tid: 0, args: { name: 'Renderer' } },
+          { name: 'thread_name', ph: 'M', pid: 1, tid: 7, args: { name: 'Main' } },
+          { name: 'Frame', ph: 'B', ts: 100, pid: 1, tid: 7 },
+          { name: 'Layout', ph: 'X', ts: 120, dur: 30.5, pid: 1, tid: 7 },
+          { ph: 'E', ts: 200, pid: 1, tid: 7 },
+        ],
+      };
+      const file = new File([JSON.stringify(trace)], 'trace.json', { type: 'application/json' });
+
+      const result = await loadFromFile(file);
+
+      expect(result.errors).toEqual([]);
+      expect(result.events.map((e) => [e.label, e.start, e.end, e.group])).toEqual([
+        ['Frame', 100_000n, 200_000n, 'Renderer/Main'],
+        ['Layout', 120_000n, 150_500n, 'Renderer/Main'],
+      ]);
+      expect(result.events[1].relations).toEqual([{ type: 'part_of', target: result.events[0].id }]);
+    });
+
     it('handles JSON parse errors', async () => {
       const file = new File(['not valid json'], 'events.json', { type: 'application/json' });
 
@@ -157,6 +268,90 @@ describe('loader', () => {
       expect(result.errors[0].message).toContain('parse');
     });
 
+    it('reads CSV files and reports errors with row numbers', async () => {
+      const csv = [
+        'id,label,start,end,priority',
+        'e1,"Event, one",2020-01-01,,1',
+        'e2,Missing start,,,',
+        'e3,Bad date,not a date,,',
+        'e4,Bad priority,2021,,9',
+        'e5,"Bad end",2022,whenever,',
+      ].join('\n');
+      const file = new File([csv], 'events.csv', { type: 'text/csv' });
+
+      const result = await loadFromFile(file);
+
+      expect(result.events.map((e) => e.id)).toEqual(['e1', 'e5']);
+      expect(result.events[0].label).toBe('Event, one');
+      expect(result.errors.map((e) => [e.code ?? e.field, e.row])).toEqual([
+        ['MISSING_REQUIRED', 3],
+        ['INVALID_PRIORITY', 5],
+        ['start', 4],
+        ['end', 6],
+      ]);
+    });
+
+    it('reads iCalendar files and expands recurrences up to the horizon', async () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:retro',
+        'SUMMARY:Retro',
+        'DTSTART:20240105T150000Z',
+        'DTEND:20240105T160000Z',
+        'RRULE:FREQ=WEEKLY;INTERVAL=2',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:broken',
+        'SUMMARY:Broken',
+        'DTSTART:someday',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+      const file = new File([ics], 'team.ics', { type: 'text/calendar' });
+
+      const result = await loadFromFile(file, { horizon: '2024-02-10' });
+
+      expect(result.events.map((e) => e.id)).toEqual([
+        'retro/20240105T150000Z',
+        'retro/20240119T150000Z',
+        'retro/20240202T150000Z',
+      ]);
+      expect(result.events[0].end - result.events[0].start).toBe(3600n * SECOND);
+      expect(result.errors.map((e) => [e.code ?? e.field, e.row])).toEqual([
+        ['INVALID_DATE', 12],
+        ['start', 9],
+      ]);
+    });
+
+    it('includes CSV parse errors in the result', async () => {
+      const file = new File(['id,label,start\ne1,A,2020,extra\ne2,B,2021'], 'events.csv');
+
+      const result = await loadFromFile(file);
+
+      expect(result.events.map((e) => e.id)).toEqual(['e2']);
+      expect(result.errors[0].code).toBe('COLUMN_COUNT_MISMATCH');
+      expect(result.errors[0].row).toBe(2);
+    });
+
+    it('detects semicolon-delimited CSV', async () => {
+      const csv = ['id;label;start;tags', 'e1;"Treaty; signed";1648;"peace;europe"'].join('\n');
+      const file = new File([csv], 'events.csv', { type: 'text/csv' });
+
+      const result = await loadFromFile(file);
+
+      expect(result.errors).toEqual([]);
+      expect(result.events).toMatchObject([{ id: 'e1', label: 'Treaty; signed', tags: ['peace', 'europe'] }]);
+    });
+
+    it('honors delimiter and column options for files', async () => {
+      const file = new File(['k;t;s\ne1;Event;1990'], 'events.csv');
+
+      const result = await loadFromFile(file, { delimiter: ';', columns: { id: 'k', label: 't', start: 's' } });
+
+      expect(result.events.map((e) => e.id)).toEqual(['e1']);
+    });
+
     it('handles File read errors', async () => {
       const file = {
         text: () => Promise.reject(new Error('Read error')),
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { DAY, YEAR } from '../../src/core/time.js';
+import { DAY, toSeconds, YEAR } from '../../src/core/time.js';
 import {
   determineLOD,
   filterEventsByLOD,
@@ -24,44 +24,44 @@ describe('LOD System', () => {
     });
 
     it('should return MESO for medium secondsPerPixel values', () => {
-      const result = determineLOD(Number(DAY) * 30); // ~30 days per pixel
+      const result = determineLOD(toSeconds(DAY) * 30); // ~30 days per pixel
       expect(result).toBe(LOD_MESO);
     });
 
     it('should return MACRO for large secondsPerPixel values', () => {
-      const result = determineLOD(Number(YEAR) * 60); // ~60 years per pixel
+      const result = determineLOD(toSeconds(YEAR) * 60); // ~60 years per pixel
       expect(result).toBe(LOD_MACRO);
     });
 
     it('should use hysteresis to prevent flickering from micro to meso', () => {
       // Start at micro, zoom out past threshold to switch to meso
-      const secondsPerPixel = Number(DAY) / 1.5; // Above MICRO_TO_MESO_THRESHOLD (DAY / 2)
+      const secondsPerPixel = toSeconds(DAY) / 1.5; // Above MICRO_TO_MESO_THRESHOLD (DAY / 2)
       const result1 = determineLOD(secondsPerPixel, LOD_MICRO);
       expect(result1).toBe(LOD_MESO); // Should switch to meso
 
       // Stay at meso when between the two thresholds
       // MICRO_TO_MESO = DAY/2 = 43200, MESO_TO_MICRO = DAY/3 = 28800
-      const result2 = determineLOD(Number(DAY) / 2.5, LOD_MESO); // 34560 - between thresholds
+      const result2 = determineLOD(toSeconds(DAY) / 2.5, LOD_MESO); // 34560 - between thresholds
       expect(result2).toBe(LOD_MESO); // Should stay at meso (hysteresis)
     });
 
     it('should use hysteresis to prevent flickering from meso to macro', () => {
       // Start at meso
-      const result1 = determineLOD(Number(YEAR) * 60, LOD_MESO);
+      const result1 = determineLOD(toSeconds(YEAR) * 60, LOD_MESO);
       expect(result1).toBe(LOD_MACRO); // Should switch to macro
 
       // Stay at macro even when slightly below threshold
-      const result2 = determineLOD(Number(YEAR) * 40, LOD_MACRO);
+      const result2 = determineLOD(toSeconds(YEAR) * 40, LOD_MACRO);
       expect(result2).toBe(LOD_MACRO); // Should stay at macro (hysteresis)
     });
 
     it('should switch back to meso when zooming in from macro', () => {
-      const result = determineLOD(Number(YEAR) * 20, LOD_MACRO);
+      const result = determineLOD(toSeconds(YEAR) * 20, LOD_MACRO);
       expect(result).toBe(LOD_MESO);
     });
 
     it('should switch back to micro when zooming in from meso', () => {
-      const result = determineLOD(Number(DAY) / 4, LOD_MESO);
+      const result = determineLOD(toSeconds(DAY) / 4, LOD_MESO);
       expect(result).toBe(LOD_MICRO);
     });
   });
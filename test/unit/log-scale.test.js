@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { LogScale, MAX_PIXELS_PER_DECADE, MIN_PIXELS_PER_DECADE } from '../../src/core/log-scale.js';
+import { BILLION_YEARS, MILLION_YEARS, screenToTime, YEAR } from '../../src/core/time.js';
+
+const PRESENT = 1_700_000_000n;
+const KA = YEAR * 1000n;
+
+describe('LogScale', () => {
+  it('gives every decade of age the same width', () => {
+    const scale = new LogScale(100, PRESENT);
+    const origin = PRESENT - MILLION_YEARS;
+    const tenKa = scale.timeToPx(PRESENT - 10n * KA - origin, origin);
+    const oneKa = scale.timeToPx(PRESENT - KA - origin, origin);
+    expect(tenKa).toBeCloseTo(200, 6);
+    expect(oneKa - tenKa).toBeCloseTo(100, 6);
+  });
+
+  it('round-trips pixels to times from any origin', () => {
+    const scale = new LogScale(150, PRESENT);
+    for (const origin of [PRESENT - BILLION_YEARS, PRESENT - MILLION_YEARS, PRESENT - 50n * YEAR]) {
+      for (const px of [0, 1, 37.5, 400, 799]) {
+        const delta = scale.pxToTime(px, origin);
+        expect(scale.timeToPx(delta, origin)).toBeCloseTo(px, 2);
+      }
+    }
+  });
+
+  it('round-trips times to pixels to within a pixel', () => {
+    const scale = new LogScale(200, PRESENT);
+    const viewportStart = PRESENT - BILLION_YEARS;
+    for (const time of [PRESENT - (2n * BILLION_YEARS) / 5n, PRESENT - 66n * MILLION_YEARS, PRESENT - 12n * KA]) {
+      const x = scale.timeToPx(time - viewportStart, viewportStart);
+      const back = screenToTime(x, viewportStart, scale);
+      expect(Math.abs(scale.timeToPx(back - time, time))).toBeLessThan(1e-6);
+    }
+  });
+
+  it('places an anchor time at a chosen pixel', () => {
+    const scale = new LogScale(120, PRESENT);
+    const anchor = PRESENT - 3n * MILLION_YEARS;
+    const viewportStart = scale.viewportStartFor(anchor, 250);
+    expect(scale.timeToPx(anchor - viewportStart, viewportStart)).toBeCloseTo(250, 4);
+  });
+
+  it('puts times at or after the present at the right end of the axis', () => {
+    const scale = new LogScale(100, PRESENT);
+    const origin = PRESENT - KA;
+    expect(scale.timeToPx(PRESENT - origin, origin)).toBe(scale.timeToPx(PRESENT + YEAR - origin, origin));
+  });
+
+  it('zooms by widening decades within limits', () => {
+    const scale = new LogScale(100, PRESENT);
+    expect(scale.zoom(2).pixelsPerDecade).toBe(200);
+    expect(scale.zoom(2).present).toBe(PRESENT);
+    expect(scale.zoom(1e-6).pixelsPerDecade).toBe(MIN_PIXELS_PER_DECADE);
+    expect(scale.zoom(1e12).pixelsPerDecade).toBe(MAX_PIXELS_PER_DECADE);
+    expect(() => scale.zoom(0)).toThrow('Zoom factor must be positive');
+  });
+
+  it('reports seconds per pixel that grow with age', () => {
+    const scale = new LogScale(100, PRESENT);
+    expect(scale.getSecondsPerPixel(PRESENT - MILLION_YEARS)).toBeGreaterThan(scale.getSecondsPerPixel(PRESENT - KA));
+  });
+
+  it('fits a range across the width, less a margin', () => {
+    const start = PRESENT - BILLION_YEARS;
+    const end = PRESENT - KA;
+    const { viewportStart, scale } = LogScale.fromRange(start, end, 600, PRESENT, { margin: 60 });
+    expect(scale.pixelsPerDecade).toBeCloseTo(80, 6);
+    expect(scale.timeToPx(start - viewportStart, viewportStart)).toBeCloseTo(60, 3);
+    expect(scale.timeToPx(end - viewportStart, viewportStart)).toBeCloseTo(540, 3);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, expect, it } from 'vitest';
+import { markdownToText, renderMarkdown } from '../../src/ui/markdown.js';
+
+function toHtml(text) {
+  const div = document.createElement('div');
+  div.appendChild(renderMarkdown(text));
+  return div.innerHTML;
+}
+
+describe('renderMarkdown', () => {
+  it('renders paragraphs and line breaks', () => {
+    expect(toHtml('First line\nsecond line\n\nNext paragraph')).toBe(
+      '<p style="margin: 0px 0px 8px;">First line<br>second line</p><p style="margin: 0px 0px 8px;">Next paragraph</p>',
+    );
+  });
+
+  it('renders bold, emphasis and code', () => {
+    const div = document.createElement('div');
+    div.appendChild(renderMarkdown('**Apollo _11_** lands, *finally*, at `20:17 UTC`'));
+    expect(div.querySelector('strong').innerHTML).toBe('Apollo <em>11</em>');
+    expect(div.querySelectorAll('em')[1].textContent).toBe('finally');
+    expect(div.querySelector('code').textContent).toBe('20:17 UTC');
+  });
+
+  it('leaves snake_case words and lone asterisks alone', () => {
+    expect(toHtml('a snake_case_name and 2 * 3')).toContain('a snake_case_name and 2 * 3');
+  });
+
+  it('renders safe links and drops unsafe ones', () => {
+    const div = document.createElement('div');
+    div.appendChild(renderMarkdown('[NASA](https://nasa.gov) and [click](javascript:alert(1))'));
+    const links = div.querySelectorAll('a');
+    expect(links).toHaveLength(1);
+    expect(links[0].getAttribute('href')).toBe('https://nasa.gov');
+    expect(links[0].rel).toBe('noopener noreferrer');
+    expect(div.textContent).toContain('and click');
+  });
+
+  it('never interprets HTML', () => {
+    const div = document.createElement('div');
+    div.appendChild(renderMarkdown('<img src=x onerror=alert(1)> **bold**'));
+    expect(div.querySelector('img')).toBe(null);
+    expect(div.textContent).toBe('<img src=x onerror=alert(1)> bold');
+  });
+});
+
+describe('markdownToText', () => {
+  it('strips markup, keeping the text', () => {
+    expect(markdownToText('The **first** [humans](https://example.com)\nappear.\n\nLater `*code*` too.')).toBe(
+      'The first humans appear. Later *code* too.',
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { LogScale } from '../../src/core/log-scale.js';
+import { RationalScale } from '../../src/core/scale.js';
+import { BILLION_YEARS, DAY, projectToScreen, SECOND, toSeconds, YEAR } from '../../src/core/time.js';
+import { getEventColor } from '../../src/rendering/renderer.js';
+import { computeDensity, getOverviewViewport, needsLogAxis } from '../../src/ui/minimap.js';
+
+const present = 2000n * YEAR;
+
+const CENTURY_EVENTS = [
+  { id: 'a', start: 1900n * YEAR },
+  { id: 'b', start: 1950n * YEAR, end: 1960n * YEAR },
+  { id: 'c', start: 1990n * YEAR },
+];
+
+const DEEP_TIME_EVENTS = [
+  { id: 'big-bang', start: present - 13n * BILLION_YEARS },
+  { id: 'pyramid', start: present - 4500n * YEAR },
+  { id: 'rome', start: present - 2700n * YEAR },
+  { id: 'moon', start: present - 30n * YEAR },
+];
+
+describe('needsLogAxis', () => {
+  it('keeps a linear axis for evenly spread events', () => {
+    expect(needsLogAxis(CENTURY_EVENTS)).toBe(false);
+    expect(needsLogAxis([CENTURY_EVENTS[0]])).toBe(false);
+  });
+
+  it('switches to a log axis when recent events would collapse into a sliver', () => {
+    expect(needsLogAxis(DEEP_TIME_EVENTS)).toBe(true);
+  });
+});
+
+describe('getOverviewViewport', () => {
+  it('fits the events into the width with padding on a linear axis', () => {
+    const overview = getOverviewViewport(CENTURY_EVENTS, 1016, present);
+    expect(overview.scale).toBeInstanceOf(RationalScale);
+    expect(projectToScreen(1900n * YEAR, overview.viewportStart, overview.scale)).toBeCloseTo(8, 0);
+    expect(projectToScreen(1990n * YEAR, overview.viewportStart, overview.scale)).toBeCloseTo(1008, 0);
+    expect(overview.start).toBe(1900n * YEAR);
+    expect(overview.end).toBe(1990n * YEAR);
+  });
+
+  it('uses a log axis for deep time', () => {
+    const overview = getOverviewViewport(DEEP_TIME_EVENTS, 1016, present);
+    expect(overview.scale).toBeInstanceOf(LogScale);
+    expect(overview.scale.present).toBe(present);
+    const x = (time) => projectToScreen(time, overview.viewportStart, overview.scale);
+    expect(x(DEEP_TIME_EVENTS[0].start)).toBeCloseTo(8, 0);
+    expect(x(DEEP_TIME_EVENTS[3].start)).toBeCloseTo(1008, 0);
+    // Recorded history gets a good share of the strip
+    expect(x(DEEP_TIME_EVENTS[3].start) - x(DEEP_TIME_EVENTS[1].start)).toBeGreaterThan(100);
+  });
+
+  it('returns null without events or room', () => {
+    expect(getOverviewViewport([], 1000, present)).toBe(null);
+    expect(getOverviewViewport(CENTURY_EVENTS, 10, present)).toBe(null);
+  });
+
+  it('gives a single point event a day of room', () => {
+    const overview = getOverviewViewport([CENTURY_EVENTS[0]], 1016, present);
+    expect(overview.scale.getSecondsPerPixel()).toBeCloseTo(toSeconds(DAY) / 1000, 6);
+  });
+});
+
+describe('computeDensity', () => {
+  const overview = { viewportStart: 0n, scale: RationalScale.fromSecondsPerPixel(10) };
+
+  it('counts events per column, spans in every column they cover', () => {
+    const events = [
+      { id: 'point', start: 5n * SECOND },
+      { id: 'span', start: 0n, end: 35n * SECOND },
+      { id: 'late', start: 95n * SECOND },
+    ];
+    const { counts, colors, max } = computeDensity(events, overview, 10);
+    expect([...counts]).toEqual([2, 1, 1, 1, 0, 0, 0, 0, 0, 1]);
+    expect(max).toBe(2);
+    expect(colors[4]).toBe(null);
+    expect(colors[9]).toBe(getEventColor('late'));
+  });
+
+  it('colors a column with its most common event color and clamps off-strip events', () => {
+    const ids = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j'];
+    const majority = getEventColor('a');
+    const sameColor = ids.filter((id) => getEventColor(id) === majority);
+    const events = [...sameColor, ...ids.filter((id) => getEventColor(id) !== majority).slice(0, 1)].map((id) => ({
+      id,
+      start: -1000n,
+    }));
+    const { counts, colors } = computeDensity(events, overview, 4);
+    expect(counts[0]).toBe(events.length);
+    expect(colors[0]).toBe(majority);
+  });
+});
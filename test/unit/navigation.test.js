@@ -1,6 +1,8 @@
 import { describe, expect, it } from 'vitest';
-import { zoomToEvent, zoomToRange } from '../../src/core/navigation.js';
+import { LogScale } from '../../src/core/log-scale.js';
+import { convertAxisMode, zoomToEvent, zoomToRange, zoomToTourStep } from '../../src/core/navigation.js';
 import { RationalScale } from '../../src/core/scale.js';
+import { DAY, MILLION_YEARS, SECOND, screenToTime, toSeconds, YEAR } from '../../src/core/time.js';
 import { MACRO_TO_MESO_THRESHOLD } from '../../src/rendering/lod.js';
 
 describe('zoomToEvent', () => {
@@ -42,13 +44,13 @@ describe('zoomToEvent', () => {
   });
 
   it('scale puts event span within the viewport', () => {
-    const event = { start: 0n, end: BigInt(86400) }; // 1 day
+    const event = { start: 0n, end: DAY }; // 1 day
     const result = zoomToEvent(event, CANVAS_WIDTH);
     const spp = result.scale.getSecondsPerPixel();
     // Total visible range
     const visibleSeconds = spp * CANVAS_WIDTH;
     // Event span in seconds
-    const eventSpan = Number(event.end - event.start);
+    const eventSpan = toSeconds(event.end - event.start);
     expect(visibleSeconds).toBeGreaterThan(eventSpan);
   });
 });
@@ -86,3 +88,89 @@ describe('zoomToRange', () => {
     expect(representedWidth).toBeCloseTo(CANVAS_WIDTH * 0.8, 5);
   });
 });
+
+describe('zoomToRange on a log axis', () => {
+  it('keeps the log axis and fits the range with padding', () => {
+    const present = 1_700_000_000n;
+    const start = present - 10n * MILLION_YEARS;
+    const end = present - MILLION_YEARS;
+    const result = zoomToRange(start, end, 800, { scale: new LogScale(50, present) });
+
+    expect(result.scale).toBeInstanceOf(LogScale);
+    expect(result.scale.present).toBe(present);
+    const startX = result.scale.timeToPx(start - result.viewportStart, result.viewportStart);
+    const endX = result.scale.timeToPx(end - result.viewportStart, result.viewportStart);
+    expect(startX).toBeGreaterThan(0);
+    expect(endX).toBeLessThan(800);
+    expect(startX + endX).toBeCloseTo(800, 3);
+  });
+});
+
+describe('zoomToTourStep', () => {
+  const events = [
+    { id: 'a', start: 1000n * YEAR, end: 1010n * YEAR },
+    { id: 'b', start: 1050n * YEAR },
+    { id: 'c', start: 2000n * YEAR },
+  ];
+  const width = 1000;
+
+  it('fits the step viewport exactly', () => {
+    const step = { viewport: { start: 0n, end: 100n * YEAR }, eventIds: ['c'] };
+    const { viewportStart, scale } = zoomToTourStep(step, events, width, RationalScale.fromSecondsPerPixel(1));
+    expect(viewportStart).toBe(0n);
+    expect(screenToTime(width, viewportStart, scale)).toBe(100n * YEAR);
+  });
+
+  it('fits the range of the step events with padding', () => {
+    const step = { viewport: null, eventIds: ['a', 'b'] };
+    const { viewportStart, scale } = zoomToTourStep(step, events, width, RationalScale.fromSecondsPerPixel(1));
+    const viewportEnd = screenToTime(width, viewportStart, scale);
+    expect(viewportStart).toBeLessThan(1000n * YEAR);
+    expect(viewportEnd).toBeGreaterThan(1050n * YEAR);
+    expect(viewportEnd).toBeLessThan(1100n * YEAR);
+  });
+
+  it('keeps a log axis', () => {
+    const step = { viewport: null, eventIds: ['b'] };
+    const { scale } = zoomToTourStep(step, events, width, new LogScale(100, 2020n * YEAR));
+    expect(scale).toBeInstanceOf(LogScale);
+  });
+
+  it('returns null when none of the step events are loaded', () => {
+    expect(zoomToTourStep({ viewport: null, eventIds: ['gone'] }, events, width)).toBe(null);
+  });
+});
+
+describe('convertAxisMode', () => {
+  const present = 1_700_000_000n * SECOND;
+  const linear = {
+    viewportStart: present - 2000n * YEAR,
+    scale: RationalScale.fromSecondsPerPixel(toSeconds(YEAR)),
+    canvasWidth: 1000,
+  };
+  // Log positions go through floating point, which holds about 16 significant digits
+  const expectNear = (actual, expected) => expect(Math.abs(Number(actual - expected))).toBeLessThan(Number(SECOND));
+
+  it('shows the same time range on a log axis', () => {
+    const { viewportStart, scale } = convertAxisMode(linear, 'log', present);
+    expect(scale).toBeInstanceOf(LogScale);
+    expectNear(viewportStart, linear.viewportStart);
+    expectNear(screenToTime(1000, viewportStart, scale), present - 1000n * YEAR);
+  });
+
+  it('converts back to a linear axis over the same range', () => {
+    const log = { ...convertAxisMode(linear, 'log', present), canvasWidth: 1000 };
+    const { viewportStart, scale } = convertAxisMode(log, 'linear');
+    expect(scale).toBeInstanceOf(RationalScale);
+    expectNear(viewportStart, linear.viewportStart);
+    expect(scale.getSecondsPerPixel()).toBeCloseTo(toSeconds(YEAR), 0);
+  });
+
+  it('leaves a viewport already in the requested mode alone', () => {
+    expect(convertAxisMode(linear, 'linear')).toEqual({ viewportStart: linear.viewportStart, scale: linear.scale });
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => convertAxisMode(linear, 'sqrt')).toThrow('Nayra: unknown axis mode "sqrt"');
+  });
+});
@@ -1,4 +1,5 @@
 import { describe, expect, it } from 'vitest';
+import { parseTimeQuery } from '../../src/core/time-parser.js';
 import { normalize } from '../../src/data/normalizer.js';
 
 describe('Normalizer', () => {
@@ -107,6 +108,48 @@ describe('Normalizer', () => {
       expect(result.summary).toBe('Normalized 2 of 3 events (1 error)');
     });
 
+    it('derives the uncertainty window and qualifiers of EDTF times', () => {
+      const { valid, errors } = normalize([
+        { id: 'a', start: '1984?', label: 'Uncertain' },
+        { id: 'b', start: '198X', end: 'c. 2000', label: 'Decade to circa' },
+        { id: 'c', start: '1950/1960~', label: 'Interval' },
+        { id: 'd', start: '19XX', precision: 'year', label: 'Explicit precision' },
+      ]);
+
+      expect(errors).toEqual([]);
+      const [uncertain, decade, interval, explicit] = valid;
+      const year = parseTimeQuery('1984?');
+      expect(uncertain).toMatchObject({ earliest: year.earliest, latest: year.latest, startQualifier: '?' });
+      expect(decade).toMatchObject({
+        earliest: parseTimeQuery('198X').earliest,
+        latest: parseTimeQuery('2000~').latest,
+        endQualifier: '~',
+        precision: 'decade',
+      });
+      expect(decade.startQualifier).toBeUndefined();
+      expect(interval).toMatchObject({
+        start: parseTimeQuery('1950').time,
+        end: parseTimeQuery('1960').time,
+        latest: parseTimeQuery('1960~').latest,
+        endQualifier: '~',
+      });
+      expect(interval.earliest).toBeUndefined();
+      expect(explicit.precision).toBe('year');
+    });
+
+    it('rejects an end alongside an interval start, and interval ends', () => {
+      const { valid, errors } = normalize([
+        { id: 'a', start: '1950/1960', end: '1970', label: 'Both' },
+        { id: 'b', start: '1950', end: '1960/1970', label: 'Interval end' },
+      ]);
+
+      expect(valid.map((e) => e.end)).toEqual([parseTimeQuery('1960').time, undefined]);
+      expect(errors.map((e) => [e.eventId, e.field, e.message])).toEqual([
+        ['a', 'end', 'The start is an interval that already sets the end'],
+        ['b', 'end', 'The end cannot be an interval; give the interval as the start'],
+      ]);
+    });
+
     it('handles empty array', () => {
       const result = normalize([]);
 
@@ -0,0 +1,58 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createNotice } from '../../src/ui/notice.js';
+
+describe('notice', () => {
+  let container;
+  let notice;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    notice = createNotice(container, { duration: 1000 });
+  });
+
+  afterEach(() => {
+    notice.destroy();
+    container.remove();
+    vi.useRealTimers();
+  });
+
+  it('starts hidden as a polite status region', () => {
+    expect(notice.isVisible()).toBe(false);
+    expect(notice.element.getAttribute('role')).toBe('status');
+    expect(notice.element.getAttribute('aria-live')).toBe('polite');
+  });
+
+  it('shows the message as text and hides itself after the duration', () => {
+    notice.show('Event "<b>x</b>" not found');
+
+    expect(notice.isVisible()).toBe(true);
+    expect(notice.element.textContent).toContain('Event "<b>x</b>" not found');
+    expect(notice.element.querySelector('b')).toBeNull();
+
+    vi.advanceTimersByTime(999);
+    expect(notice.isVisible()).toBe(true);
+    vi.advanceTimersByTime(1);
+    expect(notice.isVisible()).toBe(false);
+  });
+
+  it('restarts the timer when shown again and can be dismissed', () => {
+    notice.show('first');
+    vi.advanceTimersByTime(800);
+    notice.show('second');
+    vi.advanceTimersByTime(800);
+    expect(notice.isVisible()).toBe(true);
+
+    notice.element.querySelector('.notice-dismiss').click();
+    expect(notice.isVisible()).toBe(false);
+  });
+
+  it('removes its element on destroy', () => {
+    notice.destroy();
+    expect(container.querySelector('.notice')).toBeNull();
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+import { parseTimeQuery } from '../../src/core/time-parser.js';
+import { transformOtlp } from '../../src/data/otlp-transformer.js';
+
+function resourceSpans(service, spans) {
+  return {
+    resource: { attributes: [{ key: 'service.name', value: { stringValue: service } }] },
+    scopeSpans: [{ scope: { name: 'tracer' }, spans }],
+  };
+}
+
+describe('OTLP Transformer', () => {
+  describe('transformOtlp', () => {
+    it('maps spans to events with nanosecond start and end', () => {
+      const [event] = transformOtlp({
+        resourceSpans: [
+          resourceSpans('checkout', [
+            {
+              traceId: '5b8efff798038103d269b633813fc60c',
+              spanId: 'eee19b7ec3c1b174',
+              name: 'GET /cart',
+              startTimeUnixNano: '1544712660000000123',
+              endTimeUnixNano: '1544712661000000456',
+            },
+          ]),
+        ],
+      });
+
+      expect(event).toMatchObject({
+        id: 'eee19b7ec3c1b174',
+        label: 'GET /cart',
+        group: 'checkout',
+        category: 'checkout',
+      });
+      expect(parseTimeQuery(event.start).time).toBe(1_544_712_660_000_000_123n);
+      expect(parseTimeQuery(event.end).time).toBe(1_544_712_661_000_000_456n);
+    });
+
+    it('keeps parent spans that are in the file as relations', () => {
+      const events = transformOtlp({
+        resourceSpans: [
+          resourceSpans('frontend', [
+            { spanId: 'a', name: 'request', startTimeUnixNano: '100', endTimeUnixNano: '900' },
+          ]),
+          resourceSpans('backend', [
+            { spanId: 'b', parentSpanId: 'a', name: 'query', startTimeUnixNano: '200', endTimeUnixNano: '400' },
+            { spanId: 'c', parentSpanId: 'zz', name: 'orphan', startTimeUnixNano: '500', endTimeUnixNano: '600' },
+          ]),
+        ],
+      });
+
+      expect(events.map((e) => [e.id, e.group, e.relations])).toEqual([
+        ['a', 'frontend', undefined],
+        ['b', 'backend', [{ type: 'part_of', target: 'a' }]],
+        ['c', 'backend', undefined],
+      ]);
+    });
+
+    it('describes span attributes', () => {
+      const [event] = transformOtlp({
+        resourceSpans: [
+          resourceSpans('api', [
+            {
+              spanId: 'a',
+              name: 'handler',
+              startTimeUnixNano: '0',
+              attributes: [
+                { key: 'http.method', value: { stringValue: 'GET' } },
+                { key: 'http.status_code', value: { intValue: '200' } },
+                { key: 'retry', value: { boolValue: false } },
+                { key: 'hosts', value: { arrayValue: { values: [{ stringValue: 'a' }, { stringValue: 'b' }] } } },
+              ],
+            },
+          ]),
+        ],
+      });
+
+      expect(event.description).toBe('http.method: GET\nhttp.status_code: 200\nretry: false\nhosts: ["a","b"]');
+    });
+
+    it('reads the older instrumentationLibrarySpans and defaults the service name', () => {
+      const events = transformOtlp({
+        resourceSpans: [
+          { instrumentationLibrarySpans: [{ spans: [{ spanId: 'a', name: 'job', startTimeUnixNano: '5' }] }] },
+        ],
+      });
+
+      expect(events).toEqual([
+        {
+          id: 'a',
+          label: 'job',
+          start: '1970-01-01T00:00:00.000000005Z',
+          group: 'unknown_service',
+          category: 'unknown_service',
+        },
+      ]);
+    });
+  });
+});
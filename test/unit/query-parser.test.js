@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { getFreeTextTerms, parseSearchQuery } from '../../src/core/query-parser.js';
+import { parseTimeQuery } from '../../src/core/time-parser.js';
+
+describe('parseSearchQuery', () => {
+  it('returns no clauses for an empty query', () => {
+    expect(parseSearchQuery('')).toEqual({ clauses: null, error: null });
+    expect(parseSearchQuery('   ')).toEqual({ clauses: null, error: null });
+  });
+
+  it('parses words, phrases, negation and OR', () => {
+    const { clauses, error } = parseSearchQuery('apollo "first step" -soyuz OR gemini');
+    expect(error).toBeNull();
+    expect(clauses).toEqual([
+      [
+        { type: 'word', value: 'apollo', negated: false },
+        { type: 'phrase', value: 'first step', negated: false },
+        { type: 'word', value: 'soyuz', negated: true },
+      ],
+      [{ type: 'word', value: 'gemini', negated: false }],
+    ]);
+  });
+
+  it('parses field filters', () => {
+    const { clauses } = parseSearchQuery('category:Science tag:"Space Race" priority:<=1 -category:war');
+    expect(clauses[0]).toEqual([
+      { type: 'category', value: 'science', negated: false },
+      { type: 'tag', value: 'space race', negated: false },
+      { type: 'priority', operator: '<=', value: 1, negated: false },
+      { type: 'category', value: 'war', negated: true },
+    ]);
+  });
+
+  it('resolves date bounds with parseTimeQuery to the start of the period', () => {
+    const { clauses } = parseSearchQuery('after:1960 before:"1975 CE"');
+    const year1960 = parseTimeQuery('1960');
+    const year1975 = parseTimeQuery('1975 CE');
+    expect(clauses[0]).toEqual([
+      { type: 'after', time: year1960.time - year1960.span / 2n, negated: false },
+      { type: 'before', time: year1975.time - year1975.span / 2n, negated: false },
+    ]);
+  });
+
+  it('treats other colons as ordinary words', () => {
+    const { clauses } = parseSearchQuery('Apollo 11: moon');
+    expect(clauses[0].map((term) => term.value)).toEqual(['Apollo', '11:', 'moon']);
+    expect(parseSearchQuery('note:read').clauses[0]).toEqual([{ type: 'word', value: 'note:read', negated: false }]);
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(parseSearchQuery('apollo "moon').error).toEqual({ message: 'Missing closing quote', position: 7 });
+    expect(parseSearchQuery('OR apollo').error.message).toBe('OR needs a search term on both sides');
+    expect(parseSearchQuery('apollo OR').error.position).toBe(7);
+    expect(parseSearchQuery('category:').error.message).toBe('Missing value after category:');
+    expect(parseSearchQuery('priority:7').error.message).toBe('priority: expects 0-4, optionally with <, <=, > or >=');
+    expect(parseSearchQuery('after:someday').error.message).toBe('after: "someday" is not a recognized date');
+    expect(parseSearchQuery('before:"0 BCE"').error.message).toBe('before: "0 BCE" is not a recognized date');
+  });
+});
+
+describe('getFreeTextTerms', () => {
+  it('returns words and phrases but not filters or excluded terms', () => {
+    expect(getFreeTextTerms('apollo "first step" -soyuz category:space OR gemini')).toEqual([
+      'apollo',
+      'first step',
+      'gemini',
+    ]);
+  });
+
+  it('returns nothing for an invalid query', () => {
+    expect(getFreeTextTerms('"unclosed')).toEqual([]);
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { collectRelations, getEventRelations } from '../../src/core/relations.js';
+
+const events = [
+  { id: 'crisis', label: 'July Crisis', start: 0n, relations: [{ type: 'caused', target: 'war' }] },
+  {
+    id: 'war',
+    label: 'WWI',
+    start: 10n,
+    relations: [
+      { type: 'caused', target: 'treaty' },
+      { type: 'preceded', target: 'deleted' },
+    ],
+  },
+  { id: 'treaty', label: 'Treaty', start: 20n, relations: [{ type: 'part_of', target: 'war' }] },
+];
+
+describe('relations', () => {
+  it('resolves relations to loaded events and skips missing targets', () => {
+    const relations = collectRelations(events);
+    expect(relations.map(({ type, source, target }) => [source.id, type, target.id])).toEqual([
+      ['crisis', 'caused', 'war'],
+      ['war', 'caused', 'treaty'],
+      ['treaty', 'part_of', 'war'],
+    ]);
+  });
+
+  it('lists outgoing and incoming relations of an event with their wording', () => {
+    const { outgoing, incoming } = getEventRelations(events[1], events);
+    expect(outgoing.map((r) => [r.label, r.event.id])).toEqual([['Caused', 'treaty']]);
+    expect(incoming.map((r) => [r.label, r.event.id])).toEqual([
+      ['Caused by', 'crisis'],
+      ['Includes', 'treaty'],
+    ]);
+  });
+});
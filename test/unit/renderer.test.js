@@ -1,15 +1,23 @@
 import { describe, expect, it } from 'vitest';
-import { BILLION_YEARS, MILLION_YEARS, YEAR } from '../../src/core/time.js';
+import { timeFromCivil } from '../../src/core/calendar.js';
+import { LogScale } from '../../src/core/log-scale.js';
+import { BILLION_YEARS, DAY, HOUR, MILLION_YEARS, SECOND, toSeconds, YEAR } from '../../src/core/time.js';
 import {
   cullEvents,
   EVENT_COLORS,
   EVENT_HEIGHT,
+  floorToGridLine,
+  formatAge,
+  formatGridLabel,
   formatTime,
+  getEmphasizedEventIds,
   getEventColor,
   getEventFillColor,
   getEventStrokeStyle,
   getGridInterval,
+  getLogGridTicks,
   hashCode,
+  nextGridLine,
 } from '../../src/rendering/renderer.js';
 
 describe('Renderer', () => {
@@ -168,17 +176,17 @@ describe('Renderer', () => {
     });
 
     it('returns years for year-scale zoom', () => {
-      const result = getGridInterval(Number(YEAR) / 100); // typical year view
+      const result = getGridInterval(toSeconds(YEAR) / 100); // typical year view
       expect(result.unit).toBe('y');
     });
 
     it('returns Ma for million-year scale zoom', () => {
-      const result = getGridInterval(Number(MILLION_YEARS) / 10);
+      const result = getGridInterval(toSeconds(MILLION_YEARS) / 10);
       expect(result.unit).toBe('Ma');
     });
 
     it('returns Ga for billion-year scale zoom', () => {
-      const result = getGridInterval(Number(BILLION_YEARS) / 10);
+      const result = getGridInterval(toSeconds(BILLION_YEARS) / 10);
       expect(result.unit).toBe('Ga');
     });
 
@@ -186,6 +194,95 @@ describe('Renderer', () => {
       const result = getGridInterval(1);
       expect(typeof result.interval).toBe('bigint');
     });
+
+    it('steps through weeks, months and quarters between days and years', () => {
+      const steps = [5, 20, 60, 200].map((days) => getGridInterval((days * toSeconds(DAY)) / 100));
+      expect(steps.map(({ unit, multiplier }) => `${multiplier}${unit}`)).toEqual(['1w', '1mo', '3mo', '6mo']);
+    });
+  });
+
+  describe('calendar grid', () => {
+    const walk = (from, grid, count, calendar) => {
+      const times = [floorToGridLine(from, grid, calendar)];
+      while (times.length < count) times.push(nextGridLine(times[times.length - 1], grid, calendar));
+      return times;
+    };
+    const labels = (times, grid, calendar) => times.map((time) => formatGridLabel(time, grid, calendar));
+
+    it('puts month lines on month starts with the year as context', () => {
+      const grid = getGridInterval(toSeconds(YEAR) / 12 / 80);
+      const times = walk(timeFromCivil(2023, 10, 17), grid, 4);
+      expect(times).toEqual([
+        timeFromCivil(2023, 10),
+        timeFromCivil(2023, 11),
+        timeFromCivil(2024, 0),
+        timeFromCivil(2024, 1),
+      ]);
+      expect(labels(times, grid)).toEqual([
+        { label: 'Nov', context: '2023' },
+        { label: 'Dec', context: '2023' },
+        { label: 'Jan', context: '2024' },
+        { label: 'Feb', context: '2024' },
+      ]);
+    });
+
+    it('labels quarters and ISO weeks', () => {
+      const quarters = getGridInterval(toSeconds(YEAR) / 4 / 80);
+      expect(labels(walk(timeFromCivil(2024, 4, 2), quarters, 2), quarters).map(({ label }) => label)).toEqual([
+        'Q2',
+        'Q3',
+      ]);
+
+      const weeks = getGridInterval((7 * toSeconds(DAY)) / 80);
+      const mondays = walk(timeFromCivil(2024, 11, 25), weeks, 2);
+      expect(mondays).toEqual([timeFromCivil(2024, 11, 23), timeFromCivil(2024, 11, 30)]);
+      expect(labels(mondays, weeks)).toEqual([
+        { label: 'W52', context: '2024' },
+        { label: 'W1', context: '2025' },
+      ]);
+    });
+
+    it('labels times of day on their date', () => {
+      const grid = getGridInterval(3600 / 80);
+      expect(formatGridLabel(timeFromCivil(2024, 2, 5) + 14n * HOUR, grid)).toEqual({
+        label: '14:00',
+        context: 'Mar 5, 2024',
+      });
+      expect(formatGridLabel(timeFromCivil(-43, 2, 15) + 30n * SECOND, getGridInterval(0.1)).label).toBe('00:00:30');
+    });
+
+    it('steps below a second in ms, µs and ns labelled by their offset', () => {
+      expect([1e-4, 1e-7, 1e-10].map((spp) => getGridInterval(spp).unit)).toEqual(['ms', 'µs', 'ns']);
+
+      const second = timeFromCivil(2024, 2, 5) + 14n * HOUR + 7n * SECOND;
+      const ms = getGridInterval(1e-4);
+      const times = walk(second - 1n, ms, 2);
+      expect(times).toEqual([second - ms.interval, second]);
+      expect(labels([second + 2n * ms.interval], ms)).toEqual([{ label: '20 ms', context: 'Mar 5, 2024 14:00:07' }]);
+      expect(labels([second], ms)[0].label).toBe('14:00:07');
+
+      const ns = getGridInterval(1e-10);
+      expect(formatGridLabel(second + 12_000_050n, ns).label).toBe('50 ns');
+      expect(formatGridLabel(second + 12_000_000n, ns).label).toBe('12 ms');
+    });
+
+    it('aligns decades and centuries to round years across BCE and CE', () => {
+      const decades = getGridInterval((10 * toSeconds(YEAR)) / 80);
+      const years = labels(walk(timeFromCivil(-25, 0), decades, 4), decades).map(({ label }) => label);
+      expect(years).toEqual(['30 BCE', '20 BCE', '10 BCE', '10']);
+
+      const centuries = getGridInterval((100 * toSeconds(YEAR)) / 80);
+      expect(labels(walk(timeFromCivil(1850, 6), centuries, 2), centuries).map(({ label }) => label)).toEqual([
+        '1800',
+        '1900',
+      ]);
+    });
+
+    it('keeps holocene years round', () => {
+      const decades = getGridInterval((10 * toSeconds(YEAR)) / 80);
+      const times = walk(timeFromCivil(-25, 0), decades, 2, 'holocene');
+      expect(labels(times, decades, 'holocene').map(({ label }) => label)).toEqual(['9970 HE', '9980 HE']);
+    });
   });
 
   describe('formatTime', () => {
@@ -202,26 +299,26 @@ describe('Renderer', () => {
     });
 
     it('formats recent years correctly', () => {
-      const year2000 = 946684800n; // 2000-01-01 00:00:00 UTC
+      const year2000 = 946684800n * SECOND; // 2000-01-01 00:00:00 UTC
       const result = formatTime(year2000, 'y', YEAR);
       expect(result).toBe('2000');
     });
 
     it('formats dates correctly for day-scale (Jan 1 shows year)', () => {
-      const date = 946684800n; // 2000-01-01 00:00:00 UTC
-      const result = formatTime(date, 'd', 86400n);
+      const date = 946684800n * SECOND; // 2000-01-01 00:00:00 UTC
+      const result = formatTime(date, 'd', DAY);
       expect(result).toBe('2000');
     });
 
     it('formats dates correctly for day-scale (first of month shows month abbreviation)', () => {
-      const feb1 = 949363200n; // 2000-02-01 00:00:00 UTC
-      const result = formatTime(feb1, 'd', 86400n);
+      const feb1 = 949363200n * SECOND; // 2000-02-01 00:00:00 UTC
+      const result = formatTime(feb1, 'd', DAY);
       expect(result).toBe("Feb '00");
     });
 
     it('formats dates correctly for day-scale (mid-month shows month and day)', () => {
-      const jan8 = 947289600n; // 2000-01-08 00:00:00 UTC
-      const result = formatTime(jan8, 'd', 86400n);
+      const jan8 = 947289600n * SECOND; // 2000-01-08 00:00:00 UTC
+      const result = formatTime(jan8, 'd', DAY);
       expect(result).toBe('Jan 8');
     });
 
@@ -297,6 +394,20 @@ describe('Renderer', () => {
     });
   });
 
+  describe('getEmphasizedEventIds', () => {
+    it('emphasizes the active filter results', () => {
+      expect(getEmphasizedEventIds({ activeFilterIds: null, highlightedEventIds: null })).toBe(null);
+      const emphasized = getEmphasizedEventIds({ activeFilterIds: ['a', 'b'], highlightedEventIds: null });
+      expect([...emphasized]).toEqual(['a', 'b']);
+    });
+
+    it('narrows to highlighted events that pass the filters', () => {
+      const highlightedEventIds = new Set(['b', 'c']);
+      expect(getEmphasizedEventIds({ activeFilterIds: null, highlightedEventIds })).toBe(highlightedEventIds);
+      expect([...getEmphasizedEventIds({ activeFilterIds: ['a', 'b'], highlightedEventIds })]).toEqual(['b']);
+    });
+  });
+
   describe('getEventStrokeStyle', () => {
     it('returns default subtle border when not selected', () => {
       const result = getEventStrokeStyle(false, false);
@@ -334,4 +445,45 @@ describe('Renderer', () => {
       expect(result.color).toBe('#2563eb');
     });
   });
+
+  describe('log axis grid', () => {
+    const present = 1_700_000_000n;
+
+    it('formats ages before present', () => {
+      expect(formatAge(500)).toBe('500 yr');
+      expect(formatAge(1000)).toBe('1 ka');
+      expect(formatAge(10_000)).toBe('10 ka');
+      expect(formatAge(2_500_000)).toBe('2.5 Ma');
+      expect(formatAge(1e9)).toBe('1 Ga');
+    });
+
+    it('ticks every decade of age from oldest to newest', () => {
+      const scale = new LogScale(60, present);
+      const viewportStart = present - 2n * BILLION_YEARS;
+      const ticks = getLogGridTicks(viewportStart, scale, 600);
+      const labels = ticks.map((tick) => tick.label);
+
+      expect(labels).toEqual(expect.arrayContaining(['1 Ga', '1 Ma', '10 ka', '1 ka']));
+      expect(ticks.every((tick) => tick.major)).toBe(true);
+      for (let i = 1; i < ticks.length; i++) {
+        expect(ticks[i].x - ticks[i - 1].x).toBeCloseTo(60, 6);
+      }
+    });
+
+    it('adds ticks between decades when they are wide', () => {
+      const scale = new LogScale(400, present);
+      const ticks = getLogGridTicks(present - 20n * MILLION_YEARS, scale, 800);
+      const minor = ticks.filter((tick) => !tick.major);
+
+      expect(minor.length).toBeGreaterThan(0);
+      expect(minor.every((tick) => tick.label === '')).toBe(true);
+      expect(ticks.map((tick) => tick.label)).toContain('10 Ma');
+    });
+
+    it('labels the ticks between decades once there is room', () => {
+      const scale = new LogScale(2000, present);
+      const ticks = getLogGridTicks(present - 20n * MILLION_YEARS, scale, 800);
+      expect(ticks.map((tick) => tick.label)).toEqual(['20 Ma', '10 Ma', '9 Ma', '8 Ma']);
+    });
+  });
 });
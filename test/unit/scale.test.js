@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
-import { BILLION_YEARS, YEAR } from '../../src/core/time.js';
+import { BILLION_YEARS, SECOND, toSeconds, YEAR } from '../../src/core/time.js';
 
 describe('RationalScale', () => {
   describe('construction', () => {
@@ -28,16 +28,16 @@ describe('RationalScale', () => {
   describe('timeToPx', () => {
     it('converts time delta to pixels', () => {
       const scale = RationalScale.fromPixelsPerSecond(1);
-      expect(scale.timeToPx(100n)).toBeCloseTo(100, 0);
+      expect(scale.timeToPx(100n * SECOND)).toBeCloseTo(100, 0);
     });
 
     it('handles fractional results', () => {
       const scale = RationalScale.fromPixelsPerSecond(0.5);
-      expect(scale.timeToPx(100n)).toBeCloseTo(50, 0);
+      expect(scale.timeToPx(100n * SECOND)).toBeCloseTo(50, 0);
     });
 
     it('handles deep time without precision loss', () => {
-      const scale = RationalScale.fromSecondsPerPixel(Number(YEAR));
+      const scale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
       const fourPointFiveBillionYears = 4n * BILLION_YEARS + BILLION_YEARS / 2n;
       const px = scale.timeToPx(fourPointFiveBillionYears);
       expect(px).toBeCloseTo(4.5e9, -6);
@@ -47,12 +47,12 @@ describe('RationalScale', () => {
   describe('pxToTime', () => {
     it('converts pixels to time delta', () => {
       const scale = RationalScale.fromPixelsPerSecond(1);
-      expect(scale.pxToTime(100)).toBe(100n);
+      expect(scale.pxToTime(100)).toBe(100n * SECOND);
     });
 
     it('is inverse of timeToPx', () => {
       const scale = RationalScale.fromSecondsPerPixel(1000);
-      const originalTime = 5000000n;
+      const originalTime = 5000000n * SECOND;
       const px = scale.timeToPx(originalTime);
       const recoveredTime = scale.pxToTime(px);
       expect(recoveredTime).toBe(originalTime);
@@ -88,9 +88,18 @@ describe('RationalScale', () => {
     });
   });
 
+  describe('sub-second zoom', () => {
+    it('resolves nanoseconds at a tenth of a nanosecond per pixel', () => {
+      const scale = RationalScale.fromSecondsPerPixel(1e-10);
+      expect(scale.getSecondsPerPixel()).toBeCloseTo(1e-10, 20);
+      expect(scale.timeToPx(3n)).toBe(30);
+      expect(scale.pxToTime(30)).toBe(3n);
+    });
+  });
+
   describe('deep time precision', () => {
     it('maintains precision at 4.5Ga scale', () => {
-      const scale = RationalScale.fromSecondsPerPixel(Number(BILLION_YEARS));
+      const scale = RationalScale.fromSecondsPerPixel(toSeconds(BILLION_YEARS));
       const earthFormation = (9n * BILLION_YEARS) / 2n;
       const px = scale.timeToPx(earthFormation);
       expect(px).toBeGreaterThanOrEqual(4);
@@ -100,7 +109,7 @@ describe('RationalScale', () => {
     it('handles viewport-relative calculations at deep time', () => {
       const scale = RationalScale.fromSecondsPerPixel(1000);
       const viewportStart = 4n * BILLION_YEARS;
-      const eventTime = viewportStart + 1000000n;
+      const eventTime = viewportStart + 1000000n * SECOND;
       const delta = eventTime - viewportStart;
       const px = scale.timeToPx(delta);
       expect(px).toBeCloseTo(1000, 0);
@@ -1,5 +1,15 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { createDebouncedSearch, filterEvents } from '../../src/core/search-engine.js';
+import { fromMilliseconds } from '../../src/core/time.js';
+
+// Enough non-matching events to put a dataset on the inverted index path
+function createFiller() {
+  return Array.from({ length: 5000 }, (_, i) => ({ id: `filler-${i}`, label: `Filler ${i}`, start: 0n }));
+}
+
+function withoutFiller(ids) {
+  return ids === null ? null : ids.filter((id) => !id.startsWith('filler'));
+}
 
 describe('filterEvents', () => {
   const events = [
@@ -107,15 +117,202 @@ describe('filterEvents', () => {
       results.forEach((id) => expect(typeof id).toBe('string'));
     });
 
-    it('returns IDs in source order', () => {
-      const results = filterEvents(events, 'Apollo');
-      const idxE1 = results.indexOf('e1');
-      const idxE3 = results.indexOf('e3');
-      const idxE4 = results.indexOf('e4');
-      expect(idxE1).toBeLessThan(idxE3);
-      expect(idxE3).toBeLessThan(idxE4);
+    it('ranks label matches first, then keeps source order', () => {
+      expect(filterEvents(events, 'Apollo')).toEqual(['e4', 'e1', 'e3']);
     });
   });
+
+  describe('Unicode text', () => {
+    const worldEvents = [
+      { id: 'nazca', label: 'Nāzca Lines', description: 'Geoglyphs in the Peruvian desert' },
+      { id: 'russia', label: 'Россия', description: 'Крещение Руси' },
+      { id: 'qin', label: '秦始皇', description: '中国统一' },
+      { id: 'tokyo', label: '東京オリンピック', description: 'Olympics 2020' },
+      { id: 'sao-paulo', label: 'São Paulo', description: 'Fundação da cidade' },
+      { id: 'world-war', label: 'World War I', description: 'Great War' },
+    ];
+    const queries = [
+      'nazca',
+      'NĀZCA',
+      'росс',
+      '秦始皇',
+      '始皇',
+      '秦',
+      '皇始',
+      '東京',
+      'オリンピック',
+      'sao fundacao',
+      'world i',
+      'war great',
+      'paulo zzz',
+      'i',
+      '!!',
+    ];
+
+    it('folds diacritics so unaccented queries match', () => {
+      expect(filterEvents(worldEvents, 'nazca')).toEqual(['nazca']);
+      expect(filterEvents(worldEvents, 'sao paulo')).toEqual(['sao-paulo']);
+    });
+
+    it('matches non-Latin words and CJK text without spaces', () => {
+      expect(filterEvents(worldEvents, 'Росс')).toEqual(['russia']);
+      expect(filterEvents(worldEvents, '始皇')).toEqual(['qin']);
+      expect(filterEvents(worldEvents, '皇始')).toEqual([]);
+      expect(filterEvents(worldEvents, 'オリンピック')).toEqual(['tokyo']);
+    });
+
+    it('matches words by prefix, all words required', () => {
+      expect(filterEvents(worldEvents, 'war gre')).toEqual(['world-war']);
+      expect(filterEvents(worldEvents, 'paulo zzz')).toEqual([]);
+      expect(filterEvents(worldEvents, '!!')).toBeNull();
+    });
+
+    it('returns the same results in the same order with the inverted index', () => {
+      const large = [...worldEvents, ...createFiller()];
+      for (const query of queries) {
+        expect(withoutFiller(filterEvents(large, query)), query).toEqual(filterEvents(worldEvents, query));
+      }
+    });
+  });
+});
+
+describe('filterEvents ranking and typos', () => {
+  const events = [
+    { id: 'renaissance', label: 'Renaissance', description: 'Revival of the arts, Apollo as a subject' },
+    { id: 'apollo-program', label: 'Apollo Program', description: 'NASA crewed spaceflight program' },
+    { id: 'apollonia', label: 'Apollonia', description: 'Ancient Greek city' },
+    { id: 'apollo-11', label: 'Apollo 11', description: 'First crewed Moon landing' },
+    { id: 'mass-extinction', label: 'Mass extinction', description: 'End-Permian' },
+  ];
+
+  it('matches words a typo away', () => {
+    expect(filterEvents(events, 'apolo 11')).toEqual(['apollo-11']);
+    expect(filterEvents(events, 'renaisance')).toEqual(['renaissance']);
+    expect(filterEvents(events, 'spacefligth')).toEqual(['apollo-program']);
+  });
+
+  it('does not match short words a typo away', () => {
+    expect(filterEvents(events, 'mars')).toEqual([]);
+  });
+
+  it('ranks exact label words above prefixes, typos and descriptions', () => {
+    expect(filterEvents(events, 'apollo')).toEqual(['apollo-program', 'apollo-11', 'apollonia', 'renaissance']);
+    expect(filterEvents(events, 'crewed')).toEqual(['apollo-program', 'apollo-11']);
+  });
+
+  it('ranks phrases in the label above phrases in the description', () => {
+    expect(filterEvents(events, '"apollo"')).toEqual(['apollo-program', 'apollonia', 'apollo-11', 'renaissance']);
+  });
+
+  it('excludes only exact and prefix matches of negated words', () => {
+    expect(filterEvents(events, 'apollo -progra')).toEqual(['apollo-11', 'apollonia', 'renaissance']);
+    expect(filterEvents(events, 'mass -mars')).toEqual(['mass-extinction']);
+  });
+
+  it('ranks the same with the inverted index', () => {
+    const large = [...events, ...createFiller()];
+    for (const query of ['apollo', 'apolo 11', 'crewed', 'renaisance', '"apollo"', 'apollo -progra']) {
+      expect(withoutFiller(filterEvents(large, query)), query).toEqual(filterEvents(events, query));
+    }
+  });
+});
+
+describe('filterEvents query syntax', () => {
+  const at = (year, month = 6) => fromMilliseconds(Date.UTC(year, month, 1));
+  const events = [
+    {
+      id: 'apollo11',
+      label: 'Apollo 11',
+      description: 'First crewed Moon landing',
+      category: 'Science',
+      tags: ['apollo', 'nasa'],
+      priority: 0,
+      start: at(1969),
+    },
+    {
+      id: 'apollo13',
+      label: 'Apollo 13',
+      description: 'Houston, we have had a problem',
+      category: 'science',
+      tags: ['Apollo'],
+      priority: 2,
+      start: at(1970, 3),
+    },
+    {
+      id: 'skylab',
+      label: 'Skylab',
+      description: 'First American space station',
+      category: 'science',
+      tags: ['nasa'],
+      priority: 1,
+      start: at(1973),
+      end: at(1979),
+    },
+    { id: 'woodstock', label: 'Woodstock', description: 'Music festival', category: 'culture', start: at(1969, 7) },
+    { id: 'sputnik', label: 'Sputnik 1', description: 'First artificial satellite', priority: 1, start: at(1957, 9) },
+  ];
+  const queries = [
+    'category:science',
+    'tag:apollo',
+    'priority:<=1',
+    'priority:>0 category:science',
+    'after:1960 before:"1975 CE"',
+    'before:1975',
+    '"first crewed"',
+    'first -station',
+    '-category:science',
+    'apollo OR woodstock',
+    'tag:nasa priority:1 OR music',
+    'first -"space station" after:1960',
+  ];
+
+  it('filters by category and tag, ignoring case', () => {
+    expect(filterEvents(events, 'category:SCIENCE')).toEqual(['apollo11', 'apollo13', 'skylab']);
+    expect(filterEvents(events, 'tag:apollo')).toEqual(['apollo11', 'apollo13']);
+    expect(filterEvents(events, 'tag:apol')).toEqual([]);
+  });
+
+  it('compares priorities', () => {
+    expect(filterEvents(events, 'priority:1')).toEqual(['skylab', 'sputnik']);
+    expect(filterEvents(events, 'priority:<=1')).toEqual(['apollo11', 'skylab', 'sputnik']);
+    expect(filterEvents(events, 'priority:>1')).toEqual(['apollo13']);
+  });
+
+  it('bounds dates with after: and before:', () => {
+    expect(filterEvents(events, 'after:1960 before:"1975 CE"')).toEqual(['apollo11', 'apollo13', 'woodstock']);
+    expect(filterEvents(events, 'after:"July 1969"')).toEqual(['apollo11', 'apollo13', 'skylab', 'woodstock']);
+    expect(filterEvents(events, 'before:1969')).toEqual(['sputnik']);
+  });
+
+  it('matches quoted phrases as written', () => {
+    expect(filterEvents(events, '"first crewed"')).toEqual(['apollo11']);
+    expect(filterEvents(events, '"crewed first"')).toEqual([]);
+    expect(filterEvents(events, '"HOUSTON, we"')).toEqual(['apollo13']);
+  });
+
+  it('excludes negated terms', () => {
+    expect(filterEvents(events, 'first -station')).toEqual(['apollo11', 'sputnik']);
+    expect(filterEvents(events, '-category:science -tag:nasa')).toEqual(['woodstock', 'sputnik']);
+  });
+
+  it('combines alternatives with OR', () => {
+    expect(filterEvents(events, 'apollo 13 OR woodstock')).toEqual(['apollo13', 'woodstock']);
+    // Only "music" scores, so woodstock ranks first
+    expect(filterEvents(events, 'tag:nasa priority:1 OR music')).toEqual(['woodstock', 'skylab']);
+  });
+
+  it('returns null for an invalid query', () => {
+    expect(filterEvents(events, 'priority:high')).toBeNull();
+    expect(filterEvents(events, '"unclosed')).toBeNull();
+    expect(filterEvents(events, 'apollo OR')).toBeNull();
+  });
+
+  it('returns the same results with the inverted index', () => {
+    const large = [...events, ...createFiller()];
+    for (const query of queries) {
+      expect(withoutFiller(filterEvents(large, query)), query).toEqual(filterEvents(events, query));
+    }
+  });
 });
 
 describe('createDebouncedSearch', () => {
@@ -43,6 +43,48 @@ describe('getMatchSpans', () => {
     });
   });
 
+  describe('diacritics', () => {
+    it('highlights accented text for an unaccented query', () => {
+      expect(getMatchSpans('Nāzca Lines', 'nazca')).toEqual([{ start: 0, end: 5 }]);
+    });
+
+    it('maps decomposed text back to the original characters', () => {
+      const decomposed = 'Sa\u0303o Paulo';
+      expect(getMatchSpans(decomposed, 'sao')).toEqual([{ start: 0, end: 4 }]);
+    });
+  });
+
+  describe('typos', () => {
+    it('highlights words a typo away from a query word', () => {
+      expect(getMatchSpans('Apollo 11 mission', 'apolo misson')).toEqual([
+        { start: 0, end: 6 },
+        { start: 10, end: 17 },
+      ]);
+    });
+
+    it('prefers exact occurrences', () => {
+      expect(getMatchSpans('Apollo and Apolo', 'apolo')).toEqual([{ start: 11, end: 16 }]);
+    });
+  });
+
+  describe('query syntax', () => {
+    it('highlights only free-text words and phrases', () => {
+      expect(getMatchSpans('Apollo science', 'apollo category:science')).toEqual([{ start: 0, end: 6 }]);
+      expect(getMatchSpans('Apollo 11 landing', '"apollo 11" -landing')).toEqual([{ start: 0, end: 9 }]);
+    });
+
+    it('highlights terms from every OR alternative', () => {
+      expect(getMatchSpans('Moon or Mars', 'moon OR mars')).toEqual([
+        { start: 0, end: 4 },
+        { start: 8, end: 12 },
+      ]);
+    });
+
+    it('highlights nothing for an invalid query', () => {
+      expect(getMatchSpans('Apollo', 'apollo "unclosed')).toEqual([]);
+    });
+  });
+
   describe('multiple matches', () => {
     it('finds multiple non-overlapping matches', () => {
       expect(getMatchSpans('abcabc', 'abc')).toEqual([
@@ -197,6 +239,11 @@ describe('renderHighlightedLabel', () => {
     expect(ctx.fillRect).toHaveBeenCalledTimes(2);
   });
 
+  it('does not highlight field filters', () => {
+    renderHighlightedLabel(ctx, 'Science', 0, 0, 200, 20, 'category:science');
+    expect(ctx.fillRect).not.toHaveBeenCalled();
+  });
+
   it('does not throw on null or undefined text', () => {
     expect(() => renderHighlightedLabel(ctx, null, 0, 0, 200, 20, 'query')).not.toThrow();
     expect(() => renderHighlightedLabel(ctx, undefined, 0, 0, 200, 20, 'query')).not.toThrow();
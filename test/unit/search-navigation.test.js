@@ -1,7 +1,7 @@
 import { describe, expect, it } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
-import { YEAR } from '../../src/core/time.js';
+import { toSeconds, YEAR } from '../../src/core/time.js';
 import { computeNextIndex, computePanToEvent, computePrevIndex } from '../../src/ui/search-navigation.js';
 
 // --- Pure navigation index logic ---
@@ -47,7 +47,7 @@ describe('computePrevIndex', () => {
 // --- Viewport pan computation ---
 
 describe('computePanToEvent', () => {
-  const scale = RationalScale.fromSecondsPerPixel(Number(YEAR));
+  const scale = RationalScale.fromSecondsPerPixel(toSeconds(YEAR));
   const canvasWidth = 800;
 
   it('centers a point event in the viewport', () => {
@@ -0,0 +1,107 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { fromMilliseconds } from '../../src/core/time.js';
+import { createSearchResults, getSnippet } from '../../src/ui/search-results.js';
+
+describe('getSnippet', () => {
+  it('keeps short text whole', () => {
+    expect(getSnippet('First crewed Moon landing', 'moon')).toEqual({
+      text: 'First crewed Moon landing',
+      spans: [{ start: 13, end: 17 }],
+    });
+  });
+
+  it('cuts long text around the first match', () => {
+    const text = `${'a '.repeat(40)}Apollo landed on the Moon${' b'.repeat(40)}`;
+    const snippet = getSnippet(text, 'apollo', 40);
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.text).toHaveLength(42);
+    const [span] = snippet.spans;
+    expect(snippet.text.slice(span.start, span.end)).toBe('Apollo');
+  });
+
+  it('starts at the beginning when nothing matches', () => {
+    const snippet = getSnippet('x'.repeat(100), 'apollo', 10);
+    expect(snippet).toEqual({ text: `${'x'.repeat(10)}…`, spans: [] });
+  });
+
+  it('returns an empty snippet for missing text', () => {
+    expect(getSnippet(undefined, 'apollo')).toEqual({ text: '', spans: [] });
+  });
+});
+
+describe('createSearchResults', () => {
+  let container;
+  let onSelect;
+  let results;
+  const events = Array.from({ length: 60 }, (_, i) => ({
+    id: `e${i}`,
+    label: `Apollo ${i}`,
+    description: i === 0 ? 'First crewed Moon landing' : undefined,
+    start: fromMilliseconds(Date.UTC(2000, 0, 1)),
+  }));
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    onSelect = vi.fn();
+    results = createSearchResults(container, { onSelect });
+  });
+
+  afterEach(() => {
+    results.destroy();
+    document.body.removeChild(container);
+  });
+
+  it('starts hidden', () => {
+    expect(results.element.style.display).toBe('none');
+    expect(results.element.getAttribute('role')).toBe('listbox');
+  });
+
+  it('renders label, date and highlighted snippet for each result', () => {
+    results.update(events.slice(0, 2), 0, 'moon');
+    const rows = results.element.querySelectorAll('[role="option"]');
+    expect(results.element.style.display).toBe('block');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain('Apollo 0');
+    expect(rows[0].textContent).toContain('2000');
+    expect(rows[0].querySelector('mark').textContent).toBe('Moon');
+  });
+
+  it('marks the current result as selected', () => {
+    const firstThree = events.slice(0, 3);
+    results.update(firstThree, 1, 'apollo');
+    const rows = results.element.querySelectorAll('[role="option"]');
+    expect(rows[1].getAttribute('aria-selected')).toBe('true');
+    expect(results.getActiveOptionId()).toBe(rows[1].id);
+
+    results.update(firstThree, 2, 'apollo');
+    expect(rows[1].getAttribute('aria-selected')).toBe('false');
+    expect(rows[2].getAttribute('aria-selected')).toBe('true');
+  });
+
+  it('shows the page of 50 results containing the current one', () => {
+    results.update(events, 55, 'apollo');
+    const rows = results.element.querySelectorAll('[role="option"]');
+    expect(rows).toHaveLength(10);
+    expect(rows[5].getAttribute('aria-selected')).toBe('true');
+    expect(rows[5].textContent).toContain('Apollo 55');
+  });
+
+  it('calls onSelect with the result index when a row is clicked', () => {
+    results.update(events, 51, 'apollo');
+    results.element.querySelectorAll('[role="option"]')[3].click();
+    expect(onSelect).toHaveBeenCalledWith(53);
+  });
+
+  it('hides when there are no results', () => {
+    results.update(events, 0, 'apollo');
+    results.update([], 0, '');
+    expect(results.element.style.display).toBe('none');
+    expect(results.element.children).toHaveLength(0);
+    expect(results.getActiveOptionId()).toBeNull();
+  });
+});
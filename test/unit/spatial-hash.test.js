@@ -231,6 +231,38 @@ describe('SpatialHash', () => {
     });
   });
 
+  describe('translate', () => {
+    it('moves events by the offset without rebucketing', () => {
+      const event = { id: 'e1', label: 'Event 1' };
+      hash.insert(event, 10, 100, 30, 20);
+      const buckets = [...hash.buckets.keys()];
+
+      hash.translate(100);
+
+      expect(hash.queryFirst(20, 110)).toBeNull();
+      expect(hash.queryFirst(120, 110)).toBe(event);
+      expect([...hash.buckets.keys()]).toEqual(buckets);
+    });
+
+    it('accumulates offsets and keeps inserts in screen coordinates', () => {
+      const event1 = { id: 'e1', label: 'Event 1' };
+      const event2 = { id: 'e2', label: 'Event 2' };
+      hash.insert(event1, 200, 100, 30, 20);
+      hash.translate(-75);
+      hash.translate(-25);
+      hash.insert(event2, 200, 100, 30, 20);
+
+      expect(hash.queryFirst(110, 110)).toBe(event1);
+      expect(hash.queryFirst(210, 110)).toBe(event2);
+    });
+
+    it('is reset by clear', () => {
+      hash.translate(40);
+      hash.clear();
+      expect(hash.offsetX).toBe(0);
+    });
+  });
+
   describe('rebuild', () => {
     it('rebuilds hash from event array', () => {
       const events = [
@@ -0,0 +1,273 @@
+import { describe, expect, it } from 'vitest';
+import { LogScale } from '../../src/core/log-scale.js';
+import { RationalScale } from '../../src/core/scale.js';
+import { createStore } from '../../src/core/store.js';
+import { SECOND } from '../../src/core/time.js';
+import {
+  createTimelineStorage,
+  deserializeDataset,
+  hasDatasetChanged,
+  hasViewportChanged,
+  serializeDataset,
+} from '../../src/data/storage.js';
+
+// Minimal in-memory IndexedDB: enough of open/transaction/objectStore for the storage module
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  function settle(request, run, onDone) {
+    setTimeout(() => {
+      try {
+        request.result = run();
+        request.onsuccess?.();
+      } catch (error) {
+        request.error = error;
+        request.onerror?.();
+      }
+      onDone?.();
+    });
+    return request;
+  }
+
+  function createTransaction(db) {
+    let pending = 0;
+    const transaction = {
+      objectStore(name) {
+        const { records, keyPath } = db.stores.get(name);
+        const op = (run) => {
+          pending += 1;
+          return settle({}, run, () => {
+            pending -= 1;
+            if (pending === 0) setTimeout(() => transaction.oncomplete?.());
+          });
+        };
+        return {
+          put: (value, key) => op(() => records.set(keyPath ? value[keyPath] : key, structuredClone(value))),
+          get: (key) => op(() => (records.has(key) ? structuredClone(records.get(key)) : undefined)),
+          getAll: () => op(() => [...records.values()].map((value) => structuredClone(value))),
+          delete: (key) => op(() => records.delete(key)),
+        };
+      },
+    };
+    return transaction;
+  }
+
+  return {
+    open(name) {
+      const request = {};
+      return settle(request, () => {
+        let db = databases.get(name);
+        if (!db) {
+          db = {
+            stores: new Map(),
+            objectStoreNames: { contains: (store) => db.stores.has(store) },
+            createObjectStore: (store, { keyPath } = {}) => db.stores.set(store, { records: new Map(), keyPath }),
+            transaction: () => createTransaction(db),
+            close: () => {},
+          };
+          databases.set(name, db);
+          request.result = db;
+          request.onupgradeneeded?.();
+        }
+        return db;
+      });
+    },
+  };
+}
+
+// Beyond Number.MAX_SAFE_INTEGER, so any float conversion would lose digits
+const BIG_BANG = -435_454_800_000_000_000n;
+const events = [
+  { id: 'big-bang', label: 'Big Bang', start: BIG_BANG, category: 'cosmic', tags: ['origin'] },
+  { id: 'apollo', label: 'Apollo 11', start: -14_182_940n, end: -13_478_400n },
+];
+
+function createState() {
+  const store = createStore({
+    viewportStart: 9_007_199_254_740_993n,
+    scale: new RationalScale(7n, 123_456_789_012_345_678n),
+    calendar: 'holocene',
+  });
+  store.dispatch({ type: 'SET_EVENTS', events });
+  store.dispatch({ type: 'TOGGLE_CATEGORY', category: 'cosmic' });
+  store.dispatch({ type: 'SEARCH_EVENTS', query: 'bang' });
+  return store.getState();
+}
+
+describe('storage', () => {
+  describe('serializeDataset', () => {
+    it('stores BigInt values as strings', () => {
+      const record = serializeDataset(createState(), { name: 'Deep time' });
+      expect(record.events[0].start).toBe('-435454800000000000');
+      expect(record.events[1].end).toBe('-13478400');
+      expect('end' in record.events[0]).toBe(false);
+      expect(record.viewport).toEqual({
+        start: '9007199254740993',
+        numerator: '7',
+        denominator: '123456789012345678',
+      });
+      expect(JSON.parse(JSON.stringify(record))).toEqual(record);
+    });
+
+    it('round-trips events, viewport, filters and calendar exactly', () => {
+      const state = createState();
+      const restored = deserializeDataset(serializeDataset(state, { name: 'Deep time', example: 'earth-history' }));
+
+      expect(restored.events).toEqual(state.events);
+      expect(restored.viewportStart).toBe(9_007_199_254_740_993n);
+      expect(restored.scale.numerator).toBe(7n);
+      expect(restored.scale.denominator).toBe(123_456_789_012_345_678n);
+      expect(restored).toMatchObject({
+        name: 'Deep time',
+        example: 'earth-history',
+        searchQuery: 'bang',
+        selectedCategories: ['cosmic'],
+        filterMode: 'OR',
+        calendar: 'holocene',
+      });
+    });
+
+    it('round-trips the tour and keeps the filters from before it', () => {
+      const store = createStore();
+      store.dispatch({ type: 'SET_EVENTS', events });
+      store.dispatch({ type: 'SEARCH_EVENTS', query: 'apollo' });
+      const tour = {
+        title: 'Deep time',
+        autoplayInterval: 8000,
+        steps: [
+          {
+            caption: 'The **Big Bang**',
+            eventIds: ['big-bang'],
+            viewport: { start: BIG_BANG, end: BIG_BANG + 1n },
+            highlightIds: ['big-bang'],
+            filters: { searchQuery: 'bang', selectedCategories: [], filterMode: 'OR' },
+          },
+        ],
+      };
+      store.dispatch({ type: 'SET_TOUR', tour });
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 0 });
+
+      const record = JSON.parse(JSON.stringify(serializeDataset(store.getState())));
+      expect(record.filters.searchQuery).toBe('apollo');
+
+      const restored = deserializeDataset(record);
+      expect(restored.tour).toEqual(tour);
+      expect(deserializeDataset(serializeDataset(createState())).tour).toBe(null);
+    });
+
+    it('round-trips the uncertainty window of approximate events', () => {
+      const store = createStore();
+      const sputnik = {
+        id: 'sputnik',
+        label: 'Sputnik',
+        start: -386_380_800n * SECOND,
+        earliest: -417_916_800n * SECOND,
+        latest: -323_222_400n * SECOND,
+        startQualifier: '~',
+      };
+      store.dispatch({ type: 'SET_EVENTS', events: [sputnik] });
+
+      const record = JSON.parse(JSON.stringify(serializeDataset(store.getState())));
+      expect(record.events[0]).toMatchObject({ earliest: '-417916800000000000', latest: '-323222400000000000' });
+      expect(deserializeDataset(record).events).toEqual([sputnik]);
+    });
+
+    it('round-trips a log axis', () => {
+      const state = { ...createState(), scale: new LogScale(87.5, 1_700_000_000n) };
+      const record = serializeDataset(state);
+      expect(record.viewport).toEqual({ start: '9007199254740993', pixelsPerDecade: 87.5, present: '1700000000' });
+
+      const { scale } = deserializeDataset(JSON.parse(JSON.stringify(record)));
+      expect(scale).toBeInstanceOf(LogScale);
+      expect(scale.pixelsPerDecade).toBe(87.5);
+      expect(scale.present).toBe(1_700_000_000n);
+    });
+  });
+
+  describe('deserializeDataset', () => {
+    it('reads times of version 1 records as seconds', () => {
+      const record = {
+        ...JSON.parse(JSON.stringify(serializeDataset(createState()))),
+        version: 1,
+        events: [{ id: 'apollo', label: 'Apollo 11', start: '-14182940', end: '-13478400' }],
+        viewport: { start: '100', numerator: '1', denominator: '60' },
+      };
+      const restored = deserializeDataset(record);
+      expect(restored.events[0]).toMatchObject({ start: -14_182_940n * SECOND, end: -13_478_400n * SECOND });
+      expect(restored.viewportStart).toBe(100n * SECOND);
+      expect(restored.scale.getSecondsPerPixel()).toBe(60);
+    });
+  });
+
+  describe('createTimelineStorage', () => {
+    it('saves, lists, loads and deletes named timelines', async () => {
+      const storage = createTimelineStorage({ idb: createFakeIndexedDB() });
+      const state = createState();
+
+      await storage.saveTimeline('  Deep time ', state);
+      await storage.saveTimeline('Empty', { ...state, events: [] });
+
+      const list = await storage.listTimelines();
+      expect(list.map((t) => t.name).sort()).toEqual(['Deep time', 'Empty']);
+      expect(list.find((t) => t.name === 'Deep time').eventCount).toBe(2);
+
+      const loaded = await storage.loadTimeline('Deep time');
+      expect(loaded.events).toEqual(state.events);
+      expect(loaded.viewportStart).toBe(state.viewportStart);
+
+      await storage.deleteTimeline('Empty');
+      expect((await storage.listTimelines()).map((t) => t.name)).toEqual(['Deep time']);
+      expect(await storage.loadTimeline('Empty')).toBe(null);
+    });
+
+    it('rejects an empty name', async () => {
+      const storage = createTimelineStorage({ idb: createFakeIndexedDB() });
+      await expect(storage.saveTimeline('   ', createState())).rejects.toThrow('name must not be empty');
+    });
+
+    it('keeps the last session separate from named timelines', async () => {
+      const storage = createTimelineStorage({ idb: createFakeIndexedDB() });
+      expect(await storage.loadSession()).toBe(null);
+
+      await storage.saveSession(createState(), { example: 'earth-history' });
+      const session = await storage.loadSession();
+      expect(session.example).toBe('earth-history');
+      expect(session.events[0].start).toBe(BIG_BANG);
+      expect(await storage.listTimelines()).toEqual([]);
+    });
+
+    it('restores a viewport saved after the session', async () => {
+      const storage = createTimelineStorage({ idb: createFakeIndexedDB() });
+      const state = createState();
+      await storage.saveSession(state);
+      await storage.saveSessionViewport({ ...state, viewportStart: 42n, scale: RationalScale.fromSecondsPerPixel(60) });
+
+      const session = await storage.loadSession();
+      expect(session.viewportStart).toBe(42n);
+      expect(session.scale.getSecondsPerPixel()).toBe(60);
+      expect(session.events).toEqual(state.events);
+
+      // A later full save replaces the separately stored viewport
+      await storage.saveSession(state);
+      expect((await storage.loadSession()).viewportStart).toBe(state.viewportStart);
+    });
+  });
+
+  describe('hasDatasetChanged', () => {
+    it('ignores UI state and notices stored state', () => {
+      const store = createStore();
+      store.dispatch({ type: 'SET_EVENTS', events });
+      const saved = store.getState();
+      expect(hasDatasetChanged(null, saved)).toBe(true);
+
+      store.dispatch({ type: 'SELECT_EVENT', eventId: 'apollo' });
+      store.dispatch({ type: 'SET_HOVER', eventId: 'apollo' });
+      store.dispatch({ type: 'PAN', offset: 1_000_000n });
+      expect(hasDatasetChanged(saved, store.getState())).toBe(false);
+      expect(hasViewportChanged(saved, store.getState())).toBe(true);
+
+      store.dispatch({ type: 'SET_CALENDAR', calendar: 'holocene' });
+      expect(hasDatasetChanged(saved, store.getState())).toBe(true);
+    });
+  });
+});
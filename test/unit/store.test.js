@@ -1,6 +1,7 @@
 import { describe, expect, it, vi } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
+import { SECOND } from '../../src/core/time.js';
 
 describe('Store', () => {
   describe('initialization', () => {
@@ -31,7 +32,7 @@ describe('Store', () => {
     it('calculates viewportEnd from viewportStart, scale, and canvasWidth', () => {
       const scale = RationalScale.fromPixelsPerSecond(1);
       const store = createStore({ viewportStart: 0n, scale, canvasWidth: 1000 });
-      expect(store.getViewportEnd()).toBe(1000n);
+      expect(store.getViewportEnd()).toBe(1000n * SECOND);
     });
   });
 
@@ -250,6 +251,253 @@ describe('Store', () => {
     });
   });
 
+  describe('swimlane groups', () => {
+    it('TOGGLE_GROUP collapses and expands a group', () => {
+      const store = createStore({ groupBy: 'category' });
+      store.dispatch({ type: 'TOGGLE_GROUP', key: 'design' });
+      expect(store.getState().collapsedGroups.has('design')).toBe(true);
+      store.dispatch({ type: 'TOGGLE_GROUP', key: 'design' });
+      expect(store.getState().collapsedGroups.has('design')).toBe(false);
+    });
+
+    it('SET_GROUP_BY switches the grouping and expands every group', () => {
+      const store = createStore({ groupBy: 'category', collapsedGroups: new Set(['design']) });
+      store.dispatch({ type: 'SET_GROUP_BY', groupBy: 'group' });
+      expect(store.getState().groupBy).toBe('group');
+      expect(store.getState().collapsedGroups.size).toBe(0);
+    });
+  });
+
+  describe('edit mode', () => {
+    const baseEvents = [
+      { id: 'a', label: 'Alpha', start: 100n },
+      { id: 'b', label: 'Beta', start: 200n },
+    ];
+
+    function createEditStore() {
+      const store = createStore();
+      store.dispatch({ type: 'SET_EVENTS', events: baseEvents });
+      store.dispatch({ type: 'SET_MODE', mode: 'edit' });
+      return store;
+    }
+
+    it('starts in view mode with no unsaved changes', () => {
+      const state = createStore().getState();
+      expect(state.mode).toBe('view');
+      expect(state.editingEventId).toBe(null);
+      expect(state.hasUnsavedChanges).toBe(false);
+    });
+
+    it('ignores mutations outside edit mode', () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const store = createStore();
+      store.dispatch({ type: 'SET_EVENTS', events: baseEvents });
+      const prev = store.getState();
+      store.dispatch({ type: 'ADD_EVENT', event: { id: 'c', label: 'Gamma', start: 300n } });
+      expect(store.getState()).toBe(prev);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('ADD_EVENT ignored outside edit mode'));
+      warn.mockRestore();
+    });
+
+    it('ADD_EVENT inserts in start order and marks the dataset dirty', () => {
+      const store = createEditStore();
+      const revision = store.getState().revision;
+      store.dispatch({ type: 'ADD_EVENT', event: { id: 'c', label: 'Gamma', start: 150n } });
+      const state = store.getState();
+      expect(state.events.map((e) => e.id)).toEqual(['a', 'c', 'b']);
+      expect(state.hasUnsavedChanges).toBe(true);
+      expect(state.revision).toBe(revision + 1);
+    });
+
+    it('ADD_EVENT rejects duplicate ids and invalid events', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = createEditStore();
+      const prev = store.getState();
+      store.dispatch({ type: 'ADD_EVENT', event: { id: 'a', label: 'Again', start: 1n } });
+      store.dispatch({ type: 'ADD_EVENT', event: { id: 'c', label: '', start: 1n } });
+      store.dispatch({ type: 'ADD_EVENT', event: { id: 'd', label: 'Bad', start: 10n, end: 5n } });
+      expect(store.getState()).toBe(prev);
+      expect(error).toHaveBeenCalledTimes(3);
+      error.mockRestore();
+    });
+
+    it('UPDATE_EVENT merges changes, re-sorts and removes cleared fields', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'a', changes: { description: 'First' } });
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'a', changes: { start: 300n, description: undefined } });
+      const { events, hasUnsavedChanges } = store.getState();
+      expect(events.map((e) => e.id)).toEqual(['b', 'a']);
+      expect(events[1]).toEqual({ id: 'a', label: 'Alpha', start: 300n });
+      expect(hasUnsavedChanges).toBe(true);
+    });
+
+    it('UPDATE_EVENT keeps the event id', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'a', changes: { id: 'z', label: 'Renamed' } });
+      expect(store.getState().events[0]).toMatchObject({ id: 'a', label: 'Renamed' });
+    });
+
+    it('UPDATE_EVENT rejects unknown ids and invalid changes', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const store = createEditStore();
+      const prev = store.getState();
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'missing', changes: { label: 'X' } });
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'a', changes: { end: 50n } });
+      expect(store.getState()).toBe(prev);
+      expect(error).toHaveBeenCalledTimes(2);
+      error.mockRestore();
+    });
+
+    it('UPDATE_EVENT refreshes search results', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'SEARCH_EVENTS', query: 'delta' });
+      expect(store.getState().searchResultIds).toEqual([]);
+      store.dispatch({ type: 'UPDATE_EVENT', eventId: 'b', changes: { label: 'Delta' } });
+      expect(store.getState().searchResultIds).toEqual(['b']);
+    });
+
+    it('DELETE_EVENT removes the event and clears references to it', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'SET_EDITING_EVENT', eventId: 'a' });
+      store.dispatch({ type: 'SET_HOVER', eventId: 'a' });
+      store.dispatch({ type: 'DELETE_EVENT', eventId: 'a' });
+      const state = store.getState();
+      expect(state.events.map((e) => e.id)).toEqual(['b']);
+      expect(state.selectedEventIds.has('a')).toBe(false);
+      expect(state.hoveredEventId).toBe(null);
+      expect(state.editingEventId).toBe(null);
+      expect(state.hasUnsavedChanges).toBe(true);
+    });
+
+    it('SET_EDITING_EVENT selects the event being edited', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'SET_EDITING_EVENT', eventId: 'b' });
+      expect(store.getState().editingEventId).toBe('b');
+      expect(store.getState().selectedEventIds).toEqual(new Set(['b']));
+      store.dispatch({ type: 'SET_EDITING_EVENT', eventId: null });
+      expect(store.getState().editingEventId).toBe(null);
+    });
+
+    it('SET_MODE to view clears the editing event but keeps the dirty flag', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'DELETE_EVENT', eventId: 'b' });
+      store.dispatch({ type: 'SET_EDITING_EVENT', eventId: 'a' });
+      store.dispatch({ type: 'SET_MODE', mode: 'view' });
+      expect(store.getState().editingEventId).toBe(null);
+      expect(store.getState().hasUnsavedChanges).toBe(true);
+    });
+
+    it('SET_DRAG_PREVIEW holds transient times without touching the dataset', () => {
+      const store = createEditStore();
+      const preview = { eventId: 'a', start: 150n, end: undefined };
+      store.dispatch({ type: 'SET_DRAG_PREVIEW', preview });
+      expect(store.getState().dragPreview).toBe(preview);
+      expect(store.getState().events[0].start).toBe(100n);
+      expect(store.getState().hasUnsavedChanges).toBe(false);
+      store.dispatch({ type: 'SET_MODE', mode: 'view' });
+      expect(store.getState().dragPreview).toBe(null);
+    });
+
+    it('CLEAR_DIRTY and SET_EVENTS reset the dirty flag', () => {
+      const store = createEditStore();
+      store.dispatch({ type: 'DELETE_EVENT', eventId: 'a' });
+      store.dispatch({ type: 'CLEAR_DIRTY' });
+      expect(store.getState().hasUnsavedChanges).toBe(false);
+      store.dispatch({ type: 'DELETE_EVENT', eventId: 'b' });
+      store.dispatch({ type: 'SET_EVENTS', events: baseEvents });
+      expect(store.getState().hasUnsavedChanges).toBe(false);
+    });
+  });
+
+  describe('guided tour', () => {
+    const events = [
+      { id: 'a', label: 'Apollo', start: 100n, category: 'space' },
+      { id: 'b', label: 'Beatles', start: 200n, category: 'music' },
+      { id: 'c', label: 'Cassini', start: 300n, category: 'space' },
+    ];
+    const noFilters = { searchQuery: '', selectedCategories: [], filterMode: 'OR' };
+    const tour = {
+      title: 'Tour',
+      autoplayInterval: 8000,
+      steps: [
+        { caption: 'One', eventIds: ['a'], viewport: null, highlightIds: ['a'], filters: noFilters },
+        {
+          caption: 'Two',
+          eventIds: ['b', 'c'],
+          viewport: null,
+          highlightIds: [],
+          filters: { searchQuery: '', selectedCategories: ['space'], filterMode: 'OR' },
+        },
+      ],
+    };
+
+    function createTourStore() {
+      const store = createStore();
+      store.dispatch({ type: 'SET_EVENTS', events });
+      store.dispatch({ type: 'SET_TOUR', tour });
+      return store;
+    }
+
+    it('starts without a tour step', () => {
+      const state = createTourStore().getState();
+      expect(state.tour).toBe(tour);
+      expect(state.tourStep).toBe(null);
+      expect(state.highlightedEventIds).toBe(null);
+    });
+
+    it('applies a step highlight and filters, clamping the step', () => {
+      const store = createTourStore();
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 0 });
+      expect(store.getState().tourStep).toBe(0);
+      expect([...store.getState().highlightedEventIds]).toEqual(['a']);
+      expect(store.getState().activeFilterIds).toBe(null);
+
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 5 });
+      expect(store.getState().tourStep).toBe(1);
+      expect(store.getState().highlightedEventIds).toBe(null);
+      expect(store.getState().selectedCategories).toEqual(['space']);
+      expect(store.getState().activeFilterIds).toEqual(['a', 'c']);
+    });
+
+    it('restores the filters from before the tour when it ends', () => {
+      const store = createTourStore();
+      store.dispatch({ type: 'SEARCH_EVENTS', query: 'beatles' });
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 1 });
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 0 });
+      expect(store.getState().searchQuery).toBe('');
+
+      store.dispatch({ type: 'END_TOUR' });
+      const state = store.getState();
+      expect(state.tourStep).toBe(null);
+      expect(state.highlightedEventIds).toBe(null);
+      expect(state.searchQuery).toBe('beatles');
+      expect(state.activeFilterIds).toEqual(['b']);
+      expect(state.selectedCategories).toEqual([]);
+    });
+
+    it('ignores tour steps without a tour and END_TOUR outside a tour', () => {
+      const store = createStore();
+      const prevState = store.getState();
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 0 });
+      store.dispatch({ type: 'END_TOUR' });
+      expect(store.getState()).toBe(prevState);
+    });
+
+    it('ends the tour when the tour or the events are replaced', () => {
+      const store = createTourStore();
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 1 });
+      store.dispatch({ type: 'SET_EVENTS', events });
+      expect(store.getState().tourStep).toBe(null);
+      expect(store.getState().selectedCategories).toEqual([]);
+      expect(store.getState().tour).toBe(tour);
+
+      store.dispatch({ type: 'GO_TO_TOUR_STEP', step: 0 });
+      store.dispatch({ type: 'SET_TOUR', tour: null });
+      expect(store.getState().tour).toBe(null);
+      expect(store.getState().tourStep).toBe(null);
+    });
+  });
+
   describe('error handling', () => {
     it('ignores unknown action types', () => {
       const store = createStore();
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { createSvgContext, escapeXml } from '../../src/rendering/svg-context.js';
+
+describe('svg-context', () => {
+  it('records rects, paths and text with the current styles', () => {
+    const ctx = createSvgContext(200, 100);
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, 200, 100);
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(0, 40.5);
+    ctx.lineTo(200, 40.5);
+    ctx.stroke();
+
+    ctx.globalAlpha = 0.3;
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText('Rome & <Carthage>', 100, 50);
+
+    const svg = ctx.toSvg();
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">/);
+    expect(svg).toContain('<rect x="0" y="0" width="200" height="100" fill="#1a1a2e"/>');
+    expect(svg).toContain(
+      '<path d="M0 40.5L200 40.5" fill="none" stroke="rgba(255, 255, 255, 0.3)" stroke-width="2"/>',
+    );
+    expect(svg).toContain(
+      '<text x="100" y="50" text-anchor="middle" dominant-baseline="central" style="font: bold 12px sans-serif" ' +
+        'fill="#ffffff" opacity="0.3">Rome &amp; &lt;Carthage&gt;</text>',
+    );
+    expect(svg.trimEnd().endsWith('</svg>')).toBe(true);
+  });
+
+  it('draws full circles as two arcs and partial arcs with the right flags', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(50, 50, 10, 0, Math.PI / 2);
+    ctx.stroke();
+
+    const svg = ctx.toSvg();
+    expect(svg).toContain('d="M60 50A10 10 0 1 1 40 50A10 10 0 1 1 60 50"');
+    expect(svg).toContain('d="M60 50A10 10 0 0 1 50 60"');
+  });
+
+  it('wraps clipped drawing in a group closed by restore()', () => {
+    const ctx = createSvgContext(100, 100);
+    ctx.fillStyle = '#000000';
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.rect(10, 10, 30, 20);
+    ctx.clip();
+    ctx.fillText('Clipped', 12, 20);
+    ctx.restore();
+    ctx.fillText('Free', 60, 20);
+
+    const svg = ctx.toSvg();
+    expect(svg).toContain('<clipPath id="clip0"><path d="M10 10h30v20h-30Z"/></clipPath>');
+    expect(svg).toMatch(
+      /<g clip-path="url\(#clip0\)">\n<text[^>]*>Clipped<\/text>\n<\/g>\n<text[^>]*fill="#000000">Free/,
+    );
+  });
+
+  it('measures text with a real context when given one, approximating otherwise', () => {
+    const approx = createSvgContext(100, 100);
+    approx.font = '10px sans-serif';
+    expect(approx.measureText('abcd').width).toBe(24);
+
+    const measureContext = { font: '', measureText: (text) => ({ width: text.length * 7 }) };
+    const measured = createSvgContext(100, 100, { measureContext });
+    measured.font = '11px sans-serif';
+    expect(measured.measureText('abcd').width).toBe(28);
+    expect(measureContext.font).toBe('11px sans-serif');
+  });
+
+  it('escapes XML special characters', () => {
+    expect(escapeXml('"a" & <b>')).toBe('&quot;a&quot; &amp; &lt;b&gt;');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, expect, it } from 'vitest';
-import { BILLION_YEARS, MILLION_YEARS, YEAR } from '../../src/core/time.js';
+import { BILLION_YEARS, DAY, fromMilliseconds, MILLION_YEARS, SECOND, YEAR } from '../../src/core/time.js';
 
 describe('TimeParser', () => {
   describe('parseTimeQuery', () => {
@@ -10,8 +10,8 @@ describe('TimeParser', () => {
 
       // Year 2000 centered on mid-year (~July)
       expect(result.success).toBe(true);
-      expect(result.time).toBeGreaterThan(946000000n);
-      expect(result.time).toBeLessThan(965000000n);
+      expect(result.time).toBeGreaterThan(946000000n * SECOND);
+      expect(result.time).toBeLessThan(965000000n * SECOND);
     });
 
     it('parses negative years as BCE', async () => {
@@ -48,6 +48,16 @@ describe('TimeParser', () => {
       expect(diff > -BILLION_YEARS / 10n && diff < BILLION_YEARS / 10n).toBe(true);
     });
 
+    it('scales decimal Ma/Ga values exactly', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      expect(parseTimeQuery('13.8 Ga').time).toBe((-138n * BILLION_YEARS) / 10n);
+      expect(parseTimeQuery('65.000000000000000001 Ma').time).toBe(-65n * MILLION_YEARS - 31558n);
+      expect(parseTimeQuery('65.000000000000000000000001 Ma').time).toBe(-65n * MILLION_YEARS);
+      expect(parseTimeQuery('0.00000000000000003 Ga').time).toBe(-946728000n);
+      expect(parseTimeQuery('-5 Ma').time).toBe(5n * MILLION_YEARS);
+    });
+
     it('parses "Big Bang" as named event', async () => {
       const { parseTimeQuery } = await import('../../src/core/time-parser.js');
 
@@ -73,13 +83,13 @@ describe('TimeParser', () => {
     it('parses "now" or "today" as current time', async () => {
       const { parseTimeQuery } = await import('../../src/core/time-parser.js');
 
-      const before = BigInt(Math.floor(Date.now() / 1000));
+      const before = fromMilliseconds(Date.now());
       const result = parseTimeQuery('now');
-      const after = BigInt(Math.floor(Date.now() / 1000));
+      const after = fromMilliseconds(Date.now());
 
       expect(result.success).toBe(true);
       expect(result.time).toBeGreaterThanOrEqual(before);
-      expect(result.time).toBeLessThanOrEqual(after + 1n);
+      expect(result.time).toBeLessThanOrEqual(after);
     });
 
     it('returns error for unparseable input', async () => {
@@ -137,7 +147,7 @@ describe('TimeParser', () => {
       // 1066 CE is before Unix epoch (1970), so negative timestamp is correct
       // Should be around -28.5 billion seconds
       expect(result.time).toBeLessThan(0n);
-      expect(result.time).toBeGreaterThan(-30_000_000_000n);
+      expect(result.time).toBeGreaterThan(-30_000_000_000n * SECOND);
     });
 
     it('parses AD notation (1066 AD)', async () => {
@@ -148,7 +158,7 @@ describe('TimeParser', () => {
       expect(result.success).toBe(true);
       // 1066 AD is before Unix epoch (1970), so negative timestamp is correct
       expect(result.time).toBeLessThan(0n);
-      expect(result.time).toBeGreaterThan(-30_000_000_000n);
+      expect(result.time).toBeGreaterThan(-30_000_000_000n * SECOND);
     });
 
     it('parses modern CE year (2000 CE)', async () => {
@@ -167,7 +177,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-03-15T10:30:00Z');
 
       expect(result.success).toBe(true);
-      const expected = BigInt(Math.floor(new Date('2024-03-15T10:30:00Z').getTime() / 1000));
+      const expected = fromMilliseconds(new Date('2024-03-15T10:30:00Z').getTime());
       expect(result.time).toBe(expected);
     });
 
@@ -177,7 +187,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-03-15T10:30:00');
 
       expect(result.success).toBe(true);
-      const expected = BigInt(Math.floor(new Date('2024-03-15T10:30:00Z').getTime() / 1000));
+      const expected = fromMilliseconds(new Date('2024-03-15T10:30:00Z').getTime());
       expect(result.time).toBe(expected);
     });
 
@@ -187,7 +197,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-03-15T10:30:00.123Z');
 
       expect(result.success).toBe(true);
-      const expected = BigInt(Math.floor(new Date('2024-03-15T10:30:00.123Z').getTime() / 1000));
+      const expected = fromMilliseconds(new Date('2024-03-15T10:30:00.123Z').getTime());
       expect(result.time).toBe(expected);
     });
 
@@ -197,7 +207,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-03-15T10:30:00+05:30');
 
       expect(result.success).toBe(true);
-      const expected = BigInt(Math.floor(new Date('2024-03-15T10:30:00+05:30').getTime() / 1000));
+      const expected = fromMilliseconds(new Date('2024-03-15T10:30:00+05:30').getTime());
       expect(result.time).toBe(expected);
     });
 
@@ -207,10 +217,20 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-03-15T10:30:00.500+02:00');
 
       expect(result.success).toBe(true);
-      const expected = BigInt(Math.floor(new Date('2024-03-15T10:30:00.500+02:00').getTime() / 1000));
+      const expected = fromMilliseconds(new Date('2024-03-15T10:30:00.500+02:00').getTime());
       expect(result.time).toBe(expected);
     });
 
+    it('keeps fractional seconds down to the nanosecond', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      const base = fromMilliseconds(new Date('2024-03-15T10:30:00Z').getTime());
+      expect(parseTimeQuery('2024-03-15T10:30:00.000012Z').time).toBe(base + 12_000n);
+      expect(parseTimeQuery('2024-03-15T10:30:00,123456789Z').time).toBe(base + 123_456_789n);
+      expect(parseTimeQuery('2024-03-15T10:30:00.1234567891').time).toBe(base + 123_456_789n);
+      expect(parseTimeQuery('2024-03-15T12:30:00.000000005+02:00').time).toBe(base + 5n);
+    });
+
     it('parses natural language "X billion years ago"', async () => {
       const { parseTimeQuery } = await import('../../src/core/time-parser.js');
 
@@ -279,7 +299,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-06');
 
       expect(result.success).toBe(true);
-      expect(result.span).toBe(30n * 86400n);
+      expect(result.span).toBe(30n * DAY);
     });
 
     it('returns ~30 day span for month queries (Mon YYYY)', async () => {
@@ -288,7 +308,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('Jan 2024');
 
       expect(result.success).toBe(true);
-      expect(result.span).toBe(30n * 86400n);
+      expect(result.span).toBe(30n * DAY);
     });
 
     it('returns 1 day span for full date queries (YYYY-MM-DD)', async () => {
@@ -297,7 +317,7 @@ describe('TimeParser', () => {
       const result = parseTimeQuery('2024-06-15');
 
       expect(result.success).toBe(true);
-      expect(result.span).toBe(86400n);
+      expect(result.span).toBe(DAY);
     });
 
     it('returns 1 Ma span for Ma queries', async () => {
@@ -327,4 +347,103 @@ describe('TimeParser', () => {
       expect(result.span).toBe(BILLION_YEARS);
     });
   });
+
+  describe('EDTF', () => {
+    const utc = (...args) => fromMilliseconds(Date.UTC(...args));
+
+    it('widens uncertain and approximate dates by their own precision', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      // 1984 is 366 days long
+      expect(parseTimeQuery('1984?')).toMatchObject({
+        success: true,
+        time: parseTimeQuery('1984').time,
+        earliest: utc(1984, 0, 1) - 366n * DAY,
+        latest: utc(1985, 0, 1) + 366n * DAY,
+        qualifier: '?',
+      });
+      expect(parseTimeQuery('2004-06~')).toMatchObject({
+        time: utc(2004, 5, 15),
+        // June has 30 days
+        earliest: utc(2004, 4, 2),
+        latest: utc(2004, 6, 31),
+        qualifier: '~',
+      });
+      expect(parseTimeQuery('2004-06-11%')).toMatchObject({
+        time: utc(2004, 5, 11),
+        earliest: utc(2004, 5, 10),
+        latest: utc(2004, 5, 13),
+        qualifier: '%',
+      });
+    });
+
+    it('reads unspecified digits as the whole decade, century, year or month', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      expect(parseTimeQuery('198X')).toMatchObject({
+        earliest: utc(1980, 0, 1),
+        latest: utc(1990, 0, 1),
+        precision: 'decade',
+        span: 10n * YEAR,
+      });
+      expect(parseTimeQuery('19XX')).toMatchObject({ earliest: utc(1900, 0, 1), latest: utc(2000, 0, 1) });
+      expect(parseTimeQuery('1985-XX')).toMatchObject({ earliest: utc(1985, 0, 1), precision: 'year' });
+      expect(parseTimeQuery('1985-04-XX')).toMatchObject({
+        earliest: utc(1985, 3, 1),
+        latest: utc(1985, 4, 1),
+        precision: 'month',
+      });
+      expect(parseTimeQuery('198X').qualifier).toBeUndefined();
+      const decade = utc(1990, 0, 1) - utc(1980, 0, 1);
+      expect(parseTimeQuery('198X~')).toMatchObject({
+        earliest: utc(1980, 0, 1) - decade,
+        latest: utc(1990, 0, 1) + decade,
+        qualifier: '~',
+      });
+    });
+
+    it('reads seasons, long years and astronomical year numbering', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      // Spring: March to May
+      expect(parseTimeQuery('2001-21').time).toBe(utc(2001, 3, 16));
+      expect(parseTimeQuery('Y-170000002').time).toBeLessThan(-170n * MILLION_YEARS);
+      // 0000 is 1 BCE
+      expect(parseTimeQuery('0000?').time).toBe(parseTimeQuery('1 BCE').time);
+    });
+
+    it('reads circa and qualifiers on other formats', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      expect(parseTimeQuery('c. 1500')).toEqual(parseTimeQuery('1500~'));
+      expect(parseTimeQuery('circa 44 BCE')).toMatchObject({ time: parseTimeQuery('44 BCE').time, qualifier: '~' });
+      expect(parseTimeQuery('ca. 1984?').qualifier).toBe('%');
+      const ma = parseTimeQuery('65 Ma?');
+      expect(ma).toMatchObject({ time: -65n * MILLION_YEARS, qualifier: '?' });
+      expect(ma.latest - ma.earliest).toBe(3n * MILLION_YEARS);
+    });
+
+    it('parses intervals with known, open and unknown ends', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      const interval = parseTimeQuery('1950/1960~');
+      expect(interval.time).toBe(parseTimeQuery('1950').time);
+      expect(interval.end).toMatchObject({ time: parseTimeQuery('1960').time, qualifier: '~' });
+      expect(parseTimeQuery('1985/..').end).toBeNull();
+      expect(parseTimeQuery('1985/').end).toBeNull();
+      // Still a month
+      expect(parseTimeQuery('1969/07').end).toBeUndefined();
+    });
+
+    it('rejects malformed EDTF', async () => {
+      const { parseTimeQuery } = await import('../../src/core/time-parser.js');
+
+      expect(parseTimeQuery('1960/1950').error).toMatch(/ends before it starts/);
+      expect(parseTimeQuery('../1950').success).toBe(false);
+      expect(parseTimeQuery('1985-13?').success).toBe(false);
+      expect(parseTimeQuery('1985-02-30?').success).toBe(false);
+      expect(parseTimeQuery('1X85').success).toBe(false);
+      expect(parseTimeQuery('circa').success).toBe(false);
+    });
+  });
 });
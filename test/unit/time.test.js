@@ -6,39 +6,61 @@ import {
   calculateDuration,
   compareTimes,
   DAY,
+  fromMilliseconds,
   HOUR,
   isVisible,
+  MICROSECOND,
   MILLION_YEARS,
+  MILLISECOND,
   MINUTE,
+  NANOSECOND,
   projectToScreen,
   SECOND,
+  toMilliseconds,
+  toSeconds,
   validateDuration,
   YEAR,
 } from '../../src/core/time.js';
 
 describe('Time Unit Constants', () => {
-  it('SECOND equals 1n', () => {
-    expect(SECOND).toBe(1n);
+  it('counts time in nanoseconds', () => {
+    expect(NANOSECOND).toBe(1n);
+    expect(MICROSECOND).toBe(1_000n);
+    expect(MILLISECOND).toBe(1_000_000n);
+    expect(SECOND).toBe(1_000_000_000n);
   });
 
-  it('MINUTE equals 60n', () => {
-    expect(MINUTE).toBe(60n);
+  it('MINUTE equals 60 seconds', () => {
+    expect(MINUTE).toBe(60n * SECOND);
   });
 
-  it('HOUR equals 3600n', () => {
-    expect(HOUR).toBe(3600n);
+  it('HOUR equals 3600 seconds', () => {
+    expect(HOUR).toBe(3600n * SECOND);
   });
 
-  it('DAY equals 86400n', () => {
-    expect(DAY).toBe(86400n);
+  it('DAY equals 86400 seconds', () => {
+    expect(DAY).toBe(86400n * SECOND);
   });
 
-  it('YEAR equals approximately 31557600n', () => {
-    expect(YEAR).toBe(31557600n);
+  it('YEAR equals 365.25 days', () => {
+    expect(YEAR).toBe(31557600n * SECOND);
   });
 
-  it('BILLION_YEARS equals 31557600000000000n', () => {
-    expect(BILLION_YEARS).toBe(31557600000000000n);
+  it('BILLION_YEARS equals 31557600000000000 seconds', () => {
+    expect(BILLION_YEARS).toBe(31557600000000000n * SECOND);
+  });
+});
+
+describe('conversions', () => {
+  it('converts JavaScript timestamps', () => {
+    expect(fromMilliseconds(1_500)).toBe(1_500n * MILLISECOND);
+    expect(toMilliseconds(1_500n * MILLISECOND + 999_999n)).toBe(1_500);
+    expect(toMilliseconds(-1n)).toBe(-1);
+  });
+
+  it('gives durations in seconds', () => {
+    expect(toSeconds(90n * SECOND)).toBe(90);
+    expect(toSeconds(250n * MICROSECOND)).toBeCloseTo(0.00025, 12);
   });
 });
 
@@ -69,8 +91,8 @@ describe('BigInt Temporal Coordinates', () => {
 describe('Floating Origin - projectToScreen', () => {
   it('calculates screen position relative to viewport start', () => {
     const scale = RationalScale.fromPixelsPerSecond(1);
-    const viewportStart = 1000000n;
-    const eventTime = 1000100n;
+    const viewportStart = 1000000n * SECOND;
+    const eventTime = 1000100n * SECOND;
     const px = projectToScreen(eventTime, viewportStart, scale);
     expect(px).toBeCloseTo(100, 0);
   });
@@ -78,7 +100,7 @@ describe('Floating Origin - projectToScreen', () => {
   it('handles deep time coordinates without jitter', () => {
     const scale = RationalScale.fromSecondsPerPixel(1000);
     const viewportStart = 4n * BILLION_YEARS;
-    const eventTime = viewportStart + 1000000n;
+    const eventTime = viewportStart + 1000000n * SECOND;
     const px = projectToScreen(eventTime, viewportStart, scale);
     expect(px).toBeCloseTo(1000, 0);
   });
@@ -127,7 +149,7 @@ describe('Temporal Arithmetic', () => {
 });
 
 describe('Boundary-value analysis: extreme deep time', () => {
-  // Key cosmological anchors in seconds (negative = before present)
+  // Key cosmological anchors (negative = before present)
   const BIG_BANG = -13_800n * MILLION_YEARS;
   const EARTH_FORMED = -4_500n * MILLION_YEARS;
   const DINO_EXTINCT = -66n * MILLION_YEARS;
@@ -150,7 +172,7 @@ describe('Boundary-value analysis: extreme deep time', () => {
   });
 
   describe('precision at cosmological scale', () => {
-    it('two events 1 second apart at Big Bang epoch are distinguishable', () => {
+    it('two events 1 nanosecond apart at Big Bang epoch are distinguishable', () => {
       expect(BIG_BANG + 1n - BIG_BANG).toBe(1n);
     });
 
@@ -166,8 +188,8 @@ describe('Boundary-value analysis: extreme deep time', () => {
   });
 
   describe('projectToScreen at extreme offsets', () => {
-    it('no jitter: 1-second events at Big Bang viewport project exactly at 1s/px', () => {
-      // Use RationalScale(1,1): 1 pixel per second — avoids float precision in constructor
+    it('no jitter: 1-nanosecond events at Big Bang viewport project exactly at 1ns/px', () => {
+      // Use RationalScale(1,1): 1 pixel per nanosecond — avoids float precision in constructor
       const scale = new RationalScale(1n, 1n);
       const px0 = projectToScreen(BIG_BANG, BIG_BANG, scale);
       const px1 = projectToScreen(BIG_BANG + 1n, BIG_BANG, scale);
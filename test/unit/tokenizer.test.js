@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { editDistance, foldText, fuzzyEdits, maxEdits, tokenize, tokenizeQuery } from '../../src/core/tokenizer.js';
+
+describe('foldText', () => {
+  it('lowercases and strips diacritics', () => {
+    expect(foldText('Nāzca')).toBe('nazca');
+    expect(foldText('Ōsaka')).toBe('osaka');
+    expect(foldText('Crème Brûlée')).toBe('creme brulee');
+  });
+
+  it('applies compatibility decomposition', () => {
+    expect(foldText('ﬁnal')).toBe('final');
+  });
+});
+
+describe('tokenize', () => {
+  it('splits on anything but letters and digits', () => {
+    expect(tokenize('Apollo 11: Moon-landing')).toEqual(['apollo', '11', 'moon', 'landing']);
+  });
+
+  it('keeps words in non-Latin scripts', () => {
+    expect(tokenize('Россия, Ελλάδα')).toEqual(['россия', 'ελλαδα']);
+  });
+
+  it('indexes CJK runs as characters and bigrams', () => {
+    expect(tokenize('秦始皇')).toEqual(['秦', '始', '皇', '秦始', '始皇']);
+  });
+
+  it('separates CJK runs from adjoining Latin text', () => {
+    expect(tokenize('東京2020')).toEqual(['東', '京', '東京', '2020']);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('tokenizeQuery', () => {
+  it('keeps only bigrams for CJK runs', () => {
+    expect(tokenizeQuery('秦始皇')).toEqual(['秦始', '始皇']);
+    expect(tokenizeQuery('秦')).toEqual(['秦']);
+  });
+
+  it('drops duplicate tokens', () => {
+    expect(tokenizeQuery('moon Moon MŌŌN')).toEqual(['moon']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('apollo', 'apollo', 2)).toBe(0);
+    expect(editDistance('apolo', 'apollo', 2)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+  });
+
+  it('stops at one more than the maximum', () => {
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+    expect(editDistance('moon', 'renaissance', 2)).toBe(3);
+  });
+});
+
+describe('fuzzyEdits', () => {
+  it('allows more edits for longer query tokens', () => {
+    expect(maxEdits('mars')).toBe(0);
+    expect(maxEdits('apolo')).toBe(1);
+    expect(maxEdits('renaisance')).toBe(2);
+  });
+
+  it('returns the edits when close enough, else null', () => {
+    expect(fuzzyEdits('apolo', 'apollo')).toBe(1);
+    expect(fuzzyEdits('renasance', 'renaissance')).toBe(2);
+    expect(fuzzyEdits('mars', 'mass')).toBeNull();
+    expect(fuzzyEdits('apolo', 'apollonia')).toBeNull();
+  });
+});
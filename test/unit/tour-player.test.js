@@ -0,0 +1,94 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createTourPlayer } from '../../src/ui/tour-player.js';
+
+const tour = {
+  title: 'Space race',
+  autoplayInterval: 8000,
+  steps: [{ caption: 'Sputnik **launches**' }, { caption: 'Apollo 11' }, { caption: 'Skylab' }],
+};
+
+describe('tour player', () => {
+  let container;
+  let callbacks;
+  let player;
+
+  function button(label) {
+    return player.element.querySelector(`button[aria-label="${label}"]`);
+  }
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    callbacks = {
+      onStart: vi.fn(),
+      onPrev: vi.fn(),
+      onNext: vi.fn(),
+      onToggleAutoplay: vi.fn(),
+      onClose: vi.fn(),
+    };
+    player = createTourPlayer(container, callbacks);
+  });
+
+  afterEach(() => {
+    player.destroy();
+    container.remove();
+  });
+
+  it('is hidden without a tour', () => {
+    player.update(null, null, false);
+    expect(player.isVisible()).toBe(false);
+  });
+
+  it('offers to start the tour', () => {
+    player.update(tour, null, false);
+    expect(player.isVisible()).toBe(true);
+    const start = button('Start guided tour');
+    expect(start.textContent).toBe('▶ Tour: Space race');
+    start.click();
+    expect(callbacks.onStart).toHaveBeenCalled();
+  });
+
+  it('shows the step caption, progress and controls', () => {
+    player.update(tour, 0, false);
+    expect(button('Start guided tour').style.display).toBe('none');
+    expect(player.element.querySelector('.tour-caption strong').textContent).toBe('launches');
+    expect(player.element.querySelector('.tour-progress').textContent).toBe('Step 1 of 3');
+    expect(button('Previous step').disabled).toBe(true);
+    expect(button('Next step').disabled).toBe(false);
+    expect(button('Play tour automatically').getAttribute('aria-pressed')).toBe('false');
+
+    player.update(tour, 2, true);
+    expect(player.element.querySelector('.tour-caption').textContent).toBe('Skylab');
+    expect(button('Next step').disabled).toBe(true);
+    expect(button('Pause tour').getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('calls back from the controls', () => {
+    player.update(tour, 1, false);
+    button('Previous step').click();
+    button('Next step').click();
+    button('Play tour automatically').click();
+    button('Close tour').click();
+    expect(callbacks.onPrev).toHaveBeenCalledTimes(1);
+    expect(callbacks.onNext).toHaveBeenCalledTimes(1);
+    expect(callbacks.onToggleAutoplay).toHaveBeenCalledTimes(1);
+    expect(callbacks.onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('handles arrow keys and Escape without passing them on', () => {
+    const outside = vi.fn();
+    container.addEventListener('keydown', outside);
+    player.update(tour, 1, false);
+
+    for (const key of ['ArrowLeft', 'ArrowRight', 'Escape']) {
+      button('Next step').dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+    }
+    expect(callbacks.onPrev).toHaveBeenCalledTimes(1);
+    expect(callbacks.onNext).toHaveBeenCalledTimes(1);
+    expect(callbacks.onClose).toHaveBeenCalledTimes(1);
+    expect(outside).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { SECOND } from '../../src/core/time.js';
+import { DEFAULT_AUTOPLAY_INTERVAL, parseTour } from '../../src/data/tour.js';
+
+const events = [
+  { id: 'apollo-11', label: 'Apollo 11', start: -14182940n },
+  { id: 'skylab', label: 'Skylab', start: 106358400n },
+];
+
+describe('parseTour', () => {
+  it('parses steps with defaults', () => {
+    const { tour, errors } = parseTour(
+      { title: 'Space', steps: [{ caption: 'The **Moon**', events: ['apollo-11'] }] },
+      events,
+    );
+
+    expect(errors).toEqual([]);
+    expect(tour).toEqual({
+      title: 'Space',
+      autoplayInterval: DEFAULT_AUTOPLAY_INTERVAL,
+      steps: [
+        {
+          caption: 'The **Moon**',
+          eventIds: ['apollo-11'],
+          viewport: null,
+          highlightIds: ['apollo-11'],
+          filters: { searchQuery: '', selectedCategories: [], filterMode: 'OR' },
+        },
+      ],
+    });
+  });
+
+  it('parses viewports, highlights, filters and the autoplay interval', () => {
+    const { tour, errors } = parseTour(
+      {
+        autoplayInterval: 3000,
+        steps: [
+          {
+            caption: 'Seventies',
+            viewport: { start: '1970', end: '1980' },
+            highlight: ['skylab'],
+            filters: { search: 'tag:station', categories: ['space'], mode: 'AND' },
+          },
+        ],
+      },
+      events,
+    );
+
+    expect(errors).toEqual([]);
+    expect(tour.title).toBe('');
+    expect(tour.autoplayInterval).toBe(3000);
+    const [step] = tour.steps;
+    // Both years in full, from the parsed mid-year times
+    expect(step.viewport).toEqual({
+      start: (15638400n - 15778800n) * SECOND,
+      end: (331257600n + 15778800n) * SECOND,
+    });
+    expect(step.eventIds).toEqual([]);
+    expect(step.highlightIds).toEqual(['skylab']);
+    expect(step.filters).toEqual({ searchQuery: 'tag:station', selectedCategories: ['space'], filterMode: 'AND' });
+  });
+
+  it('reports and drops unknown event ids', () => {
+    const { tour, errors } = parseTour(
+      { steps: [{ caption: 'Moon', events: ['apollo-11', 'apollo-99'], highlight: ['nope'] }] },
+      events,
+    );
+
+    expect(tour.steps[0].eventIds).toEqual(['apollo-11']);
+    expect(tour.steps[0].highlightIds).toEqual([]);
+    expect(errors).toEqual([
+      { field: 'tour', step: 0, message: 'events: unknown event "apollo-99"' },
+      { field: 'tour', step: 0, message: 'highlight: unknown event "nope"' },
+    ]);
+  });
+
+  it('drops steps that cannot be shown', () => {
+    const { tour, errors } = parseTour(
+      {
+        steps: [
+          { events: ['apollo-11'] },
+          { caption: 'Nowhere', events: ['apollo-99'] },
+          { caption: 'Backwards', viewport: { start: '1980', end: '1970' } },
+          { caption: 'Bad date', viewport: { start: 'someday', end: '1970' } },
+          { caption: 'Skylab', events: ['skylab'], filters: { mode: 'XOR' } },
+        ],
+      },
+      events,
+    );
+
+    expect(tour.steps.map((step) => step.caption)).toEqual(['Skylab']);
+    expect(tour.steps[0].filters.filterMode).toBe('OR');
+    expect(errors.map((error) => error.step)).toEqual([0, 1, 1, 2, 2, 3, 3, 4]);
+    expect(errors[0].message).toBe('step needs a caption');
+    expect(errors[5].message).toMatch(/^viewport: /);
+  });
+
+  it('returns no tour without playable steps', () => {
+    expect(parseTour({ steps: [] }, events).tour).toBe(null);
+    expect(parseTour('tour', events)).toEqual({
+      tour: null,
+      errors: [{ field: 'tour', message: 'tour must be an object with a steps array' }],
+    });
+  });
+});
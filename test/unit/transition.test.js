@@ -0,0 +1,114 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { LogScale } from '../../src/core/log-scale.js';
+import { RationalScale } from '../../src/core/scale.js';
+import { createStore } from '../../src/core/store.js';
+import { SECOND, YEAR } from '../../src/core/time.js';
+import { createViewportTransition, interpolateViewport } from '../../src/viewport/transition.js';
+
+const width = 1000;
+
+function center({ viewportStart, scale }) {
+  return viewportStart + scale.pxToTime(width / 2, viewportStart);
+}
+
+describe('interpolateViewport', () => {
+  const from = { viewportStart: 0n, scale: RationalScale.fromSecondsPerPixel(1000) };
+  const to = { viewportStart: 1_000_000_000n * SECOND, scale: RationalScale.fromSecondsPerPixel(10) };
+
+  it('returns the endpoints at 0 and 1', () => {
+    expect(interpolateViewport(from, to, 0, width)).toBe(from);
+    expect(interpolateViewport(from, to, 1, width)).toBe(to);
+  });
+
+  it('zooms geometrically and moves the center with the zoom', () => {
+    const halfway = interpolateViewport(from, to, 0.5, width);
+    expect(halfway.scale.getSecondsPerPixel()).toBeCloseTo(100, 6);
+    // 900 of the 990 seconds per pixel zoomed in so far
+    const distance = Number(center(to) - center(from));
+    const expectedCenter = Number(center(from)) + (distance * 900) / 990;
+    expect(Math.abs(Number(center(halfway)) - expectedCenter)).toBeLessThan(100 * Number(SECOND));
+  });
+
+  it('keeps the point both viewports share fixed on screen', () => {
+    const wide = { viewportStart: 0n, scale: RationalScale.fromSecondsPerPixel(100) };
+    const narrow = { viewportStart: 45_000n * SECOND, scale: RationalScale.fromSecondsPerPixel(10) };
+    // x = 500 shows time 50_000 in both viewports
+    for (const t of [0.25, 0.5, 0.75]) {
+      const { viewportStart, scale } = interpolateViewport(wide, narrow, t, width);
+      const time = viewportStart + scale.pxToTime(500, viewportStart);
+      expect(Math.abs(Number(time - 50_000n * SECOND))).toBeLessThan(2 * Number(SECOND));
+    }
+  });
+
+  it('pans linearly at a constant zoom', () => {
+    const left = { viewportStart: 0n, scale: RationalScale.fromSecondsPerPixel(10) };
+    const right = { viewportStart: 100_000n, scale: RationalScale.fromSecondsPerPixel(10) };
+    expect(interpolateViewport(left, right, 0.5, width).viewportStart).toBe(50_000n);
+  });
+
+  it('interpolates log axes in pixels per decade and log-age', () => {
+    const present = 2000n * YEAR;
+    const logFrom = LogScale.fromRange(0n, 1000n * YEAR, width, present);
+    const logTo = LogScale.fromRange(1900n * YEAR, 1990n * YEAR, width, present);
+    const halfway = interpolateViewport(logFrom, logTo, 0.5, width);
+
+    expect(halfway.scale).toBeInstanceOf(LogScale);
+    const ppd = Math.sqrt(logFrom.scale.pixelsPerDecade * logTo.scale.pixelsPerDecade);
+    expect(halfway.scale.pixelsPerDecade).toBeCloseTo(ppd, 6);
+  });
+
+  it('jumps between different kinds of axis', () => {
+    const logTo = LogScale.fromRange(0n, 1000n * YEAR, width, 2000n * YEAR);
+    expect(interpolateViewport(from, logTo, 0.5, width)).toBe(logTo);
+  });
+});
+
+describe('createViewportTransition', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const target = { viewportStart: 5_000_000n, scale: RationalScale.fromSecondsPerPixel(10) };
+
+  it('jumps to the target without requestAnimationFrame', () => {
+    const store = createStore({ canvasWidth: width });
+    const transition = createViewportTransition(store);
+    transition.start(target);
+    expect(store.getState().viewportStart).toBe(target.viewportStart);
+    expect(store.getState().scale).toBe(target.scale);
+    expect(transition.isActive()).toBe(false);
+  });
+
+  it('animates over the duration and can be cancelled', () => {
+    const frames = [];
+    vi.stubGlobal('window', { matchMedia: () => ({ matches: false }) });
+    vi.stubGlobal('requestAnimationFrame', (callback) => frames.push(callback));
+    vi.stubGlobal('cancelAnimationFrame', () => {});
+
+    const store = createStore({ canvasWidth: width });
+    const transition = createViewportTransition(store, { duration: 100 });
+    transition.start(target);
+    frames.shift()(0);
+    frames.shift()(50);
+    expect(transition.isActive()).toBe(true);
+    expect(store.getState().viewportStart).not.toBe(target.viewportStart);
+
+    frames.shift()(100);
+    expect(transition.isActive()).toBe(false);
+    expect(store.getState().scale).toBe(target.scale);
+
+    transition.start({ viewportStart: 0n, scale: RationalScale.fromSecondsPerPixel(1) });
+    transition.cancel();
+    expect(transition.isActive()).toBe(false);
+  });
+
+  it('jumps when reduced motion is preferred', () => {
+    vi.stubGlobal('window', { matchMedia: () => ({ matches: true }) });
+    vi.stubGlobal('requestAnimationFrame', vi.fn());
+
+    const store = createStore({ canvasWidth: width });
+    createViewportTransition(store).start(target);
+    expect(requestAnimationFrame).not.toHaveBeenCalled();
+    expect(store.getState().viewportStart).toBe(target.viewportStart);
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 import { parseTimeQuery } from '../../../src/core/time-parser.js';
-import { formatTimeRange, toDisplayYear } from '../../../src/ui/format.js';
+import { formatDuration, formatTimeInput, formatTimeRange, toDisplayYear } from '../../../src/ui/format.js';
 
 function parseTime(query) {
   const result = parseTimeQuery(query);
@@ -109,6 +109,40 @@ describe('formatTimeRange', () => {
     });
   });
 
+  describe('EDTF qualifiers', () => {
+    it('marks approximate times with circa and uncertain ones with a question mark', () => {
+      expect(formatTimeRange({ start: parseTime('1500'), startQualifier: '~' })).toBe('c. 1500');
+      expect(formatTimeRange({ start: parseTime('1984'), startQualifier: '?' })).toBe('1984?');
+      expect(formatTimeRange({ start: parseTime('44 BCE'), startQualifier: '%' })).toBe('c. 44 BCE?');
+    });
+
+    it('marks each end of a range', () => {
+      const event = { start: parseTime('1950'), end: parseTime('1960'), startQualifier: '?', endQualifier: '~' };
+      expect(formatTimeRange(event)).toBe('1950? – c. 1960');
+      expect(formatTimeRange({ start: parseTime('66 Ma'), end: parseTime('65 Ma'), endQualifier: '%' })).toBe(
+        '66 – c. 65? Ma',
+      );
+    });
+
+    it('does not repeat circa for coarse precision', () => {
+      const event = { start: parseTime('1985'), precision: 'decade', startQualifier: '~' };
+      expect(formatTimeRange(event)).toBe('c. 1985');
+    });
+  });
+
+  describe('Sub-second times', () => {
+    it('shows the clock time and duration of spans shorter than a second', () => {
+      const start = parseTime('2024-03-05T10:30:00.012345Z');
+      expect(formatTimeRange({ start, end: start + 1_500_000n })).toBe('Mar 5, 2024 10:30:00.012345 · 1.5 ms');
+    });
+
+    it('shows fractional seconds of point events down to the nanosecond', () => {
+      expect(formatTimeRange({ start: parseTime('2024-03-05T10:30:00.000000007Z') })).toBe(
+        'Mar 5, 2024 10:30:00.000000007',
+      );
+    });
+  });
+
   describe('Holocene calendar (HE)', () => {
     it('formats 2024 CE as 12024 HE', () => {
       const event = { start: parseTime('2024') };
@@ -193,3 +227,46 @@ describe('toDisplayYear', () => {
     expect(toDisplayYear(-499)).toBe('500 BCE');
   });
 });
+
+describe('formatDuration', () => {
+  it.each([
+    [1_500_000_000n, '1.5 s'],
+    [12_345_678n, '12.345 ms'],
+    [1_000n, '1 µs'],
+    [800n, '800 ns'],
+    [0n, '0 ns'],
+    [-2_000_000n, '-2 ms'],
+  ])('formats %s ns as %s', (duration, expected) => {
+    expect(formatDuration(duration)).toBe(expected);
+  });
+});
+
+describe('formatTimeInput', () => {
+  it.each([
+    ['4.5 Ga', 'billion_years', '4.5 Ga'],
+    ['65 Ma', 'million_years', '65 Ma'],
+    ['44 BCE', 'year', '44 BCE'],
+    ['1066', 'year', '1066'],
+    ['1969-07', 'month', '1969-07'],
+    ['1969-07-20', 'day', '1969-07-20'],
+    ['1969-07-20T20:17:40Z', undefined, '1969-07-20T20:17:40Z'],
+    ['1969-07-20T20:17:40.250Z', undefined, '1969-07-20T20:17:40.250Z'],
+    ['2024-03-05T00:00:00.000001Z', undefined, '2024-03-05T00:00:00.000001Z'],
+  ])('formats %s (%s) as %s', (query, precision, expected) => {
+    expect(formatTimeInput(parseTime(query), precision)).toBe(expected);
+  });
+
+  it('produces text that parses back to the same time', () => {
+    for (const query of [
+      '65 Ma',
+      '44 BCE',
+      '1066',
+      '1969-07-20',
+      '2024-03-15T12:30:00Z',
+      '2024-03-15T12:30:00.123456789Z',
+    ]) {
+      const time = parseTime(query);
+      expect(parseTime(formatTimeInput(time))).toBe(time);
+    }
+  });
+});
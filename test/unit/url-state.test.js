@@ -1,7 +1,11 @@
 import { describe, expect, it } from 'vitest';
+import { LogScale } from '../../src/core/log-scale.js';
+import { SECOND } from '../../src/core/time.js';
 import {
   buildHashString,
+  decodeEventLink,
   decodeSearchState,
+  decodeTourStep,
   decodeViewportState,
   encodeAllState,
   encodeSearchState,
@@ -280,3 +284,95 @@ describe('Holocene calendar URL state', () => {
     expect(decoded.spp).toBe(2000);
   });
 });
+
+describe('event deep links', () => {
+  it('decodeEventLink reads the event id written by "Copy Link"', () => {
+    expect(decodeEventLink(`#event=${encodeURIComponent('moon landing/1969')}`)).toBe('moon landing/1969');
+    expect(decodeEventLink('#q=moon&vs=0&spp=1000&event=apollo-11')).toBe('apollo-11');
+  });
+
+  it('decodeEventLink returns null when the hash names no event', () => {
+    expect(decodeEventLink('#q=moon')).toBe(null);
+    expect(decodeEventLink('#event=')).toBe(null);
+    expect(decodeEventLink('')).toBe(null);
+  });
+
+  it('encodeAllState writes the event alongside search, filter and viewport params', () => {
+    const hash = encodeAllState({
+      searchQuery: 'moon',
+      selectedCategories: ['space'],
+      viewportStart: 500n,
+      spp: 2000,
+      calendar: 'gregorian',
+      eventId: 'apollo-11',
+    });
+
+    expect(decodeEventLink(hash)).toBe('apollo-11');
+    expect(decodeSearchState(hash)).toMatchObject({ searchQuery: 'moon', selectedCategories: ['space'] });
+    expect(decodeViewportState(hash)).toMatchObject({ viewportStart: 500n, spp: 2000 });
+    expect(encodeAllState({ viewportStart: 0n, spp: 1000, calendar: 'gregorian' })).not.toContain('event=');
+  });
+});
+
+describe('tour step', () => {
+  it('writes the tour step 1-based and reads it back 0-based', () => {
+    const hash = encodeAllState({ viewportStart: 0n, spp: 1000, tourStep: 2 });
+    expect(parseHashString(hash).tour).toBe('3');
+    expect(decodeTourStep(hash)).toBe(2);
+    expect(encodeAllState({ viewportStart: 0n, spp: 1000, tourStep: null })).not.toContain('tour=');
+  });
+
+  it('ignores a missing or invalid step', () => {
+    expect(decodeTourStep('#q=moon')).toBe(null);
+    expect(decodeTourStep('#tour=0')).toBe(null);
+    expect(decodeTourStep('#tour=two')).toBe(null);
+    expect(decodeTourStep('#tour=-1')).toBe(null);
+  });
+});
+
+describe('viewport start', () => {
+  it('writes whole seconds, with decimals down to the nanosecond when needed', () => {
+    expect(parseHashString(encodeAllState({ viewportStart: 1_700_000_000n * SECOND, spp: 1 })).vs).toBe('1700000000');
+    const hash = encodeAllState({ viewportStart: -1_500_000_001n, spp: 1e-9 });
+    expect(parseHashString(hash).vs).toBe('-1.500000001');
+    expect(decodeViewportState(hash).viewportStart).toBe(-1_500_000_001n);
+  });
+
+  it('ignores a malformed viewport start', () => {
+    expect(decodeViewportState('#vs=1e9&spp=1000').viewportStart).toBeNull();
+    expect(decodeViewportState('#vs=0.1234567891&spp=1000').viewportStart).toBeNull();
+  });
+});
+
+describe('log axis', () => {
+  it('writes axis=log with pixels per decade and the present instead of spp', () => {
+    const hash = encodeAllState({
+      viewportStart: -500n * SECOND,
+      spp: 1000,
+      ppd: 120.5,
+      present: 1_700_000_000n * SECOND,
+    });
+    const params = parseHashString(hash);
+    expect(params).toMatchObject({ vs: '-500', axis: 'log', ppd: '120.5', now: '1700000000' });
+    expect(params.spp).toBeUndefined();
+  });
+
+  it('decodes a log axis to a LogScale', () => {
+    const { viewportStart, scale } = decodeViewportState('#vs=-500&axis=log&ppd=120.5&now=1700000000');
+    expect(viewportStart).toBe(-500n * SECOND);
+    expect(scale).toBeInstanceOf(LogScale);
+    expect(scale.pixelsPerDecade).toBe(120.5);
+    expect(scale.present).toBe(1_700_000_000n * SECOND);
+  });
+
+  it('decodes spp to a linear scale', () => {
+    const { scale } = decodeViewportState('#vs=0&spp=1000');
+    expect(scale.logarithmic).toBeUndefined();
+    expect(scale.getSecondsPerPixel()).toBe(1000);
+  });
+
+  it('ignores a log axis without its parameters', () => {
+    expect(decodeViewportState('#vs=0&axis=log').scale).toBeNull();
+    expect(decodeViewportState('#vs=0&axis=log&ppd=-3&now=0').scale).toBeNull();
+  });
+});
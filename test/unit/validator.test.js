@@ -184,6 +184,22 @@ describe('Schema Validator', () => {
       });
     });
 
+    describe('group validation', () => {
+      it('accepts nested group paths', () => {
+        const events = [{ id: '1', start: '2024', label: 'Test', group: 'Engineering/Backend' }];
+        expect(validate(events).valid).toHaveLength(1);
+      });
+
+      it('rejects groups that name no group', () => {
+        for (const group of ['', ' / ', 42]) {
+          const result = validate([{ id: '1', start: '2024', label: 'Test', group }]);
+          expect(result.valid).toEqual([]);
+          expect(result.errors[0].code).toBe('INVALID_GROUP');
+          expect(result.errors[0].field).toBe('group');
+        }
+      });
+    });
+
     describe('end before start validation', () => {
       it('rejects event where end is before start', () => {
         const events = [{ id: '1', start: '2024-06-15', end: '2024-06-10', label: 'Invalid' }];
@@ -246,6 +262,71 @@ describe('Schema Validator', () => {
       });
     });
 
+    describe('relations validation', () => {
+      it('accepts relations to events defined later in the file', () => {
+        const events = [
+          { id: 'war', start: '1914', label: 'War', relations: [{ type: 'caused', target: 'treaty' }] },
+          { id: 'treaty', start: '1919', label: 'Treaty', relations: [{ type: 'part_of', target: 'war' }] },
+        ];
+        const result = validate(events);
+
+        expect(result.errors).toEqual([]);
+        expect(result.valid[0].relations).toEqual([{ type: 'caused', target: 'treaty' }]);
+      });
+
+      it('rejects malformed relations', () => {
+        const malformed = [
+          { type: 'caused', target: 'b' },
+          [{ type: 'inspired', target: 'b' }],
+          [{ type: 'caused' }],
+          [{ type: 'caused', target: 'a' }],
+          ['b'],
+        ];
+        for (const relations of malformed) {
+          const result = validate([
+            { id: 'a', start: '2024', label: 'A', relations },
+            { id: 'b', start: '2025', label: 'B' },
+          ]);
+          expect(result.valid.map((e) => e.id)).toEqual(['b']);
+          expect(result.errors[0].code).toBe('INVALID_RELATION');
+        }
+      });
+
+      it('reports dangling relations and drops them without rejecting the event', () => {
+        const events = [
+          { id: 'a', start: '2024', label: 'A', relations: [{ type: 'caused', target: 'b' }] },
+          { id: 'b', start: '2025', label: 'B' },
+          {
+            id: 'c',
+            start: '2026',
+            label: 'C',
+            relations: [
+              { type: 'preceded', target: 'missing' },
+              { type: 'part_of', target: 'a' },
+            ],
+          },
+        ];
+        const result = validate(events, { rows: [2, 3, 4] });
+
+        expect(result.valid).toHaveLength(3);
+        expect(result.valid[2].relations).toEqual([{ type: 'part_of', target: 'a' }]);
+        expect(events[2].relations).toHaveLength(2);
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0]).toMatchObject({ code: 'DANGLING_RELATION', event: 'c', value: 'missing', row: 4 });
+      });
+
+      it('treats relations to rejected events as dangling', () => {
+        const events = [
+          { id: 'a', start: '2024', label: 'A', relations: [{ type: 'caused', target: 'b' }] },
+          { id: 'b', label: 'B' },
+        ];
+        const result = validate(events);
+
+        expect(result.errors.map((e) => e.code)).toEqual(['MISSING_REQUIRED', 'DANGLING_RELATION']);
+        expect(result.valid[0].relations).toEqual([]);
+      });
+    });
+
     describe('partial import with warnings', () => {
       it('imports valid events and skips invalid ones', () => {
         const events = [
@@ -290,6 +371,22 @@ describe('Schema Validator', () => {
         expect(formatted).toContain('Value: 10');
         expect(formatted).toContain('Expected:');
         expect(formatted).toContain('Hint:');
+        expect(formatted).not.toContain('Row:');
+      });
+
+      it('attaches source rows when provided', () => {
+        const events = [
+          { id: 'a', start: '2024', label: 'A' },
+          { id: 'b', label: 'B' },
+          { id: 'a', start: '2025', label: 'A again' },
+        ];
+        const result = validate(events, { rows: [2, 3, 5] });
+
+        expect(result.errors.map((e) => [e.code, e.row])).toEqual([
+          ['MISSING_REQUIRED', 3],
+          ['DUPLICATE_ID', 5],
+        ]);
+        expect(result.errors[0].toString()).toContain('Row: 3');
       });
     });
   });
@@ -1,6 +1,7 @@
-import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { RationalScale } from '../../src/core/scale.js';
 import { createStore } from '../../src/core/store.js';
+import { SECOND } from '../../src/core/time.js';
 import { calculatePanToEvent, initAutoPan, isEventInViewport } from '../../src/viewport/pan.js';
 
 describe('Viewport Pan', () => {
@@ -33,6 +34,11 @@ describe('Viewport Pan', () => {
       expect(isEventInViewport(event, viewportStart, viewportEnd)).toBe(false);
     });
 
+    it('treats a point event as its start time', () => {
+      expect(isEventInViewport({ id: 'evt-1', start: 1500n }, viewportStart, viewportEnd)).toBe(true);
+      expect(isEventInViewport({ id: 'evt-1', start: 1050n }, viewportStart, viewportEnd)).toBe(false);
+    });
+
     it('uses event midpoint for visibility check', () => {
       // Event starts just outside margin but midpoint is inside
       const event = { id: 'evt-1', start: 1150n, end: 1350n };
@@ -50,7 +56,7 @@ describe('Viewport Pan', () => {
     const canvasWidth = 800;
 
     it('centers event in viewport', () => {
-      const event = { id: 'evt-1', start: 1000n, end: 1200n };
+      const event = { id: 'evt-1', start: 1000n * SECOND, end: 1200n * SECOND };
       const currentStart = 0n;
 
       const newStart = calculatePanToEvent(event, canvasWidth, scale, currentStart);
@@ -58,11 +64,11 @@ describe('Viewport Pan', () => {
       // Event midpoint is 1100n
       // Half canvas width is 400 seconds
       // So viewport should start at 1100 - 400 = 700
-      expect(newStart).toBe(700n);
+      expect(newStart).toBe(700n * SECOND);
     });
 
     it('handles different canvas widths', () => {
-      const event = { id: 'evt-1', start: 2000n, end: 2400n };
+      const event = { id: 'evt-1', start: 2000n * SECOND, end: 2400n * SECOND };
       const currentStart = 0n;
       const wideCanvas = 1600;
 
@@ -71,11 +77,11 @@ describe('Viewport Pan', () => {
       // Event midpoint is 2200n
       // Half canvas width is 800 seconds
       // So viewport should start at 2200 - 800 = 1400
-      expect(newStart).toBe(1400n);
+      expect(newStart).toBe(1400n * SECOND);
     });
 
     it('returns current start for null event', () => {
-      const currentStart = 500n;
+      const currentStart = 500n * SECOND;
       const newStart = calculatePanToEvent(null, canvasWidth, scale, currentStart);
       expect(newStart).toBe(currentStart);
     });
@@ -92,9 +98,9 @@ describe('Viewport Pan', () => {
         scale,
         canvasWidth: 800,
         events: [
-          { id: 'event-1', start: 300n, end: 400n }, // Midpoint 350n, well within 160n-640n margin
-          { id: 'event-2', start: 1000n, end: 1100n },
-          { id: 'event-3', start: 2000n, end: 2100n },
+          { id: 'event-1', start: 300n * SECOND, end: 400n * SECOND }, // Midpoint 350n, well within 160n-640n margin
+          { id: 'event-2', start: 1000n * SECOND, end: 1100n * SECOND },
+          { id: 'event-3', start: 2000n * SECOND, end: 2100n * SECOND },
         ],
         focusedEventId: null,
       });
@@ -113,7 +119,17 @@ describe('Viewport Pan', () => {
       const state = store.getState();
       // Viewport should have panned to show event-3
       expect(state.viewportStart).not.toBe(0n);
-      expect(state.viewportStart).toBeGreaterThan(1000n);
+      expect(state.viewportStart).toBeGreaterThan(1000n * SECOND);
+    });
+
+    it('hands the pan to a viewport transition when given one', () => {
+      const transition = { start: vi.fn() };
+      unsubscribe = initAutoPan(store, null, transition);
+
+      store.dispatch({ type: 'SET_FOCUS', eventId: 'event-3' });
+
+      expect(store.getState().viewportStart).toBe(0n);
+      expect(transition.start).toHaveBeenCalledWith({ viewportStart: 1650n * SECOND, scale: store.getState().scale });
     });
 
     it('does not pan when focused event is already visible', () => {
@@ -166,13 +182,13 @@ describe('Viewport Pan', () => {
 
     it('pans when switching between off-screen events', () => {
       // Set viewport to show middle area
-      store.dispatch({ type: 'SET_VIEWPORT', viewportStart: 1000n, scale: store.getState().scale });
+      store.dispatch({ type: 'SET_VIEWPORT', viewportStart: 1000n * SECOND, scale: store.getState().scale });
       unsubscribe = initAutoPan(store);
 
       // Focus first event (off-screen to the left)
       store.dispatch({ type: 'SET_FOCUS', eventId: 'event-1' });
       const firstPanStart = store.getState().viewportStart;
-      expect(firstPanStart).toBeLessThan(1000n);
+      expect(firstPanStart).toBeLessThan(1000n * SECOND);
 
       // Focus last event (off-screen to the right)
       store.dispatch({ type: 'SET_FOCUS', eventId: 'event-3' });